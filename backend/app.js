@@ -10,10 +10,22 @@ import projectRouter from './routes/projects.js';
 import departmentRouter from './routes/departments.js';
 import calendarRoute from './routes/calendar.js';
 import notificationsRouter from './routes/overdue-notifis.js';
+import notificationPreferencesRouter from './routes/notification-preferences.js';
+import notificationInboxRouter from './routes/notifications.js';
 import commentsRouter from './routes/comments.js';
 import timelineRouter from './routes/timeline.js';
 import directorRouter from './routes/director.js';
 import seniorManagerRouter from './routes/senior-manager.js';
+import jobsRouter from './routes/jobs.js';
+import webhooksRouter from './routes/webhooks.js';
+import timeTrackingRouter from './routes/time-tracking.js';
+import remindersRouter from './routes/reminders.js';
+import timesheetRouter from './routes/timesheet.js';
+import labelsRouter from './routes/labels.js';
+import templatesRouter from './routes/templates.js';
+import searchRouter from './routes/search.js';
+import savedViewsRouter from './routes/saved-views.js';
+import trashRouter from './routes/trash.js';
 
 const app = express();
 
@@ -28,10 +40,22 @@ app.use('/api/tasks', tasksRouter);
 app.use('/api/projects', projectRouter);
 app.use('/api/departments', departmentRouter);
 app.use('/api/notifications', notificationsRouter);
+app.use('/api/notifications', notificationPreferencesRouter);
+app.use('/api/notifications', notificationInboxRouter);
 app.use('/api/tasks', commentsRouter);
+app.use('/api/tasks', timeTrackingRouter);
+app.use('/api/tasks', remindersRouter);
+app.use('/api/timesheet', timesheetRouter);
+app.use('/api/labels', labelsRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/views', savedViewsRouter);
+app.use('/api/trash', trashRouter);
 app.use('/api/timeline', timelineRouter);
 app.use('/api/director', directorRouter);
 app.use('/api/senior-manager', seniorManagerRouter);
+app.use('/api/admin/jobs', jobsRouter);
+app.use('/api/admin/webhooks', webhooksRouter);
 app.get('/api/docs.json', (_req, res) => res.json(swaggerSpec));
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -5,6 +5,7 @@ import Project from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import { sendEmail } from "../utils/mailer.js";
+import { renderEmail } from "../services/email-templates.js";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -24,7 +25,7 @@ export async function runDailyOverdueDigest() {
 
     const overdueTasks = await Task.find({
       assignedProject: { $in: projectIds },
-      status: { $ne: "Done" },
+      statusCategory: { $ne: "done" },
       deadline: { $lt: now },
     })
       .populate("assignedTeamMembers", "name email") 
@@ -41,45 +42,29 @@ export async function runDailyOverdueDigest() {
 
     const daysOverdue = (d) => Math.max(0, Math.ceil((now - new Date(d)) / 86400000));
 
-    const sections = [];
+    const summary = [];
     for (const [pid, tasks] of byProject.entries()) {
-      const project = projectById[pid];
-      const projName = project?.name || "Untitled Project";
-
-      const li = tasks.map(t => {
-        const members = Array.isArray(t.assignedTeamMembers) && t.assignedTeamMembers.length
-          ? t.assignedTeamMembers.map(m => m.name || m.email).join(", ")
-          : "Unassigned";
-        const dlate = t.deadline ? daysOverdue(t.deadline) : null;
-
-        return `
-          <li style="margin:6px 0;">
-            <strong>${t.title}</strong>
-            — <em>${dlate ?? 0} day(s) overdue</em><br/>
-            <span style="color:#555">Team Members: ${members}</span>
-          </li>
-        `;
-      }).join("");
-
-      sections.push(`
-        <section style="margin:16px 0;">
-          <h3 style="margin:0 0 6px 0;">${projName}</h3>
-          <ul style="margin:0 0 0 16px; padding:0;">${li}</ul>
-        </section>
-      `);
+      summary.push({
+        name: projectById[pid]?.name || "Untitled Project",
+        tasks: tasks.map(t => ({
+          title: t.title,
+          daysOverdue: t.deadline ? daysOverdue(t.deadline) : null,
+          members: Array.isArray(t.assignedTeamMembers) && t.assignedTeamMembers.length
+            ? t.assignedTeamMembers.map(m => m.name || m.email).join(", ")
+            : "Unassigned",
+        })),
+      });
     }
 
-    const totalCount = overdueTasks.length;
-    const subject = `[Taskboard] ${totalCount} overdue item(s) — please follow up`;
     const todaySG = dayjs().tz("Asia/Singapore").format("DD MMM YYYY");
-
-    const html = `
-      <p>Hi ${mgr.name || "Manager"},</p>
-      <p>Here’s your consolidated overdue summary for <strong>${todaySG}</strong>:</p>
-      ${sections.join("")}
-      <p>Please follow up with your team. This is an automated message.</p>
-    `;
-
-    await sendEmail({ to: mgr.email, subject, html });
+    await sendEmail({
+      to: mgr.email,
+      ...renderEmail("manager-digest", {
+        managerName: mgr.name,
+        date: todaySG,
+        count: overdueTasks.length,
+        projects: summary,
+      }),
+    });
   }
 }
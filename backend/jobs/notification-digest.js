@@ -0,0 +1,112 @@
+import Notification from "../models/Notification.js";
+import { sendEmail } from "../utils/mailer.js";
+import { pendingEmailFilter } from "../services/notification-service.js";
+import { renderEmail } from "../services/email-templates.js";
+import { isDone } from "../utils/workflow.js";
+import {
+  getPreferencesFor,
+  isDigestDue,
+  isQuietTime,
+  markDigestSent,
+} from "../services/notification-preferences.js";
+
+// Section order inside each project: most urgent first
+const TYPE_SECTIONS = [
+  ["overdue", "Overdue"],
+  ["reminder", "Due soon"],
+  ["mention", "Mentions"],
+  ["comment", "Comments"],
+  ["update", "Updates"],
+];
+const NO_PROJECT = "No project";
+
+/**
+ * Groups one recipient's notifications into [{ project, sections: [{ type, label, items }] }],
+ * projects by name (tasks without one last), sections in TYPE_SECTIONS order.
+ */
+export function groupDigest(notifications) {
+  const byProject = new Map();
+  for (const n of notifications) {
+    const project = n.taskId?.assignedProject?.name || NO_PROJECT;
+    if (!byProject.has(project)) byProject.set(project, new Map());
+    const byType = byProject.get(project);
+    if (!byType.has(n.type)) byType.set(n.type, []);
+    byType.get(n.type).push(n);
+  }
+
+  const projects = [...byProject.keys()].sort((a, b) =>
+    a === NO_PROJECT ? 1 : b === NO_PROJECT ? -1 : a.localeCompare(b)
+  );
+  return projects.map((project) => {
+    const byType = byProject.get(project);
+    const sections = TYPE_SECTIONS
+      .filter(([type]) => byType.has(type))
+      .map(([type, label]) => ({
+        type,
+        label,
+        items: byType.get(type).sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor)),
+      }));
+    return { project, sections };
+  });
+}
+
+/**
+ * Sends one digest email per hourly/daily recipient whose digest is due and who is
+ * outside quiet hours. Only the notifications included in a successfully sent email
+ * are marked sent, so anything that arrives mid-run waits for the next digest.
+ * Returns the ids marked sent.
+ */
+export async function runNotificationDigest(now = new Date()) {
+  const due = await Notification.find(pendingEmailFilter(now))
+    .populate("userId", "name email")
+    .populate({
+      path: "taskId",
+      select: "title deadline status statusCategory assignedProject",
+      populate: { path: "assignedProject", select: "name" },
+    })
+    .lean();
+  if (!due.length) return [];
+
+  const prefsByUser = await getPreferencesFor(due.map((n) => n.userId?._id));
+  const byUser = new Map();
+  for (const n of due) {
+    if (!n.userId?.email) continue;
+    if (n.taskId && isDone(n.taskId)) continue;
+
+    const uid = String(n.userId._id);
+    const prefs = prefsByUser.get(uid);
+    if ((prefs?.emailFrequency ?? "instant") === "instant") continue;
+    if (isQuietTime(prefs, now) || !isDigestDue(prefs, now)) continue;
+
+    if (!byUser.has(uid)) byUser.set(uid, []);
+    byUser.get(uid).push(n);
+  }
+
+  const sentIds = [];
+  for (const [userId, items] of byUser) {
+    const user = items[0].userId;
+    try {
+      const groups = groupDigest(items).map(({ project, sections }) => ({
+        project,
+        sections: sections.map(({ label, items: notes }) => ({
+          label,
+          items: notes.map((n) => ({ title: n.taskId?.title ?? "Task", message: n.message })),
+        })),
+      }));
+      await sendEmail({
+        to: user.email,
+        ...renderEmail("notification-digest", { userName: user.name, count: items.length, groups }),
+      });
+    } catch (err) {
+      console.error("[digest] send failed for user", userId, err?.message || err);
+      continue;
+    }
+
+    const ids = items.map((n) => n._id);
+    await Notification.updateMany({ _id: { $in: ids } }, { $set: { sent: true } });
+    await markDigestSent(userId, now);
+    sentIds.push(...ids);
+  }
+
+  return sentIds;
+}
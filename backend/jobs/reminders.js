@@ -1,4 +1,3 @@
-import cron from "node-cron";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
@@ -11,30 +10,18 @@ import { DEFAULT_REMINDERS_MIN } from "../models/Task.js";
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
-/**
- * Runs every minute: check for tasks due soon (7d, 3d, 1d)
- * Runs daily at 09:00: check for overdue tasks
- */
-export function initReminderJobs() {
-  // every minute for normal reminders
-  cron.schedule("* * * * *", async () => {
-    await sendUpcomingTaskReminders();
-  });
-
-  // every day at 09:00 (Singapore time) for overdue notifications
-  cron.schedule("0 9 * * *", async () => {
-    await sendDailyOverdueReminders();
-  });
-}
+// These send email directly instead of going through Notification/sendPendingEmails.
+// They are not scheduled: the `reminders` and `daily-overdue-digest` jobs in server.js
+// cover the same ground, and scheduling both would email everyone twice.
 
 /**
  * Send reminders for tasks approaching deadlines.
  * Uses reminderOffsets from Task or default (7d, 3d, 1d).
  */
-async function sendUpcomingTaskReminders() {
+export async function sendUpcomingTaskReminders() {
   const now = dayjs();
   const tasks = await Task.find({
-    status: { $ne: "Done" },
+    statusCategory: { $ne: "done" },
     deadline: { $exists: true, $ne: null },
   })
     .populate("assignedTeamMembers", "name email")
@@ -85,11 +72,11 @@ async function sendUpcomingTaskReminders() {
 /**
  * Send a daily digest of overdue tasks (9am SG) — modeled after dailyOverdueTaskEmails.js
  */
-async function sendDailyOverdueReminders() {
+export async function sendDailyOverdueReminders() {
   const now = dayjs();
   const overdueTasks = await Task.find({
     deadline: { $lt: now.toDate() },
-    status: { $ne: "Done" },
+    statusCategory: { $ne: "done" },
   })
     .populate("assignedTeamMembers", "name email")
     .lean();
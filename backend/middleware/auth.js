@@ -0,0 +1,45 @@
+import jwt from "jsonwebtoken";
+import { can } from "../services/access-policy.js";
+
+// Read lazily so dotenv (loaded by routes/auth.js) has populated the env first.
+const getAccessSecret = () => process.env.JWT_SECRET ?? "dev_secret_change_me";
+
+/**
+ * Verifies the Bearer access token and exposes the caller on the request:
+ * `req.userId` / `req.userRole` (original shape) and `req.user` for routes
+ * that read `req.user._id`.
+ */
+export function verifyAuth(req, res, next) {
+  const h = req.header("Authorization") || "";
+  const token = h.startsWith("Bearer ") ? h.slice(7) : null;
+  if (!token) return res.status(401).json({ message: "Missing token" });
+  try {
+    const payload = jwt.verify(token, getAccessSecret());
+    req.userId = payload.sub;
+    req.userRole = payload.role;
+    req.user = {
+      _id: payload.sub,
+      id: payload.sub,
+      role: payload.role,
+      department: payload.department ?? null,
+    };
+    next();
+  } catch {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+}
+
+export const requireAuth = verifyAuth;
+
+/**
+ * Role gate for a policy action (see services/access-policy.js).
+ * Must run after requireAuth.
+ */
+export function requirePermission(action) {
+  return (req, res, next) => {
+    if (!can(req.user?.role, action)) {
+      return res.status(403).json({ error: "You do not have permission to perform this action" });
+    }
+    next();
+  };
+}
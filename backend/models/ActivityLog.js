@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const ENTITY_TYPES = ['Task', 'Project', 'Comment', 'Attachment'];
+export const ACTIONS = ['created', 'updated', 'deleted', 'restored'];
+
+const ChangeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: Schema.Types.Mixed, default: null },
+    to: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// Append-only audit trail. `task` / `project` are denormalised so a task's history
+// includes its comments and attachments, and a project's history includes its tasks.
+const ActivityLogSchema = new Schema(
+  {
+    entityType: { type: String, enum: ENTITY_TYPES, required: true },
+    entityId: { type: Types.ObjectId, required: true },
+    task: { type: Types.ObjectId, ref: 'Task', default: null },
+    project: { type: Types.ObjectId, ref: 'Project', default: null },
+    action: { type: String, enum: ACTIONS, required: true },
+    actor: { type: Types.ObjectId, ref: 'User', default: null },
+    changes: { type: [ChangeSchema], default: [] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ActivityLogSchema.index({ task: 1, createdAt: -1 });
+ActivityLogSchema.index({ project: 1, createdAt: -1 });
+ActivityLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+export default mongoose.models.ActivityLog || model('ActivityLog', ActivityLogSchema);
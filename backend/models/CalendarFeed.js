@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+// A read-only iCalendar subscription: the owner's own tasks, or one project's tasks.
+// Whoever has the token can read the feed, so it can be revoked and regenerated.
+const CalendarFeedSchema = new Schema(
+  {
+    owner: { type: Types.ObjectId, ref: 'User', required: true },
+    // null: the owner's tasks across projects ("my tasks")
+    project: { type: Types.ObjectId, ref: 'Project', default: null },
+    token: { type: String, required: true, unique: true },
+    lastFetchedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+CalendarFeedSchema.index({ owner: 1, project: 1 }, { unique: true });
+
+export default mongoose.models.CalendarFeed || model('CalendarFeed', CalendarFeedSchema);
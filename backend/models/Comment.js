@@ -1,6 +1,16 @@
 import mongoose from "mongoose";
+import { softDelete } from "./plugins/soft-delete.js";
 const { Schema, model, Types } = mongoose;
 
+// One per user and emoji; counts are derived (see utils/comments.js)
+const ReactionSchema = new Schema(
+  {
+    emoji: { type: String, required: true },
+    user: { type: Types.ObjectId, ref: "User", required: true },
+  },
+  { _id: false }
+);
+
 const CommentSchema = new Schema(
   {
     task: { type: Types.ObjectId, ref: "Task", required: true, index: true },
@@ -9,6 +19,12 @@ const CommentSchema = new Schema(
     mentions: [{ type: Types.ObjectId, ref: "User", index: true }],
 //    attachments: [{ type: Types.ObjectId, ref: "Attachment" }],
     editedAt: { type: Date, default: null },
+    // Replies point at the thread's first comment: one level of threading
+    parent: { type: Types.ObjectId, ref: "Comment", default: null, index: true },
+    reactions: { type: [ReactionSchema], default: [] },
+    // Only a thread's first comment is resolved; its replies go with it
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: { type: Types.ObjectId, ref: "User", default: null },
   },
   { timestamps: true }
 );
@@ -22,6 +38,11 @@ CommentSchema.index(
   { unique: true, partialFilterExpression: { clientKey: { $type: "string" } } }
 );
 
+// Global search (GET /api/search)
+CommentSchema.index({ body: "text" }, { name: "comment_search" });
+
+CommentSchema.plugin(softDelete);
+
 export default model("Comment", CommentSchema);
 
 /**
@@ -67,6 +88,28 @@ export default model("Comment", CommentSchema);
  *           description: Resolved users mentioned in the comment body
  *           items:
  *             $ref: "#/components/schemas/MentionableUser"
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: The thread's first comment, for a reply
+ *         replies:
+ *           type: array
+ *           description: A thread's replies, oldest first (listing only)
+ *           items:
+ *             $ref: "#/components/schemas/Comment"
+ *         reactions:
+ *           type: array
+ *           items:
+ *             $ref: "#/components/schemas/CommentReaction"
+ *         resolved:
+ *           type: boolean
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolvedBy:
+ *           type: string
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -84,12 +127,45 @@ export default model("Comment", CommentSchema);
  *           type: string
  *           description: Comment text. Use @name to mention users.
  *           example: "Looks good. @Jane please review."
+ *         parentId:
+ *           type: string
+ *           description: (Optional) The comment this replies to
  *         mentions:
  *           type: array
  *           description: (Optional) Explicit mentions if you pre-resolve them
  *           items:
  *             $ref: "#/components/schemas/MentionableUser"
  *
+ *     CommentReaction:
+ *       type: object
+ *       properties:
+ *         emoji:
+ *           type: string
+ *           example: "👍"
+ *         count:
+ *           type: integer
+ *           example: 2
+ *         users:
+ *           type: array
+ *           description: IDs of the users who reacted
+ *           items:
+ *             type: string
+ *
+ *     CommentResolution:
+ *       type: object
+ *       properties:
+ *         commentId:
+ *           type: string
+ *         resolved:
+ *           type: boolean
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolvedBy:
+ *           type: string
+ *           nullable: true
+ *
  *     UpdateCommentRequest:
  *       type: object
  *       description: Fields allowed when updating a comment.
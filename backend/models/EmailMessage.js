@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+// Sent messages are deleted this long after sending
+export const SENT_RETENTION_DAYS = 30;
+
+// Outbox: every email we send, with its delivery state (see utils/mailer.js and services/outbox.js).
+// `queued` messages are picked up by the `email-outbox` job once `nextAttemptAt` passes.
+const EmailMessageSchema = new Schema(
+  {
+    to: { type: String, required: true },
+    from: { type: String, default: null },
+    replyTo: { type: String, default: null },
+    subject: { type: String, required: true },
+    html: { type: String, default: '' },
+    text: { type: String, default: '' },
+    // Carries a secret (a login code, a reset link): the body is cleared once sent or failed
+    sensitive: { type: Boolean, default: false },
+
+    // Which template (and version of it) rendered this message, if any
+    template: {
+      name: { type: String, default: null },
+      version: { type: Number, default: null },
+    },
+
+    status: { type: String, enum: EMAIL_STATUSES, default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: null },
+    // When the current `sending` attempt started; lets a crashed attempt be retried
+    claimedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+
+    transport: { type: String, default: null },
+    messageId: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ to: 1, createdAt: -1 });
+EmailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.models.EmailMessage || model('EmailMessage', EmailMessageSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const RUN_TRIGGERS = ['schedule', 'catch-up', 'retry', 'manual'];
+export const RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+// How long run history is kept
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const JobRunSchema = new Schema(
+  {
+    job: { type: String, required: true },
+    trigger: { type: String, enum: RUN_TRIGGERS, required: true },
+    // The slot this run covers (null for manual runs)
+    scheduledFor: { type: Date, default: null },
+    attempt: { type: Number, default: 1 },
+    status: { type: String, enum: RUN_STATUSES, default: 'running' },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+    error: { type: String, default: null },
+    worker: { type: String, default: null },
+  },
+  { versionKey: false }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: HISTORY_TTL_SECONDS });
+
+export default mongoose.models.JobRun || model('JobRun', JobRunSchema);
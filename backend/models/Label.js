@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const DEFAULT_LABEL_COLOR = '#64748b';
+
+// A coloured tag for tasks and projects. `project: null` is an organisation-wide
+// label; otherwise it only applies inside that project.
+const LabelSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    color: { type: String, match: /^#[0-9a-f]{6}$/i, lowercase: true, default: DEFAULT_LABEL_COLOR },
+    project: { type: Types.ObjectId, ref: 'Project', default: null },
+    createdBy: { type: Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+// Names are unique (case-insensitively) within a scope
+LabelSchema.index(
+  { project: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+export default mongoose.models.Label || model('Label', LabelSchema);
@@ -12,10 +12,16 @@ const NotificationSchema = new Schema({
   // Only for reminders
   reminderOffset: {
     type: Number,
-    required: function () { return this.type === 'reminder'; },
+    required: function () { return this.type === 'reminder' && !this.personalReminder; },
     index: true,
   },
 
+  // Bulk changes: every task the notification covers (`taskId` is the first of them)
+  taskIds: { type: [{ type: Types.ObjectId, ref: 'Task' }], default: undefined },
+
+  // A user's own reminder or snooze (see PersonalReminder) instead of a task offset
+  personalReminder: { type: Types.ObjectId, ref: 'PersonalReminder', default: null },
+
   // Optional: link to the specific comment
   commentId: { type: Types.ObjectId, ref: 'Comment', default: null },
 
@@ -23,12 +29,23 @@ const NotificationSchema = new Schema({
 
   read: { type: Boolean, default: false, index: true },
 
+  // Archived notifications leave the inbox but stay in the user's history
+  archived: { type: Boolean, default: false },
+
   // For immediate events (like comments), just store "now"
   scheduledFor: { type: Date, required: true, index: true },
 
   sent: { type: Boolean, default: false },
+
+  // Which channels the recipient allowed when this was created (see NotificationPreference)
+  channels: {
+    inApp: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+  },
 }, { timestamps: true });
 
 NotificationSchema.index({ userId: 1, read: 1, scheduledFor: -1 });
+// The inbox: newest first, page by page (see services/notification-inbox.js)
+NotificationSchema.index({ userId: 1, archived: 1, scheduledFor: -1, _id: -1 });
 
 export default model('Notification', NotificationSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const NOTIFICATION_TYPES = ['reminder', 'overdue', 'comment', 'mention', 'update'];
+export const EMAIL_FREQUENCIES = ['instant', 'hourly', 'daily'];
+export const DEFAULT_TIMEZONE = 'Asia/Singapore';
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const channels = (email) =>
+  new Schema(
+    {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: email },
+    },
+    { _id: false }
+  );
+
+const NotificationPreferenceSchema = new Schema(
+  {
+    user: { type: Types.ObjectId, ref: 'User', required: true, unique: true },
+
+    // Per-type channel switches. Comments and mentions were never emailed, so
+    // their email channel starts off.
+    types: {
+      reminder: { type: channels(true), default: () => ({}) },
+      overdue: { type: channels(true), default: () => ({}) },
+      comment: { type: channels(false), default: () => ({}) },
+      mention: { type: channels(false), default: () => ({}) },
+      update: { type: channels(true), default: () => ({}) },
+    },
+
+    // Email is held (not dropped) while quiet hours are on; in-app still arrives.
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: HHMM, default: '22:00' },
+      end: { type: String, match: HHMM, default: '07:00' },
+    },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: { validator: isValidTimeZone, message: 'Unknown timezone' },
+    },
+
+    emailFrequency: { type: String, enum: EMAIL_FREQUENCIES, default: 'instant' },
+    lastDigestAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.NotificationPreference ||
+  model('NotificationPreference', NotificationPreferenceSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const REMINDER_SOURCES = ['custom', 'snooze'];
+
+// A reminder about a task for one user only, apart from the task's own
+// `reminderOffsets`. Either at a fixed time (`remindAt`) or a number of minutes
+// before the deadline (`minutesBefore`), which follows the deadline when it moves.
+// `firedAt` is set once the reminders job has delivered it.
+const PersonalReminderSchema = new Schema(
+  {
+    user: { type: Types.ObjectId, ref: 'User', required: true },
+    task: { type: Types.ObjectId, ref: 'Task', required: true },
+    remindAt: { type: Date, default: null },
+    minutesBefore: { type: Number, min: 0, default: null },
+    note: { type: String, trim: true, maxlength: 200, default: '' },
+    source: { type: String, enum: REMINDER_SOURCES, default: 'custom' },
+    // For snoozes: the notification that was put off
+    snoozedFrom: { type: Types.ObjectId, ref: 'Notification', default: null },
+    firedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PersonalReminderSchema.index({ task: 1, user: 1 });
+// The reminders job's scan
+PersonalReminderSchema.index({ firedAt: 1, remindAt: 1 });
+
+export default mongoose.models.PersonalReminder || model('PersonalReminder', PersonalReminderSchema);
@@ -1,6 +1,36 @@
 import mongoose from 'mongoose';
+import { STATUS_CATEGORIES } from '../utils/workflow.js';
+import { softDelete } from './plugins/soft-delete.js';
 const { Schema, model, Types } = mongoose;
 
+const WorkflowStatusSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    category: { type: String, enum: STATUS_CATEGORIES, required: true },
+    // Board warns when a column holds more tasks than this
+    wipLimit: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+// An allowed move between two statuses, by name
+const WorkflowTransitionSchema = new Schema(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// Ordered task statuses for a project. No transitions means any move is allowed.
+const WorkflowSchema = new Schema(
+  {
+    statuses: { type: [WorkflowStatusSchema], default: undefined },
+    transitions: { type: [WorkflowTransitionSchema], default: [] },
+  },
+  { _id: false }
+);
+
 const ProjectSchema = new Schema({
   name: { 
     type: String, 
@@ -29,18 +59,36 @@ const ProjectSchema = new Schema({
   teamMembers: [{ 
     type: Types.ObjectId, 
     ref: 'User'
-  }]
+  }],
+  // Organisation-wide labels or the project's own
+  labels: [{
+    type: Types.ObjectId,
+    ref: 'Label'
+  }],
+  // null: the default To Do / In Progress / Done workflow
+  workflow: {
+    type: WorkflowSchema,
+    default: null
+  }
 }, { timestamps: true });
 
 // Define indexes separately to avoid duplication warnings
 ProjectSchema.index({ createdBy: 1 });
 ProjectSchema.index({ teamMembers: 1 });
 ProjectSchema.index({ department: 1 });
+ProjectSchema.index({ labels: 1 });
 ProjectSchema.index({ name: 1 }); // For searching projects by name
+ProjectSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'project_search', weights: { name: 10, description: 3 } }
+); // Global search (GET /api/search)
 
 // Compound indexes for common queries
 // Note: Cannot create compound index with both department and teamMembers as they are both arrays
 ProjectSchema.index({ department: 1, createdBy: 1 }); // Projects by department and creator
 ProjectSchema.index({ createdBy: 1, createdAt: -1 }); // User's projects sorted by creation date
 
+// Deleting a project moves it and its tasks to the trash
+ProjectSchema.plugin(softDelete);
+
 export default mongoose.models.Project || model('Project', ProjectSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+// Dates in a template are whole days from the start date chosen when it is instantiated
+const TemplateRecurrenceSchema = new Schema(
+  {
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    // null: the series never ends
+    untilOffsetDays: { type: Number, min: 0, default: null },
+  },
+  { _id: false }
+);
+
+const TemplateTaskSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, default: '' },
+    notes: { type: String, default: '' },
+    priority: { type: Number, min: 1, max: 10, default: 5 },
+    startOffsetDays: { type: Number, min: 0, default: null },
+    deadlineOffsetDays: { type: Number, min: 0, default: null },
+    // Project members with one of these roles are assigned when the template is used
+    // (checked against the user roles in utils/templates.js)
+    assigneeRoles: { type: [String], default: [] },
+    reminderOffsets: { type: [Number], default: [] },
+    recurrence: { type: TemplateRecurrenceSchema, default: null },
+    estimateMinutes: { type: Number, min: 0, default: null },
+    // Organisation-wide labels only; a new project has none of its own
+    labels: [{ type: Types.ObjectId, ref: 'Label' }],
+  },
+  { _id: false }
+);
+TemplateTaskSchema.add({ subtasks: { type: [TemplateTaskSchema], default: [] } });
+
+// A project plus its task tree, ready to be created again from a new start date
+const ProjectTemplateSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, default: '', trim: true },
+    project: {
+      name: { type: String, trim: true, maxlength: 200, default: '' },
+      description: { type: String, default: '' },
+      deadlineOffsetDays: { type: Number, min: 0, default: null },
+      workflow: { type: Schema.Types.Mixed, default: null },
+      labels: [{ type: Types.ObjectId, ref: 'Label' }],
+    },
+    tasks: { type: [TemplateTaskSchema], default: [] },
+    createdBy: { type: Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+ProjectTemplateSchema.index({ name: 1 });
+ProjectTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+
+export default mongoose.models.ProjectTemplate || model('ProjectTemplate', ProjectTemplateSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import {
+  DUE_WINDOWS,
+  GROUP_BY_OPTIONS,
+  SORT_DIRECTIONS,
+  SORT_FIELDS,
+  VIEW_SHARING,
+} from '../utils/saved-views.js';
+const { Schema, model, Types } = mongoose;
+
+// What the task list shows; each field left null shows everything
+const ViewFiltersSchema = new Schema(
+  {
+    status: { type: String, trim: true, maxlength: 50, default: null },
+    // A priority 1-10 or a Low/Medium/High band
+    priority: { type: String, default: null },
+    due: { type: String, enum: DUE_WINDOWS, default: 'any' },
+    // 'me', 'unassigned' or a user id
+    assignee: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// A named filter, sort and grouping for task lists, kept per user
+const SavedViewSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    owner: { type: Types.ObjectId, ref: 'User', required: true },
+    // null: the view applies to whichever project is open
+    project: { type: Types.ObjectId, ref: 'Project', default: null },
+    sharing: { type: String, enum: VIEW_SHARING, default: 'private' },
+    // Set when shared with a department
+    department: { type: Types.ObjectId, ref: 'Department', default: null },
+    filters: { type: ViewFiltersSchema, default: () => ({}) },
+    sort: {
+      field: { type: String, enum: SORT_FIELDS, default: 'default' },
+      direction: { type: String, enum: SORT_DIRECTIONS, default: 'asc' },
+    },
+    groupBy: { type: String, enum: GROUP_BY_OPTIONS, default: 'due' },
+  },
+  { timestamps: true }
+);
+
+SavedViewSchema.index({ owner: 1, name: 1 });
+SavedViewSchema.index({ sharing: 1, project: 1 });
+SavedViewSchema.index({ sharing: 1, department: 1 });
+
+export default mongoose.models.SavedView || model('SavedView', SavedViewSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const JOB_STATUSES = ['succeeded', 'failed'];
+
+// One document per job definition (see services/job-scheduler.js). It holds the next
+// due time and the lock, so only one backend instance runs a given slot.
+const ScheduledJobSchema = new Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    schedule: { type: String, required: true },
+    timezone: { type: String, default: 'Asia/Singapore' },
+    enabled: { type: Boolean, default: true },
+
+    nextRunAt: { type: Date, required: true, index: true },
+    // Failed attempts at the current slot; reset once it succeeds or runs out of retries
+    attempt: { type: Number, default: 0 },
+
+    lastRunAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: JOB_STATUSES, default: null },
+    lastError: { type: String, default: null },
+
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.ScheduledJob || model('ScheduledJob', ScheduledJobSchema);
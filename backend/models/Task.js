@@ -1,16 +1,43 @@
 import mongoose from 'mongoose';
+import { DEFAULT_STATUS_CATEGORY, STATUS_CATEGORIES } from '../utils/workflow.js';
+import { DEFAULT_TIMEZONE, ENDS, FREQUENCIES } from '../utils/recurrence.js';
+import { softDelete } from './plugins/soft-delete.js';
 const { Schema, model, Types } = mongoose;
 
+// The default workflow; projects can define their own (see utils/workflow.js)
 export const STATUS = ['To Do', 'In Progress', 'Done'];
 export const PRIORITY = ['Low', 'Medium', 'High'];
 export const DEFAULT_REMINDERS_MIN = [10080, 4320, 1440]; // 7d, 3d, 1d
+export const DEPENDENCY_TYPES = ['FS']; // finish-to-start
 
+// An RFC 5545 recurrence rule plus the state of its series (see utils/recurrence.js).
+// Every task of a series carries a copy; skipping a date updates all of them.
 const RecurrenceSchema = new Schema(
   {
-    frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
-    interval: { type: Number, min: 1, default: 1 },  
-    ends: { type: String, enum: ['never', 'onDate'], default: 'never' },
-    until: { type: Date, default: null },            
+    frequency: { type: String, enum: FREQUENCIES, required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    byDay: { type: [String], default: undefined },       // 'TU', '2TU', '-1FR'
+    byMonthDay: { type: [Number], default: undefined },  // 15, -1 (last day)
+    byMonth: { type: [Number], default: undefined },     // 1-12
+    bySetPos: { type: [Number], default: undefined },    // -1: the last of the matching days
+    ends: { type: String, enum: ENDS, default: 'never' },
+    until: { type: Date, default: null },
+    count: { type: Number, min: 1, default: null },
+    timezone: { type: String, default: DEFAULT_TIMEZONE },
+    // First occurrence of the series (the first task's deadline); anchors INTERVAL and COUNT
+    start: { type: Date, default: null },
+    // Occurrences that were skipped, or replaced by a task of their own
+    exdates: { type: [Date], default: undefined },
+  },
+  { _id: false }
+);
+
+// "This task is blocked by `task`": it may start `lagMinutes` after the blocker finishes
+const DependencySchema = new Schema(
+  {
+    task: { type: Types.ObjectId, ref: 'Task', required: true },
+    type: { type: String, enum: DEPENDENCY_TYPES, default: 'FS' },
+    lagMinutes: { type: Number, min: 0, default: 0 },
   },
   { _id: false }
 );
@@ -23,7 +50,12 @@ const TaskSchema = new Schema(
     notes: { type: String, default: '' },
     assignedProject: { type: Types.ObjectId, ref: 'Project', default: null },
     assignedTeamMembers: [{ type: Types.ObjectId, ref: 'User' }],
-    status: { type: String, enum: STATUS, default: 'To Do' },
+    // One of the project's workflow statuses; the routes validate it against the workflow
+    status: { type: String, trim: true, maxlength: 50, default: 'To Do' },
+    // Copied from the workflow whenever `status` changes, so queries and reports don't need it
+    statusCategory: { type: String, enum: STATUS_CATEGORIES, default: 'not_started' },
+    // Position within its status column on the board (ascending); see utils/board.js
+    rank: { type: Number, default: null },
     priority: {
       type: Number,
       min: 1,
@@ -37,6 +69,9 @@ const TaskSchema = new Schema(
     startAt: { type: Date },
     endAt: { type: Date },
     completedAt: { type: Date },
+    // Effort in minutes; logging time burns down `remainingMinutes` (see services/time-tracking.js)
+    estimateMinutes: { type: Number, min: 0, default: null },
+    remainingMinutes: { type: Number, min: 0, default: null },
     reminderOffsets: {
       type: [Number],
       default: [],
@@ -45,7 +80,14 @@ const TaskSchema = new Schema(
         message: 'All reminder offsets must be positive numbers (minutes).'
       }
     },
-    recurrence: { type: RecurrenceSchema, default: null } 
+    recurrence: { type: RecurrenceSchema, default: null },
+    // Tasks of one recurring series share `seriesId` (the first task's id); `occurrenceDate`
+    // is the date the rule scheduled this one for, even after its deadline is moved
+    seriesId: { type: Types.ObjectId, ref: 'Task', default: null },
+    occurrenceDate: { type: Date, default: null },
+    blockedBy: { type: [DependencySchema], default: [] },
+    // Organisation-wide labels or labels of `assignedProject` (see services/labels.js)
+    labels: [{ type: Types.ObjectId, ref: 'Label' }],
   },
   { timestamps: true }
 );
@@ -64,9 +106,22 @@ TaskSchema.index({
 // Additional indexes for array fields and specific queries
 TaskSchema.index({ assignedTeamMembers: 1 });
 TaskSchema.index({ attachments: 1 });
+TaskSchema.index({ labels: 1 });
 TaskSchema.index({ createdBy: 1 });
 TaskSchema.index({ 'recurrence.frequency': 1, 'recurrence.interval': 1 });
+TaskSchema.index({ seriesId: 1, occurrenceDate: 1 });
 TaskSchema.index({ parentTask: 1, deadline: 1, createdAt: -1 });
+TaskSchema.index({ 'blockedBy.task': 1 });
+TaskSchema.index({ statusCategory: 1, deadline: 1 });
+TaskSchema.index({ assignedProject: 1, status: 1, rank: 1 });
+// Global search (GET /api/search); a title hit outranks one in the description or notes
+TaskSchema.index(
+  { title: 'text', description: 'text', notes: 'text' },
+  { name: 'task_search', weights: { title: 10, description: 3, notes: 1 } }
+);
+
+// Deleting a task moves it (and its subtasks) to the trash
+TaskSchema.plugin(softDelete);
 
 TaskSchema.virtual('subtasks', {
   ref: 'Task',
@@ -84,6 +139,10 @@ function normalizeOffsets(val) {
 }
 
 TaskSchema.pre('save', function (next) {
+  // Callers that set a default-workflow status without its category (scripts, seeds) get it filled in
+  if (this.isModified('status') && !this.isModified('statusCategory') && DEFAULT_STATUS_CATEGORY[this.status]) {
+    this.statusCategory = DEFAULT_STATUS_CATEGORY[this.status];
+  }
   this.reminderOffsets = normalizeOffsets(this.reminderOffsets);
 
   if (this.deadline && this.reminderOffsets.length === 0) {
@@ -92,6 +151,20 @@ TaskSchema.pre('save', function (next) {
   next();
 });
 
+// Same for query updates: `{ status: 'Done' }` also sets the category
+TaskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+  const u = this.getUpdate() || {};
+  // Plain fields and $set can both be present (timestamps adds a $set)
+  for (const set of [u, u.$set ?? {}]) {
+    if (set.status !== undefined && u.statusCategory === undefined && u.$set?.statusCategory === undefined) {
+      const category = DEFAULT_STATUS_CATEGORY[set.status];
+      if (category) set.statusCategory = category;
+    }
+  }
+  this.setUpdate(u);
+  next();
+});
+
 TaskSchema.pre('findOneAndUpdate', function (next) {
   const u = this.getUpdate() || {};
   if (u && Object.prototype.hasOwnProperty.call(u, 'reminderOffsets')) {
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const ENTRY_SOURCES = ['timer', 'manual'];
+
+// Time someone spent on a task. A timer is an entry with `endedAt: null` until it
+// is stopped; `project` is denormalised so timesheets don't need to join tasks.
+const TimeEntrySchema = new Schema(
+  {
+    task: { type: Types.ObjectId, ref: 'Task', required: true },
+    project: { type: Types.ObjectId, ref: 'Project', default: null },
+    user: { type: Types.ObjectId, ref: 'User', required: true },
+    source: { type: String, enum: ENTRY_SOURCES, required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    // Filled in when the entry is closed; 0 while a timer runs
+    minutes: { type: Number, min: 0, default: 0 },
+    note: { type: String, trim: true, maxlength: 500, default: '' },
+  },
+  { timestamps: true }
+);
+
+TimeEntrySchema.index({ task: 1, startedAt: -1 });
+TimeEntrySchema.index({ user: 1, startedAt: 1 });
+TimeEntrySchema.index({ project: 1, startedAt: 1 });
+// One running timer per user
+TimeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } }
+);
+
+export default mongoose.models.TimeEntry || model('TimeEntry', TimeEntrySchema);
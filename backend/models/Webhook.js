@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from '../utils/webhooks.js';
+const { Schema, model, Types } = mongoose;
+
+// An outgoing webhook subscription, managed by admins (see routes/webhooks.js).
+// Every event it subscribes to is POSTed to `url`, signed with `secret`.
+const WebhookSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    url: { type: String, required: true, trim: true },
+    // Signs every delivery (HMAC-SHA256); only shown when created or rotated
+    secret: { type: String, required: true, select: false },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: { validator: (v) => v.length > 0, message: 'Subscribe to at least one event' },
+    },
+    active: { type: Boolean, default: true },
+    createdBy: { type: Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+// Who to deliver an event to
+WebhookSchema.index({ active: 1, events: 1 });
+
+export default mongoose.models.Webhook || model('Webhook', WebhookSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const DELIVERY_STATUSES = ['queued', 'sending', 'succeeded', 'failed'];
+
+// One event sent (or to be sent) to one webhook: the delivery log. `queued` deliveries
+// are retried by the `webhook-deliveries` job once `nextAttemptAt` passes, with the
+// same status and claim fields as the email outbox (see services/outbox.js).
+const WebhookDeliverySchema = new Schema(
+  {
+    webhook: { type: Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    // Shared by every delivery of the same event, redeliveries included, so receivers can dedupe
+    eventId: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, required: true },
+
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: null },
+    claimedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+
+    // The receiver's answer to the last attempt
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    durationMs: { type: Number, default: null },
+    deliveredAt: { type: Date, default: null },
+
+    // Set on deliveries an admin asked to send again
+    redeliveryOf: { type: Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.models.WebhookDelivery || model('WebhookDelivery', WebhookDeliverySchema);
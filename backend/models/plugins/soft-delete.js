@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+const { Types } = mongoose;
+
+// Reads, and updates of a single document, that should not see trashed documents
+const LIVE_ONLY_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne'];
+
+/**
+ * Soft deletion (see services/trash.js). A trashed document keeps `deletedAt`, and the
+ * queries above leave it out unless their filter names `deletedAt` itself, as the trash
+ * routes do. Aggregations get the same treatment from a leading `$match`. `deletion` is the _id of what the user deleted, so everything trashed along
+ * with it (a task's subtasks, a project's tasks) is restored together.
+ *
+ * updateMany is deliberately not filtered: housekeeping such as workflow renames and
+ * label removal must reach trashed documents too, so they come back consistent.
+ * deleteOne/deleteMany remove documents for good.
+ */
+export function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: Types.ObjectId, ref: 'User', default: null },
+    deletion: { type: Types.ObjectId, default: null },
+  });
+
+  schema.index({ deletedAt: 1 });
+  schema.index({ deletion: 1 });
+
+  schema.pre(LIVE_ONLY_QUERIES, function (next) {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function (next) {
+    const first = this.pipeline()[0];
+    if (!first?.$match || !Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+}
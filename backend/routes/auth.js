@@ -1,11 +1,13 @@
 import dotenv from "dotenv";
 import { Router } from 'express';
 import jwt from "jsonwebtoken";
-import nodemailer from "nodemailer";
 import User from "../models/User.js";
 import crypto from "crypto";
 import bcrypt from "bcryptjs"; 
 import cookieParser from "cookie-parser";
+import { verifyAuth } from "../middleware/auth.js";
+import { sendEmail } from "../utils/mailer.js";
+import { renderEmail } from "../services/email-templates.js";
 
 dotenv.config({ path: "./config/secrets.env" });
 
@@ -19,33 +21,12 @@ const DEV_OTP_CODE = process.env.DEV_OTP_CODE || null;
 const ALLOW_DEV_OTP_IN_PROD = String(process.env.ALLOW_DEV_OTP_IN_PROD).toLowerCase() === "true";
 
 
-function getTransporter() {
-  if (process.env.MAILTRAP_HOST) {
-    return nodemailer.createTransport({
-      host: process.env.MAILTRAP_HOST,
-      port: Number(process.env.MAILTRAP_PORT ?? 2525),
-      auth: { user: process.env.MAILTRAP_USER, pass: process.env.MAILTRAP_PASS },
-    });
-  }
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    throw new Error("EMAIL_USER/EMAIL_PASS not set");
-  }
-  return nodemailer.createTransport({
-    service: "gmail",
-    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
-  });
-}
-
-const transporter = getTransporter();
-const FROM = process.env.EMAIL_FROM || `Little Farms <${process.env.EMAIL_USER}>`;
-
-transporter.verify().then(
-  () => console.log("Email transporter ready"),
-  (err) => console.error("Email transporter error:", err)
-);
-
 const signAccessToken = (user) => 
-  jwt.sign({ sub: user._id, role: user.role}, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  jwt.sign(
+    { sub: user._id, role: user.role, department: user.department ?? null },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
 
 const signRefreshToken = (user) => 
   jwt.sign({ sub: user._id }, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRES_IN });
@@ -232,13 +213,7 @@ router.post("/login", async (req, res) => {
     await user.save({ validateBeforeSave: false });
 
     try {
-      await transporter.sendMail({
-        from: { name: "Little Farms OTP", address: process.env.EMAIL_USER },
-        to: user.email,
-        subject: "Your Login OTP",
-        text: `Your OTP is ${otp}. It expires in 5 minutes.`,
-        html: `<p>Your OTP is <b>${otp}</b>. It expires in 5 minutes.</p>`,
-      });
+      await sendEmail({ to: user.email, ...renderEmail("otp", { otp }) });
       return res.json({ message: "OTP sent to your email" });
     } catch (mailErr) {
       console.error("EMAIL SEND ERROR:", mailErr);
@@ -467,15 +442,7 @@ router.post("/forgot-password", async (req, res) => {
     const link = `${frontend}/reset-password?token=${token}`;
 
     try {
-      await transporter.sendMail({
-        from: { name: "Little Farms", address: process.env.EMAIL_USER },
-        to: user.email,
-        subject: "Reset your password",
-        html: `<p>Click to reset your password:</p>
-              <p><a href="${link}">${link}</a></p>
-              <p>This link expires in 15 minutes.</p>`,
-        replyTo: "no-reply@wittlefarms.com",
-      });
+      await sendEmail({ to: user.email, ...renderEmail("password-reset", { link }) });
       console.log("[ForgotPassword] Sent link:", link);
     } catch (mailErr) {
       console.error("EMAIL SEND ERROR:", mailErr);
@@ -618,23 +585,6 @@ router.get("/check-reset-token", async (req, res) => {
   }
 });
 
-/**
- * Middleware (not an endpoint).
- */
-export function verifyAuth(req, res, next) {
-  const h = req.header("Authorization") || "";
-  const token = h.startsWith("Bearer ") ? h.slice(7) : null;
-  if (!token) return res.status(401).json({ message: "Missing token" });
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.userId = payload.sub;
-    req.userRole = payload.role;
-    next();
-  } catch {
-    return res.status(401).json({ message: "Invalid or expired token" });
-  }
-}
-
 /**
  * @openapi
  * /api/auth/me:
@@ -718,6 +668,9 @@ router.get("/session", verifyAuth, (req, res) => {
   });
 });
 
+// Kept exported from here for existing imports; the implementation lives in middleware/auth.js
+export { verifyAuth };
+
 export default router;
 
 /**
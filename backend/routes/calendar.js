@@ -1,8 +1,19 @@
 // backend/routes/calendar.js
 import { Router } from "express";
 import mongoose from "mongoose";
-import jwt from "jsonwebtoken";
-import Task from "../models/Task.js";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  calendarScope,
+  calendarTasks,
+  listFeeds,
+  openFeed,
+  regenerateFeed,
+  renderFeed,
+  revokeFeed,
+} from "../services/calendar.js";
+import { ICS_CONTENT_TYPE } from "../utils/ics.js";
+import { labelFilter } from "../utils/labels.js";
+import { projectOccurrences } from "../utils/recurrence.js";
 
 const r = Router();
 
@@ -13,40 +24,6 @@ const r = Router();
  *     description: Calendar-friendly task feed (deadline-based, per user)
  */
 
-const ACCESS_SECRET =
-  process.env.ACCESS_TOKEN_SECRET ||
-  process.env.JWT_ACCESS_SECRET ||
-  process.env.JWT_SECRET;
-
-function getTokenFromReq(req) {
-  // Authorization: Bearer <token>
-  const h = req.headers?.authorization || req.headers?.Authorization;
-  if (h && h.startsWith("Bearer ")) return h.slice(7);
-
-  // optional cookie fallback
-  const raw = req.headers?.cookie || "";
-  const hit = raw
-    .split(";")
-    .map((s) => s.trim())
-    .find((s) => /^access(Token)?=/.test(s) || /^jwt=/.test(s));
-  if (hit) return hit.split("=")[1];
-  return null;
-}
-
-function verifyJWT(req, res, next) {
-  try {
-    if (!ACCESS_SECRET)
-      return res.status(500).json({ error: "Server misconfigured: no JWT secret" });
-    const token = getTokenFromReq(req);
-    if (!token) return res.status(401).json({ error: "Unauthorized" });
-    const dec = jwt.verify(token, ACCESS_SECRET);
-    req.user = { id: dec.id ?? dec._id ?? dec.sub, role: dec.role };
-    next();
-  } catch {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-}
-
 const oid = (v) => {
   try {
     return new mongoose.Types.ObjectId(String(v));
@@ -55,7 +32,50 @@ const oid = (v) => {
   }
 };
 
-r.use(verifyJWT);
+/**
+ * @openapi
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Read-only iCalendar feed for calendar apps
+ *     description: >
+ *       The feed's tasks from the last 90 days and the next year, as `GET /api/calendar` picks
+ *       them: the owner's own tasks, or every task of the feed's project. Each recurring series
+ *       adds an event with its RRULE for the occurrences not created yet, and reminder offsets
+ *       become alarms. The token in the path is the only credential, so there is no bearer
+ *       token; a revoked or regenerated token, or a project the owner lost access to, gives 404.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           text/calendar:
+ *             schema: { type: string }
+ *       404:
+ *         description: No such feed
+ */
+r.get("/feeds/:file", async (req, res, next) => {
+  try {
+    const token = req.params.file.replace(/\.ics$/, "");
+    const ics = token === req.params.file ? null : await renderFeed(token, { uidDomain: req.hostname });
+    if (!ics) return res.status(404).type("text/plain").send("Calendar feed not found");
+
+    res.set("Content-Type", ICS_CONTENT_TYPE);
+    res.set("Content-Disposition", 'inline; filename="tasks.ics"');
+    // Calendar apps poll; a few minutes old is fine
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(ics);
+  } catch (err) {
+    next(err);
+  }
+});
+
+r.use(requireAuth);
 
 /**
  * @openapi
@@ -65,6 +85,8 @@ r.use(verifyJWT);
  *     description: >
  *       Returns tasks that **have a deadline within the provided time range** and are either
  *       **created by the user** or **assigned to the user**. Intended for calendar views.
+ *       `projected` lists the occurrences of the user's open recurring tasks in the range that
+ *       have not been created yet (none when filtering by `status`); they are read-only.
  *     tags: [Calendar]
  *     security:
  *       - bearerAuth: []
@@ -91,6 +113,16 @@ r.use(verifyJWT);
  *         schema:
  *           type: string
  *           enum: [ "To Do", "In Progress", "Done", "Overdue" ]
+ *       - in: query
+ *         name: labels
+ *         required: false
+ *         description: CSV of label IDs
+ *         schema: { type: string }
+ *       - in: query
+ *         name: labelMatch
+ *         required: false
+ *         description: Whether a task needs one of `labels` (any) or all of them
+ *         schema: { type: string, enum: [any, all], default: any }
  *     responses:
  *       200:
  *         description: Tasks in range for this user
@@ -132,6 +164,8 @@ r.use(verifyJWT);
  *               assignedTeamMembers:
  *                 - { _id: "55ab...", name: "Alice", email: "alice@ex.com", avatarUrl: "", role: "analyst" }
  *               createdBy: { _id: "55cd...", name: "Bob", email: "bob@ex.com" }
+ *               labels:
+ *                 - { _id: "88ef...", name: "Customer", color: "#1e88e5", project: null }
  */
 r.get("/", async (req, res, next) => {
   try {
@@ -144,30 +178,161 @@ r.get("/", async (req, res, next) => {
     if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime()))
       return res.status(400).json({ error: "Invalid start/end date" });
 
-    const me = oid(req.user?.id);
+    const me = oid(req.userId);
     if (!me) return res.status(401).json({ error: "Unauthorized" });
 
-    const and = [
-      { deadline: { $gte: startDate, $lt: endDate } }, // deadline in range
-      { $or: [{ createdBy: me }, { assignedTeamMembers: { $in: [me] } }] }, // mine or assigned to me
-    ];
-    if (projectId) {
-      const p = oid(projectId);
-      if (p) and.push({ assignedProject: p });
-    }
+    // mine or assigned to me (an invalid projectId is ignored)
+    const and = calendarScope(me, { projectId });
     if (status) and.push({ status });
 
-    const tasks = await Task.find({ $and: and })
-      .populate({ path: "assignedTeamMembers", select: "name email avatarUrl role" })
-      .populate({ path: "assignedProject", select: "name color" })
-      .populate({ path: "createdBy", select: "name email" })
-      .select(
-        "title notes allDay startAt endAt deadline status priority assignedTeamMembers assignedProject createdBy"
-      )
-      .sort({ deadline: 1 })
-      .lean();
-
-    res.json({ tasks });
+    const byLabel = labelFilter(req.query);
+    if (byLabel?.error) return res.status(400).json({ error: byLabel.error });
+    if (byLabel) and.push(byLabel);
+
+    // Later occurrences of open recurring tasks, before they exist (they have no status yet)
+    const { tasks, recurring } = await calendarTasks(and, { start: startDate, end: endDate, recurring: !status });
+    const projected = projectOccurrences(recurring, startDate, endDate);
+
+    res.json({ tasks, projected });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** A feed as the owner sees it, with the link to subscribe to. */
+const feedView = (req, feed) => ({
+  _id: feed._id,
+  project: feed.project ?? null,
+  url: `${req.protocol}://${req.get("host")}${req.baseUrl}/feeds/${feed.token}.ics`,
+  lastFetchedAt: feed.lastFetchedAt ?? null,
+  createdAt: feed.createdAt,
+  updatedAt: feed.updatedAt,
+});
+
+/**
+ * @openapi
+ * /api/calendar/feeds:
+ *   get:
+ *     summary: List the caller's calendar feeds
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The caller's feeds, "my tasks" first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/CalendarFeed' }
+ *       401:
+ *         description: Missing or invalid access token
+ *   post:
+ *     summary: Get (or create) the caller's feed for their tasks or a project
+ *     description: There is one feed per user and project; asking again returns the same one.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectId: { type: string, nullable: true, description: Leave out for "my tasks" }
+ *     responses:
+ *       200:
+ *         description: The existing feed
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CalendarFeed' }
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CalendarFeed' }
+ *       400:
+ *         description: Invalid projectId
+ *       403:
+ *         description: Caller cannot see the project
+ *       404:
+ *         description: Project not found
+ */
+r.get("/feeds", async (req, res, next) => {
+  try {
+    const feeds = await listFeeds(req.userId);
+    res.json(feeds.map((f) => feedView(req, f)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+r.post("/feeds", async (req, res, next) => {
+  try {
+    const result = await openFeed(req.userId, req.body?.projectId || null);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(result.created ? 201 : 200).json(feedView(req, result.feed));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/calendar/feeds/{id}/regenerate:
+ *   post:
+ *     summary: Give a feed a new link
+ *     description: The old link stops working; calendar apps subscribed to it must subscribe again.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The feed with its new link
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CalendarFeed' }
+ *       404:
+ *         description: The caller has no such feed
+ * /api/calendar/feeds/{id}:
+ *   delete:
+ *     summary: Revoke a feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204:
+ *         description: Revoked
+ *       404:
+ *         description: The caller has no such feed
+ */
+r.post("/feeds/:id/regenerate", async (req, res, next) => {
+  try {
+    if (!oid(req.params.id)) return res.status(404).json({ error: "Feed not found" });
+    const feed = await regenerateFeed(req.userId, req.params.id);
+    if (!feed) return res.status(404).json({ error: "Feed not found" });
+    res.json(feedView(req, feed));
+  } catch (err) {
+    next(err);
+  }
+});
+
+r.delete("/feeds/:id", async (req, res, next) => {
+  try {
+    if (!oid(req.params.id) || !(await revokeFeed(req.userId, req.params.id))) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    res.status(204).end();
   } catch (err) {
     next(err);
   }
@@ -192,6 +357,39 @@ export default r;
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/CalendarTask'
+ *         projected:
+ *           type: array
+ *           description: Upcoming occurrences of recurring tasks, not created yet
+ *           items:
+ *             $ref: '#/components/schemas/ProjectedOccurrence'
+ *
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         project:
+ *           type: object
+ *           nullable: true
+ *           description: null for the caller's own tasks
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *         url: { type: string, example: "https://api.example.com/api/calendar/feeds/3q2-7Xk.ics" }
+ *         lastFetchedAt: { type: string, format: date-time, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *         updatedAt: { type: string, format: date-time }
+ *
+ *     ProjectedOccurrence:
+ *       type: object
+ *       description: Task fields of the series' latest open task, at a later occurrence
+ *       properties:
+ *         seriesId: { type: string }
+ *         sourceTask: { type: string, description: The task it is projected from }
+ *         occurrenceDate: { type: string, format: date-time }
+ *         deadline: { type: string, format: date-time }
+ *         title: { type: string }
+ *         priority: { type: integer, nullable: true }
+ *         projected: { type: boolean, example: true }
  *
  *     CalendarTask:
  *       type: object
@@ -232,4 +430,12 @@ export default r;
  *             _id: { type: string }
  *             name: { type: string }
  *             email: { type: string, format: email }
+ *         labels:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: { type: string }
+ *               name: { type: string }
+ *               color: { type: string, example: "#1e88e5" }
  */
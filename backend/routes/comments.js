@@ -16,13 +16,60 @@ import { Router } from "express";
 import mongoose, { isValidObjectId } from "mongoose";
 import Comment from "../models/Comment.js";
 import Task from "../models/Task.js";
+import { requireAuth } from "../middleware/auth.js";
+import { canViewTask } from "../services/access-policy.js";
 import { createCommentNotifications, createMentionNotifications } from "../services/notification-service.js";
 import { resolveMentionUserIds } from "../services/resolve-mention.js";
+import { recordActivity } from "../services/activity-log.js";
+import { trashComment } from "../services/trash.js";
+import { emitNotification, emitTo, taskRoom } from "../services/realtime.js";
+import { publishEvent } from "../services/webhooks.js";
+import { commentPayload } from "../utils/webhooks.js";
+import {
+  MAX_REACTIONS_PER_COMMENT,
+  coerceEmoji,
+  nestReplies,
+  presentComment,
+  summarizeReactions,
+  threadIdOf,
+} from "../utils/comments.js";
 
 const router = Router();
 const toLocal = (s = "") => String(s).split("@")[0]?.toLowerCase() || "";
 const escapeRx = (s = "") => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
+const recordComment = (req, commentId, action, from, to) =>
+  recordActivity({
+    entityType: "Comment",
+    entityId: commentId,
+    task: req.params.taskId,
+    project: req.task?.assignedProject ?? null,
+    action,
+    actor: req.user._id,
+    changes: from === to ? [] : [{ field: "body", from, to }],
+  });
+
+router.use(requireAuth);
+
+// Every comment route is scoped to a task; the caller must be able to see it.
+// Invalid or unknown ids fall through so each route keeps its own 400/404.
+// The loaded task is kept on `req.task` for the audit trail.
+router.param("taskId", async (req, res, next, taskId) => {
+  try {
+    if (!isValidObjectId(taskId)) return next();
+    const task = await Task.findById(taskId)
+      .select("createdBy assignedTeamMembers assignedProject")
+      .lean();
+    if (task && !(await canViewTask(req.user, task))) {
+      return res.status(403).json({ error: "You do not have access to this task" });
+    }
+    req.task = task;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @openapi
  * /api/tasks/{taskId}/mentionable-users:
@@ -120,7 +167,10 @@ router.get("/:taskId/mentionable-users", async (req, res) => {
  * /api/tasks/{taskId}/comments:
  *   get:
  *     tags: [Comments]
- *     summary: List comments for a task (newest first, cursor-paginated)
+ *     summary: List comment threads for a task (newest first, cursor-paginated)
+ *     description: >
+ *       Pages over the comments that start a thread. Each has its `replies`, oldest
+ *       first, and its reactions counted per emoji.
  *     parameters:
  *       - in: path
  *         name: taskId
@@ -162,16 +212,27 @@ router.get("/:taskId/comments", async (req, res) => {
     const { cursor, limit = 20 } = req.query;
     if (!mongoose.Types.ObjectId.isValid(taskId)) return res.status(400).json({ error: "Invalid task id" });
 
-    const filter = { task: taskId };
+    // Pages over the threads' first comments; each comes with all of its replies
+    const filter = { task: taskId, parent: null };
     if (cursor) filter.createdAt = { $lt: new Date(cursor) };
 
-    const items = await Comment.find(filter)
+    const roots = await Comment.find(filter)
       .sort({ createdAt: -1 })
       .limit(Math.min(Number(limit) || 20, 100))
       .populate("author", "name email")
       .lean();
 
-    res.json({ items, nextCursor: items.length ? items[items.length - 1].createdAt : null });
+    const replies = roots.length
+      ? await Comment.find({ task: taskId, parent: { $in: roots.map((c) => c._id) } })
+        .sort({ createdAt: 1 })
+        .populate("author", "name email")
+        .lean()
+      : [];
+
+    res.json({
+      items: nestReplies(roots, replies),
+      nextCursor: roots.length ? roots[roots.length - 1].createdAt : null,
+    });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -182,7 +243,10 @@ router.get("/:taskId/comments", async (req, res) => {
  * /api/tasks/{taskId}/comments:
  *   post:
  *     tags: [Comments]
- *     summary: Create a comment on a task
+ *     summary: Create a comment on a task, or reply to one
+ *     description: >
+ *       With `parentId` the comment is a reply. Replies to a reply join the same
+ *       thread, and everyone who took part in the thread is notified.
  *     parameters:
  *       - in: path
  *         name: taskId
@@ -203,11 +267,18 @@ router.get("/:taskId/comments", async (req, res) => {
  *               $ref: '#/components/schemas/Comment'
  *       400:
  *         description: Validation error (invalid ids, missing body, etc.)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: The comment being replied to is not on this task
  */
 router.post('/:taskId/comments', async (req, res) => {
   try {
     const { taskId } = req.params;
-    const { author, body, clientKey } = req.body;
+    const { body, clientKey, parentId } = req.body;
+    const author = req.user._id;
     const mentions = await resolveMentionUserIds(taskId, body);
     const mentionsArr = Array.isArray(mentions)
       ? mentions
@@ -220,20 +291,28 @@ router.post('/:taskId/comments', async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(taskId)) {
       return res.status(400).json({ error: 'Invalid taskId' });
     }
-    if (!author || !mongoose.Types.ObjectId.isValid(author)) {
-      return res.status(400).json({ error: 'Invalid author' });
-    }
     if (!body || !body.trim()) {
       return res.status(400).json({ error: 'Comment body is required' });
     }
 
+    // A reply joins the thread of the comment it answers
+    let threadId = null;
+    if (parentId) {
+      if (!isValidObjectId(parentId)) return res.status(400).json({ error: 'Invalid parentId' });
+      const parent = await Comment.findOne({ _id: parentId, task: taskId });
+      if (!parent) return res.status(404).json({ error: 'Parent comment not found' });
+      threadId = threadIdOf(parent);
+    }
+
     const comment = await Comment.create({
       task: taskId,
       author,
       body: body.trim(),
       mentions: mentionIds,
+      parent: threadId,
       clientKey: clientKey || undefined,
     });
+    await recordComment(req, comment._id, 'created', null, comment.body);
 
 
     const populated = await Comment.findById(comment._id)
@@ -248,7 +327,8 @@ router.post('/:taskId/comments', async (req, res) => {
       commentId: populated._id,
       authorId: author,
       commentBody: body,
-      excludeUserIds: mentionSet
+      excludeUserIds: mentionSet,
+      threadId,
     });
 
     const mentionNotifs = await createMentionNotifications({
@@ -260,11 +340,14 @@ router.post('/:taskId/comments', async (req, res) => {
 
     const io = req.app.get('io');
     for (const n of [...createdNotifs, ...mentionNotifs]) {
-      io?.emit?.(`notification:${n.userId}`, n);
+      if (n.channels?.inApp === false) continue; // email-only for this recipient
+      emitNotification(io, n);
     }
-    io?.emit?.('task:comment:created', { taskId, comment: populated });
+    const created = presentComment(populated);
+    emitTo(io, [taskRoom(taskId)], 'task:comment:created', { taskId, comment: created });
+    await publishEvent('comment.created', { comment: commentPayload(populated) }, { actor: author });
 
-    res.status(201).json(populated);
+    res.status(201).json(created);
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
@@ -312,7 +395,7 @@ router.post('/:taskId/comments', async (req, res) => {
 router.put('/:taskId/comments/:commentId', async (req, res) => {
   try {
     const { taskId, commentId } = req.params;
-    const { body, author } = req.body;
+    const { body } = req.body;
 
     if (!isValidObjectId(taskId) || !isValidObjectId(commentId)) {
       return res.status(400).json({ error: 'Invalid task or comment id' });
@@ -321,10 +404,7 @@ router.put('/:taskId/comments/:commentId', async (req, res) => {
       return res.status(400).json({ error: 'Comment body is required' });
     }
 
-      const userId = req.user?._id || author;
-      if (!userId || !isValidObjectId(userId)) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
+    const userId = req.user._id;
 
     const existing = await Comment.findOne({ _id: commentId, task: taskId });
     if (!existing) return res.status(404).json({ error: 'Comment not found' });
@@ -332,10 +412,12 @@ router.put('/:taskId/comments/:commentId', async (req, res) => {
         return res.status(403).json({ error: 'Not allowed to edit this comment' });
       }
 
+    const previousBody = existing.body;
     existing.body = body.trim();
     existing.mentions = await resolveMentionUserIds(taskId, body);
     existing.editedAt = new Date();
     await existing.save();
+    await recordComment(req, existing._id, 'updated', previousBody, existing.body);
 
     await Comment.updateOne(
       { _id: commentId },
@@ -350,11 +432,11 @@ router.put('/:taskId/comments/:commentId', async (req, res) => {
     await createMentionNotifications({
       taskId,
       commentId: updated._id,
-      authorId: author,
+      authorId: userId,
       commentBody: updated.body
     })
 
-    res.json(updated);
+    res.json(presentComment(updated));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -366,6 +448,7 @@ router.put('/:taskId/comments/:commentId', async (req, res) => {
  *   delete:
  *     tags: [Comments]
  *     summary: Delete a comment
+ *     description: Moves it to the trash, from which its author can restore it (see /api/trash).
  *     parameters:
  *       - in: path
  *         name: taskId
@@ -396,16 +479,11 @@ router.put('/:taskId/comments/:commentId', async (req, res) => {
 router.delete('/:taskId/comments/:commentId', async (req, res) => {
   try {
     const { taskId, commentId } = req.params;
-    const { author } = req.body;
-
     if (!isValidObjectId(taskId) || !isValidObjectId(commentId)) {
       return res.status(400).json({ error: 'Invalid task or comment id' });
     }
 
-    const userId = req.user?._id || author;
-    if (!userId || !isValidObjectId(userId)) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
+    const userId = req.user._id;
 
     const comment = await Comment.findOne({ _id: commentId, task: taskId });
     if (!comment) return res.status(404).json({ error: 'Comment not found' });
@@ -414,10 +492,10 @@ router.delete('/:taskId/comments/:commentId', async (req, res) => {
       return res.status(403).json({ error: 'Not allowed to delete this comment' });
     }
 
-    await comment.deleteOne();
+    await trashComment(comment, userId);
+    await recordComment(req, comment._id, 'deleted', comment.body, null);
 
-    const io = req.app.get('io');
-    io?.emit?.('task:comment:deleted', { taskId, commentId });
+    emitTo(req.app.get('io'), [taskRoom(taskId)], 'task:comment:deleted', { taskId, commentId });
 
     res.json({ message: 'Comment deleted' });
   } catch (e) {
@@ -425,4 +503,186 @@ router.delete('/:taskId/comments/:commentId', async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/tasks/{taskId}/comments/{commentId}/reactions:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Add or take back the caller's reaction to a comment
+ *     description: >
+ *       Toggles: reacting again with the same emoji removes the reaction. Everyone
+ *       viewing the task gets the new counts as `task:comment:reactions`.
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [emoji]
+ *             properties:
+ *               emoji: { type: string, example: "👍" }
+ *     responses:
+ *       200:
+ *         description: The comment's reactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 commentId: { type: string }
+ *                 reacted:   { type: boolean, description: Whether the caller now has this reaction }
+ *                 reactions:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CommentReaction' }
+ *       400:
+ *         description: Invalid ids, not an emoji, or too many different emoji on the comment
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/:taskId/comments/:commentId/reactions', async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+    if (!isValidObjectId(taskId) || !isValidObjectId(commentId)) {
+      return res.status(400).json({ error: 'Invalid task or comment id' });
+    }
+    const emoji = coerceEmoji(req.body?.emoji);
+    if (!emoji) return res.status(400).json({ error: 'emoji must be an emoji' });
+
+    const comment = await Comment.findOne({ _id: commentId, task: taskId });
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    // Conditional updates, so two quick toggles never leave a duplicate behind
+    const mine = { emoji, user: req.user._id };
+    const reacted = (comment.reactions ?? []).some((r) => r.emoji === emoji && String(r.user) === String(req.user._id));
+    if (reacted) {
+      await Comment.updateOne({ _id: commentId, reactions: { $elemMatch: mine } }, { $pull: { reactions: mine } });
+    } else {
+      const emojis = new Set((comment.reactions ?? []).map((r) => r.emoji));
+      if (!emojis.has(emoji) && emojis.size >= MAX_REACTIONS_PER_COMMENT) {
+        return res.status(400).json({ error: `A comment can have at most ${MAX_REACTIONS_PER_COMMENT} different reactions` });
+      }
+      await Comment.updateOne(
+        { _id: commentId, reactions: { $not: { $elemMatch: mine } } },
+        { $push: { reactions: mine } }
+      );
+    }
+
+    const updated = await Comment.findById(commentId).select('reactions').lean();
+    const reactions = summarizeReactions(updated?.reactions);
+    emitTo(req.app.get('io'), [taskRoom(taskId)], 'task:comment:reactions', { taskId, commentId, reactions });
+
+    res.json({ commentId, reacted: !reacted, reactions });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Resolve or reopen a thread; only its first comment carries the state
+const setResolved = (resolved) => async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+    if (!isValidObjectId(taskId) || !isValidObjectId(commentId)) {
+      return res.status(400).json({ error: 'Invalid task or comment id' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, task: taskId });
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (comment.parent) {
+      return res.status(400).json({ error: 'Only the first comment of a thread can be resolved' });
+    }
+
+    const was = Boolean(comment.resolvedAt);
+    const fields = resolved
+      ? { resolvedAt: comment.resolvedAt ?? new Date(), resolvedBy: comment.resolvedBy ?? req.user._id }
+      : { resolvedAt: null, resolvedBy: null };
+    if (was !== resolved) {
+      await Comment.updateOne({ _id: commentId }, { $set: fields });
+      await recordActivity({
+        entityType: 'Comment',
+        entityId: comment._id,
+        task: taskId,
+        project: req.task?.assignedProject ?? null,
+        action: 'updated',
+        actor: req.user._id,
+        changes: [{ field: 'resolved', from: was, to: resolved }],
+      });
+      emitTo(req.app.get('io'), [taskRoom(taskId)], 'task:comment:resolved', { taskId, commentId, resolved, ...fields });
+    }
+
+    res.json({ commentId, resolved, ...fields });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/comments/{commentId}/resolve:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Mark a comment thread resolved
+ *     description: >
+ *       Anyone who can see the task can resolve a thread, and resolving one that
+ *       already is changes nothing. Viewers of the task get `task:comment:resolved`.
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The thread's resolution
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentResolution'
+ *       400:
+ *         description: Invalid ids, or the comment is a reply
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/:taskId/comments/:commentId/resolve', setResolved(true));
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/comments/{commentId}/reopen:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Reopen a resolved comment thread
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The thread's resolution
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentResolution'
+ *       400:
+ *         description: Invalid ids, or the comment is a reply
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/:taskId/comments/:commentId/reopen', setResolved(false));
+
 export default router;
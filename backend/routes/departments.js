@@ -1,8 +1,11 @@
 import express from 'express';
 import Department from '../models/Department.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.use(requireAuth);
+
 /**
  * @openapi
  * tags:
@@ -36,8 +39,10 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only HR and Senior Managers may manage departments
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('department:manage'), async (req, res) => {
   try {
     const { name, description } = req.body;
     const department = new Department({ name, description });
@@ -159,6 +164,8 @@ router.get('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only HR and Senior Managers may manage departments
  *       404:
  *         description: Department not found
  *         content:
@@ -166,7 +173,7 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('department:manage'), async (req, res) => {
   try {
     const { name, description } = req.body;
     const department = await Department.findByIdAndUpdate(
@@ -210,6 +217,8 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Department deleted successfully
+ *       403:
+ *         description: Only HR and Senior Managers may manage departments
  *       404:
  *         description: Department not found
  *         content:
@@ -223,7 +232,7 @@ router.put('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('department:manage'), async (req, res) => {
   try {
     const department = await Department.findByIdAndDelete(req.params.id);
     if (!department) {
@@ -3,6 +3,11 @@ import mongoose from 'mongoose';
 import Project from '../models/Project.js';
 import Task from '../models/Task.js';
 import User from '../models/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { categoryOf, isDone, reportBucket } from '../utils/workflow.js';
+import { canViewDepartmentReport } from '../services/access-policy.js';
+import { loggedMinutesByUser } from '../services/time-tracking.js';
+import { toHours } from '../utils/time-tracking.js';
 import dayjs from 'dayjs';
 import isBetween from 'dayjs/plugin/isBetween.js';
 
@@ -10,6 +15,8 @@ dayjs.extend(isBetween);
 
 const router = Router();
 
+router.use(requireAuth);
+
 /**
  * @openapi
  * tags:
@@ -48,6 +55,11 @@ const router = Router();
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
+ *       403:
+ *         description: Caller is not the Director of this department
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       500:
  *         description: Failed to generate report
  *         content:
@@ -112,6 +124,8 @@ const router = Router();
  *                 completedTasks: 1
  *                 overdueTasks: 0
  *                 overdueRate: 0
+ *                 estimatedHours: 24
+ *                 loggedHours: 19.5
  *           departmentInfo:
  *             departmentId: "66a1e9d5f4b5f2a5c1d3b9e0"
  *             departmentName: "Engineering"
@@ -128,6 +142,10 @@ router.get('/report', async (req, res) => {
       return res.status(400).json({ error: 'Invalid department ID' });
     }
 
+    if (!canViewDepartmentReport(req.user, departmentId)) {
+      return res.status(403).json({ error: 'You can only view the report for your own department' });
+    }
+
     const departmentProjects = await Project.find({
       department: departmentId
     })
@@ -158,7 +176,7 @@ router.get('/report', async (req, res) => {
     const departmentProjectTasks = departmentTasks;
     const departmentMemberIds = departmentUsers.map(user => String(user._id));
     const departmentMemberCompletedTasks = departmentTasks.filter(t => 
-      t.status === 'Done' && 
+      isDone(t) && 
       t.assignedTeamMembers.some(member => 
         departmentMemberIds.includes(String(member._id))
       )
@@ -174,7 +192,7 @@ router.get('/report', async (req, res) => {
 
     const completedProjects = departmentProjects.filter(p => {
       const projectTasks = departmentProjectTasks.filter(t => String(t.assignedProject._id) === String(p._id));
-      return projectTasks.length > 0 && projectTasks.every(t => t.status === 'Done');
+      return projectTasks.length > 0 && projectTasks.every(t => isDone(t));
     });
 
     const avgProjectCompletionDays = completedProjects.length > 0
@@ -194,22 +212,26 @@ router.get('/report', async (req, res) => {
         }, 0) / completedProjects.length
       : 0;
 
+    // Logged vs. estimated effort on the department's tasks
+    const loggedByUser = await loggedMinutesByUser(departmentTasks.map(t => t._id));
+
     const departmentTeam = departmentUsers.map(user => {
       const userTasks = departmentProjectTasks.filter(t => 
         t.assignedTeamMembers.some(m => String(m._id) === String(user._id))
       );
       
-      const todoTasks = userTasks.filter(t => t.status === 'To Do').length;
-      const inProgressTasks = userTasks.filter(t => t.status === 'In Progress').length;
-      const completedTasks = userTasks.filter(t => t.status === 'Done').length;
+      const todoTasks = userTasks.filter(t => categoryOf(t) === 'not_started').length;
+      const inProgressTasks = userTasks.filter(t => categoryOf(t) === 'active').length;
+      const completedTasks = userTasks.filter(t => isDone(t)).length;
       
       const overdueTasks = userTasks.filter(t => {
-        if (!t.deadline || t.status === 'Done') return false;
+        if (!t.deadline || isDone(t)) return false;
         return dayjs().isAfter(dayjs(t.deadline), 'day');
       }).length;
       
       const totalTasks = userTasks.length;
       const overdueRate = totalTasks > 0 ? Number(((overdueTasks / totalTasks) * 100).toFixed(1)) : 0;
+      const estimatedMinutes = userTasks.reduce((acc, t) => acc + (t.estimateMinutes || 0), 0);
       
       return {
         userId: user._id,
@@ -220,7 +242,9 @@ router.get('/report', async (req, res) => {
         inProgressTasks,
         completedTasks,
         overdueTasks,
-        overdueRate
+        overdueRate,
+        estimatedHours: toHours(estimatedMinutes),
+        loggedHours: toHours(loggedByUser.get(String(user._id)))
       };
     });
 
@@ -233,9 +257,9 @@ router.get('/report', async (req, res) => {
       if (projectTasks.length === 0) {
         status = 'To Do';
       } else {
-        const allDone = projectTasks.every(t => t.status === 'Done');
-        const hasInProgress = projectTasks.some(t => t.status === 'In Progress');
-        const allToDo = projectTasks.every(t => t.status === 'To Do');
+        const allDone = projectTasks.every(t => isDone(t));
+        const hasInProgress = projectTasks.some(t => categoryOf(t) === 'active');
+        const allToDo = projectTasks.every(t => categoryOf(t) === 'not_started');
         const projectOverdue = project.deadline && dayjs().isAfter(dayjs(project.deadline), 'day');
         
         if (projectOverdue && !allDone) {
@@ -265,8 +289,8 @@ router.get('/report', async (req, res) => {
     const taskStatusCounts = { 'To Do': 0, 'In Progress': 0, 'Done': 0, 'Overdue': 0 };
     
     departmentProjectTasks.forEach(task => {
-      let status = task.status;
-      if (task.deadline && task.status !== 'Done' && dayjs().isAfter(dayjs(task.deadline), 'day')) {
+      let status = reportBucket(task);
+      if (task.deadline && !isDone(task) && dayjs().isAfter(dayjs(task.deadline), 'day')) {
         status = 'Overdue';
       }
       taskStatusCounts[status]++;
@@ -281,7 +305,7 @@ router.get('/report', async (req, res) => {
     };
 
     const overdueTasks = departmentProjectTasks.filter(t => {
-      if (!t.deadline || t.status === 'Done') return false;
+      if (!t.deadline || isDone(t)) return false;
       if (!dayjs().isAfter(dayjs(t.deadline), 'day')) return false;
       return true;
     });
@@ -335,9 +359,9 @@ router.get('/report', async (req, res) => {
       if (projectTasks.length === 0) {
         status = 'To Do';
       } else {
-        const allDone = projectTasks.every(t => t.status === 'Done');
-        const hasInProgress = projectTasks.some(t => t.status === 'In Progress');
-        const allToDo = projectTasks.every(t => t.status === 'To Do');
+        const allDone = projectTasks.every(t => isDone(t));
+        const hasInProgress = projectTasks.some(t => categoryOf(t) === 'active');
+        const allToDo = projectTasks.every(t => categoryOf(t) === 'not_started');
         const projectOverdue = project.deadline && dayjs().isAfter(dayjs(project.deadline), 'day');
         if (projectOverdue && !allDone) {
           status = 'Overdue';
@@ -353,7 +377,7 @@ router.get('/report', async (req, res) => {
       }
 
       const overdueTasksInProject = allProjectTasks.filter(t => {
-        if (!t.deadline || t.status === 'Done') return false;
+        if (!t.deadline || isDone(t)) return false;
         return dayjs().isAfter(dayjs(t.deadline), 'day');
       });
 
@@ -402,7 +426,7 @@ router.get('/report', async (req, res) => {
 
     const completedProjectsCount = departmentProjects.filter(project => {
       const projectTasks = departmentProjectTasks.filter(t => String(t.assignedProject._id) === String(project._id));
-      return projectTasks.length > 0 && projectTasks.every(t => t.status === 'Done');
+      return projectTasks.length > 0 && projectTasks.every(t => isDone(t));
     }).length;
     
     const currentCompletionRate = totalProjects > 0 ? (completedProjectsCount / totalProjects) * 100 : 0;
@@ -446,6 +470,8 @@ router.get('/report', async (req, res) => {
       },
       teamPerformance: {
         teamSize: departmentUsers.length,
+        estimatedHours: toHours(departmentTasks.reduce((acc, t) => acc + (t.estimateMinutes || 0), 0)),
+        loggedHours: toHours([...loggedByUser.values()].reduce((acc, m) => acc + m, 0)),
         departmentTeam: departmentTeam
       },
       departmentInfo: {
@@ -594,6 +620,8 @@ export default router;
  *       type: object
  *       properties:
  *         teamSize: { type: integer, example: 4 }
+ *         estimatedHours: { type: number, description: Original estimates of the department's tasks, example: 120 }
+ *         loggedHours: { type: number, description: Time anyone logged on the department's tasks, example: 96.5 }
  *         departmentTeam:
  *           type: array
  *           items: { $ref: '#/components/schemas/TeamMemberPerf' }
@@ -610,6 +638,8 @@ export default router;
  *         completedTasks: { type: integer }
  *         overdueTasks: { type: integer }
  *         overdueRate: { type: number, format: float }
+ *         estimatedHours: { type: number, description: Original estimates of the tasks they are assigned to }
+ *         loggedHours: { type: number, description: Time they logged on the department's tasks }
  *
  *     DepartmentInfo:
  *       type: object
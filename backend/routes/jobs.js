@@ -0,0 +1,164 @@
+import { Router } from 'express';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import {
+  getJobDefinition,
+  listJobs,
+  listRuns,
+  triggerJob,
+} from '../services/job-scheduler.js';
+
+const router = Router();
+
+router.use(requireAuth, requirePermission('job:manage'));
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         _id:          { type: string }
+ *         job:          { type: string, example: reminders }
+ *         trigger:      { type: string, enum: [schedule, catch-up, retry, manual] }
+ *         scheduledFor: { type: string, format: date-time, nullable: true }
+ *         attempt:      { type: integer }
+ *         status:       { type: string, enum: [running, succeeded, failed] }
+ *         startedAt:    { type: string, format: date-time }
+ *         finishedAt:   { type: string, format: date-time, nullable: true }
+ *         durationMs:   { type: integer, nullable: true }
+ *         error:        { type: string, nullable: true }
+ *         worker:       { type: string, description: "host:pid of the instance that ran it" }
+ *     ScheduledJob:
+ *       type: object
+ *       properties:
+ *         name:          { type: string, example: reminders }
+ *         schedule:      { type: string, example: "* * * * *" }
+ *         timezone:      { type: string, example: Asia/Singapore }
+ *         enabled:       { type: boolean }
+ *         nextRunAt:     { type: string, format: date-time }
+ *         attempt:       { type: integer, description: Failed attempts at the current slot }
+ *         maxAttempts:   { type: integer }
+ *         lastRunAt:     { type: string, format: date-time, nullable: true }
+ *         lastSuccessAt: { type: string, format: date-time, nullable: true }
+ *         lastStatus:    { type: string, enum: [succeeded, failed], nullable: true }
+ *         lastError:     { type: string, nullable: true }
+ *         running:       { type: boolean }
+ *         recentRuns:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/JobRun' }
+ */
+
+/**
+ * @openapi
+ * /api/admin/jobs:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: List scheduled jobs with their state and last few runs
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ScheduledJob' }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Only HR and Senior Managers can manage jobs
+ */
+router.get('/', async (_req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/jobs/{name}/runs:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: Run history for one job, newest first
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *       - in: query
+ *         name: before
+ *         description: Only runs started before this time (for paging)
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/JobRun' }
+ *       400:
+ *         description: Invalid limit or before
+ *       404:
+ *         description: Unknown job
+ */
+router.get('/:name/runs', async (req, res) => {
+  if (!getJobDefinition(req.params.name)) return res.status(404).json({ error: 'Job not found' });
+
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+  }
+  const before = req.query.before === undefined ? undefined : new Date(req.query.before);
+  if (before && Number.isNaN(before.getTime())) {
+    return res.status(400).json({ error: 'before must be a date' });
+  }
+
+  try {
+    res.json(await listRuns(req.params.name, { limit, before }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/jobs/{name}/run:
+ *   post:
+ *     tags: [Jobs]
+ *     summary: Run a job now
+ *     description: Runs outside the schedule and waits for it to finish. The next scheduled run is unchanged.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The finished run (check `status`; a failed job still returns 200)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/JobRun' }
+ *       404:
+ *         description: Unknown job
+ *       409:
+ *         description: The job is already running
+ */
+router.post('/:name/run', async (req, res) => {
+  if (!getJobDefinition(req.params.name)) return res.status(404).json({ error: 'Job not found' });
+
+  try {
+    const run = await triggerJob(req.params.name);
+    if (!run) return res.status(409).json({ error: 'Job is already running' });
+    res.json(run);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,248 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import Label from '../models/Label.js';
+import Project from '../models/Project.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  canManageLabel,
+  canViewProject,
+  projectVisibilityFilter,
+} from '../services/access-policy.js';
+import { deleteLabel, listLabels } from '../services/labels.js';
+import { validateLabel } from '../utils/labels.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+const PROJECT_ACCESS_FIELDS = 'createdBy teamMembers department';
+const DUPLICATE_ERROR = 'A label with this name already exists here';
+
+/** The label's project (access fields only), or null for an organisation-wide label. */
+const projectOf = (label) =>
+  label.project ? Project.findById(label.project).select(PROJECT_ACCESS_FIELDS).lean() : null;
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Label:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         name: { type: string, example: "Customer" }
+ *         color: { type: string, example: "#1e88e5" }
+ *         project:
+ *           type: object
+ *           nullable: true
+ *           description: null for organisation-wide labels
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *         createdBy: { type: string }
+ */
+
+/**
+ * @openapi
+ * /api/labels:
+ *   get:
+ *     tags: [Labels]
+ *     summary: List labels
+ *     description: |
+ *       With `project`, the labels usable in that project (organisation-wide ones first).
+ *       Without it, organisation-wide labels plus those of every project the caller can see.
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema: { type: string }
+ *         description: Project ID (ObjectId)
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Label' }
+ *       400:
+ *         description: Invalid project id
+ *       403:
+ *         description: Caller may not view this project
+ *       404:
+ *         description: Project not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { project: projectId } = req.query;
+    if (projectId) {
+      if (!isValidObjectId(projectId)) return res.status(400).json({ error: 'Invalid project id' });
+      const project = await Project.findById(projectId).select(PROJECT_ACCESS_FIELDS).lean();
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+      if (!canViewProject(req.user, project)) {
+        return res.status(403).json({ error: 'You do not have access to this project' });
+      }
+      return res.json(await listLabels([project._id]));
+    }
+
+    const visible = await Project.find(projectVisibilityFilter(req.user) ?? {}).distinct('_id');
+    res.json(await listLabels(visible));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/labels:
+ *   post:
+ *     tags: [Labels]
+ *     summary: Create a label
+ *     description: |
+ *       Without `project` the label is organisation-wide (HR and Senior Managers only);
+ *       with it, anyone who can see the project may add one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, maxLength: 50 }
+ *               color: { type: string, example: "#1e88e5" }
+ *               project: { type: string, nullable: true }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Label' }
+ *       400:
+ *         description: Missing name, bad colour or project id
+ *       403:
+ *         description: Caller may not manage labels in this scope
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A label with this name already exists in this scope
+ */
+router.post('/', async (req, res) => {
+  const { label, error } = validateLabel(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const projectId = req.body.project || null;
+    let project = null;
+    if (projectId) {
+      if (!isValidObjectId(projectId)) return res.status(400).json({ error: 'Invalid project id' });
+      project = await Project.findById(projectId).select(PROJECT_ACCESS_FIELDS).lean();
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canManageLabel(req.user, project)) {
+      return res.status(403).json({ error: 'You may not manage labels here' });
+    }
+
+    const doc = await Label.create({ ...label, project: projectId, createdBy: req.userId });
+    res.status(201).json(doc);
+  } catch (e) {
+    if (e?.code === 11000) return res.status(409).json({ error: DUPLICATE_ERROR });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/labels/{id}:
+ *   put:
+ *     tags: [Labels]
+ *     summary: Rename or recolour a label
+ *     description: The scope (organisation or project) cannot change.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string, maxLength: 50 }
+ *               color: { type: string }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Label' }
+ *       400:
+ *         description: Invalid id, name or colour
+ *       403:
+ *         description: Caller may not manage this label
+ *       404:
+ *         description: Label not found
+ *       409:
+ *         description: Name clashes with another label in the same scope
+ */
+router.put('/:id', async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid label id' });
+  const { label: updates, error } = validateLabel(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const label = await Label.findById(req.params.id);
+    if (!label) return res.status(404).json({ error: 'Label not found' });
+    if (!canManageLabel(req.user, await projectOf(label))) {
+      return res.status(403).json({ error: 'You may not manage this label' });
+    }
+
+    label.set(updates);
+    await label.save();
+    res.json(label);
+  } catch (e) {
+    if (e?.code === 11000) return res.status(409).json({ error: DUPLICATE_ERROR });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/labels/{id}:
+ *   delete:
+ *     tags: [Labels]
+ *     summary: Delete a label
+ *     description: The label is removed from every task and project carrying it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid label id
+ *       403:
+ *         description: Caller may not manage this label
+ *       404:
+ *         description: Label not found
+ */
+router.delete('/:id', async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid label id' });
+  try {
+    const label = await Label.findById(req.params.id).lean();
+    if (!label) return res.status(404).json({ error: 'Label not found' });
+    if (!canManageLabel(req.user, await projectOf(label))) {
+      return res.status(403).json({ error: 'You may not manage this label' });
+    }
+
+    await deleteLabel(label._id);
+    res.json({ message: 'Label deleted' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  getPreferences,
+  preferencesUpdate,
+  updatePreferences,
+} from '../services/notification-preferences.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     NotificationChannels:
+ *       type: object
+ *       properties:
+ *         inApp: { type: boolean }
+ *         email: { type: boolean }
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         types:
+ *           type: object
+ *           description: Channel switches per notification type
+ *           properties:
+ *             reminder: { $ref: '#/components/schemas/NotificationChannels' }
+ *             overdue:  { $ref: '#/components/schemas/NotificationChannels' }
+ *             comment:  { $ref: '#/components/schemas/NotificationChannels' }
+ *             mention:  { $ref: '#/components/schemas/NotificationChannels' }
+ *             update:   { $ref: '#/components/schemas/NotificationChannels' }
+ *         quietHours:
+ *           type: object
+ *           description: Email is held while quiet hours are on; in-app still arrives
+ *           properties:
+ *             enabled: { type: boolean }
+ *             start:   { type: string, example: "22:00" }
+ *             end:     { type: string, example: "07:00" }
+ *         timezone:       { type: string, example: "Asia/Singapore" }
+ *         emailFrequency: { type: string, enum: [instant, hourly, daily] }
+ */
+
+/**
+ * @openapi
+ * /api/notifications/preferences:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: The caller's notification preferences (defaults if never saved)
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/NotificationPreferences' }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json(await getPreferences(req.userId));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/preferences:
+ *   put:
+ *     tags: [Notifications]
+ *     summary: Update the caller's notification preferences
+ *     description: Partial update; only the fields sent are changed.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/NotificationPreferences' }
+ *     responses:
+ *       200:
+ *         description: Saved preferences
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/NotificationPreferences' }
+ *       400:
+ *         description: Unknown type/channel, bad time, timezone or frequency
+ *       401:
+ *         description: Not authenticated
+ */
+router.put('/preferences', async (req, res) => {
+  const { update, error } = preferencesUpdate(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.json(await updatePreferences(req.userId, update));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+export default router;
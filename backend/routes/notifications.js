@@ -0,0 +1,236 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  countUnread,
+  listNotifications,
+  markAllNotifications,
+  updateNotification,
+} from '../services/notification-inbox.js';
+import { snoozeNotification } from '../services/personal-reminders.js';
+import { emitTo, userRoom } from '../services/realtime.js';
+import { inboxQuery } from '../utils/notification-inbox.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+// The user's other tabs and the bell re-read their unread count
+const _changed = (req) => emitTo(req.app.get('io'), [userRoom(req.userId)], 'notifications:changed', {});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         type: { type: string, enum: [reminder, overdue, comment, mention, update] }
+ *         message: { type: string }
+ *         taskId:
+ *           type: object
+ *           properties:
+ *             _id: { type: string }
+ *             title: { type: string }
+ *             deadline: { type: string, format: date-time }
+ *             assignedProject: { type: string }
+ *         taskIds: { type: array, items: { type: string }, description: Bulk changes only }
+ *         commentId: { type: string, nullable: true }
+ *         read: { type: boolean }
+ *         archived: { type: boolean }
+ *         scheduledFor: { type: string, format: date-time }
+ */
+
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: The caller's notification inbox, newest first
+ *     parameters:
+ *       - { in: query, name: cursor, schema: { type: string }, description: "`nextCursor` of the previous page" }
+ *       - { in: query, name: limit, schema: { type: integer, default: 20, maximum: 100 } }
+ *       - { in: query, name: type, schema: { type: string }, description: One type, or several comma-separated }
+ *       - { in: query, name: read, schema: { type: boolean } }
+ *       - { in: query, name: archived, schema: { type: boolean, default: false }, description: true lists the archive instead }
+ *       - { in: query, name: project, schema: { type: string }, description: Only notifications about the project's tasks }
+ *       - { in: query, name: from, schema: { type: string, format: date-time } }
+ *       - { in: query, name: to, schema: { type: string, format: date-time } }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items: { type: array, items: { $ref: '#/components/schemas/Notification' } }
+ *                 nextCursor: { type: string, nullable: true }
+ *       400:
+ *         description: Invalid filter or cursor
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', async (req, res) => {
+  const options = inboxQuery(req.query);
+  if (options.error) return res.status(400).json({ error: options.error });
+  try {
+    res.json(await listNotifications(req.userId, options));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/unread-count:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: How many unread notifications are in the caller's inbox
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({ count: await countUnread(req.userId) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/mark-all:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Mark everything in the inbox up to a time read (or unread)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               read: { type: boolean, default: true }
+ *               before: { type: string, format: date-time, description: Defaults to now }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated: { type: integer }
+ *       400:
+ *         description: Invalid `read` or `before`
+ */
+router.post('/mark-all', async (req, res) => {
+  const { read = true, before } = req.body ?? {};
+  if (typeof read !== 'boolean') return res.status(400).json({ error: 'read must be true or false' });
+  const until = before === undefined ? new Date() : new Date(before);
+  if (Number.isNaN(until.getTime())) return res.status(400).json({ error: "Invalid 'before' date" });
+  try {
+    const updated = await markAllNotifications(req.userId, { read, before: until });
+    if (updated) _changed(req);
+    res.json({ updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/{id}:
+ *   patch:
+ *     tags: [Notifications]
+ *     summary: Mark a notification read or unread, or (un)archive it
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               read: { type: boolean }
+ *               archived: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: The updated notification
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Notification' }
+ *       400:
+ *         description: Nothing to change, or a value is not a boolean
+ *       404:
+ *         description: Not one of the caller's notifications
+ */
+router.patch('/:id', async (req, res) => {
+  const { read, archived } = req.body ?? {};
+  if (read === undefined && archived === undefined) {
+    return res.status(400).json({ error: 'Nothing to change: send read or archived' });
+  }
+  if ([read, archived].some((v) => v !== undefined && typeof v !== 'boolean')) {
+    return res.status(400).json({ error: 'read and archived must be true or false' });
+  }
+  try {
+    const notification = await updateNotification(req.userId, req.params.id, { read, archived });
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+    _changed(req);
+    res.json(notification);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/{id}/snooze:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Put off a reminder or overdue notification
+ *     description: >
+ *       Marks the notification read and creates a personal reminder about its task
+ *       that only the caller receives, `minutes` from now or at `until`.
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes: { type: integer, minimum: 1, maximum: 129600 }
+ *               until: { type: string, format: date-time, description: Alternative to `minutes` }
+ *     responses:
+ *       201:
+ *         description: The follow-up reminder
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PersonalReminder' }
+ *       400:
+ *         description: Not a reminder or overdue notification, or a bad duration/time
+ *       404:
+ *         description: Not one of the caller's notifications, or its task is gone
+ */
+router.post('/:id/snooze', async (req, res) => {
+  try {
+    const { reminder, status, error } = await snoozeNotification(req.userId, req.params.id, req.body ?? {});
+    if (error) return res.status(status).json({ error });
+    _changed(req);
+    res.status(201).json(reminder);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
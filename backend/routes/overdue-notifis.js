@@ -3,9 +3,14 @@ import Project from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import { sendEmail } from "../utils/mailer.js";
+import { isDone } from "../utils/workflow.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { canManageProject } from "../services/access-policy.js";
 
 const router = express.Router();
 
+router.use(requireAuth);
+
 /**
  * @openapi
  * /api/notifications/overdue:
@@ -56,6 +61,8 @@ const router = express.Router();
  *                 error:
  *                   type: string
  *                   example: Missing ?project=
+ *       403:
+ *         description: Only the project owner (or a Senior Manager) may send the digest
  *       404:
  *         description: Project not found
  *         content:
@@ -74,13 +81,16 @@ const router = express.Router();
  * Sends one consolidated email to the project manager (project.createdBy)
  * listing all overdue tasks + team members + subtasks.
  */
-router.post("/overdue", async (req, res) => {
+router.post("/overdue", requirePermission("notification:overdue"), async (req, res) => {
   const { project: projectId } = req.query;
   if (!projectId) return res.status(400).json({ error: "Missing ?project=" });
 
   // Fetch project and manager info
   const project = await Project.findById(projectId).lean();
   if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!canManageProject(req.user, project, "notification:overdue")) {
+    return res.status(403).json({ error: "Only the project owner can send overdue notifications" });
+  }
 
   const manager = await User.findById(project.createdBy).lean();
   if (!manager?.email) {
@@ -92,7 +102,7 @@ router.post("/overdue", async (req, res) => {
   // Find overdue tasks
   const overdueTasks = await Task.find({
     assignedProject: projectId,
-    status: { $ne: "Done" },
+    statusCategory: { $ne: "done" },
     deadline: { $lt: now },
   })
     .populate("assignedTeamMembers", "name email")
@@ -102,7 +112,7 @@ router.post("/overdue", async (req, res) => {
   const overdueBySubtasks = await Task.find({
     assignedProject: projectId,
     "subtasks.deadline": { $lt: now },
-    "subtasks.status": { $ne: "Done" },
+    "subtasks.statusCategory": { $ne: "done" },
   })
     .populate("assignedTeamMembers", "name email")
     .lean();
@@ -132,7 +142,7 @@ router.post("/overdue", async (req, res) => {
       // Include subtasks (if any)
       const subHTML = Array.isArray(t.subtasks)
         ? t.subtasks
-            .filter((s) => s?.deadline && s?.status !== "Done" && new Date(s.deadline) < now)
+            .filter((s) => s?.deadline && !isDone(s) && new Date(s.deadline) < now)
             .map(
               (s) =>
                 `<li style="margin-top:4px;">
@@ -1,9 +1,44 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
 import Project from '../models/Project.js';
+import ProjectTemplate from '../models/ProjectTemplate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import {
+  canManageProject,
+  canViewProject,
+  isCompanyWide,
+  projectVisibilityFilter,
+  ROLES,
+} from '../services/access-policy.js';
+import {
+  activityPageOptions,
+  diffFields,
+  listActivity,
+  PROJECT_AUDIT_FIELDS,
+  recordActivity,
+} from '../services/activity-log.js';
+import { migrateTasks } from '../services/workflow.js';
+import { LABEL_FIELDS, resolveLabels } from '../services/labels.js';
+import { coerceLabelIds, labelFilter } from '../utils/labels.js';
+import { loadBoardTasks } from '../services/board.js';
+import { instantiateTemplate } from '../services/templates.js';
+import { trashProject } from '../services/trash.js';
+import { parseStartDate } from '../utils/templates.js';
+import { validateWorkflow, workflowOf } from '../utils/workflow.js';
+import { buildColumns } from '../utils/board.js';
+import { emitTo, joinProjectRoom, peopleRooms, projectRoom } from '../services/realtime.js';
+import { leaveProjectRoom } from '../services/socket-handlers.js';
+import { publishEvent } from '../services/webhooks.js';
+import { projectPayload, taskPayload } from '../utils/webhooks.js';
 
 const router = Router();
 
+// What PUT /api/projects/:id may change. The workflow has its own endpoint because
+// tasks may need migrating; ownership and trash state are never set from a body.
+const PROJECT_UPDATE_FIELDS = ['name', 'description', 'deadline', 'department', 'teamMembers', 'labels'];
+
+router.use(requireAuth);
+
 /**
  * @openapi
  * /api/projects:
@@ -17,31 +52,162 @@ const router = Router();
  *           schema:
  *             type: object
  *             description: Project fields (must match your Project model)
+ *             properties:
+ *               workflow: { $ref: '#/components/schemas/Workflow' }
+ *               labels:
+ *                 type: array
+ *                 description: Organisation-wide label IDs
+ *                 items: { type: string }
  *     responses:
  *       201:
- *         description: Created
+ *         description: Created (createdBy is the authenticated caller)
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Role may not create projects
  */
 /**
  * CREATE Project
  * POST /api/projects
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('project:create'), async (req, res) => {
   try {
-    const doc = await Project.create(req.body);
+    const body = { ...req.body };
+    if (body.workflow != null) {
+      const { workflow, error } = validateWorkflow(body.workflow);
+      if (error) return res.status(400).json({ error });
+      body.workflow = workflow;
+    }
+    const labelIds = coerceLabelIds(body.labels);
+    if (labelIds.error) return res.status(400).json({ error: labelIds.error });
+    if (labelIds.ids !== undefined) {
+      // A new project has no labels of its own yet
+      const labels = await resolveLabels(labelIds.ids, null);
+      if (labels.error) return res.status(labels.status).json({ error: labels.error });
+      body.labels = labelIds.ids;
+    }
+    const doc = await Project.create({ ...body, createdBy: req.userId });
+    await recordActivity({
+      entityType: 'Project',
+      entityId: doc._id,
+      project: doc._id,
+      action: 'created',
+      actor: req.userId,
+    });
 
     const project = await Project.findById(doc._id)
       .populate('createdBy', 'name email')
       .populate('teamMembers', 'name email')
       .populate('department', 'name description')
+      .populate('labels', LABEL_FIELDS)
 
+    joinProjectRoom(req.app.get('io'), [doc.createdBy, ...(doc.teamMembers ?? [])], doc._id);
     res.status(201).json(project);
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
+/** Array (or single id) of ObjectIds from a request body; null when any is invalid. */
+const idList = (input) => {
+  const ids = input == null ? [] : [].concat(input).map(String);
+  return ids.every((id) => mongoose.Types.ObjectId.isValid(id)) ? [...new Set(ids)] : null;
+};
+
+/**
+ * @openapi
+ * /api/projects/from-template/{id}:
+ *   post:
+ *     tags: [Projects]
+ *     summary: Create a project and its tasks from a template
+ *     description: |
+ *       Creates the project and every task and subtask of the template in one request.
+ *       Day offsets are resolved against `startDate` (Asia/Singapore): tasks start at the
+ *       beginning of their start day and are due at the end of their deadline day.
+ *       Tasks are assigned to the members (creator included) whose role the template asks for.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate]
+ *             properties:
+ *               startDate: { type: string, example: "2025-12-01", description: Date or date-time; only its day is used }
+ *               name: { type: string, description: Defaults to the template's project name }
+ *               description: { type: string }
+ *               department:
+ *                 type: array
+ *                 items: { type: string }
+ *               teamMembers:
+ *                 type: array
+ *                 items: { type: string }
+ *     responses:
+ *       201:
+ *         description: Created; `tasks` lists the new tasks in template order
+ *       400:
+ *         description: Missing/invalid start date or IDs
+ *       403:
+ *         description: Role may not create projects
+ *       404:
+ *         description: Template not found
+ */
+router.post('/from-template/:id', requirePermission('project:create'), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid template id' });
+  }
+  const { startDate, name, description } = req.body ?? {};
+  const start = parseStartDate(startDate);
+  if (!start) return res.status(400).json({ error: 'A valid startDate is required' });
+  const teamMembers = idList(req.body?.teamMembers);
+  const department = idList(req.body?.department);
+  if (!teamMembers) return res.status(400).json({ error: 'Invalid team member ID' });
+  if (!department) return res.status(400).json({ error: 'Invalid department ID' });
+
+  try {
+    const template = await ProjectTemplate.findById(req.params.id).lean();
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+
+    const created = await instantiateTemplate(template, start, {
+      creator: req.userId,
+      overrides: { name, description, department, teamMembers },
+    });
+
+    const project = await Project.findById(created.project._id)
+      .populate('createdBy', 'name email')
+      .populate('teamMembers', 'name email')
+      .populate('department', 'name description')
+      .populate('labels', LABEL_FIELDS);
+
+    const io = req.app.get('io');
+    joinProjectRoom(io, [req.userId, ...teamMembers], created.project._id);
+    created.tasks.forEach((task) => emitTo(io, peopleRooms(task), 'calendar:task:created', { task }));
+    for (const task of created.tasks) {
+      await publishEvent('task.created', { task: taskPayload(task) }, { actor: req.userId });
+    }
+
+    res.status(201).json({
+      project,
+      tasks: created.tasks.map((t) => ({
+        _id: t._id,
+        title: t.title,
+        parentTask: t.parentTask,
+        assignedTeamMembers: t.assignedTeamMembers,
+        startAt: t.startAt,
+        deadline: t.deadline,
+      })),
+    });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
 /**
  * @openapi
  * /api/projects:
@@ -61,9 +227,18 @@ router.post('/', async (req, res) => {
  *         name: department
  *         schema: { type: string }
  *         description: Filter by department (ObjectId)
+ *       - in: query
+ *         name: labels
+ *         schema: { type: string }
+ *         description: CSV of label IDs
+ *       - in: query
+ *         name: labelMatch
+ *         schema: { type: string, enum: [any, all], default: any }
  *     responses:
  *       200:
- *         description: OK
+ *         description: OK (only projects the caller may see)
+ *       400:
+ *         description: Invalid label IDs or `labelMatch`
  *       500:
  *         description: Server error
  */
@@ -79,11 +254,20 @@ router.get('/', async (req, res) => {
     if (createdBy) filter.createdBy = new mongoose.Types.ObjectId(createdBy);
     if (teamMember) filter.teamMembers = new mongoose.Types.ObjectId(teamMember);
     if (department) filter.department = new mongoose.Types.ObjectId(department);
+
+    const byLabel = labelFilter(req.query);
+    if (byLabel?.error) return res.status(400).json({ error: byLabel.error });
+    if (byLabel) filter.labels = byLabel.labels;
+
+    const visibility = projectVisibilityFilter(req.user);
+    if (visibility) filter.$and = [visibility];
+
     const projects = await Project.find(filter)
       .sort({ createdAt: -1 })
       .populate('createdBy', 'name email')
       .populate('teamMembers', 'name email')
       .populate('department', 'name description')
+      .populate('labels', LABEL_FIELDS)
       .lean();
     res.json(projects);
   } catch (e) {
@@ -107,6 +291,8 @@ router.get('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: OK
+ *       403:
+ *         description: Caller may not view this project
  *       404:
  *         description: Project not found
  *       500:
@@ -122,15 +308,322 @@ router.get('/:id', async (req, res) => {
       .populate('createdBy', 'name email')
       .populate('teamMembers', 'name email')
       .populate('department', 'name description')
+      .populate('labels', LABEL_FIELDS)
       .lean();
 
     if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (!canViewProject(req.user, project)) {
+      return res.status(403).json({ error: 'You do not have access to this project' });
+    }
     res.json(project);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+/**
+ * @openapi
+ * /api/projects/{id}/activity:
+ *   get:
+ *     tags: [Projects]
+ *     summary: Audit trail for a project
+ *     description: |
+ *       Newest-first history of the project and everything recorded against it
+ *       (its tasks, their comments and attachments), with field-level `changes`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: Project ID (MongoDB ObjectId)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 200, default: 50 }
+ *       - in: query
+ *         name: before
+ *         schema: { type: string, format: date-time }
+ *         description: Only entries older than this (for paging)
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Invalid project id or `before`
+ *       403:
+ *         description: Caller may not view this project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+/**
+ * READ Project history
+ * GET /api/projects/:id/activity
+ */
+router.get('/:id/activity', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+    const page = activityPageOptions(req.query);
+    if (!page) return res.status(400).json({ error: "Invalid 'before' date" });
+
+    const project = await Project.findById(req.params.id)
+      .select('createdBy teamMembers department')
+      .lean();
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (!canViewProject(req.user, project)) {
+      return res.status(403).json({ error: 'You do not have access to this project' });
+    }
+
+    res.json(await listActivity({ project: project._id }, page));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Workflow:
+ *       type: object
+ *       properties:
+ *         statuses:
+ *           type: array
+ *           description: Ordered; new tasks start in the first not_started status
+ *           items:
+ *             type: object
+ *             required: [name, category]
+ *             properties:
+ *               name: { type: string, example: In Review }
+ *               category: { type: string, enum: [not_started, active, done] }
+ *               wipLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: The board warns when the column holds more tasks than this
+ *         transitions:
+ *           type: array
+ *           description: Allowed moves. Empty means any status can move to any other.
+ *           items:
+ *             type: object
+ *             properties:
+ *               from: { type: string }
+ *               to: { type: string }
+ */
+
+/**
+ * @openapi
+ * /api/projects/{id}/workflow:
+ *   get:
+ *     tags: [Projects]
+ *     summary: The project's task workflow
+ *     description: Projects that never customised it get the default To Do / In Progress / Done.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK (`isDefault` is true for the built-in workflow)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Workflow'
+ *                 - type: object
+ *                   properties:
+ *                     isDefault: { type: boolean }
+ *       403:
+ *         description: Caller may not view this project
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/workflow', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+    const project = await Project.findById(req.params.id)
+      .select('createdBy teamMembers department workflow')
+      .lean();
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (!canViewProject(req.user, project)) {
+      return res.status(403).json({ error: 'You do not have access to this project' });
+    }
+    res.json({ ...workflowOf(project), isDefault: !project.workflow?.statuses?.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/projects/{id}/workflow:
+ *   put:
+ *     tags: [Projects]
+ *     summary: Replace the project's task workflow
+ *     description: |
+ *       Tasks in statuses that are kept follow any category change (and `completedAt` with it).
+ *       Tasks in removed statuses must be moved with `remap`, otherwise nothing is saved and
+ *       the response lists the statuses still in use.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Workflow'
+ *               - type: object
+ *                 properties:
+ *                   remap:
+ *                     type: object
+ *                     additionalProperties: { type: string }
+ *                     example: { "QA": "In Review" }
+ *     responses:
+ *       200:
+ *         description: The saved workflow, with `tasksUpdated`
+ *       400:
+ *         description: Invalid workflow (duplicate names, unknown categories or transition targets)
+ *       403:
+ *         description: Only the project owner or a Senior Manager may change the workflow
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Removed statuses are still used by tasks (returns `statuses`)
+ */
+router.put('/:id/workflow', requirePermission('project:update'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+    const existing = await Project.findById(req.params.id)
+      .select(['createdBy', ...PROJECT_AUDIT_FIELDS].join(' '))
+      .lean();
+    if (!existing) return res.status(404).json({ error: 'Project not found' });
+    if (!canManageProject(req.user, existing, 'project:update')) {
+      return res.status(403).json({ error: 'Only the project owner can change the workflow' });
+    }
+
+    const { workflow, error } = validateWorkflow(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const remap = req.body.remap && typeof req.body.remap === 'object' ? req.body.remap : {};
+    const { missing, updated } = await migrateTasks(existing._id, workflow, remap);
+    if (missing) {
+      return res.status(409).json({
+        error: 'Some removed statuses are still used by tasks; remap them to a status in the new workflow',
+        statuses: missing,
+      });
+    }
+
+    await Project.updateOne({ _id: existing._id }, { $set: { workflow } });
+    const changes = diffFields({ workflow: workflowOf(existing) }, { workflow }, ['workflow']);
+    await recordActivity({
+      entityType: 'Project',
+      entityId: existing._id,
+      project: existing._id,
+      action: 'updated',
+      actor: req.userId,
+      changes,
+    });
+
+    emitTo(req.app.get('io'), [projectRoom(existing._id)], 'project:workflow:updated', { projectId: String(existing._id) });
+    if (changes.length) {
+      await publishEvent('project.updated', { project: projectPayload({ ...existing, workflow }), changes }, { actor: req.userId });
+    }
+    res.json({ ...workflow, isDefault: false, tasksUpdated: updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/projects/{id}/board:
+ *   get:
+ *     tags: [Projects]
+ *     summary: Kanban board for a project
+ *     description: |
+ *       One column per workflow status, in workflow order, holding the project's top-level
+ *       tasks sorted by `rank`. Move a card with `PUT /api/tasks/{id}` (`status`, `rank`).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project:
+ *                   type: object
+ *                   properties:
+ *                     _id: { type: string }
+ *                     name: { type: string }
+ *                 transitions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from: { type: string }
+ *                       to: { type: string }
+ *                 columns:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name: { type: string }
+ *                       category: { type: string, enum: [not_started, active, done] }
+ *                       wipLimit: { type: integer, nullable: true }
+ *                       count: { type: integer }
+ *                       overLimit: { type: boolean }
+ *                       tasks:
+ *                         type: array
+ *                         items: { type: object }
+ *       400:
+ *         description: Invalid project id
+ *       403:
+ *         description: Caller may not view this project
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/board', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+    const project = await Project.findById(req.params.id)
+      .select('name createdBy teamMembers department workflow')
+      .lean();
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (!canViewProject(req.user, project)) {
+      return res.status(403).json({ error: 'You do not have access to this project' });
+    }
+
+    const workflow = workflowOf(project);
+    const tasks = await loadBoardTasks(project._id);
+    res.json({
+      project: { _id: project._id, name: project.name },
+      transitions: workflow.transitions,
+      columns: buildColumns(workflow, tasks),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /**
  * @openapi
  * /api/projects/user/{userId}:
@@ -149,6 +642,8 @@ router.get('/:id', async (req, res) => {
  *         description: OK
  *       400:
  *         description: Invalid user id
+ *       403:
+ *         description: Only the user themselves, Directors, HR and Senior Managers may list another user's projects
  *       404:
  *         description: No projects found for this user
  *       500:
@@ -166,15 +661,23 @@ router.get('/user/:userId', async (req, res) => {
     if (!mongoose.isValidObjectId(userId)) {
       return res.status(400).json({ error: 'Invalid user id' });
     }
+    const isSelf = String(userId) === String(req.userId);
+    if (!isSelf && !isCompanyWide(req.user.role) && req.user.role !== ROLES.DIRECTOR) {
+      return res.status(403).json({ error: "You may not view another user's projects" });
+    }
 
     const filter = {
       $or: [{ createdBy: userId }, { teamMembers: userId }]
     };
+    // Directors looking at someone else only see that user's projects in their department
+    const visibility = isSelf ? null : projectVisibilityFilter(req.user);
+    if (visibility) filter.$and = [visibility];
 
     const projects = await Project.find(filter)
       .populate('createdBy', 'name email')
       .populate('teamMembers', 'name email')
       .populate('department', 'name description')
+      .populate('labels', LABEL_FIELDS)
       .lean();
 
     if (!projects || projects.length === 0) {
@@ -207,12 +710,21 @@ router.get('/user/:userId', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             description: Fields to update (validated by the Project model)
+ *             description: |
+ *               Fields to update (validated by the Project model): `name`, `description`,
+ *               `deadline`, `department`, `teamMembers` and `labels`. Other fields are ignored.
+ *             properties:
+ *               labels:
+ *                 type: array
+ *                 description: Organisation-wide or this project's label IDs
+ *                 items: { type: string }
  *     responses:
  *       200:
  *         description: OK
  *       400:
- *         description: Invalid request or validation error
+ *         description: Invalid request, update operator or validation error (incl. a label of another project)
+ *       403:
+ *         description: Only the project owner or a Senior Manager may update
  *       404:
  *         description: Project not found
  */
@@ -220,18 +732,60 @@ router.get('/user/:userId', async (req, res) => {
  * UPDATE Project
  * PUT /api/projects/:id
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('project:update'), async (req, res) => {
   try {
+    const existing = await Project.findById(req.params.id)
+      .select(['createdBy', ...PROJECT_AUDIT_FIELDS].join(' '))
+      .lean();
+    if (!existing) return res.status(404).json({ error: 'Project not found' });
+    if (!canManageProject(req.user, existing, 'project:update')) {
+      return res.status(403).json({ error: 'Only the project owner can update this project' });
+    }
+
+    const body = req.body ?? {};
+    if (Object.keys(body).some((k) => k.startsWith('$'))) {
+      return res.status(400).json({ error: 'Update operators are not allowed' });
+    }
+    const updates = Object.fromEntries(
+      PROJECT_UPDATE_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]])
+    );
+    const labelIds = coerceLabelIds(updates.labels);
+    if (labelIds.error) return res.status(400).json({ error: labelIds.error });
+    if (labelIds.ids !== undefined) {
+      const labels = await resolveLabels(labelIds.ids, existing._id);
+      if (labels.error) return res.status(labels.status).json({ error: labels.error });
+      updates.labels = labelIds.ids;
+    }
     const project = await Project.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     )
       .populate('createdBy', 'name email')
       .populate('teamMembers', 'name email')
       .populate('department', 'name description')
+      .populate('labels', LABEL_FIELDS)
 
     if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const changes = diffFields(existing, project, PROJECT_AUDIT_FIELDS);
+    await recordActivity({
+      entityType: 'Project',
+      entityId: project._id,
+      project: project._id,
+      action: 'updated',
+      actor: req.userId,
+      changes,
+    });
+    // New members get the board's live updates without reconnecting, removed ones stop getting them
+    const io = req.app.get('io');
+    const members = project.teamMembers.map((m) => String(m._id));
+    joinProjectRoom(io, members, project._id);
+    const removed = (existing.teamMembers ?? []).map(String).filter((id) => !members.includes(id));
+    await leaveProjectRoom(io, removed, project);
+    if (changes.length) {
+      await publishEvent('project.updated', { project: projectPayload(project), changes }, { actor: req.userId });
+    }
     res.json(project);
   } catch (e) {
     res.status(400).json({ error: e.message });
@@ -243,7 +797,7 @@ router.put('/:id', async (req, res) => {
  * /api/projects/{id}:
  *   delete:
  *     tags: [Projects]
- *     summary: Delete a project
+ *     summary: Delete a project (moves it and its tasks to the trash)
  *     parameters:
  *       - in: path
  *         name: id
@@ -254,6 +808,8 @@ router.put('/:id', async (req, res) => {
  *     responses:
  *       200:
  *         description: Project deleted successfully
+ *       403:
+ *         description: Only the project owner or a Senior Manager may delete
  *       404:
  *         description: Project not found
  *       500:
@@ -263,11 +819,23 @@ router.put('/:id', async (req, res) => {
  * DELETE Project
  * DELETE /api/projects/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('project:delete'), async (req, res) => {
   try {
-    const project = await Project.findByIdAndDelete(req.params.id);
+    const existing = await Project.findById(req.params.id).select('name createdBy').lean();
+    if (!existing) return res.status(404).json({ error: 'Project not found' });
+    if (!canManageProject(req.user, existing, 'project:delete')) {
+      return res.status(403).json({ error: 'Only the project owner can delete this project' });
+    }
 
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+    await trashProject(existing, req.userId);
+    await recordActivity({
+      entityType: 'Project',
+      entityId: existing._id,
+      project: existing._id,
+      action: 'deleted',
+      actor: req.userId,
+      changes: [{ field: 'name', from: existing.name, to: null }],
+    });
 
     res.json({ message: 'Project deleted successfully' });
   } catch (e) {
@@ -0,0 +1,140 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import Task from '../models/Task.js';
+import { requireAuth } from '../middleware/auth.js';
+import { canViewTask } from '../services/access-policy.js';
+import { createReminder, deleteReminder, listReminders } from '../services/personal-reminders.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+// The caller's own reminders on a task they can see; the task is kept on `req.task`.
+router.param('taskId', async (req, res, next, taskId) => {
+  try {
+    if (!isValidObjectId(taskId)) return res.status(400).json({ error: 'Invalid task id' });
+    const task = await Task.findById(taskId)
+      .select('title deadline createdBy assignedTeamMembers assignedProject')
+      .lean();
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
+    req.task = task;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PersonalReminder:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         task: { type: string }
+ *         remindAt: { type: string, format: date-time, nullable: true }
+ *         minutesBefore: { type: integer, nullable: true, description: Minutes before the task's deadline }
+ *         note: { type: string }
+ *         source: { type: string, enum: [custom, snooze] }
+ *         snoozedFrom: { type: string, nullable: true, description: The snoozed notification }
+ *         dueAt: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/reminders:
+ *   get:
+ *     tags: [Reminders]
+ *     summary: The caller's pending reminders on a task, soonest first
+ *     parameters:
+ *       - { in: path, name: taskId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/PersonalReminder' }
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:taskId/reminders', async (req, res) => {
+  try {
+    res.json(await listReminders(req.userId, req.task));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/reminders:
+ *   post:
+ *     tags: [Reminders]
+ *     summary: Set a reminder on a task that only the caller receives
+ *     parameters:
+ *       - { in: path, name: taskId, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remindAt: { type: string, format: date-time }
+ *               minutesBefore: { type: integer, minimum: 0, description: Alternative to `remindAt`; needs a deadline }
+ *               note: { type: string, maxLength: 200 }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PersonalReminder' }
+ *       400:
+ *         description: Bad time, no deadline for `minutesBefore`, or too many reminders on the task
+ *       403:
+ *         description: Caller may not view this task
+ */
+router.post('/:taskId/reminders', async (req, res) => {
+  try {
+    const { reminder, status, error } = await createReminder(req.userId, req.task, req.body ?? {});
+    if (error) return res.status(status).json({ error });
+    res.status(201).json(reminder);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/reminders/{reminderId}:
+ *   delete:
+ *     tags: [Reminders]
+ *     summary: Remove one of the caller's reminders
+ *     parameters:
+ *       - { in: path, name: taskId, required: true, schema: { type: string } }
+ *       - { in: path, name: reminderId, required: true, schema: { type: string } }
+ *     responses:
+ *       204:
+ *         description: Removed
+ *       404:
+ *         description: Not one of the caller's reminders on this task
+ */
+router.delete('/:taskId/reminders/:reminderId', async (req, res) => {
+  try {
+    const removed = await deleteReminder(req.userId, req.task._id, req.params.reminderId);
+    if (!removed) return res.status(404).json({ error: 'Reminder not found' });
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
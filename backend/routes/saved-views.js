@@ -0,0 +1,307 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import SavedView from '../models/SavedView.js';
+import Project from '../models/Project.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  canViewProject,
+  canViewSavedView,
+  isCompanyWide,
+  projectVisibilityFilter,
+  savedViewVisibilityFilter,
+} from '../services/access-policy.js';
+import { validateSavedView } from '../utils/saved-views.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+const PROJECT_ACCESS_FIELDS = 'createdBy teamMembers department';
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** The view's project (access fields only), or null when it has none. */
+const projectOf = (view) =>
+  view.project ? Project.findById(idOf(view.project)).select(PROJECT_ACCESS_FIELDS).lean() : null;
+
+/**
+ * Check (and complete) the sharing settings of `view` for `user`. A view shared with a
+ * project needs one the user can see; a department defaults to the user's own, and only
+ * HR and Senior Managers may pick another. `checkProject: false` skips re-checking a
+ * project that did not change. Returns `{ status, error }` or null.
+ */
+async function _checkSharing(user, view, { checkProject = true } = {}) {
+  if (view.project && checkProject) {
+    const project = await Project.findById(view.project).select(PROJECT_ACCESS_FIELDS).lean();
+    if (!project) return { status: 404, error: 'Project not found' };
+    if (!canViewProject(user, project)) {
+      return { status: 403, error: 'You do not have access to this project' };
+    }
+  }
+
+  if (view.sharing === 'project' && !view.project) {
+    return { status: 400, error: 'Pick a project to share this view with' };
+  }
+  if (view.sharing === 'department') {
+    view.department = view.department || user.department || null;
+    if (!view.department) return { status: 400, error: 'Pick a department to share this view with' };
+    if (!isCompanyWide(user.role) && idOf(view.department) !== idOf(user.department)) {
+      return { status: 403, error: 'You can only share views with your own department' };
+    }
+  } else {
+    view.department = null;
+  }
+  return null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SavedView:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         name: { type: string, example: "High priority, due this week" }
+ *         owner:
+ *           type: object
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *         project: { type: string, nullable: true, description: null applies the view to any project }
+ *         sharing: { type: string, enum: [private, project, department], default: private }
+ *         department: { type: string, nullable: true }
+ *         filters:
+ *           type: object
+ *           properties:
+ *             status: { type: string, nullable: true }
+ *             priority: { type: string, nullable: true, description: "1-10, or Low / Medium / High" }
+ *             due:
+ *               type: string
+ *               enum: [any, overdue, today, this_week, next_7_days, no_deadline]
+ *               default: any
+ *             assignee: { type: string, nullable: true, description: "me, unassigned or a user id" }
+ *         sort:
+ *           type: object
+ *           properties:
+ *             field: { type: string, enum: [default, priority, deadline, title, updated], default: default }
+ *             direction: { type: string, enum: [asc, desc], default: asc }
+ *         groupBy: { type: string, enum: [due, status, priority, assignee, none], default: due }
+ */
+
+/**
+ * @openapi
+ * /api/views:
+ *   get:
+ *     tags: [Saved Views]
+ *     summary: List saved views
+ *     description: The caller's own views plus those shared with them, by name.
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema: { type: string }
+ *         description: Only views for this project or for any project
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/SavedView' }
+ *       400:
+ *         description: Invalid project id
+ */
+router.get('/', async (req, res) => {
+  const { project } = req.query;
+  if (project && !isValidObjectId(project)) return res.status(400).json({ error: 'Invalid project id' });
+
+  try {
+    const visibleProjects = await Project.find(projectVisibilityFilter(req.user) ?? {}).distinct('_id');
+    const filter = savedViewVisibilityFilter(req.user, visibleProjects);
+    const query = project ? { $and: [filter, { project: { $in: [project, null] } }] } : filter;
+    const views = await SavedView.find(query)
+      .populate('owner', 'name')
+      .sort({ name: 1 })
+      .collation({ locale: 'en', strength: 2 })
+      .lean();
+    res.json(views);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/views/{id}:
+ *   get:
+ *     tags: [Saved Views]
+ *     summary: Get a saved view
+ *     description: Used to open a shared link (`/taskboard-mgr?view={id}`).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SavedView' }
+ *       400:
+ *         description: Invalid view id
+ *       403:
+ *         description: The view is not shared with the caller
+ *       404:
+ *         description: View not found
+ */
+router.get('/:id', async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid view id' });
+  try {
+    const view = await SavedView.findById(req.params.id).populate('owner', 'name').lean();
+    if (!view) return res.status(404).json({ error: 'View not found' });
+    if (!canViewSavedView(req.user, view, await projectOf(view))) {
+      return res.status(403).json({ error: 'This view has not been shared with you' });
+    }
+    res.json(view);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/views:
+ *   post:
+ *     tags: [Saved Views]
+ *     summary: Save a view
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/SavedView' }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SavedView' }
+ *       400:
+ *         description: Invalid view, or sharing without a project/department
+ *       403:
+ *         description: Caller cannot see the project or share with that department
+ *       404:
+ *         description: Project not found
+ */
+router.post('/', async (req, res) => {
+  const { view, error } = validateSavedView(req.body ?? {});
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const denied = await _checkSharing(req.user, view);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const doc = await SavedView.create({ ...view, owner: req.userId });
+    res.status(201).json(doc);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/views/{id}:
+ *   put:
+ *     tags: [Saved Views]
+ *     summary: Update a saved view
+ *     description: Fields sent replace the stored ones. Owner only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/SavedView' }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Invalid id or view
+ *       403:
+ *         description: Not the owner, or a sharing target the caller may not use
+ *       404:
+ *         description: View (or its new project) not found
+ */
+router.put('/:id', async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid view id' });
+  const { view: updates, error } = validateSavedView(req.body ?? {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) return res.status(404).json({ error: 'View not found' });
+    if (idOf(view.owner) !== idOf(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this view' });
+    }
+
+    const next = {
+      project: view.project,
+      sharing: view.sharing,
+      department: view.department,
+      ...updates,
+    };
+    const denied = await _checkSharing(req.user, next, {
+      checkProject: updates.project !== undefined || updates.sharing === 'project',
+    });
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    view.set({ ...updates, project: next.project, sharing: next.sharing, department: next.department });
+    await view.save();
+    res.json(view);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/views/{id}:
+ *   delete:
+ *     tags: [Saved Views]
+ *     summary: Delete a saved view
+ *     description: Owner only; links to it stop working.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid view id
+ *       403:
+ *         description: Not the owner
+ *       404:
+ *         description: View not found
+ */
+router.delete('/:id', async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid view id' });
+  try {
+    const view = await SavedView.findById(req.params.id).select('owner').lean();
+    if (!view) return res.status(404).json({ error: 'View not found' });
+    if (idOf(view.owner) !== idOf(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can delete this view' });
+    }
+    await SavedView.deleteOne({ _id: view._id });
+    res.json({ message: 'View deleted' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,117 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { search } from '../services/search.js';
+import { parseSearchParams } from '../utils/search.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         type: { type: string, enum: [task, project, comment] }
+ *         _id: { type: string }
+ *         title: { type: string, description: Task or project name; for comments, the task title }
+ *         score: { type: number, description: Relevance (higher is better) }
+ *         snippet:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             field: { type: string, example: description }
+ *             text: { type: string, description: Up to about 160 characters around the first match }
+ *             highlights:
+ *               type: array
+ *               description: "[start, end) character offsets of the matched words in `text`"
+ *               items:
+ *                 type: array
+ *                 items: { type: integer }
+ *         project:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *         task:
+ *           type: object
+ *           description: Comments only
+ *           properties:
+ *             _id: { type: string }
+ *             title: { type: string }
+ *         status: { type: string }
+ *         updatedAt: { type: string, format: date-time }
+ */
+
+/**
+ * @openapi
+ * /api/search:
+ *   get:
+ *     tags: [Search]
+ *     summary: Search tasks, projects and comments
+ *     description: |
+ *       Matches task titles, descriptions and notes, project names and descriptions, and
+ *       comment bodies (whole words, with stemming; `"quoted phrases"` and `-excluded`
+ *       words work too). Only items the caller may see are returned, best match first.
+ *       The `project` and `status` filters apply to a comment's task; projects are left
+ *       out when `status` is given.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, minLength: 2, maxLength: 200 }
+ *       - in: query
+ *         name: types
+ *         description: CSV of result types
+ *         schema: { type: string, example: "task,comment", default: "task,project,comment" }
+ *       - in: query
+ *         name: project
+ *         description: Only this project (and its tasks and their comments)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         description: CSV of task statuses
+ *         schema: { type: string, example: "To Do,In Progress" }
+ *       - in: query
+ *         name: from
+ *         description: Only items updated at or after this time
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         description: Only items updated at or before this time
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 50, default: 20 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query: { type: string }
+ *                 results:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/SearchResult' }
+ *       400:
+ *         description: Missing or too short `q`, or an invalid filter
+ */
+router.get('/', async (req, res) => {
+  const { params, error } = parseSearchParams(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const results = await search(req.user, params);
+    res.json({ query: params.q, results });
+  } catch (e) {
+    console.error('search error:', e);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+export default router;
@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 import Project from '../models/Project.js';
 import Task from '../models/Task.js';
 import User from '../models/User.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { categoryOf, isDone, reportBucket } from '../utils/workflow.js';
 import dayjs from 'dayjs';
 import isBetween from 'dayjs/plugin/isBetween.js';
 
@@ -10,6 +12,8 @@ dayjs.extend(isBetween);
 
 const router = Router();
 
+router.use(requireAuth);
+
 /**
  * @openapi
  * /api/senior-manager/report:
@@ -114,6 +118,8 @@ const router = Router();
  *                       type: integer
  *                     totalEmployees:
  *                       type: integer
+ *       403:
+ *         description: Only HR and Senior Managers may view the company report
  *       500:
  *         description: Failed to generate report
  */
@@ -132,7 +138,7 @@ const router = Router();
  * 
  * Returns: Aggregated company-wide report data grouped by departments and projects
  */
-router.get('/report', async (req, res) => {
+router.get('/report', requirePermission('report:company'), async (req, res) => {
   try {
     // Step 1: Get ALL projects in the company
     const allProjects = await Project.find({})
@@ -165,7 +171,7 @@ router.get('/report', async (req, res) => {
     // TIME TAKEN METRICS (Company-wide)
     const now = dayjs();
     
-    const completedTasks = allTasks.filter(t => t.status === 'Done');
+    const completedTasks = allTasks.filter(t => isDone(t));
     
     // Average task completion time (only for completed tasks with both createdAt and completedAt)
     const tasksWithCompletionTime = completedTasks.filter(t => t.createdAt && t.completedAt);
@@ -179,7 +185,7 @@ router.get('/report', async (req, res) => {
     // Average project completion time (for completed projects)
     const completedProjects = allProjects.filter(p => {
       const projectTasks = allTasks.filter(t => String(t.assignedProject._id) === String(p._id));
-      return projectTasks.length > 0 && projectTasks.every(t => t.status === 'Done');
+      return projectTasks.length > 0 && projectTasks.every(t => isDone(t));
     });
 
     const avgProjectCompletionDays = completedProjects.length > 0
@@ -214,9 +220,9 @@ router.get('/report', async (req, res) => {
       // Calculate department metrics
       const totalProjects = deptProjects.length;
       const totalTasks = deptProjectTasks.length;
-      const completedTasks = deptProjectTasks.filter(t => t.status === 'Done').length;
+      const completedTasks = deptProjectTasks.filter(t => isDone(t)).length;
       const overdueTasks = deptProjectTasks.filter(t => {
-        if (!t.deadline || t.status === 'Done') return false;
+        if (!t.deadline || isDone(t)) return false;
         return now.isAfter(dayjs(t.deadline), 'day');
       }).length;
 
@@ -241,9 +247,9 @@ router.get('/report', async (req, res) => {
 
         // Use same project status logic as director report
         let status = 'To Do';
-        const allDone = projectTasks.every(t => t.status === 'Done');
-        const hasInProgress = projectTasks.some(t => t.status === 'In Progress');
-        const allToDo = projectTasks.every(t => t.status === 'To Do');
+        const allDone = projectTasks.every(t => isDone(t));
+        const hasInProgress = projectTasks.some(t => categoryOf(t) === 'active');
+        const allToDo = projectTasks.every(t => categoryOf(t) === 'not_started');
         const projectOverdue = project.deadline && now.isAfter(dayjs(project.deadline), 'day');
         
         if (projectOverdue && !allDone) {
@@ -270,10 +276,10 @@ router.get('/report', async (req, res) => {
       };
       
       deptProjectTasks.forEach(task => {
-        let status = task.status;
+        let status = reportBucket(task);
         
         // Check if task is overdue (past deadline and not completed) - same logic as director report
-        if (task.deadline && task.status !== 'Done' && now.isAfter(dayjs(task.deadline), 'day')) {
+        if (task.deadline && !isDone(task) && now.isAfter(dayjs(task.deadline), 'day')) {
           status = 'Overdue';
         }
         
@@ -316,7 +322,7 @@ router.get('/report', async (req, res) => {
     // Show current project completion rate and trend based on projects, not tasks
     const completedProjectsCount = allProjects.filter(project => {
       const projectTasks = allTasks.filter(t => String(t.assignedProject._id) === String(project._id));
-      return projectTasks.length > 0 && projectTasks.every(t => t.status === 'Done');
+      return projectTasks.length > 0 && projectTasks.every(t => isDone(t));
     }).length;
     
     const currentCompletionRate = totalProjects > 0 ? Number(((completedProjectsCount / totalProjects) * 100).toFixed(1)) : 0;
@@ -343,9 +349,9 @@ router.get('/report', async (req, res) => {
       if (projectTasks.length === 0) {
         status = 'To Do';
       } else {
-        const allDone = projectTasks.every(t => t.status === 'Done');
-        const hasInProgress = projectTasks.some(t => t.status === 'In Progress');
-        const allToDo = projectTasks.every(t => t.status === 'To Do');
+        const allDone = projectTasks.every(t => isDone(t));
+        const hasInProgress = projectTasks.some(t => categoryOf(t) === 'active');
+        const allToDo = projectTasks.every(t => categoryOf(t) === 'not_started');
         const projectOverdue = project.deadline && now.isAfter(dayjs(project.deadline), 'day');
         
         if (projectOverdue && !allDone) {
@@ -369,10 +375,10 @@ router.get('/report', async (req, res) => {
     const companyTaskStatusCounts = { 'To Do': 0, 'In Progress': 0, 'Done': 0, 'Overdue': 0 };
     
     allTasks.forEach(task => {
-      let status = task.status;
+      let status = reportBucket(task);
       
       // Check if task is overdue (past deadline and not completed) - same logic as director report
-      if (task.deadline && task.status !== 'Done' && now.isAfter(dayjs(task.deadline), 'day')) {
+      if (task.deadline && !isDone(task) && now.isAfter(dayjs(task.deadline), 'day')) {
         status = 'Overdue';
       }
       
@@ -382,9 +388,9 @@ router.get('/report', async (req, res) => {
     // PROJECT-LEVEL BREAKDOWN (Top projects by task count)
     const projectBreakdown = allProjects.map(project => {
       const projectTasks = allTasks.filter(t => String(t.assignedProject._id) === String(project._id));
-      const completedTasks = projectTasks.filter(t => t.status === 'Done').length;
+      const completedTasks = projectTasks.filter(t => isDone(t)).length;
       const overdueTasks = projectTasks.filter(t => {
-        if (!t.deadline || t.status === 'Done') return false;
+        if (!t.deadline || isDone(t)) return false;
         return now.isAfter(dayjs(t.deadline), 'day');
       }).length;
 
@@ -4,10 +4,71 @@ import multer from 'multer';
 
 import Task, { DEFAULT_REMINDERS_MIN } from '../models/Task.js';
 import Attachment from '../models/Attachment.js';
-import { createUpdateNotifications, sendPendingEmails } from '../services/notification-service.js';
+import Project from '../models/Project.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  canDeleteTask,
+  canViewProject,
+  canViewTask,
+  taskVisibilityFilter,
+} from '../services/access-policy.js';
+import {
+  createBulkNotifications,
+  createUpdateNotifications,
+  sendPendingEmails,
+} from '../services/notification-service.js';
+import {
+  activityPageOptions,
+  diffFields,
+  listActivity,
+  recordActivity,
+  TASK_AUDIT_FIELDS,
+} from '../services/activity-log.js';
+import {
+  coerceDependencies,
+  findDependencyCycle,
+  findDependents,
+  loadBlockers,
+  openBlockers,
+  scheduleWarnings,
+} from '../services/task-dependencies.js';
+import {
+  categoryOf,
+  initialStatus,
+  resolveStatus,
+  statusAfterMove,
+  workflowOf,
+} from '../utils/workflow.js';
+import { wipWarning } from '../utils/board.js';
+import { bottomRank, countColumn, rankTaken, rebalanceColumn } from '../services/board.js';
+import { trashTask } from '../services/trash.js';
+import { applyBulkChanges, planBulkChanges, planBulkDelete, trashTasks } from '../services/bulk-tasks.js';
+import { describeBulkChanges, parseBulkRequest } from '../utils/bulk-tasks.js';
+import { coerceEstimate } from '../utils/time-tracking.js';
+import { LABEL_FIELDS, labelsValidIn, resolveLabels } from '../services/labels.js';
+import { coerceLabelIds, labelFilter } from '../utils/labels.js';
+import {
+  applySeriesEdit,
+  detachOccurrence,
+  EDIT_SCOPES,
+  instanceFor,
+  nextInstanceDate,
+  planSeriesEdit,
+  seriesOverview,
+  skipOccurrence,
+} from '../services/recurrence.js';
+import { coerceRule, FREQUENCIES } from '../utils/recurrence.js';
+import { applyImport, planImport, previewCreate } from '../services/task-import.js';
+import { detectFormat, MAX_IMPORT_BYTES, rowsFromCsv, rowsFromIcs } from '../utils/task-import.js';
+import { emitNotification, emitTo, peopleRooms, projectRooms } from '../services/realtime.js';
+import { publishEvent, publishTaskUpdate } from '../services/webhooks.js';
+import { taskPayload } from '../utils/webhooks.js';
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES } });
+
+router.use(requireAuth);
 
 // Populate helper - centralized task population logic
 const populateTask = (query) =>
@@ -15,7 +76,9 @@ const populateTask = (query) =>
     .populate('assignedTeamMembers', 'name email')
     .populate('createdBy', 'name email')
     .populate('assignedProject', 'name')
-    .populate('attachments');
+    .populate('attachments')
+    .populate('blockedBy.task', 'title status statusCategory deadline')
+    .populate('labels', LABEL_FIELDS);
 
 /** Convert incoming reminderOffsets (array | string | CSV) to a clean number[] (minutes, >0) */
 function coerceReminderOffsets(input) {
@@ -43,58 +106,134 @@ function coercePriority(input) {
   return Math.max(1, Math.min(10, Math.trunc(n)));
 }
 
-/** Parse & normalize recurrence from body (object or JSON string). Returns {frequency, interval, ends, until} or null */
-function coerceRecurrence(input) {
-  console.log(" [coerceRecurrence] input:", input);
+/** Parse both estimate fields; `undefined` entries were not sent. Returns { estimateMinutes, remainingMinutes } or { error }. */
+function coerceEstimates(estimateMinutes, remainingMinutes) {
+  const estimate = coerceEstimate(estimateMinutes, 'estimateMinutes');
+  if (estimate.error) return estimate;
+  const remaining = coerceEstimate(remainingMinutes, 'remainingMinutes');
+  if (remaining.error) return remaining;
+  return { estimateMinutes: estimate.value, remainingMinutes: remaining.value };
+}
 
+/**
+ * Parse & normalize recurrence from body (object, JSON string or RRULE text).
+ * Returns the rule (see utils/recurrence.js), null when the task doesn't repeat, or { error }.
+ */
+function coerceRecurrence(input) {
   if (!input) return null;
   if (typeof input === "string") {
-    try { input = JSON.parse(input); } catch {
-      console.log("JSON parse failed for:", input);
-      return null;
+    if (/^(RRULE:)?FREQ=/i.test(input.trim())) {
+      input = { rrule: input };
+    } else {
+      try { input = JSON.parse(input); } catch {
+        return null;
+      }
     }
   }
+  if (!input || typeof input !== "object") return null;
 
-  const freq = (input.frequency || "").toLowerCase();
-  if (!["daily", "weekly", "monthly"].includes(freq)) {
-    if (freq === "none") console.log(" Ignoring 'none' recurrence from client");
-    return null;
-  }
+  // "none" (or any other unknown frequency) means the task doesn't repeat
+  const freq = String(input.frequency ?? "").toLowerCase();
+  if (!input.rrule && !FREQUENCIES.includes(freq)) return null;
 
-  const rec = {
-    frequency: freq,
-    interval: Math.max(1, Number(input.interval) || 1),
-    ends: input.ends || "never",
-    until: input.until ? new Date(input.until) : null,
-  };
-  console.log("[coerceRecurrence] output:", rec);
-  return rec;
+  const { rule, error } = coerceRule(input);
+  return error ? { error } : rule;
 }
 
+const BLOCKED_ERROR = 'Task is blocked by unfinished tasks; set overrideBlockers to start it anyway';
+
+/**
+ * Validate an incoming `blockedBy` list for `taskId` (null when creating).
+ * Returns { dependencies, blockers }, or { status, body } when the list must be rejected.
+ */
+async function resolveDependencies(req, taskId, input) {
+  const dependencies = coerceDependencies(input);
+  for (const dep of dependencies) {
+    if (!mongoose.Types.ObjectId.isValid(dep.task)) {
+      return { status: 400, body: { error: `Invalid blocker task ID: ${dep.task}` } };
+    }
+    if (taskId && dep.task === String(taskId)) {
+      return { status: 400, body: { error: 'A task cannot be blocked by itself' } };
+    }
+  }
 
+  const blockers = await loadBlockers(dependencies);
+  if (blockers.length !== dependencies.length) {
+    return { status: 404, body: { error: 'Blocker task not found' } };
+  }
+  for (const blocker of blockers) {
+    if (!(await canViewTask(req.user, blocker))) {
+      return { status: 403, body: { error: 'You do not have access to a blocker task' } };
+    }
+  }
 
-/** Compute the next deadline from a given deadline & recurrence rule. Returns Date or null if beyond `until`. */
-function computeNextDeadline(currentDeadline, recurrence) {
-  if (!currentDeadline || !recurrence) return null;
-  const base = new Date(currentDeadline);
-  const next = new Date(base);
-  const { frequency, interval, ends, until } = recurrence;
-  if (frequency === 'daily') {
-    next.setDate(next.getDate() + interval);
-  } else if (frequency === 'weekly') {
-    next.setDate(next.getDate() + 7 * interval);
-  } else if (frequency === 'monthly') {
-    const day = next.getDate();
-    const m = next.getMonth();
-    next.setMonth(m + interval);
-    // If date overflowed (e.g., Jan 31 -> Feb), JS auto-rolls. That’s OK for most cases.
-    if (next.getDate() !== day) {
+  if (taskId) {
+    const cycle = await findDependencyCycle(taskId, dependencies.map(d => d.task));
+    if (cycle) {
+      return { status: 400, body: { error: 'Dependency cycle detected', cycle } };
     }
   }
-  if (ends === 'onDate' && until) {
-    if (next > new Date(until)) return null; // stop series
+  return { dependencies, blockers };
+}
+
+const isOverride = (v) => v === true || v === 'true';
+
+/** Audit entries for newly uploaded attachments. */
+const recordAttachments = (attachments, task, actor) =>
+  Promise.all(attachments.map(a => recordActivity({
+    entityType: 'Attachment',
+    entityId: a._id,
+    task: task._id,
+    project: task.assignedProject,
+    action: 'created',
+    actor,
+    changes: [{ field: 'filename', from: null, to: a.filename }],
+  })));
+
+/** Schedule and WIP-limit warnings ride along with the task in POST/PUT responses. */
+const withWarnings = (doc, warnings, wip = null) =>
+  warnings.length || wip
+    ? {
+      ...doc.toJSON(),
+      ...(warnings.length ? { scheduleWarnings: warnings } : {}),
+      ...(wip ? { wipWarning: wip } : {}),
+    }
+    : doc;
+
+/** WIP warning for the column a top-level task just entered. */
+async function columnWarning(workflow, task) {
+  if (task.parentTask) return null;
+  return wipWarning(workflow, task.status, await countColumn(task.assignedProject, task.status));
+}
+
+/**
+ * When a recurring task is completed, create its next occurrence (and announce it).
+ * Failures are logged, not thrown: the completion itself already succeeded.
+ */
+async function spawnNextOccurrence(task, { workflow, actor, io }) {
+  try {
+    if (!task.recurrence || !task.deadline) return null;
+    const nextDl = await nextInstanceDate(task);
+    if (!nextDl) return null;
+    const clone = await Task.create(await instanceFor(task, nextDl, workflow));
+
+    await recordActivity({
+      entityType: 'Task',
+      entityId: clone._id,
+      task: clone._id,
+      project: clone.assignedProject,
+      action: 'created',
+      actor,
+    });
+
+    const clonePopulated = await populateTask(Task.findById(clone._id));
+    emitTo(io, peopleRooms(clonePopulated), 'calendar:task:created', { task: clonePopulated });
+    await publishEvent('task.created', { task: taskPayload(clonePopulated) }, { actor });
+    return clone;
+  } catch (spawnErr) {
+    console.error('[recurrence] spawn-next failed:', spawnErr);
+    return null;
   }
-  return next;
 }
 
 
@@ -111,7 +250,7 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [title, assignedProject, createdBy]
+ *             required: [title, assignedProject]
  *             properties:
  *               title: { type: string }
  *               description: { type: string }
@@ -125,7 +264,10 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *                     items: { type: string, description: User ID (ObjectId) }
  *                   - type: string
  *                     description: CSV of user IDs
- *               status: { type: string, example: "To Do" }
+ *               status:
+ *                 type: string
+ *                 example: "To Do"
+ *                 description: A status from the project's workflow; defaults to its first not-started status.
  *               priority:
  *                 type: integer
  *                 description: 1 (low) … 10 (high)
@@ -134,9 +276,6 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *               deadline:
  *                 type: string
  *                 format: date-time
- *               createdBy:
- *                 type: string
- *                 description: Creator user ID (ObjectId)
  *               allDay: { type: boolean }
  *               startAt: { type: string, format: date-time }
  *               endAt: { type: string, format: date-time }
@@ -147,21 +286,43 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *                   - type: string
  *                     description: JSON or CSV of minutes
  *               recurrence:
- *                 type: object
- *                 description: Requires `deadline` if provided.
- *                 properties:
- *                   frequency: { type: string, enum: [daily, weekly, monthly] }
- *                   interval: { type: integer, minimum: 1, default: 1 }
- *                   ends: { type: string, enum: [never, onDate], default: never }
- *                   until: { type: string, format: date-time, nullable: true }
+ *                 description: Requires `deadline` if provided; the deadline is the series' first occurrence.
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/RecurrenceInput'
+ *                   - type: string
+ *                     description: RRULE text, e.g. "FREQ=MONTHLY;BYDAY=2TU"
  *               parentTask:
  *                 type: string
  *                 nullable: true
  *                 description: Parent task ID (ObjectId) to create a subtask
+ *               blockedBy:
+ *                 type: array
+ *                 description: Finish-to-start dependencies; this task should not start until each blocker is Done.
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       description: Blocker task ID (ObjectId)
+ *                     - type: object
+ *                       properties:
+ *                         task: { type: string, description: Blocker task ID (ObjectId) }
+ *                         lagMinutes: { type: integer, minimum: 0, default: 0 }
+ *               overrideBlockers:
+ *                 type: boolean
+ *                 description: Allow an active status (e.g. "In Progress") while a blocker is still open.
+ *               estimateMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Original estimate. The remaining estimate starts out the same.
+ *               remainingMinutes: { type: integer, minimum: 0, nullable: true }
+ *               labels:
+ *                 type: array
+ *                 description: Label IDs, organisation-wide or of `assignedProject`
+ *                 items: { type: string }
  *         multipart/form-data:
  *           schema:
  *             type: object
- *             required: [title, assignedProject, createdBy]
+ *             required: [title, assignedProject]
  *             properties:
  *               title: { type: string }
  *               description: { type: string }
@@ -175,7 +336,6 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *               status: { type: string }
  *               priority: { type: integer, minimum: 1, maximum: 10 }
  *               deadline: { type: string, format: date-time }
- *               createdBy: { type: string }
  *               allDay: { type: boolean }
  *               startAt: { type: string, format: date-time }
  *               endAt: { type: string, format: date-time }
@@ -186,6 +346,11 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *                   - type: string
  *               recurrence: { type: string, description: JSON string of recurrence object }
  *               parentTask: { type: string, nullable: true }
+ *               blockedBy: { type: string, description: JSON array or CSV of blocker task IDs }
+ *               overrideBlockers: { type: boolean }
+ *               estimateMinutes: { type: integer, minimum: 0 }
+ *               remainingMinutes: { type: integer, minimum: 0 }
+ *               labels: { type: string, description: JSON array or CSV of label IDs }
  *               attachments:
  *                 type: array
  *                 items:
@@ -193,15 +358,26 @@ function computeNextDeadline(currentDeadline, recurrence) {
  *                   format: binary
  *     responses:
  *       201:
- *         description: Created
+ *         description: |
+ *           Created. Includes `scheduleWarnings` when the task starts before a blocker's deadline (+ lag),
+ *           and `wipWarning` when its column is now over its WIP limit.
  *       400:
- *         description: Validation error (missing/invalid IDs, recurrence without deadline)
+ *         description: Validation error (missing/invalid IDs, recurrence without deadline, status not in the project's workflow, label of another project)
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller is not a member of the project or cannot see a blocker
+ *       404:
+ *         description: Project, parent task, blocker task or label not found
+ *       409:
+ *         description: An active status requested while blockers are open (returns `blockers`)
  */
 /**
  * CREATE Task
  * POST /api/tasks
+ * The creator is always the authenticated caller; `createdBy` in the body is ignored.
  */
-router.post('/', upload.array('attachments'), async (req, res) => {
+async function createTask(req, res) {
   try {
     const {
       title,
@@ -212,36 +388,29 @@ router.post('/', upload.array('attachments'), async (req, res) => {
       status,
       priority,
       deadline,
-      createdBy,
       allDay,
       startAt,
       endAt,
       reminderOffsets,
       recurrence,
       parentTask,
+      blockedBy,
+      overrideBlockers,
+      estimateMinutes,
+      remainingMinutes,
+      labels,
     } = req.body;
-
-    // === DEBUG LOGS FOR RECURRENCE TESTING ===
-    console.log("Raw req.body.recurrence:", req.body.recurrence);
-    if (typeof req.body.recurrence === "string") {
-      try {
-        const parsed = JSON.parse(req.body.recurrence);
-        console.log("Parsed recurrence:", parsed);
-      } catch (err) {
-        console.log("Failed to parse recurrence string:", req.body.recurrence);
-      }
-    } else if (req.body.recurrence && typeof req.body.recurrence === "object") {
-      console.log("Recurrence already an object:", req.body.recurrence);
-    } else {
-      console.log(" No recurrence data received or null");
-    }
+    const createdBy = req.userId;
 
     const coercedPriority = coercePriority(priority);
+    const estimates = coerceEstimates(estimateMinutes, remainingMinutes);
+    if (estimates.error) return res.status(400).json({ error: estimates.error });
+    const labelIds = coerceLabelIds(labels);
+    if (labelIds.error) return res.status(400).json({ error: labelIds.error });
 
     // Required
     if (!title) return res.status(400).json({ error: 'Title is required' });
     if (!assignedProject) return res.status(400).json({ error: 'Assigned project is required' });
-    if (!createdBy) return res.status(400).json({ error: 'Created by is required' });
 
     let parentDoc = null;
     let projectToUse = assignedProject || null;
@@ -259,10 +428,22 @@ router.post('/', upload.array('attachments'), async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(assignedProject)) {
       return res.status(400).json({ error: 'Invalid project ID' });
     }
-    if (!mongoose.Types.ObjectId.isValid(createdBy)) {
-      return res.status(400).json({ error: 'Invalid creator ID' });
+
+    const project = await Project.findById(assignedProject)
+      .select('createdBy teamMembers department workflow')
+      .lean();
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (!canViewProject(req.user, project)) {
+      return res.status(403).json({ error: 'You are not a member of this project' });
     }
 
+    const workflow = workflowOf(project);
+    const initial = resolveStatus(workflow, status || initialStatus(workflow));
+    if (initial.error) return res.status(initial.error.status).json(initial.error.body);
+
+    const taskLabels = await resolveLabels(labelIds.ids ?? [], assignedProject);
+    if (taskLabels.error) return res.status(taskLabels.status).json({ error: taskLabels.error });
+
     // Team members
     let teamMembers = [];
     if (assignedTeamMembers) {
@@ -294,18 +475,37 @@ router.post('/', upload.array('attachments'), async (req, res) => {
 
     // Recurrence
     const rec = coerceRecurrence(recurrence);
+    if (rec?.error) return res.status(400).json({ error: rec.error });
     if (rec && !deadline) {
       return res.status(400).json({ error: 'A deadline is required when recurrence is enabled.' });
     }
 
+    // Dependencies
+    const deps = await resolveDependencies(req, null, blockedBy);
+    if (deps.status) return res.status(deps.status).json(deps.body);
+    if (initial.statusCategory === 'active' && !isOverride(overrideBlockers)) {
+      const open = openBlockers(deps.blockers);
+      if (open.length) return res.status(409).json({ error: BLOCKED_ERROR, blockers: open });
+    }
+    const warnings = scheduleWarnings(sAt, deps.dependencies, deps.blockers);
+
+    // New cards go to the bottom of their column
+    const rank = parentTask ? null : await bottomRank(assignedProject, initial.status);
+
+    // A recurring task is the first of its series
+    const taskId = new mongoose.Types.ObjectId();
     const task = await Task.create({
+      _id: taskId,
       title,
       description,
       notes,
       parentTask: parentTask || null, 
       assignedProject,
       assignedTeamMembers: teamMembers,
-      status,
+      status: initial.status,
+      statusCategory: initial.statusCategory,
+      rank,
+      completedAt: initial.statusCategory === 'done' ? now : undefined,
       priority: coercedPriority ?? undefined,
       deadline: deadline ? new Date(deadline) : null,
       createdBy,
@@ -313,7 +513,13 @@ router.post('/', upload.array('attachments'), async (req, res) => {
       startAt: sAt,
       endAt: eAt,
       reminderOffsets: finalOffsets,
-      recurrence: rec ?? null,
+      recurrence: rec ? { ...rec, start: new Date(deadline) } : null,
+      seriesId: rec ? taskId : null,
+      occurrenceDate: rec ? new Date(deadline) : null,
+      blockedBy: deps.dependencies,
+      estimateMinutes: estimates.estimateMinutes ?? null,
+      remainingMinutes: estimates.remainingMinutes ?? estimates.estimateMinutes ?? null,
+      labels: labelIds.ids ?? [],
     });
 
     // Attachments (optional)
@@ -326,24 +532,37 @@ router.post('/', upload.array('attachments'), async (req, res) => {
             mimetype: file.mimetype,
             size: file.size,
             data: file.buffer,
-            uploadedBy: createdBy,
+            uploadedBy: req.userId,
           })
         )
       );
       task.attachments = attachments.map(a => a._id);
       await task.save();
+      await recordAttachments(attachments, task, req.userId);
     }
 
+    await recordActivity({
+      entityType: 'Task',
+      entityId: task._id,
+      task: task._id,
+      project: task.assignedProject,
+      action: 'created',
+      actor: req.userId,
+    });
+
     const populatedTask = await populateTask(Task.findById(task._id));
 
     const io = req.app.get('io');
-    io?.emit?.('calendar:task:created', { task: populatedTask });
+    emitTo(io, peopleRooms(populatedTask), 'calendar:task:created', { task: populatedTask });
+    await publishEvent('task.created', { task: taskPayload(populatedTask) }, { actor: req.userId });
 
-    res.status(201).json(populatedTask);
+    res.status(201).json(withWarnings(populatedTask, warnings, await columnWarning(workflow, task)));
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
-});
+}
+
+router.post('/', upload.array('attachments'), createTask);
 
 
 /**
@@ -360,6 +579,10 @@ router.post('/', upload.array('attachments'), async (req, res) => {
  *         name: status
  *         schema: { type: string }
  *       - in: query
+ *         name: statusCategory
+ *         schema: { type: string, enum: [not_started, active, done] }
+ *         description: Filter by workflow category, whatever the project calls its statuses
+ *       - in: query
  *         name: assignedProject
  *         schema: { type: string }
  *         description: Project ID (ObjectId)
@@ -376,6 +599,14 @@ router.post('/', upload.array('attachments'), async (req, res) => {
  *         schema: { type: string }
  *         description: Manager user ID (filters tasks in projects they created)
  *       - in: query
+ *         name: labels
+ *         schema: { type: string }
+ *         description: CSV of label IDs
+ *       - in: query
+ *         name: labelMatch
+ *         schema: { type: string, enum: [any, all], default: any }
+ *         description: Whether a task needs one of `labels` or all of them
+ *       - in: query
  *         name: parentTask
  *         schema: { type: string, nullable: true }
  *         description: Task ID to filter by parent; pass `null` to get only root tasks
@@ -385,7 +616,11 @@ router.post('/', upload.array('attachments'), async (req, res) => {
  *         description: If not provided, defaults to root tasks only
  *     responses:
  *       200:
- *         description: OK
+ *         description: OK (only tasks the caller may see)
+ *       400:
+ *         description: Invalid label IDs or `labelMatch`
+ *       401:
+ *         description: Missing or invalid access token
  *       500:
  *         description: Server error
  */
@@ -395,17 +630,21 @@ router.post('/', upload.array('attachments'), async (req, res) => {
  */
 router.get('/', async (req, res) => {
   try {
-    const { status, assignedProject, assignee, createdBy, manager, parentTask, includeSubtasks } = req.query; // ← Add 'manager'
+    const { status, statusCategory, assignedProject, assignee, createdBy, manager, parentTask, includeSubtasks } = req.query; // ← Add 'manager'
     const filter = {};
 
     if (status) filter.status = status;
+    if (statusCategory) filter.statusCategory = statusCategory;
     if (assignedProject) filter.assignedProject = new mongoose.Types.ObjectId(assignedProject);
     if (createdBy) filter.createdBy = new mongoose.Types.ObjectId(createdBy);
     if (assignee) filter.assignedTeamMembers = new mongoose.Types.ObjectId(assignee);
 
+    const byLabel = labelFilter(req.query);
+    if (byLabel?.error) return res.status(400).json({ error: byLabel.error });
+    if (byLabel) filter.labels = byLabel.labels;
+
     // ✅ NEW: Filter tasks by manager (via their projects)
     if (manager) {
-      const Project = mongoose.model('Project');
       const managerProjects = await Project.find({ createdBy: manager }).select('_id');
       const projectIds = managerProjects.map(p => p._id);
       filter.assignedProject = { $in: projectIds };
@@ -417,6 +656,10 @@ router.get('/', async (req, res) => {
       filter.parentTask = null; // default to root tasks only
     }
 
+    // Restrict to projects/tasks the caller can see
+    const visibility = await taskVisibilityFilter(req.user);
+    if (visibility) filter.$and = [visibility];
+
     const tasks = await populateTask(
       Task.find(filter).sort({ deadline: 1, createdAt: -1 })
     ).lean();
@@ -433,6 +676,7 @@ router.get('/', async (req, res) => {
  *   get:
  *     tags: [Tasks]
  *     summary: Get a task by ID
+ *     description: Includes `blockedBy` (populated blockers) and `blocks` (tasks waiting on this one).
  *     parameters:
  *       - in: path
  *         name: id
@@ -442,6 +686,8 @@ router.get('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: OK
+ *       403:
+ *         description: Caller may not view this task
  *       404:
  *         description: Task not found
  *       500:
@@ -453,6 +699,10 @@ router.get('/:id', async (req, res) => {
     const task = await populateTask(Task.findById(req.params.id)).lean();
 
     if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
+    task.blocks = await findDependents(task._id, req.user);
     res.json(task);
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -466,9 +716,11 @@ router.get('/:id', async (req, res) => {
  *     tags: [Tasks]
  *     summary: Update a task
  *     description: |
- *       Updates task fields (attachments supported). Automatically maintains `completedAt`
- *       when status transitions to/from **Done**. If a recurring task is marked Done and
- *       the rule allows, the next occurrence may be spawned automatically.
+ *       Updates task fields (attachments supported). `status` must be in the project's workflow
+ *       and, if the workflow restricts transitions, reachable from the current status.
+ *       Automatically maintains `completedAt` when the task enters or leaves a **done**-category
+ *       status. If a recurring task is completed and the rule allows, the next occurrence is
+ *       spawned in the workflow's first not-started status (once per occurrence).
  *     parameters:
  *       - in: path
  *         name: id
@@ -494,7 +746,6 @@ router.get('/:id', async (req, res) => {
  *               status: { type: string }
  *               priority: { type: integer, minimum: 1, maximum: 10 }
  *               deadline: { type: string, format: date-time, nullable: true }
- *               createdBy: { type: string }
  *               allDay: { type: boolean }
  *               startAt: { type: string, format: date-time, nullable: true }
  *               endAt: { type: string, format: date-time, nullable: true }
@@ -504,16 +755,51 @@ router.get('/:id', async (req, res) => {
  *                     items: { type: number }
  *                   - type: string
  *               recurrence:
+ *                 description: A changed rule starts a new series at this task (unless `scope` is `all`); "none" or null stops repeating.
  *                 oneOf:
- *                   - type: object
- *                     properties:
- *                       frequency: { type: string, enum: [daily, weekly, monthly] }
- *                       interval: { type: integer, minimum: 1 }
- *                       ends: { type: string, enum: [never, onDate] }
- *                       until: { type: string, format: date-time, nullable: true }
+ *                   - $ref: '#/components/schemas/RecurrenceInput'
  *                   - type: string
- *                     description: JSON string of recurrence object
+ *                     description: JSON string of recurrence object, or RRULE text
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *                 default: this
+ *                 description: |
+ *                   For a recurring task: `this` changes only this occurrence (a moved deadline
+ *                   keeps the series' schedule); `following` also changes the later tasks of the
+ *                   series and, with a new deadline, splits the series here; `all` changes every
+ *                   open task of the series and moves the whole schedule with the deadline.
  *               parentTask: { type: string, nullable: true }
+ *               blockedBy:
+ *                 type: array
+ *                 description: Replaces the dependency list (see POST /api/tasks).
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         task: { type: string }
+ *                         lagMinutes: { type: integer, minimum: 0 }
+ *               overrideBlockers: { type: boolean }
+ *               rank:
+ *                 type: number
+ *                 description: Position in the board column (ascending). Without it, a task changing column goes to the bottom.
+ *               estimateMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Original estimate. Sets the remaining estimate too if that was never set.
+ *               remainingMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Logging time burns this down automatically; send it to re-estimate.
+ *               labels:
+ *                 type: array
+ *                 description: |
+ *                   Replaces the task's labels. When the task moves to another project without
+ *                   `labels`, labels of the old project are dropped.
+ *                 items: { type: string }
  *         multipart/form-data:
  *           schema:
  *             type: object
@@ -530,7 +816,6 @@ router.get('/:id', async (req, res) => {
  *               status: { type: string }
  *               priority: { type: integer, minimum: 1, maximum: 10 }
  *               deadline: { type: string, format: date-time }
- *               createdBy: { type: string }
  *               allDay: { type: boolean }
  *               startAt: { type: string, format: date-time }
  *               endAt: { type: string, format: date-time }
@@ -539,8 +824,14 @@ router.get('/:id', async (req, res) => {
  *                   - type: array
  *                     items: { type: number }
  *                   - type: string
- *               recurrence: { type: string, description: JSON string }
+ *               recurrence: { type: string, description: JSON string or RRULE text }
+ *               scope: { type: string, enum: [this, following, all] }
  *               parentTask: { type: string, nullable: true }
+ *               blockedBy: { type: string, description: JSON array or CSV of blocker task IDs }
+ *               overrideBlockers: { type: boolean }
+ *               estimateMinutes: { type: integer, minimum: 0 }
+ *               remainingMinutes: { type: integer, minimum: 0 }
+ *               labels: { type: string, description: JSON array or CSV of label IDs }
  *               attachments:
  *                 type: array
  *                 items:
@@ -548,11 +839,19 @@ router.get('/:id', async (req, res) => {
  *                   format: binary
  *     responses:
  *       200:
- *         description: Updated
+ *         description: |
+ *           Updated. Includes `scheduleWarnings` when the task starts before a blocker's deadline (+ lag),
+ *           and `wipWarning` (`{ status, limit, count }`) when it moved into a column over its WIP limit.
  *       400:
- *         description: Validation error (IDs, priority, recurrence without deadline)
+ *         description: Validation error (IDs, priority, recurrence without deadline, dependency cycle, status not in the project's workflow, rank, estimates, label of another project)
+ *       403:
+ *         description: Caller may not edit this task
  *       404:
- *         description: Task not found
+ *         description: Task, blocker task or label not found
+ *       409:
+ *         description: |
+ *           The project's workflow does not allow this transition (returns `allowed`), or the task
+ *           is moving into an active status while blockers are open without `overrideBlockers` (returns `blockers`)
  */
 /**
  * UPDATE Task
@@ -569,25 +868,44 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
       status,
       priority,
       deadline,
-      createdBy,
       allDay,
       startAt,
       endAt,
       reminderOffsets,
       recurrence,
       parentTask, 
+      blockedBy,
+      overrideBlockers,
+      rank,
+      estimateMinutes,
+      remainingMinutes,
+      labels,
     } = req.body;
 
     const existing = await Task.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Task not found' });
+    if (!(await canViewTask(req.user, existing))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
 
     // Validate IDs only if provided
     if (assignedProject !== undefined && !mongoose.Types.ObjectId.isValid(assignedProject)) {
       return res.status(400).json({ error: 'Invalid project ID' });
     }
-    if (createdBy !== undefined && !mongoose.Types.ObjectId.isValid(createdBy)) {
-      return res.status(400).json({ error: 'Invalid creator ID' });
+    const movingProject = assignedProject !== undefined && String(assignedProject) !== String(existing.assignedProject);
+    let workflowProject;
+    if (movingProject) {
+      workflowProject = await Project.findById(assignedProject)
+        .select('createdBy teamMembers department workflow')
+        .lean();
+      if (!workflowProject) return res.status(404).json({ error: 'Project not found' });
+      if (!canViewProject(req.user, workflowProject)) {
+        return res.status(403).json({ error: 'You are not a member of this project' });
+      }
+    } else {
+      workflowProject = await Project.findById(existing.assignedProject).select('workflow').lean();
     }
+    const workflow = workflowOf(workflowProject);
     if (parentTask !== undefined && parentTask !== null) {
       if (!mongoose.Types.ObjectId.isValid(parentTask)) {
         return res.status(400).json({ error: 'Invalid parentTask ID' });
@@ -618,7 +936,6 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
     if (notes !== undefined) updateData.notes = notes;
     if (assignedProject !== undefined) updateData.assignedProject = assignedProject;
     if (teamMembers !== undefined) updateData.assignedTeamMembers = teamMembers;
-    if (status !== undefined) updateData.status = status;
     if (priority !== undefined) {
       const coerced = coercePriority(priority);
       if (coerced === undefined) {
@@ -626,25 +943,65 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
       }
       updateData.priority = coerced;
     }
-    if (createdBy !== undefined) updateData.createdBy = createdBy;
     if (parentTask !== undefined) updateData.parentTask = parentTask || null;
     if (deadline !== undefined) updateData.deadline = deadline ? new Date(deadline) : null;
     if (allDay !== undefined) updateData.allDay = (allDay === true || allDay === 'true');
     if (startAt !== undefined) updateData.startAt = startAt ? new Date(startAt) : null;
     if (endAt !== undefined) updateData.endAt = endAt ? new Date(endAt) : null;
 
-    // === INSERT THIS BLOCK HERE (right after updateData is computed) ===
-    const prevStatus = existing.status;
-    const nextStatus = (status !== undefined) ? status : prevStatus;
+    // Estimates: a first original estimate also seeds the remaining one
+    const estimates = coerceEstimates(estimateMinutes, remainingMinutes);
+    if (estimates.error) return res.status(400).json({ error: estimates.error });
+    if (estimates.estimateMinutes !== undefined) updateData.estimateMinutes = estimates.estimateMinutes;
+    if (estimates.remainingMinutes !== undefined) {
+      updateData.remainingMinutes = estimates.remainingMinutes;
+    } else if (estimates.estimateMinutes != null && existing.remainingMinutes == null) {
+      updateData.remainingMinutes = estimates.estimateMinutes;
+    }
+
+    // Labels must fit the (target) project; a move drops the old project's own labels
+    const labelIds = coerceLabelIds(labels);
+    if (labelIds.error) return res.status(400).json({ error: labelIds.error });
+    const labelProject = movingProject ? assignedProject : existing.assignedProject;
+    if (labelIds.ids !== undefined) {
+      const taskLabels = await resolveLabels(labelIds.ids, labelProject);
+      if (taskLabels.error) return res.status(taskLabels.status).json({ error: taskLabels.error });
+      updateData.labels = labelIds.ids;
+    } else if (movingProject && existing.labels?.length) {
+      updateData.labels = await labelsValidIn(existing.labels, labelProject);
+    }
+
+    // Status must exist in the (target) workflow; transition rules apply within a project.
+    // A task moved to another project without a status keeps the closest match there.
+    const prevCategory = categoryOf(existing);
+    const next = status !== undefined
+      ? resolveStatus(workflow, status, movingProject ? undefined : existing.status)
+      : statusAfterMove(workflow, existing);
+    if (next.error) return res.status(next.error.status).json(next.error.body);
+    if (next.status !== existing.status || next.statusCategory !== existing.statusCategory) {
+      updateData.status = next.status;
+      updateData.statusCategory = next.statusCategory;
+    }
+
+    // Board position: an explicit rank (drag and drop), else the bottom of a new column
+    const columnChanged = movingProject || updateData.status !== undefined;
+    const isRoot = !(parentTask !== undefined ? parentTask : existing.parentTask);
+    if (rank !== undefined && rank !== null && rank !== '') {
+      const r = Number(rank);
+      if (!Number.isFinite(r)) return res.status(400).json({ error: 'Invalid rank; must be a number.' });
+      updateData.rank = r;
+    } else if (columnChanged && isRoot) {
+      updateData.rank = await bottomRank(assignedProject ?? existing.assignedProject, next.status, existing._id);
+    }
 
     // maintain completedAt automatically
-    if (prevStatus !== 'Done' && nextStatus === 'Done') {
+    const completing = prevCategory !== 'done' && next.statusCategory === 'done';
+    if (completing) {
       updateData.completedAt = new Date();
     }
-    if (prevStatus === 'Done' && nextStatus !== 'Done') {
+    if (prevCategory === 'done' && next.statusCategory !== 'done') {
       updateData.completedAt = null;
     }
-    // === END INSERT ===
 
     // Determine what the deadline will be AFTER this update
     const nextDeadline = (deadline !== undefined)
@@ -668,13 +1025,37 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
       }
     }
 
-    // Recurrence (allow update/clear)
+    // Recurrence (allow update/clear), and how this edit reaches the rest of its series
+    const scope = req.body.scope ?? req.query.scope ?? 'this';
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${EDIT_SCOPES.join(', ')}` });
+    }
+    let rule;
     if (recurrence !== undefined) {
-      const rec = coerceRecurrence(recurrence);
-      if (rec && !(updateData.deadline ?? existing.deadline)) {
+      rule = coerceRecurrence(recurrence);
+      if (rule?.error) return res.status(400).json({ error: rule.error });
+      if (rule && !(updateData.deadline ?? existing.deadline)) {
         return res.status(400).json({ error: 'A deadline is required when recurrence is enabled.' });
       }
-      updateData.recurrence = rec ?? null;
+    }
+    const series = planSeriesEdit(existing, updateData, { scope, rule });
+    Object.assign(updateData, series.set);
+
+    // Dependencies: validate a new list, otherwise re-check the stored one
+    let dependencies;
+    let blockers;
+    if (blockedBy !== undefined) {
+      const deps = await resolveDependencies(req, existing._id, blockedBy);
+      if (deps.status) return res.status(deps.status).json(deps.body);
+      ({ dependencies, blockers } = deps);
+      updateData.blockedBy = dependencies;
+    } else {
+      dependencies = coerceDependencies(existing.blockedBy);
+      blockers = await loadBlockers(dependencies);
+    }
+    if (next.statusCategory === 'active' && prevCategory !== 'active' && !isOverride(overrideBlockers)) {
+      const open = openBlockers(blockers);
+      if (open.length) return res.status(409).json({ error: BLOCKED_ERROR, blockers: open });
     }
 
     // Normalize times
@@ -688,11 +1069,32 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
     if (eAt < sAt) eAt = new Date(sAt.getTime() + 60 * 60 * 1000);
     updateData.startAt = sAt;
     updateData.endAt = eAt;
+    const warnings = scheduleWarnings(sAt, dependencies, blockers);
 
+    const before = existing.toObject();
     const task = await Task.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
       runValidators: true,
     });
+    await applySeriesEdit(series.ops);
+
+    // Two cards dropped into the same gap: renumber the column
+    if (updateData.rank !== undefined && isRoot &&
+        (await rankTaken(task.assignedProject, task.status, task.rank, task._id))) {
+      task.rank = await rebalanceColumn(task.assignedProject, task.status, task._id);
+    }
+    const wip = columnChanged ? await columnWarning(workflow, task) : null;
+
+    const changes = diffFields(before, task, TASK_AUDIT_FIELDS);
+    await recordActivity({
+      entityType: 'Task',
+      entityId: task._id,
+      task: task._id,
+      project: task.assignedProject,
+      action: 'updated',
+      actor: req.userId,
+      changes,
+    });
 
     // New attachments (optional)
     if (req.files && req.files.length > 0) {
@@ -704,78 +1106,392 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
             mimetype: file.mimetype,
             size: file.size,
             data: file.buffer,
-            uploadedBy: createdBy || task.createdBy,
+            uploadedBy: req.userId,
           })
         )
       );
       const existingAttachmentIds = task.attachments || [];
       task.attachments = [...existingAttachmentIds, ...newAttachments.map(a => a._id)];
       await task.save();
+      await recordAttachments(newAttachments, task, req.userId);
     }
 
     const populatedTask = await populateTask(Task.findById(task._id));
 
     const io = req.app.get('io');
-    io?.emit?.('calendar:task:updated', { task: populatedTask });
-
-    try {
-      const hadDoneTransition = (prevStatus !== 'Done' && nextStatus === 'Done');
-      const recurrenceToUse = (task.recurrence || existing.recurrence);
-      const currentDeadline = (task.deadline || existing.deadline);
-      if (hadDoneTransition && recurrenceToUse && currentDeadline) {
-        const nextDl = computeNextDeadline(currentDeadline, recurrenceToUse);
-        if (nextDl) {
-          const clone = await Task.create({
-            title: task.title,
-            description: task.description,
-            notes: task.notes,
-            parentTask: task.parentTask || null, 
-            assignedProject: task.assignedProject,
-            assignedTeamMembers: task.assignedTeamMembers,
-            status: 'To Do',
-            priority: task.priority,
-            deadline: nextDl,
-            createdBy: task.createdBy,
-            allDay: task.allDay,
-            startAt: task.startAt ? new Date(task.startAt) : new Date(),
-            endAt: task.endAt
-              ? new Date(task.endAt)
-              : new Date(nextDl.getTime()), 
-            reminderOffsets: (Array.isArray(task.reminderOffsets) && task.reminderOffsets.length)
-              ? task.reminderOffsets
-              : DEFAULT_REMINDERS_MIN,
-            recurrence: recurrenceToUse,
-          });
-
-          const clonePopulated = await populateTask(Task.findById(clone._id));
-          const io = req.app.get('io');
-          io?.emit?.('calendar:task:created', { task: clonePopulated });
-        }
-      }
-    } catch (spawnErr) {
-      console.error('[recurrence] spawn-next failed:', spawnErr);
+    // The people it was taken from see it go too
+    const people = peopleRooms(existing, populatedTask);
+    emitTo(io, people, 'calendar:task:updated', { task: populatedTask });
+    if (series.ops.length) emitTo(io, people, 'calendar:series:updated', { seriesId: String(existing.seriesId ?? existing._id) });
+
+    if (completing) {
+      await spawnNextOccurrence(task, {
+        workflow,
+        actor: req.userId,
+        io,
+      });
     }
 
 
-    const updateNotifs = await createUpdateNotifications({
+    // Reordering a card on the board isn't news to the assignees
+    const reorderOnly = rank !== undefined && !changes.length;
+    const updateNotifs = reorderOnly ? [] : await createUpdateNotifications({
       taskId: String(task._id),
-      authorId: String(
-          (req.user && req.user._id) ??
-          req.body.updatedBy ??
-          req.body.createdBy ??
-          existing.createdBy
-          )
+      authorId: String(req.userId),
+      changes,
     })
 
     // const io = req.app.get('io');
-    for (const n of [...updateNotifs]) {
-      io?.emit?.(`notification:${n.userId}`, n);
+    for (const n of updateNotifs) {
+      if (n.channels?.inApp === false) continue; // email-only for this recipient
+      emitNotification(io, n);
     }
-    io?.emit?.('task:updated', { taskId: String(task._id) });
+    emitTo(io, projectRooms(existing, task), 'task:updated', {
+      taskId: String(task._id),
+      projectId: task.assignedProject ? String(task.assignedProject) : null,
+      status: task.status,
+      rank: task.rank,
+    });
+    await publishTaskUpdate({ before, after: task, changes, actor: req.userId });
 
     if (updateNotifs.length) await sendPendingEmails();
 
-    res.json(populatedTask);
+    res.json(withWarnings(populatedTask, warnings, wip));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{id}/activity:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Audit trail for a task
+ *     description: |
+ *       Newest-first history of the task, its comments and its attachments. Each entry
+ *       carries field-level `changes` ({ field, from, to }), the `actor`, and a readable `summary`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: Task ID (ObjectId)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 200, default: 50 }
+ *       - in: query
+ *         name: before
+ *         schema: { type: string, format: date-time }
+ *         description: Only entries older than this (for paging)
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Invalid task id or `before`
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+/** Task history */
+router.get('/:id/activity', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid task ID' });
+    }
+    const page = activityPageOptions(req.query);
+    if (!page) return res.status(400).json({ error: "Invalid 'before' date" });
+
+    const task = await Task.findById(req.params.id)
+      .select('createdBy assignedTeamMembers assignedProject')
+      .lean();
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
+
+    res.json(await listActivity({ task: task._id }, page));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     RecurrenceInput:
+ *       type: object
+ *       description: An RFC 5545 recurrence rule; send either `rrule` or the fields.
+ *       properties:
+ *         rrule: { type: string, example: "FREQ=MONTHLY;BYDAY=2TU;COUNT=6" }
+ *         frequency: { type: string, enum: [daily, weekly, monthly, yearly] }
+ *         interval: { type: integer, minimum: 1, maximum: 999, default: 1 }
+ *         byDay:
+ *           type: array
+ *           description: Weekdays, with an ordinal for monthly and yearly rules ("2TU", "-1FR")
+ *           items: { type: string, example: "MO" }
+ *         byMonthDay:
+ *           type: array
+ *           description: Days of the month; negative counts from the end (-1 = last day)
+ *           items: { type: integer }
+ *         byMonth: { type: array, items: { type: integer, minimum: 1, maximum: 12 } }
+ *         bySetPos:
+ *           type: array
+ *           description: Which of each period's matching days to keep (-1 = the last)
+ *           items: { type: integer }
+ *         ends: { type: string, enum: [never, onDate, afterCount], default: never }
+ *         until: { type: string, format: date-time, nullable: true }
+ *         count: { type: integer, minimum: 1, maximum: 1000, nullable: true }
+ *         timezone: { type: string, default: Asia/Singapore, description: IANA timezone the rule's days are in }
+ *     TaskSeries:
+ *       type: object
+ *       properties:
+ *         seriesId: { type: string }
+ *         rrule: { type: string, nullable: true, example: "FREQ=MONTHLY;BYDAY=2TU" }
+ *         description: { type: string, nullable: true, example: "Every month on the 2nd Tuesday" }
+ *         timezone: { type: string, nullable: true }
+ *         start: { type: string, format: date-time, nullable: true }
+ *         instances:
+ *           type: array
+ *           description: Tasks of the series, oldest occurrence first
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: { type: string }
+ *               title: { type: string }
+ *               status: { type: string }
+ *               deadline: { type: string, format: date-time }
+ *               occurrenceDate: { type: string, format: date-time }
+ *               completedAt: { type: string, format: date-time, nullable: true }
+ *               detached: { type: boolean, description: A single occurrence changed on its own }
+ *         upcoming: { type: array, items: { type: string, format: date-time } }
+ *         skipped: { type: array, items: { type: string, format: date-time } }
+ */
+
+/** Load a task the caller may see, or answer with 400/403/404. */
+async function viewableTask(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid task ID' });
+    return null;
+  }
+  const task = await Task.findById(req.params.id).lean();
+  if (!task) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  if (!(await canViewTask(req.user, task))) {
+    res.status(403).json({ error: 'You do not have access to this task' });
+    return null;
+  }
+  return task;
+}
+
+/**
+ * @openapi
+ * /api/tasks/{id}/series:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: The recurring series a task belongs to
+ *     description: Its rule, its tasks, the next occurrences that have no task yet, and the skipped dates.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         description: How many upcoming occurrences to list
+ *         schema: { type: integer, minimum: 1, maximum: 50, default: 10 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TaskSeries' }
+ *       400:
+ *         description: Invalid task id, or the task doesn't repeat
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/series', async (req, res) => {
+  try {
+    const task = await viewableTask(req, res);
+    if (!task) return;
+    if (!task.recurrence && !task.seriesId) return res.status(400).json({ error: 'This task does not repeat' });
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit, 10) || 10));
+    res.json(await seriesOverview(task, { limit }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{id}/series/skip:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Skip one occurrence of a recurring task
+ *     description: |
+ *       Skipping the task's own occurrence moves the task on to the next one. Skipping a
+ *       later occurrence leaves it out of the series (it won't be created or shown).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [occurrenceDate]
+ *             properties:
+ *               occurrenceDate: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: The series after the skip
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TaskSeries' }
+ *       400:
+ *         description: Not an occurrence of the series, already past, or the last one
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: The occurrence was already skipped or has a task
+ */
+router.post('/:id/series/skip', async (req, res) => {
+  try {
+    const task = await viewableTask(req, res);
+    if (!task) return;
+    const result = await skipOccurrence(task, req.body?.occurrenceDate);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const changes = result.set.deadline
+      ? [{ field: 'deadline', from: task.deadline, to: result.set.deadline }]
+      : [{ field: 'skippedOccurrence', from: null, to: new Date(req.body.occurrenceDate) }];
+    await recordActivity({
+      entityType: 'Task',
+      entityId: task._id,
+      task: task._id,
+      project: task.assignedProject,
+      action: 'updated',
+      actor: req.userId,
+      changes,
+    });
+
+    const series = await seriesOverview({ ...task, ...result.set }, {});
+    const io = req.app.get('io');
+    if (result.set.deadline) {
+      emitTo(io, peopleRooms(task), 'calendar:task:updated', { task: await populateTask(Task.findById(task._id)) });
+      await publishTaskUpdate({ before: task, after: { ...task, ...result.set }, changes, actor: req.userId });
+    }
+    emitTo(io, peopleRooms(task), 'calendar:series:updated', { seriesId: String(series.seriesId) });
+    res.json(series);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{id}/series/occurrences:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Change a single later occurrence of a recurring task
+ *     description: |
+ *       Creates the task for that occurrence now, with the changes applied. It doesn't
+ *       repeat itself; the series skips its date. To change the task's own occurrence,
+ *       update the task with `scope: this`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [occurrenceDate]
+ *             properties:
+ *               occurrenceDate: { type: string, format: date-time }
+ *               title: { type: string }
+ *               description: { type: string }
+ *               notes: { type: string }
+ *               priority: { type: integer, minimum: 1, maximum: 10 }
+ *               deadline: { type: string, format: date-time, description: Defaults to the occurrence date }
+ *               assignedTeamMembers: { type: array, items: { type: string } }
+ *     responses:
+ *       201:
+ *         description: The task created for the occurrence
+ *       400:
+ *         description: Validation error, or not a later occurrence of the series
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: The occurrence was already skipped or has a task
+ */
+router.post('/:id/series/occurrences', async (req, res) => {
+  try {
+    const task = await viewableTask(req, res);
+    if (!task) return;
+
+    const { title, description, notes, priority, deadline, assignedTeamMembers } = req.body ?? {};
+    const changes = {};
+    if (title !== undefined) {
+      if (!String(title).trim()) return res.status(400).json({ error: 'Title cannot be empty' });
+      changes.title = title;
+    }
+    if (description !== undefined) changes.description = description;
+    if (notes !== undefined) changes.notes = notes;
+    if (priority !== undefined) {
+      const coerced = coercePriority(priority);
+      if (coerced === undefined) return res.status(400).json({ error: 'Invalid priority; must be an integer 1–10.' });
+      changes.priority = coerced;
+    }
+    if (deadline !== undefined) {
+      const d = new Date(deadline);
+      if (!deadline || Number.isNaN(d.getTime())) return res.status(400).json({ error: 'Invalid deadline' });
+      changes.deadline = d;
+    }
+    if (assignedTeamMembers !== undefined) {
+      if (!Array.isArray(assignedTeamMembers) || assignedTeamMembers.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ error: 'assignedTeamMembers must be an array of user IDs' });
+      }
+      changes.assignedTeamMembers = assignedTeamMembers;
+    }
+
+    const project = await Project.findById(task.assignedProject).select('workflow').lean();
+    const result = await detachOccurrence(task, req.body?.occurrenceDate, changes, workflowOf(project));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    await recordActivity({
+      entityType: 'Task',
+      entityId: result.task._id,
+      task: result.task._id,
+      project: result.task.assignedProject,
+      action: 'created',
+      actor: req.userId,
+    });
+    const created = await populateTask(Task.findById(result.task._id));
+    const io = req.app.get('io');
+    emitTo(io, peopleRooms(task, created), 'calendar:task:created', { task: created });
+    emitTo(io, peopleRooms(task, created), 'calendar:series:updated', { seriesId: String(created.seriesId) });
+    await publishEvent('task.created', { task: taskPayload(created) }, { actor: req.userId });
+    res.status(201).json(created);
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
@@ -802,6 +1518,13 @@ router.put('/:id', upload.array('attachments'), async (req, res) => {
 /** LIST subtasks of a task */
 router.get('/:id/subtasks', async (req, res) => {
   try {
+    const parent = await Task.findById(req.params.id)
+      .select('createdBy assignedTeamMembers assignedProject')
+      .lean();
+    if (parent && !(await canViewTask(req.user, parent))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
+
     const children = await Task.find({ parentTask: req.params.id })
       .sort({ deadline: 1, createdAt: 1 })
       .populate('assignedTeamMembers', 'name email')
@@ -853,16 +1576,300 @@ router.get('/:id/subtasks', async (req, res) => {
 /** CREATE subtasks */
 router.post('/:id/subtasks', upload.array('attachments'), async (req, res) => {
   req.body.parentTask = req.params.id;
-  return router.handle({ ...req, method: 'POST', url: '/' }, res);
+  return createTask(req, res);
 });
 
 
+/**
+ * @openapi
+ * /api/tasks/bulk:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Change or delete many tasks at once
+ *     description: |
+ *       Applies one change set to every task in `taskIds`, or moves them all to the trash
+ *       with `delete: true`. Each task is checked as PUT /api/tasks/{id} (or DELETE) would;
+ *       if any of them fails, nothing is changed and every failure is listed. The writes run
+ *       in one transaction. Clients get a single `tasks:bulk` Socket.IO event
+ *       (`{ action, taskIds, projectIds }`), and each affected user one notification.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [taskIds]
+ *             properties:
+ *               taskIds:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items: { type: string }
+ *               delete: { type: boolean }
+ *               overrideBlockers: { type: boolean }
+ *               changes:
+ *                 type: object
+ *                 properties:
+ *                   status: { type: string }
+ *                   priority: { type: integer, minimum: 1, maximum: 10 }
+ *                   assignees:
+ *                     type: object
+ *                     properties:
+ *                       mode: { type: string, enum: [add, remove, replace] }
+ *                       users:
+ *                         type: array
+ *                         items: { type: string }
+ *                   shiftDays:
+ *                     type: integer
+ *                     description: Moves the deadline (and start/end) this many days; negative is earlier
+ *                   assignedProject: { type: string }
+ *     responses:
+ *       200:
+ *         description: All tasks changed (`{ message, taskIds }`)
+ *       400:
+ *         description: Invalid request, or a status not in a task's workflow
+ *       403:
+ *         description: Caller may not change (or delete) one of the tasks, or see the target project
+ *       404:
+ *         description: A task or the target project was not found
+ *       409:
+ *         description: A transition the workflow does not allow, or a task with open blockers
+ */
+router.post('/bulk', async (req, res) => {
+  const parsed = parseBulkRequest(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const { taskIds, changes, remove } = parsed;
+    const plan = remove
+      ? await planBulkDelete(req.user, taskIds)
+      : await planBulkChanges(req.user, taskIds, changes, { overrideBlockers: isOverride(req.body.overrideBlockers) });
+    if (plan.failures.length) {
+      const [first] = plan.failures;
+      return res.status(first.status).json({
+        error: plan.failures.length === 1 ? first.error : `${plan.failures.length} tasks cannot be changed`,
+        failures: plan.failures,
+      });
+    }
+
+    let affected;
+    let summary = null;
+    if (remove) {
+      await trashTasks(plan.tasks, req.userId);
+      affected = plan.tasks.map((task) => ({ before: task, after: task }));
+      await Promise.all(plan.tasks.map((task) => recordActivity({
+        entityType: 'Task',
+        entityId: task._id,
+        task: task._id,
+        project: task.assignedProject,
+        action: 'deleted',
+        actor: req.userId,
+        changes: [{ field: 'title', from: task.title, to: null }],
+      })));
+    } else {
+      await applyBulkChanges(plan.plans);
+      affected = plan.plans
+        .map(({ task, set, workflow }) => ({ before: task, after: { ...task, ...set }, set, workflow }))
+        .map((a) => ({ ...a, changes: diffFields(a.before, a.after, TASK_AUDIT_FIELDS) }))
+        .filter((a) => a.changes.length);
+      await Promise.all(affected.map(({ after, changes: diff }) => recordActivity({
+        entityType: 'Task',
+        entityId: after._id,
+        task: after._id,
+        project: after.assignedProject,
+        action: 'updated',
+        actor: req.userId,
+        changes: diff,
+      })));
+      summary = describeBulkChanges(changes, { projectName: plan.target?.name });
+    }
+
+    const io = req.app.get('io');
+    for (const { after, set, workflow } of affected) {
+      if (set?.completedAt) {
+        await spawnNextOccurrence(after, { workflow, actor: req.userId, io });
+      }
+    }
+
+    // One notification per person, covering all of their tasks in the batch
+    const notifs = await createBulkNotifications({
+      authorId: req.userId,
+      tasks: affected.map(({ before, after }) => ({
+        _id: after._id,
+        title: after.title,
+        recipients: [...(before.assignedTeamMembers || []), ...(after.assignedTeamMembers || [])],
+      })),
+      summary,
+    });
+    for (const n of notifs) {
+      if (n.channels?.inApp === false) continue; // email-only for this recipient
+      emitNotification(io, n);
+    }
+    const ids = affected.map(({ after }) => String(after._id));
+    const projectIds = new Set(
+      affected.flatMap(({ before, after }) => [before.assignedProject, after.assignedProject])
+        .filter(Boolean)
+        .map(String)
+    );
+    const rooms = affected.flatMap(({ before, after }) => [...peopleRooms(before, after), ...projectRooms(before, after)]);
+    emitTo(io, rooms, 'tasks:bulk', { action: remove ? 'deleted' : 'updated', taskIds: ids, projectIds: [...projectIds] });
+    for (const { before, after, changes: diff } of affected) {
+      if (remove) await publishEvent('task.deleted', { task: taskPayload(before) }, { actor: req.userId });
+      else await publishTaskUpdate({ before, after, changes: diff, actor: req.userId });
+    }
+
+    if (notifs.length) await sendPendingEmails();
+
+    const count = remove ? plan.tasks.length : affected.length;
+    res.json({
+      message: `${count} ${count === 1 ? 'task' : 'tasks'} ${remove ? 'deleted' : 'updated'}`,
+      taskIds: ids,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/import:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Import tasks from a CSV or iCalendar file
+ *     description: |
+ *       Creates a task per CSV row or per iCalendar VEVENT/VTODO. CSV columns are matched
+ *       to fields by their header (e.g. `Title`, `Due date`, `Assignees`) unless `mapping`
+ *       says otherwise. Assignees are matched by email, projects by name (rows without one
+ *       go to `projectId`) and RRULEs become recurring series. Dates without a zone are
+ *       Singapore time; a date without a time makes an all-day task.
+ *
+ *       With `dryRun` nothing is written: the response lists the tasks that would be
+ *       created and every row-level error. Otherwise the import only goes ahead when no
+ *       row has an error, and creates every task in one transaction. Clients get a
+ *       `tasks:bulk` Socket.IO event (`{ action: 'created', taskIds, projectIds }`).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file: { type: string, format: binary, description: At most 2 MB and 500 rows }
+ *               format: { type: string, enum: [csv, ics], description: Defaults from the file name }
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of field to CSV column, e.g. `{"deadline":"Due"}`; null leaves a field out
+ *               projectId: { type: string }
+ *               dryRun: { type: boolean }
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content, format]
+ *             properties:
+ *               content: { type: string, description: The file's text }
+ *               format: { type: string, enum: [csv, ics] }
+ *               mapping:
+ *                 type: object
+ *                 additionalProperties: { type: string, nullable: true }
+ *               projectId: { type: string }
+ *               dryRun: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: |
+ *           Dry run: `{ dryRun: true, format, columns, mapping, creates, errors, skipped }`.
+ *           `creates` has `{ row, title, project, assignees, status, priority, deadline, startAt, allDay, recurrence }`,
+ *           `errors` `{ row, field, error }` and `skipped` the cancelled or changed iCalendar occurrences.
+ *       201:
+ *         description: Tasks created (`{ message, taskIds, skipped }`)
+ *       400:
+ *         description: Unreadable file or mapping, or rows with errors (listed in `errors`; nothing was created)
+ *       403:
+ *         description: Caller is not a member of `projectId`
+ *       404:
+ *         description: "`projectId` was not found"
+ *       413:
+ *         description: File larger than 2 MB
+ */
+router.post('/import', (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'The file is larger than 2 MB' });
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}, async (req, res) => {
+  try {
+    // No body at all when the request was neither multipart nor JSON
+    const body = req.body ?? {};
+    const { file } = req;
+    const format = detectFormat({ format: body.format, filename: file?.originalname, mimetype: file?.mimetype });
+    if (!format) return res.status(400).json({ error: 'format must be csv or ics' });
+    const content = file ? file.buffer.toString('utf8') : body.content;
+    if (typeof content !== 'string' || !content.trim()) return res.status(400).json({ error: 'Send a file or its content' });
+
+    const parsed = format === 'csv' ? rowsFromCsv(content, { mapping: body.mapping }) : rowsFromIcs(content);
+    if (parsed.error) return res.status(400).json({ error: parsed.error, columns: parsed.columns });
+    const skipped = parsed.skipped ?? [];
+    if (!parsed.rows.length) return res.status(400).json({ error: 'Nothing to import', skipped });
+
+    const plan = await planImport(req.user, parsed.rows, { projectId: body.projectId || null });
+    if (plan.status) return res.status(plan.status).json({ error: plan.error });
+
+    if (isOverride(body.dryRun)) {
+      return res.json({
+        dryRun: true,
+        format,
+        columns: parsed.columns ?? null,
+        mapping: parsed.mapping ?? null,
+        creates: plan.creates.map(previewCreate),
+        errors: plan.errors,
+        skipped,
+      });
+    }
+    if (plan.errors.length) {
+      const rows = new Set(plan.errors.map((e) => e.row)).size;
+      return res.status(400).json({
+        error: `${rows} ${rows === 1 ? 'row has' : 'rows have'} errors; nothing was imported`,
+        errors: plan.errors,
+        skipped,
+      });
+    }
+
+    const created = await applyImport(plan.creates);
+    await Promise.all(created.map((task) => recordActivity({
+      entityType: 'Task',
+      entityId: task._id,
+      task: task._id,
+      project: task.assignedProject,
+      action: 'created',
+      actor: req.userId,
+    })));
+
+    const taskIds = created.map((t) => String(t._id));
+    const projectIds = [...new Set(created.map((t) => String(t.assignedProject)))];
+    const rooms = [...peopleRooms(...created), ...projectRooms(...created)];
+    emitTo(req.app.get('io'), rooms, 'tasks:bulk', { action: 'created', taskIds, projectIds });
+    for (const task of created) {
+      await publishEvent('task.created', { task: taskPayload(task) }, { actor: req.userId });
+    }
+
+    res.status(201).json({
+      message: `${created.length} ${created.length === 1 ? 'task' : 'tasks'} imported`,
+      taskIds,
+      skipped,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /**
  * @openapi
  * /api/tasks/{id}:
  *   delete:
  *     tags: [Tasks]
- *     summary: Delete a task (and cascade delete its subtasks)
+ *     summary: Delete a task (moves it and its subtasks to the trash)
+ *     description: >
+ *       The task and its subtasks can be restored from the trash (see /api/trash) until
+ *       they are purged; their dependency links, comments and attachments are kept until then.
  *     parameters:
  *       - in: path
  *         name: id
@@ -872,20 +1879,38 @@ router.post('/:id/subtasks', upload.array('attachments'), async (req, res) => {
  *     responses:
  *       200:
  *         description: Task deleted successfully
+ *       403:
+ *         description: Only the creator or the project owner may delete a task
  *       404:
  *         description: Task not found
  *       500:
  *         description: Server error
  */
-/** DELETE task (cascade subtasks)*/
+/** DELETE task (trash it with its subtasks) */
 router.delete('/:id', async (req, res) => {
   try {
-    await Task.deleteMany({ parentTask: req.params.id });
-    const task = await Task.findByIdAndDelete(req.params.id);
+    const task = await Task.findById(req.params.id)
+      .select('title status createdBy assignedProject assignedTeamMembers')
+      .lean();
     if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!(await canDeleteTask(req.user, task))) {
+      return res.status(403).json({ error: 'Only the task creator or project owner can delete this task' });
+    }
+
+    await trashTask(task, req.userId);
+    await recordActivity({
+      entityType: 'Task',
+      entityId: task._id,
+      task: task._id,
+      project: task.assignedProject,
+      action: 'deleted',
+      actor: req.userId,
+      changes: [{ field: 'title', from: task.title, to: null }],
+    });
 
     const io = req.app.get('io');
-    io?.emit?.('calendar:task:deleted', { id: req.params.id });
+    emitTo(io, peopleRooms(task), 'calendar:task:deleted', { id: req.params.id });
+    await publishEvent('task.deleted', { task: taskPayload(task) }, { actor: req.userId });
 
     res.json({ message: 'Task deleted successfully' });
   } catch (e) {
@@ -927,7 +1952,16 @@ router.delete('/:id', async (req, res) => {
 router.get('/:taskId/attachments/:attachmentId', async (req, res) => {
   try {
     const attachment = await Attachment.findById(req.params.attachmentId);
-    if (!attachment) return res.status(404).json({ error: 'File not found' });
+    if (!attachment || String(attachment.task) !== String(req.params.taskId)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const task = await Task.findById(req.params.taskId)
+      .select('createdBy assignedTeamMembers assignedProject')
+      .lean();
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
 
     res.set('Content-Type', attachment.mimetype);
     res.set('Content-Disposition', `attachment; filename="${attachment.filename}"`);
@@ -0,0 +1,299 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import ProjectTemplate from '../models/ProjectTemplate.js';
+import Project from '../models/Project.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { canManageTemplate, canViewProject } from '../services/access-policy.js';
+import { captureProject, checkTemplateLabels } from '../services/templates.js';
+import { validateTemplate } from '../utils/templates.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+// The list leaves out the task tree
+const SUMMARY_FIELDS = 'name description project.name project.deadlineOffsetDays createdBy createdAt updatedAt';
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TemplateTask:
+ *       type: object
+ *       required: [title]
+ *       properties:
+ *         title: { type: string }
+ *         description: { type: string }
+ *         notes: { type: string }
+ *         priority: { type: integer, minimum: 1, maximum: 10, default: 5 }
+ *         startOffsetDays:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *           description: Days after the project start; defaults to the start day
+ *         deadlineOffsetDays:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *           description: The task is due at the end of this day (counted from the project start)
+ *         assigneeRoles:
+ *           type: array
+ *           description: Project members with these roles are assigned
+ *           items: { type: string, enum: [Director, Manager, Staff, HR, Senior Manager] }
+ *         reminderOffsets:
+ *           type: array
+ *           items: { type: number, description: Minutes before the deadline }
+ *         recurrence:
+ *           type: object
+ *           nullable: true
+ *           description: Needs `deadlineOffsetDays`
+ *           properties:
+ *             frequency: { type: string, enum: [daily, weekly, monthly] }
+ *             interval: { type: integer, minimum: 1, default: 1 }
+ *             untilOffsetDays: { type: integer, nullable: true }
+ *         estimateMinutes: { type: integer, minimum: 0, nullable: true }
+ *         labels:
+ *           type: array
+ *           description: Organisation-wide label IDs
+ *           items: { type: string }
+ *         subtasks:
+ *           type: array
+ *           description: Up to three levels of tasks in total
+ *           items: { $ref: '#/components/schemas/TemplateTask' }
+ *     ProjectTemplate:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         name: { type: string }
+ *         description: { type: string }
+ *         project:
+ *           type: object
+ *           properties:
+ *             name: { type: string, description: Default name of created projects (the template name if empty) }
+ *             description: { type: string }
+ *             deadlineOffsetDays: { type: integer, nullable: true }
+ *             workflow: { $ref: '#/components/schemas/Workflow' }
+ *             labels:
+ *               type: array
+ *               items: { type: string }
+ *         tasks:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/TemplateTask' }
+ *         createdBy: { type: string }
+ */
+
+/**
+ * @openapi
+ * /api/templates:
+ *   get:
+ *     tags: [Templates]
+ *     summary: List project templates
+ *     description: Every template, newest first, without the task trees (`taskCount` instead).
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [templates, counts] = await Promise.all([
+      ProjectTemplate.find()
+        .select(SUMMARY_FIELDS)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean(),
+      ProjectTemplate.aggregate([{ $project: { taskCount: { $size: '$tasks' } } }]),
+    ]);
+    const taskCount = new Map(counts.map((c) => [String(c._id), c.taskCount]));
+    res.json(templates.map((t) => ({ ...t, taskCount: taskCount.get(String(t._id)) ?? 0 })));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/templates/{id}:
+ *   get:
+ *     tags: [Templates]
+ *     summary: Get a template with its task tree
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ProjectTemplate' }
+ *       400:
+ *         description: Invalid template id
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid template id' });
+  try {
+    const template = await ProjectTemplate.findById(req.params.id).populate('createdBy', 'name email').lean();
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json(template);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/templates:
+ *   post:
+ *     tags: [Templates]
+ *     summary: Create a template
+ *     description: |
+ *       Send the template itself, or `fromProject` to capture an existing project and its
+ *       tasks: dates become offsets from the earliest task start, assignees become their
+ *       roles, and only organisation-wide labels are kept. `name` and `description`
+ *       override the captured ones.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/ProjectTemplate'
+ *               - type: object
+ *                 required: [fromProject]
+ *                 properties:
+ *                   fromProject: { type: string, description: Project ID }
+ *                   name: { type: string }
+ *                   description: { type: string }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ProjectTemplate' }
+ *       400:
+ *         description: Invalid template (the error names the offending task) or a label that is not organisation-wide
+ *       403:
+ *         description: Role may not create templates, or cannot see the project
+ *       404:
+ *         description: Project not found
+ */
+router.post('/', requirePermission('template:manage'), async (req, res) => {
+  try {
+    let body = req.body ?? {};
+    if (body.fromProject !== undefined) {
+      if (!isValidObjectId(body.fromProject)) return res.status(400).json({ error: 'Invalid project id' });
+      const project = await Project.findById(body.fromProject).lean();
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+      if (!canViewProject(req.user, project)) {
+        return res.status(403).json({ error: 'You do not have access to this project' });
+      }
+      const captured = await captureProject(project);
+      body = {
+        ...captured,
+        name: body.name || captured.name,
+        description: body.description ?? captured.description,
+      };
+    }
+
+    const { template, error } = validateTemplate(body);
+    if (error) return res.status(400).json({ error });
+    const labelError = await checkTemplateLabels(template);
+    if (labelError) return res.status(400).json({ error: labelError });
+
+    const doc = await ProjectTemplate.create({ ...template, createdBy: req.userId });
+    res.status(201).json(doc);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/templates/{id}:
+ *   put:
+ *     tags: [Templates]
+ *     summary: Update a template
+ *     description: Fields sent replace the stored ones (`tasks` replaces the whole tree). Creator or Senior Manager only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ProjectTemplate' }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Invalid id or template
+ *       403:
+ *         description: Caller may not edit this template
+ *       404:
+ *         description: Template not found
+ */
+router.put('/:id', requirePermission('template:manage'), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid template id' });
+  const { template: updates, error } = validateTemplate(req.body ?? {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const template = await ProjectTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    if (!canManageTemplate(req.user, template)) {
+      return res.status(403).json({ error: 'You may not edit this template' });
+    }
+    const labelError = await checkTemplateLabels(updates);
+    if (labelError) return res.status(400).json({ error: labelError });
+
+    template.set(updates);
+    await template.save();
+    res.json(template);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/templates/{id}:
+ *   delete:
+ *     tags: [Templates]
+ *     summary: Delete a template
+ *     description: Projects already created from it are not affected. Creator or Senior Manager only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid template id
+ *       403:
+ *         description: Caller may not delete this template
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/:id', requirePermission('template:manage'), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid template id' });
+  try {
+    const template = await ProjectTemplate.findById(req.params.id).select('createdBy').lean();
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    if (!canManageTemplate(req.user, template)) {
+      return res.status(403).json({ error: 'You may not delete this template' });
+    }
+    await ProjectTemplate.deleteOne({ _id: template._id });
+    res.json({ message: 'Template deleted' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
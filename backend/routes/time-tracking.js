@@ -0,0 +1,271 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { requireAuth } from '../middleware/auth.js';
+import { canViewTask } from '../services/access-policy.js';
+import {
+  deleteEntry,
+  logTime,
+  startTimer,
+  stopTimer,
+  taskTimeSummary,
+} from '../services/time-tracking.js';
+import { manualEntry } from '../utils/time-tracking.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+// Every route here is scoped to a task the caller can see; the task is kept on `req.task`.
+router.param('taskId', async (req, res, next, taskId) => {
+  try {
+    if (!isValidObjectId(taskId)) return res.status(400).json({ error: 'Invalid task id' });
+    const task = await Task.findById(taskId)
+      .select('createdBy assignedTeamMembers assignedProject')
+      .lean();
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ error: 'You do not have access to this task' });
+    }
+    req.task = task;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TimeEntry:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         task: { type: string }
+ *         project: { type: string, nullable: true }
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *         source: { type: string, enum: [timer, manual] }
+ *         startedAt: { type: string, format: date-time }
+ *         endedAt: { type: string, format: date-time, nullable: true, description: null while the timer runs }
+ *         minutes: { type: integer }
+ *         note: { type: string }
+ *     TaskTimeSummary:
+ *       type: object
+ *       properties:
+ *         estimateMinutes: { type: integer, nullable: true }
+ *         remainingMinutes: { type: integer, nullable: true }
+ *         loggedMinutes: { type: integer }
+ *         byUser:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user: { type: object }
+ *               minutes: { type: integer }
+ *         running:
+ *           description: The caller's running timer on this task
+ *           nullable: true
+ *           allOf: [{ $ref: '#/components/schemas/TimeEntry' }]
+ *         entries:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/TimeEntry' }
+ */
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/time:
+ *   get:
+ *     tags: [Time Tracking]
+ *     summary: Estimates, logged time and entries for a task
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TaskTimeSummary' }
+ *       400:
+ *         description: Invalid task id
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:taskId/time', async (req, res) => {
+  try {
+    res.json(await taskTimeSummary(req.task._id, req.user._id));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/time:
+ *   post:
+ *     tags: [Time Tracking]
+ *     summary: Log time on a task by hand
+ *     description: Burns down the task's remaining estimate by the logged minutes.
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes: { type: integer, minimum: 1, maximum: 1440 }
+ *               hours: { type: number, description: Alternative to `minutes` }
+ *               startedAt: { type: string, format: date-time, description: Defaults to now minus the duration }
+ *               note: { type: string, maxLength: 500 }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TimeEntry' }
+ *       400:
+ *         description: Missing/invalid duration, bad date or time in the future
+ *       403:
+ *         description: Caller may not view this task
+ *       404:
+ *         description: Task not found
+ */
+router.post('/:taskId/time', async (req, res) => {
+  const { entry, error } = manualEntry(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.status(201).json(await logTime(req.task, req.user._id, entry));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/time/timer/start:
+ *   post:
+ *     tags: [Time Tracking]
+ *     summary: Start the caller's timer on a task
+ *     description: A timer the caller has running on another task is stopped first and returned as `stopped`.
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       201:
+ *         description: Started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry: { $ref: '#/components/schemas/TimeEntry' }
+ *                 stopped:
+ *                   nullable: true
+ *                   allOf: [{ $ref: '#/components/schemas/TimeEntry' }]
+ *       409:
+ *         description: The caller's timer is already running on this task
+ */
+router.post('/:taskId/time/timer/start', async (req, res) => {
+  try {
+    const { entry, stopped, running } = await startTimer(req.task, req.user._id);
+    if (!entry) {
+      return res.status(409).json({ error: 'Your timer is already running on this task', entry: running });
+    }
+    res.status(201).json({ entry, stopped });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/time/timer/stop:
+ *   post:
+ *     tags: [Time Tracking]
+ *     summary: Stop the caller's timer on a task
+ *     description: Records the elapsed minutes and burns down the remaining estimate.
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Stopped
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TimeEntry' }
+ *       404:
+ *         description: No timer of the caller's is running on this task
+ */
+router.post('/:taskId/time/timer/stop', async (req, res) => {
+  try {
+    const entry = await stopTimer(req.task._id, req.user._id);
+    if (!entry) return res.status(404).json({ error: 'No timer is running on this task' });
+    res.json(entry);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tasks/{taskId}/time/{entryId}:
+ *   delete:
+ *     tags: [Time Tracking]
+ *     summary: Delete one of the caller's time entries
+ *     description: The minutes go back onto the remaining estimate.
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid ids
+ *       403:
+ *         description: Entry belongs to someone else
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/:taskId/time/:entryId', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.entryId)) return res.status(400).json({ error: 'Invalid entry id' });
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: req.task._id }).lean();
+    if (!entry) return res.status(404).json({ error: 'Time entry not found' });
+    if (String(entry.user) !== String(req.user._id)) {
+      return res.status(403).json({ error: 'Not allowed to delete this time entry' });
+    }
+
+    await deleteEntry(entry);
+    res.json({ message: 'Time entry deleted' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -1,9 +1,17 @@
 import { Router } from "express";
 import mongoose from "mongoose";
 import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import { requireAuth } from "../middleware/auth.js";
+import { canViewProject, isCompanyWide, ROLES } from "../services/access-policy.js";
+import { categoryOf } from "../utils/workflow.js";
+import { LABEL_FIELDS } from "../services/labels.js";
+import { labelFilter } from "../utils/labels.js";
 
 const router = Router();
 
+router.use(requireAuth);
+
 // Strict YYYY-MM-DD validator (no rollover)
 const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
 
@@ -34,17 +42,25 @@ const dayEndUtc = (s) => {
  * /api/timeline:
  *   get:
  *     tags: [Timeline]
- *     summary: Get tasks timeline for a user
+ *     summary: Get tasks timeline for a user or a project
  *     description: |
- *       Returns tasks assigned to a specific user, optionally filtered by date range.
- *       The date filters (`from`, `to`) must be in strict `YYYY-MM-DD` format.
+ *       With `user`, returns tasks assigned to that user. With `project`, returns every
+ *       task in the project (Gantt mode) plus the project itself, so the client can group
+ *       rows by parent task and draw the project deadline.
+ *       Either may be filtered by date range; `from`/`to` must be in strict `YYYY-MM-DD` format.
  *     parameters:
  *       - in: query
  *         name: user
- *         required: true
+ *         required: false
+ *         schema:
+ *           type: string
+ *           description: User ID (MongoDB ObjectId). Required unless `project` is given.
+ *       - in: query
+ *         name: project
+ *         required: false
  *         schema:
  *           type: string
- *           description: User ID (MongoDB ObjectId)
+ *           description: Project ID (MongoDB ObjectId). Takes precedence over `user`.
  *       - in: query
  *         name: from
  *         required: false
@@ -59,6 +75,16 @@ const dayEndUtc = (s) => {
  *           type: string
  *           pattern: "^[0-9]{4}-[0-9]{2}-[0-9]{2}$"
  *         description: Optional end date (inclusive, YYYY-MM-DD)
+ *       - in: query
+ *         name: labels
+ *         required: false
+ *         schema: { type: string }
+ *         description: CSV of label IDs
+ *       - in: query
+ *         name: labelMatch
+ *         required: false
+ *         schema: { type: string, enum: [any, all], default: any }
+ *         description: Whether a task needs one of `labels` or all of them
  *     responses:
  *       200:
  *         description: Successfully returned timeline data
@@ -67,6 +93,13 @@ const dayEndUtc = (s) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 project:
+ *                   type: object
+ *                   description: Only in project mode
+ *                   properties:
+ *                     id: { type: string }
+ *                     name: { type: string }
+ *                     deadline: { type: string, format: date-time, nullable: true }
  *                 items:
  *                   type: array
  *                   items:
@@ -78,6 +111,9 @@ const dayEndUtc = (s) => {
  *                         type: string
  *                       status:
  *                         type: string
+ *                       statusCategory:
+ *                         type: string
+ *                         enum: [not_started, active, done]
  *                       project:
  *                         type: string
  *                       createdAt:
@@ -95,18 +131,59 @@ const dayEndUtc = (s) => {
  *                       completedAt:
  *                         type: string
  *                         format: date-time
+ *                       projectId:
+ *                         type: string
+ *                         nullable: true
+ *                       parentTask:
+ *                         type: string
+ *                         nullable: true
+ *                       priority:
+ *                         type: integer
+ *                       blockedBy:
+ *                         type: array
+ *                         items: { type: string }
+ *                       labels:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id: { type: string }
+ *                             name: { type: string }
+ *                             color: { type: string }
  *       400:
- *         description: Invalid parameters (user id or date format)
+ *         description: Invalid parameters (user/project id, date format or labels)
+ *       403:
+ *         description: Only Directors, HR and Senior Managers may view another user's timeline; project mode requires access to the project
+ *       404:
+ *         description: Project not found
  *       500:
  *         description: Server error
  */
 router.get("/", async (req, res) => {
   try {
-    const { user: userId, from, to } = req.query;
+    const { user: userId, project: projectId, from, to } = req.query;
 
-    // user id required and must be ObjectId
-    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ error: "Invalid or missing user id" });
+    let project = null;
+    if (projectId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({ error: "Invalid project id" });
+      }
+      project = await Project.findById(projectId)
+        .select("name deadline createdBy teamMembers department")
+        .lean();
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      if (!canViewProject(req.user, project)) {
+        return res.status(403).json({ error: "You do not have access to this project" });
+      }
+    } else {
+      // user id required and must be ObjectId
+      if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: "Invalid or missing user id" });
+      }
+      const role = req.user.role;
+      if (String(userId) !== String(req.userId) && !isCompanyWide(role) && role !== ROLES.DIRECTOR) {
+        return res.status(403).json({ error: "You may not view another user's timeline" });
+      }
     }
 
     // validate 'from'
@@ -138,10 +215,13 @@ router.get("/", async (req, res) => {
         .json({ error: "'from' cannot be after 'to'" });
     }
 
-    // base filter: tasks where the user is an assignee
-    const filter = {
-      assignedTeamMembers: new mongoose.Types.ObjectId(userId),
-    };
+    const byLabel = labelFilter(req.query);
+    if (byLabel?.error) return res.status(400).json({ error: byLabel.error });
+
+    // base filter: every task in the project, or tasks where the user is an assignee
+    const filter = project
+      ? { assignedProject: project._id }
+      : { assignedTeamMembers: new mongoose.Types.ObjectId(userId) };
 
     // optional date window over createdAt OR deadline (inclusive)
     if (gte || lte) {
@@ -150,25 +230,39 @@ router.get("/", async (req, res) => {
       if (lte) range.$lte = lte;
       filter.$or = [{ createdAt: range }, { deadline: range }];
     }
+    if (byLabel) filter.labels = byLabel.labels;
 
     const tasks = await Task.find(filter)
-      .select("title status createdAt startAt endAt deadline completedAt assignedProject")
+      .select("title status statusCategory priority createdAt startAt endAt deadline completedAt assignedProject parentTask blockedBy labels")
       .populate("assignedProject", "name")
-      .sort({ createdAt: -1 })
+      .populate("labels", LABEL_FIELDS)
+      .sort(project ? { startAt: 1, createdAt: 1 } : { createdAt: -1 })
       .lean();
 
     const items = tasks.map((t) => ({
       id: String(t._id),
       title: t.title,
       status: t.status,
+      statusCategory: categoryOf(t),
       project: t.assignedProject?.name || "",
       createdAt: t.createdAt ?? null,
       startAt: t.startAt ?? t.createdAt ?? null,
       endAt: t.endAt ?? null,
       deadline: t.deadline ?? null,
       completedAt: t.completedAt ?? null,
+      projectId: t.assignedProject?._id ? String(t.assignedProject._id) : null,
+      parentTask: t.parentTask ? String(t.parentTask) : null,
+      priority: t.priority ?? null,
+      blockedBy: (t.blockedBy || []).map((d) => String(d.task)),
+      labels: (t.labels || []).map((l) => ({ id: String(l._id), name: l.name, color: l.color })),
     }));
 
+    if (project) {
+      return res.json({
+        project: { id: String(project._id), name: project.name, deadline: project.deadline ?? null },
+        items,
+      });
+    }
     res.json({ items });
   } catch (e) {
     console.error("[dashboard/timeline] failed:", e);
@@ -0,0 +1,138 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import Project from '../models/Project.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  ROLES,
+  canViewProject,
+  isCompanyWide,
+  projectVisibilityFilter,
+} from '../services/access-policy.js';
+import { findTimesheetEntries } from '../services/time-tracking.js';
+import { summarizeTimesheet, timesheetRange } from '../utils/time-tracking.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+/**
+ * Which entries the caller may total up. Staff see their own time only; other roles
+ * also see time logged on projects they can view; HR and Senior Managers see everything.
+ * Returns a Mongo filter or `{ status, error }`.
+ */
+async function timesheetScope(user, { userId, projectId }) {
+  const me = String(user._id);
+  const filter = {};
+
+  if (userId) filter.user = userId;
+  if (projectId) {
+    const project = await Project.findById(projectId).select('createdBy teamMembers department').lean();
+    if (!project) return { status: 404, error: 'Project not found' };
+    if (!canViewProject(user, project)) {
+      return { status: 403, error: 'You do not have access to this project' };
+    }
+    filter.project = projectId;
+  }
+  if (isCompanyWide(user.role)) return { filter };
+
+  if (user.role === ROLES.STAFF) {
+    if (userId && userId !== me) return { status: 403, error: 'You can only view your own timesheet' };
+    return { filter: { ...filter, user: me } };
+  }
+  const visible = await Project.find(projectVisibilityFilter(user)).distinct('_id');
+  return { filter: { ...filter, $or: [{ user: me }, { project: { $in: visible } }] } };
+}
+
+/**
+ * @openapi
+ * /api/timesheet:
+ *   get:
+ *     tags: [Time Tracking]
+ *     summary: Logged hours per user, project and week
+ *     description: |
+ *       Totals closed time entries that started in [`from`, `to`). Weeks start on Monday in
+ *       `timezone`. Staff see their own time; managers and directors also see time on projects
+ *       they can view; HR and Senior Managers see everyone's.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date, example: "2025-10-06" }
+ *         description: Defaults to four weeks before `to`
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date, example: "2025-11-03" }
+ *         description: Exclusive; defaults to the end of the current week
+ *       - in: query
+ *         name: timezone
+ *         schema: { type: string, default: Asia/Singapore }
+ *       - in: query
+ *         name: user
+ *         schema: { type: string }
+ *         description: Only this user's time
+ *       - in: query
+ *         name: project
+ *         schema: { type: string }
+ *         description: Only time on this project
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 timezone: { type: string }
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       weekStart: { type: string, format: date, example: "2025-10-27" }
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string }
+ *                           name: { type: string }
+ *                       project:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string, nullable: true }
+ *                           name: { type: string }
+ *                       minutes: { type: integer }
+ *                       hours: { type: number }
+ *                 totalMinutes: { type: integer }
+ *                 totalHours: { type: number }
+ *       400:
+ *         description: Invalid dates, range, timezone or ids
+ *       403:
+ *         description: Caller may not see this user's or project's time
+ *       404:
+ *         description: Project not found
+ */
+router.get('/', async (req, res) => {
+  const { user: userId, project: projectId } = req.query;
+  if ((userId && !isValidObjectId(userId)) || (projectId && !isValidObjectId(projectId))) {
+    return res.status(400).json({ error: 'Invalid user or project id' });
+  }
+  const range = timesheetRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const scope = await timesheetScope(req.user, { userId, projectId });
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+
+    const entries = await findTimesheetEntries(scope.filter, range.from, range.to);
+    res.json({
+      from: range.from,
+      to: range.to,
+      timezone: range.tz,
+      ...summarizeTimesheet(entries, range.tz),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,230 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import Project from '../models/Project.js';
+import { requireAuth } from '../middleware/auth.js';
+import { canManageTrashed, canViewProject } from '../services/access-policy.js';
+import { recordActivity } from '../services/activity-log.js';
+import { findTrashed, listTrash, purgeItem, restoreBlocker, restoreItem } from '../services/trash.js';
+import { TRASH_TYPES, trashRetentionDays } from '../utils/trash.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+const ENTITY_TYPES = { task: 'Task', project: 'Project', comment: 'Comment' };
+
+/** Check `:type` and `:id`, then load the trashed item and check the caller may act on it. */
+async function _loadTrashed(req, res) {
+  const { type, id } = req.params;
+  if (!TRASH_TYPES.includes(type)) {
+    res.status(400).json({ error: `type must be one of: ${TRASH_TYPES.join(', ')}` });
+    return null;
+  }
+  if (!isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  const item = await findTrashed(type, id);
+  if (!item) {
+    res.status(404).json({ error: 'Not found in the trash' });
+    return null;
+  }
+  if (!(await canManageTrashed(req.user, type, item))) {
+    res.status(403).json({ error: 'You cannot restore or delete this item' });
+    return null;
+  }
+  return item;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TrashItem:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         type: { type: string, enum: [task, project, comment] }
+ *         title: { type: string, description: Task title, project name or comment text }
+ *         project:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string, nullable: true }
+ *         task:
+ *           type: object
+ *           nullable: true
+ *           description: The task a comment was on
+ *           properties:
+ *             _id: { type: string }
+ *             title: { type: string, nullable: true }
+ *         deletedAt: { type: string, format: date-time }
+ *         deletedBy:
+ *           type: object
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *         purgeAt: { type: string, format: date-time, description: When it will be deleted for good }
+ *         includes: { type: integer, description: Subtasks or tasks deleted along with it }
+ *         canRestore: { type: boolean }
+ */
+
+/**
+ * @openapi
+ * /api/trash:
+ *   get:
+ *     tags: [Trash]
+ *     summary: List the trash
+ *     description: >
+ *       What the caller deleted, newest first; with `project`, everything deleted in that
+ *       project. Items stay restorable for `retentionDays` and are then purged.
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retentionDays: { type: integer, example: 30 }
+ *                 items:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/TrashItem' }
+ *       400:
+ *         description: Invalid project id
+ *       403:
+ *         description: Caller cannot see the project
+ *       404:
+ *         description: Project not found
+ */
+router.get('/', async (req, res) => {
+  const { project } = req.query;
+  if (project && !isValidObjectId(project)) return res.status(400).json({ error: 'Invalid project id' });
+
+  try {
+    if (project) {
+      const doc = await Project.findById(project).select('createdBy teamMembers department').lean();
+      if (!doc) return res.status(404).json({ error: 'Project not found' });
+      if (!canViewProject(req.user, doc)) {
+        return res.status(403).json({ error: 'You do not have access to this project' });
+      }
+    }
+
+    const retentionDays = trashRetentionDays();
+    const found = await listTrash({ userId: req.userId, project }, retentionDays);
+    const items = await Promise.all(
+      found.map(async (item) => ({
+        _id: item._id,
+        type: item.type,
+        title: item.title,
+        project: item.project,
+        task: item.task,
+        deletedAt: item.deletedAt,
+        deletedBy: item.deletedBy,
+        purgeAt: item.purgeAt,
+        includes: item.includes,
+        canRestore: await canManageTrashed(req.user, item.type, item),
+      }))
+    );
+    res.json({ retentionDays, items });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     tags: [Trash]
+ *     summary: Restore an item from the trash
+ *     description: Everything deleted along with it (subtasks, a project's tasks) comes back too.
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema: { type: string, enum: [task, project, comment] }
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Restored
+ *       400:
+ *         description: Invalid type or id
+ *       403:
+ *         description: Caller neither deleted it nor could have
+ *       404:
+ *         description: Not in the trash (or only there along with its parent)
+ *       409:
+ *         description: Its parent task or project is in the trash; restore that first
+ */
+router.post('/:type/:id/restore', async (req, res) => {
+  try {
+    const item = await _loadTrashed(req, res);
+    if (!item) return;
+    const { type } = req.params;
+
+    const blocker = await restoreBlocker(type, item);
+    if (blocker) return res.status(409).json({ error: blocker });
+
+    await restoreItem(type, item);
+    await recordActivity({
+      entityType: ENTITY_TYPES[type],
+      entityId: item._id,
+      task: type === 'task' ? item._id : type === 'comment' ? item.task : null,
+      project: type === 'project' ? item._id : type === 'task' ? item.assignedProject : null,
+      action: 'restored',
+      actor: req.userId,
+    });
+
+    res.json({ message: 'Restored' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/trash/{type}/{id}:
+ *   delete:
+ *     tags: [Trash]
+ *     summary: Delete an item in the trash for good
+ *     description: Also removes what was deleted along with it, and a task's attachments, comments and notifications.
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema: { type: string, enum: [task, project, comment] }
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted for good
+ *       400:
+ *         description: Invalid type or id
+ *       403:
+ *         description: Caller neither deleted it nor could have
+ *       404:
+ *         description: Not in the trash
+ */
+router.delete('/:type/:id', async (req, res) => {
+  try {
+    const item = await _loadTrashed(req, res);
+    if (!item) return;
+    await purgeItem(req.params.type, item);
+    res.json({ message: 'Deleted for good' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
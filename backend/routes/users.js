@@ -1,9 +1,18 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
 import User from '../models/User.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { can } from '../services/access-policy.js';
 
 const router = Router();
 
+// What a user may change on their own profile
+const PROFILE_FIELDS = ['name'];
+// Fields only HR may change, even on a user's own profile
+const HR_ONLY_FIELDS = ['email', 'role', 'department'];
+
+router.use(requireAuth);
+
 // Populate helper - centralized user population logic
 const populateUser = (query) => query.populate('department', 'name');
 
@@ -26,12 +35,14 @@ const populateUser = (query) => query.populate('department', 'name');
  *         description: Created
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Only HR may create users
  */
 /**
  * CREATE User
  * POST /api/users
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('user:create'), async (req, res) => {
   try {
     const user = await User.create(req.body);
     res.status(201).json(user);
@@ -172,12 +183,16 @@ router.get('/:id', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             description: Fields to update (validated by the model)
+ *             description: |
+ *               Fields to update (validated by the model): `name`, and for HR also
+ *               `email`, `role` and `department`. Other fields are ignored.
  *     responses:
  *       200:
  *         description: OK
  *       400:
- *         description: Invalid user id or validation error
+ *         description: Invalid user id, update operator or validation error
+ *       403:
+ *         description: Users may only edit themselves; email, role and department changes are HR-only
  *       404:
  *         description: User not found
  */
@@ -190,10 +205,24 @@ router.put('/:id', async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid user id' });
     }
+    const isHR = can(req.user.role, 'user:update');
+    if (!isHR && String(req.params.id) !== String(req.userId)) {
+      return res.status(403).json({ error: 'You can only update your own profile' });
+    }
+    const body = req.body ?? {};
+    // Mongoose sanitizes filters, not updates: `$set` would reach any field
+    if (Object.keys(body).some((k) => k.startsWith('$'))) {
+      return res.status(400).json({ error: 'Update operators are not allowed' });
+    }
+    if (!isHR && HR_ONLY_FIELDS.some((f) => body[f] !== undefined)) {
+      return res.status(403).json({ error: 'Only HR can change email, role or department' });
+    }
+    const fields = isHR ? [...PROFILE_FIELDS, ...HR_ONLY_FIELDS] : PROFILE_FIELDS;
+    const update = Object.fromEntries(fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
     const user = await populateUser(
       User.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        update,
         { new: true, runValidators: true }
       )
     );
@@ -223,6 +252,8 @@ router.put('/:id', async (req, res) => {
  *         description: User deleted successfully
  *       400:
  *         description: Invalid user id
+ *       403:
+ *         description: Only HR may delete users
  *       404:
  *         description: User not found
  *       500:
@@ -232,7 +263,7 @@ router.put('/:id', async (req, res) => {
  * DELETE User
  * DELETE /api/users/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('user:delete'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid user id' });
@@ -0,0 +1,310 @@
+import { Router } from 'express';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import {
+  createWebhook,
+  deleteWebhook,
+  listDeliveries,
+  listWebhooks,
+  redeliver,
+  rotateSecret,
+  updateWebhook,
+} from '../services/webhooks.js';
+import { WEBHOOK_EVENTS } from '../utils/webhooks.js';
+
+const router = Router();
+
+router.use(requireAuth, requirePermission('webhook:manage'));
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         _id:       { type: string }
+ *         name:      { type: string }
+ *         url:       { type: string, example: "https://chat.example.com/hooks/tasks" }
+ *         events:
+ *           type: array
+ *           items: { type: string, enum: [task.created, task.updated, task.status_changed, task.deleted, comment.created, project.updated, notification.overdue] }
+ *         active:    { type: boolean }
+ *         createdBy: { type: string }
+ *         secret:    { type: string, description: Only returned on create and rotate-secret }
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:            { type: string }
+ *         webhook:        { type: string }
+ *         event:          { type: string }
+ *         eventId:        { type: string, description: The same for every delivery of one event }
+ *         payload:        { type: object, description: "The JSON body sent: { id, event, occurredAt, actor, data }" }
+ *         status:         { type: string, enum: [queued, sending, succeeded, failed] }
+ *         attempts:       { type: integer }
+ *         nextAttemptAt:  { type: string, format: date-time, nullable: true }
+ *         lastError:      { type: string, nullable: true }
+ *         responseStatus: { type: integer, nullable: true }
+ *         responseBody:   { type: string, nullable: true, description: First 1000 characters }
+ *         durationMs:     { type: integer, nullable: true }
+ *         deliveredAt:    { type: string, format: date-time, nullable: true }
+ *         redeliveryOf:   { type: string, nullable: true }
+ *         createdAt:      { type: string, format: date-time }
+ */
+
+/**
+ * @openapi
+ * /api/admin/webhooks:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List webhook subscriptions (without their secrets)
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Webhook' }
+ *       403:
+ *         description: Only HR and Senior Managers can manage webhooks
+ */
+router.get('/', async (_req, res) => {
+  try {
+    res.json(await listWebhooks());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/events:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: The events a webhook can subscribe to
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { type: array, items: { type: string } }
+ */
+router.get('/events', (_req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Subscribe a URL to events
+ *     description: >
+ *       Each delivery is a JSON POST signed with the secret: `X-Webhook-Signature` is
+ *       `sha256=` and the hex HMAC-SHA256 of `<X-Webhook-Timestamp>.<raw body>`.
+ *       A secret is generated unless one is given.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, url, events]
+ *             properties:
+ *               name:   { type: string, maxLength: 100 }
+ *               url:    { type: string }
+ *               events: { type: array, items: { type: string } }
+ *               secret: { type: string, minLength: 16 }
+ *               active: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Created, with its secret
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Webhook' }
+ *       400:
+ *         description: Missing name, bad URL, unknown event or short secret
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { webhook, status, error } = await createWebhook(req.body ?? {}, req.userId);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json(webhook);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{id}:
+ *   patch:
+ *     tags: [Webhooks]
+ *     summary: Change a webhook's name, URL, events, or pause it
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:   { type: string }
+ *               url:    { type: string }
+ *               events: { type: array, items: { type: string } }
+ *               active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Webhook' }
+ *       400:
+ *         description: Nothing to change, or an invalid value
+ *       404:
+ *         description: Webhook not found
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { webhook, status, error } = await updateWebhook(req.params.id, req.body ?? {});
+    if (error) return res.status(status).json({ error });
+    res.json(webhook);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{id}/rotate-secret:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Replace a webhook's signing secret
+ *     description: Deliveries from now on, retries included, are signed with the new secret.
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: The webhook with its new secret
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Webhook' }
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await rotateSecret(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{id}:
+ *   delete:
+ *     tags: [Webhooks]
+ *     summary: Remove a webhook and its delivery log
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       204:
+ *         description: Removed
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.params.id))) return res.status(404).json({ error: 'Webhook not found' });
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{id}/deliveries:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: A webhook's delivery log, newest first
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: query, name: status, schema: { type: string, enum: [queued, sending, succeeded, failed] } }
+ *       - { in: query, name: limit, schema: { type: integer, minimum: 1, maximum: 100, default: 50 } }
+ *       - { in: query, name: before, schema: { type: string, format: date-time }, description: Only deliveries created before this time (for paging) }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       400:
+ *         description: Invalid status, limit or before
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+  }
+  const before = req.query.before === undefined ? undefined : new Date(req.query.before);
+  if (before && Number.isNaN(before.getTime())) {
+    return res.status(400).json({ error: 'before must be a date' });
+  }
+
+  try {
+    const deliveries = await listDeliveries(req.params.id, { status, limit, before });
+    if (!deliveries) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(deliveries);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Send a logged delivery again
+ *     description: >
+ *       Creates a new delivery with the same payload and event id, and waits for its
+ *       first attempt. A failed attempt is retried like any other delivery.
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: deliveryId, required: true, schema: { type: string } }
+ *     responses:
+ *       201:
+ *         description: The new delivery, after its first attempt
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       404:
+ *         description: Delivery or webhook not found
+ *       409:
+ *         description: The webhook is disabled
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { delivery, status, error } = await redeliver(req.params.id, req.params.deliveryId);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json(delivery);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
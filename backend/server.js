@@ -3,17 +3,20 @@ dotenv.config({ path: './config/secrets.env' });
 
 import http from 'http';
 import mongoose from 'mongoose';
-import cron from 'node-cron';
 import { Server as IOServer } from 'socket.io';
 
 import app from './app.js';
 import { runDailyOverdueDigest } from './jobs/daily-overdue-task-emails.js';
-import { 
-  checkAndCreateReminders,     
-  getUnreadNotifications,
-  markNotificationsAsRead,
-  sendPendingEmails
-} from './services/notification-service.js';
+import { runNotificationDigest } from './jobs/notification-digest.js';
+import { checkAndCreateReminders, sendPendingEmails } from './services/notification-service.js';
+import { emitNotification } from './services/realtime.js';
+import { attachSocketHandlers } from './services/socket-handlers.js';
+import { defineJob, startScheduler } from './services/job-scheduler.js';
+import { processOutbox } from './utils/mailer.js';
+import { backfillStatusCategories } from './services/workflow.js';
+import { purgeExpiredTrash } from './services/trash.js';
+import { processWebhookDeliveries, publishEvent } from './services/webhooks.js';
+import { notificationPayload } from './utils/webhooks.js';
 
 const PORT = process.env.PORT || 3000;
 const server = http.createServer(app);
@@ -24,45 +27,72 @@ app.set('io', io);
 
 console.log('Loaded ENV:', process.env.MONGO_URI);
 
-// Socket.IO logic
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+// Socket.IO: authenticated connections in per-user, per-project and per-task rooms
+attachSocketHandlers(io);
 
-  socket.on('getUnreadNotifications', async (userId) => {
-    const notifications = await getUnreadNotifications(userId);
-    socket.emit('unreadNotifications', notifications);
-  });
+// Scheduled jobs (Mongo-locked, so each slot runs on one instance only; see services/job-scheduler.js).
+// Handlers throw on failure so the scheduler records and retries them.
+defineJob('reminders', {
+  schedule: '* * * * *',
+  handler: async ({ since }) => {
+    const newlyCreated = await checkAndCreateReminders({ since });
+    if (newlyCreated.length > 0) {
+      newlyCreated
+        .filter((n) => n.channels?.inApp !== false)
+        .forEach((n) => emitNotification(io, n));
+    }
+    for (const n of newlyCreated.filter((n) => n.type === 'overdue')) {
+      await publishEvent('notification.overdue', { notification: notificationPayload(n) });
+    }
+    await sendPendingEmails();
+  },
+});
 
-  socket.on('markNotificationsRead', async (notificationIds) => {
-    await markNotificationsAsRead(notificationIds);
-  });
+defineJob('daily-overdue-digest', {
+  schedule: '0 9 * * *',
+  handler: async () => {
+    await runDailyOverdueDigest();
+    console.log('[jobs] daily overdue digest sent');
+  },
+});
 
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
+// Hourly/daily email digests; each user's own frequency decides whether one is due
+defineJob('notification-digest', {
+  schedule: process.env.DIGEST_CRON || '0 * * * *',
+  handler: async () => {
+    const sent = await runNotificationDigest();
+    if (sent.length) console.log(`[jobs] notification digest sent ${sent.length} notifications`);
+  },
 });
 
-// Cron jobs
-cron.schedule('* * * * *', async () => {
-  try {
-    const newlyCreated = await checkAndCreateReminders();
-    if (newlyCreated.length > 0) {
-      newlyCreated.forEach((n) => io.emit(`notification:${n.userId}`, n));
+// Retries emails whose first delivery attempt failed
+defineJob('email-outbox', {
+  schedule: '* * * * *',
+  handler: async () => {
+    const { sent, failed } = await processOutbox();
+    if (sent || failed) console.log(`[jobs] email outbox: ${sent} sent, ${failed} failed`);
+  },
+});
+
+// Deleted tasks, projects and comments are kept for TRASH_RETENTION_DAYS (default 30)
+defineJob('trash-purge', {
+  schedule: '30 3 * * *',
+  handler: async () => {
+    const { projects, tasks, comments } = await purgeExpiredTrash();
+    if (projects || tasks || comments) {
+      console.log(`[jobs] trash purge: ${projects} projects, ${tasks} tasks, ${comments} comments`);
     }
-    await sendPendingEmails();
-  } catch (err) {
-    console.error('[cron] reminder flow failed:', err);
-  }
-}, { timezone: 'Asia/Singapore' });
+  },
+});
 
-cron.schedule('0 9 * * *', async () => {
-  try {
-    await runDailyOverdueDigest();
-    console.log('[cron] daily overdue digest sent');
-  } catch (err) {
-    console.error('[cron] daily overdue digest failed:', err);
-  }
-}, { timezone: 'Asia/Singapore' });
+// Retries webhook deliveries whose first attempt failed
+defineJob('webhook-deliveries', {
+  schedule: '* * * * *',
+  handler: async () => {
+    const { succeeded, failed } = await processWebhookDeliveries();
+    if (succeeded || failed) console.log(`[jobs] webhook deliveries: ${succeeded} delivered, ${failed} failed`);
+  },
+});
 
 // Mongo connection + server start
 try {
@@ -71,10 +101,19 @@ try {
     maxPoolSize: 10,
   });
   console.log('MongoDB Connected');
+
+  const backfilled = await backfillStatusCategories();
+  if (backfilled) console.log(`[workflow] set statusCategory on ${backfilled} existing tasks`);
 } catch (err) {
   console.error('MongoDB connection error:', err);
 }
 
+try {
+  await startScheduler();
+} catch (err) {
+  console.error('[jobs] scheduler failed to start:', err);
+}
+
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
 });
@@ -0,0 +1,186 @@
+import Project from '../models/Project.js';
+
+/**
+ * Role-based access policy.
+ *
+ * `PERMISSIONS` says which roles may attempt an action at all; the helpers
+ * below add the record-level rules (project membership, department scope).
+ */
+
+export const ROLES = Object.freeze({
+  STAFF: 'Staff',
+  MANAGER: 'Manager',
+  DIRECTOR: 'Director',
+  HR: 'HR',
+  SENIOR_MANAGER: 'Senior Manager',
+});
+
+const ALL_ROLES = Object.values(ROLES);
+const PROJECT_OWNER_ROLES = [ROLES.MANAGER, ROLES.DIRECTOR, ROLES.SENIOR_MANAGER];
+
+// Roles that can see every project and task in the company
+export const COMPANY_WIDE_ROLES = [ROLES.HR, ROLES.SENIOR_MANAGER];
+
+export const PERMISSIONS = Object.freeze({
+  'task:create': ALL_ROLES,
+  'task:read': ALL_ROLES,
+  'task:update': ALL_ROLES,
+  'task:delete': ALL_ROLES,
+  'project:create': PROJECT_OWNER_ROLES,
+  'project:update': PROJECT_OWNER_ROLES,
+  'project:delete': PROJECT_OWNER_ROLES,
+  'user:create': [ROLES.HR],
+  'user:update': [ROLES.HR],
+  'user:delete': [ROLES.HR],
+  'department:manage': [ROLES.HR, ROLES.SENIOR_MANAGER],
+  'report:department': [ROLES.DIRECTOR],
+  'report:company': [ROLES.HR, ROLES.SENIOR_MANAGER],
+  'notification:overdue': PROJECT_OWNER_ROLES,
+  'job:manage': [ROLES.HR, ROLES.SENIOR_MANAGER],
+  'webhook:manage': [ROLES.HR, ROLES.SENIOR_MANAGER],
+  'label:manage': [ROLES.HR, ROLES.SENIOR_MANAGER],
+  'template:manage': PROJECT_OWNER_ROLES,
+});
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+export function can(role, action) {
+  return (PERMISSIONS[action] || []).includes(role);
+}
+
+export function isCompanyWide(role) {
+  return COMPANY_WIDE_ROLES.includes(role);
+}
+
+export function isProjectMember(user, project) {
+  if (!user || !project) return false;
+  const me = idOf(user);
+  return idOf(project.createdBy) === me
+    || (project.teamMembers || []).some((m) => idOf(m) === me);
+}
+
+function isInUserDepartment(user, project) {
+  if (!user?.department) return false;
+  return (project.department || []).some((d) => idOf(d) === idOf(user.department));
+}
+
+export function canViewProject(user, project) {
+  if (!user || !project) return false;
+  if (isCompanyWide(user.role) || isProjectMember(user, project)) return true;
+  return user.role === ROLES.DIRECTOR && isInUserDepartment(user, project);
+}
+
+/** Project owners manage their own projects; Senior Managers manage any. */
+export function canManageProject(user, project, action = 'project:update') {
+  if (!user || !project || !can(user.role, action)) return false;
+  return user.role === ROLES.SENIOR_MANAGER || idOf(project.createdBy) === idOf(user);
+}
+
+export async function canViewTask(user, task) {
+  if (!user || !task) return false;
+  if (isCompanyWide(user.role)) return true;
+
+  const me = idOf(user);
+  if (idOf(task.createdBy) === me) return true;
+  if ((task.assignedTeamMembers || []).some((m) => idOf(m) === me)) return true;
+  if (!task.assignedProject) return false;
+
+  const project = await Project.findById(idOf(task.assignedProject))
+    .select('createdBy teamMembers department')
+    .lean();
+  return canViewProject(user, project);
+}
+
+/** Only the creator or the owner of the task's project may delete a task. */
+export async function canDeleteTask(user, task) {
+  if (!user || !task || !can(user.role, 'task:delete')) return false;
+  if (user.role === ROLES.SENIOR_MANAGER || idOf(task.createdBy) === idOf(user)) return true;
+  if (!task.assignedProject) return false;
+
+  const project = await Project.findById(idOf(task.assignedProject)).select('createdBy').lean();
+  return idOf(project?.createdBy) === idOf(user);
+}
+
+/**
+ * Whoever moved an item to the trash may restore or purge it, as may anyone who
+ * could have deleted it: see canDeleteTask, the project's owner, a comment's author.
+ */
+export async function canManageTrashed(user, type, item) {
+  if (!user || !item) return false;
+  if (idOf(item.deletedBy) === idOf(user)) return true;
+  if (type === 'task') return canDeleteTask(user, item);
+  if (type === 'project') return canManageProject(user, item, 'project:delete');
+  return type === 'comment' && idOf(item.author) === idOf(user);
+}
+
+/**
+ * Organisation-wide labels are curated by HR and Senior Managers; a project's own
+ * labels by anyone who can see the project. `project` is the label's project, if any.
+ */
+export function canManageLabel(user, project) {
+  if (!user) return false;
+  return project ? canViewProject(user, project) : can(user.role, 'label:manage');
+}
+
+/** Templates are shared with everyone; their creator (or a Senior Manager) edits them. */
+export function canManageTemplate(user, template) {
+  if (!user || !template || !can(user.role, 'template:manage')) return false;
+  return user.role === ROLES.SENIOR_MANAGER || idOf(template.createdBy) === idOf(user);
+}
+
+/**
+ * Saved views are private to their owner unless shared with a project (its members
+ * and anyone else who can see it) or a department (its members, plus HR and Senior
+ * Managers). `project` is the view's project, if any. Only the owner edits a view.
+ */
+export function canViewSavedView(user, view, project) {
+  if (!user || !view) return false;
+  if (idOf(view.owner) === idOf(user)) return true;
+  if (view.sharing === 'project') return canViewProject(user, project);
+  if (view.sharing === 'department') {
+    return isCompanyWide(user.role) || (!!user.department && idOf(view.department) === idOf(user.department));
+  }
+  return false;
+}
+
+/** Mongo filter for the saved views `user` may see; `projectIds` are the projects they can see. */
+export function savedViewVisibilityFilter(user, projectIds) {
+  const or = [
+    { owner: idOf(user) },
+    { sharing: 'project', project: { $in: projectIds } },
+  ];
+  if (isCompanyWide(user?.role)) or.push({ sharing: 'department' });
+  else if (user?.department) or.push({ sharing: 'department', department: idOf(user.department) });
+  return { $or: or };
+}
+
+/** Mongo filter for the projects `user` may see, or null when unrestricted. */
+export function projectVisibilityFilter(user) {
+  if (isCompanyWide(user?.role)) return null;
+  const or = [{ createdBy: idOf(user) }, { teamMembers: idOf(user) }];
+  if (user?.role === ROLES.DIRECTOR && user.department) {
+    or.push({ department: idOf(user.department) });
+  }
+  return { $or: or };
+}
+
+/** Mongo filter for the tasks `user` may see, or null when unrestricted. */
+export async function taskVisibilityFilter(user) {
+  const projectFilter = projectVisibilityFilter(user);
+  if (!projectFilter) return null;
+
+  const projects = await Project.find(projectFilter).select('_id').lean();
+  return {
+    $or: [
+      { assignedProject: { $in: projects.map((p) => p._id) } },
+      { createdBy: idOf(user) },
+      { assignedTeamMembers: idOf(user) },
+    ],
+  };
+}
+
+/** Directors may only see the report for their own department. */
+export function canViewDepartmentReport(user, departmentId) {
+  if (!user || !can(user.role, 'report:department')) return false;
+  return idOf(user.department) === String(departmentId);
+}
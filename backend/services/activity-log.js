@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import ActivityLog from '../models/ActivityLog.js';
+
+/**
+ * Audit trail helpers: field-level diffs for tasks, projects, comments and
+ * attachments, plus the human-readable summaries used by update notifications.
+ */
+
+export const TASK_AUDIT_FIELDS = [
+  'title', 'description', 'notes', 'status', 'priority', 'deadline', 'startAt', 'endAt', 'allDay',
+  'assignedProject', 'assignedTeamMembers', 'parentTask', 'reminderOffsets', 'recurrence', 'blockedBy',
+  'estimateMinutes', 'remainingMinutes', 'labels',
+];
+export const PROJECT_AUDIT_FIELDS = ['name', 'description', 'deadline', 'department', 'teamMembers', 'workflow', 'labels'];
+
+const DATE_FIELDS = new Set(['deadline', 'startAt', 'endAt', 'skippedOccurrence']);
+// Arrays whose order carries no meaning
+const SET_FIELDS = new Set(['assignedTeamMembers', 'teamMembers', 'department', 'labels']);
+const TEXT_FIELDS = new Set(['description', 'notes', 'body']);
+
+const FIELD_LABELS = {
+  assignedTeamMembers: 'assignees',
+  assignedProject: 'project',
+  teamMembers: 'team members',
+  parentTask: 'parent task',
+  reminderOffsets: 'reminders',
+  blockedBy: 'blockers',
+  startAt: 'start',
+  endAt: 'end',
+  skippedOccurrence: 'skipped occurrence',
+  allDay: 'all-day',
+  estimateMinutes: 'estimate (min)',
+  remainingMinutes: 'remaining estimate (min)',
+  body: 'comment',
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/** Reduce a stored value to plain JSON so old and new can be compared and persisted. */
+function normalize(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.length ? value.map(normalize) : null;
+  if (typeof value === 'object') {
+    // populated refs collapse to their id
+    if (value._id && !(value instanceof mongoose.Types.Subdocument)) return String(value._id);
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    const out = {};
+    for (const [k, v] of Object.entries(plain)) out[k] = normalize(v);
+    return out;
+  }
+  return value;
+}
+
+function normalizeField(field, value) {
+  const v = normalize(value);
+  return SET_FIELDS.has(field) && Array.isArray(v) ? [...v].sort() : v;
+}
+
+/** [{ field, from, to }] for every field in `fields` whose value differs between the two snapshots. */
+export function diffFields(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const from = normalizeField(field, before?.[field]);
+    const to = normalizeField(field, after?.[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Persist one audit entry. Updates without changes are skipped, and failures are
+ * logged rather than thrown so the audit trail never blocks the write it describes.
+ */
+export async function recordActivity({ entityType, entityId, task = null, project = null, action, actor = null, changes = [] }) {
+  if (action === 'updated' && !changes.length) return null;
+  try {
+    return await ActivityLog.create({ entityType, entityId, task, project, action, actor, changes });
+  } catch (err) {
+    console.error('[activity] failed to record', entityType, action, err?.message || err);
+    return null;
+  }
+}
+
+const fmtDate = (v) => dayjs(v).format('D MMM');
+const label = (field) => FIELD_LABELS[field] ?? field;
+
+/** One change as a sentence fragment, e.g. "deadline moved from 3 Nov to 10 Nov". */
+export function describeChange({ field, from, to }) {
+  const name = label(field);
+  if (DATE_FIELDS.has(field)) {
+    if (from == null) return `${name} set to ${fmtDate(to)}`;
+    if (to == null) return `${name} cleared`;
+    return `${name} moved from ${fmtDate(from)} to ${fmtDate(to)}`;
+  }
+  if (TEXT_FIELDS.has(field)) return `${name} edited`;
+  if (Array.isArray(from) || Array.isArray(to)) {
+    const before = new Set((from || []).map(JSON.stringify));
+    const after = new Set((to || []).map(JSON.stringify));
+    const added = [...after].filter((x) => !before.has(x)).length;
+    const removed = [...before].filter((x) => !after.has(x)).length;
+    const parts = [added && `${added} added`, removed && `${removed} removed`].filter(Boolean);
+    return parts.length ? `${name} changed (${parts.join(', ')})` : `${name} reordered`;
+  }
+  if (typeof from === 'object' || typeof to === 'object') return `${name} changed`;
+  if (from == null) return `${name} set to ${JSON.stringify(to)}`;
+  if (to == null) return `${name} cleared`;
+  if (field === 'title' || field === 'name') return `${name} changed from "${from}" to "${to}"`;
+  return `${name} changed from ${from} to ${to}`;
+}
+
+export function describeChanges(changes = []) {
+  return changes.map(describeChange).join('; ');
+}
+
+/** Parse `?limit=&before=` for the activity endpoints; null when `before` is not a date. */
+export function activityPageOptions(query = {}) {
+  const n = Number(query.limit);
+  const limit = Number.isFinite(n) && n > 0 ? Math.min(Math.trunc(n), MAX_LIMIT) : DEFAULT_LIMIT;
+  if (query.before === undefined) return { limit, before: null };
+  const before = new Date(query.before);
+  return Number.isNaN(+before) ? null : { limit, before };
+}
+
+/** Newest-first audit entries matching `filter`, each with a readable `summary`. */
+export async function listActivity(filter, { limit = DEFAULT_LIMIT, before = null } = {}) {
+  const q = { ...filter };
+  if (before) q.createdAt = { $lt: before };
+  const entries = await ActivityLog.find(q)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('actor', 'name email')
+    .lean();
+  return entries.map((e) => ({ ...e, summary: describeChanges(e.changes) }));
+}
@@ -0,0 +1,76 @@
+import Task from '../models/Task.js';
+import { RANK_STEP } from '../utils/board.js';
+import { LABEL_FIELDS } from './labels.js';
+
+/**
+ * Database side of the Kanban board (ordering rules live in utils/board.js).
+ * Board columns hold top-level tasks only; subtasks live inside their parent's card.
+ */
+
+const column = (projectId, status) => ({ assignedProject: projectId, status, parentTask: null });
+
+const BOARD_FIELDS =
+  'title status statusCategory priority deadline rank assignedTeamMembers blockedBy labels createdAt updatedAt';
+
+/** Top-level tasks of a project with just what a card shows. */
+export function loadBoardTasks(projectId) {
+  return Task.find({ assignedProject: projectId, parentTask: null })
+    .select(BOARD_FIELDS)
+    .populate('assignedTeamMembers', 'name email')
+    .populate('labels', LABEL_FIELDS)
+    .lean();
+}
+
+/** How many cards a column holds. */
+export function countColumn(projectId, status) {
+  return Task.countDocuments(column(projectId, status));
+}
+
+/** Rank that puts a task at the bottom of a column. */
+export async function bottomRank(projectId, status, excludeId) {
+  const filter = { ...column(projectId, status), rank: { $ne: null } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const last = await Task.findOne(filter).sort({ rank: -1 }).select('rank').lean();
+  return (last?.rank ?? 0) + RANK_STEP;
+}
+
+/** Bottom-of-column ranks handed out in order, so cards added together keep distinct ranks. */
+export function rankCounter() {
+  const next = new Map();
+  return async (projectId, status) => {
+    const key = `${String(projectId?._id ?? projectId ?? '')}|${status}`;
+    const rank = next.get(key) ?? (await bottomRank(projectId, status));
+    next.set(key, rank + RANK_STEP);
+    return rank;
+  };
+}
+
+/** True when another card in the column already has this rank (the midpoints ran out). */
+export async function rankTaken(projectId, status, rank, excludeId) {
+  return !!(await Task.exists({ ...column(projectId, status), rank, _id: { $ne: excludeId } }));
+}
+
+/**
+ * Renumber a column RANK_STEP apart, keeping its order, with `taskId` placed right
+ * after the card that shared its rank. Returns the task's new rank.
+ */
+export async function rebalanceColumn(projectId, status, taskId) {
+  const tasks = await Task.find(column(projectId, status))
+    .sort({ rank: 1, createdAt: 1 })
+    .select('_id rank')
+    .lean();
+  const moving = tasks.find(t => String(t._id) === String(taskId));
+  const ordered = tasks.filter(t => t !== moving);
+  if (moving) {
+    const twin = ordered.findLastIndex(t => t.rank === moving.rank);
+    ordered.splice(twin + 1, 0, moving);
+  }
+
+  await Task.bulkWrite(
+    ordered.map((t, i) => ({
+      updateOne: { filter: { _id: t._id }, update: { $set: { rank: (i + 1) * RANK_STEP } } },
+    }))
+  );
+  const index = ordered.findIndex(t => String(t._id) === String(taskId));
+  return index === -1 ? null : (index + 1) * RANK_STEP;
+}
@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import { canDeleteTask, canViewProject, canViewTask } from './access-policy.js';
+import { coerceDependencies, loadBlockers, openBlockers } from './task-dependencies.js';
+import { labelsValidIn } from './labels.js';
+import { rankCounter } from './board.js';
+import { trashTask } from './trash.js';
+import { applyAssignees, shiftDate } from '../utils/bulk-tasks.js';
+import { categoryOf, resolveStatus, statusAfterMove, workflowOf } from '../utils/workflow.js';
+
+/**
+ * Bulk task changes (POST /api/tasks/bulk). Every task is checked against the same
+ * rules as PUT /api/tasks/:id before anything is written; the writes then happen in
+ * one transaction, so either every task changes or none does.
+ */
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+const _failure = (task, status, error, extra = {}) => ({
+  taskId: task._id,
+  title: task.title,
+  status,
+  error,
+  ...extra,
+});
+
+/** Load the tasks, with a 404 failure for each id that isn't there. */
+async function _loadTasks(taskIds) {
+  const tasks = await Task.find({ _id: { $in: taskIds } }).lean();
+  const found = new Set(tasks.map(idOf));
+  const failures = taskIds
+    .filter((id) => !found.has(id))
+    .map((id) => ({ taskId: id, title: null, status: 404, error: 'Task not found' }));
+  return { tasks, failures };
+}
+
+/** Workflow of each of the tasks' projects, by project id. */
+async function _workflows(tasks) {
+  const ids = [...new Set(tasks.map((t) => idOf(t.assignedProject)).filter(Boolean))];
+  const projects = ids.length ? await Project.find({ _id: { $in: ids } }).select('workflow').lean() : [];
+  return new Map(projects.map((p) => [idOf(p), workflowOf(p)]));
+}
+
+/** The `$set` that applies `changes` to one task, or a failure. */
+async function _taskUpdate(task, changes, { target, workflow, overrideBlockers, nextRank, now }) {
+  const set = {};
+  const moving = !!target && idOf(target) !== idOf(task.assignedProject);
+  const prevCategory = categoryOf(task);
+
+  if (changes.status || moving) {
+    // Same rules as PUT: transitions apply within a project, a move keeps the closest status
+    const next = changes.status
+      ? resolveStatus(workflow, changes.status, moving ? undefined : task.status)
+      : statusAfterMove(workflow, task);
+    if (next.error) return _failure(task, next.error.status, next.error.body.error);
+
+    if (next.statusCategory === 'active' && prevCategory !== 'active' && !overrideBlockers) {
+      const open = openBlockers(await loadBlockers(coerceDependencies(task.blockedBy)));
+      if (open.length) {
+        return _failure(task, 409, 'Blocked by unfinished tasks; set overrideBlockers to start it anyway', {
+          blockers: open,
+        });
+      }
+    }
+    if (next.status !== task.status || next.statusCategory !== task.statusCategory) {
+      set.status = next.status;
+      set.statusCategory = next.statusCategory;
+    }
+    if (prevCategory !== 'done' && next.statusCategory === 'done') set.completedAt = now;
+    if (prevCategory === 'done' && next.statusCategory !== 'done') set.completedAt = null;
+  }
+
+  if (changes.priority) set.priority = changes.priority;
+  if (changes.assignees) set.assignedTeamMembers = applyAssignees(task.assignedTeamMembers, changes.assignees);
+  if (changes.shiftDays) {
+    // The whole schedule moves, so the task keeps its length and its reminders still fit
+    for (const field of ['deadline', 'startAt', 'endAt']) {
+      if (task[field]) set[field] = shiftDate(task[field], changes.shiftDays);
+    }
+  }
+  if (moving) {
+    set.assignedProject = target._id;
+    if (task.labels?.length) set.labels = await labelsValidIn(task.labels, target._id);
+  }
+
+  // Board position: bottom of the new column, for top-level tasks
+  if ((moving || set.status !== undefined) && !task.parentTask) {
+    set.rank = await nextRank(set.assignedProject ?? task.assignedProject, set.status ?? task.status);
+  }
+  return { set };
+}
+
+/**
+ * Check `changes` against every task in `taskIds`. Returns `{ plans, failures, target }`:
+ * a `{ task, set, workflow }` per task (the task as it was, the `$set` to apply and its
+ * workflow), the tasks that can't be changed as `{ taskId, title, status, error }`,
+ * and the project tasks move to (if any).
+ */
+export async function planBulkChanges(user, taskIds, changes, { overrideBlockers = false, now = new Date() } = {}) {
+  let target = null;
+  if (changes.assignedProject) {
+    target = await Project.findById(changes.assignedProject)
+      .select('name createdBy teamMembers department workflow')
+      .lean();
+    if (!target) return { plans: [], failures: [{ taskId: null, title: null, status: 404, error: 'Project not found' }] };
+    if (!canViewProject(user, target)) {
+      return {
+        plans: [],
+        failures: [{ taskId: null, title: null, status: 403, error: 'You are not a member of this project' }],
+      };
+    }
+  }
+
+  const { tasks, failures } = await _loadTasks(taskIds);
+  const workflows = await _workflows(tasks);
+  const ctx = { target, overrideBlockers, nextRank: rankCounter(), now };
+  const plans = [];
+  for (const task of tasks) {
+    if (!(await canViewTask(user, task))) {
+      failures.push(_failure(task, 403, 'You do not have access to this task'));
+      continue;
+    }
+    const workflow = target ? workflowOf(target) : workflows.get(idOf(task.assignedProject)) ?? workflowOf(null);
+    const result = await _taskUpdate(task, changes, { ...ctx, workflow });
+    if (result.error) failures.push(result);
+    else plans.push({ task, set: result.set, workflow });
+  }
+  return { plans, failures, target };
+}
+
+/** Check the caller may delete every task in `taskIds`. Returns `{ tasks, failures }`. */
+export async function planBulkDelete(user, taskIds) {
+  const { tasks, failures } = await _loadTasks(taskIds);
+  const allowed = [];
+  for (const task of tasks) {
+    if (await canDeleteTask(user, task)) allowed.push(task);
+    else failures.push(_failure(task, 403, 'Only the creator or the project owner can delete this task'));
+  }
+  return { tasks: allowed, failures };
+}
+
+/** Run `work(session)` in a transaction. */
+export async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => work(session));
+  } finally {
+    await session.endSession();
+  }
+}
+
+/** Write the planned changes, all or nothing. */
+export function applyBulkChanges(plans) {
+  const ops = plans
+    .filter(({ set }) => Object.keys(set).length)
+    .map(({ task, set }) => ({ updateOne: { filter: { _id: task._id }, update: { $set: set } } }));
+  if (!ops.length) return Promise.resolve();
+  return inTransaction((session) => Task.bulkWrite(ops, { session }));
+}
+
+/** Move the tasks (and their subtasks) to the trash, all or nothing. */
+export function trashTasks(tasks, userId, now = new Date()) {
+  return inTransaction(async (session) => {
+    // A subtask deleted along with its parent is already in the parent's batch
+    for (const task of tasks) await trashTask(task, userId, now, session);
+  });
+}
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import CalendarFeed from '../models/CalendarFeed.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import { canViewProject } from './access-policy.js';
+import { LABEL_FIELDS } from './labels.js';
+import { buildCalendar } from '../utils/ics.js';
+
+/**
+ * The calendar's task query (GET /api/calendar) and the iCalendar subscription feeds
+ * built from it.
+ */
+
+const CALENDAR_TASK_FIELDS =
+  'title notes allDay startAt endAt deadline status statusCategory priority assignedTeamMembers assignedProject createdBy labels recurrence seriesId occurrenceDate reminderOffsets updatedAt';
+
+// What a feed covers: recent history and the year ahead (series repeat past it by RRULE)
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROJECT_ACCESS_FIELDS = 'name createdBy teamMembers department';
+
+const oid = (v) => {
+  try {
+    return new mongoose.Types.ObjectId(String(v));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The `$and` clauses that pick a calendar's tasks: those `me` created or is assigned
+ * (within `projectId` when given), or with `everyone` all of `projectId`'s tasks.
+ */
+export function calendarScope(me, { projectId, everyone = false } = {}) {
+  const project = projectId ? oid(projectId) : null;
+  if (everyone && project) return [{ assignedProject: project }];
+  const and = [{ $or: [{ createdBy: me }, { assignedTeamMembers: { $in: [me] } }] }];
+  if (project) and.push({ assignedProject: project });
+  return and;
+}
+
+const _find = (filter) =>
+  Task.find(filter)
+    .populate({ path: 'assignedTeamMembers', select: 'name email avatarUrl role' })
+    .populate({ path: 'assignedProject', select: 'name color' })
+    .populate({ path: 'createdBy', select: 'name email' })
+    .populate({ path: 'labels', select: LABEL_FIELDS })
+    .select(CALENDAR_TASK_FIELDS)
+    .sort({ deadline: 1 })
+    .lean();
+
+/**
+ * Tasks matching `and` due in `[start, end)`, and (unless `recurring: false`) the open
+ * recurring ones due before `end`, whose later occurrences may fall in the range.
+ */
+export async function calendarTasks(and, { start, end, recurring = true }) {
+  const tasks = await _find({ $and: [...and, { deadline: { $gte: start, $lt: end } }] });
+  if (!recurring) return { tasks, recurring: [] };
+  const open = await _find({
+    $and: [...and, { recurrence: { $ne: null } }, { statusCategory: { $ne: 'done' } }, { deadline: { $lt: end } }],
+  });
+  return { tasks, recurring: open };
+}
+
+/* ---------- Subscription feeds ---------- */
+
+export const newFeedToken = () => crypto.randomBytes(24).toString('base64url');
+
+/** The owner's feeds with their project's name, "my tasks" first. */
+export async function listFeeds(ownerId) {
+  const feeds = await CalendarFeed.find({ owner: ownerId }).populate({ path: 'project', select: 'name' }).lean();
+  return feeds.sort((a, b) => Number(Boolean(a.project)) - Number(Boolean(b.project)));
+}
+
+/**
+ * The user's feed for `projectId` (null: their own tasks), created on first use. A
+ * project feed needs a project the user can see. Returns `{ feed, created }` or
+ * `{ status, error }`.
+ */
+export async function openFeed(userId, projectId = null) {
+  let project = null;
+  if (projectId) {
+    if (!oid(projectId)) return { status: 400, error: 'Invalid projectId' };
+    const [user, found] = await Promise.all([
+      User.findById(userId).select('role department').lean(),
+      Project.findById(projectId).select(PROJECT_ACCESS_FIELDS).lean(),
+    ]);
+    if (!found) return { status: 404, error: 'Project not found' };
+    if (!canViewProject(user, found)) return { status: 403, error: 'You do not have access to this project' };
+    project = { _id: found._id, name: found.name };
+  }
+
+  const existing = await CalendarFeed.findOne({ owner: userId, project: project?._id ?? null }).lean();
+  if (existing) return { feed: { ...existing, project }, created: false };
+  const feed = await CalendarFeed.create({ owner: userId, project: project?._id ?? null, token: newFeedToken() });
+  return { feed: { ...feed.toObject(), project }, created: true };
+}
+
+/** Give one of the owner's feeds a new token; the old link stops working. Null if not theirs. */
+export function regenerateFeed(ownerId, feedId) {
+  return CalendarFeed.findOneAndUpdate(
+    { _id: feedId, owner: ownerId },
+    { $set: { token: newFeedToken() } },
+    { new: true }
+  )
+    .populate({ path: 'project', select: 'name' })
+    .lean();
+}
+
+/** Delete one of the owner's feeds. Resolves to whether there was one. */
+export async function revokeFeed(ownerId, feedId) {
+  const { deletedCount } = await CalendarFeed.deleteOne({ _id: feedId, owner: ownerId });
+  return deletedCount > 0;
+}
+
+/**
+ * The iCalendar text for the feed with `token`, or null when there is none or its owner
+ * can no longer see its project. Reading a feed records when it was last fetched.
+ */
+export async function renderFeed(token, { now = new Date(), uidDomain } = {}) {
+  const feed = await CalendarFeed.findOne({ token }).lean();
+  if (!feed) return null;
+  const owner = await User.findById(feed.owner).select('name role department').lean();
+  if (!owner) return null;
+
+  let project = null;
+  if (feed.project) {
+    project = await Project.findById(feed.project).select(PROJECT_ACCESS_FIELDS).lean();
+    if (!project || !canViewProject(owner, project)) return null;
+  }
+
+  const and = calendarScope(owner._id, { projectId: project?._id, everyone: Boolean(project) });
+  const { tasks, recurring } = await calendarTasks(and, {
+    start: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS),
+    end: new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS),
+  });
+  const seen = new Set(tasks.map((t) => String(t._id)));
+  const all = [...tasks, ...recurring.filter((t) => !seen.has(String(t._id)))];
+
+  await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastFetchedAt: now } });
+  return buildCalendar(all, { name: project ? project.name : `${owner.name}: my tasks`, now, uidDomain });
+}
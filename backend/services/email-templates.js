@@ -0,0 +1,180 @@
+import dayjs from 'dayjs';
+
+/**
+ * Named email templates. Each renders `{ subject, html, text }` from plain data and
+ * carries a version, recorded on every outbox message, so we can tell which markup a
+ * user actually received. Bump the version when the output changes meaningfully.
+ *
+ * Usage: `sendEmail({ to, ...renderEmail('otp', { otp }) })`
+ */
+
+const FOOTER_STYLE = 'font-size:12px;color:#6b7280';
+const WRAPPER_STYLE = 'font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif;';
+
+/** Plain-text fallback for templates that don't write their own. */
+export function htmlToText(html = '') {
+  return String(html)
+    .replace(/\s+/g, ' ') // source indentation isn't layout
+    .replace(/<(br|\/p|\/li|\/h\d|\/section|\/div|hr)[^>]*>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/ {2,}/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const TASK_HEADINGS = {
+  reminder: 'Task Reminder',
+  overdue: 'Task Overdue',
+  update: 'Task Updated',
+  comment: 'New Comment',
+  mention: 'You Were Mentioned',
+};
+
+const TASK_SUBJECTS = {
+  reminder: (title) => `Reminder: ${title} due soon`,
+  overdue: (title) => `Overdue: ${title}`,
+  update: (title) => `Update: ${title}`,
+  comment: (title) => `Comment: ${title}`,
+  mention: (title) => `Mention: ${title}`,
+};
+
+// One notification about one task: { title, message, deadline }
+const taskNotification = (type) => ({
+  version: 1,
+  subject: ({ title = 'Task' }) => TASK_SUBJECTS[type](title),
+  html: ({ title = 'Task', message, deadline }) => `
+    <div style="${WRAPPER_STYLE}">
+      <h2>${TASK_HEADINGS[type]}</h2>
+      <p><strong>${title}</strong></p>
+      <p>${message || ''}</p>
+      <p><strong>Deadline:</strong> ${deadline ? dayjs(deadline).format('ddd, DD MMM YYYY HH:mm') : 'N/A'}</p>
+      <hr style="border:none;border-top:1px solid #e5e7eb;margin:16px 0" />
+      <p style="${FOOTER_STYLE}">You are receiving this because you are assigned to this task.</p>
+    </div>
+  `,
+});
+
+const TEMPLATES = {
+  otp: {
+    version: 1,
+    // A late code is useless: don't retry, let the user log in again
+    maxAttempts: 1,
+    // The outbox forgets the body (the code) once it is done with the message
+    sensitive: true,
+    subject: () => 'Your Login OTP',
+    html: ({ otp }) => `<p>Your OTP is <b>${otp}</b>. It expires in 5 minutes.</p>`,
+    text: ({ otp }) => `Your OTP is ${otp}. It expires in 5 minutes.`,
+  },
+
+  'password-reset': {
+    version: 1,
+    // The link expires after 15 minutes
+    maxAttempts: 3,
+    // The link carries the reset token
+    sensitive: true,
+    replyTo: 'no-reply@wittlefarms.com',
+    subject: () => 'Reset your password',
+    html: ({ link }) => `<p>Click to reset your password:</p>
+              <p><a href="${link}">${link}</a></p>
+              <p>This link expires in 15 minutes.</p>`,
+    text: ({ link }) => `Reset your password: ${link}\nThis link expires in 15 minutes.`,
+  },
+
+  reminder: taskNotification('reminder'),
+  overdue: taskNotification('overdue'),
+  update: taskNotification('update'),
+  comment: taskNotification('comment'),
+  mention: taskNotification('mention'),
+
+  // Daily overdue summary for a manager: { managerName, date, count, projects: [{ name, tasks: [{ title, daysOverdue, members }] }] }
+  'manager-digest': {
+    version: 1,
+    subject: ({ count }) => `[Taskboard] ${count} overdue item(s) — please follow up`,
+    html: ({ managerName, date, projects = [] }) => {
+      const sections = projects.map(({ name, tasks }) => {
+        const li = tasks.map((t) => `
+          <li style="margin:6px 0;">
+            <strong>${t.title}</strong>
+            — <em>${t.daysOverdue ?? 0} day(s) overdue</em><br/>
+            <span style="color:#555">Team Members: ${t.members}</span>
+          </li>
+        `).join('');
+        return `
+        <section style="margin:16px 0;">
+          <h3 style="margin:0 0 6px 0;">${name}</h3>
+          <ul style="margin:0 0 0 16px; padding:0;">${li}</ul>
+        </section>
+      `;
+      });
+      return `
+      <p>Hi ${managerName || 'Manager'},</p>
+      <p>Here’s your consolidated overdue summary for <strong>${date}</strong>:</p>
+      ${sections.join('')}
+      <p>Please follow up with your team. This is an automated message.</p>
+    `;
+    },
+  },
+
+  // Hourly/daily digest: { userName, count, groups: [{ project, sections: [{ label, items: [{ title, message }] }] }] }
+  'notification-digest': {
+    version: 1,
+    subject: ({ count }) => `Your task digest: ${count} ${count === 1 ? 'notification' : 'notifications'}`,
+    html: ({ userName, count, groups = [] }) => {
+      const body = groups
+        .map(({ project, sections }) => `
+      <h3 style="margin:16px 0 4px">${project}</h3>
+      ${sections
+        .map(({ label, items }) => `
+          <p style="margin:8px 0 2px;color:#374151"><strong>${label}</strong> (${items.length})</p>
+          <ul style="margin:0;padding-left:18px">
+            ${items
+              .map((n) => `<li style="margin:4px 0"><strong>${n.title}</strong> — ${n.message || ''}</li>`)
+              .join('')}
+          </ul>`)
+        .join('')}`)
+        .join('');
+
+      return `
+    <div style="${WRAPPER_STYLE}">
+      <h2>Your Task Digest</h2>
+      <p>Hi ${userName ?? 'there'}, you have ${count} new ${count === 1 ? 'notification' : 'notifications'}.</p>
+      ${body}
+      <hr style="border:none;border-top:1px solid #e5e7eb;margin:16px 0" />
+      <p style="${FOOTER_STYLE}">You can change how often you get these in your notification settings.</p>
+    </div>
+  `;
+    },
+  },
+};
+
+/** Template name -> current version. */
+export const EMAIL_TEMPLATES = Object.freeze(
+  Object.fromEntries(Object.entries(TEMPLATES).map(([name, t]) => [name, t.version]))
+);
+
+/**
+ * Render a template into the fields `sendEmail` takes:
+ * `{ subject, html, text, template: { name, version } }`, plus `maxAttempts` / `replyTo` /
+ * `sensitive` when the template sets them.
+ */
+export function renderEmail(name, data = {}) {
+  const t = TEMPLATES[name];
+  if (!t) throw new Error(`Unknown email template '${name}'`);
+
+  const html = t.html(data);
+  return {
+    subject: t.subject(data),
+    html,
+    text: t.text ? t.text(data) : htmlToText(html),
+    template: { name, version: t.version },
+    ...(t.maxAttempts ? { maxAttempts: t.maxAttempts } : {}),
+    ...(t.replyTo ? { replyTo: t.replyTo } : {}),
+    ...(t.sensitive ? { sensitive: true } : {}),
+  };
+}
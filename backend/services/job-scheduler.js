@@ -0,0 +1,264 @@
+import os from 'os';
+import crypto from 'crypto';
+import ScheduledJob from '../models/ScheduledJob.js';
+import JobRun from '../models/JobRun.js';
+import { nextCronRun, parseCron } from '../utils/cron.js';
+
+/**
+ * Mongo-backed job scheduler.
+ *
+ * Every instance polls, but a job's slot is claimed with an atomic lock on its
+ * ScheduledJob document, renewed while the job runs, so it runs once across the
+ * cluster. `nextRunAt` lives in the database, so slots missed while every instance
+ * was down run once on startup ("catch-up"); failures are retried with exponential
+ * backoff before the job moves on to its next slot. Each attempt is recorded as a JobRun.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Singapore';
+const DEFAULT_POLL_MS = 15 * 1000;
+
+// Identifies this process in locks and run history
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const definitions = new Map();
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a job. `handler({ since, trigger, attempt, scheduledFor })` may throw to
+ * fail the run; `since` is when the last successful run started, so handlers can
+ * cover everything that happened during downtime.
+ */
+export function defineJob(name, {
+  schedule,
+  timezone = DEFAULT_TIMEZONE,
+  handler,
+  maxAttempts = 3,
+  retryDelayMs = 60 * 1000,
+  lockMs = 10 * 60 * 1000,
+}) {
+  if (typeof handler !== 'function') throw new Error(`Job '${name}' needs a handler`);
+  parseCron(schedule); // throws on a bad expression
+  definitions.set(name, { name, schedule, timezone, handler, maxAttempts, retryDelayMs, lockMs });
+}
+
+export function getJobDefinition(name) {
+  return definitions.get(name) ?? null;
+}
+
+export function listJobDefinitions() {
+  return [...definitions.values()];
+}
+
+/** Delay before retrying after the given failed attempt: retryDelayMs, then 2x, 4x, … */
+export function retryDelay(def, attempt) {
+  return def.retryDelayMs * 2 ** (attempt - 1);
+}
+
+/**
+ * Create a ScheduledJob for each definition that doesn't have one yet and pick up
+ * schedule changes. Existing `nextRunAt` values are kept so missed runs are caught up.
+ */
+export async function syncJobs(now = new Date()) {
+  for (const def of definitions.values()) {
+    const nextRunAt = nextCronRun(def.schedule, now, def.timezone);
+    try {
+      await ScheduledJob.updateOne(
+        { name: def.name },
+        { $setOnInsert: { schedule: def.schedule, timezone: def.timezone, nextRunAt } },
+        { upsert: true }
+      );
+    } catch (err) {
+      // Another instance inserted it first
+      if (err?.code !== 11000) throw err;
+    }
+    await ScheduledJob.updateOne(
+      { name: def.name, $or: [{ schedule: { $ne: def.schedule } }, { timezone: { $ne: def.timezone } }] },
+      { $set: { schedule: def.schedule, timezone: def.timezone, nextRunAt, attempt: 0 } }
+    );
+  }
+}
+
+/**
+ * The scheduler's clock during a tick: `now` (the tick's start, or a test's fixed time)
+ * moved on by the real time since, so slow jobs don't leave later ones a stale time.
+ */
+function clockFrom(now) {
+  const started = Date.now();
+  return () => new Date(now.getTime() + (Date.now() - started));
+}
+
+/** Atomically take the lock on a job matching `filter`; null if someone else holds it. */
+function acquire(filter, def, now) {
+  return ScheduledJob.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + def.lockMs) } },
+    { new: true }
+  ).lean();
+}
+
+function release(name, $set) {
+  return ScheduledJob.updateOne(
+    { name, lockedBy: WORKER_ID },
+    { $set: { ...$set, lockedBy: null, lockedUntil: null } }
+  );
+}
+
+/** Run `work`, pushing the job's lock forward every half `lockMs` so a long run keeps it. */
+async function holdingLock(def, clock, work) {
+  const renew = setInterval(() => {
+    ScheduledJob.updateOne(
+      { name: def.name, lockedBy: WORKER_ID },
+      { $set: { lockedUntil: new Date(clock().getTime() + def.lockMs) } }
+    ).catch((err) => console.error(`[jobs] ${def.name}: renewing the lock failed:`, err?.message || err));
+  }, def.lockMs / 2);
+  renew.unref?.();
+  try {
+    return await work();
+  } finally {
+    clearInterval(renew);
+  }
+}
+
+async function execute(def, job, trigger, clock) {
+  const attempt = trigger === 'manual' ? 1 : job.attempt + 1;
+  const scheduledFor = trigger === 'manual' ? null : job.nextRunAt;
+  const run = await JobRun.create({
+    job: def.name,
+    trigger,
+    scheduledFor,
+    attempt,
+    startedAt: new Date(),
+    worker: WORKER_ID,
+  });
+
+  let error = null;
+  try {
+    await holdingLock(def, clock, () => def.handler({ since: job.lastSuccessAt, trigger, attempt, scheduledFor }));
+  } catch (err) {
+    error = err?.message || String(err);
+    console.error(`[jobs] ${def.name} failed (${trigger}, attempt ${attempt}/${def.maxAttempts}):`, err);
+  }
+
+  const finishedAt = new Date();
+  return JobRun.findByIdAndUpdate(
+    run._id,
+    {
+      $set: {
+        status: error ? 'failed' : 'succeeded',
+        error,
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+      },
+    },
+    { new: true }
+  ).lean();
+}
+
+const outcome = (run) => ({
+  lastRunAt: run.startedAt,
+  lastStatus: run.status,
+  lastError: run.error,
+  ...(run.status === 'succeeded' ? { lastSuccessAt: run.startedAt } : {}),
+});
+
+/**
+ * Run every enabled job whose `nextRunAt` has passed and whose lock this instance
+ * wins. A job that missed several slots runs once, then moves to its next future slot
+ * after the time it finished. Returns the JobRuns started.
+ */
+export async function runDueJobs(now = new Date()) {
+  const clock = clockFrom(now);
+  const runs = [];
+  for (const def of definitions.values()) {
+    const acquiredAt = clock();
+    const job = await acquire({ name: def.name, enabled: true, nextRunAt: { $lte: acquiredAt } }, def, acquiredAt);
+    if (!job) continue;
+
+    let trigger = 'schedule';
+    if (job.attempt > 0) trigger = 'retry';
+    else if (nextCronRun(def.schedule, job.nextRunAt, def.timezone) <= acquiredAt) trigger = 'catch-up';
+
+    const run = await execute(def, job, trigger, clock);
+    const finishedAt = clock();
+    const retry = run.status === 'failed' && run.attempt < def.maxAttempts;
+    await release(def.name, {
+      ...outcome(run),
+      attempt: retry ? run.attempt : 0,
+      nextRunAt: retry
+        ? new Date(finishedAt.getTime() + retryDelay(def, run.attempt))
+        : nextCronRun(def.schedule, finishedAt, def.timezone),
+    });
+    runs.push(run);
+  }
+  return runs;
+}
+
+/**
+ * Run a job now, outside its schedule. Its next scheduled slot is left alone.
+ * Returns the finished JobRun, or null when another run holds the lock.
+ */
+export async function triggerJob(name, now = new Date()) {
+  const def = definitions.get(name);
+  if (!def) throw new Error(`Unknown job '${name}'`);
+
+  const clock = clockFrom(now);
+  const job = await acquire({ name }, def, clock());
+  if (!job) return null;
+
+  const run = await execute(def, job, 'manual', clock);
+  await release(name, outcome(run));
+  return run;
+}
+
+/** Jobs with their schedule state and most recent runs, for the admin API. */
+export async function listJobs({ recentRuns = 5 } = {}) {
+  const jobs = await ScheduledJob.find({ name: { $in: [...definitions.keys()] } })
+    .sort({ name: 1 })
+    .lean();
+  return Promise.all(
+    jobs.map(async (job) => ({
+      ...job,
+      maxAttempts: definitions.get(job.name).maxAttempts,
+      running: !!job.lockedUntil && job.lockedUntil > new Date(),
+      recentRuns: await listRuns(job.name, { limit: recentRuns }),
+    }))
+  );
+}
+
+/** Newest-first run history for one job; `before` pages by startedAt. */
+export function listRuns(name, { limit = 20, before } = {}) {
+  const filter = { job: name };
+  if (before) filter.startedAt = { $lt: before };
+  return JobRun.find(filter).sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+/** Sync job documents, then poll for due jobs until stopScheduler(). */
+export async function startScheduler({ pollMs = DEFAULT_POLL_MS } = {}) {
+  await syncJobs();
+
+  const tick = async () => {
+    if (ticking) return; // a slow job is still running from the last poll
+    ticking = true;
+    try {
+      await runDueJobs();
+    } catch (err) {
+      console.error('[jobs] scheduler tick failed:', err);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  stopScheduler();
+  timer = setInterval(tick, pollMs);
+  timer.unref?.();
+  tick();
+}
+
+export function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,67 @@
+import Label from '../models/Label.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+
+/**
+ * Database side of labels (parsing and the any/all filter live in utils/labels.js).
+ * A task or project may only carry organisation-wide labels and labels of its own project.
+ */
+
+export const LABEL_FIELDS = 'name color project';
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** Labels usable inside `projectId` (organisation-wide ones plus the project's own). */
+export function labelScopeFilter(projectId) {
+  return { project: { $in: projectId ? [null, projectId] : [null] } };
+}
+
+/** Organisation-wide labels plus those of `projectIds`, organisation-wide first, then by name. */
+export function listLabels(projectIds = []) {
+  return Label.find({ project: { $in: [null, ...projectIds] } })
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ project: 1, name: 1 })
+    .populate('project', 'name')
+    .lean();
+}
+
+/**
+ * Check that `ids` exist and may be used inside `projectId`.
+ * Returns `{ labels }` or `{ status, error }`.
+ */
+export async function resolveLabels(ids, projectId) {
+  if (!ids.length) return { labels: [] };
+  const labels = await Label.find({ _id: { $in: ids } }).select(LABEL_FIELDS).lean();
+  if (labels.length !== ids.length) return { status: 404, error: 'Label not found' };
+
+  const foreign = labels.find((l) => l.project && idOf(l.project) !== idOf(projectId));
+  if (foreign) {
+    return { status: 400, error: `Label "${foreign.name}" belongs to another project` };
+  }
+  return { labels };
+}
+
+/** The subset of `ids` still usable after a task moves to `projectId`. */
+export async function labelsValidIn(ids, projectId) {
+  if (!ids?.length) return [];
+  const kept = await Label.find({ _id: { $in: ids }, ...labelScopeFilter(projectId) }).distinct('_id');
+  const keep = new Set(kept.map(String));
+  return ids.filter((id) => keep.has(idOf(id)));
+}
+
+/** Delete a label and take it off every task and project. */
+export async function deleteLabel(labelId) {
+  await Label.deleteOne({ _id: labelId });
+  await Promise.all([
+    Task.updateMany({ labels: labelId }, { $pull: { labels: labelId } }),
+    Project.updateMany({ labels: labelId }, { $pull: { labels: labelId } }),
+  ]);
+}
+
+/** Drop a deleted project's own labels, and take them off tasks that still carry them. */
+export async function removeProjectLabels(projectId) {
+  const ids = await Label.find({ project: projectId }).distinct('_id');
+  if (!ids.length) return;
+  await Label.deleteMany({ _id: { $in: ids } });
+  await Task.updateMany({ labels: { $in: ids } }, { $pull: { labels: { $in: ids } } });
+}
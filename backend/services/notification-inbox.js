@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import Task from '../models/Task.js';
+import { afterCursor, encodeCursor } from '../utils/notification-inbox.js';
+
+/**
+ * The notification inbox: a user's in-app notifications, read or not, until they
+ * archive them. Email-only notifications (`channels.inApp: false`) never show here.
+ */
+
+const TASK_FIELDS = 'title deadline assignedProject';
+
+/** A user's in-app notifications, in or out of the archive. */
+const _mine = (userId, archived = false) => ({
+  userId,
+  'channels.inApp': { $ne: false },
+  // Notifications from before the archive existed have no `archived`
+  archived: archived ? true : { $ne: true },
+});
+
+/** One page of `userId`'s inbox: `{ items, nextCursor }` (see utils/notification-inbox.js). */
+export async function listNotifications(userId, { limit, cursor, types, read, archived, project, from, to }) {
+  const and = [_mine(userId, archived)];
+  if (types) and.push({ type: { $in: types } });
+  if (read !== undefined) and.push({ read });
+  if (from || to) and.push({ scheduledFor: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } });
+  if (project) {
+    const tasks = await Task.find({ assignedProject: project }).select('_id').lean();
+    and.push({ taskId: { $in: tasks.map((t) => t._id) } });
+  }
+  if (cursor) and.push(afterCursor(cursor));
+
+  const found = await Notification.find({ $and: and })
+    .sort({ scheduledFor: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('taskId', TASK_FIELDS)
+    .lean();
+  const items = found.slice(0, limit);
+  return { items, nextCursor: found.length > limit ? encodeCursor(items[items.length - 1]) : null };
+}
+
+/** How many unread notifications `userId` has in their inbox. */
+export function countUnread(userId) {
+  return Notification.countDocuments({ ..._mine(userId), read: false });
+}
+
+/**
+ * Mark one of `userId`'s notifications read or unread, or (un)archive it. Resolves to
+ * the updated notification, or null when it isn't theirs.
+ */
+export async function updateNotification(userId, notificationId, { read, archived }) {
+  if (!mongoose.Types.ObjectId.isValid(String(notificationId))) return null;
+  const set = {};
+  if (read !== undefined) set.read = read;
+  if (archived !== undefined) set.archived = archived;
+  return Notification.findOneAndUpdate({ _id: notificationId, userId }, { $set: set }, { new: true })
+    .populate('taskId', TASK_FIELDS)
+    .lean();
+}
+
+/**
+ * Mark everything in `userId`'s inbox up to `before` (default: now) read, or unread.
+ * Resolves to how many changed.
+ */
+export async function markAllNotifications(userId, { read = true, before = new Date() } = {}) {
+  const result = await Notification.updateMany(
+    { ..._mine(userId), read: !read, scheduledFor: { $lte: before } },
+    { $set: { read } }
+  );
+  return result.modifiedCount ?? 0;
+}
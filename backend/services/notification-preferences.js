@@ -0,0 +1,157 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import NotificationPreference, {
+  EMAIL_FREQUENCIES,
+  NOTIFICATION_TYPES,
+  isValidTimeZone,
+} from '../models/NotificationPreference.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Local hour at which daily digests go out
+export const DAILY_DIGEST_HOUR = 8;
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CHANNELS = ['inApp', 'email'];
+
+/** Stored preferences for one user with schema defaults filled in (all defaults if none saved). */
+const withDefaults = (userId, stored) =>
+  new NotificationPreference(stored ?? { user: userId }).toObject();
+
+export async function getPreferences(userId) {
+  const stored = await NotificationPreference.findOne({ user: userId }).lean();
+  return withDefaults(userId, stored);
+}
+
+/** Map of userId -> preferences for many users, in one query. */
+export async function getPreferencesFor(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  const stored = ids.length
+    ? await NotificationPreference.find({ user: { $in: ids } }).lean()
+    : [];
+  const byUser = new Map(stored.map((p) => [String(p.user), p]));
+  return new Map(ids.map((id) => [id, withDefaults(id, byUser.get(id))]));
+}
+
+export function channelsFor(prefs, type) {
+  const c = prefs?.types?.[type] ?? {};
+  return { inApp: c.inApp !== false, email: c.email !== false };
+}
+
+/**
+ * Stamp each notification draft with the channels its recipient allows, dropping
+ * drafts the recipient has switched off entirely.
+ */
+export async function applyPreferences(drafts) {
+  if (!drafts.length) return drafts;
+  const prefs = await getPreferencesFor(drafts.map((d) => d.userId));
+  return drafts.flatMap((d) => {
+    const channels = channelsFor(prefs.get(String(d.userId)), d.type);
+    return channels.inApp || channels.email ? [{ ...d, channels }] : [];
+  });
+}
+
+const minutesOf = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const localNow = (prefs, now) =>
+  dayjs(now).tz(prefs?.timezone && isValidTimeZone(prefs.timezone) ? prefs.timezone : 'UTC');
+
+/** True while `now` falls inside the user's quiet hours (which may wrap past midnight). */
+export function isQuietTime(prefs, now = new Date()) {
+  const q = prefs?.quietHours;
+  if (!q?.enabled || !HHMM.test(q.start) || !HHMM.test(q.end)) return false;
+  const local = localNow(prefs, now);
+  const m = local.hour() * 60 + local.minute();
+  const start = minutesOf(q.start);
+  const end = minutesOf(q.end);
+  if (start === end) return false;
+  return start < end ? m >= start && m < end : m >= start || m < end;
+}
+
+/** Whether an hourly/daily digest user is due another email. */
+export function isDigestDue(prefs, now = new Date()) {
+  const last = prefs?.lastDigestAt ? dayjs(prefs.lastDigestAt) : null;
+  if (prefs?.emailFrequency === 'hourly') {
+    return !last || dayjs(now).diff(last, 'minute') >= 60;
+  }
+  if (prefs?.emailFrequency === 'daily') {
+    const local = localNow(prefs, now);
+    if (local.hour() < DAILY_DIGEST_HOUR) return false;
+    return !last || last.isBefore(local.startOf('day'));
+  }
+  return true;
+}
+
+export async function markDigestSent(userId, at = new Date()) {
+  await NotificationPreference.updateOne(
+    { user: userId },
+    { $set: { lastDigestAt: at } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Validate a (partial) preferences payload into a flat `$set`.
+ * Returns { update } or { error } with a message fit for a 400.
+ */
+export function preferencesUpdate(body = {}) {
+  const update = {};
+
+  if (body.types !== undefined) {
+    if (typeof body.types !== 'object' || body.types === null) {
+      return { error: 'types must be an object' };
+    }
+    for (const [type, channels] of Object.entries(body.types)) {
+      if (!NOTIFICATION_TYPES.includes(type)) return { error: `Unknown notification type '${type}'` };
+      if (typeof channels !== 'object' || channels === null) return { error: `types.${type} must be an object` };
+      for (const [channel, on] of Object.entries(channels)) {
+        if (!CHANNELS.includes(channel)) return { error: `Unknown channel '${channel}'` };
+        if (typeof on !== 'boolean') return { error: `types.${type}.${channel} must be a boolean` };
+        update[`types.${type}.${channel}`] = on;
+      }
+    }
+  }
+
+  if (body.quietHours !== undefined) {
+    const { enabled, start, end } = body.quietHours ?? {};
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') return { error: 'quietHours.enabled must be a boolean' };
+      update['quietHours.enabled'] = enabled;
+    }
+    for (const [key, value] of [['start', start], ['end', end]]) {
+      if (value === undefined) continue;
+      if (!HHMM.test(value)) return { error: `quietHours.${key} must be HH:mm` };
+      update[`quietHours.${key}`] = value;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimeZone(body.timezone)) {
+      return { error: 'Unknown timezone' };
+    }
+    update.timezone = body.timezone;
+  }
+
+  if (body.emailFrequency !== undefined) {
+    if (!EMAIL_FREQUENCIES.includes(body.emailFrequency)) {
+      return { error: `emailFrequency must be one of ${EMAIL_FREQUENCIES.join(', ')}` };
+    }
+    update.emailFrequency = body.emailFrequency;
+  }
+
+  return { update };
+}
+
+export async function updatePreferences(userId, update) {
+  const saved = await NotificationPreference.findOneAndUpdate(
+    { user: userId },
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  ).lean();
+  return withDefaults(userId, saved);
+}
@@ -6,18 +6,28 @@ import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime.js';
 import { sendEmail } from '../utils/mailer.js';
 import Comment from '../models/Comment.js';
+import { describeChanges } from './activity-log.js';
+import { renderEmail } from './email-templates.js';
+import { isDone } from '../utils/workflow.js';
+import { bulkMessage } from '../utils/bulk-tasks.js';
+import {
+  applyPreferences,
+  getPreferencesFor,
+  isQuietTime,
+} from './notification-preferences.js';
+import { duePersonalReminders, markRemindersFired } from './personal-reminders.js';
 
 dayjs.extend(relativeTime);
 
 /**
  * Check for tasks that need reminders and create notifications
- * This will be called by the cron job
+ * This is called by the `reminders` scheduled job (see server.js)
  */
-export async function checkAndCreateReminders() {
+export async function checkAndCreateReminders({ since } = {}) {
   const now = dayjs();
 
   const tasks = await Task.find({
-    status: { $ne: 'Done' },
+    statusCategory: { $ne: 'done' },
     deadline: { $exists: true, $ne: null }
   })
     .lean();
@@ -33,8 +43,11 @@ export async function checkAndCreateReminders() {
       const reminderTime = deadline.subtract(offset, 'minute');
 
       // Check if reminder time has passed (is in the past or now) 
-      // Allow up to 10 minutes grace period to catch missed reminders
-      if (now.isAfter(reminderTime) && now.diff(reminderTime, 'minute') <= 10) {
+      // Allow up to 10 minutes grace period to catch missed reminders, or back to
+      // `since` (the last successful run) after downtime while the task is still due
+      const inGrace = now.diff(reminderTime, 'minute') <= 10;
+      const missed = since && !reminderTime.isBefore(since) && deadline.isAfter(now);
+      if (now.isAfter(reminderTime) && (inGrace || missed)) {
         for (const memberId of task.assignedTeamMembers) {
           const existingNotification = await Notification.findOne({
             userId: memberId,
@@ -89,11 +102,17 @@ export async function checkAndCreateReminders() {
     }
   }
 
-  if (notifications.length > 0) {
-    await Notification.insertMany(notifications);
+  // Users' own reminders and snoozes go out with the task reminders
+  const personal = await duePersonalReminders(now.toDate());
+  notifications.push(...personal.drafts);
+
+  const allowed = await applyPreferences(notifications);
+  if (allowed.length > 0) {
+    await Notification.insertMany(allowed);
   }
+  await markRemindersFired(personal.reminderIds, now.toDate());
 
-  return notifications;
+  return allowed;
 }
 
 /**
@@ -102,7 +121,9 @@ export async function checkAndCreateReminders() {
 export async function getUnreadNotifications(userId) {
   return await Notification.find({
     userId,
-    read: false
+    read: false,
+    archived: { $ne: true },
+    'channels.inApp': { $ne: false },
   })
     .populate('taskId', 'title deadline')
     .sort('-scheduledFor')
@@ -110,11 +131,11 @@ export async function getUnreadNotifications(userId) {
 }
 
 /**
- * Mark notifications as read
+ * Mark notifications as read; with `userId`, only that user's own
  */
-export async function markNotificationsAsRead(notificationIds) {
+export async function markNotificationsAsRead(notificationIds, userId) {
   await Notification.updateMany(
-    { _id: { $in: notificationIds } },
+    { _id: { $in: notificationIds }, ...(userId ? { userId } : {}) },
     { $set: { read: true } }
   );
 }
@@ -130,45 +151,63 @@ export async function markNotificationsAsSent(notificationIds) {
   );
 }
 
+/** Due, unsent notifications whose recipient wants them by email. */
+export function pendingEmailFilter(now = new Date()) {
+  return {
+    sent: false,
+    read: false,
+    scheduledFor: { $lte: now },
+    $or: [
+      // Documents from before per-channel flags have no `channels`
+      { type: { $in: ['reminder', 'overdue', 'update'] }, 'channels.email': { $ne: false } },
+      { type: { $in: ['comment', 'mention'] }, 'channels.email': true },
+    ],
+  };
+}
+
 /**
- * Send emails for all due notifications (reminder + overdue) that haven't been sent yet.
- * Marks them { sent: true, sentAt: new Date() } after a successful email.
+ * Send emails for all due notifications that haven't been sent yet, honouring each
+ * recipient's preferences: email is held during quiet hours, and users on an hourly
+ * or daily digest are left to jobs/notification-digest.js.
+ * Marks them { sent: true } after a successful email.
  */
 export async function sendPendingEmails() {
   const now = new Date();
 
   // Find due & unsent notifications
-  const due = await Notification.find({
-    sent: false,
-    read: false,
-    type: { $in: ['reminder', 'overdue', 'update'] },
-    scheduledFor: { $lte: now },
-  })
+  const due = await Notification.find(pendingEmailFilter(now))
     .populate('userId', 'name email')
-    .populate('taskId', 'title deadline status')
+    .populate('taskId', 'title deadline status statusCategory')
     .lean();
 
   if (!due.length) return [];
 
-  const sentIds = [];
+  const prefsByUser = await getPreferencesFor(due.map(n => n.userId?._id));
+  const instant = [];
 
   for (const n of due) {
-    const to = n.userId?.email;
-    if (!to) continue;
-    if (n.taskId?.status === 'Done') continue;
+    if (!n.userId?.email) continue;
+    if (n.taskId && isDone(n.taskId)) continue;
 
-    const subject =
-      n.type === 'overdue'
-        ? `Overdue: ${n.taskId?.title ?? 'Task'}`
-        // : `Reminder: ${n.taskId?.title ?? 'Task'} due soon`;
-      :n.type === 'update'
-        ? `Update: ${n.taskId?.title ?? 'Task'}`
-        : `Reminder: ${n.taskId?.title ?? 'Task'} due soon`;
+    const prefs = prefsByUser.get(String(n.userId._id));
+    if ((prefs?.emailFrequency ?? 'instant') !== 'instant') continue; // goes out in the digest
+    if (isQuietTime(prefs, now)) continue; // held until quiet hours end
 
-    const html = buildEmailHtml({ notification: n });
+    instant.push(n);
+  }
+
+  const sentIds = [];
+
+  for (const n of instant) {
+    const email = renderEmail(n.type, {
+      title: n.taskId?.title ?? 'Task',
+      message: n.message,
+      deadline: n.taskId?.deadline,
+    });
 
     try {
-      await sendEmail({ to, subject, html });
+      // Resolves once sent or safely queued in the outbox for retry
+      await sendEmail({ to: n.userId.email, ...email });
       sentIds.push(n._id);
     } catch (err) {
       console.error('[mailer] send failed for notification', n._id, err?.message || err);
@@ -200,7 +239,12 @@ function formatTimeRemaining(minutes) {
   }
 }
 
-export async function createCommentNotifications({ taskId, commentId, authorId, commentBody, excludeUserIds = [] }) {
+/**
+ * Notify a task's assignees and project managers of a new comment. For a reply
+ * (`threadId` is the thread's first comment) everyone who took part in the thread
+ * is notified too.
+ */
+export async function createCommentNotifications({ taskId, commentId, authorId, commentBody, excludeUserIds = [], threadId = null }) {
   // Fetch task for assignees, project & title
   const task = await Task.findById(taskId)
     .select('assignedTeamMembers title assignedProject')
@@ -238,6 +282,12 @@ export async function createCommentNotifications({ taskId, commentId, authorId,
       managerIds = possibles.map(String).filter((uid) => uid !== String(authorId));
     }
   }
+  // --- Thread participants (replies only): notify, excluding author
+  let participantIds = [];
+  if (threadId) {
+    const authors = await Comment.find({ $or: [{ _id: threadId }, { parent: threadId }] }).distinct('author');
+    participantIds = authors.map(String).filter((uid) => uid !== String(authorId));
+  }
   const excludeList = Array.isArray(excludeUserIds)
     ? excludeUserIds
     : excludeUserIds
@@ -245,52 +295,29 @@ export async function createCommentNotifications({ taskId, commentId, authorId,
       : [];
   const exclude = new Set([String(authorId), ...excludeList.map(String)]);
 
-  // Final recipients: assignees ∪ managers, then apply exclusion
-  const uniq = new Set([...assigneeIds, ...managerIds]);
+  // Final recipients: assignees ∪ managers ∪ participants, then apply exclusion
+  const uniq = new Set([...assigneeIds, ...managerIds, ...participantIds]);
   const recipients = Array.from(uniq).map(String);
   const finalRecipients = recipients.filter(uid => !exclude.has(uid));
   if (finalRecipients.length === 0) return [];
 
-  const message = `${authorName} commented on "${task.title}": ${commentBody.slice(0, 140)}`;
+  const verb = threadId ? 'replied to a thread on' : 'commented on';
+  const message = `${authorName} ${verb} "${task.title}": ${commentBody.slice(0, 140)}`;
 
-  const docs = recipients.map(userId => ({
+  const docs = await applyPreferences(finalRecipients.map(userId => ({
     userId,
     taskId,
     type: 'comment',
     commentId,
     message,
     scheduledFor: new Date(), // immediate
-  }));
+  })));
+  if (!docs.length) return [];
 
   const created = await Notification.insertMany(docs, { ordered: false });
   return created;
 }
 
-/** Build a simple HTML email */
-function buildEmailHtml({ notification }) {
-  const taskTitle = notification.taskId?.title ?? 'Task';
-  const deadline = notification.taskId?.deadline
-    ? dayjs(notification.taskId.deadline).format('ddd, DD MMM YYYY HH:mm')
-    : 'N/A';
-   const heading =
-   notification.type === 'overdue'
-     ? 'Task Overdue'
-     : notification.type === 'update'
-       ? 'Task Updated'
-       : 'Task Reminder';
-
-  return `
-    <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif;">
-      <h2>${heading}</h2>
-      <p><strong>${taskTitle}</strong></p>
-      <p>${notification.message || ''}</p>
-      <p><strong>Deadline:</strong> ${deadline}</p>
-      <hr style="border:none;border-top:1px solid #e5e7eb;margin:16px 0" />
-      <p style="font-size:12px;color:#6b7280">You are receiving this because you are assigned to this task.</p>
-    </div>
-  `;
-}
-
 export async function createMentionNotifications({ taskId, commentId, authorId, commentBody }) {
   const [comment, task, author] = await Promise.all([
     Comment.findById(commentId)
@@ -318,14 +345,15 @@ export async function createMentionNotifications({ taskId, commentId, authorId,
 
   const message = `${authorName} mentioned you on "${task.title}": ${commentBody.slice(0, 140)}`;
 
-  const docs = recipients.map(userId => ({
+  const docs = await applyPreferences(finalRecipients.map(userId => ({
     userId,
     taskId,
     type: 'mention',
     commentId,
     message,
     scheduledFor: new Date()
-  }));
+  })));
+  if (!docs.length) return [];
 
   const created = await Notification.insertMany(docs, { ordered: false });
   return created;
@@ -333,7 +361,7 @@ export async function createMentionNotifications({ taskId, commentId, authorId,
 }
 
 
-export async function createUpdateNotifications({ taskId, authorId }) {
+export async function createUpdateNotifications({ taskId, authorId, changes = [] }) {
   const [task, author] = await Promise.all([
     Task.findById(taskId)
       .select('assignedTeamMembers title')
@@ -351,9 +379,11 @@ export async function createUpdateNotifications({ taskId, authorId }) {
   const recipients = [...new Set(assigneeIds.filter(uid => uid !== String(authorId)))];
   if (!recipients.length) return [];
 
-  const message = `${authorName} updated "${task.title}".`;
+  const message = changes.length
+    ? `${authorName} updated "${task.title}": ${describeChanges(changes)}.`
+    : `${authorName} updated "${task.title}".`;
 
-  const docs = recipients.map(userId => ({
+  const docs = await applyPreferences(finalRecipients.map(userId => ({
     userId,
     taskId,
     type: 'update',
@@ -361,9 +391,42 @@ export async function createUpdateNotifications({ taskId, authorId }) {
     scheduledFor: new Date(), 
     read: false,
     sent: false
-  }));
+  })));
+  if (!docs.length) return [];
 
   const created = await Notification.insertMany(docs, { ordered: false });
   return created;
 }
 
+/**
+ * One notification per person for a bulk change (see routes/tasks.js, POST /bulk)
+ * rather than one per task. `tasks` are `{ _id, title, recipients }`, where
+ * `recipients` are everyone assigned before or after the change; `summary` is
+ * describeBulkChanges() output, or null when the tasks were deleted.
+ */
+export async function createBulkNotifications({ authorId, tasks, summary = null }) {
+  const byUser = new Map();
+  for (const task of tasks) {
+    for (const userId of new Set(task.recipients.map(String))) {
+      if (userId === String(authorId)) continue;
+      if (!byUser.has(userId)) byUser.set(userId, []);
+      byUser.get(userId).push(task);
+    }
+  }
+  if (!byUser.size) return [];
+
+  const author = await User.findById(authorId).select('name').lean();
+  const authorName = author?.name ?? 'Someone';
+
+  const docs = await applyPreferences([...byUser].map(([userId, mine]) => ({
+    userId,
+    taskId: mine[0]._id,
+    taskIds: mine.map((t) => t._id),
+    type: 'update',
+    message: bulkMessage(authorName, mine.map((t) => t.title), summary),
+    scheduledFor: new Date(),
+  })));
+  if (!docs.length) return [];
+
+  return Notification.insertMany(docs, { ordered: false });
+}
@@ -0,0 +1,40 @@
+/**
+ * Retry timing and the claim loop shared by the email outbox (utils/mailer.js) and
+ * webhook deliveries (services/webhooks.js). Both keep one document per message with
+ * `status` (`queued` → `sending` → a final state), `attempts`, `nextAttemptAt` and
+ * `claimedAt`, the time the current `sending` attempt started.
+ */
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A `sending` message older than this was abandoned mid-send (e.g. the process died)
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/** Delay before the next attempt after `attempts` failures: 1, 2, 4 … minutes, capped at an hour. */
+export function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Claim `Model`'s messages that are due at `now`, oldest first, and hand each to
+ * `send` until none are left or `limit` were claimed. Abandoned `sending` messages
+ * count as due. Each claim is atomic, so concurrent runs never send one twice.
+ */
+export async function drainOutbox(Model, now, { limit = 50 } = {}, send) {
+  const stale = new Date(now.getTime() - STALE_SENDING_MS);
+
+  for (let i = 0; i < limit; i++) {
+    const message = await Model.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', claimedAt: { $lte: stale } },
+        ],
+      },
+      { $set: { status: 'sending', claimedAt: now } },
+      { sort: { nextAttemptAt: 1, createdAt: 1 }, new: true }
+    ).lean();
+    if (!message) break;
+    await send(message);
+  }
+}
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import PersonalReminder from '../models/PersonalReminder.js';
+import Task from '../models/Task.js';
+import { isDone } from '../utils/workflow.js';
+import {
+  MAX_REMINDERS_PER_TASK,
+  SNOOZABLE_TYPES,
+  coerceReminder,
+  reminderDueAt,
+  reminderMessage,
+  snoozeUntil,
+} from '../utils/personal-reminders.js';
+
+/**
+ * Personal reminders: reminders on a task that only their owner receives, and snoozed
+ * reminder/overdue notifications. The reminders job turns due ones into `reminder`
+ * notifications (see checkAndCreateReminders), so they arrive over the same socket and
+ * email paths as the task's own reminders.
+ */
+
+const TASK_FIELDS = 'title deadline status statusCategory';
+
+/** The caller's reminders on a task that haven't fired yet, soonest first. */
+export async function listReminders(userId, task) {
+  const reminders = await PersonalReminder.find({ user: userId, task: task._id, firedAt: null }).lean();
+  return reminders
+    .map((r) => ({ ...r, dueAt: reminderDueAt(r, task) }))
+    .sort((a, b) => (a.dueAt ?? Infinity) - (b.dueAt ?? Infinity));
+}
+
+/** Add a reminder on `task` for `userId`. Resolves to the reminder, or `{ status, error }`. */
+export async function createReminder(userId, task, input, now = new Date()) {
+  const fields = coerceReminder(input, task, now);
+  if (fields.error) return { status: 400, error: fields.error };
+  const pending = await PersonalReminder.countDocuments({ user: userId, task: task._id, firedAt: null });
+  if (pending >= MAX_REMINDERS_PER_TASK) {
+    return { status: 400, error: `You can have at most ${MAX_REMINDERS_PER_TASK} reminders on a task` };
+  }
+  const reminder = await PersonalReminder.create({ ...fields, user: userId, task: task._id, source: 'custom' });
+  const doc = reminder.toObject();
+  return { reminder: { ...doc, dueAt: reminderDueAt(doc, task) } };
+}
+
+/** Remove one of the caller's reminders on a task. Resolves to false when there is no such reminder. */
+export async function deleteReminder(userId, taskId, reminderId) {
+  if (!mongoose.Types.ObjectId.isValid(String(reminderId))) return false;
+  const { deletedCount } = await PersonalReminder.deleteOne({ _id: reminderId, user: userId, task: taskId });
+  return deletedCount > 0;
+}
+
+/**
+ * Put off one of `userId`'s reminder or overdue notifications: it is marked read and
+ * comes back as a reminder at `{ minutes }` from now or `{ until }` a time.
+ * Resolves to `{ reminder }`, or `{ status, error }`.
+ */
+export async function snoozeNotification(userId, notificationId, input, now = new Date()) {
+  if (!mongoose.Types.ObjectId.isValid(String(notificationId))) return { status: 404, error: 'Notification not found' };
+  const notification = await Notification.findOne({ _id: notificationId, userId }).lean();
+  if (!notification) return { status: 404, error: 'Notification not found' };
+  if (!SNOOZABLE_TYPES.includes(notification.type)) {
+    return { status: 400, error: 'Only reminder and overdue notifications can be snoozed' };
+  }
+  const { remindAt, error } = snoozeUntil(input, now);
+  if (error) return { status: 400, error };
+
+  const task = await Task.findById(notification.taskId).select(TASK_FIELDS).lean();
+  if (!task) return { status: 404, error: 'The task no longer exists' };
+
+  const reminder = await PersonalReminder.create({
+    user: userId,
+    task: task._id,
+    remindAt,
+    source: 'snooze',
+    snoozedFrom: notification._id,
+  });
+  await Notification.updateOne({ _id: notification._id }, { $set: { read: true } });
+  return { reminder: { ...reminder.toObject(), dueAt: remindAt } };
+}
+
+/**
+ * Personal reminders due at `now`, as notification drafts. Reminders on finished
+ * tasks are dropped without a notification. Resolves to `{ drafts, reminderIds }`;
+ * pass the ids to `markRemindersFired` once the drafts are stored.
+ */
+export async function duePersonalReminders(now = new Date()) {
+  const candidates = await PersonalReminder.find({
+    firedAt: null,
+    $or: [{ remindAt: { $lte: now } }, { minutesBefore: { $ne: null } }],
+  })
+    .populate('task', TASK_FIELDS)
+    .lean();
+
+  const drafts = [];
+  const reminderIds = [];
+  for (const reminder of candidates) {
+    // A trashed task's reminders wait in case it is restored
+    if (!reminder.task) continue;
+    const dueAt = reminderDueAt(reminder, reminder.task);
+    if (!dueAt || dueAt > now) continue;
+
+    reminderIds.push(reminder._id);
+    if (isDone(reminder.task)) continue;
+    drafts.push({
+      userId: reminder.user,
+      taskId: reminder.task._id,
+      type: 'reminder',
+      personalReminder: reminder._id,
+      message: reminderMessage(reminder, reminder.task),
+      scheduledFor: dueAt,
+      read: false,
+      sent: false,
+    });
+  }
+  return { drafts, reminderIds };
+}
+
+export async function markRemindersFired(reminderIds, now = new Date()) {
+  if (!reminderIds.length) return;
+  await PersonalReminder.updateMany({ _id: { $in: reminderIds } }, { $set: { firedAt: now } });
+}
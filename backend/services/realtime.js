@@ -0,0 +1,46 @@
+/**
+ * Socket.IO rooms, and who gets each event.
+ *
+ * A socket connects with the same access token as the REST API (`auth.token` in the
+ * handshake, or an `Authorization: Bearer` header) and joins:
+ * - `user:<id>`: their notifications, and calendar events for tasks they created or
+ *   are assigned (the tasks their calendar shows);
+ * - `project:<id>` for each project they can see: board updates;
+ * - `task:<id>` while they have a task open (`task:view` / `task:leave`): its comments.
+ *
+ * Routes emit through the helpers below instead of `io.emit`, so nothing is broadcast
+ * to everyone. Connections are set up in services/socket-handlers.js. No database
+ * access here, so routes can use these without loading the models.
+ */
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+export const userRoom = (userId) => `user:${idOf(userId)}`;
+export const projectRoom = (projectId) => `project:${idOf(projectId)}`;
+export const taskRoom = (taskId) => `task:${idOf(taskId)}`;
+
+/** Rooms of the people whose calendars show these tasks: their creators and assignees. */
+export const peopleRooms = (...tasks) =>
+  tasks.filter(Boolean).flatMap((t) => [t.createdBy, ...(t.assignedTeamMembers ?? [])].filter(Boolean).map(userRoom));
+
+/** Rooms of the tasks' projects. */
+export const projectRooms = (...tasks) =>
+  tasks.filter((t) => t?.assignedProject).map((t) => projectRoom(t.assignedProject));
+
+/** Emit `event` to everyone in any of `rooms` (once per socket). Nothing happens without rooms. */
+export function emitTo(io, rooms, event, payload) {
+  const unique = [...new Set(rooms.flat().filter(Boolean))];
+  if (!unique.length) return;
+  io?.to?.(unique)?.emit?.(event, payload);
+}
+
+/** An in-app notification, to its recipient only. */
+export function emitNotification(io, notification) {
+  emitTo(io, [userRoom(notification.userId)], `notification:${idOf(notification.userId)}`, notification);
+}
+
+/** Add the sockets of `userIds` to a project's room, e.g. when they join the project. */
+export function joinProjectRoom(io, userIds, projectId) {
+  const rooms = userIds.filter(Boolean).map(userRoom);
+  if (rooms.length) io?.in?.(rooms)?.socketsJoin?.(projectRoom(projectId));
+}
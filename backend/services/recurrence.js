@@ -0,0 +1,264 @@
+import Task, { DEFAULT_REMINDERS_MIN } from '../models/Task.js';
+import { bottomRank } from './board.js';
+import {
+  describeRecurrence,
+  formatRRule,
+  isOccurrence,
+  nextOccurrence,
+  occurrenceOf,
+  occurrencesBefore,
+  sameRule,
+  seriesIdOf,
+  seriesRule,
+  upcomingOccurrences,
+} from '../utils/recurrence.js';
+import { initialStatus, resolveStatus } from '../utils/workflow.js';
+
+/**
+ * Recurring task series: creating the next task of a series, skipping or changing a
+ * single occurrence, and carrying an edit over to the rest of the series ("this one",
+ * "this and following", "all"). The rule itself lives in utils/recurrence.js.
+ */
+
+export const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// What an edit of "following" or "all" occurrences copies to the other open tasks
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'notes',
+  'priority',
+  'assignedTeamMembers',
+  'labels',
+  'estimateMinutes',
+  'reminderOffsets',
+  'allDay',
+];
+
+const sameSeries = (seriesId) => ({ $or: [{ seriesId }, { _id: seriesId }] });
+const MS = (d) => new Date(d).getTime();
+
+/** `date` moved by `ms` (null stays null). */
+const _shift = (date, ms) => (date ? new Date(MS(date) + ms) : date);
+
+/**
+ * The new task for `occurrence` of `task`'s series: a copy of it at the first status of
+ * its workflow, with the schedule moved along. Not saved.
+ */
+export async function instanceFor(task, occurrence, workflow, overrides = {}) {
+  const first = resolveStatus(workflow, initialStatus(workflow));
+  const shift = MS(occurrence) - MS(task.deadline ?? occurrenceOf(task));
+  return {
+    title: task.title,
+    description: task.description,
+    notes: task.notes,
+    parentTask: task.parentTask || null,
+    assignedProject: task.assignedProject,
+    assignedTeamMembers: task.assignedTeamMembers,
+    status: first.status,
+    statusCategory: first.statusCategory,
+    rank: task.parentTask ? null : await bottomRank(task.assignedProject, first.status),
+    priority: task.priority,
+    deadline: occurrence,
+    createdBy: task.createdBy,
+    // The next occurrence starts with a fresh remaining estimate
+    estimateMinutes: task.estimateMinutes ?? null,
+    remainingMinutes: task.estimateMinutes ?? null,
+    labels: task.labels,
+    allDay: task.allDay,
+    startAt: task.startAt ? _shift(task.startAt, shift) : new Date(),
+    endAt: task.endAt ? _shift(task.endAt, shift) : new Date(occurrence),
+    reminderOffsets: task.reminderOffsets?.length ? task.reminderOffsets : DEFAULT_REMINDERS_MIN,
+    recurrence: seriesRule(task),
+    seriesId: seriesIdOf(task),
+    occurrenceDate: occurrence,
+    ...overrides,
+  };
+}
+
+/**
+ * The occurrence after `task`'s, if the series goes on and nobody created a task for
+ * it yet (completing, reopening and completing again mustn't make two).
+ */
+export async function nextInstanceDate(task) {
+  const rule = seriesRule(task);
+  if (!rule) return null;
+  const next = nextOccurrence(rule, occurrenceOf(task));
+  if (!next) return null;
+  const taken = await Task.exists({ ...sameSeries(seriesIdOf(task)), occurrenceDate: next });
+  return taken ? null : next;
+}
+
+/** Check `date` is an occurrence of the series that doesn't have a task of its own yet. */
+async function _freeOccurrence(task, rule, date) {
+  if (!rule) return { status: 400, error: 'This task does not repeat' };
+  if (Number.isNaN(MS(date))) return { status: 400, error: 'Invalid occurrenceDate' };
+  if (!isOccurrence(rule, date)) return { status: 400, error: 'Not an occurrence of this series' };
+  if ((rule.exdates ?? []).some((d) => MS(d) === MS(date))) {
+    return { status: 409, error: 'That occurrence was already skipped or changed' };
+  }
+  const taken = await Task.exists({ ...sameSeries(seriesIdOf(task)), occurrenceDate: date });
+  if (taken && MS(date) !== MS(occurrenceOf(task))) return { status: 409, error: 'That occurrence already has a task' };
+  return null;
+}
+
+const _exclude = (seriesId, date) =>
+  Task.updateMany(
+    { ...sameSeries(seriesId), recurrence: { $ne: null } },
+    { $addToSet: { 'recurrence.exdates': date } }
+  );
+
+/**
+ * Skip one occurrence of `task`'s series. Skipping the task's own occurrence moves the
+ * task on to the next one; a later date is just left out. Returns the `$set` applied to
+ * `task` (empty for a later date), or `{ status, error }`.
+ */
+export async function skipOccurrence(task, input) {
+  const rule = seriesRule(task);
+  const date = new Date(input);
+  const invalid = await _freeOccurrence(task, rule, date);
+  if (invalid) return invalid;
+
+  const current = occurrenceOf(task);
+  if (MS(date) < MS(current)) return { status: 400, error: 'That occurrence is already past' };
+  const seriesId = seriesIdOf(task);
+  if (MS(date) > MS(current)) {
+    await _exclude(seriesId, date);
+    return { set: {} };
+  }
+
+  const next = nextOccurrence({ ...rule, exdates: [...(rule.exdates ?? []), date] }, date);
+  if (!next) return { status: 400, error: 'This is the last occurrence; delete the task instead' };
+  const shift = MS(next) - MS(task.deadline ?? current);
+  const set = {
+    deadline: next,
+    occurrenceDate: next,
+    seriesId,
+    'recurrence.start': rule.start,
+    startAt: _shift(task.startAt, shift),
+    endAt: _shift(task.endAt, shift),
+  };
+  await Task.updateOne({ _id: task._id }, { $set: set });
+  await _exclude(seriesId, date);
+  return { set };
+}
+
+/**
+ * Give a later occurrence of `task`'s series a task of its own now, with `changes`
+ * (title, deadline, ...) applied. The new task doesn't repeat itself; the series skips
+ * its date. Returns the created task, or `{ status, error }`.
+ */
+export async function detachOccurrence(task, input, changes, workflow) {
+  const rule = seriesRule(task);
+  const date = new Date(input);
+  const invalid = await _freeOccurrence(task, rule, date);
+  if (invalid) return invalid;
+  if (MS(date) <= MS(occurrenceOf(task))) {
+    return { status: 400, error: 'Only a later occurrence can be changed on its own; edit this task instead' };
+  }
+
+  const doc = await instanceFor(task, date, workflow, { ...changes, recurrence: null });
+  const created = await Task.create(doc);
+  await _exclude(seriesIdOf(task), date);
+  return { task: created };
+}
+
+/**
+ * How an update of `existing` (`updateData`, the route's `$set`) reaches its series.
+ * `rule` is the incoming recurrence: undefined when not sent, null to stop repeating.
+ * Returns `{ set, ops }`: more fields for this task, and `{ filter, update }` writes for
+ * the other tasks of the series. A new rule, or a deadline moved for "this and
+ * following", splits the series here; for "all" they change the whole series. A deadline
+ * moved for "this" occurrence only leaves the schedule alone.
+ */
+export function planSeriesEdit(existing, updateData, { scope = 'this', rule } = {}) {
+  const current = seriesRule(existing);
+  const set = {};
+  const ops = [];
+  if (!current) {
+    // A task that starts repeating starts its own series
+    if (rule) {
+      const start = updateData.deadline ?? existing.deadline;
+      Object.assign(set, { recurrence: { ...rule, start }, seriesId: existing._id, occurrenceDate: start });
+    }
+    return { set, ops };
+  }
+
+  const seriesId = seriesIdOf(existing);
+  const slot = occurrenceOf(existing);
+  const others = { $and: [sameSeries(seriesId), { _id: { $ne: existing._id } }] };
+  const later = { ...others, occurrenceDate: { $gt: slot } };
+  const open = { statusCategory: { $ne: 'done' } };
+  const shared = Object.fromEntries(SERIES_FIELDS.filter((f) => updateData[f] !== undefined).map((f) => [f, updateData[f]]));
+  const hasShared = Object.keys(shared).length > 0;
+
+  const ruleChanged = rule !== undefined && !sameRule(rule, current);
+  const deadline = updateData.deadline !== undefined ? updateData.deadline : existing.deadline;
+  const moved = updateData.deadline !== undefined && MS(deadline) !== MS(existing.deadline);
+  // Tasks from before series ids join theirs on their next edit
+  if (!existing.seriesId) Object.assign(set, { seriesId, occurrenceDate: slot, recurrence: current });
+
+  if (rule === null) {
+    set.recurrence = null;
+    if (scope === 'all') ops.push({ filter: others, update: { recurrence: null } });
+    if (scope === 'following') {
+      ops.push({
+        filter: { ...others, recurrence: { $ne: null }, occurrenceDate: { $lt: slot } },
+        update: { 'recurrence.ends': 'onDate', 'recurrence.until': new Date(MS(slot) - 1), 'recurrence.count': null },
+      });
+    }
+  } else if (scope === 'all' && (ruleChanged || moved)) {
+    // The whole series moves with this task
+    const shift = moved && deadline ? MS(deadline) - MS(existing.deadline) : 0;
+    const recurrence = { ...(rule ?? current), start: _shift(current.start, shift), exdates: current.exdates };
+    Object.assign(set, { recurrence, seriesId, occurrenceDate: _shift(slot, shift) });
+    ops.push({ filter: { ...others, recurrence: { $ne: null } }, update: { recurrence } });
+  } else if ((ruleChanged || (moved && scope === 'following')) && deadline) {
+    // This task starts a new series; the old one ends just before it
+    const next = { ...(rule ?? current), start: deadline, exdates: [] };
+    if (!ruleChanged && next.ends === 'afterCount') {
+      next.count = Math.max(1, current.count - occurrencesBefore(current, slot));
+    }
+    Object.assign(set, { recurrence: next, seriesId: existing._id, occurrenceDate: deadline });
+    ops.push({
+      filter: { ...others, recurrence: { $ne: null }, occurrenceDate: { $lt: slot } },
+      update: { 'recurrence.ends': 'onDate', 'recurrence.until': new Date(MS(slot) - 1), 'recurrence.count': null },
+    });
+    ops.push({ filter: later, update: { seriesId: existing._id } });
+  }
+
+  if (hasShared && scope === 'following') ops.push({ filter: { ...later, ...open }, update: shared });
+  if (hasShared && scope === 'all') ops.push({ filter: { ...others, ...open }, update: shared });
+  return { set, ops };
+}
+
+/** Write the other tasks' side of planSeriesEdit(). */
+export async function applySeriesEdit(ops) {
+  for (const { filter, update } of ops) await Task.updateMany(filter, { $set: update });
+}
+
+/**
+ * The series `task` belongs to: its rule, its tasks (oldest first), the next `limit`
+ * occurrences that have no task yet, and the skipped dates.
+ */
+export async function seriesOverview(task, { limit = 10 } = {}) {
+  const seriesId = seriesIdOf(task);
+  const tasks = await Task.find(sameSeries(seriesId))
+    .select('title status statusCategory deadline occurrenceDate completedAt recurrence seriesId')
+    .lean();
+  tasks.sort((a, b) => MS(occurrenceOf(a)) - MS(occurrenceOf(b)));
+
+  // The latest task that still repeats has the current rule
+  const source = tasks.filter((t) => t.recurrence).at(-1) ?? (task.recurrence ? task : null);
+  const rule = source ? seriesRule(source) : null;
+  return {
+    seriesId,
+    rrule: rule ? formatRRule(rule) : null,
+    description: rule ? describeRecurrence(rule) : null,
+    timezone: rule?.timezone ?? null,
+    start: rule?.start ?? null,
+    instances: tasks.map(({ recurrence, ...t }) => ({ ...t, occurrenceDate: occurrenceOf(t), detached: !recurrence })),
+    upcoming: rule ? upcomingOccurrences(rule, occurrenceOf(source), limit) : [],
+    skipped: rule?.exdates ?? [],
+  };
+}
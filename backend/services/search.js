@@ -0,0 +1,142 @@
+import Comment from '../models/Comment.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import { projectVisibilityFilter, taskVisibilityFilter } from './access-policy.js';
+import { bestSnippet, rankResults, searchTerms } from '../utils/search.js';
+
+/**
+ * Database side of global search (query parsing and snippets live in utils/search.js).
+ */
+
+const SCORE = { score: { $meta: 'textScore' } };
+
+/** AND the non-null Mongo conditions together. */
+function _and(...conditions) {
+  const list = conditions.filter(Boolean);
+  return list.length > 1 ? { $and: list } : list[0] ?? {};
+}
+
+function _updatedBetween(from, to) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { updatedAt: range };
+}
+
+/** Conditions on tasks from the `project` and `status` filters, or null. */
+function _taskFilters({ project, statuses }) {
+  const filter = {};
+  if (project) filter.assignedProject = project;
+  if (statuses.length) filter.status = { $in: statuses };
+  return Object.keys(filter).length ? filter : null;
+}
+
+async function _searchTasks(params, scope, terms) {
+  const tasks = await Task.find(
+    _and({ $text: { $search: params.q } }, scope, _taskFilters(params), _updatedBetween(params.from, params.to)),
+    SCORE
+  )
+    .select('title description notes status assignedProject deadline updatedAt')
+    .populate('assignedProject', 'name')
+    .sort(SCORE)
+    .limit(params.limit)
+    .lean();
+
+  return tasks.map((t) => ({
+    type: 'task',
+    _id: t._id,
+    title: t.title,
+    score: t.score,
+    snippet: bestSnippet(t, ['title', 'description', 'notes'], terms),
+    project: t.assignedProject ?? null,
+    status: t.status,
+    deadline: t.deadline ?? null,
+    updatedAt: t.updatedAt,
+  }));
+}
+
+async function _searchProjects(params, user, terms) {
+  const projects = await Project.find(
+    _and(
+      { $text: { $search: params.q } },
+      projectVisibilityFilter(user),
+      params.project ? { _id: params.project } : null,
+      _updatedBetween(params.from, params.to)
+    ),
+    SCORE
+  )
+    .select('name description deadline updatedAt')
+    .sort(SCORE)
+    .limit(params.limit)
+    .lean();
+
+  return projects.map((p) => ({
+    type: 'project',
+    _id: p._id,
+    title: p.name,
+    score: p.score,
+    snippet: bestSnippet(p, ['name', 'description'], terms),
+    deadline: p.deadline ?? null,
+    updatedAt: p.updatedAt,
+  }));
+}
+
+async function _searchComments(params, scope, terms) {
+  // Comments are visible with their task, and the project/status filters apply to the task
+  const taskFilter = _and(scope, _taskFilters(params));
+  const taskIds = Object.keys(taskFilter).length ? await Task.find(taskFilter).distinct('_id') : null;
+  if (taskIds && !taskIds.length) return [];
+
+  const comments = await Comment.find(
+    _and(
+      { $text: { $search: params.q } },
+      taskIds ? { task: { $in: taskIds } } : null,
+      _updatedBetween(params.from, params.to)
+    ),
+    SCORE
+  )
+    .select('body task author updatedAt')
+    .populate({
+      path: 'task',
+      select: 'title status assignedProject',
+      populate: { path: 'assignedProject', select: 'name' },
+    })
+    .populate('author', 'name')
+    .sort(SCORE)
+    .limit(params.limit)
+    .lean();
+
+  return comments
+    .filter((c) => c.task)
+    .map((c) => ({
+      type: 'comment',
+      _id: c._id,
+      title: c.task.title,
+      score: c.score,
+      snippet: bestSnippet(c, ['body'], terms),
+      task: { _id: c.task._id, title: c.task.title },
+      project: c.task.assignedProject ?? null,
+      status: c.task.status,
+      author: c.author ?? null,
+      updatedAt: c.updatedAt,
+    }));
+}
+
+/**
+ * Search the tasks, projects and comments `user` may see for `params` (see
+ * parseSearchParams). Projects have no status, so a status filter leaves them out.
+ * Returns at most `params.limit` hits, best first, each with a highlighted snippet.
+ */
+export async function search(user, params) {
+  const terms = searchTerms(params.q);
+  const wants = (type) => params.types.includes(type);
+  const scope = wants('task') || wants('comment') ? await taskVisibilityFilter(user) : null;
+
+  const batches = await Promise.all([
+    wants('task') ? _searchTasks(params, scope, terms) : [],
+    wants('project') && !params.statuses.length ? _searchProjects(params, user, terms) : [],
+    wants('comment') ? _searchComments(params, scope, terms) : [],
+  ]);
+  return rankResults(batches.flat(), params.limit);
+}
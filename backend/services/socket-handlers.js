@@ -0,0 +1,129 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import { canViewProject, canViewTask, projectVisibilityFilter } from './access-policy.js';
+import { getUnreadNotifications, markNotificationsAsRead } from './notification-service.js';
+import { projectRoom, taskRoom, userRoom } from './realtime.js';
+
+/**
+ * Socket.IO connections: a handshake must carry a valid access token, and each socket
+ * joins the rooms described in services/realtime.js. A socket is dropped when its token
+ * expires; the client reconnects with a fresh one, which also re-checks its rooms.
+ */
+
+// Read lazily so dotenv has populated the env first (as in middleware/auth.js)
+const getAccessSecret = () => process.env.JWT_SECRET ?? 'dev_secret_change_me';
+// setTimeout's longest delay; a later expiry just reconnects early
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function verifyToken(token) {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, getAccessSecret());
+  } catch {
+    return null;
+  }
+}
+
+const userOf = (payload) => ({ _id: payload.sub, id: payload.sub, role: payload.role, department: payload.department ?? null });
+
+/** The user an access token belongs to (the shape of `req.user`), or null. */
+export function userFromToken(token) {
+  const payload = verifyToken(token);
+  return payload ? userOf(payload) : null;
+}
+
+/** Socket.IO middleware: refuse handshakes without a valid access token. */
+export function authenticateSocket(socket, next) {
+  const header = socket.handshake?.headers?.authorization ?? '';
+  const token = socket.handshake?.auth?.token ?? (header.startsWith('Bearer ') ? header.slice(7) : null);
+  const payload = verifyToken(token);
+  if (!payload) return next(new Error('Unauthorized'));
+  socket.data.user = userOf(payload);
+  socket.data.expiresAt = payload.exp ? payload.exp * 1000 : null;
+  next();
+}
+
+/** Join the user's own room and the rooms of the projects they can see. */
+export async function joinUserRooms(socket) {
+  const { user } = socket.data;
+  const filter = projectVisibilityFilter(user);
+  const projects = await Project.find(filter ?? {}).select('_id').lean();
+  await socket.join([userRoom(user.id), ...projects.map((p) => projectRoom(p._id))]);
+}
+
+/**
+ * Take the sockets of `userIds` out of `project`'s room unless they can still see it,
+ * e.g. after they were removed from its team.
+ */
+export async function leaveProjectRoom(io, userIds, project) {
+  const rooms = userIds.filter(Boolean).map(userRoom);
+  if (!rooms.length || !io?.in) return;
+  const sockets = await io.in(rooms).fetchSockets();
+  for (const socket of sockets) {
+    if (!canViewProject(socket.data.user, project)) socket.leave(projectRoom(project._id));
+  }
+}
+
+const _ack = (ack, body) => (typeof ack === 'function' ? ack(body) : undefined);
+
+/**
+ * `handler` with its failures logged and, when the client sent an ack (always the last
+ * argument), answered with an error, instead of left as unhandled rejections.
+ */
+const guarded = (event, handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (err) {
+    console.error(`[socket] ${event} failed:`, err?.message || err);
+    _ack(args.at(-1), { error: 'Request failed' });
+  }
+};
+
+/** The handlers of one authenticated socket. */
+export function handleConnection(socket) {
+  const { user, expiresAt } = socket.data;
+
+  if (expiresAt) {
+    const timer = setTimeout(() => socket.disconnect(true), Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_MS));
+    socket.on('disconnect', () => clearTimeout(timer));
+  }
+
+  // Notifications are always the caller's own, whatever id the client sends
+  socket.on('getUnreadNotifications', guarded('getUnreadNotifications', async () => {
+    socket.emit('unreadNotifications', await getUnreadNotifications(user.id));
+  }));
+
+  socket.on('markNotificationsRead', guarded('markNotificationsRead', async (notificationIds) => {
+    if (!Array.isArray(notificationIds)) return;
+    await markNotificationsAsRead(notificationIds, user.id);
+  }));
+
+  socket.on('task:view', guarded('task:view', async (taskId, ack) => {
+    if (!mongoose.Types.ObjectId.isValid(String(taskId))) return _ack(ack, { error: 'Invalid task ID' });
+    const task = await Task.findById(taskId).select('createdBy assignedTeamMembers assignedProject').lean();
+    if (!task || !(await canViewTask(user, task))) return _ack(ack, { error: 'Task not found' });
+    await socket.join(taskRoom(taskId));
+    _ack(ack, { ok: true });
+  }));
+
+  socket.on('task:leave', guarded('task:leave', async (taskId, ack) => {
+    await socket.leave(taskRoom(taskId));
+    _ack(ack, { ok: true });
+  }));
+
+  return joinUserRooms(socket);
+}
+
+/** Authenticate every connection and set up its rooms and handlers. */
+export function attachSocketHandlers(io) {
+  io.use(authenticateSocket);
+  io.on('connection', async (socket) => {
+    try {
+      await handleConnection(socket);
+    } catch (err) {
+      console.error('[socket] setting up rooms failed:', err);
+    }
+  });
+}
@@ -0,0 +1,144 @@
+import Task from '../models/Task.js';
+import { isDone } from '../utils/workflow.js';
+import { taskVisibilityFilter } from './access-policy.js';
+
+/**
+ * Task dependency helpers (finish-to-start with optional lag).
+ *
+ * A dependency lives on the dependent task as `blockedBy: [{ task, type, lagMinutes }]`;
+ * the reverse "blocks" side is found by querying `blockedBy.task`.
+ */
+
+const BLOCKER_FIELDS = 'title status statusCategory deadline startAt blockedBy createdBy assignedTeamMembers assignedProject';
+const MINUTE_MS = 60 * 1000;
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** Convert incoming blockedBy (array | JSON string | CSV of ids) to [{ task, type, lagMinutes }] */
+export function coerceDependencies(input) {
+  if (input == null || input === '') return [];
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      input = input.split(',').map(s => s.trim()).filter(Boolean);
+    }
+  }
+  const arr = Array.isArray(input) ? input : [input];
+
+  const byTask = new Map();
+  for (const entry of arr) {
+    const raw = typeof entry === 'object' && entry !== null ? entry : { task: entry };
+    const task = idOf(raw.task);
+    if (!task) continue;
+    const lag = Number(raw.lagMinutes);
+    byTask.set(task, {
+      task,
+      type: 'FS',
+      lagMinutes: Number.isFinite(lag) && lag > 0 ? Math.trunc(lag) : 0,
+    });
+  }
+  return [...byTask.values()];
+}
+
+/** Load the blocker tasks referenced by `dependencies`, in the same order. Missing ids are omitted. */
+export async function loadBlockers(dependencies) {
+  if (!dependencies.length) return [];
+  const docs = await Task.find({ _id: { $in: dependencies.map(d => d.task) } })
+    .select(BLOCKER_FIELDS)
+    .lean();
+  const byId = new Map(docs.map(d => [idOf(d), d]));
+  return dependencies.map(d => byId.get(d.task)).filter(Boolean);
+}
+
+/**
+ * Walks the blockedBy graph upwards from `blockerIds`. If it reaches `taskId`,
+ * adding those blockers would close a loop; returns the loop as a list of ids
+ * starting and ending at `taskId`, otherwise null.
+ */
+export async function findDependencyCycle(taskId, blockerIds) {
+  const target = idOf(taskId);
+  const parentOf = new Map(); // blocker id -> the id that depends on it
+  let frontier = [];
+
+  for (const id of blockerIds.map(idOf)) {
+    if (id === target) return [target, target];
+    if (!parentOf.has(id)) {
+      parentOf.set(id, target);
+      frontier.push(id);
+    }
+  }
+
+  while (frontier.length) {
+    const docs = await Task.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    const next = [];
+    for (const doc of docs) {
+      for (const dep of doc.blockedBy || []) {
+        const id = idOf(dep.task);
+        if (id === target) {
+          const path = [target];
+          for (let cur = idOf(doc); cur !== target; cur = parentOf.get(cur)) path.push(cur);
+          path.push(target);
+          return path.reverse();
+        }
+        if (!parentOf.has(id)) {
+          parentOf.set(id, idOf(doc));
+          next.push(id);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+/**
+ * Scheduling check for a dependent starting at `startAt`: one warning per blocker
+ * whose deadline (plus lag) falls after that start.
+ */
+export function scheduleWarnings(startAt, dependencies, blockers) {
+  if (!startAt) return [];
+  const start = new Date(startAt);
+  const byId = new Map(blockers.map(b => [idOf(b), b]));
+
+  const warnings = [];
+  for (const dep of dependencies) {
+    const blocker = byId.get(idOf(dep.task));
+    if (!blocker?.deadline) continue;
+    const earliestStart = new Date(new Date(blocker.deadline).getTime() + (dep.lagMinutes || 0) * MINUTE_MS);
+    if (start < earliestStart) {
+      warnings.push({
+        task: idOf(blocker),
+        title: blocker.title,
+        earliestStart,
+        message: `Starts before blocker "${blocker.title}" is due (${earliestStart.toISOString()})`,
+      });
+    }
+  }
+  return warnings;
+}
+
+/** Blockers that are not finished yet, in the shape returned to clients. */
+export function openBlockers(blockers) {
+  return blockers
+    .filter(b => !isDone(b))
+    .map(b => ({ _id: b._id, title: b.title, status: b.status, deadline: b.deadline ?? null }));
+}
+
+/** Tasks that list `taskId` as a blocker, among those `user` may see. */
+export async function findDependents(taskId, user) {
+  const filter = { 'blockedBy.task': idOf(taskId) };
+  const visibility = await taskVisibilityFilter(user);
+  return Task.find(visibility ? { $and: [filter, visibility] } : filter)
+    .select('title status statusCategory deadline startAt assignedProject')
+    .lean();
+}
+
+/** Drop every dependency pointing at the given tasks (used when they are deleted). */
+export function removeDependencyLinks(taskIds) {
+  const ids = taskIds.map(idOf);
+  return Task.updateMany(
+    { 'blockedBy.task': { $in: ids } },
+    { $pull: { blockedBy: { task: { $in: ids } } } }
+  );
+}
@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import Task, { DEFAULT_REMINDERS_MIN } from '../models/Task.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import { canViewProject } from './access-policy.js';
+import { rankCounter } from './board.js';
+import { inTransaction } from './bulk-tasks.js';
+import { coerceRule, describeRecurrence } from '../utils/recurrence.js';
+import { initialStatus, resolveStatus, workflowOf } from '../utils/workflow.js';
+
+/**
+ * Task import (POST /api/tasks/import). Rows parsed from a file (see
+ * utils/task-import.js) are checked against the same rules as POST /api/tasks: a
+ * project the importer can see, a status in its workflow, known assignees and a valid
+ * recurrence. Nothing is written unless every row passes; the tasks are then created
+ * in one transaction.
+ */
+
+const PROJECT_FIELDS = 'name createdBy teamMembers department workflow';
+const MAX_TITLE_LENGTH = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Projects named in the rows, by lower-cased name: the ones the user can see. */
+async function _projectsByName(user, rows) {
+  const names = [...new Set(rows.map((r) => r.values.project).filter(Boolean))];
+  if (!names.length) return new Map();
+  const found = await Project.find({ name: { $in: names.map((n) => new RegExp(`^${escapeRegex(n)}$`, 'i')) } })
+    .select(PROJECT_FIELDS)
+    .lean();
+  const byName = new Map();
+  for (const project of found.filter((p) => canViewProject(user, p))) {
+    const key = project.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) ?? []), project]);
+  }
+  return byName;
+}
+
+/** Users with the rows' assignee emails, by email. */
+async function _usersByEmail(rows) {
+  const emails = [...new Set(rows.flatMap((r) => r.values.assignees))];
+  if (!emails.length) return new Map();
+  const users = await User.find({ email: { $in: emails } }).select('name email').lean();
+  return new Map(users.map((u) => [u.email, u]));
+}
+
+/** The row's status in `workflow`: the one named, the first in its category, or the initial one. */
+function _status(workflow, { status, statusCategory }) {
+  if (status) {
+    const match = workflow.statuses.find((s) => s.name.toLowerCase() === status.toLowerCase());
+    return resolveStatus(workflow, match?.name ?? status);
+  }
+  const inCategory = statusCategory && workflow.statuses.find((s) => s.category === statusCategory);
+  return resolveStatus(workflow, inCategory?.name ?? initialStatus(workflow));
+}
+
+/** The Task document for one row, or its errors. */
+async function _plan(row, { defaultProject, projects, users, userId, nextRank, now }) {
+  const { values } = row;
+  const errors = [...row.errors];
+  const fail = (field, error) => errors.push({ field, error });
+
+  if (!values.title) fail('title', 'Title is required');
+  else if (values.title.length > MAX_TITLE_LENGTH) fail('title', `Title is longer than ${MAX_TITLE_LENGTH} characters`);
+
+  let project = defaultProject;
+  if (values.project) {
+    const matches = projects.get(values.project.toLowerCase()) ?? [];
+    if (matches.length > 1) fail('project', `More than one project is called '${values.project}'`);
+    else if (!matches.length) fail('project', `No project called '${values.project}' that you can see`);
+    else project = matches[0];
+  } else if (!project) {
+    fail('project', 'Project is required');
+  }
+
+  const workflow = workflowOf(project);
+  const status = project ? _status(workflow, values) : null;
+  if (status?.error) fail('status', status.error.body.error);
+
+  const assignees = [];
+  for (const email of values.assignees) {
+    const user = users.get(email);
+    if (user) assignees.push(user);
+    else fail('assignees', `No user with email ${email}`);
+  }
+
+  let recurrence = null;
+  if (values.recurrence) {
+    const { rule, error } = coerceRule(values.recurrence);
+    if (error) fail('recurrence', error);
+    else if (!values.deadline) fail('recurrence', 'A deadline is required when recurrence is enabled.');
+    else {
+      const exdates = (values.recurrence.exdates ?? []).filter((d) => d > values.deadline);
+      recurrence = { ...rule, start: values.deadline, ...(exdates.length ? { exdates } : {}) };
+    }
+  }
+
+  if (errors.length) return { errors };
+
+  const startAt = values.startAt ?? now;
+  let endAt = values.deadline ?? new Date(startAt.getTime() + HOUR_MS);
+  if (endAt < startAt) endAt = new Date(startAt.getTime() + HOUR_MS);
+  const _id = new mongoose.Types.ObjectId();
+
+  return {
+    project,
+    assignees,
+    task: {
+      _id,
+      title: values.title,
+      description: values.description,
+      notes: values.notes,
+      assignedProject: project._id,
+      assignedTeamMembers: assignees.map((u) => u._id),
+      status: status.status,
+      statusCategory: status.statusCategory,
+      rank: await nextRank(project._id, status.status),
+      completedAt: status.statusCategory === 'done' ? now : undefined,
+      priority: values.priority ?? undefined,
+      deadline: values.deadline,
+      createdBy: userId,
+      allDay: values.allDay,
+      startAt,
+      endAt,
+      reminderOffsets: values.deadline ? DEFAULT_REMINDERS_MIN : [],
+      recurrence,
+      seriesId: recurrence ? _id : null,
+      occurrenceDate: recurrence ? values.deadline : null,
+    },
+  };
+}
+
+/**
+ * Check parsed rows for `user`. Rows without a project go to `projectId` when given.
+ * Returns `{ creates, errors }`: a `{ row, task, project, assignees }` per row that
+ * passes, and a `{ row, field, error }` per problem. A problem with `projectId` itself
+ * is returned as `{ status, error }`.
+ */
+export async function planImport(user, rows, { projectId = null, now = new Date() } = {}) {
+  let defaultProject = null;
+  if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(String(projectId))) return { status: 400, error: 'Invalid project ID' };
+    defaultProject = await Project.findById(projectId).select(PROJECT_FIELDS).lean();
+    if (!defaultProject) return { status: 404, error: 'Project not found' };
+    if (!canViewProject(user, defaultProject)) return { status: 403, error: 'You are not a member of this project' };
+  }
+
+  const [projects, users] = await Promise.all([_projectsByName(user, rows), _usersByEmail(rows)]);
+  const ctx = { defaultProject, projects, users, userId: user.id ?? user._id, nextRank: rankCounter(), now };
+
+  const creates = [];
+  const errors = [];
+  for (const row of rows) {
+    const planned = await _plan(row, ctx);
+    if (planned.errors) errors.push(...planned.errors.map((e) => ({ row: row.row, ...e })));
+    else creates.push({ row: row.row, ...planned });
+  }
+  return { creates, errors };
+}
+
+/** A planned task as the dry run shows it. */
+export function previewCreate({ row, task, project, assignees }) {
+  return {
+    row,
+    title: task.title,
+    project: { _id: project._id, name: project.name },
+    assignees: assignees.map((u) => ({ _id: u._id, name: u.name, email: u.email })),
+    status: task.status,
+    priority: task.priority ?? null,
+    deadline: task.deadline,
+    startAt: task.startAt,
+    allDay: task.allDay,
+    recurrence: task.recurrence ? describeRecurrence(task.recurrence) : null,
+  };
+}
+
+/** Create the planned tasks, all or nothing. Resolves to the created tasks. */
+export async function applyImport(creates) {
+  let created = [];
+  await inTransaction(async (session) => {
+    created = await Task.insertMany(creates.map((c) => c.task), { session });
+  });
+  return created.map((doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc));
+}
@@ -0,0 +1,135 @@
+import Label from '../models/Label.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { recordActivity } from './activity-log.js';
+import { RANK_STEP } from '../utils/board.js';
+import { findStatus, initialStatus, workflowOf } from '../utils/workflow.js';
+import { planTemplate, templateFromProject, templateLabelIds } from '../utils/templates.js';
+
+/**
+ * Database side of project templates (validation and date maths live in utils/templates.js).
+ */
+
+const CAPTURE_FIELDS =
+  'title description notes priority startAt deadline parentTask assignedTeamMembers reminderOffsets recurrence estimateMinutes labels';
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** The organisation-wide labels among `ids`, as a Set of id strings. */
+async function _orgLabels(ids) {
+  if (!ids.length) return new Set();
+  const found = await Label.find({ _id: { $in: ids }, project: null }).distinct('_id');
+  return new Set(found.map(String));
+}
+
+/** Error message when the template uses a label that is missing or not organisation-wide, otherwise null. */
+export async function checkTemplateLabels(template) {
+  const ids = templateLabelIds(template);
+  const org = await _orgLabels(ids);
+  return ids.every((id) => org.has(id)) ? null : 'Templates can only use organisation-wide labels';
+}
+
+/** The template fields for an existing project (a lean document) and its tasks. */
+export async function captureProject(project) {
+  const tasks = await Task.find({ assignedProject: project._id })
+    .select(CAPTURE_FIELDS)
+    .populate('assignedTeamMembers', 'role')
+    .sort({ createdAt: 1 })
+    .lean();
+  const keepLabels = await _orgLabels([
+    ...(project.labels ?? []).map(idOf),
+    ...tasks.flatMap((t) => (t.labels ?? []).map(idOf)),
+  ]);
+  return templateFromProject(project, tasks, { keepLabels });
+}
+
+/**
+ * Create a project and its whole task tree from `template`, dated from `start`
+ * (see parseStartDate). `overrides` may set the new project's name, description,
+ * department and teamMembers. Tasks go to the members (creator included) whose role
+ * is one of their `assigneeRoles`. Labels deleted since the template was saved are
+ * skipped. If anything fails, whatever was created is removed again.
+ * Returns `{ project, tasks }`.
+ */
+export async function instantiateTemplate(template, start, { creator, overrides = {} }) {
+  const plan = planTemplate(template, start);
+  const teamMembers = overrides.teamMembers ?? [];
+
+  const [labels, users] = await Promise.all([
+    _orgLabels(templateLabelIds(template)),
+    User.find({ _id: { $in: [...new Set([...teamMembers, idOf(creator)])] } }).select('role').lean(),
+  ]);
+  const membersByRole = new Map();
+  for (const u of users) {
+    membersByRole.set(u.role, [...(membersByRole.get(u.role) ?? []), u._id]);
+  }
+
+  const project = await Project.create({
+    name: overrides.name || plan.project.name,
+    description: overrides.description ?? plan.project.description,
+    department: overrides.department ?? [],
+    teamMembers,
+    deadline: plan.project.deadline,
+    workflow: plan.project.workflow,
+    labels: plan.project.labels.filter((id) => labels.has(id)),
+    createdBy: creator,
+  });
+
+  const tasks = [];
+  try {
+    const workflow = workflowOf(project);
+    const initial = findStatus(workflow, initialStatus(workflow));
+    const taskIds = new Map();
+    let rank = 0;
+    for (const t of plan.tasks) {
+      const parentTask = t.parentKey === null ? null : taskIds.get(t.parentKey);
+      const task = await Task.create({
+        title: t.title,
+        description: t.description,
+        notes: t.notes,
+        parentTask,
+        assignedProject: project._id,
+        assignedTeamMembers: t.assigneeRoles.flatMap((role) => membersByRole.get(role) ?? []),
+        status: initial.name,
+        statusCategory: initial.category,
+        // Top-level tasks line up on the board in template order
+        rank: parentTask ? null : (rank += RANK_STEP),
+        priority: t.priority,
+        deadline: t.deadline,
+        createdBy: creator,
+        startAt: t.startAt,
+        endAt: t.endAt,
+        reminderOffsets: t.reminderOffsets,
+        recurrence: t.recurrence,
+        estimateMinutes: t.estimateMinutes,
+        remainingMinutes: t.estimateMinutes,
+        labels: t.labels.filter((id) => labels.has(id)),
+      });
+      taskIds.set(t.key, task._id);
+      tasks.push(task);
+    }
+  } catch (e) {
+    await Task.deleteMany({ assignedProject: project._id });
+    await Project.deleteOne({ _id: project._id });
+    throw e;
+  }
+
+  await recordActivity({
+    entityType: 'Project',
+    entityId: project._id,
+    project: project._id,
+    action: 'created',
+    actor: creator,
+  });
+  await Promise.all(tasks.map((task) => recordActivity({
+    entityType: 'Task',
+    entityId: task._id,
+    task: task._id,
+    project: project._id,
+    action: 'created',
+    actor: creator,
+  })));
+
+  return { project, tasks };
+}
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { elapsedMinutes } from '../utils/time-tracking.js';
+
+/**
+ * Database side of time tracking (parsing and grouping live in utils/time-tracking.js).
+ * Logging time burns down the task's remaining estimate, never below zero.
+ */
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** Move `remainingMinutes` by `-minutes` (or back up for a negative value) when it is set. */
+function burnRemaining(taskId, minutes) {
+  return Task.updateOne({ _id: taskId, remainingMinutes: { $ne: null } }, [
+    { $set: { remainingMinutes: { $max: [0, { $subtract: ['$remainingMinutes', minutes] }] } } },
+  ]);
+}
+
+/** The caller's running timer, if any. */
+export function findRunningTimer(userId) {
+  return TimeEntry.findOne({ user: userId, endedAt: null });
+}
+
+async function closeTimer(entry, now) {
+  entry.endedAt = now;
+  entry.minutes = elapsedMinutes(entry.startedAt, now);
+  await entry.save();
+  await burnRemaining(entry.task, entry.minutes);
+  return entry;
+}
+
+/**
+ * Start a timer on `task` for `userId`. A timer already running on another task is
+ * stopped first (one at a time). Returns `{ entry, stopped }`, or `{ entry: null, running }`
+ * when this task's timer is already running, or a concurrent start won the race.
+ */
+export async function startTimer(task, userId, now = new Date()) {
+  const running = await findRunningTimer(userId);
+  if (running && idOf(running.task) === idOf(task)) return { entry: null, running };
+
+  const stopped = running ? await closeTimer(running, now) : null;
+  try {
+    const entry = await TimeEntry.create({
+      task: task._id,
+      project: task.assignedProject ?? null,
+      user: userId,
+      source: 'timer',
+      startedAt: now,
+    });
+    return { entry, stopped };
+  } catch (err) {
+    // The one-running-timer index: another start got in first
+    if (err?.code !== 11000) throw err;
+    return { entry: null, running: await findRunningTimer(userId) };
+  }
+}
+
+/** Stop the caller's timer on `taskId`. Returns the closed entry, or null when none runs. */
+export async function stopTimer(taskId, userId, now = new Date()) {
+  const running = await TimeEntry.findOne({ task: taskId, user: userId, endedAt: null });
+  return running ? closeTimer(running, now) : null;
+}
+
+/** Record a manual entry (already validated by `manualEntry`). */
+export async function logTime(task, userId, { minutes, startedAt, endedAt, note }) {
+  const entry = await TimeEntry.create({
+    task: task._id,
+    project: task.assignedProject ?? null,
+    user: userId,
+    source: 'manual',
+    startedAt,
+    endedAt,
+    minutes,
+    note,
+  });
+  await burnRemaining(task._id, minutes);
+  return entry;
+}
+
+/** Delete an entry and give its minutes back to the remaining estimate. */
+export async function deleteEntry(entry) {
+  await TimeEntry.deleteOne({ _id: entry._id });
+  if (entry.endedAt && entry.minutes) await burnRemaining(entry.task, -entry.minutes);
+}
+
+/**
+ * Everything the task modal shows: estimates, total logged, a per-person breakdown,
+ * the entries themselves (newest first) and the caller's running timer on this task.
+ */
+export async function taskTimeSummary(taskId, userId) {
+  const [task, entries] = await Promise.all([
+    Task.findById(taskId).select('estimateMinutes remainingMinutes').lean(),
+    TimeEntry.find({ task: taskId }).sort({ startedAt: -1 }).populate('user', 'name email').lean(),
+  ]);
+
+  const byUser = new Map();
+  let loggedMinutes = 0;
+  let running = null;
+  for (const e of entries) {
+    if (!e.endedAt) {
+      if (idOf(e.user) === idOf(userId)) running = e;
+      continue;
+    }
+    loggedMinutes += e.minutes;
+    const key = idOf(e.user);
+    const row = byUser.get(key) ?? { user: e.user, minutes: 0 };
+    row.minutes += e.minutes;
+    byUser.set(key, row);
+  }
+
+  return {
+    estimateMinutes: task?.estimateMinutes ?? null,
+    remainingMinutes: task?.remainingMinutes ?? null,
+    loggedMinutes,
+    byUser: [...byUser.values()].sort((a, b) => b.minutes - a.minutes),
+    running,
+    entries,
+  };
+}
+
+/** Closed entries starting in [from, to) that match `filter`, with user and project names. */
+export function findTimesheetEntries(filter, from, to) {
+  return TimeEntry.find({ ...filter, endedAt: { $ne: null }, startedAt: { $gte: from, $lt: to } })
+    .populate('user', 'name email')
+    .populate('project', 'name')
+    .lean();
+}
+
+/** Map of userId -> minutes logged on any of `taskIds`, leaving out tasks in the trash. */
+export async function loggedMinutesByUser(taskIds) {
+  if (!taskIds.length) return new Map();
+  // Entries stay with a trashed task until it is purged; distinct only returns live tasks
+  const live = await Task.distinct('_id', { _id: { $in: taskIds.map(idOf) } });
+  if (!live.length) return new Map();
+  const rows = await TimeEntry.aggregate([
+    {
+      $match: {
+        task: { $in: live.map((id) => new mongoose.Types.ObjectId(idOf(id))) },
+        endedAt: { $ne: null },
+      },
+    },
+    { $group: { _id: '$user', minutes: { $sum: '$minutes' } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.minutes]));
+}
+
+/** Remove the time logged on deleted tasks. */
+export function removeTaskEntries(taskIds) {
+  return TimeEntry.deleteMany({ task: { $in: taskIds } });
+}
@@ -0,0 +1,255 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+import Attachment from '../models/Attachment.js';
+import Notification from '../models/Notification.js';
+import PersonalReminder from '../models/PersonalReminder.js';
+import SavedView from '../models/SavedView.js';
+import { removeDependencyLinks } from './task-dependencies.js';
+import { removeTaskEntries } from './time-tracking.js';
+import { removeProjectLabels } from './labels.js';
+import { RESTORED_FIELDS, purgeCutoff, purgeDate, trashRetentionDays, trashedFields } from '../utils/trash.js';
+
+/**
+ * Trash: soft deletion, restore and purge of tasks, projects and comments.
+ *
+ * Deleting stamps the item and everything that goes with it (a task's subtasks, a
+ * project's tasks) with the same `deletion` id (see models/plugins/soft-delete.js), so
+ * restoring brings back exactly that batch. Comments and attachments of a trashed task
+ * are hidden with it and only removed when the task is purged.
+ */
+
+const MODELS = { task: Task, project: Project, comment: Comment };
+const TRASHED = { deletedAt: { $ne: null } };
+// The items users deleted themselves, as opposed to those trashed along with them
+const ROOTS = { ...TRASHED, $expr: { $eq: ['$deletion', '$_id'] } };
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** Live subtasks of `rootIds`, at any depth. */
+async function _liveSubtaskIds(rootIds, session = null) {
+  const ids = [];
+  let parents = rootIds;
+  while (parents.length) {
+    parents = await Task.find({ parentTask: { $in: parents } }).session(session).distinct('_id');
+    ids.push(...parents);
+  }
+  return ids;
+}
+
+/** Trashed subtasks of `rootIds`, at any depth (purged along with their parent). */
+async function _trashedSubtaskIds(rootIds) {
+  const ids = [];
+  let parents = rootIds;
+  while (parents.length) {
+    parents = await Task.find({ ...TRASHED, parentTask: { $in: parents } }).distinct('_id');
+    ids.push(...parents);
+  }
+  return ids;
+}
+
+/** Move a task and its subtasks to the trash (within `session`, if given). Returns the ids trashed. */
+export async function trashTask(task, userId, now = new Date(), session = null) {
+  const ids = [task._id, ...(await _liveSubtaskIds([task._id], session))];
+  await Task.updateMany(
+    { _id: { $in: ids }, deletedAt: null },
+    { $set: trashedFields(task._id, userId, now) },
+    { session }
+  );
+  return ids;
+}
+
+/** Move a project and all of its tasks to the trash. */
+export async function trashProject(project, userId, now = new Date()) {
+  const fields = trashedFields(project._id, userId, now);
+  await Project.updateOne({ _id: project._id, deletedAt: null }, { $set: fields });
+  await Task.updateMany({ assignedProject: project._id, deletedAt: null }, { $set: fields });
+}
+
+/** Move a comment, and its replies when it starts a thread, to the trash. */
+export function trashComment(comment, userId, now = new Date()) {
+  return Comment.updateMany(
+    { $or: [{ _id: comment._id }, { parent: comment._id }], deletedAt: null },
+    { $set: trashedFields(comment._id, userId, now) }
+  );
+}
+
+/** An item in the trash that was deleted directly (not along with its parent), or null. */
+export function findTrashed(type, id) {
+  return MODELS[type].findOne({ _id: id, ...ROOTS }).lean();
+}
+
+/**
+ * Why a trashed item can't be restored yet, or null: its parent task, project or
+ * task (for a comment) is itself in the trash and must be restored first.
+ */
+export async function restoreBlocker(type, item) {
+  if (type === 'comment') {
+    if (await Task.exists({ _id: item.task, ...TRASHED })) return 'Restore the task this comment is on first';
+    if (item.parent && (await Comment.exists({ _id: item.parent, ...TRASHED }))) {
+      return 'Restore the comment this replies to first';
+    }
+    return null;
+  }
+  if (type === 'task') {
+    if (item.parentTask && (await Task.exists({ _id: item.parentTask, ...TRASHED }))) {
+      return 'Restore the parent task first';
+    }
+    if (item.assignedProject && (await Project.exists({ _id: item.assignedProject, ...TRASHED }))) {
+      return 'Restore the project first';
+    }
+  }
+  return null;
+}
+
+/** Restore a trashed item and everything deleted along with it. */
+export async function restoreItem(type, item) {
+  const restore = (Model) => Model.updateMany({ deletion: item._id, ...TRASHED }, { $set: RESTORED_FIELDS });
+  await restore(MODELS[type]);
+  if (type === 'project') await restore(Task);
+}
+
+/** Remove tasks for good, with their trashed subtasks, attachments, comments, notifications and reminders. */
+export async function purgeTasks(taskIds) {
+  if (!taskIds.length) return 0;
+  const ids = [...taskIds, ...(await _trashedSubtaskIds(taskIds))];
+  await Promise.all([
+    Attachment.deleteMany({ task: { $in: ids } }),
+    Comment.deleteMany({ task: { $in: ids } }),
+    Notification.deleteMany({ taskId: { $in: ids } }),
+    PersonalReminder.deleteMany({ task: { $in: ids } }),
+    removeTaskEntries(ids),
+    removeDependencyLinks(ids),
+  ]);
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+}
+
+/** Remove projects for good, with their (trashed) tasks, own labels and saved views. */
+export async function purgeProjects(projectIds) {
+  if (!projectIds.length) return 0;
+  await purgeTasks(await Task.find({ ...TRASHED, assignedProject: { $in: projectIds } }).distinct('_id'));
+  for (const id of projectIds) await removeProjectLabels(id);
+  await SavedView.deleteMany({ project: { $in: projectIds } });
+  const { deletedCount } = await Project.deleteMany({ _id: { $in: projectIds } });
+  return deletedCount;
+}
+
+export async function purgeComments(commentIds) {
+  if (!commentIds.length) return 0;
+  await Notification.deleteMany({ commentId: { $in: commentIds } });
+  const { deletedCount } = await Comment.deleteMany({ _id: { $in: commentIds } });
+  return deletedCount;
+}
+
+const PURGE = { task: purgeTasks, project: purgeProjects, comment: purgeComments };
+
+/** Delete a trashed item, and everything deleted along with it, for good. */
+export async function purgeItem(type, item) {
+  const ids = await MODELS[type].find({ deletion: item._id, ...TRASHED }).distinct('_id');
+  return PURGE[type](ids);
+}
+
+/** Purge everything that has been in the trash longer than the retention window. */
+export async function purgeExpiredTrash(now = new Date(), days = trashRetentionDays()) {
+  const expired = { deletedAt: { $ne: null, $lte: purgeCutoff(now, days) } };
+  // Projects first: purging one also purges its tasks
+  const projects = await purgeProjects(await Project.find(expired).distinct('_id'));
+  const tasks = await purgeTasks(await Task.find(expired).distinct('_id'));
+  const comments = await purgeComments(await Comment.find(expired).distinct('_id'));
+  return { projects, tasks, comments };
+}
+
+/** `find` over live and trashed documents alike. */
+async function _findAny(Model, filter, fields) {
+  const [live, trashed] = await Promise.all([
+    Model.find(filter).select(fields).lean(),
+    Model.find({ ...filter, ...TRASHED }).select(fields).lean(),
+  ]);
+  return [...live, ...trashed];
+}
+
+const _byId = (docs) => new Map(docs.map((d) => [idOf(d), d]));
+
+/**
+ * The trash as one list, newest first: what `userId` deleted, or with `project`,
+ * everything deleted in that project. Each item is `{ _id, type, title, project,
+ * task, deletedAt, deletedBy, purgeAt, includes }` plus the fields the access checks
+ * need; `includes` counts what was deleted along with it.
+ */
+export async function listTrash({ userId, project = null }, days = trashRetentionDays()) {
+  let scope;
+  let commentScope;
+  if (project) {
+    const taskIds = (await _findAny(Task, { assignedProject: project }, '_id')).map((t) => t._id);
+    scope = { assignedProject: project };
+    commentScope = { task: { $in: taskIds } };
+  } else {
+    scope = { deletedBy: userId };
+    commentScope = scope;
+  }
+
+  const [tasks, projects, comments] = await Promise.all([
+    Task.find({ ...ROOTS, ...scope })
+      .select('title assignedProject parentTask createdBy deletedAt deletedBy')
+      .populate('deletedBy', 'name')
+      .lean(),
+    project
+      ? []
+      : Project.find({ ...ROOTS, ...scope })
+        .select('name createdBy deletedAt deletedBy')
+        .populate('deletedBy', 'name')
+        .lean(),
+    Comment.find({ ...ROOTS, ...commentScope })
+      .select('body task author deletedAt deletedBy')
+      .populate('deletedBy', 'name')
+      .lean(),
+  ]);
+
+  // Names of the tasks and projects the items belonged to, which may be in the trash too
+  const parentTasks = _byId(await _findAny(Task, { _id: { $in: comments.map((c) => c.task) } }, 'title assignedProject'));
+  const projectIds = [...tasks.map((t) => t.assignedProject), ...[...parentTasks.values()].map((t) => t.assignedProject)];
+  const projectNames = _byId(await _findAny(Project, { _id: { $in: projectIds.filter(Boolean) } }, 'name'));
+  const projectRef = (id) => (id ? { _id: id, name: projectNames.get(idOf(id))?.name ?? null } : null);
+
+  // How many other tasks went with each deleted task or project
+  const rootIds = [...tasks, ...projects].map((d) => d._id);
+  const batch = rootIds.length
+    ? await Task.find({ ...TRASHED, deletion: { $in: rootIds } }).select('deletion').lean()
+    : [];
+  const includes = new Map();
+  for (const t of batch) {
+    const root = idOf(t.deletion);
+    if (root !== idOf(t)) includes.set(root, (includes.get(root) ?? 0) + 1);
+  }
+
+  const common = (d) => ({
+    deletedAt: d.deletedAt,
+    deletedBy: d.deletedBy,
+    purgeAt: purgeDate(d.deletedAt, days),
+    includes: includes.get(idOf(d)) ?? 0,
+  });
+  const items = [
+    ...tasks.map((t) => ({
+      ...t,
+      type: 'task',
+      title: t.title,
+      project: projectRef(t.assignedProject),
+      task: null,
+      ...common(t),
+    })),
+    ...projects.map((p) => ({ ...p, type: 'project', title: p.name, project: null, task: null, ...common(p) })),
+    ...comments.map((c) => {
+      const parent = parentTasks.get(idOf(c.task));
+      return {
+        ...c,
+        type: 'comment',
+        title: c.body,
+        project: projectRef(parent?.assignedProject),
+        task: { _id: c.task, title: parent?.title ?? null },
+        ...common(c),
+      };
+    }),
+  ];
+  return items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import {
+  coerceWebhook,
+  deliveryHeaders,
+  eventEnvelope,
+  generateSecret,
+  taskPayload,
+  truncateResponse,
+} from '../utils/webhooks.js';
+import { drainOutbox, retryDelay } from './outbox.js';
+
+/**
+ * Outgoing webhooks. Routes publish events where they already notify sockets;
+ * each subscribed webhook gets a WebhookDelivery that is sent straight away and,
+ * when that fails, retried with backoff by the `webhook-deliveries` job, the same
+ * way as the email outbox (see services/outbox.js).
+ */
+
+export const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+const deliveriesAvailable = () => mongoose.connection.readyState === 1;
+const validId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+// ===== Subscriptions =====
+
+export async function listWebhooks() {
+  return Webhook.find().sort({ createdAt: 1 }).lean();
+}
+
+/** Resolves to `{ webhook }` with its secret (the only time it is shown besides rotation), or `{ status, error }`. */
+export async function createWebhook(input, actor) {
+  const fields = coerceWebhook(input);
+  if (fields.error) return { status: 400, error: fields.error };
+  const doc = await Webhook.create({ secret: generateSecret(), ...fields, createdBy: actor });
+  return { webhook: doc.toObject() };
+}
+
+export async function updateWebhook(id, input) {
+  if (!validId(id)) return { status: 404, error: 'Webhook not found' };
+  const fields = coerceWebhook(input, { partial: true });
+  if (fields.error) return { status: 400, error: fields.error };
+  // Secrets change through rotation only
+  delete fields.secret;
+  if (!Object.keys(fields).length) return { status: 400, error: 'Nothing to change' };
+  const webhook = await Webhook.findByIdAndUpdate(id, { $set: fields }, { new: true, runValidators: true }).lean();
+  return webhook ? { webhook } : { status: 404, error: 'Webhook not found' };
+}
+
+/** A new secret for a webhook; deliveries are signed with it from now on. Resolves to null when there is no such webhook. */
+export async function rotateSecret(id) {
+  if (!validId(id)) return null;
+  const secret = generateSecret();
+  const webhook = await Webhook.findByIdAndUpdate(id, { $set: { secret } }, { new: true }).lean();
+  return webhook ? { ...webhook, secret } : null;
+}
+
+/** Remove a webhook and its delivery log. Resolves to false when there is no such webhook. */
+export async function deleteWebhook(id) {
+  if (!validId(id)) return false;
+  const { deletedCount } = await Webhook.deleteOne({ _id: id });
+  if (!deletedCount) return false;
+  await WebhookDelivery.deleteMany({ webhook: id });
+  return true;
+}
+
+// ===== Deliveries =====
+
+/** One attempt at a delivery; records the outcome on it. */
+async function attempt(delivery, webhook) {
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const headers = deliveryHeaders({
+    secret: webhook.secret,
+    event: delivery.event,
+    deliveryId: delivery._id,
+    timestamp: Math.floor(Date.now() / 1000),
+    body,
+  });
+
+  const started = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    if (!response.ok) error = `Receiver answered ${response.status}`;
+  } catch (err) {
+    error = err?.name === 'TimeoutError' ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000}s` : err?.message || String(err);
+  }
+
+  const outcome = {
+    attempts,
+    durationMs: Date.now() - started,
+    responseStatus: response?.status ?? null,
+    responseBody: response ? truncateResponse(await response.text().catch(() => null)) : null,
+    claimedAt: null,
+  };
+  if (!error) {
+    Object.assign(outcome, { status: 'succeeded', deliveredAt: new Date(), lastError: null, nextAttemptAt: null });
+  } else {
+    const giveUp = attempts >= delivery.maxAttempts;
+    Object.assign(outcome, {
+      status: giveUp ? 'failed' : 'queued',
+      lastError: error,
+      nextAttemptAt: giveUp ? null : new Date(Date.now() + retryDelay(attempts)),
+    });
+  }
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: outcome });
+  return { ...delivery, ...outcome };
+}
+
+const _logFailure = (delivery) => (err) =>
+  console.error('[webhooks] delivery', String(delivery._id), 'failed to record:', err?.message || err);
+
+/**
+ * Send `event` to every active webhook subscribed to it. Deliveries are recorded
+ * first and attempted in the background, so callers only wait for the log.
+ * Failures are logged rather than thrown: a webhook never fails the change it reports.
+ * Without a database connection (scripts, DB-less tests) nothing is sent.
+ */
+export async function publishEvent(event, data, { actor = null } = {}) {
+  if (!deliveriesAvailable()) return [];
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('+secret').lean();
+    if (!webhooks.length) return [];
+
+    const payload = eventEnvelope(event, data, { actor });
+    const now = new Date();
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map((w) => ({ webhook: w._id, event, eventId: payload.id, payload, status: 'sending', claimedAt: now }))
+    );
+    deliveries.forEach((d, i) => {
+      const delivery = d.toObject();
+      attempt(delivery, webhooks[i]).catch(_logFailure(delivery));
+    });
+    return deliveries;
+  } catch (err) {
+    console.error('[webhooks] failed to publish', event, err?.message || err);
+    return [];
+  }
+}
+
+/** `task.updated` for an audited change, plus `task.status_changed` when the status moved. */
+export async function publishTaskUpdate({ before, after, changes, actor = null }) {
+  if (!changes.length) return;
+  const task = taskPayload(after);
+  await publishEvent('task.updated', { task, changes }, { actor });
+  if (before.status !== after.status) {
+    await publishEvent('task.status_changed', { task, from: before.status, to: after.status }, { actor });
+  }
+}
+
+/** Retry queued deliveries that are due (run by the `webhook-deliveries` job). */
+export async function processWebhookDeliveries(now = new Date(), { limit = 50 } = {}) {
+  const counts = { succeeded: 0, retrying: 0, failed: 0 };
+  await drainOutbox(WebhookDelivery, now, { limit }, async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+    if (!webhook?.active) {
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'failed', claimedAt: null, nextAttemptAt: null, lastError: 'The webhook was disabled' } }
+      );
+      counts.failed++;
+      return;
+    }
+
+    const { status } = await attempt(delivery, webhook);
+    if (status === 'succeeded') counts.succeeded++;
+    else if (status === 'failed') counts.failed++;
+    else counts.retrying++;
+  });
+  return counts;
+}
+
+/**
+ * A webhook's delivery log, newest first. `before` pages back by creation time.
+ * Resolves to null when there is no such webhook.
+ */
+export async function listDeliveries(webhookId, { status, limit = 50, before } = {}) {
+  if (!validId(webhookId) || !(await Webhook.exists({ _id: webhookId }))) return null;
+  const filter = { webhook: webhookId };
+  if (status) filter.status = status;
+  if (before) filter.createdAt = { $lt: before };
+  return WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * Send a logged delivery's event again, as a new delivery with the same payload
+ * (and event id). Waits for the first attempt. Resolves to `{ delivery }` or `{ status, error }`.
+ */
+export async function redeliver(webhookId, deliveryId) {
+  if (!validId(webhookId) || !validId(deliveryId)) return { status: 404, error: 'Delivery not found' };
+  const original = await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhookId }).lean();
+  if (!original) return { status: 404, error: 'Delivery not found' };
+  const webhook = await Webhook.findById(webhookId).select('+secret').lean();
+  if (!webhook) return { status: 404, error: 'Webhook not found' };
+  if (!webhook.active) return { status: 409, error: 'The webhook is disabled' };
+
+  const doc = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    status: 'sending',
+    claimedAt: new Date(),
+    redeliveryOf: original._id,
+  });
+  return { delivery: await attempt(doc.toObject(), webhook) };
+}
@@ -0,0 +1,56 @@
+import Task from '../models/Task.js';
+import { DEFAULT_STATUS_CATEGORY, findStatus } from '../utils/workflow.js';
+
+/**
+ * Database side of task workflows (the rules themselves live in utils/workflow.js).
+ */
+
+/**
+ * Bring a project's tasks in line with a new workflow.
+ *
+ * `remap` maps removed status names to statuses in the new workflow. Returns
+ * `{ missing }` listing statuses still used by tasks that the new workflow neither
+ * keeps nor remaps (nothing is changed then), otherwise `{ updated }`.
+ */
+export async function migrateTasks(projectId, next, remap = {}) {
+  const inUse = await Task.distinct('status', { assignedProject: projectId });
+  const missing = inUse.filter(name => !findStatus(next, name) && !findStatus(next, remap[name]));
+  if (missing.length) return { missing };
+
+  let updated = 0;
+  for (const name of inUse) {
+    const target = findStatus(next, name) ?? findStatus(next, remap[name]);
+    const res = await Task.updateMany(
+      { assignedProject: projectId, status: name },
+      { $set: { status: target.name, statusCategory: target.category } }
+    );
+    updated += res.modifiedCount ?? 0;
+  }
+
+  // Keep completedAt in step with categories that changed
+  await Task.updateMany(
+    { assignedProject: projectId, statusCategory: 'done', completedAt: null },
+    { $set: { completedAt: new Date() } }
+  );
+  await Task.updateMany(
+    { assignedProject: projectId, statusCategory: { $ne: 'done' }, completedAt: { $ne: null } },
+    { $set: { completedAt: null } }
+  );
+  return { updated };
+}
+
+/**
+ * Set `statusCategory` on tasks saved before workflows existed (default workflow only).
+ * Idempotent; runs at startup.
+ */
+export async function backfillStatusCategories() {
+  let updated = 0;
+  for (const [status, category] of Object.entries(DEFAULT_STATUS_CATEGORY)) {
+    const res = await Task.updateMany(
+      { status, statusCategory: { $exists: false } },
+      { $set: { statusCategory: category } }
+    );
+    updated += res.modifiedCount ?? 0;
+  }
+  return updated;
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+const projectFindById = vi.fn();
+const projectFind = vi.fn();
+
+vi.mock("../models/Project.js", () => ({
+  default: { findById: projectFindById, find: projectFind },
+}));
+
+const leanChain = (result) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(result),
+});
+
+const {
+  can,
+  canViewProject,
+  canManageProject,
+  canViewTask,
+  canDeleteTask,
+  projectVisibilityFilter,
+  taskVisibilityFilter,
+  canViewDepartmentReport,
+} = await import("../services/access-policy.js");
+
+const ME = "65a000000000000000000001";
+const OTHER = "65a000000000000000000002";
+const DEPT = "65d000000000000000000001";
+const PROJECT = "65b000000000000000000001";
+
+const user = (role, extra = {}) => ({ _id: ME, id: ME, role, department: null, ...extra });
+
+describe("services/access-policy", () => {
+  beforeEach(() => {
+    projectFindById.mockReset();
+    projectFind.mockReset();
+  });
+
+  describe("can", () => {
+    it("gates actions by role", () => {
+      expect(can("Staff", "task:create")).toBe(true);
+      expect(can("Staff", "project:create")).toBe(false);
+      expect(can("Manager", "project:create")).toBe(true);
+      expect(can("HR", "user:delete")).toBe(true);
+      expect(can("Senior Manager", "user:delete")).toBe(false);
+      expect(can("Director", "report:department")).toBe(true);
+      expect(can("Director", "report:company")).toBe(false);
+    });
+
+    it("denies unknown roles and actions", () => {
+      expect(can(undefined, "task:read")).toBe(false);
+      expect(can("Staff", "nope:nope")).toBe(false);
+    });
+  });
+
+  describe("canViewProject", () => {
+    const project = { createdBy: OTHER, teamMembers: [{ _id: ME }], department: [{ _id: DEPT }] };
+
+    it("allows members, company-wide roles and the department's Director", () => {
+      expect(canViewProject(user("Staff"), project)).toBe(true);
+      expect(canViewProject(user("HR", { _id: OTHER }), { createdBy: ME })).toBe(true);
+      expect(canViewProject(user("Director", { _id: "x", department: DEPT }), project)).toBe(true);
+    });
+
+    it("denies outsiders", () => {
+      expect(canViewProject(user("Staff", { _id: "x" }), project)).toBe(false);
+      expect(canViewProject(user("Director", { _id: "x", department: "other" }), project)).toBe(false);
+      expect(canViewProject(null, project)).toBe(false);
+    });
+  });
+
+  describe("canManageProject", () => {
+    it("allows the owner and Senior Managers only", () => {
+      expect(canManageProject(user("Manager"), { createdBy: ME })).toBe(true);
+      expect(canManageProject(user("Manager"), { createdBy: OTHER })).toBe(false);
+      expect(canManageProject(user("Senior Manager"), { createdBy: OTHER })).toBe(true);
+      expect(canManageProject(user("Staff"), { createdBy: ME })).toBe(false);
+    });
+  });
+
+  describe("canViewTask", () => {
+    it("allows creators and assignees without a project lookup", async () => {
+      expect(await canViewTask(user("Staff"), { createdBy: ME })).toBe(true);
+      expect(await canViewTask(user("Staff"), { createdBy: OTHER, assignedTeamMembers: [ME] })).toBe(true);
+      expect(projectFindById).not.toHaveBeenCalled();
+    });
+
+    it("falls back to project membership", async () => {
+      projectFindById.mockReturnValue(leanChain({ createdBy: OTHER, teamMembers: [ME] }));
+      expect(await canViewTask(user("Staff"), { createdBy: OTHER, assignedProject: PROJECT })).toBe(true);
+
+      projectFindById.mockReturnValue(leanChain({ createdBy: OTHER, teamMembers: [] }));
+      expect(await canViewTask(user("Staff"), { createdBy: OTHER, assignedProject: PROJECT })).toBe(false);
+    });
+  });
+
+  describe("canDeleteTask", () => {
+    it("allows the creator, the project owner and Senior Managers", async () => {
+      expect(await canDeleteTask(user("Staff"), { createdBy: ME })).toBe(true);
+      expect(await canDeleteTask(user("Senior Manager"), { createdBy: OTHER })).toBe(true);
+
+      projectFindById.mockReturnValue(leanChain({ createdBy: ME }));
+      expect(await canDeleteTask(user("Manager"), { createdBy: OTHER, assignedProject: PROJECT })).toBe(true);
+
+      projectFindById.mockReturnValue(leanChain({ createdBy: OTHER }));
+      expect(await canDeleteTask(user("Staff"), { createdBy: OTHER, assignedProject: PROJECT })).toBe(false);
+    });
+  });
+
+  describe("visibility filters", () => {
+    it("are unrestricted for company-wide roles", async () => {
+      expect(projectVisibilityFilter(user("HR"))).toBeNull();
+      expect(await taskVisibilityFilter(user("Senior Manager"))).toBeNull();
+      expect(projectFind).not.toHaveBeenCalled();
+    });
+
+    it("scopes Directors to their department", () => {
+      expect(projectVisibilityFilter(user("Director", { department: DEPT }))).toEqual({
+        $or: [{ createdBy: ME }, { teamMembers: ME }, { department: DEPT }],
+      });
+    });
+
+    it("limits tasks to visible projects, own tasks and assignments", async () => {
+      projectFind.mockReturnValue(leanChain([{ _id: PROJECT }]));
+      expect(await taskVisibilityFilter(user("Staff"))).toEqual({
+        $or: [
+          { assignedProject: { $in: [PROJECT] } },
+          { createdBy: ME },
+          { assignedTeamMembers: ME },
+        ],
+      });
+    });
+  });
+
+  describe("canViewDepartmentReport", () => {
+    it("only lets a Director see their own department", () => {
+      expect(canViewDepartmentReport(user("Director", { department: DEPT }), DEPT)).toBe(true);
+      expect(canViewDepartmentReport(user("Director", { department: DEPT }), OTHER)).toBe(false);
+      expect(canViewDepartmentReport(user("Manager", { department: DEPT }), DEPT)).toBe(false);
+    });
+  });
+});
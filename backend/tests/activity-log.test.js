@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import mongoose from "mongoose";
+
+const create = vi.fn();
+const find = vi.fn();
+
+vi.mock("../models/ActivityLog.js", () => ({
+  default: { create, find },
+}));
+
+const {
+  diffFields,
+  describeChange,
+  describeChanges,
+  activityPageOptions,
+  recordActivity,
+  listActivity,
+  TASK_AUDIT_FIELDS,
+} = await import("../services/activity-log.js");
+
+const A = "65c000000000000000000001";
+const B = "65c000000000000000000002";
+
+describe("services/activity-log", () => {
+  beforeEach(() => {
+    create.mockReset();
+    find.mockReset();
+  });
+
+  describe("diffFields", () => {
+    it("reports only the fields that changed, as plain JSON", () => {
+      const before = { title: "A", status: "To Do", deadline: new Date("2025-11-03T09:00:00Z"), notes: "n" };
+      const after = { title: "B", status: "To Do", deadline: new Date("2025-11-10T09:00:00Z"), notes: "n" };
+      expect(diffFields(before, after, TASK_AUDIT_FIELDS)).toEqual([
+        { field: "title", from: "A", to: "B" },
+        { field: "deadline", from: "2025-11-03T09:00:00.000Z", to: "2025-11-10T09:00:00.000Z" },
+      ]);
+    });
+
+    it("compares ids with populated refs and ignores assignee order", () => {
+      const before = {
+        assignedProject: new mongoose.Types.ObjectId(A),
+        assignedTeamMembers: [A, B],
+      };
+      const after = {
+        assignedProject: { _id: A, name: "Alpha" },
+        assignedTeamMembers: [{ _id: B }, { _id: A }],
+      };
+      expect(diffFields(before, after, TASK_AUDIT_FIELDS)).toEqual([]);
+    });
+
+    it("treats empty strings and empty arrays as unset", () => {
+      expect(diffFields({ description: "", reminderOffsets: [] }, {}, TASK_AUDIT_FIELDS)).toEqual([]);
+    });
+  });
+
+  describe("describeChange", () => {
+    it("reads like a sentence per kind of field", () => {
+      expect(describeChange({ field: "deadline", from: "2025-11-03T09:00:00Z", to: "2025-11-10T09:00:00Z" }))
+        .toBe("deadline moved from 3 Nov to 10 Nov");
+      expect(describeChange({ field: "deadline", from: "2025-11-03T09:00:00Z", to: null })).toBe("deadline cleared");
+      expect(describeChange({ field: "title", from: "A", to: "B" })).toBe('title changed from "A" to "B"');
+      expect(describeChange({ field: "description", from: "x", to: "y" })).toBe("description edited");
+      expect(describeChange({ field: "assignedTeamMembers", from: [A], to: [A, B] }))
+        .toBe("assignees changed (1 added)");
+    });
+
+    it("joins several changes", () => {
+      expect(describeChanges([
+        { field: "status", from: "To Do", to: "Done" },
+        { field: "priority", from: 3, to: 8 },
+      ])).toBe("status changed from To Do to Done; priority changed from 3 to 8");
+      expect(describeChanges([])).toBe("");
+    });
+  });
+
+  describe("activityPageOptions", () => {
+    it("defaults and clamps the limit", () => {
+      expect(activityPageOptions({})).toEqual({ limit: 50, before: null });
+      expect(activityPageOptions({ limit: "1000" }).limit).toBe(200);
+      expect(activityPageOptions({ limit: "-1" }).limit).toBe(50);
+    });
+
+    it("parses `before` and rejects garbage", () => {
+      expect(activityPageOptions({ before: "2025-11-01T00:00:00Z" }).before.toISOString())
+        .toBe("2025-11-01T00:00:00.000Z");
+      expect(activityPageOptions({ before: "soon" })).toBeNull();
+    });
+  });
+
+  describe("recordActivity", () => {
+    it("skips updates with nothing changed", async () => {
+      expect(await recordActivity({ entityType: "Task", entityId: A, action: "updated", changes: [] })).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it("swallows write failures so the caller's request still succeeds", async () => {
+      const err = vi.spyOn(console, "error").mockImplementation(() => {});
+      create.mockRejectedValue(new Error("down"));
+      expect(await recordActivity({ entityType: "Task", entityId: A, action: "created" })).toBeNull();
+      expect(err).toHaveBeenCalled();
+      err.mockRestore();
+    });
+  });
+
+  describe("listActivity", () => {
+    it("pages newest first and adds a summary", async () => {
+      const chain = {
+        sort: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockReturnThis(),
+        populate: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue([{ changes: [{ field: "status", from: "To Do", to: "Done" }] }]),
+      };
+      find.mockReturnValue(chain);
+      const before = new Date("2025-11-01T00:00:00Z");
+
+      const out = await listActivity({ task: A }, { limit: 5, before });
+      expect(find).toHaveBeenCalledWith({ task: A, createdAt: { $lt: before } });
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(chain.limit).toHaveBeenCalledWith(5);
+      expect(out[0].summary).toBe("status changed from To Do to Done");
+    });
+  });
+});
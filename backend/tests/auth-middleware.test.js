@@ -0,0 +1,56 @@
+import { describe, it, expect, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+
+vi.mock("../models/Project.js", () => ({ default: {} }));
+
+const { requireAuth, requirePermission } = await import("../middleware/auth.js");
+const { signTestToken } = await import("./helpers/auth.js");
+
+const USER_ID = "65a000000000000000000001";
+const DEPT_ID = "65d000000000000000000001";
+
+function makeApp(...middleware) {
+  const app = express();
+  app.get("/private", requireAuth, ...middleware, (req, res) => {
+    res.json({ user: req.user, userId: req.userId, userRole: req.userRole });
+  });
+  return app;
+}
+
+describe("middleware/auth", () => {
+  it("401 when the token is missing", async () => {
+    const res = await request(makeApp()).get("/private");
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Missing token");
+  });
+
+  it("401 when the token is invalid", async () => {
+    const res = await request(makeApp()).get("/private").set("Authorization", "Bearer nope");
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Invalid or expired token");
+  });
+
+  it("exposes the caller from the token claims", async () => {
+    const token = signTestToken({ sub: USER_ID, role: "Director", department: DEPT_ID });
+    const res = await request(makeApp()).get("/private").set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.userId).toBe(USER_ID);
+    expect(res.body.userRole).toBe("Director");
+    expect(res.body.user).toEqual({ _id: USER_ID, id: USER_ID, role: "Director", department: DEPT_ID });
+  });
+
+  it("requirePermission 403s roles outside the policy", async () => {
+    const app = makeApp(requirePermission("user:create"));
+
+    const staff = signTestToken({ sub: USER_ID, role: "Staff" });
+    const denied = await request(app).get("/private").set("Authorization", `Bearer ${staff}`);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toMatch(/permission/i);
+
+    const hr = signTestToken({ sub: USER_ID, role: "HR" });
+    const allowed = await request(app).get("/private").set("Authorization", `Bearer ${hr}`);
+    expect(allowed.status).toBe(200);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { RANK_STEP, buildColumns, rankBetween, wipWarning } from '../utils/board.js';
+
+const workflow = {
+  statuses: [
+    { name: 'To Do', category: 'not_started' },
+    { name: 'Doing', category: 'active', wipLimit: 2 },
+    { name: 'Done', category: 'done' },
+  ],
+  transitions: [],
+};
+
+describe('utils/board', () => {
+  it('ranks between neighbours, or past the end of the column', () => {
+    expect(rankBetween(1024, 2048)).toBe(1536);
+    expect(rankBetween(1024, null)).toBe(1024 + RANK_STEP);
+    expect(rankBetween(undefined, 1024)).toBe(0);
+    expect(rankBetween()).toBe(RANK_STEP);
+  });
+
+  it('warns only when a column is over its limit', () => {
+    expect(wipWarning(workflow, 'Doing', 2)).toBeNull();
+    expect(wipWarning(workflow, 'Doing', 3)).toEqual({ status: 'Doing', limit: 2, count: 3 });
+    expect(wipWarning(workflow, 'To Do', 50)).toBeNull();
+  });
+
+  it('builds one column per status, ordered by rank with unranked cards last', () => {
+    const tasks = [
+      { title: 'c', status: 'Doing', rank: 3072 },
+      { title: 'legacy', status: 'Doing', rank: null, createdAt: '2025-01-01' },
+      { title: 'a', status: 'Doing', rank: 1024 },
+      { title: 'b', status: 'To Do', rank: 1024 },
+    ];
+    const columns = buildColumns(workflow, tasks);
+
+    expect(columns.map(c => c.name)).toEqual(['To Do', 'Doing', 'Done']);
+    const doing = columns[1];
+    expect(doing.tasks.map(t => t.title)).toEqual(['a', 'c', 'legacy']);
+    expect(doing).toMatchObject({ wipLimit: 2, count: 3, overLimit: true });
+    expect(columns[2]).toMatchObject({ wipLimit: null, count: 0, overLimit: false });
+  });
+
+  it('keeps tasks whose status left the workflow in a column of their own', () => {
+    const columns = buildColumns(workflow, [{ title: 'x', status: 'QA', statusCategory: 'active' }]);
+    expect(columns.at(-1)).toMatchObject({ name: 'QA', category: 'active', count: 1 });
+  });
+});
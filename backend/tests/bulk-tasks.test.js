@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import ActivityLog from "../models/ActivityLog.js";
+import { asUser } from "./helpers/auth.js";
+import { RANK_STEP } from "../utils/board.js";
+import { applyAssignees, bulkMessage, describeBulkChanges, parseBulkRequest, shiftDate } from "../utils/bulk-tasks.js";
+
+vi.mock("../services/bulk-tasks.js", () => ({
+  applyBulkChanges: vi.fn(),
+  planBulkChanges: vi.fn(),
+  planBulkDelete: vi.fn(),
+  trashTasks: vi.fn(),
+}));
+vi.mock("../services/notification-service.js", () => ({
+  createBulkNotifications: vi.fn(async () => []),
+  createUpdateNotifications: vi.fn(async () => []),
+  sendPendingEmails: vi.fn(),
+}));
+
+const service = await import("../services/bulk-tasks.js");
+const { createBulkNotifications } = await import("../services/notification-service.js");
+const { planBulkChanges } = await vi.importActual("../services/bulk-tasks.js");
+const { default: tasksRouter } = await import("../routes/tasks.js");
+
+const ME = "65b000000000000000000001";
+const ANA = "65b000000000000000000002";
+const BEN = "65b000000000000000000003";
+const T1 = "65b000000000000000000010";
+const T2 = "65b000000000000000000011";
+const PROJECT = "65b000000000000000000020";
+
+const io = { emit: vi.fn(), to: vi.fn(() => io) };
+const app = express();
+app.use(express.json());
+app.set("io", io);
+app.use(asUser(() => ({ sub: ME, role: "Manager" })));
+app.use("/api/tasks", tasksRouter);
+
+const task = (over = {}) => ({
+  _id: T1,
+  title: "Draft brief",
+  status: "In Progress",
+  statusCategory: "active",
+  assignedProject: PROJECT,
+  assignedTeamMembers: [ANA],
+  createdBy: ME,
+  parentTask: null,
+  ...over,
+});
+
+describe("utils/bulk-tasks", () => {
+  it("parses a change set, or says what is wrong with it", () => {
+    expect(parseBulkRequest({ taskIds: [T1, T1, T2], changes: { priority: "8", shiftDays: -2 } })).toEqual({
+      taskIds: [T1, T2],
+      changes: { priority: 8, shiftDays: -2 },
+    });
+    expect(parseBulkRequest({ taskIds: [T1], delete: true })).toEqual({ taskIds: [T1], remove: true });
+    expect(parseBulkRequest({ taskIds: [] }).error).toMatch(/non-empty/);
+    expect(parseBulkRequest({ taskIds: [T1], changes: { title: "x" } }).error).toMatch(/Unknown change: title/);
+    expect(parseBulkRequest({ taskIds: [T1], changes: { priority: 11 } }).error).toMatch(/priority/);
+    expect(parseBulkRequest({ taskIds: [T1], changes: { assignees: { mode: "swap", users: [] } } }).error).toMatch(/mode/);
+  });
+
+  it("adds, removes and replaces assignees, and shifts dates by whole days", () => {
+    expect(applyAssignees([ANA], { mode: "add", users: [ANA, BEN] })).toEqual([ANA, BEN]);
+    expect(applyAssignees([ANA, BEN], { mode: "remove", users: [ANA] })).toEqual([BEN]);
+    expect(applyAssignees([ANA], { mode: "replace", users: [BEN] })).toEqual([BEN]);
+    expect(shiftDate(new Date("2026-03-30T09:00:00Z"), 3)).toEqual(new Date("2026-04-02T09:00:00Z"));
+    expect(shiftDate(null, 3)).toBeNull();
+  });
+
+  it("tells each person about all of their tasks in one message", () => {
+    const summary = describeBulkChanges({ status: "Done", shiftDays: 1 });
+    expect(bulkMessage("Ana", ["A", "B", "C", "D"], summary)).toBe(
+      'Ana updated 4 of your tasks ("A", "B", "C" and 1 more): status set to Done; deadline moved 1 day later.'
+    );
+    expect(bulkMessage("Ana", ["A", "B"], null)).toBe('Ana deleted 2 of your tasks ("A" and "B").');
+  });
+});
+
+describe("services/bulk-tasks", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  const stubTasks = (tasks) => {
+    vi.spyOn(Task, "find").mockReturnValue({ lean: async () => tasks });
+    vi.spyOn(Project, "find").mockReturnValue({ select: () => ({ lean: async () => [{ _id: PROJECT }] }) });
+    vi.spyOn(Task, "findOne").mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => ({ rank: RANK_STEP }) }) }),
+    });
+  };
+
+  it("plans the same status rules as a single update, with distinct ranks", async () => {
+    stubTasks([task(), task({ _id: T2, title: "Review" })]);
+    const now = new Date("2026-03-02T10:00:00Z");
+
+    const { plans, failures } = await planBulkChanges({ _id: ME, role: "Manager" }, [T1, T2], { status: "Done" }, { now });
+
+    expect(failures).toEqual([]);
+    expect(plans.map((p) => p.set)).toEqual([
+      { status: "Done", statusCategory: "done", completedAt: now, rank: 2 * RANK_STEP },
+      { status: "Done", statusCategory: "done", completedAt: now, rank: 3 * RANK_STEP },
+    ]);
+  });
+
+  it("lists every task that can't be changed", async () => {
+    stubTasks([task(), task({ _id: T2, createdBy: ANA, assignedTeamMembers: [], assignedProject: null })]);
+    const missing = "65b000000000000000000099";
+
+    const { failures } = await planBulkChanges(
+      { _id: ME, role: "Staff" },
+      [T1, T2, missing],
+      { status: "Shipped" }
+    );
+
+    expect(failures.map((f) => [String(f.taskId), f.status])).toEqual([
+      [missing, 404],
+      [T1, 400],
+      [T2, 403],
+    ]);
+  });
+});
+
+describe("POST /api/tasks/bulk", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(ActivityLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("rejects a malformed request", async () => {
+    const res = await request(app).post("/api/tasks/bulk").send({ taskIds: [T1] }).expect(400);
+    expect(res.body.error).toMatch(/changes/);
+    expect(service.planBulkChanges).not.toHaveBeenCalled();
+  });
+
+  it("changes nothing when any task fails the checks", async () => {
+    service.planBulkChanges.mockResolvedValue({
+      plans: [{ task: task(), set: { priority: 9 } }],
+      failures: [{ taskId: T2, title: "Review", status: 403, error: "You do not have access to this task" }],
+    });
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .send({ taskIds: [T1, T2], changes: { priority: 9 } })
+      .expect(403);
+
+    expect(res.body.failures).toHaveLength(1);
+    expect(service.applyBulkChanges).not.toHaveBeenCalled();
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+
+  it("applies the changes, then sends one event and one notification per person", async () => {
+    const plans = [
+      { task: task(), set: { assignedTeamMembers: [BEN] } },
+      { task: task({ _id: T2, title: "Review" }), set: { assignedTeamMembers: [BEN] } },
+    ];
+    service.planBulkChanges.mockResolvedValue({ plans, failures: [] });
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .send({ taskIds: [T1, T2], changes: { assignees: { mode: "replace", users: [BEN] } } })
+      .expect(200);
+
+    expect(res.body).toEqual({ message: "2 tasks updated", taskIds: [T1, T2] });
+    expect(service.applyBulkChanges).toHaveBeenCalledWith(plans);
+    expect(ActivityLog.create).toHaveBeenCalledTimes(2);
+    expect(createBulkNotifications).toHaveBeenCalledWith({
+      authorId: ME,
+      tasks: [
+        { _id: T1, title: "Draft brief", recipients: [ANA, BEN] },
+        { _id: T2, title: "Review", recipients: [ANA, BEN] },
+      ],
+      summary: "assignees replaced",
+    });
+    expect(io.emit).toHaveBeenCalledTimes(1);
+    // Everyone the tasks were or are now assigned to, and the board
+    expect(io.to).toHaveBeenCalledWith([`user:${ME}`, `user:${ANA}`, `user:${BEN}`, `project:${PROJECT}`]);
+    expect(io.emit).toHaveBeenCalledWith("tasks:bulk", { action: "updated", taskIds: [T1, T2], projectIds: [PROJECT] });
+  });
+
+  it("moves the tasks to the trash together", async () => {
+    const tasks = [task(), task({ _id: T2, title: "Review" })];
+    service.planBulkDelete.mockResolvedValue({ tasks, failures: [] });
+
+    const res = await request(app).post("/api/tasks/bulk").send({ taskIds: [T1, T2], delete: true }).expect(200);
+
+    expect(res.body.message).toBe("2 tasks deleted");
+    expect(service.trashTasks).toHaveBeenCalledWith(tasks, ME);
+    expect(createBulkNotifications).toHaveBeenCalledWith(expect.objectContaining({ summary: null }));
+    expect(io.emit).toHaveBeenCalledWith("tasks:bulk", { action: "deleted", taskIds: [T1, T2], projectIds: [PROJECT] });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import CalendarFeed from "../models/CalendarFeed.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { asUser } from "./helpers/auth.js";
+import { buildCalendar, escapeText, foldLine, formatDuration } from "../utils/ics.js";
+
+// routes/calendar.js reads its secret when imported
+process.env.JWT_SECRET ??= "dev_secret_change_me";
+const { default: calendarRouter } = await import("../routes/calendar.js");
+
+const ME = "65b000000000000000000001";
+const P1 = "65b000000000000000000020";
+const F1 = "65b000000000000000000030";
+const NOW = new Date("2026-03-01T00:00:00Z");
+
+const app = express();
+app.use(express.json());
+app.use(asUser((req) => (req.path.endsWith(".ics") ? null : { sub: ME, role: "Staff" })));
+app.use("/api/calendar", calendarRouter);
+
+const lean = (value) => ({ lean: async () => value });
+const query = (value) => {
+  const chain = { populate: () => chain, select: () => chain, sort: () => chain, lean: async () => value };
+  return chain;
+};
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+// Monday weekly series, 9:00 in Singapore, five times; the 16 Mar occurrence was skipped
+const weekly = {
+  _id: "t1",
+  title: "Weekly report",
+  deadline: new Date("2026-03-09T01:00:00Z"),
+  startAt: new Date("2026-03-08T23:00:00Z"),
+  status: "To Do",
+  statusCategory: "not_started",
+  priority: 5,
+  reminderOffsets: [1440],
+  seriesId: "s1",
+  occurrenceDate: new Date("2026-03-09T01:00:00Z"),
+  recurrence: {
+    frequency: "weekly",
+    interval: 1,
+    byDay: ["MO"],
+    ends: "afterCount",
+    count: 5,
+    timezone: "Asia/Singapore",
+    start: new Date("2026-03-02T01:00:00Z"),
+    exdates: [new Date("2026-03-16T01:00:00Z"), new Date("2026-03-30T01:00:00Z")],
+  },
+};
+
+describe("utils/ics", () => {
+  it("escapes text and folds long lines at 75 octets", () => {
+    expect(escapeText("a, b; c\\d\nnext")).toBe("a\\, b\\; c\\\\d\\nnext");
+    const folded = foldLine(`SUMMARY:${"é".repeat(60)}`);
+    for (const line of folded.split("\r\n")) expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    expect(folded.replace(/\r\n /g, "")).toBe(`SUMMARY:${"é".repeat(60)}`);
+    expect([formatDuration(-90 * 60000), formatDuration(26 * 3600000), formatDuration(0)]).toEqual(["-PT90M", "P1DT120M", "PT0S"]);
+  });
+
+  it("writes tasks as events at their deadline, with alarms from the reminder offsets", () => {
+    const ics = unfold(
+      buildCalendar(
+        [
+          weekly,
+          { _id: "t2", title: "Launch", allDay: true, deadline: new Date("2026-03-20T15:59:00Z"), status: "Done", statusCategory: "done", reminderOffsets: [60] },
+          { _id: "t3", title: "Someday" },
+        ],
+        { name: "Ana: my tasks", now: NOW, uidDomain: "example.com" }
+      )
+    );
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics).toContain("X-WR-CALNAME:Ana: my tasks");
+    expect(ics).toContain("TZOFFSETTO:+0800");
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(ics).not.toContain("Someday");
+
+    // Started at 7:00 the same day, due at 9:00; the reminder is a day before the deadline
+    expect(ics).toContain(
+      "UID:t1@example.com\r\nDTSTAMP:20260301T000000Z\r\nSUMMARY:Weekly report\r\n" +
+        "DTSTART;TZID=Asia/Singapore:20260309T070000\r\nDTEND;TZID=Asia/Singapore:20260309T090000\r\n"
+    );
+    expect(ics).toContain("TRIGGER:-PT1320M");
+    // All day; done tasks get no alarms
+    expect(ics).toContain("UID:t2@example.com\r\nDTSTAMP:20260301T000000Z\r\nSUMMARY:Launch\r\nDTSTART;VALUE=DATE:20260320\r\nDTEND;VALUE=DATE:20260321\r\n");
+    expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(2);
+  });
+
+  it("adds an RRULE event for the occurrences of a series that have no task yet", () => {
+    const ics = unfold(buildCalendar([weekly], { now: NOW, uidDomain: "example.com" }));
+    const series = ics.slice(ics.indexOf("UID:series-s1@example.com"));
+
+    // 2 Mar and 9 Mar have tasks and 16 Mar was skipped: 23 Mar is next, 2 of the 5 are left
+    expect(series).toContain("DTSTART;TZID=Asia/Singapore:20260323T070000\r\nDTEND;TZID=Asia/Singapore:20260323T090000\r\n");
+    expect(series).toContain("RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=2\r\n");
+    expect(series).toContain("EXDATE;TZID=Asia/Singapore:20260330T070000\r\n");
+    expect(series).toContain("DESCRIPTION:Every week on Monday\\, 5 times. Not created yet.");
+  });
+});
+
+describe("calendar feed routes", () => {
+  beforeEach(() => {
+    vi.spyOn(CalendarFeed, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("serves a feed by its token without a login", async () => {
+    vi.spyOn(CalendarFeed, "findOne").mockReturnValue(lean({ _id: F1, owner: ME, project: null, token: "tok" }));
+    vi.spyOn(User, "findById").mockReturnValue({ select: () => lean({ _id: ME, name: "Ana", role: "Staff" }) });
+    const find = vi.spyOn(Task, "find").mockReturnValueOnce(query([weekly])).mockReturnValueOnce(query([weekly]));
+
+    const res = await request(app).get("/api/calendar/feeds/tok.ics").expect(200);
+
+    expect(res.headers["content-type"]).toBe("text/calendar; charset=utf-8");
+    expect(res.text).toContain("X-WR-CALNAME:Ana: my tasks");
+    // The task is in both queries but is written once
+    expect(res.text.match(/UID:t1@/g)).toHaveLength(1);
+    expect(find.mock.calls[0][0].$and[0]).toEqual({ $or: [{ createdBy: ME }, { assignedTeamMembers: { $in: [ME] } }] });
+    expect(CalendarFeed.findOne).toHaveBeenCalledWith({ token: "tok" });
+  });
+
+  it("stops serving a project feed once its owner loses access", async () => {
+    vi.spyOn(CalendarFeed, "findOne").mockReturnValue(lean({ _id: F1, owner: ME, project: P1, token: "tok" }));
+    vi.spyOn(User, "findById").mockReturnValue({ select: () => lean({ _id: ME, name: "Ana", role: "Staff" }) });
+    vi.spyOn(Project, "findById").mockReturnValue({
+      select: () => lean({ _id: P1, name: "Launch", createdBy: "someone-else", teamMembers: [] }),
+    });
+
+    await request(app).get("/api/calendar/feeds/tok.ics").expect(404);
+    await request(app).get("/api/calendar/feeds/tok").expect(404);
+  });
+
+  it("creates one feed per user and project", async () => {
+    vi.spyOn(User, "findById").mockReturnValue({ select: () => lean({ _id: ME, role: "Staff" }) });
+    vi.spyOn(Project, "findById").mockReturnValue({
+      select: () => lean({ _id: P1, name: "Launch", createdBy: ME, teamMembers: [] }),
+    });
+    vi.spyOn(CalendarFeed, "findOne").mockReturnValueOnce(lean(null)).mockReturnValueOnce(lean({ _id: F1, token: "tok" }));
+    const create = vi
+      .spyOn(CalendarFeed, "create")
+      .mockImplementation(async (doc) => ({ toObject: () => ({ _id: F1, ...doc }) }));
+
+    const first = await request(app).post("/api/calendar/feeds").send({ projectId: P1 }).expect(201);
+    expect(first.body).toMatchObject({ _id: F1, project: { _id: P1, name: "Launch" } });
+    expect(first.body.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/api\/calendar\/feeds\/[\w-]{32}\.ics$/);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ owner: ME, project: P1 }));
+
+    const again = await request(app).post("/api/calendar/feeds").send({ projectId: P1 }).expect(200);
+    expect(again.body.url).toMatch(/\/feeds\/tok\.ics$/);
+  });
+
+  it("refuses a feed for a project the caller can't see", async () => {
+    vi.spyOn(User, "findById").mockReturnValue({ select: () => lean({ _id: ME, role: "Staff" }) });
+    vi.spyOn(Project, "findById").mockReturnValue({
+      select: () => lean({ _id: P1, name: "Launch", createdBy: "someone-else", teamMembers: [] }),
+    });
+    const create = vi.spyOn(CalendarFeed, "create");
+
+    await request(app).post("/api/calendar/feeds").send({ projectId: P1 }).expect(403);
+    await request(app).post("/api/calendar/feeds").send({ projectId: "nope" }).expect(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("regenerates and revokes only the caller's own feeds", async () => {
+    const update = vi.spyOn(CalendarFeed, "findOneAndUpdate").mockReturnValue({
+      populate: () => lean({ _id: F1, project: null, token: "fresh" }),
+    });
+    const res = await request(app).post(`/api/calendar/feeds/${F1}/regenerate`).expect(200);
+    expect(res.body.url).toMatch(/\/feeds\/fresh\.ics$/);
+    expect(update.mock.calls[0][0]).toEqual({ _id: F1, owner: ME });
+    expect(update.mock.calls[0][1].$set.token).not.toBe("tok");
+
+    const remove = vi.spyOn(CalendarFeed, "deleteOne").mockResolvedValueOnce({ deletedCount: 1 }).mockResolvedValueOnce({ deletedCount: 0 });
+    await request(app).delete(`/api/calendar/feeds/${F1}`).expect(204);
+    await request(app).delete(`/api/calendar/feeds/${F1}`).expect(404);
+    expect(remove).toHaveBeenCalledWith({ _id: F1, owner: ME });
+  });
+});
@@ -10,17 +10,8 @@ import express from "express";
 async function loadRouterWithEnv(secret) {
     vi.resetModules();
 
-    // Manage the secret that calendar.js reads at import time
-    if (secret === undefined) {
-        // simulate "no secret configured"
-        delete process.env.ACCESS_TOKEN_SECRET;
-        delete process.env.JWT_ACCESS_SECRET;
-        delete process.env.JWT_SECRET;
-    } else {
-        process.env.JWT_SECRET = secret;
-        delete process.env.ACCESS_TOKEN_SECRET;
-        delete process.env.JWT_ACCESS_SECRET;
-    }
+    // middleware/auth.js reads the secret on each request
+    process.env.JWT_SECRET = secret;
 
     // Fresh mock for Task with chainable query API
     const tasks = [];
@@ -64,15 +55,6 @@ describe("calendar router", () => {
         vi.restoreAllMocks();
     });
 
-    it("returns 500 if JWT secret is not configured (covers verifyJWT early exit)", async () => {
-        const { router } = await loadRouterWithEnv(undefined); // no secret
-        const app = makeApp(router);
-
-        const res = await request(app).get("/api/calendar");
-        expect(res.status).toBe(500);
-        expect(res.body.error).toMatch(/no JWT secret/i);
-    });
-
     it("500 when Task.find throws (covers catch -> next(err))", async () => {
         const { router, find } = await loadRouterWithEnv("secret");
         const app = makeApp(router);
@@ -91,13 +73,13 @@ describe("calendar router", () => {
         expect(String(res.body.error)).toMatch(/DB boom/);
     });
 
-    it("returns 401 if no token (covers getTokenFromReq: null path)", async () => {
+    it("returns 401 if no token", async () => {
         const { router } = await loadRouterWithEnv("s3cr3t");
         const app = makeApp(router);
 
         const res = await request(app).get("/api/calendar");
         expect(res.status).toBe(401);
-        expect(res.body.error).toMatch(/unauthorized/i);
+        expect(res.body.message).toMatch(/missing token/i);
     });
 
     it("accepts Authorization: Bearer <token> (lowercase header) and rejects bad signature", async () => {
@@ -112,7 +94,7 @@ describe("calendar router", () => {
             .set("authorization", `Bearer ${bad}`);
 
         expect(res.status).toBe(401);
-        expect(res.body.error).toMatch(/unauthorized/i);
+        expect(res.body.message).toMatch(/invalid or expired/i);
     });
 
     it("accepts Authorization: Bearer <token> (capitalized header)", async () => {
@@ -130,32 +112,18 @@ describe("calendar router", () => {
         expect(res.body.error).toMatch(/unauthorized/i);
     });
 
-    it("accepts cookie fallback: jwt=<token> (covers cookie branch in getTokenFromReq)", async () => {
-        const { router } = await loadRouterWithEnv("secret");
-        const app = makeApp(router);
-
-        const tok = jwt.sign({ sub: INVALID_ID }, "secret");
-        const res = await request(app)
-            .get("/api/calendar")
-            .set("Cookie", `jwt=${tok}`)
-            .query({ start: START, end: END });
-
-        expect(res.status).toBe(401);
-        expect(res.body.error).toMatch(/unauthorized/i);
-    });
-
-    it("accepts cookie fallback: accessToken=<token> (covers access(Token)?= branch)", async () => {
+    it("does not read tokens from cookies", async () => {
         const { router } = await loadRouterWithEnv("secret");
         const app = makeApp(router);
 
-        const tok = jwt.sign({ sub: INVALID_ID }, "secret");
-        const res = await request(app)
-            .get("/api/calendar")
-            .set("Cookie", `foo=bar; accessToken=${tok}; theme=dark`)
-            .query({ start: START, end: END });
-
-        expect(res.status).toBe(401);
-        expect(res.body.error).toMatch(/unauthorized/i);
+        const tok = jwt.sign({ sub: VALID_ID }, "secret");
+        for (const cookie of [`jwt=${tok}`, `foo=bar; accessToken=${tok}; theme=dark`]) {
+            const res = await request(app)
+                .get("/api/calendar")
+                .set("Cookie", cookie)
+                .query({ start: START, end: END });
+            expect(res.status).toBe(401);
+        }
     });
 
     it("400 when start or end missing (covers early validation in route)", async () => {
@@ -239,11 +207,37 @@ describe("calendar router", () => {
         expect(call.$and.length).toBeGreaterThanOrEqual(4);
 
         // Check the chain was used
-        expect(chain.populate).toHaveBeenCalledTimes(3);
+        expect(chain.populate).toHaveBeenCalledTimes(4);
         expect(chain.select).toHaveBeenCalledTimes(1);
         expect(chain.sort).toHaveBeenCalledWith({ deadline: 1 });
     });
 
+    it("projects later occurrences of open recurring tasks, leaving out skipped dates", async () => {
+        const { router, tasks, find } = await loadRouterWithEnv("secret");
+        const app = makeApp(router);
+
+        const start = "2025-01-06T01:00:00.000Z";
+        tasks.push({
+            _id: "t1",
+            title: "Weekly sync",
+            deadline: start,
+            recurrence: { frequency: "weekly", interval: 1, ends: "afterCount", count: 3, start, exdates: ["2025-01-13T01:00:00.000Z"] },
+        });
+
+        const tok = jwt.sign({ sub: VALID_ID }, "secret");
+        const res = await request(app)
+            .get("/api/calendar")
+            .set("Authorization", `Bearer ${tok}`)
+            .query({ start: START, end: END });
+
+        expect(res.status).toBe(200);
+        expect(res.body.projected.map((p) => [p.sourceTask, p.deadline, p.projected])).toEqual([
+            ["t1", "2025-01-20T01:00:00.000Z", true],
+        ]);
+        expect(find).toHaveBeenCalledTimes(2);
+        expect(find.mock.calls[1][0].$and).toContainEqual({ recurrence: { $ne: null } });
+    });
+
     it("projectId invalid -> simply ignored (covers projectId branch without pushing a filter)", async () => {
         const { router, tasks, find } = await loadRouterWithEnv("secret");
         const app = makeApp(router);
@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { isValidCron, nextCronRun, parseCron } from "../utils/cron.js";
+
+const at = (iso) => new Date(iso);
+
+describe("utils/cron", () => {
+  it("finds the next minute, hour and day slots", () => {
+    expect(nextCronRun("* * * * *", at("2025-11-01T00:00:30Z"))).toEqual(at("2025-11-01T00:01:00Z"));
+    expect(nextCronRun("0 * * * *", at("2025-11-01T00:00:00Z"))).toEqual(at("2025-11-01T01:00:00Z"));
+    expect(nextCronRun("*/15 8-17 * * 1-5", at("2025-11-01T00:00:00Z"))).toEqual(at("2025-11-03T08:00:00Z"));
+  });
+
+  it("evaluates in the given timezone", () => {
+    // 09:00 Singapore is 01:00 UTC
+    expect(nextCronRun("0 9 * * *", at("2025-11-01T00:00:00Z"), "Asia/Singapore")).toEqual(at("2025-11-01T01:00:00Z"));
+    expect(nextCronRun("0 9 * * *", at("2025-11-01T01:00:00Z"), "Asia/Singapore")).toEqual(at("2025-11-02T01:00:00Z"));
+  });
+
+  it("matches either day field when both are restricted, and 7 as Sunday", () => {
+    // 1 Nov 2025 is a Saturday: the 1st matches even though Monday doesn't
+    expect(nextCronRun("0 0 1 * 1", at("2025-10-31T12:00:00Z"))).toEqual(at("2025-11-01T00:00:00Z"));
+    expect(nextCronRun("0 0 * * 7", at("2025-11-01T12:00:00Z"))).toEqual(at("2025-11-02T00:00:00Z"));
+    expect(nextCronRun("0 0 29 2 *", at("2025-11-01T00:00:00Z"))).toEqual(at("2028-02-29T00:00:00Z"));
+  });
+
+  it("rejects malformed expressions", () => {
+    expect(isValidCron("0 9 * * *")).toBe(true);
+    expect(isValidCron("0 9 * *")).toBe(false);
+    expect(isValidCron("60 * * * *")).toBe(false);
+    expect(isValidCron("0 9 * * MON")).toBe(false);
+    expect(() => parseCron("*/0 * * * *")).toThrow(/Invalid minute/);
+    expect(() => nextCronRun("0 0 30 2 *", at("2025-11-01T00:00:00Z"))).toThrow(/never fires/);
+  });
+});
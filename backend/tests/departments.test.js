@@ -1,7 +1,14 @@
 import request from 'supertest';
+import express from 'express';
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import app from '../app.js';
+import api from '../app.js';
 import Department from '../models/Department.js';
+import { asUser, signTestToken } from './helpers/auth.js';
+
+// Requests run as HR unless a test sends its own token
+const app = express();
+app.use(asUser(() => ({ sub: '507f1f77bcf86cd799439077', role: 'HR' })));
+app.use(api);
 
 // ---- Mock the Department model (constructor + statics) ----
 vi.mock('../models/Department.js', () => {
@@ -244,4 +251,28 @@ describe('Department Routes', () => {
       expect(res.body.message).toBeDefined();
     });
   });
+
+  describe('access control', () => {
+    const staff = `Bearer ${signTestToken({ sub: '507f1f77bcf86cd799439011', role: 'Staff' })}`;
+
+    it('lets any signed-in user read departments', async () => {
+      Department.find.mockReturnValue({ sort: vi.fn().mockResolvedValue(mockDepts) });
+
+      await request(app).get('/api/departments').set('Authorization', staff).expect(200);
+    });
+
+    it('returns 403 when Staff try to change departments', async () => {
+      await request(app)
+        .put(`/api/departments/${mockDept._id}`)
+        .set('Authorization', staff)
+        .send({ name: 'Renamed' })
+        .expect(403);
+
+      expect(Department.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 401 without a valid token', async () => {
+      await request(app).get('/api/departments').set('Authorization', 'Bearer x').expect(401);
+    });
+  });
 });
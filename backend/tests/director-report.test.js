@@ -20,6 +20,10 @@ import Project from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import Department from "../models/Department.js";
+import TimeEntry from "../models/TimeEntry.js";
+import { asUser } from "./helpers/auth.js";
+
+const DIRECTOR_ID = "65f000000000000000000001";
 
 dayjs.extend(isBetween);
 
@@ -250,6 +254,8 @@ describe("Director Report API", () => {
     // Create Express app with director router
     app = express();
     app.use(express.json());
+    // Act as the Director of whichever department the request asks about
+    app.use(asUser((req) => ({ sub: DIRECTOR_ID, role: "Director", department: req.query.departmentId })));
     app.use("/api/director", directorRouter);
   });
 
@@ -474,6 +480,52 @@ describe("Director Report API", () => {
         });
       });
 
+      it("should report logged vs. estimated hours per team member", async () => {
+        const { staff1 } = testData.users;
+        const { activeTask1, activeTask3 } = testData.tasks;
+        await Task.updateOne({ _id: activeTask1._id }, { estimateMinutes: 240 });
+        await Task.updateOne({ _id: activeTask3._id }, { estimateMinutes: 120 });
+        const started = dayjs().subtract(1, "day").toDate();
+        await TimeEntry.create([
+          { task: activeTask1._id, project: activeTask1.assignedProject, user: staff1._id, source: "manual", startedAt: started, endedAt: started, minutes: 150 },
+          { task: activeTask3._id, project: activeTask3.assignedProject, user: staff1._id, source: "timer", startedAt: started, endedAt: started, minutes: 30 },
+          // still running: not counted
+          { task: activeTask3._id, project: activeTask3.assignedProject, user: staff1._id, source: "timer", startedAt: started, endedAt: null },
+        ]);
+
+        const response = await request(app)
+          .get(`/api/director/report?departmentId=${testDepartmentId}`)
+          .expect(200);
+
+        const { teamPerformance } = response.body;
+        const member = teamPerformance.departmentTeam.find(m => m.name === "Test Staff 1");
+        expect(member).toMatchObject({ estimatedHours: 6, loggedHours: 3 });
+        expect(teamPerformance).toMatchObject({ estimatedHours: 6, loggedHours: 3 });
+        expect(teamPerformance.departmentTeam.find(m => m.name === "Test Staff 2").loggedHours).toBe(0);
+      });
+
+      it("should leave time logged on trashed tasks out of the logged hours", async () => {
+        const { staff1, director } = testData.users;
+        const { activeTask1, activeTask3 } = testData.tasks;
+        const started = dayjs().subtract(1, "day").toDate();
+        await TimeEntry.create([
+          { task: activeTask1._id, project: activeTask1.assignedProject, user: staff1._id, source: "manual", startedAt: started, endedAt: started, minutes: 90 },
+          { task: activeTask3._id, project: activeTask3.assignedProject, user: staff1._id, source: "manual", startedAt: started, endedAt: started, minutes: 60 },
+        ]);
+        await Task.updateOne(
+          { _id: activeTask3._id },
+          { deletedAt: new Date(), deletedBy: director._id, deletion: activeTask3._id }
+        );
+
+        const response = await request(app)
+          .get(`/api/director/report?departmentId=${testDepartmentId}`)
+          .expect(200);
+
+        const { teamPerformance } = response.body;
+        expect(teamPerformance.departmentTeam.find(m => m.name === "Test Staff 1").loggedHours).toBe(1.5);
+        expect(teamPerformance.loggedHours).toBe(1.5);
+      });
+
       it("should handle overdue task analysis correctly", async () => {
         const response = await request(app)
           .get(`/api/director/report?departmentId=${testDepartmentId}`)
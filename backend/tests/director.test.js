@@ -10,6 +10,9 @@ import Project from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import dayjs from "dayjs";
+import { asUser, signTestToken } from "./helpers/auth.js";
+
+const DIRECTOR_ID = "65f000000000000000000001";
 
 
 describe("routes/director.js - GET /api/director/report", () => {
@@ -23,6 +26,8 @@ describe("routes/director.js - GET /api/director/report", () => {
 
     app = express();
     app.use(express.json());
+    // Act as the Director of whichever department the request asks about
+    app.use(asUser((req) => ({ sub: DIRECTOR_ID, role: "Director", department: req.query.departmentId })));
     app.use("/api/director", directorRouter);
     request = supertest(app);
   });
@@ -52,6 +57,20 @@ describe("routes/director.js - GET /api/director/report", () => {
     expect(r2.body?.error || r2.text).toMatch(/invalid department id/i);
   });
 
+  it("403 when a Director asks for another department's report", async () => {
+    const token = signTestToken({
+      sub: DIRECTOR_ID,
+      role: "Director",
+      department: new mongoose.Types.ObjectId(),
+    });
+    const r = await request
+      .get("/api/director/report")
+      .set("Authorization", `Bearer ${token}`)
+      .query({ departmentId: String(new mongoose.Types.ObjectId()) })
+      .expect(403);
+    expect(r.body.error).toMatch(/your own department/i);
+  });
+
   it("covers NaN guards: avgTaskCompletionDays is NaN → coerced to 0, and project days NaN → coerced to 0", async () => {
     // ---- Arrange: real dept/users/project so departmentId is valid
     const dept = await Department.create({ name: "QA" });
@@ -273,6 +292,8 @@ describe("routes/director.js - edge branches", () => {
     await mongoose.connect(mongo.getUri(), { dbName: "director-edges" });
     app = express();
     app.use(express.json());
+    // Act as the Director of whichever department the request asks about
+    app.use(asUser((req) => ({ sub: DIRECTOR_ID, role: "Director", department: req.query.departmentId })));
     app.use("/api/director", directorRouter);
     request = supertest(app);
   });
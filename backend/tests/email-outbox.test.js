@@ -0,0 +1,176 @@
+import { describe, it, beforeAll, afterAll, beforeEach, expect, vi } from "vitest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+vi.mock("nodemailer", () => {
+  const createTransport = vi.fn(() => ({
+    verify: vi.fn(() => Promise.resolve()),
+    sendMail: vi.fn(),
+  }));
+  return { default: { createTransport }, createTransport };
+});
+
+import EmailMessage from "../models/EmailMessage.js";
+import { processOutbox, sendEmail, setTransport } from "../utils/mailer.js";
+import { createMemoryTransport } from "../utils/mail-transports.js";
+import { renderEmail } from "../services/email-templates.js";
+
+const MIN_MS = 60 * 1000;
+const inMinutes = (mins) => new Date(Date.now() + mins * MIN_MS);
+
+// Memory transport that fails the next `n` sends
+function flakyTransport() {
+  const memory = createMemoryTransport();
+  let failures = 0;
+  return {
+    ...memory,
+    failNext(n = 1) {
+      failures = n;
+    },
+    async send(message) {
+      if (failures > 0) {
+        failures--;
+        throw new Error("421 try again later");
+      }
+      return memory.send(message);
+    },
+  };
+}
+
+let mongo;
+let transport;
+let errSpy;
+
+beforeAll(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), { dbName: "email-outbox" });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongo.stop();
+});
+
+beforeEach(async () => {
+  await EmailMessage.deleteMany({});
+  transport = flakyTransport();
+  setTransport(transport);
+  errSpy?.mockRestore();
+  errSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("utils/mailer outbox", () => {
+  it("records a delivered message with its template", async () => {
+    const info = await sendEmail({ to: "a@x.com", ...renderEmail("update", { title: "Ship v2" }) });
+
+    expect(info.messageId).toBeTruthy();
+    expect(transport.messages).toHaveLength(1);
+    const msg = await EmailMessage.findOne({ to: "a@x.com" }).lean();
+    expect(msg).toMatchObject({
+      status: "sent",
+      attempts: 1,
+      subject: "Update: Ship v2",
+      template: { name: "update", version: 1 },
+      transport: "memory",
+      messageId: info.messageId,
+      lastError: null,
+    });
+    expect(msg.text).toContain("Ship v2");
+    expect(msg.sentAt).toBeInstanceOf(Date);
+  });
+
+  it("queues a failed send for retry instead of rejecting", async () => {
+    transport.failNext();
+    const res = await sendEmail({ to: "b@x.com", subject: "Hi", html: "<p>Hi</p>" });
+
+    expect(res).toMatchObject({ queued: true });
+    const msg = await EmailMessage.findById(res.id).lean();
+    expect(msg).toMatchObject({ status: "queued", attempts: 1, lastError: "421 try again later" });
+    expect(msg.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 0.9 * MIN_MS);
+    expect(msg.nextAttemptAt.getTime()).toBeLessThanOrEqual(Date.now() + MIN_MS);
+  });
+
+  it("rejects once a message is out of attempts", async () => {
+    transport.failNext();
+    await expect(sendEmail({ to: "c@x.com", ...renderEmail("otp", { otp: "123456" }) })).rejects.toThrow(
+      "421 try again later"
+    );
+    const msg = await EmailMessage.findOne({ to: "c@x.com" }).lean();
+    expect(msg).toMatchObject({ status: "failed", attempts: 1, maxAttempts: 1, nextAttemptAt: null });
+    expect(msg).toMatchObject({ sensitive: true, html: "", text: "" });
+  });
+
+  it("keeps a sensitive body only until the message is sent, and expires sent messages", async () => {
+    transport.failNext();
+    const reset = renderEmail("password-reset", { link: "http://app/reset?token=abc" });
+    const { id } = await sendEmail({ to: "d@x.com", ...reset });
+    let msg = await EmailMessage.findById(id).lean();
+    expect(msg.text).toContain("token=abc"); // needed for the retry
+
+    await processOutbox(inMinutes(1));
+    msg = await EmailMessage.findById(id).lean();
+    expect(msg).toMatchObject({ status: "sent", html: "", text: "", subject: "Reset your password" });
+
+    await EmailMessage.syncIndexes();
+    const ttl = (await EmailMessage.collection.indexes()).find((i) => i.key.sentAt);
+    expect(ttl.expireAfterSeconds).toBe(30 * 24 * 60 * 60);
+  });
+
+  it("processOutbox retries only due messages and backs off exponentially", async () => {
+    transport.failNext(2);
+    const { id } = await sendEmail({ to: "d@x.com", subject: "Retry", html: "<p>r</p>" });
+
+    // Not due yet
+    expect(await processOutbox(new Date())).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    // Second attempt fails: next try ~2 minutes out
+    expect(await processOutbox(inMinutes(1))).toEqual({ sent: 0, retrying: 1, failed: 0 });
+    let msg = await EmailMessage.findById(id).lean();
+    expect(msg.attempts).toBe(2);
+    expect(msg.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 1.9 * MIN_MS);
+
+    // Third attempt goes through
+    expect(await processOutbox(inMinutes(3))).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    msg = await EmailMessage.findById(id).lean();
+    expect(msg).toMatchObject({ status: "sent", attempts: 3, lastError: null, nextAttemptAt: null });
+    expect(transport.messages.map((m) => m.to)).toEqual(["d@x.com"]);
+  });
+
+  it("processOutbox marks a message failed after its last attempt", async () => {
+    await EmailMessage.create({
+      to: "e@x.com",
+      subject: "Last try",
+      html: "<p>e</p>",
+      status: "queued",
+      attempts: 4,
+      maxAttempts: 5,
+      nextAttemptAt: new Date(),
+    });
+    transport.failNext();
+
+    expect(await processOutbox(inMinutes(1))).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    const msg = await EmailMessage.findOne({ to: "e@x.com" }).lean();
+    expect(msg).toMatchObject({ status: "failed", attempts: 5, nextAttemptAt: null });
+  });
+
+  it("processOutbox picks up messages abandoned mid-send", async () => {
+    const stale = inMinutes(-30);
+    await EmailMessage.create([
+      { to: "f@x.com", subject: "Stale", html: "<p>f</p>", status: "sending", claimedAt: stale },
+      { to: "g@x.com", subject: "In flight", html: "<p>g</p>", status: "sending", claimedAt: new Date() },
+    ]);
+
+    expect(await processOutbox()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    expect(transport.messages.map((m) => m.to)).toEqual(["f@x.com"]);
+  });
+
+  it("processOutbox respects the limit", async () => {
+    const due = new Date();
+    await EmailMessage.create(
+      ["h1", "h2", "h3"].map((n) => ({ to: `${n}@x.com`, subject: n, html: n, status: "queued", nextAttemptAt: due }))
+    );
+
+    expect(await processOutbox(inMinutes(1), { limit: 2 })).toEqual({ sent: 2, retrying: 0, failed: 0 });
+    expect(await EmailMessage.countDocuments({ status: "queued" })).toBe(1);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { EMAIL_TEMPLATES, htmlToText, renderEmail } from "../services/email-templates.js";
+
+describe("services/email-templates", () => {
+  it("lists every template with a version", () => {
+    expect(Object.keys(EMAIL_TEMPLATES)).toEqual(
+      expect.arrayContaining([
+        "otp",
+        "password-reset",
+        "reminder",
+        "overdue",
+        "update",
+        "comment",
+        "mention",
+        "manager-digest",
+        "notification-digest",
+      ])
+    );
+    for (const version of Object.values(EMAIL_TEMPLATES)) expect(version).toBeGreaterThanOrEqual(1);
+  });
+
+  it("renders the OTP with its own text part and a single attempt", () => {
+    const email = renderEmail("otp", { otp: "123456" });
+    expect(email).toMatchObject({
+      subject: "Your Login OTP",
+      text: "Your OTP is 123456. It expires in 5 minutes.",
+      template: { name: "otp", version: EMAIL_TEMPLATES.otp },
+      maxAttempts: 1,
+      sensitive: true,
+    });
+    expect(email.html).toContain("<b>123456</b>");
+  });
+
+  it("renders the password reset link with a reply-to", () => {
+    const email = renderEmail("password-reset", { link: "http://app/reset?token=abc" });
+    expect(email.replyTo).toBe("no-reply@wittlefarms.com");
+    expect(email.sensitive).toBe(true);
+    expect(email.html).toContain('href="http://app/reset?token=abc"');
+    expect(email.text).toContain("http://app/reset?token=abc");
+  });
+
+  it("renders task notifications and derives the text part from the html", () => {
+    const email = renderEmail("update", {
+      title: "Ship v2",
+      message: "Status changed to Done",
+      deadline: null,
+    });
+    expect(email.subject).toBe("Update: Ship v2");
+    expect(email.html).toContain("<h2>Task Updated</h2>");
+    expect(email.text).toContain("Ship v2");
+    expect(email.text).toContain("Deadline: N/A");
+    expect(email.text).not.toMatch(/<[^>]+>/);
+    expect(email).not.toHaveProperty("maxAttempts");
+  });
+
+  it("renders the manager digest grouped by project", () => {
+    const email = renderEmail("manager-digest", {
+      managerName: "Mona",
+      date: "01 Nov 2025",
+      count: 2,
+      projects: [
+        { name: "Apollo", tasks: [{ title: "A", daysOverdue: 3, members: "Ann, Bob" }] },
+        { name: "Zeus", tasks: [{ title: "Z", daysOverdue: 1, members: "Unassigned" }] },
+      ],
+    });
+    expect(email.subject).toBe("[Taskboard] 2 overdue item(s) — please follow up");
+    expect(email.html).toContain("Hi Mona,");
+    expect(email.text).toContain("- A — 3 day(s) overdue\nTeam Members: Ann, Bob");
+    expect(email.text.indexOf("Apollo")).toBeLessThan(email.text.indexOf("Zeus"));
+  });
+
+  it("throws on an unknown template", () => {
+    expect(() => renderEmail("nope")).toThrow("Unknown email template 'nope'");
+  });
+
+  it("htmlToText strips tags and decodes basic entities", () => {
+    expect(htmlToText("<p>A &amp; B</p><ul><li>one</li><li>two</li></ul>")).toBe("A & B\n- one\n- two");
+  });
+});
@@ -12,36 +12,19 @@ vi.mock("../utils/mailer.js", () => ({
 }));
 
 // ─────────────────────────────────────────────────────────────
-// 2) Mock node-cron to capture scheduled callbacks
-// ─────────────────────────────────────────────────────────────
-const cronJobs = [];
-vi.mock("node-cron", () => {
-  return {
-    default: {
-      schedule: (expr, cb) => {
-        cronJobs.push({ expr, cb });
-        return { start: vi.fn(), stop: vi.fn() };
-      },
-    },
-  };
-});
-
-// ─────────────────────────────────────────────────────────────
-// 3) Import models and job initializer (AFTER mocks!)
+// 2) Import models and the reminder senders (AFTER mocks!)
 // ─────────────────────────────────────────────────────────────
 import User from "../models/User.js";
 import Task, { DEFAULT_REMINDERS_MIN } from "../models/Task.js";
 import Notification from "../models/Notification.js";
-import { initReminderJobs } from "../jobs/reminders.js";
+import { sendDailyOverdueReminders, sendUpcomingTaskReminders } from "../jobs/reminders.js";
 
-// Helpers to find the cron jobs registered by reminders.js
+// The per-minute and daily runs, in the shape the tests below drive them
 function getEveryMinuteJob() {
-  // reminders.js schedules "* * * * *" for upcoming reminders
-  return cronJobs.find((j) => j.expr === "* * * * *");
+  return { cb: sendUpcomingTaskReminders };
 }
 function getDailyNineAMJob() {
-  // reminders.js schedules "0 9 * * *" for overdue digest
-  return cronJobs.find((j) => j.expr === "0 9 * * *");
+  return { cb: sendDailyOverdueReminders };
 }
 
 let mongo;
@@ -50,13 +33,10 @@ const STRONG = "StrongPass123!";
 // ─────────────────────────────────────────────────────────────
 // Single Suite with ALL tests
 // ─────────────────────────────────────────────────────────────
-describe("Email reminders via cron jobs (no changes to reminders.js)", () => {
+describe("Email reminders (jobs/reminders.js senders)", () => {
   beforeAll(async () => {
     mongo = await MongoMemoryServer.create();
     await mongoose.connect(mongo.getUri(), { dbName: "e2e-email-reminders" });
-
-    // Register cron jobs into our mock (fills cronJobs[])
-    initReminderJobs();
   });
 
   afterAll(async () => {
@@ -0,0 +1,26 @@
+import jwt from "jsonwebtoken";
+
+const getSecret = () => process.env.JWT_SECRET ?? "dev_secret_change_me";
+
+/** Signs an access token with the same claims as routes/auth.js signAccessToken. */
+export function signTestToken({ sub, role = "Staff", department = null }) {
+  return jwt.sign(
+    { sub: String(sub), role, department: department ? String(department) : null },
+    getSecret(),
+    { expiresIn: "1h" }
+  );
+}
+
+/**
+ * Test-app middleware: requests that don't set their own Authorization header
+ * are sent as the user described by `getClaims(req)`.
+ */
+export function asUser(getClaims) {
+  return (req, _res, next) => {
+    if (!req.headers.authorization) {
+      const claims = getClaims(req);
+      if (claims) req.headers.authorization = `Bearer ${signTestToken(claims)}`;
+    }
+    next();
+  };
+}
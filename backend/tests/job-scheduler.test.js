@@ -0,0 +1,196 @@
+import { describe, it, beforeAll, afterAll, beforeEach, expect, vi } from "vitest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+import ScheduledJob from "../models/ScheduledJob.js";
+import JobRun from "../models/JobRun.js";
+import {
+  WORKER_ID,
+  defineJob,
+  listJobs,
+  runDueJobs,
+  syncJobs,
+  triggerJob,
+} from "../services/job-scheduler.js";
+
+const NOW = new Date("2025-11-01T01:00:00Z"); // 09:00 Singapore
+const MIN_MS = 60 * 1000;
+const later = (mins) => new Date(NOW.getTime() + mins * MIN_MS);
+// Retries count from when the run finished: a few real milliseconds after `now`
+const expectAbout = (date, expected) => {
+  expect(date.getTime()).toBeGreaterThanOrEqual(expected.getTime());
+  expect(date.getTime()).toBeLessThan(expected.getTime() + 5000);
+};
+
+let mongo;
+beforeAll(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), { dbName: "job-scheduler" });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongo.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([ScheduledJob.deleteMany({}), JobRun.deleteMany({})]);
+});
+
+// Definitions are module-level, so each test registers its own job name
+let seq = 0;
+function job(options = {}) {
+  const name = `job-${++seq}`;
+  const handler = options.handler ?? vi.fn().mockResolvedValue(undefined);
+  defineJob(name, { schedule: "0 * * * *", retryDelayMs: MIN_MS, ...options, handler });
+  return { name, handler };
+}
+
+describe("services/job-scheduler", () => {
+  it("creates each job at its next slot and keeps an existing nextRunAt", async () => {
+    const { name } = job();
+    await syncJobs(later(-30)); // 08:30 local
+    let doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc.nextRunAt).toEqual(NOW);
+
+    // Restarting later must not skip the slot it missed
+    await syncJobs(later(90));
+    doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc.nextRunAt).toEqual(NOW);
+  });
+
+  it("reschedules when the definition's schedule changes", async () => {
+    const { name } = job();
+    await syncJobs(later(-30));
+    defineJob(name, { schedule: "0 9 * * *", handler: vi.fn() });
+    await syncJobs(later(-30));
+    const doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc.schedule).toBe("0 9 * * *");
+    expect(doc.nextRunAt).toEqual(NOW);
+  });
+
+  it("runs a due job once, records the run and moves to the next slot", async () => {
+    const { name, handler } = job();
+    await syncJobs(later(-30));
+
+    const [run] = await runDueJobs(NOW);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ trigger: "schedule", attempt: 1, since: null }));
+    expect(run).toMatchObject({ job: name, status: "succeeded", trigger: "schedule", worker: WORKER_ID });
+    expect(run.durationMs).toBeGreaterThanOrEqual(0);
+
+    const doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc).toMatchObject({ lastStatus: "succeeded", lockedBy: null, attempt: 0 });
+    expect(doc.nextRunAt).toEqual(later(60));
+
+    // Same slot again (e.g. a second instance polling): nothing to do
+    expect(await runDueJobs(NOW)).toEqual([]);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips a job another instance holds the lock on", async () => {
+    const { name, handler } = job();
+    await syncJobs(later(-30));
+    await ScheduledJob.updateOne({ name }, { $set: { lockedBy: "other:1", lockedUntil: later(5) } });
+
+    expect(await runDueJobs(NOW)).toEqual([]);
+    expect(handler).not.toHaveBeenCalled();
+
+    // A lock left behind by a crashed instance expires
+    expect(await runDueJobs(later(6))).toHaveLength(1);
+  });
+
+  it("catches up missed slots with a single run and passes the last success", async () => {
+    const { name, handler } = job();
+    const lastSuccessAt = later(-300);
+    await syncJobs(later(-30));
+    await ScheduledJob.updateOne({ name }, { $set: { nextRunAt: later(-240), lastSuccessAt } });
+
+    const runs = await runDueJobs(NOW);
+    expect(runs.map((r) => r.trigger)).toEqual(["catch-up"]);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ since: lastSuccessAt }));
+    expect((await ScheduledJob.findOne({ name }).lean()).nextRunAt).toEqual(later(60));
+  });
+
+  it("retries with backoff, then gives up until the next slot", async () => {
+    const errSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+    const { name } = job({ handler: vi.fn().mockRejectedValue(new Error("boom")), maxAttempts: 3 });
+    await syncJobs(later(-30));
+
+    let [run] = await runDueJobs(NOW);
+    expect(run).toMatchObject({ status: "failed", error: "boom", attempt: 1, trigger: "schedule" });
+    let doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc).toMatchObject({ attempt: 1, lastStatus: "failed", lastError: "boom" });
+    expectAbout(doc.nextRunAt, later(1));
+
+    [run] = await runDueJobs(later(2));
+    expect(run).toMatchObject({ attempt: 2, trigger: "retry" });
+    expectAbout((await ScheduledJob.findOne({ name }).lean()).nextRunAt, later(4)); // 2 minutes later
+
+    [run] = await runDueJobs(later(5));
+    expect(run.attempt).toBe(3);
+    doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc.attempt).toBe(0);
+    expect(doc.nextRunAt).toEqual(later(60));
+
+    expect(await JobRun.countDocuments({ job: name, status: "failed" })).toBe(3);
+    errSpy.mockRestore();
+  });
+
+  it("keeps the lock while a long run is going", async () => {
+    let lockedUntil = null;
+    const { name } = job({
+      lockMs: 200,
+      handler: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        lockedUntil = (await ScheduledJob.findOne({ name }).lean()).lockedUntil;
+      },
+    });
+    await syncJobs(later(-30));
+
+    const [run] = await runDueJobs(NOW);
+    expect(run.status).toBe("succeeded");
+    // Taken until NOW + 200ms, then renewed while the handler ran
+    expect(lockedUntil.getTime()).toBeGreaterThan(NOW.getTime() + 400);
+    expect((await ScheduledJob.findOne({ name }).lean()).lockedBy).toBeNull();
+  });
+
+  it("schedules the next slot after a run that outlasted it, without a catch-up", async () => {
+    const { name, handler } = job({
+      handler: vi.fn(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }),
+    });
+    await syncJobs(later(-30));
+
+    // 1ms before the 10:00 slot: the run ends after it
+    await runDueJobs(new Date(later(60).getTime() - 1));
+    expect((await ScheduledJob.findOne({ name }).lean()).nextRunAt).toEqual(later(120));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("runs a job on demand without moving its schedule, unless it's running", async () => {
+    const { name, handler } = job();
+    await syncJobs(later(-30));
+
+    const run = await triggerJob(name, later(-30));
+    expect(run).toMatchObject({ trigger: "manual", status: "succeeded", scheduledFor: null });
+    expect(handler).toHaveBeenCalledTimes(1);
+    const doc = await ScheduledJob.findOne({ name }).lean();
+    expect(doc.nextRunAt).toEqual(NOW);
+    expect(doc.lastSuccessAt).toBeTruthy();
+
+    await ScheduledJob.updateOne({ name }, { $set: { lockedBy: "other:1", lockedUntil: later(5) } });
+    expect(await triggerJob(name, NOW)).toBeNull();
+    await expect(triggerJob("no-such-job")).rejects.toThrow(/Unknown job/);
+  });
+
+  it("lists jobs with their recent runs", async () => {
+    const { name } = job({ maxAttempts: 5 });
+    await syncJobs(later(-30));
+    await runDueJobs(NOW);
+
+    const listed = (await listJobs()).find((j) => j.name === name);
+    expect(listed).toMatchObject({ maxAttempts: 5, running: false, lastStatus: "succeeded" });
+    expect(listed.recentRuns).toHaveLength(1);
+  });
+});
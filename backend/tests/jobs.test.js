@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import { asUser } from "./helpers/auth.js";
+
+const scheduler = {
+  getJobDefinition: vi.fn(),
+  listJobs: vi.fn(),
+  listRuns: vi.fn(),
+  triggerJob: vi.fn(),
+};
+vi.mock("../services/job-scheduler.js", () => scheduler);
+
+const { default: router } = await import("../routes/jobs.js");
+
+let role = "HR";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: "65a000000000000000000001", role })));
+app.use("/api/admin/jobs", router);
+
+describe("/api/admin/jobs", () => {
+  beforeEach(() => {
+    role = "HR";
+    Object.values(scheduler).forEach((fn) => fn.mockReset());
+    scheduler.getJobDefinition.mockImplementation((name) => (name === "reminders" ? { name } : null));
+  });
+
+  it("is limited to HR and Senior Managers", async () => {
+    role = "Manager";
+    const r = await request(app).get("/api/admin/jobs");
+    expect(r.status).toBe(403);
+    expect(scheduler.listJobs).not.toHaveBeenCalled();
+  });
+
+  it("GET / lists jobs", async () => {
+    scheduler.listJobs.mockResolvedValue([{ name: "reminders", schedule: "* * * * *", recentRuns: [] }]);
+    role = "Senior Manager";
+    const r = await request(app).get("/api/admin/jobs");
+    expect(r.status).toBe(200);
+    expect(r.body).toEqual([{ name: "reminders", schedule: "* * * * *", recentRuns: [] }]);
+  });
+
+  it("GET /:name/runs pages history and validates input", async () => {
+    scheduler.listRuns.mockResolvedValue([{ job: "reminders", status: "succeeded" }]);
+    const r = await request(app).get("/api/admin/jobs/reminders/runs?limit=5&before=2025-11-01T00:00:00Z");
+    expect(r.status).toBe(200);
+    expect(scheduler.listRuns).toHaveBeenCalledWith("reminders", {
+      limit: 5,
+      before: new Date("2025-11-01T00:00:00Z"),
+    });
+
+    expect((await request(app).get("/api/admin/jobs/reminders/runs?limit=0")).status).toBe(400);
+    expect((await request(app).get("/api/admin/jobs/reminders/runs?before=soon")).status).toBe(400);
+    expect((await request(app).get("/api/admin/jobs/nope/runs")).status).toBe(404);
+  });
+
+  it("POST /:name/run returns the finished run", async () => {
+    scheduler.triggerJob.mockResolvedValue({ job: "reminders", trigger: "manual", status: "failed", error: "boom" });
+    const r = await request(app).post("/api/admin/jobs/reminders/run");
+    expect(r.status).toBe(200);
+    expect(r.body).toMatchObject({ trigger: "manual", status: "failed", error: "boom" });
+  });
+
+  it("POST /:name/run 409s while the job is running and 404s unknown jobs", async () => {
+    scheduler.triggerJob.mockResolvedValue(null);
+    expect((await request(app).post("/api/admin/jobs/reminders/run")).status).toBe(409);
+    expect((await request(app).post("/api/admin/jobs/nope/run")).status).toBe(404);
+    expect(scheduler.triggerJob).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import Label from "../models/Label.js";
+import Project from "../models/Project.js";
+import { asUser } from "./helpers/auth.js";
+import { coerceLabelIds, labelFilter, validateLabel } from "../utils/labels.js";
+
+vi.mock("../services/labels.js", () => ({
+  deleteLabel: vi.fn(),
+  listLabels: vi.fn(),
+}));
+
+const service = await import("../services/labels.js");
+const { default: labelsRouter } = await import("../routes/labels.js");
+
+const ME = "65b000000000000000000001";
+const OTHER = "65b000000000000000000002";
+const PROJECT = "65b000000000000000000020";
+const LABEL = "65b000000000000000000030";
+const LABEL_2 = "65b000000000000000000031";
+
+let role = "Staff";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role })));
+app.use("/api/labels", labelsRouter);
+
+const selectLean = (result) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(result),
+});
+
+describe("utils/labels", () => {
+  it("parses label ids from arrays, JSON and CSV", () => {
+    expect(coerceLabelIds(undefined)).toEqual({ ids: undefined });
+    expect(coerceLabelIds("")).toEqual({ ids: [] });
+    expect(coerceLabelIds([LABEL, LABEL])).toEqual({ ids: [LABEL] });
+    expect(coerceLabelIds(JSON.stringify([LABEL, LABEL_2]))).toEqual({ ids: [LABEL, LABEL_2] });
+    expect(coerceLabelIds(`${LABEL}, ${LABEL_2}`)).toEqual({ ids: [LABEL, LABEL_2] });
+    expect(coerceLabelIds([{ _id: LABEL }])).toEqual({ ids: [LABEL] });
+    expect(coerceLabelIds(["nope"]).error).toMatch(/Invalid label/);
+  });
+
+  it("builds any/all filters", () => {
+    expect(labelFilter({})).toBeNull();
+    const any = labelFilter({ labels: `${LABEL},${LABEL_2}` });
+    expect(any.labels.$in.map(String)).toEqual([LABEL, LABEL_2]);
+    const all = labelFilter({ labels: [LABEL], labelMatch: "ALL" });
+    expect(all.labels.$all[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(labelFilter({ labels: LABEL, labelMatch: "most" }).error).toMatch(/labelMatch/);
+    expect(labelFilter({ labels: "x" }).error).toMatch(/Invalid label/);
+  });
+
+  it("validates names and colours", () => {
+    expect(validateLabel({ name: " Customer ", color: "#1E88E5" })).toEqual({
+      label: { name: "Customer", color: "#1e88e5" },
+    });
+    expect(validateLabel({}).error).toMatch(/required/);
+    expect(validateLabel({ name: "x".repeat(51) }).error).toMatch(/50/);
+    expect(validateLabel({ name: "Ok", color: "blue" }).error).toMatch(/hex/);
+    expect(validateLabel({ color: "#000000" }, { partial: true })).toEqual({ label: { color: "#000000" } });
+  });
+});
+
+describe("routes/labels", () => {
+  beforeEach(() => {
+    role = "Staff";
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it("lists a project's labels for its members only", async () => {
+    service.listLabels.mockResolvedValue([{ _id: LABEL, name: "Urgent" }]);
+    vi.spyOn(Project, "findById").mockReturnValue(selectLean({ _id: PROJECT, createdBy: ME, teamMembers: [] }));
+
+    const res = await request(app).get("/api/labels").query({ project: PROJECT }).expect(200);
+    expect(res.body).toEqual([{ _id: LABEL, name: "Urgent" }]);
+    expect(service.listLabels).toHaveBeenCalledWith([PROJECT]);
+
+    Project.findById.mockReturnValue(selectLean({ _id: PROJECT, createdBy: OTHER, teamMembers: [] }));
+    await request(app).get("/api/labels").query({ project: PROJECT }).expect(403);
+  });
+
+  it("keeps organisation-wide labels to HR and Senior Managers", async () => {
+    const create = vi.spyOn(Label, "create").mockResolvedValue({ _id: LABEL, name: "Urgent" });
+    await request(app).post("/api/labels").send({ name: "Urgent" }).expect(403);
+
+    role = "HR";
+    await request(app).post("/api/labels").send({ name: "Urgent", color: "#E53935" }).expect(201);
+    expect(create).toHaveBeenCalledWith({ name: "Urgent", color: "#e53935", project: null, createdBy: ME });
+  });
+
+  it("lets project members add project labels and 409s duplicates", async () => {
+    vi.spyOn(Project, "findById").mockReturnValue(selectLean({ _id: PROJECT, createdBy: OTHER, teamMembers: [ME] }));
+    const create = vi.spyOn(Label, "create").mockResolvedValueOnce({ _id: LABEL, name: "Customer" });
+
+    await request(app).post("/api/labels").send({ name: "Customer", project: PROJECT }).expect(201);
+
+    create.mockRejectedValueOnce(Object.assign(new Error("E11000"), { code: 11000 }));
+    const dup = await request(app).post("/api/labels").send({ name: "customer", project: PROJECT }).expect(409);
+    expect(dup.body.error).toMatch(/already exists/);
+  });
+
+  it("400s bad input before touching the database", async () => {
+    const create = vi.spyOn(Label, "create");
+    await request(app).post("/api/labels").send({ name: "" }).expect(400);
+    await request(app).post("/api/labels").send({ name: "Ok", project: "nope" }).expect(400);
+    await request(app).put("/api/labels/nope").send({ name: "Ok" }).expect(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("deletes a label it may manage", async () => {
+    const findById = vi.spyOn(Label, "findById");
+    findById.mockReturnValueOnce({ lean: vi.fn().mockResolvedValue({ _id: LABEL, project: null }) });
+    await request(app).delete(`/api/labels/${LABEL}`).expect(403);
+
+    role = "Senior Manager";
+    findById.mockReturnValueOnce({ lean: vi.fn().mockResolvedValue({ _id: LABEL, project: null }) });
+    await request(app).delete(`/api/labels/${LABEL}`).expect(200);
+    expect(service.deleteLabel).toHaveBeenCalledWith(LABEL);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { groupDigest } from "../jobs/notification-digest.js";
+
+const note = (type, project, minute, message = `${type}@${minute}`) => ({
+  type,
+  message,
+  scheduledFor: new Date(Date.UTC(2025, 10, 1, 0, minute)),
+  taskId: { title: "T", assignedProject: project ? { name: project } : null },
+});
+
+describe("jobs/notification-digest groupDigest", () => {
+  it("groups by project name, unassigned tasks last", () => {
+    const groups = groupDigest([
+      note("update", null, 1),
+      note("update", "Zeus", 2),
+      note("update", "Apollo", 3),
+    ]);
+    expect(groups.map((g) => g.project)).toEqual(["Apollo", "Zeus", "No project"]);
+  });
+
+  it("orders sections by urgency and items by time", () => {
+    const [{ sections }] = groupDigest([
+      note("update", "Apollo", 9),
+      note("comment", "Apollo", 8),
+      note("update", "Apollo", 1),
+      note("overdue", "Apollo", 5),
+      note("mention", "Apollo", 7),
+      note("reminder", "Apollo", 6),
+    ]);
+    expect(sections.map((s) => s.label)).toEqual(["Overdue", "Due soon", "Mentions", "Comments", "Updates"]);
+    expect(sections.at(-1).items.map((n) => n.message)).toEqual(["update@1", "update@9"]);
+  });
+
+  it("returns nothing for an empty batch", () => {
+    expect(groupDigest([])).toEqual([]);
+  });
+});
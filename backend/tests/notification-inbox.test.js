@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Notification from "../models/Notification.js";
+import Task from "../models/Task.js";
+import { asUser } from "./helpers/auth.js";
+import notificationsRouter from "../routes/notifications.js";
+import { decodeCursor, encodeCursor, inboxQuery } from "../utils/notification-inbox.js";
+
+const ME = "65b000000000000000000001";
+const PROJECT = "65b000000000000000000020";
+const TASK = "65b000000000000000000030";
+const N1 = "65b000000000000000000041";
+const N2 = "65b000000000000000000042";
+const N3 = "65b000000000000000000043";
+
+const io = { emit: vi.fn(), to: vi.fn(() => io) };
+const app = express();
+app.use(express.json());
+app.set("io", io);
+app.use(asUser(() => ({ sub: ME, role: "Staff" })));
+app.use("/api/notifications", notificationsRouter);
+
+const note = (_id, at, over = {}) => ({ _id, userId: ME, type: "comment", message: "Hi", read: false, scheduledFor: new Date(at), ...over });
+
+/** Stub Notification.find's chain, returning `docs`; the filter and limit are recorded. */
+function stubFind(docs) {
+  const calls = [];
+  vi.spyOn(Notification, "find").mockImplementation((filter) => {
+    const call = { filter };
+    calls.push(call);
+    const chain = {
+      sort: () => chain,
+      limit: (n) => ((call.limit = n), chain),
+      populate: () => chain,
+      lean: async () => docs.slice(0, call.limit),
+    };
+    return chain;
+  });
+  return calls;
+}
+
+describe("utils/notification-inbox", () => {
+  it("parses filters and refuses bad ones", () => {
+    expect(inboxQuery({})).toEqual({
+      limit: 20,
+      cursor: null,
+      types: null,
+      read: undefined,
+      archived: false,
+      project: null,
+      from: null,
+      to: null,
+    });
+    expect(inboxQuery({ limit: "500", type: "comment,mention", read: "false", archived: "true" })).toMatchObject({
+      limit: 100,
+      types: ["comment", "mention"],
+      read: false,
+      archived: true,
+    });
+    expect(inboxQuery({ type: "comment,spam" }).error).toBe("Unknown notification type 'spam'");
+    expect(inboxQuery({ read: "yes" }).error).toMatch(/read/);
+    expect(inboxQuery({ project: "nope" }).error).toBe("Invalid project ID");
+    expect(inboxQuery({ from: "2026-03-02", to: "2026-03-01" }).error).toMatch(/'from'/);
+    expect(inboxQuery({ cursor: "garbage" }).error).toBe("Invalid cursor");
+  });
+
+  it("round-trips a cursor", () => {
+    const cursor = encodeCursor(note(N1, "2026-03-01T02:00:00Z"));
+    expect(decodeCursor(cursor)).toEqual({ at: new Date("2026-03-01T02:00:00Z"), id: N1 });
+  });
+});
+
+describe("/api/notifications", () => {
+  beforeEach(() => {
+    io.emit.mockClear();
+    io.to.mockClear();
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("pages through the caller's inbox with filters", async () => {
+    const calls = stubFind([note(N3, "2026-03-03"), note(N2, "2026-03-02"), note(N1, "2026-03-01")]);
+    vi.spyOn(Task, "find").mockReturnValue({ select: () => ({ lean: async () => [{ _id: TASK }] }) });
+
+    const res = await request(app)
+      .get("/api/notifications")
+      .query({ limit: 2, type: "comment", read: "false", project: PROJECT, from: "2026-01-01" })
+      .expect(200);
+
+    expect(res.body.items.map((n) => n._id)).toEqual([N3, N2]);
+    expect(decodeCursor(res.body.nextCursor)).toEqual({ at: new Date("2026-03-02"), id: N2 });
+    expect(calls[0].limit).toBe(3);
+    expect(calls[0].filter.$and).toEqual([
+      { userId: ME, "channels.inApp": { $ne: false }, archived: { $ne: true } },
+      { type: { $in: ["comment"] } },
+      { read: false },
+      { scheduledFor: { $gte: new Date("2026-01-01") } },
+      { taskId: { $in: [TASK] } },
+    ]);
+
+    // The next page starts after the cursor; the last page has no cursor
+    const next = await request(app).get("/api/notifications").query({ cursor: res.body.nextCursor, archived: "true" }).expect(200);
+    expect(next.body.nextCursor).toBeNull();
+    expect(calls[1].filter.$and[0].archived).toBe(true);
+    expect(calls[1].filter.$and[1].$or[1]).toMatchObject({ scheduledFor: new Date("2026-03-02") });
+
+    await request(app).get("/api/notifications").query({ type: "spam" }).expect(400);
+  });
+
+  it("counts unread notifications in the inbox", async () => {
+    const count = vi.spyOn(Notification, "countDocuments").mockResolvedValue(4);
+    const res = await request(app).get("/api/notifications/unread-count").expect(200);
+    expect(res.body).toEqual({ count: 4 });
+    expect(count).toHaveBeenCalledWith({ userId: ME, "channels.inApp": { $ne: false }, archived: { $ne: true }, read: false });
+  });
+
+  it("marks one of the caller's notifications unread or archives it", async () => {
+    const update = vi
+      .spyOn(Notification, "findOneAndUpdate")
+      .mockReturnValueOnce({ populate: () => ({ lean: async () => note(N1, "2026-03-01", { archived: true }) }) })
+      .mockReturnValueOnce({ populate: () => ({ lean: async () => null }) });
+
+    const res = await request(app).patch(`/api/notifications/${N1}`).send({ archived: true, read: false }).expect(200);
+    expect(res.body.archived).toBe(true);
+    expect(update).toHaveBeenCalledWith({ _id: N1, userId: ME }, { $set: { read: false, archived: true } }, { new: true });
+    expect(io.to).toHaveBeenCalledWith([`user:${ME}`]);
+    expect(io.emit).toHaveBeenCalledWith("notifications:changed", {});
+
+    // Someone else's
+    await request(app).patch(`/api/notifications/${N2}`).send({ read: true }).expect(404);
+    await request(app).patch(`/api/notifications/${N2}`).send({}).expect(400);
+    await request(app).patch(`/api/notifications/${N2}`).send({ read: "yes" }).expect(400);
+  });
+
+  it("marks everything up to a time read", async () => {
+    const update = vi.spyOn(Notification, "updateMany").mockResolvedValue({ modifiedCount: 3 });
+    const res = await request(app).post("/api/notifications/mark-all").send({ before: "2026-03-02T00:00:00Z" }).expect(200);
+    expect(res.body).toEqual({ updated: 3 });
+    expect(update).toHaveBeenCalledWith(
+      {
+        userId: ME,
+        "channels.inApp": { $ne: false },
+        archived: { $ne: true },
+        read: false,
+        scheduledFor: { $lte: new Date("2026-03-02T00:00:00Z") },
+      },
+      { $set: { read: true } }
+    );
+
+    await request(app).post("/api/notifications/mark-all").send({ before: "soon" }).expect(400);
+  });
+});
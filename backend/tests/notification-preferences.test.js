@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import NotificationPreference from "../models/NotificationPreference.js";
+import { asUser } from "./helpers/auth.js";
+import router from "../routes/notification-preferences.js";
+import {
+  applyPreferences,
+  channelsFor,
+  getPreferencesFor,
+  isDigestDue,
+  isQuietTime,
+  preferencesUpdate,
+} from "../services/notification-preferences.js";
+
+const ME = "65a000000000000000000001";
+const OTHER = "65a000000000000000000002";
+
+const lean = (result) => ({ lean: vi.fn().mockResolvedValue(result) });
+
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role: "Staff" })));
+app.use("/api/notifications", router);
+
+// Quiet 22:00–07:00 Singapore time (UTC+8)
+const quiet = {
+  quietHours: { enabled: true, start: "22:00", end: "07:00" },
+  timezone: "Asia/Singapore",
+};
+
+describe("services/notification-preferences", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("defaults", () => {
+    it("fills in schema defaults for users who never saved anything", async () => {
+      vi.spyOn(NotificationPreference, "find").mockReturnValue(
+        lean([{ user: OTHER, types: { update: { email: false } } }])
+      );
+      const prefs = await getPreferencesFor([ME, OTHER, ME]);
+
+      expect(channelsFor(prefs.get(ME), "reminder")).toEqual({ inApp: true, email: true });
+      // comments and mentions were never emailed, so that stays the default
+      expect(channelsFor(prefs.get(ME), "comment")).toEqual({ inApp: true, email: false });
+      expect(prefs.get(ME).emailFrequency).toBe("instant");
+      expect(channelsFor(prefs.get(OTHER), "update")).toEqual({ inApp: true, email: false });
+    });
+  });
+
+  describe("applyPreferences", () => {
+    it("stamps channels and drops drafts the recipient switched off", async () => {
+      vi.spyOn(NotificationPreference, "find").mockReturnValue(
+        lean([{ user: OTHER, types: { mention: { inApp: false, email: false } } }])
+      );
+      const out = await applyPreferences([
+        { userId: ME, type: "mention", message: "a" },
+        { userId: OTHER, type: "mention", message: "b" },
+      ]);
+      expect(out).toEqual([
+        { userId: ME, type: "mention", message: "a", channels: { inApp: true, email: false } },
+      ]);
+    });
+
+    it("does not query for an empty batch", async () => {
+      const find = vi.spyOn(NotificationPreference, "find");
+      expect(await applyPreferences([])).toEqual([]);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("isQuietTime", () => {
+    it("wraps past midnight in the user's timezone", () => {
+      expect(isQuietTime(quiet, new Date("2025-11-01T15:00:00Z"))).toBe(true); // 23:00 local
+      expect(isQuietTime(quiet, new Date("2025-11-01T22:30:00Z"))).toBe(true); // 06:30 local
+      expect(isQuietTime(quiet, new Date("2025-11-01T23:00:00Z"))).toBe(false); // 07:00 local
+      expect(isQuietTime(quiet, new Date("2025-11-01T04:00:00Z"))).toBe(false); // noon
+    });
+
+    it("is off unless enabled", () => {
+      const off = { ...quiet, quietHours: { ...quiet.quietHours, enabled: false } };
+      expect(isQuietTime(off, new Date("2025-11-01T15:00:00Z"))).toBe(false);
+    });
+  });
+
+  describe("isDigestDue", () => {
+    it("sends hourly digests at most once an hour", () => {
+      const prefs = { emailFrequency: "hourly", lastDigestAt: new Date("2025-11-01T10:00:00Z") };
+      expect(isDigestDue(prefs, new Date("2025-11-01T10:59:00Z"))).toBe(false);
+      expect(isDigestDue(prefs, new Date("2025-11-01T11:00:00Z"))).toBe(true);
+      expect(isDigestDue({ emailFrequency: "hourly" })).toBe(true);
+    });
+
+    it("sends daily digests once a local day, from 08:00", () => {
+      const prefs = {
+        emailFrequency: "daily",
+        timezone: "Asia/Singapore",
+        lastDigestAt: new Date("2025-10-31T01:00:00Z"), // 09:00 local, 31 Oct
+      };
+      expect(isDigestDue(prefs, new Date("2025-10-31T05:00:00Z"))).toBe(false); // same day
+      expect(isDigestDue(prefs, new Date("2025-10-31T23:30:00Z"))).toBe(false); // 07:30, 1 Nov
+      expect(isDigestDue(prefs, new Date("2025-11-01T00:30:00Z"))).toBe(true); // 08:30, 1 Nov
+    });
+  });
+
+  describe("preferencesUpdate", () => {
+    it("flattens a partial payload into a $set", () => {
+      expect(preferencesUpdate({
+        types: { comment: { email: true } },
+        quietHours: { enabled: true, start: "21:30" },
+        timezone: "Europe/London",
+        emailFrequency: "daily",
+      })).toEqual({
+        update: {
+          "types.comment.email": true,
+          "quietHours.enabled": true,
+          "quietHours.start": "21:30",
+          timezone: "Europe/London",
+          emailFrequency: "daily",
+        },
+      });
+    });
+
+    it("rejects unknown types, channels and bad values", () => {
+      expect(preferencesUpdate({ types: { digest: {} } }).error).toMatch(/Unknown notification type/);
+      expect(preferencesUpdate({ types: { update: { sms: true } } }).error).toMatch(/Unknown channel/);
+      expect(preferencesUpdate({ types: { update: { email: "yes" } } }).error).toMatch(/boolean/);
+      expect(preferencesUpdate({ quietHours: { start: "9pm" } }).error).toMatch(/HH:mm/);
+      expect(preferencesUpdate({ timezone: "Mars/Olympus" }).error).toBe("Unknown timezone");
+      expect(preferencesUpdate({ emailFrequency: "weekly" }).error).toMatch(/emailFrequency/);
+    });
+  });
+});
+
+describe("/api/notifications/preferences", () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("GET returns the caller's preferences with defaults", async () => {
+    const findOne = vi.spyOn(NotificationPreference, "findOne").mockReturnValue(lean(null));
+    const r = await request(app).get("/api/notifications/preferences");
+
+    expect(r.status).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ user: ME });
+    expect(r.body.types.update).toEqual({ inApp: true, email: true });
+    expect(r.body.quietHours).toEqual({ enabled: false, start: "22:00", end: "07:00" });
+  });
+
+  it("PUT upserts only the fields sent", async () => {
+    const saved = { user: ME, emailFrequency: "hourly" };
+    const upsert = vi.spyOn(NotificationPreference, "findOneAndUpdate").mockReturnValue(lean(saved));
+
+    const r = await request(app)
+      .put("/api/notifications/preferences")
+      .send({ emailFrequency: "hourly" });
+
+    expect(r.status).toBe(200);
+    expect(r.body.emailFrequency).toBe("hourly");
+    expect(upsert).toHaveBeenCalledWith(
+      { user: ME },
+      { $set: { emailFrequency: "hourly" } },
+      expect.objectContaining({ upsert: true, runValidators: true })
+    );
+  });
+
+  it("PUT 400s on invalid input without touching the DB", async () => {
+    const upsert = vi.spyOn(NotificationPreference, "findOneAndUpdate");
+    const r = await request(app)
+      .put("/api/notifications/preferences")
+      .send({ timezone: "Nowhere/Special" });
+
+    expect(r.status).toBe(400);
+    expect(r.body.error).toBe("Unknown timezone");
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
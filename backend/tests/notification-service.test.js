@@ -8,6 +8,7 @@ import Notification from "../models/Notification.js";
 import User from "../models/User.js";
 import Project from "../models/Project.js";
 import Comment from "../models/Comment.js";
+import NotificationPreference from "../models/NotificationPreference.js";
 
 // SUT
 import {
@@ -20,6 +21,7 @@ import {
   createMentionNotifications,
   createUpdateNotifications,
 } from "../services/notification-service.js";
+import { runNotificationDigest } from "../jobs/notification-digest.js";
 
 /* ---------------- Mock mailer ---------------- */
 const sendEmailMock = vi.fn().mockResolvedValue({ messageId: "mocked" });
@@ -59,6 +61,7 @@ beforeEach(async () => {
     User.deleteMany({}),
     Project.deleteMany({}),
     Comment.deleteMany({}),
+    NotificationPreference.deleteMany({}),
   ]);
 });
 
@@ -382,7 +385,7 @@ describe("sendPendingEmails", () => {
 /* 4) createCommentNotifications                                              */
 /* ========================================================================== */
 describe("createCommentNotifications", () => {
-  it("notifies assignees and managers (via createdBy); author excluded; note: service currently ignores excludeUserIds", async () => {
+  it("notifies assignees and managers (via createdBy); author and excludeUserIds excluded", async () => {
     const a1 = await User.create({
       name: "Assignee1",
       email: "a1@example.com",
@@ -432,12 +435,12 @@ describe("createCommentNotifications", () => {
       commentId: new mongoose.Types.ObjectId(),
       authorId: author._id,
       commentBody: "Please see updates in section 2.",
-      excludeUserIds: new Set([excludeGuy._id]), // NOTE: current service ignores this
+      excludeUserIds: new Set([excludeGuy._id]), // e.g. already notified of a mention
     });
 
-    // Expect at least: a1, a2, mgr  => 3; service also includes excludeGuy because excludeUserIds is not applied
+    // a1, a2, mgr
     expect(Array.isArray(created)).toBe(true);
-    expect(created.length).toBeGreaterThanOrEqual(3);
+    expect(created).toHaveLength(3);
 
     const docs = await Notification.find({ taskId: task._id, type: "comment" }).lean();
     const userSet = new Set(docs.map((d) => String(d.userId)));
@@ -450,8 +453,8 @@ describe("createCommentNotifications", () => {
     // Author excluded:
     expect(userSet.has(String(author._id))).toBe(false);
 
-    // Current behavior: excludeUserIds is NOT applied in service (recipients inserted unfiltered)
-    expect(userSet.has(String(excludeGuy._id))).toBe(true);
+    // Excluded (the mention path notified them already):
+    expect(userSet.has(String(excludeGuy._id))).toBe(false);
   });
 
   it("uses 'Someone' when author not found; creates docs for assignees + createdBy manager", async () => {
@@ -775,6 +778,39 @@ describe("createUpdateNotifications & sendPendingEmails — UPDATE branch", () =
     const refreshed = await Notification.findById(sentIds[0]).lean();
     expect(refreshed?.sent).toBe(true);
   });
+
+  it("spells out the field changes when given", async () => {
+    const author = await User.create({
+      name: "Carol",
+      email: "carol@example.com",
+      role: "Staff",
+      password: "StrongPass123!",
+    });
+    const assignee = await User.create({
+      name: "Dan",
+      email: "dan@example.com",
+      role: "Staff",
+      password: "StrongPass123!",
+    });
+    const task = await Task.create({
+      title: "Launch",
+      status: "In Progress",
+      createdBy: author._id,
+      assignedTeamMembers: [assignee._id],
+    });
+
+    const [made] = await createUpdateNotifications({
+      taskId: task._id,
+      authorId: author._id,
+      changes: [
+        { field: "deadline", from: "2025-11-03T09:00:00.000Z", to: "2025-11-10T09:00:00.000Z" },
+        { field: "status", from: "To Do", to: "In Progress" },
+      ],
+    });
+    expect(made.message).toBe(
+      'Carol updated "Launch": deadline moved from 3 Nov to 10 Nov; status changed from To Do to In Progress.'
+    );
+  });
 });
 
 /**
@@ -1046,6 +1082,31 @@ describe("checkAndCreateReminders — tasks not In Progress", () => {
   });
 });
 
+describe("checkAndCreateReminders — catch-up after downtime", () => {
+  it("creates reminders that fell due since the last successful run, not stale ones", async () => {
+    const u = await User.create({
+      name: "Restarted",
+      email: "restarted@example.com",
+      password: "StrongPass123!",
+    });
+    await Task.create({
+      title: "Missed while down",
+      status: "In Progress",
+      createdBy: u._id,
+      assignedTeamMembers: [u._id],
+      deadline: minsAhead(60),
+      reminderOffsets: [90], // fell due 30 minutes ago, outside the 10-minute grace
+    });
+
+    expect(await checkAndCreateReminders()).toEqual([]);
+    expect(await checkAndCreateReminders({ since: minsAgo(20) })).toEqual([]);
+
+    const made = await checkAndCreateReminders({ since: minsAgo(45) });
+    expect(made).toHaveLength(1);
+    expect(made[0]).toMatchObject({ type: "reminder", reminderOffset: 90 });
+  });
+});
+
 describe("createMentionNotifications — only author mentioned", () => {
   it("returns [] when the only mention is the author", async () => {
     const author = await User.create({
@@ -1072,4 +1133,139 @@ describe("createMentionNotifications — only author mentioned", () => {
     expect(res).toEqual([]);
   });
 
-});
\ No newline at end of file
+});
+/* ========================================================================== */
+/* Notification preferences: channels, quiet hours, digests                   */
+/* ========================================================================== */
+describe("notification preferences", () => {
+  const mkUser = (name) =>
+    User.create({ name, email: `${name.toLowerCase()}@example.com`, role: "Staff", password: "StrongPass123!" });
+
+  it("skips recipients who switched a type off and keeps email-only ones out of the in-app feed", async () => {
+    const author = await mkUser("Author");
+    const muted = await mkUser("Muted");
+    const emailOnly = await mkUser("Inbox");
+    await NotificationPreference.create([
+      { user: muted._id, types: { update: { inApp: false, email: false } } },
+      { user: emailOnly._id, types: { update: { inApp: false, email: true } } },
+    ]);
+    const task = await Task.create({
+      title: "Prefs",
+      status: "In Progress",
+      createdBy: author._id,
+      assignedTeamMembers: [muted._id, emailOnly._id],
+    });
+
+    const made = await createUpdateNotifications({ taskId: task._id, authorId: author._id });
+    expect(made.map((n) => String(n.userId))).toEqual([String(emailOnly._id)]);
+    expect(made[0].channels).toMatchObject({ inApp: false, email: true });
+
+    expect(await getUnreadNotifications(emailOnly._id)).toEqual([]);
+    expect(await sendPendingEmails()).toHaveLength(1);
+  });
+
+  it("only emails comments to users who opted in", async () => {
+    const author = await mkUser("Writer");
+    const optedIn = await mkUser("Reader");
+    const defaults = await mkUser("Quiet");
+    await NotificationPreference.create({ user: optedIn._id, types: { comment: { email: true } } });
+    const task = await Task.create({
+      title: "Discuss",
+      status: "In Progress",
+      createdBy: author._id,
+      assignedTeamMembers: [optedIn._id, defaults._id],
+    });
+
+    await createCommentNotifications({ taskId: task._id, commentId: null, authorId: author._id, commentBody: "hi" });
+    await sendPendingEmails();
+
+    expect(sendEmailMock.mock.calls.map(([args]) => args.to)).toEqual(["reader@example.com"]);
+    expect(sendEmailMock.mock.calls[0][0].subject).toBe("Comment: Discuss");
+  });
+
+  it("holds email during quiet hours and releases it afterwards", async () => {
+    const u = await mkUser("Sleeper");
+    // FIXED_NOW is 08:00 in Singapore
+    await NotificationPreference.create({
+      user: u._id,
+      timezone: "Asia/Singapore",
+      quietHours: { enabled: true, start: "22:00", end: "09:00" },
+    });
+    const task = await Task.create({ title: "Night", status: "In Progress", createdBy: u._id, deadline: daysAhead(1) });
+    await Notification.create({
+      userId: u._id, taskId: task._id, type: "reminder", reminderOffset: 60,
+      message: "soon", scheduledFor: minsAgo(1),
+    });
+
+    expect(await sendPendingEmails()).toEqual([]);
+    expect(sendEmailMock).not.toHaveBeenCalled();
+
+    vi.setSystemTime(new Date(FIXED_NOW.getTime() + 61 * MIN_MS)); // 09:01 local
+    try {
+      expect(await sendPendingEmails()).toHaveLength(1);
+    } finally {
+      vi.setSystemTime(FIXED_NOW);
+    }
+  });
+
+  it("leaves digest users to the digest job", async () => {
+    const u = await mkUser("Batcher");
+    await NotificationPreference.create({ user: u._id, emailFrequency: "hourly" });
+    const task = await Task.create({ title: "Later", status: "In Progress", createdBy: u._id, deadline: daysAhead(1) });
+    await Notification.create({ userId: u._id, taskId: task._id, type: "update", message: "x", scheduledFor: minsAgo(1) });
+
+    expect(await sendPendingEmails()).toEqual([]);
+    expect(sendEmailMock).not.toHaveBeenCalled();
+    expect(await Notification.countDocuments({ sent: false })).toBe(1);
+  });
+
+  it("rolls a digest user's pending notifications into one email, grouped by project and type", async () => {
+    const u = await mkUser("Digest");
+    await NotificationPreference.create({ user: u._id, emailFrequency: "daily", timezone: "Asia/Singapore" });
+    const project = await Project.create({ name: "Apollo", createdBy: u._id });
+    const task = await Task.create({
+      title: "Busy", status: "In Progress", createdBy: u._id, deadline: daysAhead(1), assignedProject: project._id,
+    });
+    const loose = await Task.create({ title: "Loose", status: "In Progress", createdBy: u._id, deadline: daysAhead(1) });
+    const docs = await Notification.insertMany([
+      { userId: u._id, taskId: task._id, type: "update", message: "first", scheduledFor: minsAgo(30) },
+      { userId: u._id, taskId: task._id, type: "overdue", message: "late", scheduledFor: minsAgo(20) },
+      { userId: u._id, taskId: loose._id, type: "update", message: "second", scheduledFor: minsAgo(5) },
+    ]);
+
+    const sent = await runNotificationDigest();
+    expect(sent.map(String).sort()).toEqual(docs.map((d) => String(d._id)).sort());
+    expect(sendEmailMock).toHaveBeenCalledTimes(1);
+    const [{ to, subject, html }] = sendEmailMock.mock.calls.map(([args]) => args);
+    expect(to).toBe("digest@example.com");
+    expect(subject).toBe("Your task digest: 3 notifications");
+    // Apollo before the unassigned task; Overdue before Updates inside Apollo
+    expect(html.indexOf("Apollo")).toBeLessThan(html.indexOf("No project"));
+    expect(html.indexOf("Overdue")).toBeLessThan(html.indexOf("Updates"));
+    expect(html).toMatch(/first/);
+    expect(html).toMatch(/second/);
+    expect(await Notification.countDocuments({ sent: false })).toBe(0);
+
+    const prefs = await NotificationPreference.findOne({ user: u._id }).lean();
+    expect(prefs.lastDigestAt.toISOString()).toBe(FIXED_NOW.toISOString());
+
+    // Nothing more until tomorrow's digest, and nothing is lost in the meantime
+    await Notification.create({ userId: u._id, taskId: task._id, type: "update", message: "third", scheduledFor: minsAgo(1) });
+    expect(await runNotificationDigest()).toEqual([]);
+    expect(await Notification.countDocuments({ sent: false })).toBe(1);
+  });
+
+  it("keeps notifications pending when the digest email fails", async () => {
+    const u = await mkUser("Flaky");
+    await NotificationPreference.create({ user: u._id, emailFrequency: "hourly" });
+    const task = await Task.create({ title: "Retry", status: "In Progress", createdBy: u._id, deadline: daysAhead(1) });
+    await Notification.create({ userId: u._id, taskId: task._id, type: "update", message: "x", scheduledFor: minsAgo(1) });
+    sendEmailMock.mockRejectedValueOnce(new Error("smtp down"));
+    const errSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await runNotificationDigest()).toEqual([]);
+    expect(await Notification.countDocuments({ sent: false })).toBe(1);
+    expect((await NotificationPreference.findOne({ user: u._id }).lean()).lastDigestAt).toBeFalsy();
+    errSpy.mockRestore();
+  });
+});
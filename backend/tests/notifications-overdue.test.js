@@ -9,6 +9,9 @@ import overdueRouter from "../routes/overdue-notifis.js";
 import Project from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
+import { asUser, signTestToken } from "./helpers/auth.js";
+
+const SENIOR_MANAGER_ID = "65f000000000000000000002";
 
 /* ---------------- Mock mailer (so we don't send real email) ---------------- */
 const sendEmailMock = vi.fn().mockResolvedValue({ messageId: "mocked" });
@@ -48,6 +51,7 @@ describe("routes/overdue-notifis.js - POST /api/notifications/overdue", () => {
 
     app = express();
     app.use(express.json());
+    app.use(asUser(() => ({ sub: SENIOR_MANAGER_ID, role: "Senior Manager" })));
     app.use("/api/notifications", overdueRouter);
     request = supertest(app);
   });
@@ -80,6 +84,24 @@ describe("routes/overdue-notifis.js - POST /api/notifications/overdue", () => {
     expect((r.body?.error || r.text)).toMatch(/project not found/i);
   });
 
+  it("403 when a Manager triggers the digest for a project they do not own", async () => {
+    const owner = await User.create({
+      name: "Owner",
+      email: "owner@example.com",
+      role: "Manager",
+      password: "StrongPass123!",
+    });
+    const proj = await Project.create({ name: "Owned", createdBy: owner._id });
+    const token = signTestToken({ sub: new mongoose.Types.ObjectId(), role: "Manager" });
+
+    await request
+      .post("/api/notifications/overdue")
+      .set("Authorization", `Bearer ${token}`)
+      .query({ project: String(proj._id) })
+      .expect(403);
+    expect(sendEmailMock).not.toHaveBeenCalled();
+  });
+
   it("400 when project manager email is missing", async () => {
     const mgr = await User.create({
       name: "NoEmail Manager",
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Notification from "../models/Notification.js";
+import PersonalReminder from "../models/PersonalReminder.js";
+import Task from "../models/Task.js";
+import { asUser } from "./helpers/auth.js";
+import notificationsRouter from "../routes/notifications.js";
+import remindersRouter from "../routes/reminders.js";
+import { duePersonalReminders } from "../services/personal-reminders.js";
+import { coerceReminder, reminderDueAt, reminderMessage, snoozeUntil } from "../utils/personal-reminders.js";
+
+const ME = "65b000000000000000000001";
+const OTHER = "65b000000000000000000002";
+const TASK = "65b000000000000000000030";
+const N1 = "65b000000000000000000041";
+const R1 = "65b000000000000000000051";
+
+const NOW = new Date("2026-03-01T02:00:00Z");
+const DEADLINE = new Date("2026-03-05T10:00:00Z");
+
+const io = { emit: vi.fn(), to: vi.fn(() => io) };
+const app = express();
+app.use(express.json());
+app.set("io", io);
+app.use(asUser(() => ({ sub: ME, role: "Staff" })));
+app.use("/api/notifications", notificationsRouter);
+app.use("/api/tasks", remindersRouter);
+
+const chain = (value) => {
+  const c = { select: () => c, populate: () => c, lean: async () => value };
+  return c;
+};
+const created = (doc) => ({ ...doc, toObject: () => doc });
+
+describe("utils/personal-reminders", () => {
+  it("reads a snooze as minutes from now or a time", () => {
+    expect(snoozeUntil({ minutes: 60 }, NOW)).toEqual({ remindAt: new Date("2026-03-01T03:00:00Z") });
+    expect(snoozeUntil({ until: "2026-03-02T01:00:00Z" }, NOW)).toEqual({ remindAt: new Date("2026-03-02T01:00:00Z") });
+    expect(snoozeUntil({}, NOW).error).toBe("Send either minutes or until");
+    expect(snoozeUntil({ minutes: 5, until: "2026-03-02" }, NOW).error).toBe("Send either minutes or until");
+    expect(snoozeUntil({ minutes: 0 }, NOW).error).toMatch(/at least 1/);
+    expect(snoozeUntil({ until: "2026-02-28T00:00:00Z" }, NOW).error).toMatch(/future/);
+    expect(snoozeUntil({ minutes: 91 * 24 * 60 }, NOW).error).toMatch(/90 days/);
+  });
+
+  it("reads a personal reminder and works out when it fires", () => {
+    const task = { title: "Draft brief", deadline: DEADLINE };
+    expect(coerceReminder({ minutesBefore: 60, note: "  bring slides " }, task, NOW)).toEqual({
+      note: "bring slides",
+      remindAt: null,
+      minutesBefore: 60,
+    });
+    expect(coerceReminder({ minutesBefore: 60 }, { title: "No date" }, NOW).error).toMatch(/no deadline/);
+    expect(coerceReminder({ remindAt: "2026-02-01T00:00:00Z" }, task, NOW).error).toMatch(/future/);
+    expect(coerceReminder({}, task, NOW).error).toBe("Send either remindAt or minutesBefore");
+
+    expect(reminderDueAt({ minutesBefore: 60 }, task)).toEqual(new Date("2026-03-05T09:00:00Z"));
+    expect(reminderDueAt({ minutesBefore: 60 }, { deadline: null })).toBeNull();
+    expect(reminderDueAt({ remindAt: NOW, minutesBefore: null }, task)).toEqual(NOW);
+    expect(reminderMessage({ source: "snooze" }, task)).toBe('Snoozed reminder: task "Draft brief"');
+    expect(reminderMessage({ source: "custom", note: "call Ana" }, task)).toBe('Your reminder: task "Draft brief": call Ana');
+  });
+});
+
+describe("POST /api/notifications/:id/snooze", () => {
+  beforeEach(() => {
+    io.emit.mockClear();
+    io.to.mockClear();
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  it("turns a reminder into a personal follow-up and marks it read", async () => {
+    vi.spyOn(Notification, "findOne").mockReturnValue(chain({ _id: N1, userId: ME, taskId: TASK, type: "overdue" }));
+    vi.spyOn(Task, "findById").mockReturnValue(chain({ _id: TASK, title: "Draft brief" }));
+    const create = vi.spyOn(PersonalReminder, "create").mockImplementation(async (doc) => created({ _id: R1, ...doc }));
+    const markRead = vi.spyOn(Notification, "updateOne").mockResolvedValue({});
+
+    const res = await request(app).post(`/api/notifications/${N1}/snooze`).send({ minutes: 30 }).expect(201);
+
+    expect(Notification.findOne).toHaveBeenCalledWith({ _id: N1, userId: ME });
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ user: ME, task: TASK, source: "snooze", snoozedFrom: N1, remindAt: expect.any(Date) })
+    );
+    expect(markRead).toHaveBeenCalledWith({ _id: N1 }, { $set: { read: true } });
+    expect(res.body).toMatchObject({ _id: R1, source: "snooze" });
+    expect(io.to).toHaveBeenCalledWith([`user:${ME}`]);
+    expect(io.emit).toHaveBeenCalledWith("notifications:changed", {});
+  });
+
+  it("only snoozes the caller's reminder and overdue notifications", async () => {
+    const create = vi.spyOn(PersonalReminder, "create");
+    const findOne = vi.spyOn(Notification, "findOne").mockReturnValue(chain({ _id: N1, userId: ME, taskId: TASK, type: "comment" }));
+    const res = await request(app).post(`/api/notifications/${N1}/snooze`).send({ minutes: 30 }).expect(400);
+    expect(res.body.error).toMatch(/reminder and overdue/);
+
+    findOne.mockReturnValue(chain(null));
+    await request(app).post(`/api/notifications/${N1}/snooze`).send({ minutes: 30 }).expect(404);
+
+    findOne.mockReturnValue(chain({ _id: N1, userId: ME, taskId: TASK, type: "reminder" }));
+    await request(app).post(`/api/notifications/${N1}/snooze`).send({}).expect(400);
+    expect(create).not.toHaveBeenCalled();
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+});
+
+describe("/api/tasks/:taskId/reminders", () => {
+  beforeEach(() => {
+    vi.spyOn(Task, "findById").mockReturnValue(
+      chain({ _id: TASK, title: "Draft brief", deadline: DEADLINE, createdBy: ME, assignedTeamMembers: [] })
+    );
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  it("lists only the caller's pending reminders, soonest first", async () => {
+    const find = vi.spyOn(PersonalReminder, "find").mockReturnValue(
+      chain([
+        { _id: "r2", remindAt: new Date("2026-03-04T00:00:00Z"), minutesBefore: null },
+        { _id: "r1", remindAt: null, minutesBefore: 24 * 60 * 3 },
+      ])
+    );
+    const res = await request(app).get(`/api/tasks/${TASK}/reminders`).expect(200);
+    expect(find).toHaveBeenCalledWith({ user: ME, task: TASK, firedAt: null });
+    expect(res.body.map((r) => r._id)).toEqual(["r1", "r2"]);
+    expect(res.body[0].dueAt).toBe("2026-03-02T10:00:00.000Z");
+  });
+
+  it("adds a reminder before the deadline and refuses bad or too many ones", async () => {
+    const count = vi.spyOn(PersonalReminder, "countDocuments").mockResolvedValue(0);
+    const create = vi.spyOn(PersonalReminder, "create").mockImplementation(async (doc) => created({ _id: R1, ...doc }));
+
+    const res = await request(app).post(`/api/tasks/${TASK}/reminders`).send({ minutesBefore: 120, note: "prep" }).expect(201);
+    expect(create).toHaveBeenCalledWith({ note: "prep", remindAt: null, minutesBefore: 120, user: ME, task: TASK, source: "custom" });
+    expect(res.body.dueAt).toBe("2026-03-05T08:00:00.000Z");
+
+    await request(app).post(`/api/tasks/${TASK}/reminders`).send({ remindAt: "yesterday" }).expect(400);
+    count.mockResolvedValue(10);
+    const full = await request(app).post(`/api/tasks/${TASK}/reminders`).send({ minutesBefore: 10 }).expect(400);
+    expect(full.body.error).toMatch(/at most 10/);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("removes only the caller's reminders and checks task access", async () => {
+    const del = vi.spyOn(PersonalReminder, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+    await request(app).delete(`/api/tasks/${TASK}/reminders/${R1}`).expect(204);
+    expect(del).toHaveBeenCalledWith({ _id: R1, user: ME, task: TASK });
+
+    del.mockResolvedValue({ deletedCount: 0 });
+    await request(app).delete(`/api/tasks/${TASK}/reminders/${R1}`).expect(404);
+
+    Task.findById.mockReturnValue(chain({ _id: TASK, createdBy: OTHER, assignedTeamMembers: [], assignedProject: null }));
+    await request(app).get(`/api/tasks/${TASK}/reminders`).expect(403);
+  });
+});
+
+describe("duePersonalReminders", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("drafts notifications for due reminders and drops ones on finished tasks", async () => {
+    const task = (over = {}) => ({ _id: TASK, title: "Draft brief", deadline: DEADLINE, statusCategory: "active", ...over });
+    vi.spyOn(PersonalReminder, "find").mockReturnValue(
+      chain([
+        { _id: "snoozed", user: ME, task: task(), remindAt: new Date("2026-03-01T01:59:00Z"), minutesBefore: null, source: "snooze" },
+        { _id: "later", user: ME, task: task(), remindAt: null, minutesBefore: 60, source: "custom" },
+        { _id: "before", user: OTHER, task: task(), remindAt: null, minutesBefore: 4 * 24 * 60 + 8 * 60, note: "prep", source: "custom" },
+        { _id: "done", user: ME, task: task({ statusCategory: "done" }), remindAt: NOW, minutesBefore: null, source: "custom" },
+        { _id: "trashed", user: ME, task: null, remindAt: NOW, minutesBefore: null, source: "custom" },
+      ])
+    );
+
+    const { drafts, reminderIds } = await duePersonalReminders(NOW);
+
+    expect(reminderIds).toEqual(["snoozed", "before", "done"]);
+    expect(drafts).toEqual([
+      expect.objectContaining({ userId: ME, taskId: TASK, type: "reminder", personalReminder: "snoozed", message: 'Snoozed reminder: task "Draft brief"' }),
+      expect.objectContaining({
+        userId: OTHER,
+        personalReminder: "before",
+        message: 'Your reminder: task "Draft brief": prep',
+        scheduledFor: new Date("2026-03-01T02:00:00Z"),
+      }),
+    ]);
+  });
+});
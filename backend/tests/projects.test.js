@@ -1,7 +1,23 @@
 import request from 'supertest';
+import express from 'express';
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import app from '../app.js';
+import api from '../app.js';
 import Project from '../models/Project.js';
+import ProjectTemplate from '../models/ProjectTemplate.js';
+import { listActivity, recordActivity } from '../services/activity-log.js';
+import { migrateTasks } from '../services/workflow.js';
+import { loadBoardTasks } from '../services/board.js';
+import { instantiateTemplate } from '../services/templates.js';
+import { trashProject } from '../services/trash.js';
+import { asUser, signTestToken } from './helpers/auth.js';
+
+const OWNER_ID = '507f1f77bcf86cd799439011';
+
+// Requests run as the project owner (a Senior Manager) unless a test sends its own token
+const app = express();
+app.use(asUser(() => ({ sub: OWNER_ID, role: 'Senior Manager' })));
+app.use(api);
+const as = (sub, role) => `Bearer ${signTestToken({ sub, role })}`;
 
 // ---- Mock the Project model ----
 vi.mock('../models/Project.js', () => {
@@ -12,10 +28,40 @@ vi.mock('../models/Project.js', () => {
       findById: vi.fn(),
       findByIdAndUpdate: vi.fn(),
       findByIdAndDelete: vi.fn(),
+      updateOne: vi.fn(),
     }
   };
 });
 
+// ---- Task migration is exercised against the database elsewhere ----
+vi.mock('../services/workflow.js', () => ({
+  migrateTasks: vi.fn(),
+}));
+
+vi.mock('../services/board.js', () => ({
+  loadBoardTasks: vi.fn(),
+}));
+
+vi.mock('../services/templates.js', () => ({
+  instantiateTemplate: vi.fn(),
+}));
+
+vi.mock('../services/trash.js', () => ({
+  trashProject: vi.fn(),
+}));
+
+vi.mock('../services/labels.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  removeProjectLabels: vi.fn().mockResolvedValue(undefined),
+}));
+
+// ---- Keep the diffing, stub the audit writes/reads ----
+vi.mock('../services/activity-log.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  recordActivity: vi.fn().mockResolvedValue(null),
+  listActivity: vi.fn().mockResolvedValue([]),
+}));
+
 // ---- Helpers to mock Mongoose query chains ----
 /**
  * Creates a chain for: find().sort().populate().populate().populate().lean()
@@ -40,22 +86,25 @@ const makeFindOneLeanChain = (result) => {
   return chain;
 };
 
+/**
+ * Creates a chain for: findById(...).select().lean()  (ownership checks)
+ */
+const makeSelectLeanChain = (result) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(result),
+});
+
 /**
  * Creates a chain for: findById(...).populate().populate().populate()  (no .lean())
  * and returns a Promise (await-able) after the final populate call.
  */
 const makePopulateOnlyThenable = (resolvedValue) => {
-  // build three-step populate chain; the third returns a Promise that resolves to the doc
-  const third = {
-    populate: vi.fn().mockResolvedValue(resolvedValue),
-  };
-  const second = {
-    populate: vi.fn().mockReturnValue(third),
-  };
-  const first = {
-    populate: vi.fn().mockReturnValue(second),
+  // populate() chain of any length that resolves to the doc when awaited
+  const chain = {
+    populate: vi.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(resolvedValue).then(resolve, reject),
   };
-  return first;
+  return chain;
 };
 
 describe('Project Routes', () => {
@@ -131,6 +180,81 @@ describe('Project Routes', () => {
 
       expect(res.body.error).toBeDefined();
     });
+
+    it('returns 403 for roles that cannot own projects', async () => {
+      const res = await request(app)
+        .post('/api/projects')
+        .set('Authorization', as(OWNER_ID, 'Staff'))
+        .send({ name: 'Nope' })
+        .expect(403);
+
+      expect(res.body.error).toMatch(/permission/i);
+      expect(Project.create).not.toHaveBeenCalled();
+    });
+
+    it('returns 401 without a valid token', async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', 'Bearer garbage')
+        .send({ name: 'Nope' })
+        .expect(401);
+    });
+  });
+
+  // ---- POST /api/projects/from-template/:id ----
+  describe('POST /api/projects/from-template/:id', () => {
+    const TEMPLATE_ID = '65af1f77bcf86cd799439050';
+    const template = { _id: TEMPLATE_ID, name: 'Onboarding', project: {}, tasks: [{ title: 'Laptop' }] };
+
+    it('creates the project and tasks from the chosen start date', async () => {
+      vi.spyOn(ProjectTemplate, 'findById').mockReturnValue({ lean: vi.fn().mockResolvedValue(template) });
+      instantiateTemplate.mockResolvedValue({
+        project: { _id: mockProject._id },
+        tasks: [{ _id: 't1', title: 'Laptop', parentTask: null, deadline: '2025-12-04T15:59:59.999Z' }],
+      });
+      Project.findById.mockReturnValue(makePopulateOnlyThenable(populatedProject));
+
+      const res = await request(app)
+        .post(`/api/projects/from-template/${TEMPLATE_ID}`)
+        .send({ startDate: '2025-12-01', name: 'Onboarding: Jane', teamMembers: ['507f1f77bcf86cd799439013'] })
+        .expect(201);
+
+      const [usedTemplate, start, options] = instantiateTemplate.mock.calls[0];
+      expect(usedTemplate).toBe(template);
+      expect(start.toISOString()).toBe('2025-11-30T16:00:00.000Z');
+      expect(options).toEqual({
+        creator: OWNER_ID,
+        overrides: {
+          name: 'Onboarding: Jane',
+          description: undefined,
+          department: [],
+          teamMembers: ['507f1f77bcf86cd799439013'],
+        },
+      });
+      expect(res.body.project._id).toBe(mockProject._id);
+      expect(res.body.tasks).toEqual([expect.objectContaining({ _id: 't1', title: 'Laptop' })]);
+    });
+
+    it('returns 400 without a valid start date or with bad IDs', async () => {
+      const url = `/api/projects/from-template/${TEMPLATE_ID}`;
+      await request(app).post(url).send({}).expect(400);
+      await request(app).post(url).send({ startDate: 'tomorrow' }).expect(400);
+      await request(app).post(url).send({ startDate: '2025-12-01', teamMembers: ['nope'] }).expect(400);
+      await request(app).post('/api/projects/from-template/nope').send({ startDate: '2025-12-01' }).expect(400);
+      expect(instantiateTemplate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an unknown template and 403 for Staff', async () => {
+      vi.spyOn(ProjectTemplate, 'findById').mockReturnValue({ lean: vi.fn().mockResolvedValue(null) });
+      const url = `/api/projects/from-template/${TEMPLATE_ID}`;
+      await request(app).post(url).send({ startDate: '2025-12-01' }).expect(404);
+      await request(app)
+        .post(url)
+        .set('Authorization', as(OWNER_ID, 'Staff'))
+        .send({ startDate: '2025-12-01' })
+        .expect(403);
+      expect(instantiateTemplate).not.toHaveBeenCalled();
+    });
   });
 
   // ---- GET /api/projects (list with optional filters) ----
@@ -168,6 +292,24 @@ describe('Project Routes', () => {
       expect(res.body).toHaveLength(1);
     });
 
+    it('limits non company-wide roles to their own projects', async () => {
+      Project.find.mockReturnValue(makeFindListChain([]));
+
+      await request(app)
+        .get('/api/projects')
+        .set('Authorization', as('507f1f77bcf86cd799439013', 'Staff'))
+        .expect(200);
+
+      expect(Project.find).toHaveBeenCalledWith({
+        $and: [{
+          $or: [
+            { createdBy: '507f1f77bcf86cd799439013' },
+            { teamMembers: '507f1f77bcf86cd799439013' },
+          ],
+        }],
+      });
+    });
+
     it('handles database errors', async () => {
       const chain = makeFindListChain([]);
       chain.lean.mockRejectedValue(new Error('Database connection failed'));
@@ -205,6 +347,15 @@ describe('Project Routes', () => {
       expect(res.body.error).toBe('Project not found');
     });
 
+    it('returns 403 when the caller is not on the project', async () => {
+      Project.findById.mockReturnValue(makeFindOneLeanChain(populatedProject));
+
+      await request(app)
+        .get(`/api/projects/${mockProject._id}`)
+        .set('Authorization', as('507f1f77bcf86cd799439099', 'Staff'))
+        .expect(403);
+    });
+
     it('returns 500 on cast/other errors', async () => {
       const chain = makeFindOneLeanChain(null);
       chain.lean.mockRejectedValue(new Error('Cast to ObjectId failed'));
@@ -255,6 +406,15 @@ describe('Project Routes', () => {
       expect(res.body.error).toBe('No projects found for this user');
     });
 
+    it("returns 403 when Staff ask for another user's projects", async () => {
+      await request(app)
+        .get('/api/projects/user/507f1f77bcf86cd799439011')
+        .set('Authorization', as('507f1f77bcf86cd799439013', 'Staff'))
+        .expect(403);
+
+      expect(Project.find).not.toHaveBeenCalled();
+    });
+
     it('handles database errors', async () => {
       const chain = makeFindListChain([]);
       chain.lean.mockRejectedValue(new Error('DB error'));
@@ -268,6 +428,44 @@ describe('Project Routes', () => {
     });
   });
 
+  // ---- GET /api/projects/:id/activity ----
+  describe('GET /api/projects/:id/activity', () => {
+    it('returns the project history for a member', async () => {
+      const entries = [{ _id: 'a1', action: 'updated', summary: 'name changed from "A" to "B"' }];
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      listActivity.mockResolvedValue(entries);
+
+      const res = await request(app)
+        .get(`/api/projects/${mockProject._id}/activity?limit=10`)
+        .expect(200);
+
+      expect(res.body).toEqual(entries);
+      expect(listActivity).toHaveBeenCalledWith(
+        { project: mockProject._id },
+        { limit: 10, before: null }
+      );
+    });
+
+    it('returns 403 when the caller is not on the project', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      await request(app)
+        .get(`/api/projects/${mockProject._id}/activity`)
+        .set('Authorization', as('507f1f77bcf86cd799439099', 'Staff'))
+        .expect(403);
+
+      expect(listActivity).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 for a bad id or cursor', async () => {
+      await request(app).get('/api/projects/nope/activity').expect(400);
+      await request(app)
+        .get(`/api/projects/${mockProject._id}/activity?before=yesterday`)
+        .expect(400);
+      expect(Project.findById).not.toHaveBeenCalled();
+    });
+  });
+
   // ---- PUT /api/projects/:id ----
   describe('PUT /api/projects/:id', () => {
     it('updates a project and returns the populated document', async () => {
@@ -275,6 +473,7 @@ describe('Project Routes', () => {
       const updated = { ...populatedProject, ...update };
 
       // Route: findByIdAndUpdate(...).populate().populate().populate() -> Promise resolves to updated doc
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
       Project.findByIdAndUpdate.mockReturnValue(makePopulateOnlyThenable(updated));
 
       const res = await request(app)
@@ -288,14 +487,16 @@ describe('Project Routes', () => {
         { new: true, runValidators: true }
       );
       expect(res.body.name).toBe('AI Benchmark – Updated');
+      expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'Project',
+        action: 'updated',
+        actor: OWNER_ID,
+        changes: [{ field: 'name', from: 'AI Benchmark', to: 'AI Benchmark – Updated' }],
+      }));
     });
 
     it('returns 404 if project not found', async () => {
-      // Make the third populate resolve to null
-      const third = { populate: vi.fn().mockResolvedValue(null) };
-      const second = { populate: vi.fn().mockReturnValue(third) };
-      const first = { populate: vi.fn().mockReturnValue(second) };
-      Project.findByIdAndUpdate.mockReturnValue(first);
+      Project.findById.mockReturnValue(makeSelectLeanChain(null));
 
       const res = await request(app)
         .put('/api/projects/65af1f77bcf86cd799439099')
@@ -303,9 +504,62 @@ describe('Project Routes', () => {
         .expect(404);
 
       expect(res.body.error).toBe('Project not found');
+      expect(Project.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 when a Manager edits a project they do not own', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      const res = await request(app)
+        .put(`/api/projects/${mockProject._id}`)
+        .set('Authorization', as('507f1f77bcf86cd799439099', 'Manager'))
+        .send({ name: 'X' })
+        .expect(403);
+
+      expect(res.body.error).toMatch(/owner/i);
+      expect(Project.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('never lets the body reassign createdBy', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      Project.findByIdAndUpdate.mockReturnValue(makePopulateOnlyThenable(populatedProject));
+
+      await request(app)
+        .put(`/api/projects/${mockProject._id}`)
+        .send({ name: 'X', createdBy: '507f1f77bcf86cd799439099' })
+        .expect(200);
+
+      expect(Project.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockProject._id,
+        { name: 'X' },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('rejects update operators and ignores fields outside the whitelist', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      Project.findByIdAndUpdate.mockReturnValue(makePopulateOnlyThenable(populatedProject));
+
+      const res = await request(app)
+        .put(`/api/projects/${mockProject._id}`)
+        .send({ $set: { workflow: null, deletedAt: new Date() } })
+        .expect(400);
+      expect(res.body.error).toMatch(/operators/);
+      expect(Project.findByIdAndUpdate).not.toHaveBeenCalled();
+
+      await request(app)
+        .put(`/api/projects/${mockProject._id}`)
+        .send({ name: 'X', workflow: null, deletedAt: '2026-01-01' })
+        .expect(200);
+      expect(Project.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockProject._id,
+        { name: 'X' },
+        { new: true, runValidators: true }
+      );
     });
 
     it('returns 400 on validation error', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
       const errPop = {
         populate: vi.fn().mockRejectedValue(new Error('Validation failed')),
       };
@@ -322,29 +576,46 @@ describe('Project Routes', () => {
 
   // ---- DELETE /api/projects/:id ----
   describe('DELETE /api/projects/:id', () => {
-    it('deletes a project successfully', async () => {
-      Project.findByIdAndDelete.mockResolvedValue(populatedProject);
+    it('moves a project to the trash', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
 
       const res = await request(app)
         .delete(`/api/projects/${mockProject._id}`)
         .expect(200);
 
-      expect(Project.findByIdAndDelete).toHaveBeenCalledWith(mockProject._id);
+      expect(trashProject).toHaveBeenCalledWith(mockProject, OWNER_ID);
+      expect(Project.findByIdAndDelete).not.toHaveBeenCalled();
       expect(res.body.message).toBe('Project deleted successfully');
+      expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'Project',
+        action: 'deleted',
+        changes: [{ field: 'name', from: 'AI Benchmark', to: null }],
+      }));
     });
 
     it('returns 404 when project not found', async () => {
-      Project.findByIdAndDelete.mockResolvedValue(null);
+      Project.findById.mockReturnValue(makeSelectLeanChain(null));
 
       const res = await request(app)
         .delete('/api/projects/65af1f77bcf86cd799439099')
         .expect(404);
 
       expect(res.body.error).toBe('Project not found');
+      expect(trashProject).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 for Staff', async () => {
+      await request(app)
+        .delete(`/api/projects/${mockProject._id}`)
+        .set('Authorization', as(OWNER_ID, 'Staff'))
+        .expect(403);
+
+      expect(trashProject).not.toHaveBeenCalled();
     });
 
     it('handles database errors', async () => {
-      Project.findByIdAndDelete.mockRejectedValue(new Error('Database error'));
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      trashProject.mockRejectedValueOnce(new Error('Database error'));
 
       const res = await request(app)
         .delete(`/api/projects/${mockProject._id}`)
@@ -353,4 +624,176 @@ describe('Project Routes', () => {
       expect(res.body.error).toBeDefined();
     });
   });
+
+  // ---- /api/projects/:id/workflow ----
+  describe('GET /api/projects/:id/workflow', () => {
+    it('returns the default workflow for projects without one', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      const res = await request(app).get(`/api/projects/${mockProject._id}/workflow`).expect(200);
+
+      expect(res.body.isDefault).toBe(true);
+      expect(res.body.statuses.map(s => s.name)).toEqual(['To Do', 'In Progress', 'Done']);
+      expect(res.body.transitions).toEqual([]);
+    });
+
+    it("returns the project's own workflow", async () => {
+      const workflow = {
+        statuses: [{ name: 'Backlog', category: 'not_started' }, { name: 'Shipped', category: 'done' }],
+        transitions: [{ from: 'Backlog', to: 'Shipped' }],
+      };
+      Project.findById.mockReturnValue(makeSelectLeanChain({ ...mockProject, workflow }));
+
+      const res = await request(app).get(`/api/projects/${mockProject._id}/workflow`).expect(200);
+
+      expect(res.body).toEqual({ ...workflow, isDefault: false });
+    });
+
+    it('returns 403 when the caller is not on the project', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      await request(app)
+        .get(`/api/projects/${mockProject._id}/workflow`)
+        .set('Authorization', as('507f1f77bcf86cd799439099', 'Staff'))
+        .expect(403);
+    });
+
+    it('returns 400 for a bad id', async () => {
+      await request(app).get('/api/projects/nope/workflow').expect(400);
+    });
+  });
+
+  describe('PUT /api/projects/:id/workflow', () => {
+    const workflow = {
+      statuses: [
+        { name: 'Backlog', category: 'not_started' },
+        { name: 'Doing', category: 'active' },
+        { name: 'QA', category: 'active' },
+        { name: 'Shipped', category: 'done' },
+      ],
+      transitions: [
+        { from: 'Backlog', to: 'Doing' },
+        { from: 'Doing', to: 'QA' },
+        { from: 'QA', to: 'Shipped' },
+      ],
+    };
+
+    it('saves the workflow, migrates tasks and records the change', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      migrateTasks.mockResolvedValue({ updated: 3 });
+      Project.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const remap = { 'To Do': 'Backlog', 'In Progress': 'Doing', Done: 'Shipped' };
+      const res = await request(app)
+        .put(`/api/projects/${mockProject._id}/workflow`)
+        .send({ ...workflow, remap })
+        .expect(200);
+
+      expect(res.body).toEqual({ ...workflow, isDefault: false, tasksUpdated: 3 });
+      expect(migrateTasks).toHaveBeenCalledWith(mockProject._id, workflow, remap);
+      expect(Project.updateOne).toHaveBeenCalledWith({ _id: mockProject._id }, { $set: { workflow } });
+      expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'Project',
+        action: 'updated',
+        changes: [expect.objectContaining({ field: 'workflow' })],
+      }));
+    });
+
+    it('returns 409 with the statuses that still need a home', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      migrateTasks.mockResolvedValue({ missing: ['In Progress'] });
+
+      const res = await request(app)
+        .put(`/api/projects/${mockProject._id}/workflow`)
+        .send(workflow)
+        .expect(409);
+
+      expect(res.body.statuses).toEqual(['In Progress']);
+      expect(Project.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 for an invalid workflow', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      const res = await request(app)
+        .put(`/api/projects/${mockProject._id}/workflow`)
+        .send({ statuses: [{ name: 'Only', category: 'active' }] })
+        .expect(400);
+
+      expect(res.body.error).toMatch(/not_started/);
+      expect(migrateTasks).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 when a Manager changes a project they do not own', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      await request(app)
+        .put(`/api/projects/${mockProject._id}/workflow`)
+        .set('Authorization', as('507f1f77bcf86cd799439099', 'Manager'))
+        .send(workflow)
+        .expect(403);
+
+      expect(migrateTasks).not.toHaveBeenCalled();
+    });
+
+    it('ignores workflow changes through PUT /api/projects/:id', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+      Project.findByIdAndUpdate.mockReturnValue(makePopulateOnlyThenable(populatedProject));
+
+      await request(app)
+        .put(`/api/projects/${mockProject._id}`)
+        .send({ name: 'X', workflow })
+        .expect(200);
+
+      expect(Project.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockProject._id,
+        { name: 'X' },
+        { new: true, runValidators: true }
+      );
+    });
+  });
+
+  // ---- GET /api/projects/:id/board ----
+  describe('GET /api/projects/:id/board', () => {
+    it('returns one column per workflow status with ranked tasks', async () => {
+      const workflow = {
+        statuses: [
+          { name: 'Backlog', category: 'not_started' },
+          { name: 'Doing', category: 'active', wipLimit: 1 },
+          { name: 'Shipped', category: 'done' },
+        ],
+        transitions: [],
+      };
+      Project.findById.mockReturnValue(makeSelectLeanChain({ ...mockProject, workflow }));
+      loadBoardTasks.mockResolvedValue([
+        { _id: 't2', title: 'Second', status: 'Doing', rank: 2048 },
+        { _id: 't1', title: 'First', status: 'Doing', rank: 1024 },
+        { _id: 't3', title: 'Idea', status: 'Backlog', rank: 1024 },
+      ]);
+
+      const res = await request(app).get(`/api/projects/${mockProject._id}/board`).expect(200);
+
+      expect(loadBoardTasks).toHaveBeenCalledWith(mockProject._id);
+      expect(res.body.project).toEqual({ _id: mockProject._id, name: 'AI Benchmark' });
+      expect(res.body.columns.map(c => c.name)).toEqual(['Backlog', 'Doing', 'Shipped']);
+      expect(res.body.columns[1]).toMatchObject({ count: 2, wipLimit: 1, overLimit: true });
+      expect(res.body.columns[1].tasks.map(t => t.title)).toEqual(['First', 'Second']);
+    });
+
+    it('returns 403 when the caller is not on the project', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(mockProject));
+
+      await request(app)
+        .get(`/api/projects/${mockProject._id}/board`)
+        .set('Authorization', as('507f1f77bcf86cd799439099', 'Staff'))
+        .expect(403);
+
+      expect(loadBoardTasks).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when the project does not exist', async () => {
+      Project.findById.mockReturnValue(makeSelectLeanChain(null));
+      await request(app).get(`/api/projects/${mockProject._id}/board`).expect(404);
+    });
+  });
 });
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import Notification from "../models/Notification.js";
+import { signTestToken } from "./helpers/auth.js";
+import { emitNotification, emitTo, joinProjectRoom, peopleRooms, projectRooms } from "../services/realtime.js";
+import { attachSocketHandlers, authenticateSocket, handleConnection, leaveProjectRoom } from "../services/socket-handlers.js";
+
+const ME = "65b000000000000000000001";
+const ANA = "65b000000000000000000002";
+const PROJECT = "65b000000000000000000020";
+const OTHER_PROJECT = "65b000000000000000000021";
+const TASK = "65b000000000000000000030";
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+function fakeSocket(handshake = {}) {
+  const handlers = {};
+  return {
+    handshake: { headers: {}, auth: {}, ...handshake },
+    data: {},
+    rooms: new Set(),
+    emit: vi.fn(),
+    disconnect: vi.fn(),
+    on: (event, cb) => {
+      handlers[event] = cb;
+    },
+    join(rooms) {
+      [].concat(rooms).forEach((r) => this.rooms.add(r));
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    },
+    trigger: (event, ...args) => handlers[event](...args),
+  };
+}
+
+const connected = async (claims = { sub: ME, role: "Staff" }) => {
+  const socket = fakeSocket({ auth: { token: signTestToken(claims) } });
+  authenticateSocket(socket, () => {});
+  await handleConnection(socket);
+  return socket;
+};
+
+describe("services/realtime", () => {
+  it("sends each event once to the rooms of the people and projects involved", () => {
+    const io = { emit: vi.fn(), to: vi.fn(() => io) };
+    const task = { createdBy: ME, assignedTeamMembers: [ME, { _id: ANA }], assignedProject: PROJECT };
+
+    emitTo(io, [peopleRooms(task, { createdBy: ANA }), projectRooms(task, {})], "task:updated", { id: 1 });
+    expect(io.to).toHaveBeenCalledWith([`user:${ME}`, `user:${ANA}`, `project:${PROJECT}`]);
+    expect(io.emit).toHaveBeenCalledWith("task:updated", { id: 1 });
+
+    emitNotification(io, { userId: ANA, message: "hi" });
+    expect(io.to).toHaveBeenLastCalledWith([`user:${ANA}`]);
+    expect(io.emit).toHaveBeenLastCalledWith(`notification:${ANA}`, { userId: ANA, message: "hi" });
+
+    // Nobody to tell: nothing is broadcast
+    io.emit.mockClear();
+    emitTo(io, peopleRooms(null), "calendar:task:created", {});
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+
+  it("adds new members' sockets to a project's room", () => {
+    const socketsJoin = vi.fn();
+    const io = { in: vi.fn(() => ({ socketsJoin })) };
+    joinProjectRoom(io, [ME, null, ANA], PROJECT);
+    expect(io.in).toHaveBeenCalledWith([`user:${ME}`, `user:${ANA}`]);
+    expect(socketsJoin).toHaveBeenCalledWith(`project:${PROJECT}`);
+  });
+});
+
+describe("services/socket-handlers", () => {
+  beforeEach(() => {
+    vi.spyOn(Project, "find").mockReturnValue(lean([{ _id: PROJECT }]));
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("refuses handshakes without a valid access token", () => {
+    for (const handshake of [{}, { auth: { token: "nope" } }, { headers: { authorization: "Basic abc" } }]) {
+      const next = vi.fn();
+      authenticateSocket(fakeSocket(handshake), next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: "Unauthorized" }));
+    }
+
+    const socket = fakeSocket({ headers: { authorization: `Bearer ${signTestToken({ sub: ME, role: "Manager" })}` } });
+    const next = vi.fn();
+    authenticateSocket(socket, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(socket.data.user).toMatchObject({ id: ME, role: "Manager" });
+  });
+
+  it("joins the user's room and their projects' rooms", async () => {
+    const socket = await connected();
+    expect(Project.find).toHaveBeenCalledWith({ $or: [{ createdBy: ME }, { teamMembers: ME }] });
+    expect([...socket.rooms]).toEqual([`user:${ME}`, `project:${PROJECT}`]);
+
+    const io = { use: vi.fn(), on: vi.fn() };
+    attachSocketHandlers(io);
+    expect(io.use).toHaveBeenCalledWith(authenticateSocket);
+    expect(io.on).toHaveBeenCalledWith("connection", expect.any(Function));
+  });
+
+  it("joins a task's room only when the user may see the task", async () => {
+    const socket = await connected();
+    const ack = vi.fn();
+
+    vi.spyOn(Task, "findById").mockReturnValue(lean({ createdBy: ANA, assignedTeamMembers: [], assignedProject: OTHER_PROJECT }));
+    vi.spyOn(Project, "findById").mockReturnValue(lean({ createdBy: ANA, teamMembers: [] }));
+    await socket.trigger("task:view", TASK, ack);
+    expect(ack).toHaveBeenLastCalledWith({ error: "Task not found" });
+    expect(socket.rooms.has(`task:${TASK}`)).toBe(false);
+
+    Task.findById.mockReturnValue(lean({ createdBy: ANA, assignedTeamMembers: [ME], assignedProject: OTHER_PROJECT }));
+    await socket.trigger("task:view", TASK, ack);
+    expect(ack).toHaveBeenLastCalledWith({ ok: true });
+    expect(socket.rooms.has(`task:${TASK}`)).toBe(true);
+
+    await socket.trigger("task:leave", TASK, ack);
+    expect(socket.rooms.has(`task:${TASK}`)).toBe(false);
+
+    await socket.trigger("task:view", "not-an-id", ack);
+    expect(ack).toHaveBeenLastCalledWith({ error: "Invalid task ID" });
+  });
+
+  it("logs a failing handler and answers its ack with an error", async () => {
+    const logged = vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.spyOn(Notification, "find").mockImplementation(() => {
+      throw new Error("connection lost");
+    });
+    vi.spyOn(Task, "findById").mockReturnValue({ select: () => ({ lean: async () => { throw new Error("connection lost"); } }) });
+    const socket = await connected();
+    const ack = vi.fn();
+
+    await expect(socket.trigger("task:view", TASK, ack)).resolves.toBeUndefined();
+    expect(ack).toHaveBeenLastCalledWith({ error: "Request failed" });
+
+    await expect(socket.trigger("getUnreadNotifications", ME)).resolves.toBeUndefined();
+    expect(socket.emit).not.toHaveBeenCalled();
+    expect(logged).toHaveBeenCalledWith("[socket] getUnreadNotifications failed:", "connection lost");
+  });
+
+  it("drops a socket when its access token expires", async () => {
+    vi.useFakeTimers();
+    try {
+      const socket = await connected();
+      expect(socket.data.expiresAt).toBeGreaterThan(Date.now());
+
+      vi.advanceTimersByTime(socket.data.expiresAt - Date.now() - 1000);
+      expect(socket.disconnect).not.toHaveBeenCalled();
+      vi.advanceTimersByTime(1000);
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+
+      const closed = await connected();
+      closed.trigger("disconnect");
+      vi.runAllTimers();
+      expect(closed.disconnect).not.toHaveBeenCalled();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("takes removed members out of a project's room unless they can still see it", async () => {
+    const staff = { data: { user: { id: ANA, role: "Staff" } }, leave: vi.fn() };
+    const director = { data: { user: { id: ME, role: "Director", department: "d1" } }, leave: vi.fn() };
+    const fetchSockets = vi.fn(async () => [staff, director]);
+    const io = { in: vi.fn(() => ({ fetchSockets })) };
+
+    await leaveProjectRoom(io, [ANA, ME], { _id: PROJECT, createdBy: "65b000000000000000000009", teamMembers: [], department: ["d1"] });
+
+    expect(io.in).toHaveBeenCalledWith([`user:${ANA}`, `user:${ME}`]);
+    expect(staff.leave).toHaveBeenCalledWith(`project:${PROJECT}`);
+    expect(director.leave).not.toHaveBeenCalled();
+
+    io.in.mockClear();
+    await leaveProjectRoom(io, [], { _id: PROJECT });
+    expect(io.in).not.toHaveBeenCalled();
+  });
+
+  it("only reads and marks the caller's own notifications", async () => {
+    const find = vi.spyOn(Notification, "find").mockReturnValue({ populate: () => ({ sort: () => ({ lean: async () => [] }) }) });
+    const update = vi.spyOn(Notification, "updateMany").mockResolvedValue({});
+    const socket = await connected();
+
+    await socket.trigger("getUnreadNotifications", ANA);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ userId: ME }));
+    expect(socket.emit).toHaveBeenCalledWith("unreadNotifications", []);
+
+    await socket.trigger("markNotificationsRead", ["65b000000000000000000040"]);
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: { $in: ["65b000000000000000000040"] }, userId: ME }),
+      expect.anything()
+    );
+  });
+});
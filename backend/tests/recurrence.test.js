@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Task from "../models/Task.js";
+import ActivityLog from "../models/ActivityLog.js";
+import { asUser } from "./helpers/auth.js";
+import {
+  coerceRule,
+  describeRecurrence,
+  formatRRule,
+  nextOccurrence,
+  occurrencesBetween,
+  parseRRule,
+  projectOccurrences,
+  upcomingOccurrences,
+} from "../utils/recurrence.js";
+
+vi.mock("../services/recurrence.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  detachOccurrence: vi.fn(),
+  seriesOverview: vi.fn(async () => ({ seriesId: T1, upcoming: [] })),
+  skipOccurrence: vi.fn(),
+}));
+
+const service = await import("../services/recurrence.js");
+const { planSeriesEdit, skipOccurrence } = await vi.importActual("../services/recurrence.js");
+const { default: tasksRouter } = await import("../routes/tasks.js");
+
+const ME = "65b000000000000000000001";
+const T1 = "65b000000000000000000010";
+const T2 = "65b000000000000000000011";
+const at = (iso) => new Date(iso);
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+const io = { emit: vi.fn(), to: vi.fn(() => io) };
+const app = express();
+app.use(express.json());
+app.set("io", io);
+app.use(asUser(() => ({ sub: ME, role: "Staff" })));
+app.use("/api/tasks", tasksRouter);
+
+// A weekly series that started on Monday 2 Mar 2026, 9:00 in Singapore
+const weekly = (over = {}) => ({
+  ...parseRRule("FREQ=WEEKLY;BYDAY=MO"),
+  start: at("2026-03-02T01:00:00Z"),
+  ...over,
+});
+const task = (over = {}) => ({
+  _id: T1,
+  title: "Weekly report",
+  createdBy: ME,
+  assignedTeamMembers: [],
+  deadline: at("2026-03-09T01:00:00Z"),
+  occurrenceDate: at("2026-03-09T01:00:00Z"),
+  seriesId: T1,
+  recurrence: weekly(),
+  statusCategory: "not_started",
+  ...over,
+});
+
+describe("utils/recurrence", () => {
+  it("reads and writes RRULE text", () => {
+    const rule = parseRRule("RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU;COUNT=6");
+    expect(rule).toMatchObject({ frequency: "monthly", interval: 2, byDay: ["2TU"], ends: "afterCount", count: 6 });
+    expect(formatRRule(rule)).toBe("FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU;COUNT=6");
+    expect(formatRRule(parseRRule("FREQ=DAILY;UNTIL=20260331", { timezone: "UTC" }))).toBe(
+      "FREQ=DAILY;UNTIL=20260331T235959Z"
+    );
+
+    expect(() => parseRRule("FREQ=WEEKLY;BYDAY=2TU")).toThrow(/monthly or yearly/);
+    expect(() => parseRRule("FREQ=DAILY;COUNT=3;UNTIL=20260101")).toThrow(/COUNT or UNTIL/);
+    expect(() => parseRRule("FREQ=DAILY;BYHOUR=9")).toThrow(/not supported/);
+    expect(coerceRule({ frequency: "weekly", byDay: ["XX"] }).error).toMatch(/Invalid BYDAY 'XX'/);
+    expect(coerceRule({ frequency: "daily", ends: "onDate" }).error).toMatch(/until date/);
+  });
+
+  it("expands the RFC rule parts", () => {
+    const from = (rrule, start, n) => upcomingOccurrences({ ...parseRRule(rrule), start: at(start) }, at(start), n);
+
+    // Every 2nd Tuesday
+    expect(iso(from("FREQ=MONTHLY;BYDAY=2TU", "2026-01-13T01:00:00Z", 3))).toEqual([
+      "2026-02-10T01:00:00.000Z",
+      "2026-03-10T01:00:00.000Z",
+      "2026-04-14T01:00:00.000Z",
+    ]);
+    // The last working day of the month
+    expect(iso(from("FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1", "2026-01-30T01:00:00Z", 2))).toEqual([
+      "2026-02-27T01:00:00.000Z",
+      "2026-03-31T01:00:00.000Z",
+    ]);
+    // Mondays and Wednesdays, five in all (the start is the first)
+    expect(iso(from("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5", "2026-03-02T01:00:00Z", 10))).toEqual([
+      "2026-03-04T01:00:00.000Z",
+      "2026-03-09T01:00:00.000Z",
+      "2026-03-11T01:00:00.000Z",
+      "2026-03-16T01:00:00.000Z",
+    ]);
+    // Weekdays are Singapore days even when the UTC date is the day before
+    expect(iso(from("FREQ=WEEKLY;BYDAY=MO", "2026-03-01T17:00:00Z", 1))).toEqual(["2026-03-08T17:00:00.000Z"]);
+  });
+
+  it("skips dates a month doesn't have instead of rolling over", () => {
+    const jan31 = at("2025-01-31T10:00:00Z");
+    expect(nextOccurrence({ frequency: "monthly", interval: 1, ends: "never" }, jan31)).toEqual(
+      at("2025-03-31T10:00:00Z")
+    );
+    expect(nextOccurrence({ ...parseRRule("FREQ=MONTHLY;BYMONTHDAY=-1"), start: jan31 }, jan31)).toEqual(
+      at("2025-02-28T10:00:00Z")
+    );
+    // Until 1 Feb: the series is over
+    expect(nextOccurrence({ frequency: "monthly", ends: "onDate", until: at("2025-02-01T00:00:00Z") }, jan31)).toBeNull();
+  });
+
+  it("leaves out skipped dates, which still count towards COUNT", () => {
+    const rule = weekly({ ends: "afterCount", count: 3, exdates: [at("2026-03-09T01:00:00Z")] });
+    expect(iso(occurrencesBetween(rule, at("2026-03-01"), at("2026-04-01")))).toEqual([
+      "2026-03-02T01:00:00.000Z",
+      "2026-03-16T01:00:00.000Z",
+    ]);
+    expect(describeRecurrence(rule)).toBe("Every week on Monday, 3 times");
+    expect(describeRecurrence(parseRRule("FREQ=MONTHLY;BYDAY=2TU"))).toBe("Every month on the 2nd Tuesday");
+  });
+
+  it("projects the occurrences that have no task yet from each series' latest open task", () => {
+    const earlier = task({ _id: T2, deadline: at("2026-03-02T01:00:00Z"), occurrenceDate: at("2026-03-02T01:00:00Z") });
+    const projected = projectOccurrences([earlier, task()], at("2026-03-01"), at("2026-03-24"));
+    expect(projected.map((p) => [p.sourceTask, p.deadline.toISOString(), p.projected])).toEqual([
+      [T1, "2026-03-16T01:00:00.000Z", true],
+      [T1, "2026-03-23T01:00:00.000Z", true],
+    ]);
+    expect(projected[0]).not.toHaveProperty("recurrence");
+  });
+});
+
+describe("services/recurrence", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("moving one occurrence keeps the series' schedule", () => {
+    const { set, ops } = planSeriesEdit(task(), { deadline: at("2026-03-10T01:00:00Z"), title: "Late report" });
+    expect(set).toEqual({});
+    expect(ops).toEqual([]);
+  });
+
+  it("a new rule for this and following occurrences starts a new series here", () => {
+    const existing = task({ seriesId: T2 });
+    const rule = parseRRule("FREQ=WEEKLY;BYDAY=TU");
+    const { set, ops } = planSeriesEdit(existing, { title: "Report" }, { scope: "following", rule });
+
+    expect(set).toMatchObject({ seriesId: T1, occurrenceDate: existing.deadline });
+    expect(set.recurrence).toMatchObject({ byDay: ["TU"], start: existing.deadline, exdates: [] });
+    expect(ops.map((o) => o.update)).toEqual([
+      { "recurrence.ends": "onDate", "recurrence.until": at("2026-03-09T00:59:59.999Z"), "recurrence.count": null },
+      { seriesId: T1 },
+      { title: "Report" },
+    ]);
+  });
+
+  it("an edit of all occurrences reaches the series' other open tasks", () => {
+    const { set, ops } = planSeriesEdit(task(), { priority: 8 }, { scope: "all", rule: weekly() });
+    expect(set).toEqual({});
+    expect(ops).toEqual([
+      {
+        filter: { $and: [{ $or: [{ seriesId: T1 }, { _id: T1 }] }, { _id: { $ne: T1 } }], statusCategory: { $ne: "done" } },
+        update: { priority: 8 },
+      },
+    ]);
+  });
+
+  it("skipping the task's own occurrence moves it to the next one", async () => {
+    vi.spyOn(Task, "exists").mockResolvedValue(null);
+    const updateOne = vi.spyOn(Task, "updateOne").mockResolvedValue({});
+    const updateMany = vi.spyOn(Task, "updateMany").mockResolvedValue({});
+
+    const result = await skipOccurrence(task(), "2026-03-09T01:00:00Z");
+
+    expect(result.set).toMatchObject({ deadline: at("2026-03-16T01:00:00Z"), occurrenceDate: at("2026-03-16T01:00:00Z") });
+    expect(updateOne).toHaveBeenCalledWith({ _id: T1 }, { $set: result.set });
+    expect(updateMany).toHaveBeenCalledWith(
+      { $or: [{ seriesId: T1 }, { _id: T1 }], recurrence: { $ne: null } },
+      { $addToSet: { "recurrence.exdates": at("2026-03-09T01:00:00Z") } }
+    );
+    expect(await skipOccurrence(task(), "2026-03-10T01:00:00Z")).toEqual({
+      status: 400,
+      error: "Not an occurrence of this series",
+    });
+  });
+});
+
+describe("series routes", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(ActivityLog, "create").mockResolvedValue({});
+    vi.spyOn(Task, "findById").mockReturnValue({ lean: async () => task() });
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("GET /:id/series describes the series", async () => {
+    const res = await request(app).get(`/api/tasks/${T1}/series?limit=500`).expect(200);
+    expect(res.body.seriesId).toBe(T1);
+    expect(service.seriesOverview).toHaveBeenCalledWith(expect.objectContaining({ _id: T1 }), { limit: 50 });
+  });
+
+  it("POST /:id/series/skip leaves a later date out and tells the calendar", async () => {
+    service.skipOccurrence.mockResolvedValue({ set: {} });
+
+    await request(app)
+      .post(`/api/tasks/${T1}/series/skip`)
+      .send({ occurrenceDate: "2026-03-16T01:00:00Z" })
+      .expect(200);
+
+    expect(ActivityLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "updated",
+        changes: [{ field: "skippedOccurrence", from: null, to: at("2026-03-16T01:00:00Z") }],
+      })
+    );
+    expect(io.to).toHaveBeenCalledWith([`user:${ME}`]);
+    expect(io.emit).toHaveBeenCalledWith("calendar:series:updated", { seriesId: T1 });
+  });
+
+  it("passes on why an occurrence can't be skipped or changed", async () => {
+    service.skipOccurrence.mockResolvedValue({ status: 409, error: "That occurrence already has a task" });
+    const skip = await request(app).post(`/api/tasks/${T1}/series/skip`).send({ occurrenceDate: "x" }).expect(409);
+    expect(skip.body.error).toMatch(/already has a task/);
+
+    const bad = await request(app)
+      .post(`/api/tasks/${T1}/series/occurrences`)
+      .send({ occurrenceDate: "2026-03-16T01:00:00Z", priority: "high" })
+      .expect(400);
+    expect(bad.body.error).toMatch(/priority/);
+    expect(service.detachOccurrence).not.toHaveBeenCalled();
+  });
+});
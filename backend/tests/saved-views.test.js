@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import SavedView from "../models/SavedView.js";
+import Project from "../models/Project.js";
+import { asUser } from "./helpers/auth.js";
+import { canViewSavedView, savedViewVisibilityFilter } from "../services/access-policy.js";
+import { validateSavedView } from "../utils/saved-views.js";
+import savedViewsRouter from "../routes/saved-views.js";
+
+const ME = "65b000000000000000000001";
+const OTHER = "65b000000000000000000002";
+const PROJECT = "65b000000000000000000020";
+const VIEW = "65b000000000000000000050";
+const SALES = "65b000000000000000000060";
+const FINANCE = "65b000000000000000000061";
+
+let role = "Manager";
+let department = SALES;
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role, department })));
+app.use("/api/views", savedViewsRouter);
+
+const selectLean = (result) => ({
+  select: vi.fn().mockReturnThis(),
+  populate: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(result),
+});
+
+const highThisWeek = {
+  name: "High priority, due this week",
+  filters: { priority: "High", due: "this_week", assignee: "me" },
+  sort: { field: "deadline", direction: "asc" },
+  groupBy: "status",
+};
+
+describe("utils/saved-views", () => {
+  it("fills in defaults and treats 'All' as no filter", () => {
+    const { view, error } = validateSavedView({ name: " Mine ", filters: { status: "All", priority: "7" } });
+    expect(error).toBeUndefined();
+    expect(view).toEqual({
+      name: "Mine",
+      project: null,
+      sharing: "private",
+      department: null,
+      filters: { status: null, priority: "7", due: "any", assignee: null },
+      sort: { field: "default", direction: "asc" },
+      groupBy: "due",
+    });
+    expect(validateSavedView({ name: "S", sort: "priority" }).view.sort).toEqual({ field: "priority", direction: "asc" });
+  });
+
+  it("rejects unknown filter, sort and grouping values", () => {
+    const bad = (extra) => validateSavedView({ name: "V", ...extra }).error;
+    expect(validateSavedView({}).error).toMatch(/name is required/);
+    expect(bad({ filters: { priority: "11" } })).toMatch(/filters.priority/);
+    expect(bad({ filters: { due: "someday" } })).toMatch(/filters.due/);
+    expect(bad({ filters: { assignee: "bob" } })).toMatch(/filters.assignee/);
+    expect(bad({ sort: { field: "colour" } })).toMatch(/sort.field/);
+    expect(bad({ groupBy: "label" })).toMatch(/groupBy/);
+    expect(bad({ sharing: "public" })).toMatch(/sharing/);
+  });
+
+  it("only returns the fields sent when partial", () => {
+    expect(validateSavedView({ groupBy: "none" }, { partial: true })).toEqual({ view: { groupBy: "none" } });
+  });
+});
+
+describe("access-policy saved views", () => {
+  const project = { createdBy: OTHER, teamMembers: [ME], department: [] };
+
+  it("shares views with the project or department only", () => {
+    const staff = { _id: ME, role: "Staff", department: SALES };
+    expect(canViewSavedView(staff, { owner: ME, sharing: "private" }, null)).toBe(true);
+    expect(canViewSavedView(staff, { owner: OTHER, sharing: "private" }, null)).toBe(false);
+    expect(canViewSavedView(staff, { owner: OTHER, sharing: "project" }, project)).toBe(true);
+    expect(canViewSavedView(staff, { owner: OTHER, sharing: "project" }, { ...project, teamMembers: [] })).toBe(false);
+    expect(canViewSavedView(staff, { owner: OTHER, sharing: "department", department: SALES }, null)).toBe(true);
+    expect(canViewSavedView(staff, { owner: OTHER, sharing: "department", department: FINANCE }, null)).toBe(false);
+    expect(canViewSavedView({ _id: ME, role: "HR" }, { owner: OTHER, sharing: "department", department: FINANCE }, null)).toBe(true);
+  });
+
+  it("lists own, project and department views", () => {
+    expect(savedViewVisibilityFilter({ _id: ME, role: "Staff", department: SALES }, [PROJECT])).toEqual({
+      $or: [
+        { owner: ME },
+        { sharing: "project", project: { $in: [PROJECT] } },
+        { sharing: "department", department: SALES },
+      ],
+    });
+  });
+});
+
+describe("routes/saved-views", () => {
+  beforeEach(() => {
+    role = "Manager";
+    department = SALES;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("saves a view for the caller", async () => {
+    const create = vi.spyOn(SavedView, "create").mockImplementation(async (doc) => ({ _id: VIEW, ...doc }));
+
+    const res = await request(app).post("/api/views").send(highThisWeek).expect(201);
+    expect(res.body).toMatchObject({ owner: ME, sharing: "private", groupBy: "status" });
+    expect(create.mock.calls[0][0].filters).toEqual({ status: null, priority: "High", due: "this_week", assignee: "me" });
+  });
+
+  it("checks the project and department a view is shared with", async () => {
+    const create = vi.spyOn(SavedView, "create").mockImplementation(async (doc) => doc);
+    const findProject = vi.spyOn(Project, "findById");
+
+    await request(app).post("/api/views").send({ ...highThisWeek, sharing: "project" }).expect(400);
+
+    findProject.mockReturnValueOnce(selectLean({ _id: PROJECT, createdBy: OTHER, teamMembers: [] }));
+    await request(app).post("/api/views").send({ ...highThisWeek, project: PROJECT, sharing: "project" }).expect(403);
+
+    await request(app).post("/api/views").send({ ...highThisWeek, sharing: "department", department: FINANCE }).expect(403);
+
+    const res = await request(app).post("/api/views").send({ ...highThisWeek, sharing: "department" }).expect(201);
+    expect(res.body.department).toBe(SALES);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("opens a shared link only for those it is shared with", async () => {
+    const findById = vi.spyOn(SavedView, "findById");
+
+    findById.mockReturnValueOnce(selectLean({ _id: VIEW, owner: { _id: OTHER }, sharing: "department", department: SALES }));
+    const res = await request(app).get(`/api/views/${VIEW}`).expect(200);
+    expect(res.body._id).toBe(VIEW);
+
+    findById.mockReturnValueOnce(selectLean({ _id: VIEW, owner: { _id: OTHER }, sharing: "private" }));
+    await request(app).get(`/api/views/${VIEW}`).expect(403);
+
+    findById.mockReturnValueOnce(selectLean(null));
+    await request(app).get(`/api/views/${VIEW}`).expect(404);
+  });
+
+  it("lets only the owner change or delete a view", async () => {
+    const save = vi.fn().mockResolvedValue();
+    const doc = { _id: VIEW, owner: OTHER, project: null, sharing: "private", department: null, set: vi.fn(), save };
+    vi.spyOn(SavedView, "findById").mockResolvedValueOnce(doc);
+    await request(app).put(`/api/views/${VIEW}`).send({ name: "Renamed" }).expect(403);
+
+    doc.owner = ME;
+    vi.spyOn(SavedView, "findById").mockResolvedValueOnce(doc);
+    await request(app).put(`/api/views/${VIEW}`).send({ name: "Renamed", sharing: "department" }).expect(200);
+    expect(doc.set).toHaveBeenCalledWith(expect.objectContaining({ name: "Renamed", sharing: "department", department: SALES }));
+    expect(save).toHaveBeenCalledTimes(1);
+
+    vi.spyOn(SavedView, "findById").mockReturnValueOnce(selectLean({ _id: VIEW, owner: OTHER }));
+    const deleteOne = vi.spyOn(SavedView, "deleteOne");
+    await request(app).delete(`/api/views/${VIEW}`).expect(403);
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Comment from "../models/Comment.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import { asUser } from "./helpers/auth.js";
+import {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  bestSnippet,
+  makeSnippet,
+  parseSearchParams,
+  rankResults,
+  searchTerms,
+} from "../utils/search.js";
+
+vi.mock("../services/search.js", () => ({
+  search: vi.fn(),
+}));
+
+const service = await import("../services/search.js");
+const { search } = await vi.importActual("../services/search.js");
+const { default: searchRouter } = await import("../routes/search.js");
+
+const ME = "65b000000000000000000001";
+const PROJECT = "65b000000000000000000020";
+const VISIBLE = "65b000000000000000000021";
+
+const role = "Staff";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role })));
+app.use("/api/search", searchRouter);
+
+/** A Mongoose query stand-in: every builder returns itself and awaiting it gives `result`. */
+const query = (result) => {
+  const q = {};
+  for (const m of ["select", "populate", "sort", "limit", "lean"]) q[m] = vi.fn(() => q);
+  q.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return q;
+};
+
+describe("utils/search", () => {
+  it("parses and validates the query string", () => {
+    expect(parseSearchParams({ q: "  quarterly   report " }).params).toEqual({
+      q: "quarterly report",
+      types: ["task", "project", "comment"],
+      project: null,
+      statuses: [],
+      from: undefined,
+      to: undefined,
+      limit: DEFAULT_SEARCH_LIMIT,
+    });
+    const { params } = parseSearchParams({
+      q: "qa",
+      types: "Task,comment",
+      project: PROJECT,
+      status: "To Do,Done",
+      from: "2025-11-01",
+      limit: "500",
+    });
+    expect(params).toMatchObject({ types: ["task", "comment"], statuses: ["To Do", "Done"], limit: MAX_SEARCH_LIMIT });
+    expect(params.from.toISOString()).toBe("2025-11-01T00:00:00.000Z");
+
+    expect(parseSearchParams({ q: "a" }).error).toMatch(/at least 2/);
+    expect(parseSearchParams({ q: "qa", types: "user" }).error).toMatch(/Unknown type 'user'/);
+    expect(parseSearchParams({ q: "qa", project: "nope" }).error).toMatch(/project id/);
+    expect(parseSearchParams({ q: "qa", to: "someday" }).error).toMatch(/from\/to/);
+    expect(parseSearchParams({ q: "qa", from: "2025-12-01", to: "2025-11-01" }).error).toMatch(/before/);
+    expect(parseSearchParams({ q: "qa", limit: "0" }).error).toMatch(/limit/);
+  });
+
+  it("highlights matching words, allowing for stemming", () => {
+    const terms = searchTerms('"Quarterly" -draft reports');
+    expect(terms).toEqual(["quarterly", "draft", "reports"]);
+
+    const { text, highlights } = makeSnippet("Send the quarterly report to Finance", terms);
+    expect(highlights.map(([s, e]) => text.slice(s, e))).toEqual(["quarterly", "report"]);
+  });
+
+  it("cuts long text around the first match", () => {
+    const long = `${"lorem ipsum ".repeat(30)}budget review ${"dolor sit ".repeat(30)}`;
+    const { text, highlights } = makeSnippet(long, ["budget"], 60);
+    expect(text.startsWith("…")).toBe(true);
+    expect(text.endsWith("…")).toBe(true);
+    expect(text.length).toBeLessThanOrEqual(62);
+    expect(highlights).toHaveLength(1);
+    expect(text.slice(...highlights[0])).toBe("budget");
+  });
+
+  it("prefers the first field with a match and ranks by score", () => {
+    const doc = { title: "Launch", description: "Book the venue", notes: "" };
+    expect(bestSnippet(doc, ["title", "description", "notes"], ["venue"])).toMatchObject({ field: "description" });
+    expect(bestSnippet(doc, ["title", "description"], ["catering"])).toMatchObject({ field: "title", highlights: [] });
+
+    const older = { score: 2, updatedAt: "2025-11-01" };
+    const newer = { score: 2, updatedAt: "2025-11-02" };
+    expect(rankResults([older, { score: 1 }, newer], 2)).toEqual([newer, older]);
+  });
+});
+
+describe("routes/search", () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("rejects bad parameters before searching", async () => {
+    const res = await request(app).get("/api/search").query({ q: "x" }).expect(400);
+    expect(res.body.error).toMatch(/at least/);
+    expect(service.search).not.toHaveBeenCalled();
+  });
+
+  it("searches as the caller", async () => {
+    service.search.mockResolvedValue([{ type: "task", _id: "t1", title: "QA sign-off", score: 1.5 }]);
+
+    const res = await request(app).get("/api/search").query({ q: "qa", types: "task" }).expect(200);
+    expect(res.body).toEqual({ query: "qa", results: [expect.objectContaining({ title: "QA sign-off" })] });
+    const [user, params] = service.search.mock.calls[0];
+    expect(user).toMatchObject({ _id: ME, role: "Staff" });
+    expect(params).toMatchObject({ q: "qa", types: ["task"] });
+  });
+});
+
+describe("services/search", () => {
+  let taskFind;
+  let projectFind;
+  let commentFind;
+
+  beforeEach(() => {
+    // taskVisibilityFilter looks up the projects the caller can see
+    vi.spyOn(Project, "find").mockImplementation((filter) =>
+      filter.$and?.[0]?.$text
+        ? projectFind(filter)
+        : { select: vi.fn().mockReturnThis(), lean: vi.fn().mockResolvedValue([{ _id: VISIBLE }]) }
+    );
+    taskFind = vi.fn(() => query([
+      { _id: "t1", title: "Budget review", description: "", status: "To Do", score: 3, updatedAt: "2025-11-02" },
+    ]));
+    projectFind = vi.fn(() => query([{ _id: VISIBLE, name: "Budget 2026", score: 5, updatedAt: "2025-11-01" }]));
+    commentFind = vi.fn(() => query([
+      { _id: "c1", body: "Budget is approved", task: { _id: "t1", title: "Budget review", status: "To Do" }, score: 1 },
+    ]));
+    vi.spyOn(Task, "find").mockImplementation((filter) =>
+      filter.$and?.[0]?.$text ? taskFind(filter) : { distinct: vi.fn().mockResolvedValue(["t1"]) }
+    );
+    vi.spyOn(Comment, "find").mockImplementation((filter) => commentFind(filter));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("merges visible hits from every type, best first", async () => {
+    const { params } = parseSearchParams({ q: "budget" });
+    const results = await search({ _id: ME, role: "Staff" }, params);
+
+    expect(results.map((r) => `${r.type}:${r._id}`)).toEqual([`project:${VISIBLE}`, "task:t1", "comment:c1"]);
+    expect(results[1].snippet).toEqual({ field: "title", text: "Budget review", highlights: [[0, 6]] });
+    expect(results[2]).toMatchObject({ task: { _id: "t1", title: "Budget review" }, author: null });
+
+    // Every query is limited to what the caller can see
+    const [taskFilter] = taskFind.mock.calls[0];
+    expect(taskFilter.$and[1].$or).toContainEqual({ assignedTeamMembers: ME });
+    expect(projectFind.mock.calls[0][0].$and[1].$or).toContainEqual({ teamMembers: ME });
+    expect(commentFind.mock.calls[0][0].$and[1]).toEqual({ task: { $in: ["t1"] } });
+  });
+
+  it("applies the status filter to tasks and comments and skips projects", async () => {
+    const { params } = parseSearchParams({ q: "budget", status: "Done", project: PROJECT });
+    await search({ _id: ME, role: "HR" }, params);
+
+    expect(projectFind).not.toHaveBeenCalled();
+    expect(taskFind.mock.calls[0][0].$and[1]).toEqual({ assignedProject: PROJECT, status: { $in: ["Done"] } });
+    expect(Task.find).toHaveBeenCalledWith({ assignedProject: PROJECT, status: { $in: ["Done"] } });
+  });
+});
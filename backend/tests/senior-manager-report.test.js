@@ -20,6 +20,9 @@ import Project from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import Department from "../models/Department.js";
+import { asUser } from "./helpers/auth.js";
+
+const SENIOR_MANAGER_ID = "65f000000000000000000002";
 
 dayjs.extend(isBetween);
 
@@ -412,6 +415,7 @@ describe("Senior Manager Company-Wide Report API", () => {
     // Setup Express app
     app = express();
     app.use(express.json());
+    app.use(asUser(() => ({ sub: SENIOR_MANAGER_ID, role: "Senior Manager" })));
     app.use("/api/senior-manager", seniorManagerRouter);
   });
 
@@ -1,6 +1,9 @@
 import { describe, it, expect, vi } from "vitest";
 import request from "supertest";
 import express from "express";
+import { asUser, signTestToken } from "./helpers/auth.js";
+
+const SENIOR_MANAGER_ID = "65f000000000000000000002";
 
 /* ---------- tiny helper to build mongoose-like chains ---------- */
 const chain = (payload) => {
@@ -52,6 +55,7 @@ async function loadApp(mocks) {
   const router = (await import("../routes/senior-manager.js")).default;
   const app = express();
   app.use(express.json());
+  app.use(asUser(() => ({ sub: SENIOR_MANAGER_ID, role: "Senior Manager" })));
   app.use("/api/senior-manager", router);
   return app;
 }
@@ -334,6 +338,7 @@ describe("GET /api/senior-manager/report (error path)", () => {
 
     const router = (await import("../routes/senior-manager.js")).default;
     const app = express();
+    app.use(asUser(() => ({ sub: SENIOR_MANAGER_ID, role: "Senior Manager" })));
     app.use("/api/senior-manager", router);
 
     const res = await request(app).get("/api/senior-manager/report");
@@ -342,3 +347,27 @@ describe("GET /api/senior-manager/report (error path)", () => {
     expect(res.body.details).toMatch(/find fail/);
   });
 });
+
+describe("GET /api/senior-manager/report (access control)", () => {
+  const empty = { projects: [], tasks: [], users: [], departments: [] };
+
+  it("403 for roles without company-wide reporting", async () => {
+    const app = await loadApp(empty);
+    const token = signTestToken({ sub: U1, role: "Manager" });
+
+    const res = await request(app)
+      .get("/api/senior-manager/report")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(403);
+  });
+
+  it("allows HR", async () => {
+    const app = await loadApp(empty);
+    const token = signTestToken({ sub: U1, role: "HR" });
+
+    const res = await request(app)
+      .get("/api/senior-manager/report")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(200);
+  });
+});
@@ -20,53 +20,26 @@ vi.mock("../app.js", () => {
     return { default: app };
 });
 
-/* ----------------------- Mocks: node-cron capture --------------------- */
+/* ------------------- Mocks: job scheduler capture -------------------- */
 const scheduled = [];
-vi.mock("node-cron", () => {
-    return {
-        default: {
-            schedule: vi.fn((expr, fn, opts) => {
-                const job = { expr, fn, opts, start: vi.fn(), stop: vi.fn() };
-                scheduled.push(job);
-                return job;
-            }),
-        },
-    };
-});
+const startSchedulerMock = vi.fn().mockResolvedValue(undefined);
+vi.mock("../services/job-scheduler.js", () => ({
+    defineJob: vi.fn((name, { schedule, handler }) => {
+        scheduled.push({ name, expr: schedule, fn: handler });
+    }),
+    startScheduler: startSchedulerMock,
+}));
 
 /* -------------------- Mocks: socket.io testable IO -------------------- */
 let lastIO = null;
-function makeFakeSocket(id = "s1") {
-    const handlers = {};
-    return {
-        id,
-        on: (event, cb) => {
-            handlers[event] = cb;
-        },
-        emit: vi.fn(),
-        _trigger: async (event, ...args) => {
-            if (handlers[event]) return await handlers[event](...args);
-        },
-        _handlers: handlers,
-    };
-}
 vi.mock("socket.io", () => {
     class FakeIOServer {
         constructor() {
-            this._handlers = {};
             this._emits = [];
             lastIO = this;
         }
-        on(event, cb) {
-            this._handlers[event] = cb;
-        }
-        emit(...args) {
-            this._emits.push(args);
-        }
-        _simulateConnect(id = "s1") {
-            const sock = makeFakeSocket(id);
-            this._handlers["connection"]?.(sock);
-            return sock;
+        to(rooms) {
+            return { emit: (...args) => this._emits.push([rooms, ...args]) };
         }
         _emitted() {
             return this._emits.slice();
@@ -75,21 +48,50 @@ vi.mock("socket.io", () => {
     return { Server: FakeIOServer };
 });
 
+// Connections are covered in tests/realtime.test.js
+const attachSocketHandlersMock = vi.fn();
+vi.mock("../services/socket-handlers.js", () => ({
+    attachSocketHandlers: attachSocketHandlersMock,
+}));
+
 /* --------------- Mocks: jobs & notification services ------------------ */
 const runDailyOverdueDigestMock = vi.fn().mockResolvedValue(undefined);
 vi.mock("../jobs/daily-overdue-task-emails", () => ({
     runDailyOverdueDigest: runDailyOverdueDigestMock,
 }));
 
+const runNotificationDigestMock = vi.fn().mockResolvedValue([]);
+vi.mock("../jobs/notification-digest.js", () => ({
+    runNotificationDigest: runNotificationDigestMock,
+}));
+
+const processOutboxMock = vi.fn().mockResolvedValue({ sent: 0, retrying: 0, failed: 0 });
+vi.mock("../utils/mailer.js", () => ({
+    processOutbox: processOutboxMock,
+}));
+
+const backfillStatusCategoriesMock = vi.fn().mockResolvedValue(0);
+vi.mock("../services/workflow.js", () => ({
+    backfillStatusCategories: backfillStatusCategoriesMock,
+}));
+
+const purgeExpiredTrashMock = vi.fn().mockResolvedValue({ projects: 0, tasks: 0, comments: 0 });
+vi.mock("../services/trash.js", () => ({
+    purgeExpiredTrash: purgeExpiredTrashMock,
+}));
+
+const processWebhookDeliveriesMock = vi.fn().mockResolvedValue({ succeeded: 0, retrying: 0, failed: 0 });
+const publishEventMock = vi.fn().mockResolvedValue([]);
+vi.mock("../services/webhooks.js", () => ({
+    processWebhookDeliveries: processWebhookDeliveriesMock,
+    publishEvent: publishEventMock,
+}));
+
 const checkAndCreateRemindersMock = vi.fn().mockResolvedValue([]); // default empty
-const getUnreadNotificationsMock = vi.fn().mockResolvedValue([{ id: "n1" }]);
-const markNotificationsAsReadMock = vi.fn().mockResolvedValue(undefined);
 const sendPendingEmailsMock = vi.fn().mockResolvedValue(undefined);
 
 vi.mock("../services/notification-service.js", () => ({
     checkAndCreateReminders: checkAndCreateRemindersMock,
-    getUnreadNotifications: getUnreadNotificationsMock,
-    markNotificationsAsRead: markNotificationsAsReadMock,
     sendPendingEmails: sendPendingEmailsMock,
 }));
 
@@ -120,48 +122,85 @@ describe("server.js – 100% coverage", () => {
         const serverMod = await import("../server.js");
         expect(serverMod).toBeTruthy();
 
-        // Exactly 2 cron schedules should have been registered
-        const cron = (await import("node-cron")).default;
-        expect(cron.schedule).toHaveBeenCalledTimes(2);
-        expect(scheduled).toHaveLength(2);
+        // Exactly 6 jobs should have been registered, then the scheduler started
+        const { defineJob } = await import("../services/job-scheduler.js");
+        expect(defineJob).toHaveBeenCalledTimes(6);
+        expect(scheduled.map((j) => [j.name, j.expr])).toEqual([
+            ["reminders", "* * * * *"],
+            ["daily-overdue-digest", "0 9 * * *"],
+            ["notification-digest", "0 * * * *"],
+            ["email-outbox", "* * * * *"],
+            ["trash-purge", "30 3 * * *"],
+            ["webhook-deliveries", "* * * * *"],
+        ]);
+        expect(startSchedulerMock).toHaveBeenCalledTimes(1);
+        expect(backfillStatusCategoriesMock).toHaveBeenCalledTimes(1);
 
         // --- COVER THE forEach EMIT BRANCH ---
         // Make the first minute-cron run return two new notifications
         const nA = { id: "A", userId: "user-42", msg: "hello" };
-        const nB = { id: "B", userId: "user-99", msg: "world" };
+        const nB = { id: "B", userId: "user-99", msg: "world", type: "overdue", taskId: "task-7" };
         checkAndCreateRemindersMock.mockResolvedValueOnce([nA, nB]);
 
-        // Run the minute cron; should emit two "notification:<userId>" events
-        await scheduled[0].fn();
-        expect(checkAndCreateRemindersMock).toHaveBeenCalledTimes(1);
+        // Run the minute job; should emit "notification:<userId>" to each recipient's room
+        const since = new Date("2025-11-01T00:00:00Z");
+        await scheduled[0].fn({ since });
+        expect(checkAndCreateRemindersMock).toHaveBeenCalledWith({ since });
         expect(sendPendingEmailsMock).toHaveBeenCalledTimes(1);
+        // Overdue notifications also go out to webhooks
+        expect(publishEventMock).toHaveBeenCalledTimes(1);
+        expect(publishEventMock).toHaveBeenCalledWith("notification.overdue", {
+            notification: expect.objectContaining({ userId: "user-99", taskId: "task-7", type: "overdue" }),
+        });
 
         // Assert emits
         const emitted = lastIO._emitted();
         expect(emitted).toEqual([
-            [`notification:${nA.userId}`, nA],
-            [`notification:${nB.userId}`, nB],
+            [["user:user-42"], `notification:${nA.userId}`, nA],
+            [["user:user-99"], `notification:${nB.userId}`, nB],
         ]);
         // --- END COVERAGE OF forEach EMIT BRANCH ---
 
-        // Daily cron
-        await scheduled[1].fn();
+        // Daily job
+        const dailyLog = vi.spyOn(console, "log").mockImplementation(() => { });
+        await scheduled[1].fn({});
+        dailyLog.mockRestore();
         expect(runDailyOverdueDigestMock).toHaveBeenCalledTimes(1);
 
-        // Socket flows
+        // Notification digest job
+        runNotificationDigestMock.mockResolvedValueOnce(["n1", "n2"]);
+        const logSpy = vi.spyOn(console, "log").mockImplementation(() => { });
+        await scheduled[2].fn({});
+        expect(runNotificationDigestMock).toHaveBeenCalledTimes(1);
+        expect(logSpy).toHaveBeenCalledWith("[jobs] notification digest sent 2 notifications");
+
+        // Email outbox job: quiet when there was nothing to retry
+        logSpy.mockClear();
+        await scheduled[3].fn({});
+        expect(logSpy).not.toHaveBeenCalled();
+        processOutboxMock.mockResolvedValueOnce({ sent: 2, retrying: 1, failed: 1 });
+        await scheduled[3].fn({});
+        expect(processOutboxMock).toHaveBeenCalledTimes(2);
+        expect(logSpy).toHaveBeenCalledWith("[jobs] email outbox: 2 sent, 1 failed");
+        logSpy.mockRestore();
+
+        // Trash purge job
+        await scheduled[4].fn({});
+        expect(purgeExpiredTrashMock).toHaveBeenCalledTimes(1);
+
+        // Webhook retries: quiet when there was nothing to retry
+        const webhookLog = vi.spyOn(console, "log").mockImplementation(() => { });
+        await scheduled[5].fn({});
+        expect(webhookLog).not.toHaveBeenCalled();
+        processWebhookDeliveriesMock.mockResolvedValueOnce({ succeeded: 3, retrying: 0, failed: 1 });
+        await scheduled[5].fn({});
+        expect(webhookLog).toHaveBeenCalledWith("[jobs] webhook deliveries: 3 delivered, 1 failed");
+        webhookLog.mockRestore();
+
+        // Sockets are authenticated and put in rooms
         const { Server: FakeIO } = await import("socket.io");
         expect(lastIO).toBeInstanceOf(FakeIO);
-        const sock = lastIO._simulateConnect("u-123");
-
-        await sock._trigger("getUnreadNotifications", "user-1");
-        expect(getUnreadNotificationsMock).toHaveBeenCalledWith("user-1");
-        expect(sock.emit).toHaveBeenCalledWith("unreadNotifications", [{ id: "n1" }]);
-
-        await sock._trigger("markNotificationsRead", ["nid-1", "nid-2"]);
-        expect(markNotificationsAsReadMock).toHaveBeenCalledWith(["nid-1", "nid-2"]);
-
-        await sock._trigger("disconnect");
-        expect(typeof sock._handlers.disconnect).toBe("function");
+        expect(attachSocketHandlersMock).toHaveBeenCalledWith(lastIO);
 
         // DB connect called once
         const mongooseMod = await import("mongoose");
@@ -199,11 +238,11 @@ describe("server.js – 100% coverage", () => {
         listenSpy.mockRestore();
     });
 
-    it("error paths: cron failures and DB connection failure", async () => {
-        // Force cron handler errors to hit catch blocks
+    it("error paths: job failures reach the scheduler, DB and scheduler start failures are logged", async () => {
         checkAndCreateRemindersMock.mockRejectedValueOnce(new Error("reminder boom"));
-        sendPendingEmailsMock.mockRejectedValueOnce(new Error("email boom"));
         runDailyOverdueDigestMock.mockRejectedValueOnce(new Error("digest boom"));
+        runNotificationDigestMock.mockRejectedValueOnce(new Error("notification digest boom"));
+        startSchedulerMock.mockRejectedValueOnce(new Error("scheduler boom"));
 
         const errSpy = vi.spyOn(console, "error").mockImplementation(() => { });
         vi.doMock("mongoose", async () => {
@@ -221,14 +260,16 @@ describe("server.js – 100% coverage", () => {
                 return this;
             });
 
+        scheduled.length = 0;
         await import("../server.js");
 
-        // Minute cron (two failures logged)
-        await scheduled[0].fn();
-        // Daily cron (one failure logged)
-        await scheduled[1].fn();
+        // Handlers throw so the scheduler can record the failure and retry
+        await expect(scheduled[0].fn({})).rejects.toThrow("reminder boom");
+        await expect(scheduled[1].fn({})).rejects.toThrow("digest boom");
+        await expect(scheduled[2].fn({})).rejects.toThrow("notification digest boom");
 
-        expect(errSpy).toHaveBeenCalled();
+        expect(errSpy).toHaveBeenCalledWith("MongoDB connection error:", expect.any(Error));
+        expect(errSpy).toHaveBeenCalledWith("[jobs] scheduler failed to start:", expect.any(Error));
 
         listenSpy.mockRestore();
         errSpy.mockRestore();
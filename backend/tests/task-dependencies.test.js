@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+const taskFind = vi.fn();
+
+vi.mock("../models/Task.js", () => ({
+  default: { find: taskFind },
+}));
+
+const taskVisibilityFilter = vi.fn();
+vi.mock("../services/access-policy.js", () => ({ taskVisibilityFilter }));
+
+const leanChain = (result) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(result),
+});
+
+const {
+  coerceDependencies,
+  loadBlockers,
+  findDependencyCycle,
+  scheduleWarnings,
+  openBlockers,
+  findDependents,
+} = await import("../services/task-dependencies.js");
+
+const A = "65c000000000000000000001";
+const B = "65c000000000000000000002";
+const C = "65c000000000000000000003";
+const T = "65c000000000000000000009";
+
+// Serves Task.find({ _id: { $in } }) from an in-memory blockedBy graph
+function useGraph(graph) {
+  taskFind.mockImplementation(({ _id }) =>
+    leanChain(
+      _id.$in
+        .filter((id) => graph[id])
+        .map((id) => ({ _id: id, blockedBy: graph[id].map((task) => ({ task })) }))
+    )
+  );
+}
+
+describe("services/task-dependencies", () => {
+  beforeEach(() => {
+    taskFind.mockReset();
+  });
+
+  describe("coerceDependencies", () => {
+    it("accepts ids, objects, JSON strings and CSV", () => {
+      expect(coerceDependencies([A, { task: B, lagMinutes: "90" }])).toEqual([
+        { task: A, type: "FS", lagMinutes: 0 },
+        { task: B, type: "FS", lagMinutes: 90 },
+      ]);
+      expect(coerceDependencies(JSON.stringify([A]))).toEqual([{ task: A, type: "FS", lagMinutes: 0 }]);
+      expect(coerceDependencies(`${A}, ${B}`).map((d) => d.task)).toEqual([A, B]);
+    });
+
+    it("drops duplicates, blanks and negative lag", () => {
+      expect(coerceDependencies([A, { task: A, lagMinutes: -5 }, "", null])).toEqual([
+        { task: A, type: "FS", lagMinutes: 0 },
+      ]);
+      expect(coerceDependencies(undefined)).toEqual([]);
+      expect(coerceDependencies("")).toEqual([]);
+    });
+  });
+
+  describe("loadBlockers", () => {
+    it("returns blockers in dependency order and omits unknown ids", async () => {
+      taskFind.mockReturnValue(leanChain([{ _id: B, title: "B" }, { _id: A, title: "A" }]));
+      const blockers = await loadBlockers([{ task: A }, { task: B }, { task: C }]);
+      expect(blockers.map((b) => b.title)).toEqual(["A", "B"]);
+    });
+
+    it("skips the query when there are no dependencies", async () => {
+      expect(await loadBlockers([])).toEqual([]);
+      expect(taskFind).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("findDependencyCycle", () => {
+    it("returns null for an acyclic graph", async () => {
+      useGraph({ [A]: [B], [B]: [C], [C]: [] });
+      expect(await findDependencyCycle(T, [A])).toBeNull();
+    });
+
+    it("returns the loop when a blocker (transitively) waits on the task", async () => {
+      // T <- A <- B <- T
+      useGraph({ [A]: [B], [B]: [T] });
+      expect(await findDependencyCycle(T, [A])).toEqual([T, A, B, T]);
+    });
+
+    it("flags a task blocking itself without querying", async () => {
+      expect(await findDependencyCycle(T, [T])).toEqual([T, T]);
+      expect(taskFind).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("scheduleWarnings", () => {
+    const blockers = [
+      { _id: A, title: "QA sign-off", deadline: new Date("2025-01-10T09:00:00Z") },
+      { _id: B, title: "No deadline" },
+    ];
+
+    it("warns when the dependent starts before the blocker's deadline plus lag", () => {
+      const deps = [{ task: A, lagMinutes: 60 }, { task: B, lagMinutes: 0 }];
+      const warnings = scheduleWarnings(new Date("2025-01-10T09:30:00Z"), deps, blockers);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({ task: A, title: "QA sign-off" });
+      expect(warnings[0].earliestStart.toISOString()).toBe("2025-01-10T10:00:00.000Z");
+    });
+
+    it("is quiet once the start is after the blocker is due", () => {
+      const deps = [{ task: A, lagMinutes: 0 }];
+      expect(scheduleWarnings(new Date("2025-01-11T00:00:00Z"), deps, blockers)).toEqual([]);
+      expect(scheduleWarnings(null, deps, blockers)).toEqual([]);
+    });
+  });
+
+  describe("openBlockers", () => {
+    it("keeps only blockers that are not Done", () => {
+      const open = openBlockers([
+        { _id: A, title: "A", status: "In Progress" },
+        { _id: B, title: "B", status: "Done" },
+      ]);
+      expect(open).toEqual([{ _id: A, title: "A", status: "In Progress", deadline: null }]);
+    });
+  });
+
+  describe("findDependents", () => {
+    it("only finds dependents the caller may see", async () => {
+      const visible = { $or: [{ createdBy: A }] };
+      taskVisibilityFilter.mockResolvedValueOnce(visible).mockResolvedValueOnce(null);
+      taskFind.mockReturnValue(leanChain([]));
+
+      await findDependents(T, { _id: A, role: "Staff" });
+      expect(taskFind).toHaveBeenLastCalledWith({ $and: [{ "blockedBy.task": T }, visible] });
+
+      await findDependents(T, { _id: A, role: "Senior Manager" });
+      expect(taskFind).toHaveBeenLastCalledWith({ "blockedBy.task": T });
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import ActivityLog from "../models/ActivityLog.js";
+import { asUser } from "./helpers/auth.js";
+import { coerceMapping, parseCsv, parseDateValue, rowsFromCsv, rowsFromIcs } from "../utils/task-import.js";
+
+vi.mock("../services/bulk-tasks.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  // No replica set here: run the work without a session
+  inTransaction: vi.fn((work) => work(undefined)),
+}));
+
+const { default: tasksRouter } = await import("../routes/tasks.js");
+
+const ME = "65b000000000000000000001";
+const ANA = "65b000000000000000000002";
+const PROJECT = "65b000000000000000000020";
+
+const io = { emit: vi.fn(), to: vi.fn(() => io) };
+const app = express();
+app.use(express.json());
+app.set("io", io);
+app.use(asUser(() => ({ sub: ME, role: "Staff" })));
+app.use("/api/tasks", tasksRouter);
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+const launch = { _id: PROJECT, name: "Launch", createdBy: ME, teamMembers: [] };
+
+const CSV = [
+  "Task,Due date,Assignees,Project,Priority,Notes",
+  '"Draft brief, v2",2026-03-20,ana@example.com,launch,High,"Say ""hi""\nto Ben"',
+  "Book venue,20/3/2026 14:30,,,,",
+].join("\r\n");
+
+const ICS = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "BEGIN:VEVENT",
+  "UID:e1@example.com",
+  "SUMMARY:Standup",
+  "DTSTART;TZID=Asia/Singapore:20260302T090000",
+  "DTEND;TZID=Asia/Singapore:20260302T091500",
+  "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10",
+  "EXDATE;TZID=Asia/Singapore:20260316T090000",
+  "ATTENDEE;CN=\"Ana: PM\";ROLE=REQ-PARTICIPANT:mailto:Ana@Example.com",
+  "CATEGORIES:Launch",
+  "BEGIN:VALARM",
+  "SUMMARY:Not the task",
+  "END:VALARM",
+  "END:VEVENT",
+  "BEGIN:VTODO",
+  "SUMMARY:Send invoices\\, all of them",
+  "DUE;VALUE=DATE:20260331",
+  "STATUS:COMPLETED",
+  "PRIORITY:1",
+  "END:VTODO",
+  "BEGIN:VEVENT",
+  "SUMMARY:Offsite",
+  "DTSTART;VALUE=DATE:20260410",
+  "DTEND;VALUE=DATE:20260411",
+  "STATUS:CANCELLED",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+describe("utils/task-import", () => {
+  it("parses quoted CSV and matches columns by their headers", () => {
+    const records = parseCsv(CSV);
+    expect(records).toHaveLength(3);
+    expect(records[1][0]).toBe("Draft brief, v2");
+    expect(records[1][5]).toBe('Say "hi"\nto Ben');
+
+    expect(coerceMapping(null, records[0]).mapping).toEqual({
+      title: "Task",
+      deadline: "Due date",
+      assignees: "Assignees",
+      project: "Project",
+      priority: "Priority",
+      notes: "Notes",
+    });
+    expect(coerceMapping({ notes: null, description: "Notes" }, records[0]).mapping).toMatchObject({ description: "Notes" });
+    expect(coerceMapping({ deadline: "When" }, records[0]).error).toMatch(/No column 'When'/);
+    expect(coerceMapping({}, ["A", "B"]).error).toMatch(/title/);
+  });
+
+  it("reads dates in Singapore time, a date alone as due at the end of the day", () => {
+    expect(parseDateValue("2026-03-20T09:00").date).toEqual(new Date("2026-03-20T01:00:00Z"));
+    expect(parseDateValue("20/3/2026 14:30").date).toEqual(new Date("2026-03-20T06:30:00Z"));
+    expect(parseDateValue("2026-03-20T09:00:00Z").date).toEqual(new Date("2026-03-20T09:00:00Z"));
+    expect(parseDateValue("2026-02-30").error).toMatch(/Invalid date/);
+
+    const { rows } = rowsFromCsv(CSV);
+    expect(rows[0]).toMatchObject({
+      row: 2,
+      values: {
+        title: "Draft brief, v2",
+        project: "launch",
+        assignees: ["ana@example.com"],
+        priority: 8,
+        deadline: new Date("2026-03-20T15:59:00Z"),
+        allDay: true,
+      },
+      errors: [],
+    });
+    expect(rows[1].values).toMatchObject({ deadline: new Date("2026-03-20T06:30:00Z"), allDay: false, project: null });
+  });
+
+  it("turns events and to-dos into rows, skipping cancelled ones", () => {
+    const { rows, skipped } = rowsFromIcs(ICS);
+
+    expect(rows).toHaveLength(2);
+    // Due when the event ends; the skipped Monday moves with it to 9:15
+    expect(rows[0].values).toMatchObject({
+      title: "Standup",
+      project: "Launch",
+      assignees: ["ana@example.com"],
+      startAt: new Date("2026-03-02T01:00:00Z"),
+      deadline: new Date("2026-03-02T01:15:00Z"),
+      allDay: false,
+      recurrence: { rrule: "FREQ=WEEKLY;BYDAY=MO;COUNT=10", timezone: "Asia/Singapore", exdates: [new Date("2026-03-16T01:15:00Z")] },
+    });
+    expect(rows[1].values).toMatchObject({
+      title: "Send invoices, all of them",
+      statusCategory: "done",
+      priority: 10,
+      deadline: new Date("2026-03-31T15:59:00Z"),
+      allDay: true,
+    });
+    expect(skipped).toEqual([{ row: 3, title: "Offsite", reason: "Cancelled" }]);
+    expect(rowsFromIcs("hello").error).toMatch(/Not an iCalendar file/);
+  });
+});
+
+describe("POST /api/tasks/import", () => {
+  beforeEach(() => {
+    io.emit.mockReset();
+    io.to.mockClear();
+    vi.spyOn(Project, "find").mockReturnValue(lean([launch]));
+    vi.spyOn(User, "find").mockReturnValue(lean([{ _id: ANA, name: "Ana", email: "ana@example.com" }]));
+    vi.spyOn(Task, "findOne").mockReturnValue({ sort: () => lean(null) });
+    vi.spyOn(ActivityLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("previews the tasks and the row errors without creating anything", async () => {
+    const insert = vi.spyOn(Task, "insertMany");
+
+    const res = await request(app)
+      .post("/api/tasks/import")
+      .send({ format: "csv", content: `${CSV}\r\nNo date,soon,bob@example.com,Launch,,`, dryRun: true })
+      .expect(200);
+
+    expect(res.body.creates).toHaveLength(1);
+    expect(res.body.creates[0]).toMatchObject({
+      row: 2,
+      title: "Draft brief, v2",
+      project: { _id: PROJECT, name: "Launch" },
+      assignees: [{ _id: ANA, email: "ana@example.com" }],
+      status: "To Do",
+      priority: 8,
+      allDay: true,
+    });
+    // Row 3 has no project and no default one; row 4 a bad date and an unknown person
+    expect(res.body.errors).toEqual([
+      { row: 3, field: "project", error: "Project is required" },
+      { row: 4, field: "deadline", error: "Invalid date 'soon'" },
+      { row: 4, field: "assignees", error: "No user with email bob@example.com" },
+    ]);
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it("imports nothing while any row has an error", async () => {
+    const insert = vi.spyOn(Task, "insertMany");
+    const res = await request(app).post("/api/tasks/import").send({ format: "csv", content: CSV }).expect(400);
+    expect(res.body.error).toBe("1 row has errors; nothing was imported");
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it("creates recurring tasks from an iCalendar file", async () => {
+    vi.spyOn(Project, "findById").mockReturnValue(lean(launch));
+    const insert = vi.spyOn(Task, "insertMany").mockImplementation(async (docs) => docs);
+
+    const res = await request(app)
+      .post("/api/tasks/import")
+      .field("projectId", PROJECT)
+      .attach("file", Buffer.from(ICS), { filename: "team.ics", contentType: "text/calendar" })
+      .expect(201);
+
+    expect(res.body).toMatchObject({ message: "2 tasks imported", skipped: [{ row: 3, reason: "Cancelled" }] });
+    const [standup, invoices] = insert.mock.calls[0][0];
+    expect(standup).toMatchObject({
+      title: "Standup",
+      assignedTeamMembers: [ANA],
+      status: "To Do",
+      recurrence: { frequency: "weekly", byDay: ["MO"], ends: "afterCount", count: 10 },
+      occurrenceDate: new Date("2026-03-02T01:15:00Z"),
+    });
+    expect(standup.recurrence.start).toEqual(standup.deadline);
+    expect(standup.seriesId).toBe(standup._id);
+    expect(invoices).toMatchObject({ status: "Done", statusCategory: "done", assignedProject: PROJECT });
+    expect(invoices.rank).toBeGreaterThan(0);
+    expect(io.to).toHaveBeenCalledWith([`user:${ME}`, `user:${ANA}`, `project:${PROJECT}`]);
+    expect(io.emit).toHaveBeenCalledWith("tasks:bulk", {
+      action: "created",
+      taskIds: res.body.taskIds,
+      projectIds: [PROJECT],
+    });
+  });
+
+  it("refuses a file it can't read", async () => {
+    await request(app).post("/api/tasks/import").send({ content: "a,b" }).expect(400);
+    const res = await request(app).post("/api/tasks/import").send({ format: "csv", content: "Owner,When\nx,y" }).expect(400);
+    expect(res.body).toMatchObject({ error: expect.stringMatching(/title/), columns: ["Owner", "When"] });
+  });
+
+  it("400s a request without a body it can read", async () => {
+    await request(app).post("/api/tasks/import").expect(400);
+    const res = await request(app).post("/api/tasks/import").set("Content-Type", "text/plain").send("Title\nShip").expect(400);
+    expect(res.body.error).toMatch(/format/);
+  });
+});
@@ -3,6 +3,7 @@ import express from "express";
 import request from "supertest";
 import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
+import { signTestToken } from "./helpers/auth.js";
 
 // Use your real tasks router so the same code path (computeNextDeadline + update->clone) runs
 import tasksRouter from "../routes/tasks.js";
@@ -17,8 +18,9 @@ let mongod, app, agent;
 function makeApp() {
   const server = express();
   server.use(express.json());
-  // stub socket emission used by router (io?.emit?. calls)
-  server.set("io", { emit: () => {} });
+  // stub socket emission used by router (io.to(rooms).emit calls)
+  const io = { emit: () => {}, to: () => io };
+  server.set("io", io);
   server.use("/api/tasks", tasksRouter);
   return server;
 }
@@ -49,13 +51,14 @@ describe("Monthly recurrence (no overflow) covers else-branch of overflow check"
     const mgr   = await User.create({ name: "Mgr", email: "mgr@example.com", password: "StrongP@ss1", role: "Manager" });
     const alice = await User.create({ name: "Alice", email: "alice@example.com", password: "StrongP@ss1", role: "Staff" });
     const proj  = await Project.create({ name: "Alpha", createdBy: mgr._id });
+    const auth  = `Bearer ${signTestToken({ sub: mgr._id, role: "Manager" })}`;
 
     // Choose a date where next month has the same day (=> no overflow)
     // Mar 15 -> Apr 15 is perfect
     const startDeadline = new Date("2025-03-15T09:00:00.000Z");
 
     // Create task with monthly recurrence
-    const createRes = await agent.post("/api/tasks").send({
+    const createRes = await agent.post("/api/tasks").set("Authorization", auth).send({
       title: "Monthly—No Overflow",
       status: "To Do",
       assignedProject: proj._id.toString(),
@@ -71,7 +74,7 @@ describe("Monthly recurrence (no overflow) covers else-branch of overflow check"
     const taskId = created._id || created.id || created.task?._id || created.item?.id;
 
     // Transition to Done -> router computes next date using monthly branch
-    const updRes = await agent.put(`/api/tasks/${taskId}`).send({ status: "Done" });
+    const updRes = await agent.put(`/api/tasks/${taskId}`).set("Authorization", auth).send({ status: "Done" });
     expect(updRes.status).toBe(200);
 
     // Verify a clone for next occurrence exists at Apr 15 (no overflow branch)
@@ -3,6 +3,7 @@ import mongoose, { Schema, model } from "mongoose";
 import request from "supertest";
 import { describe, it, beforeAll, afterAll, beforeEach, expect, vi } from "vitest";
 import { MongoMemoryServer } from "mongodb-memory-server";
+import { asUser, signTestToken } from "./helpers/auth.js";
 
 // --- Mock notification service (avoid real emails) ---
 vi.mock("../../services/notification-service.js", () => ({
@@ -74,6 +75,8 @@ ensureModels();
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Requests run as u1 with company-wide access unless a test sends its own token
+app.use(asUser(() => ({ sub: u1._id, role: "Senior Manager" })));
 app.use("/api/tasks", tasksRouter);
 
 // --- Test DB lifecycle ---
@@ -114,9 +117,14 @@ describe("Tasks Router — create", () => {
     expect(r2.status).toBe(400);
     expect(r2.body.error).toMatch(/Assigned project is required/i);
 
-    const r3 = await request(app).post("/api/tasks").send({ title: "X", assignedProject: p1._id });
-    expect(r3.status).toBe(400);
-    expect(r3.body.error).toMatch(/Created by is required/i);
+  });
+
+  it("sets createdBy from the access token, ignoring the body", async () => {
+    const r = await request(app).post("/api/tasks").send({
+      title: "X", assignedProject: p1._id, createdBy: u2._id,
+    });
+    expect(r.status).toBe(201);
+    expect(String(r.body.createdBy._id)).toBe(String(u1._id));
   });
 
   it("400s invalid ObjectIds", async () => {
@@ -439,7 +447,7 @@ describe("Tasks Router — attachments & deletion", () => {
     expect([0, 1]).toContain(count);
   });
 
-  it("deletes a task and cascades its subtasks", async () => {
+  it("moves a task and its subtasks to the trash", async () => {
     const root = await Task.create({
       title: "root del", assignedProject: p1._id, createdBy: u1._id
     });
@@ -456,6 +464,9 @@ describe("Tasks Router — attachments & deletion", () => {
 
     const remain = await Task.find({ _id: { $in: [root._id, c1._id, c2._id] } });
     expect(remain.length).toBe(0);
+
+    const trashed = await Task.find({ _id: { $in: [root._id, c1._id, c2._id] }, deletedAt: { $ne: null } });
+    expect(trashed.map((t) => String(t.deletion))).toEqual([root._id, root._id, root._id].map(String));
   });
 
   describe("Tasks Router — recurrence: monthly overflow + ends onDate", () => {
@@ -726,10 +737,10 @@ describe("Tasks Router — attachments & deletion", () => {
       expect(r.body.error).toMatch(/Invalid project ID/i);
     });
 
-    it("400s invalid createdBy", async () => {
+    it("ignores createdBy in the body", async () => {
       const r = await request(app).put(`/api/tasks/${t._id}`).send({ createdBy: "nope" });
-      expect(r.status).toBe(400);
-      expect(r.body.error).toMatch(/Invalid creator ID/i);
+      expect(r.status).toBe(200);
+      expect(String(r.body.createdBy._id)).toBe(String(userId));
     });
 
     it("400s invalid parentTask id; 404s missing parent", async () => {
@@ -1038,4 +1049,422 @@ describe("Tasks Router — attachments & deletion", () => {
     return { userId: u._id, projId: p._id };
   }
 
-});
\ No newline at end of file
+});
+
+describe("Tasks Router — access control", () => {
+  const as = (user, role) => `Bearer ${signTestToken({ sub: user._id, role })}`;
+  let t;
+
+  beforeEach(async () => {
+    t = await Task.create({ title: "alpha only", assignedProject: p1._id, createdBy: u1._id });
+  });
+
+  it("401s without a valid token", async () => {
+    const r = await request(app).get("/api/tasks").set("Authorization", "Bearer not-a-token");
+    expect(r.status).toBe(401);
+  });
+
+  it("hides tasks in projects the caller is not part of", async () => {
+    const list = await request(app).get("/api/tasks").set("Authorization", as(u2, "Staff"));
+    expect(list.status).toBe(200);
+    expect(list.body.some(x => x.title === "alpha only")).toBe(false);
+
+    const one = await request(app).get(`/api/tasks/${t._id}`).set("Authorization", as(u2, "Staff"));
+    expect(one.status).toBe(403);
+
+    const upd = await request(app).put(`/api/tasks/${t._id}`)
+      .set("Authorization", as(u2, "Staff"))
+      .send({ title: "hijack" });
+    expect(upd.status).toBe(403);
+  });
+
+  it("refuses to create tasks in a project the caller is not part of", async () => {
+    const r = await request(app).post("/api/tasks")
+      .set("Authorization", as(u2, "Staff"))
+      .send({ title: "sneaky", assignedProject: p1._id });
+    expect(r.status).toBe(403);
+  });
+
+  it("only the creator or project owner may delete", async () => {
+    await Project.updateOne({ _id: p1._id }, { $addToSet: { teamMembers: u2._id } });
+    const denied = await request(app).delete(`/api/tasks/${t._id}`).set("Authorization", as(u2, "Staff"));
+    expect(denied.status).toBe(403);
+
+    const ok = await request(app).delete(`/api/tasks/${t._id}`).set("Authorization", as(u1, "Manager"));
+    expect(ok.status).toBe(200);
+  });
+});
+
+describe("Tasks Router — dependencies", () => {
+  const hours = (n) => new Date(Date.now() + n * 3600 * 1000);
+  let qa, deploy;
+
+  beforeEach(async () => {
+    qa = await Task.create({
+      title: "QA sign-off", assignedProject: p1._id, createdBy: u1._id, deadline: hours(48),
+    });
+    deploy = await Task.create({
+      title: "Deploy", assignedProject: p1._id, createdBy: u1._id, blockedBy: [{ task: qa._id }],
+    });
+  });
+
+  it("stores blockers on create and warns when the start is before a blocker is due", async () => {
+    const r = await request(app).post("/api/tasks").send({
+      title: "Announce",
+      assignedProject: p1._id,
+      startAt: hours(24).toISOString(),
+      blockedBy: [{ task: String(qa._id), lagMinutes: 60 }],
+    });
+    expect(r.status).toBe(201);
+    expect(r.body.blockedBy[0].task.title).toBe("QA sign-off");
+    expect(r.body.blockedBy[0].lagMinutes).toBe(60);
+    expect(r.body.scheduleWarnings).toHaveLength(1);
+    expect(r.body.scheduleWarnings[0].title).toBe("QA sign-off");
+  });
+
+  it("400s invalid blocker ids and 404s unknown blockers", async () => {
+    const bad = await request(app).post("/api/tasks").send({
+      title: "x", assignedProject: p1._id, blockedBy: ["nope"],
+    });
+    expect(bad.status).toBe(400);
+
+    const missing = await request(app).post("/api/tasks").send({
+      title: "x", assignedProject: p1._id, blockedBy: [String(new mongoose.Types.ObjectId())],
+    });
+    expect(missing.status).toBe(404);
+  });
+
+  it("rejects self-dependencies and cycles on update", async () => {
+    const self = await request(app).put(`/api/tasks/${qa._id}`).send({ blockedBy: [String(qa._id)] });
+    expect(self.status).toBe(400);
+
+    const cycle = await request(app).put(`/api/tasks/${qa._id}`).send({ blockedBy: [String(deploy._id)] });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.error).toMatch(/cycle/i);
+    expect(cycle.body.cycle).toEqual([String(qa._id), String(deploy._id), String(qa._id)]);
+  });
+
+  it("shows blockers and blocked tasks on GET /:id", async () => {
+    const r = await request(app).get(`/api/tasks/${qa._id}`);
+    expect(r.status).toBe(200);
+    expect(r.body.blocks.map(t => t.title)).toEqual(["Deploy"]);
+
+    const d = await request(app).get(`/api/tasks/${deploy._id}`);
+    expect(d.body.blockedBy[0].task.title).toBe("QA sign-off");
+  });
+
+  it("only lists blocked tasks the caller may see", async () => {
+    const hidden = await Project.create({ name: "Gamma", createdBy: u1._id });
+    const beta = await Task.create({ title: "Beta step", assignedProject: p2._id, createdBy: u2._id });
+    await Task.create({ title: "Gamma launch", assignedProject: hidden._id, createdBy: u1._id, blockedBy: [{ task: beta._id }] });
+    await Task.create({ title: "Beta launch", assignedProject: p2._id, createdBy: u2._id, blockedBy: [{ task: beta._id }] });
+
+    const r = await request(app)
+      .get(`/api/tasks/${beta._id}`)
+      .set("Authorization", `Bearer ${signTestToken({ sub: u2._id, role: "Staff" })}`);
+    expect(r.status).toBe(200);
+    expect(r.body.blocks.map(t => t.title)).toEqual(["Beta launch"]);
+  });
+
+  it("won't start a task while a blocker is open unless overridden", async () => {
+    const blocked = await request(app).put(`/api/tasks/${deploy._id}`).send({ status: "In Progress" });
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.blockers.map(b => b.title)).toEqual(["QA sign-off"]);
+
+    const forced = await request(app).put(`/api/tasks/${deploy._id}`)
+      .send({ status: "In Progress", overrideBlockers: true });
+    expect(forced.status).toBe(200);
+    expect(forced.body.status).toBe("In Progress");
+
+    await Task.updateOne({ _id: qa._id }, { status: "Done" });
+    await Task.updateOne({ _id: deploy._id }, { status: "To Do" });
+    const ok = await request(app).put(`/api/tasks/${deploy._id}`).send({ status: "In Progress" });
+    expect(ok.status).toBe(200);
+  });
+
+  it("removes links to a deleted blocker", async () => {
+    const del = await request(app).delete(`/api/tasks/${qa._id}`);
+    expect(del.status).toBe(200);
+
+    const after = await Task.findById(deploy._id).lean();
+    expect(after.blockedBy).toEqual([]);
+  });
+});
+
+describe("Tasks Router — workflows", () => {
+  let p3;
+
+  beforeAll(async () => {
+    p3 = await Project.create({
+      name: "Gamma",
+      createdBy: u1._id,
+      workflow: {
+        statuses: [
+          { name: "Backlog", category: "not_started" },
+          { name: "Doing", category: "active" },
+          { name: "Review", category: "active" },
+          { name: "Shipped", category: "done" },
+        ],
+        transitions: [
+          { from: "Backlog", to: "Doing" },
+          { from: "Doing", to: "Review" },
+          { from: "Review", to: "Doing" },
+          { from: "Review", to: "Shipped" },
+        ],
+      },
+    });
+  });
+
+  it("starts new tasks in the first not-started status and rejects unknown ones", async () => {
+    const r = await request(app).post("/api/tasks").send({ title: "Spec", assignedProject: p3._id });
+    expect(r.status).toBe(201);
+    expect(r.body).toMatchObject({ status: "Backlog", statusCategory: "not_started" });
+
+    const bad = await request(app).post("/api/tasks").send({ title: "Spec", assignedProject: p3._id, status: "Done" });
+    expect(bad.status).toBe(400);
+    expect(bad.body.statuses).toEqual(["Backlog", "Doing", "Review", "Shipped"]);
+  });
+
+  it("enforces transitions and stamps completedAt by category", async () => {
+    const t = await Task.create({ title: "Build", assignedProject: p3._id, createdBy: u1._id, status: "Backlog", statusCategory: "not_started" });
+
+    const skip = await request(app).put(`/api/tasks/${t._id}`).send({ status: "Shipped" });
+    expect(skip.status).toBe(409);
+    expect(skip.body.allowed).toEqual(["Doing"]);
+
+    for (const status of ["Doing", "Review"]) {
+      expect((await request(app).put(`/api/tasks/${t._id}`).send({ status })).status).toBe(200);
+    }
+    const shipped = await request(app).put(`/api/tasks/${t._id}`).send({ status: "Shipped" });
+    expect(shipped.status).toBe(200);
+    expect(shipped.body.statusCategory).toBe("done");
+    expect(shipped.body.completedAt).toBeTruthy();
+  });
+
+  it("maps the status when a task moves to a project with another workflow", async () => {
+    const t = await Task.create({ title: "Port", assignedProject: p1._id, createdBy: u1._id, status: "In Progress" });
+
+    const r = await request(app).put(`/api/tasks/${t._id}`).send({ assignedProject: String(p3._id) });
+    expect(r.status).toBe(200);
+    expect(r.body).toMatchObject({ status: "Doing", statusCategory: "active" });
+  });
+
+  it("filters by category", async () => {
+    await Task.create([
+      { title: "a", assignedProject: p3._id, createdBy: u1._id, status: "Review", statusCategory: "active" },
+      { title: "b", assignedProject: p1._id, createdBy: u1._id, status: "In Progress" },
+      { title: "c", assignedProject: p1._id, createdBy: u1._id, status: "Done" },
+    ]);
+    const r = await request(app).get("/api/tasks").query({ statusCategory: "active" });
+    expect(r.status).toBe(200);
+    expect(r.body.map(t => t.title).sort()).toEqual(["a", "b"]);
+  });
+});
+
+describe("Tasks Router — board ranks", () => {
+  let board;
+
+  beforeAll(async () => {
+    board = await Project.create({
+      name: "Board",
+      createdBy: u1._id,
+      workflow: {
+        statuses: [
+          { name: "To Do", category: "not_started" },
+          { name: "Doing", category: "active", wipLimit: 1 },
+          { name: "Done", category: "done" },
+        ],
+      },
+    });
+  });
+
+  const create = (title, extra = {}) =>
+    request(app).post("/api/tasks").send({ title, assignedProject: board._id, ...extra });
+
+  it("puts new cards at the bottom of their column", async () => {
+    const a = await create("a");
+    const b = await create("b");
+    expect(b.body.rank).toBeGreaterThan(a.body.rank);
+  });
+
+  it("moves a card to the bottom of its new column and warns over the WIP limit", async () => {
+    const a = await create("a");
+    const b = await create("b");
+
+    const first = await request(app).put(`/api/tasks/${a.body._id}`).send({ status: "Doing" });
+    expect(first.status).toBe(200);
+    expect(first.body.wipWarning).toBeUndefined();
+
+    const second = await request(app).put(`/api/tasks/${b.body._id}`).send({ status: "Doing" });
+    expect(second.body.rank).toBeGreaterThan(first.body.rank);
+    expect(second.body.wipWarning).toEqual({ status: "Doing", limit: 1, count: 2 });
+  });
+
+  it("stores an explicit rank and renumbers the column when two cards collide", async () => {
+    const a = await create("a");
+    const b = await create("b");
+    const c = await create("c");
+
+    const top = await request(app).put(`/api/tasks/${c.body._id}`).send({ rank: a.body.rank / 2 });
+    expect(top.body.rank).toBe(a.body.rank / 2);
+
+    // Same rank as `a`: c lands right after it and the column is spaced out again
+    const clash = await request(app).put(`/api/tasks/${c.body._id}`).send({ rank: a.body.rank });
+    expect(clash.status).toBe(200);
+    const order = await Task.find({ assignedProject: board._id, status: "To Do" }).sort({ rank: 1 }).lean();
+    expect(order.map(t => t.title)).toEqual(["a", "c", "b"]);
+    expect(new Set(order.map(t => t.rank)).size).toBe(3);
+
+    const bad = await request(app).put(`/api/tasks/${b.body._id}`).send({ rank: "top" });
+    expect(bad.status).toBe(400);
+  });
+});
+
+describe("Tasks Router — estimates", () => {
+  it("seeds the remaining estimate from the original one", async () => {
+    const r = await request(app).post("/api/tasks").send({ title: "est", assignedProject: p1._id, estimateMinutes: 480 });
+    expect(r.status).toBe(201);
+    expect(r.body).toMatchObject({ estimateMinutes: 480, remainingMinutes: 480 });
+
+    const re = await request(app).put(`/api/tasks/${r.body._id}`).send({ remainingMinutes: 90 });
+    expect(re.body).toMatchObject({ estimateMinutes: 480, remainingMinutes: 90 });
+  });
+
+  it("sets the remaining estimate on a task's first estimate only", async () => {
+    const r = await request(app).post("/api/tasks").send({ title: "est", assignedProject: p1._id });
+    expect(r.body.remainingMinutes).toBeNull();
+
+    const first = await request(app).put(`/api/tasks/${r.body._id}`).send({ estimateMinutes: 120 });
+    expect(first.body).toMatchObject({ estimateMinutes: 120, remainingMinutes: 120 });
+    const second = await request(app).put(`/api/tasks/${r.body._id}`).send({ estimateMinutes: 300 });
+    expect(second.body).toMatchObject({ estimateMinutes: 300, remainingMinutes: 120 });
+
+    const cleared = await request(app).put(`/api/tasks/${r.body._id}`).send({ estimateMinutes: null });
+    expect(cleared.body.estimateMinutes).toBeNull();
+  });
+
+  it("400s negative or non-numeric estimates", async () => {
+    const r = await request(app).post("/api/tasks").send({ title: "est", assignedProject: p1._id, estimateMinutes: -5 });
+    expect(r.status).toBe(400);
+    expect(r.body.error).toMatch(/estimateMinutes/);
+
+    const t = await request(app).post("/api/tasks").send({ title: "est", assignedProject: p1._id });
+    const bad = await request(app).put(`/api/tasks/${t.body._id}`).send({ remainingMinutes: "soon" });
+    expect(bad.status).toBe(400);
+  });
+});
+
+describe("Tasks Router — labels", () => {
+  const Label = () => mongoose.model("Label");
+  let urgent, customer, betaOnly;
+
+  beforeEach(async () => {
+    await Label().deleteMany({});
+    urgent = await Label().create({ name: "Urgent", color: "#e53935", createdBy: u1._id });
+    customer = await Label().create({ name: "Customer", project: p1._id, createdBy: u1._id });
+    betaOnly = await Label().create({ name: "Beta only", project: p2._id, createdBy: u2._id });
+  });
+
+  it("saves labels and returns them populated", async () => {
+    const r = await request(app).post("/api/tasks").send({
+      title: "Tagged", assignedProject: p1._id, labels: [urgent._id, customer._id],
+    });
+    expect(r.status).toBe(201);
+    expect(r.body.labels.map(l => l.name).sort()).toEqual(["Customer", "Urgent"]);
+    expect(r.body.labels.find(l => l.name === "Urgent").color).toBe("#e53935");
+  });
+
+  it("rejects labels of another project and unknown labels", async () => {
+    const foreign = await request(app).post("/api/tasks").send({
+      title: "Tagged", assignedProject: p1._id, labels: [betaOnly._id],
+    });
+    expect(foreign.status).toBe(400);
+    expect(foreign.body.error).toMatch(/another project/);
+
+    const missing = await request(app).post("/api/tasks").send({
+      title: "Tagged", assignedProject: p1._id, labels: [new mongoose.Types.ObjectId()],
+    });
+    expect(missing.status).toBe(404);
+  });
+
+  it("filters the list by any or all labels", async () => {
+    await Task.create([
+      { title: "both", assignedProject: p1._id, createdBy: u1._id, labels: [urgent._id, customer._id] },
+      { title: "urgent", assignedProject: p1._id, createdBy: u1._id, labels: [urgent._id] },
+      { title: "none", assignedProject: p1._id, createdBy: u1._id },
+    ]);
+    const labels = `${urgent._id},${customer._id}`;
+
+    const any = await request(app).get("/api/tasks").query({ labels });
+    expect(any.body.map(t => t.title).sort()).toEqual(["both", "urgent"]);
+
+    const all = await request(app).get("/api/tasks").query({ labels, labelMatch: "all" });
+    expect(all.body.map(t => t.title)).toEqual(["both"]);
+
+    const bad = await request(app).get("/api/tasks").query({ labels, labelMatch: "some" });
+    expect(bad.status).toBe(400);
+  });
+
+  it("drops the old project's labels when a task moves", async () => {
+    const t = await Task.create({
+      title: "mover", assignedProject: p1._id, createdBy: u1._id, labels: [urgent._id, customer._id],
+    });
+    const r = await request(app).put(`/api/tasks/${t._id}`).send({ assignedProject: p2._id });
+    expect(r.status).toBe(200);
+    expect(r.body.labels.map(l => l.name)).toEqual(["Urgent"]);
+  });
+});
+
+describe("Tasks Router — activity", () => {
+  const ActivityLog = () => mongoose.model("ActivityLog");
+  const as = (user, role) => `Bearer ${signTestToken({ sub: user._id, role })}`;
+
+  beforeEach(async () => {
+    await ActivityLog().deleteMany({});
+  });
+
+  it("records who changed which fields and serves them newest first", async () => {
+    const created = await request(app).post("/api/tasks").send({
+      title: "Write spec", assignedProject: p1._id, deadline: "2025-11-03T09:00:00Z",
+    });
+    expect(created.status).toBe(201);
+
+    const upd = await request(app).put(`/api/tasks/${created.body._id}`).send({
+      title: "Write the spec", deadline: "2025-11-10T09:00:00Z",
+    });
+    expect(upd.status).toBe(200);
+
+    const r = await request(app).get(`/api/tasks/${created.body._id}/activity`);
+    expect(r.status).toBe(200);
+    expect(r.body.map(e => e.action)).toEqual(["updated", "created"]);
+
+    const [update] = r.body;
+    expect(update.actor.name).toBe("Alice");
+    expect(update.changes).toEqual(expect.arrayContaining([
+      { field: "title", from: "Write spec", to: "Write the spec" },
+      { field: "deadline", from: "2025-11-03T09:00:00.000Z", to: "2025-11-10T09:00:00.000Z" },
+    ]));
+    expect(update.summary).toContain("deadline moved from 3 Nov to 10 Nov");
+  });
+
+  it("skips no-op updates and logs deletions", async () => {
+    const t = await Task.create({ title: "Same", assignedProject: p1._id, createdBy: u1._id });
+    await request(app).put(`/api/tasks/${t._id}`).send({ title: "Same" });
+    expect(await ActivityLog().countDocuments({ task: t._id })).toBe(0);
+
+    await request(app).delete(`/api/tasks/${t._id}`);
+    const [entry] = await ActivityLog().find({ task: t._id }).lean();
+    expect(entry.action).toBe("deleted");
+    expect(entry.changes).toEqual([{ field: "title", from: "Same", to: null }]);
+  });
+
+  it("guards the history like the task itself", async () => {
+    const t = await Task.create({ title: "Private", assignedProject: p1._id, createdBy: u1._id });
+    const denied = await request(app).get(`/api/tasks/${t._id}/activity`).set("Authorization", as(u2, "Staff"));
+    expect(denied.status).toBe(403);
+
+    expect((await request(app).get("/api/tasks/nope/activity")).status).toBe(400);
+    expect((await request(app).get(`/api/tasks/${t._id}/activity?before=soon`)).status).toBe(400);
+    expect((await request(app).get(`/api/tasks/${new mongoose.Types.ObjectId()}/activity`)).status).toBe(404);
+  });
+});
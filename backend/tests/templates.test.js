@@ -0,0 +1,255 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import ProjectTemplate from "../models/ProjectTemplate.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Label from "../models/Label.js";
+import { asUser } from "./helpers/auth.js";
+import {
+  MAX_TEMPLATE_DEPTH,
+  parseStartDate,
+  planTemplate,
+  templateFromProject,
+  validateTemplate,
+} from "../utils/templates.js";
+
+vi.mock("../services/templates.js", () => ({
+  captureProject: vi.fn(),
+  checkTemplateLabels: vi.fn(),
+}));
+
+vi.mock("../services/activity-log.js", () => ({
+  recordActivity: vi.fn().mockResolvedValue(null),
+}));
+
+const service = await import("../services/templates.js");
+const { instantiateTemplate } = await vi.importActual("../services/templates.js");
+const { default: templatesRouter } = await import("../routes/templates.js");
+
+const ME = "65b000000000000000000001";
+const OTHER = "65b000000000000000000002";
+const PROJECT = "65b000000000000000000020";
+const TEMPLATE = "65b000000000000000000040";
+const ORG_LABEL = "65b000000000000000000030";
+const PROJECT_LABEL = "65b000000000000000000031";
+
+let role = "Manager";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role })));
+app.use("/api/templates", templatesRouter);
+
+const onboarding = {
+  name: "Onboarding",
+  project: { deadlineOffsetDays: 14, labels: [ORG_LABEL] },
+  tasks: [
+    {
+      title: "Prepare laptop",
+      startOffsetDays: 1,
+      deadlineOffsetDays: 3,
+      assigneeRoles: ["Staff", "Staff"],
+      reminderOffsets: [60, 1440],
+      subtasks: [{ title: "Order hardware", deadlineOffsetDays: 2 }],
+    },
+    {
+      title: "Weekly check-in",
+      deadlineOffsetDays: 7,
+      recurrence: { frequency: "weekly", untilOffsetDays: 28 },
+    },
+  ],
+};
+
+describe("utils/templates", () => {
+  it("normalises a template and its task tree", () => {
+    const { template, error } = validateTemplate(onboarding);
+    expect(error).toBeUndefined();
+    expect(template.project).toMatchObject({ name: "", deadlineOffsetDays: 14, workflow: null, labels: [ORG_LABEL] });
+
+    const [laptop, checkIn] = template.tasks;
+    expect(laptop).toMatchObject({ priority: 5, assigneeRoles: ["Staff"], reminderOffsets: [1440, 60] });
+    expect(laptop.subtasks[0]).toMatchObject({ title: "Order hardware", startOffsetDays: null, subtasks: [] });
+    expect(checkIn.recurrence).toEqual({ frequency: "weekly", interval: 1, untilOffsetDays: 28 });
+  });
+
+  it("names the offending task in errors", () => {
+    const bad = (tasks) => validateTemplate({ name: "T", tasks }).error;
+    expect(validateTemplate({}).error).toMatch(/name/);
+    expect(bad([{ title: "A", subtasks: [{ title: "" }] }])).toMatch(/^tasks\[0\]\.subtasks\[0\]: title/);
+    expect(bad([{ title: "A", startOffsetDays: 5, deadlineOffsetDays: 2 }])).toMatch(/after deadlineOffsetDays/);
+    expect(bad([{ title: "A", deadlineOffsetDays: 1.5 }])).toMatch(/whole number of days/);
+    expect(bad([{ title: "A", assigneeRoles: ["Intern"] }])).toMatch(/unknown role 'Intern'/);
+    expect(bad([{ title: "A", recurrence: { frequency: "daily" } }])).toMatch(/needs a deadlineOffsetDays/);
+
+    let deep = { title: "leaf" };
+    for (let i = 0; i < MAX_TEMPLATE_DEPTH; i++) deep = { title: `level ${i}`, subtasks: [deep] };
+    expect(bad([deep])).toMatch(/nested at most/);
+  });
+
+  it("only checks the fields sent when partial", () => {
+    expect(validateTemplate({ description: "New" }, { partial: true })).toEqual({ template: { description: "New" } });
+  });
+
+  it("resolves day offsets against the start date", () => {
+    const start = parseStartDate("2025-12-01");
+    expect(parseStartDate("soon")).toBeNull();
+
+    const { project, tasks } = planTemplate(validateTemplate(onboarding).template, start);
+    expect(project.name).toBe("Onboarding");
+    expect(project.deadline.toISOString()).toBe("2025-12-15T15:59:59.999Z");
+
+    const [laptop, hardware, checkIn] = tasks;
+    // Starts at the beginning of day 1 and is due at the end of day 3, Singapore time
+    expect(laptop.startAt.toISOString()).toBe("2025-12-01T16:00:00.000Z");
+    expect(laptop.deadline.toISOString()).toBe("2025-12-04T15:59:59.999Z");
+    expect(laptop.endAt).toEqual(laptop.deadline);
+    expect(hardware).toMatchObject({ parentKey: laptop.key, title: "Order hardware" });
+    expect(hardware.startAt.toISOString()).toBe("2025-11-30T16:00:00.000Z");
+    expect(checkIn.recurrence).toMatchObject({ frequency: "weekly", ends: "onDate" });
+    expect(checkIn.recurrence.until.toISOString()).toBe("2025-12-29T15:59:59.999Z");
+  });
+
+  it("captures a project with relative dates, roles and organisation labels", () => {
+    const project = {
+      name: "Release 1.2",
+      deadline: new Date("2025-11-20T09:00:00Z"),
+      labels: [ORG_LABEL, PROJECT_LABEL],
+      createdAt: new Date("2025-11-01T00:00:00Z"),
+    };
+    const tasks = [
+      {
+        _id: "t1",
+        title: "Freeze",
+        startAt: new Date("2025-11-10T02:00:00Z"),
+        deadline: new Date("2025-11-12T09:00:00Z"),
+        assignedTeamMembers: [{ _id: OTHER, role: "Manager" }],
+        labels: [PROJECT_LABEL],
+      },
+      { _id: "t2", title: "Smoke test", parentTask: "t1", startAt: new Date("2025-11-11T02:00:00Z") },
+    ];
+
+    const template = templateFromProject(project, tasks, { keepLabels: new Set([ORG_LABEL]) });
+    expect(template.project).toMatchObject({ deadlineOffsetDays: 10, labels: [ORG_LABEL] });
+    expect(template.tasks).toHaveLength(1);
+    expect(template.tasks[0]).toMatchObject({
+      startOffsetDays: 0,
+      deadlineOffsetDays: 2,
+      assigneeRoles: ["Manager"],
+      labels: [],
+    });
+    expect(template.tasks[0].subtasks[0]).toMatchObject({ title: "Smoke test", startOffsetDays: 1 });
+    expect(validateTemplate(template).error).toBeUndefined();
+  });
+});
+
+describe("routes/templates", () => {
+  beforeEach(() => {
+    role = "Manager";
+    service.checkTemplateLabels.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it("creates a validated template for project owners only", async () => {
+    const create = vi.spyOn(ProjectTemplate, "create").mockImplementation(async (doc) => ({ _id: TEMPLATE, ...doc }));
+
+    await request(app).post("/api/templates").send({ name: "T", tasks: [{ title: "" }] }).expect(400);
+    const res = await request(app).post("/api/templates").send(onboarding).expect(201);
+    expect(res.body.tasks).toHaveLength(2);
+    expect(create.mock.calls[0][0].createdBy).toBe(ME);
+
+    role = "Staff";
+    await request(app).post("/api/templates").send(onboarding).expect(403);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects labels that are not organisation-wide", async () => {
+    service.checkTemplateLabels.mockResolvedValue("Templates can only use organisation-wide labels");
+    const create = vi.spyOn(ProjectTemplate, "create");
+
+    const res = await request(app).post("/api/templates").send(onboarding).expect(400);
+    expect(res.body.error).toMatch(/organisation-wide/);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("captures a project the caller can see", async () => {
+    const findProject = vi.spyOn(Project, "findById");
+    findProject.mockReturnValueOnce({ lean: vi.fn().mockResolvedValue({ _id: PROJECT, createdBy: OTHER, teamMembers: [] }) });
+    await request(app).post("/api/templates").send({ fromProject: PROJECT }).expect(403);
+
+    findProject.mockReturnValueOnce({ lean: vi.fn().mockResolvedValue({ _id: PROJECT, createdBy: ME, teamMembers: [] }) });
+    service.captureProject.mockResolvedValue({ name: "Release", description: "", project: {}, tasks: [{ title: "Freeze" }] });
+    const create = vi.spyOn(ProjectTemplate, "create").mockImplementation(async (doc) => doc);
+
+    const res = await request(app).post("/api/templates").send({ fromProject: PROJECT, name: "Release template" }).expect(201);
+    expect(res.body).toMatchObject({ name: "Release template", tasks: [{ title: "Freeze" }] });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets only the creator or a Senior Manager delete", async () => {
+    const findById = vi.spyOn(ProjectTemplate, "findById").mockReturnValue({
+      select: vi.fn().mockReturnThis(),
+      lean: vi.fn().mockResolvedValue({ _id: TEMPLATE, createdBy: OTHER }),
+    });
+    const deleteOne = vi.spyOn(ProjectTemplate, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+
+    await request(app).delete(`/api/templates/${TEMPLATE}`).expect(403);
+    role = "Senior Manager";
+    await request(app).delete(`/api/templates/${TEMPLATE}`).expect(200);
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+    expect(findById).toHaveBeenCalledWith(TEMPLATE);
+  });
+});
+
+describe("services/templates instantiateTemplate", () => {
+  const STAFF = "65b000000000000000000003";
+  const template = validateTemplate(onboarding).template;
+
+  beforeEach(() => {
+    vi.spyOn(User, "find").mockReturnValue({
+      select: vi.fn().mockReturnThis(),
+      lean: vi.fn().mockResolvedValue([{ _id: ME, role: "Manager" }, { _id: STAFF, role: "Staff" }]),
+    });
+    vi.spyOn(Label, "find").mockReturnValue({ distinct: vi.fn().mockResolvedValue([]) });
+    vi.spyOn(Project, "create").mockImplementation(async (doc) => ({ _id: PROJECT, ...doc }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("creates every task under its parent and assigns members by role", async () => {
+    let n = 0;
+    const create = vi.spyOn(Task, "create").mockImplementation(async (doc) => ({ _id: `task${++n}`, ...doc }));
+
+    const { project, tasks } = await instantiateTemplate(template, parseStartDate("2025-12-01"), {
+      creator: ME,
+      overrides: { teamMembers: [STAFF] },
+    });
+
+    expect(project).toMatchObject({ name: "Onboarding", teamMembers: [STAFF], createdBy: ME, labels: [] });
+    expect(tasks.map((t) => t.title)).toEqual(["Prepare laptop", "Order hardware", "Weekly check-in"]);
+    const [laptop, hardware, checkIn] = create.mock.calls.map(([doc]) => doc);
+    expect(laptop).toMatchObject({ parentTask: null, assignedTeamMembers: [STAFF], status: "To Do", rank: 1024 });
+    expect(hardware).toMatchObject({ parentTask: "task1", assignedTeamMembers: [], rank: null });
+    expect(checkIn.rank).toBe(2048);
+  });
+
+  it("removes what it created when a task fails", async () => {
+    vi.spyOn(Task, "create")
+      .mockResolvedValueOnce({ _id: "task1" })
+      .mockRejectedValueOnce(new Error("boom"));
+    const deleteTasks = vi.spyOn(Task, "deleteMany").mockResolvedValue({});
+    const deleteProject = vi.spyOn(Project, "deleteOne").mockResolvedValue({});
+
+    await expect(
+      instantiateTemplate(template, parseStartDate("2025-12-01"), { creator: ME })
+    ).rejects.toThrow("boom");
+    expect(deleteTasks).toHaveBeenCalledWith({ assignedProject: PROJECT });
+    expect(deleteProject).toHaveBeenCalledWith({ _id: PROJECT });
+  });
+});
@@ -0,0 +1,240 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Task from "../models/Task.js";
+import TimeEntry from "../models/TimeEntry.js";
+import { asUser } from "./helpers/auth.js";
+import {
+  coerceEstimate,
+  elapsedMinutes,
+  manualEntry,
+  summarizeTimesheet,
+  timesheetRange,
+  weekStartOf,
+} from "../utils/time-tracking.js";
+
+vi.mock("../services/time-tracking.js", () => ({
+  deleteEntry: vi.fn(),
+  findTimesheetEntries: vi.fn(),
+  logTime: vi.fn(),
+  startTimer: vi.fn(),
+  stopTimer: vi.fn(),
+  taskTimeSummary: vi.fn(),
+}));
+
+const service = await import("../services/time-tracking.js");
+const { startTimer } = await vi.importActual("../services/time-tracking.js");
+const { default: timeRouter } = await import("../routes/time-tracking.js");
+const { default: timesheetRouter } = await import("../routes/timesheet.js");
+
+const ME = "65b000000000000000000001";
+const OTHER = "65b000000000000000000002";
+const TASK = "65b000000000000000000010";
+const PROJECT = "65b000000000000000000020";
+
+let role = "Senior Manager";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role })));
+app.use("/api/tasks", timeRouter);
+app.use("/api/timesheet", timesheetRouter);
+
+const selectLean = (result) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(result),
+});
+
+describe("utils/time-tracking", () => {
+  it("parses estimates, treating blanks as a clear", () => {
+    expect(coerceEstimate(undefined, "estimateMinutes")).toEqual({ value: undefined });
+    expect(coerceEstimate("", "estimateMinutes")).toEqual({ value: null });
+    expect(coerceEstimate("90.4", "estimateMinutes")).toEqual({ value: 90 });
+    expect(coerceEstimate(-1, "estimateMinutes").error).toMatch(/estimateMinutes/);
+  });
+
+  it("counts at least a minute for a timer", () => {
+    expect(elapsedMinutes("2025-11-03T09:00:00Z", "2025-11-03T09:00:10Z")).toBe(1);
+    expect(elapsedMinutes("2025-11-03T09:00:00Z", "2025-11-03T10:29:40Z")).toBe(90);
+  });
+
+  it("starts weeks on Monday in the given timezone", () => {
+    // Sunday 20:00 UTC is already Monday in Singapore
+    expect(weekStartOf("2025-11-09T20:00:00Z")).toBe("2025-11-10");
+    expect(weekStartOf("2025-11-09T20:00:00Z", "UTC")).toBe("2025-11-03");
+  });
+
+  describe("manualEntry", () => {
+    const now = new Date("2025-11-05T12:00:00Z");
+
+    it("accepts minutes or hours and ends the entry before now", () => {
+      const { entry } = manualEntry({ hours: 1.5, note: "  review " }, now);
+      expect(entry).toMatchObject({ minutes: 90, note: "review" });
+      expect(entry.endedAt).toEqual(now);
+      expect(manualEntry({ minutes: 30, startedAt: "2025-11-04T09:00:00Z" }, now).entry.endedAt)
+        .toEqual(new Date("2025-11-04T09:30:00Z"));
+    });
+
+    it.each([
+      [{}, /between 1 and/],
+      [{ minutes: 0 }, /between 1 and/],
+      [{ minutes: 2000 }, /between 1 and/],
+      [{ minutes: 30, startedAt: "nope" }, /startedAt/],
+      [{ minutes: 30, startedAt: "2025-11-05T11:45:00Z" }, /future/],
+    ])("rejects %j", (body, message) => {
+      expect(manualEntry(body, now).error).toMatch(message);
+    });
+  });
+
+  describe("timesheetRange", () => {
+    it("defaults to the four weeks ending with the current week", () => {
+      const { from, to } = timesheetRange({}, new Date("2025-11-05T04:00:00Z"));
+      expect(to.toISOString()).toBe("2025-11-09T16:00:00.000Z"); // Monday 10 Nov, Singapore
+      expect(from.toISOString()).toBe("2025-10-12T16:00:00.000Z");
+    });
+
+    it("rejects reversed, oversized and unknown ranges", () => {
+      expect(timesheetRange({ from: "2025-11-10", to: "2025-11-03" }).error).toMatch(/before/);
+      expect(timesheetRange({ from: "2024-01-01", to: "2025-11-03" }).error).toMatch(/at most/);
+      expect(timesheetRange({ timezone: "Mars/Olympus" }).error).toMatch(/timezone/i);
+    });
+  });
+
+  it("groups entries per week, user and project", () => {
+    const alice = { _id: ME, name: "Alice" };
+    const bob = { _id: OTHER, name: "Bob" };
+    const alpha = { _id: PROJECT, name: "Alpha" };
+    const sheet = summarizeTimesheet([
+      { user: bob, project: alpha, startedAt: "2025-11-04T02:00:00Z", minutes: 30 },
+      { user: alice, project: alpha, startedAt: "2025-11-04T02:00:00Z", minutes: 60 },
+      { user: alice, project: alpha, startedAt: "2025-11-06T02:00:00Z", minutes: 45 },
+      { user: alice, project: alpha, startedAt: "2025-10-28T02:00:00Z", minutes: 15 },
+    ]);
+
+    expect(sheet.rows.map((r) => [r.weekStart, r.user.name, r.minutes])).toEqual([
+      ["2025-10-27", "Alice", 15],
+      ["2025-11-03", "Alice", 105],
+      ["2025-11-03", "Bob", 30],
+    ]);
+    expect(sheet.rows[1].hours).toBe(1.75);
+    expect(sheet).toMatchObject({ totalMinutes: 150, totalHours: 2.5 });
+  });
+});
+
+describe("services/time-tracking", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("reports a concurrent start that hit the one-timer index as already running", async () => {
+    const running = { _id: "e9", task: TASK, user: ME };
+    vi.spyOn(TimeEntry, "findOne").mockResolvedValueOnce(null).mockResolvedValueOnce(running);
+    vi.spyOn(TimeEntry, "create").mockRejectedValue(Object.assign(new Error("E11000 duplicate key"), { code: 11000 }));
+
+    expect(await startTimer({ _id: TASK }, ME)).toEqual({ entry: null, running });
+
+    TimeEntry.findOne.mockResolvedValueOnce(null);
+    TimeEntry.create.mockRejectedValue(new Error("db down"));
+    await expect(startTimer({ _id: TASK }, ME)).rejects.toThrow("db down");
+  });
+});
+
+describe("routes/time-tracking", () => {
+  beforeEach(() => {
+    role = "Senior Manager";
+    vi.spyOn(Task, "findById").mockReturnValue(
+      selectLean({ _id: TASK, createdBy: OTHER, assignedTeamMembers: [], assignedProject: null })
+    );
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it("returns the task's time summary for the caller", async () => {
+    service.taskTimeSummary.mockResolvedValue({ estimateMinutes: 60, loggedMinutes: 30, entries: [] });
+    const res = await request(app).get(`/api/tasks/${TASK}/time`).expect(200);
+    expect(res.body).toMatchObject({ estimateMinutes: 60, loggedMinutes: 30 });
+    expect(service.taskTimeSummary).toHaveBeenCalledWith(TASK, ME);
+  });
+
+  it("403s callers who cannot see the task", async () => {
+    role = "Staff";
+    await request(app).get(`/api/tasks/${TASK}/time`).expect(403);
+    expect(service.taskTimeSummary).not.toHaveBeenCalled();
+  });
+
+  it("logs manual time and validates the body", async () => {
+    service.logTime.mockResolvedValue({ _id: "e1", minutes: 45 });
+    await request(app).post(`/api/tasks/${TASK}/time`).send({ minutes: 45, note: "pairing" }).expect(201);
+    expect(service.logTime).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: TASK }),
+      ME,
+      expect.objectContaining({ minutes: 45, note: "pairing" })
+    );
+
+    const bad = await request(app).post(`/api/tasks/${TASK}/time`).send({ minutes: "lots" }).expect(400);
+    expect(bad.body.error).toMatch(/between 1 and/);
+  });
+
+  it("starts a timer, and 409s when it already runs on this task", async () => {
+    service.startTimer.mockResolvedValueOnce({ entry: { _id: "e2" }, stopped: { _id: "e1" } });
+    const started = await request(app).post(`/api/tasks/${TASK}/time/timer/start`).expect(201);
+    expect(started.body).toEqual({ entry: { _id: "e2" }, stopped: { _id: "e1" } });
+
+    service.startTimer.mockResolvedValueOnce({ entry: null, running: { _id: "e2" } });
+    await request(app).post(`/api/tasks/${TASK}/time/timer/start`).expect(409);
+  });
+
+  it("404s stopping a timer that isn't running", async () => {
+    service.stopTimer.mockResolvedValue(null);
+    await request(app).post(`/api/tasks/${TASK}/time/timer/stop`).expect(404);
+  });
+
+  it("only deletes the caller's own entries", async () => {
+    const findOne = vi.spyOn(TimeEntry, "findOne");
+    findOne.mockReturnValueOnce({ lean: vi.fn().mockResolvedValue({ _id: "e1", user: OTHER }) });
+    await request(app).delete(`/api/tasks/${TASK}/time/${PROJECT}`).expect(403);
+
+    findOne.mockReturnValueOnce({ lean: vi.fn().mockResolvedValue({ _id: "e1", user: ME, minutes: 5 }) });
+    await request(app).delete(`/api/tasks/${TASK}/time/${PROJECT}`).expect(200);
+    expect(service.deleteEntry).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("routes/timesheet", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it("limits Staff to their own time", async () => {
+    role = "Staff";
+    service.findTimesheetEntries.mockResolvedValue([
+      { user: { _id: ME, name: "Alice" }, project: { _id: PROJECT, name: "Alpha" }, startedAt: "2025-11-04T02:00:00Z", minutes: 90 },
+    ]);
+
+    const res = await request(app)
+      .get("/api/timesheet")
+      .query({ from: "2025-11-03", to: "2025-11-10" })
+      .expect(200);
+
+    expect(service.findTimesheetEntries).toHaveBeenCalledWith({ user: ME }, expect.any(Date), expect.any(Date));
+    expect(res.body.rows).toEqual([
+      expect.objectContaining({ weekStart: "2025-11-03", minutes: 90, hours: 1.5 }),
+    ]);
+    expect(res.body.totalHours).toBe(1.5);
+
+    await request(app).get("/api/timesheet").query({ user: OTHER }).expect(403);
+  });
+
+  it("lets company-wide roles filter by anyone", async () => {
+    role = "HR";
+    service.findTimesheetEntries.mockResolvedValue([]);
+    await request(app).get("/api/timesheet").query({ user: OTHER }).expect(200);
+    expect(service.findTimesheetEntries).toHaveBeenCalledWith({ user: OTHER }, expect.any(Date), expect.any(Date));
+  });
+
+  it("400s bad ids and ranges", async () => {
+    await request(app).get("/api/timesheet").query({ project: "nope" }).expect(400);
+    await request(app).get("/api/timesheet").query({ from: "2025-11-10", to: "2025-11-01" }).expect(400);
+  });
+});
@@ -6,6 +6,9 @@ import { MongoMemoryServer } from "mongodb-memory-server";
 
 import timelineRouter from "../routes/timeline.js";
 import Task from "../models/Task.js";
+import { asUser, signTestToken } from "./helpers/auth.js";
+
+const HR_ID = "65f000000000000000000003";
 
 // Some CI runners can be slow to download the MongoDB binary:
 const BIG_TIMEOUT = 120_000;
@@ -13,6 +16,8 @@ const BIG_TIMEOUT = 120_000;
 function makeApp() {
   const app = express();
   app.use(express.json());
+  // HR may read anyone's timeline
+  app.use(asUser(() => ({ sub: HR_ID, role: "HR" })));
   app.use("/api/timeline", timelineRouter);
   return app;
 }
@@ -22,6 +27,7 @@ let app;
 let agent;
 
 // Minimal Project model for populate("assignedProject", "name")
+// (the router registers the real one via access-policy, which requires createdBy)
 let Project;
 try {
   Project = mongoose.model("Project");
@@ -52,8 +58,8 @@ async function seedData() {
     A: new mongoose.Types.ObjectId(),
     B: new mongoose.Types.ObjectId(),
   };
-  const proj1 = await Project.create({ name: "Alpha" });
-  const proj2 = await Project.create({ name: "Beta" });
+  const proj1 = await Project.create({ name: "Alpha", createdBy: users.A });
+  const proj2 = await Project.create({ name: "Beta", createdBy: users.A });
 
   // fixed reference time (kept to align with your expectations)
   const now = new Date("2025-10-15T12:00:00.000Z");
@@ -147,6 +153,15 @@ describe("GET /api/timeline", () => {
     expect(res.body.error).toBe("Invalid or missing user id");
   });
 
+  it("403 when Staff ask for someone else's timeline", async () => {
+    const token = signTestToken({ sub: new mongoose.Types.ObjectId(), role: "Staff" });
+    const res = await agent
+      .get("/api/timeline")
+      .set("Authorization", `Bearer ${token}`)
+      .query({ user: new mongoose.Types.ObjectId().toString() });
+    expect(res.statusCode).toBe(403);
+  });
+
   it("returns only tasks for user and sorted by createdAt desc", async () => {
     const { users } = await seedData();
     const res = await agent
@@ -485,3 +500,55 @@ describe("GET /api/timeline", () => {
     }
   });
 });
+
+describe("GET /api/timeline?project=", () => {
+  it("400 for an invalid project id and 404 for an unknown one", async () => {
+    const bad = await agent.get("/api/timeline").query({ project: "nope" });
+    expect(bad.statusCode).toBe(400);
+
+    const missing = await agent
+      .get("/api/timeline")
+      .query({ project: new mongoose.Types.ObjectId().toString() });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("returns every task in the project with parent links, ordered by start", async () => {
+    const { proj1 } = await seedData();
+    const parent = await Task.findOne({ title: /^T1/ }).lean();
+    await Task.create({
+      title: "T1.1 - subtask",
+      assignedProject: proj1._id,
+      parentTask: parent._id,
+      createdBy: new mongoose.Types.ObjectId(),
+      startAt: new Date("2025-10-01T00:00:00.000Z"),
+    });
+
+    const res = await agent.get("/api/timeline").query({ project: proj1._id.toString() });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.project).toMatchObject({ id: proj1._id.toString(), name: "Alpha", deadline: null });
+
+    // T5 belongs to another user but is still part of the project
+    const titles = res.body.items.map((i) => i.title);
+    expect(titles).toHaveLength(4);
+    expect(titles).toEqual(expect.arrayContaining(["T1 - created recently, deadline soon", "T5 - belongs to other user"]));
+    expect(titles[0]).toBe("T1.1 - subtask");
+
+    const sub = res.body.items.find((i) => i.title === "T1.1 - subtask");
+    expect(sub.parentTask).toBe(String(parent._id));
+    expect(sub.projectId).toBe(proj1._id.toString());
+  });
+
+  it("403 when the caller is not part of the project", async () => {
+    const { proj1 } = await seedData();
+    await Project.updateOne(
+      { _id: proj1._id },
+      { $set: { createdBy: new mongoose.Types.ObjectId(), teamMembers: [] } }
+    );
+    const token = signTestToken({ sub: new mongoose.Types.ObjectId(), role: "Staff" });
+    const res = await agent
+      .get("/api/timeline")
+      .set("Authorization", `Bearer ${token}`)
+      .query({ project: proj1._id.toString() });
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import Comment from "../models/Comment.js";
+import Attachment from "../models/Attachment.js";
+import Notification from "../models/Notification.js";
+import PersonalReminder from "../models/PersonalReminder.js";
+import TimeEntry from "../models/TimeEntry.js";
+import ActivityLog from "../models/ActivityLog.js";
+import { asUser } from "./helpers/auth.js";
+import { DEFAULT_TRASH_RETENTION_DAYS, purgeCutoff, purgeDate, trashRetentionDays } from "../utils/trash.js";
+
+vi.mock("../services/trash.js", () => ({
+  findTrashed: vi.fn(),
+  listTrash: vi.fn(),
+  purgeItem: vi.fn(),
+  restoreBlocker: vi.fn(),
+  restoreItem: vi.fn(),
+}));
+
+const service = await import("../services/trash.js");
+const { purgeExpiredTrash, purgeTasks, restoreBlocker, trashComment, trashTask } = await vi.importActual("../services/trash.js");
+const { default: trashRouter } = await import("../routes/trash.js");
+
+const ME = "65b000000000000000000001";
+const OTHER = "65b000000000000000000002";
+const TASK = "65b000000000000000000010";
+const SUBTASK = "65b000000000000000000011";
+const PROJECT = "65b000000000000000000020";
+const COMMENT = "65b000000000000000000030";
+
+let role = "Staff";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role })));
+app.use("/api/trash", trashRouter);
+
+const distinct = (...results) => {
+  const fn = vi.fn();
+  results.forEach((r) => fn.mockResolvedValueOnce(r));
+  const query = { distinct: fn, session: () => query };
+  return query;
+};
+
+describe("utils/trash", () => {
+  it("reads the retention window from the environment", () => {
+    expect(trashRetentionDays({})).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    expect(trashRetentionDays({ TRASH_RETENTION_DAYS: "7" })).toBe(7);
+    expect(trashRetentionDays({ TRASH_RETENTION_DAYS: "soon" })).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    expect(trashRetentionDays({ TRASH_RETENTION_DAYS: "0" })).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+  });
+
+  it("purges items once they have been in the trash for the window", () => {
+    const deletedAt = new Date("2026-03-01T10:00:00Z");
+    expect(purgeDate(deletedAt, 7)).toEqual(new Date("2026-03-08T10:00:00Z"));
+    expect(purgeCutoff(new Date("2026-03-08T10:00:00Z"), 7)).toEqual(deletedAt);
+  });
+});
+
+describe("soft-delete plugin", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("leaves trashed documents out unless the filter asks about deletedAt", async () => {
+    const find = vi.spyOn(Task.collection, "find").mockReturnValue({ toArray: async () => [] });
+
+    await Task.find({ title: "Plan" }).lean();
+    await Task.find({ title: "Plan", deletedAt: { $ne: null } }).lean();
+
+    expect(find.mock.calls[0][0]).toEqual({ title: "Plan", deletedAt: null });
+    expect(find.mock.calls[1][0]).toEqual({ title: "Plan", deletedAt: { $ne: null } });
+  });
+
+  it("starts aggregations with a match on live documents", async () => {
+    const aggregate = vi.spyOn(Task.collection, "aggregate").mockReturnValue({ toArray: async () => [] });
+
+    await Task.aggregate([{ $group: { _id: "$status" } }]);
+    await Task.aggregate([{ $match: { deletedAt: { $ne: null } } }]);
+
+    expect(aggregate.mock.calls[0][0]).toEqual([{ $match: { deletedAt: null } }, { $group: { _id: "$status" } }]);
+    expect(aggregate.mock.calls[1][0]).toEqual([{ $match: { deletedAt: { $ne: null } } }]);
+  });
+});
+
+describe("services/trash", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("trashes a task with its live subtasks as one batch", async () => {
+    vi.spyOn(Task, "find").mockReturnValue(distinct([SUBTASK], []));
+    const updateMany = vi.spyOn(Task, "updateMany").mockResolvedValue({});
+    const now = new Date("2026-03-01T10:00:00Z");
+
+    const ids = await trashTask({ _id: TASK }, ME, now);
+
+    expect(ids).toEqual([TASK, SUBTASK]);
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [TASK, SUBTASK] }, deletedAt: null },
+      { $set: { deletedAt: now, deletedBy: ME, deletion: TASK } },
+      { session: null }
+    );
+  });
+
+  it("asks for the parent task or project to be restored first", async () => {
+    vi.spyOn(Task, "exists").mockResolvedValue(null);
+    const projectTrashed = vi.spyOn(Project, "exists").mockResolvedValue({ _id: PROJECT });
+
+    expect(await restoreBlocker("task", { _id: TASK, assignedProject: PROJECT })).toMatch(/project first/);
+    expect(projectTrashed).toHaveBeenCalledWith({ _id: PROJECT, deletedAt: { $ne: null } });
+    expect(await restoreBlocker("task", { _id: TASK })).toBeNull();
+  });
+
+  it("trashes a thread with its replies, and restores a reply only with its thread", async () => {
+    const now = new Date("2026-03-01T00:00:00Z");
+    const trash = vi.spyOn(Comment, "updateMany").mockResolvedValue({});
+    await trashComment({ _id: COMMENT }, ME, now);
+    expect(trash).toHaveBeenCalledWith(
+      { $or: [{ _id: COMMENT }, { parent: COMMENT }], deletedAt: null },
+      { $set: { deletedAt: now, deletedBy: ME, deletion: COMMENT } }
+    );
+
+    vi.spyOn(Task, "exists").mockResolvedValue(null);
+    const threadTrashed = vi.spyOn(Comment, "exists").mockResolvedValue({ _id: COMMENT });
+    expect(await restoreBlocker("comment", { _id: OTHER, task: TASK, parent: COMMENT })).toMatch(/replies to first/);
+    expect(threadTrashed).toHaveBeenCalledWith({ _id: COMMENT, deletedAt: { $ne: null } });
+    expect(await restoreBlocker("comment", { _id: OTHER, task: TASK, parent: null })).toBeNull();
+  });
+
+  it("purges tasks with their attachments, comments, notifications, reminders and time", async () => {
+    vi.spyOn(Task, "find").mockReturnValue(distinct([]));
+    const attachments = vi.spyOn(Attachment, "deleteMany").mockResolvedValue({});
+    const comments = vi.spyOn(Comment, "deleteMany").mockResolvedValue({});
+    const notifications = vi.spyOn(Notification, "deleteMany").mockResolvedValue({});
+    const reminders = vi.spyOn(PersonalReminder, "deleteMany").mockResolvedValue({});
+    const entries = vi.spyOn(TimeEntry, "deleteMany").mockResolvedValue({});
+    const links = vi.spyOn(Task, "updateMany").mockResolvedValue({});
+    vi.spyOn(Task, "deleteMany").mockResolvedValue({ deletedCount: 1 });
+
+    expect(await purgeTasks([TASK])).toBe(1);
+    expect(attachments).toHaveBeenCalledWith({ task: { $in: [TASK] } });
+    expect(comments).toHaveBeenCalledWith({ task: { $in: [TASK] } });
+    expect(notifications).toHaveBeenCalledWith({ taskId: { $in: [TASK] } });
+    expect(reminders).toHaveBeenCalledWith({ task: { $in: [TASK] } });
+    expect(entries).toHaveBeenCalledWith({ task: { $in: [TASK] } });
+    expect(links).toHaveBeenCalledWith({ "blockedBy.task": { $in: [TASK] } }, expect.anything());
+  });
+
+  it("only purges what has outlived the retention window", async () => {
+    const now = new Date("2026-03-31T03:30:00Z");
+    const projectFind = vi.spyOn(Project, "find").mockReturnValue(distinct([]));
+    vi.spyOn(Task, "find").mockReturnValue(distinct([]));
+    vi.spyOn(Comment, "find").mockReturnValue(distinct([]));
+
+    expect(await purgeExpiredTrash(now, 30)).toEqual({ projects: 0, tasks: 0, comments: 0 });
+    expect(projectFind).toHaveBeenCalledWith({ deletedAt: { $ne: null, $lte: new Date("2026-03-01T03:30:00Z") } });
+  });
+});
+
+describe("routes/trash", () => {
+  beforeEach(() => {
+    role = "Staff";
+    vi.clearAllMocks();
+    vi.spyOn(ActivityLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("lists what the caller deleted, with whether they may restore it", async () => {
+    service.listTrash.mockResolvedValue([
+      { _id: TASK, type: "task", title: "Plan", deletedBy: { _id: ME, name: "Me" }, includes: 2, createdBy: ME },
+      { _id: "65b000000000000000000030", type: "comment", title: "Hi", deletedBy: { _id: OTHER }, author: OTHER },
+    ]);
+
+    const res = await request(app).get("/api/trash").expect(200);
+
+    expect(service.listTrash).toHaveBeenCalledWith({ userId: ME, project: undefined }, DEFAULT_TRASH_RETENTION_DAYS);
+    expect(res.body.retentionDays).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    expect(res.body.items.map((i) => [i.title, i.includes, i.canRestore])).toEqual([
+      ["Plan", 2, true],
+      ["Hi", undefined, false],
+    ]);
+    expect(res.body.items[0].createdBy).toBeUndefined();
+  });
+
+  it("restores an item the caller deleted and records it", async () => {
+    const item = { _id: TASK, assignedProject: PROJECT, deletedBy: ME };
+    service.findTrashed.mockResolvedValue(item);
+    service.restoreBlocker.mockResolvedValue(null);
+
+    await request(app).post(`/api/trash/task/${TASK}/restore`).expect(200);
+
+    expect(service.restoreItem).toHaveBeenCalledWith("task", item);
+    expect(ActivityLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entityType: "Task", action: "restored", project: PROJECT })
+    );
+  });
+
+  it("refuses items the caller may not restore, or whose parent is still in the trash", async () => {
+    await request(app).post(`/api/trash/label/${TASK}/restore`).expect(400);
+
+    service.findTrashed.mockResolvedValueOnce(null);
+    await request(app).post(`/api/trash/task/${TASK}/restore`).expect(404);
+
+    service.findTrashed.mockResolvedValueOnce({ _id: PROJECT, createdBy: OTHER, deletedBy: OTHER });
+    await request(app).post(`/api/trash/project/${PROJECT}/restore`).expect(403);
+
+    service.findTrashed.mockResolvedValueOnce({ _id: TASK, deletedBy: ME });
+    service.restoreBlocker.mockResolvedValueOnce("Restore the project first");
+    const res = await request(app).post(`/api/trash/task/${TASK}/restore`).expect(409);
+    expect(res.body.error).toBe("Restore the project first");
+    expect(service.restoreItem).not.toHaveBeenCalled();
+  });
+
+  it("deletes an item for good", async () => {
+    role = "Senior Manager";
+    const item = { _id: PROJECT, createdBy: OTHER, deletedBy: OTHER };
+    service.findTrashed.mockResolvedValue(item);
+
+    await request(app).delete(`/api/trash/project/${PROJECT}`).expect(200);
+    expect(service.purgeItem).toHaveBeenCalledWith("project", item);
+  });
+});
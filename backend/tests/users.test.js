@@ -1,8 +1,18 @@
 import request from 'supertest';
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import app from '../app.js';
+import api from '../app.js';
 import User from '../models/User.js';
 import express from "express";
+import { asUser, signTestToken } from "./helpers/auth.js";
+
+const HR_ID = '507f1f77bcf86cd799439077';
+// Requests run as HR unless a test sends its own token
+const asHR = asUser(() => ({ sub: HR_ID, role: 'HR' }));
+const as = (sub, role) => `Bearer ${signTestToken({ sub, role })}`;
+
+const app = express();
+app.use(asHR);
+app.use(api);
 
 // Mock the User model
 vi.mock('../models/User.js', () => {
@@ -311,6 +321,55 @@ describe('User Routes', () => {
 
       expect(res.body.error).toBeDefined();
     });
+
+    it('lets a user edit their own profile', async () => {
+      User.findByIdAndUpdate.mockReturnValue({ populate: vi.fn().mockResolvedValue(mockUser) });
+
+      await request(app)
+        .put(`/api/users/${mockUser._id}`)
+        .set('Authorization', as(mockUser._id, 'Staff'))
+        .send({ name: 'John' })
+        .expect(200);
+    });
+
+    it("returns 403 when a non-HR user edits someone else", async () => {
+      await request(app)
+        .put('/api/users/507f1f77bcf86cd799439013')
+        .set('Authorization', as(mockUser._id, 'Staff'))
+        .send({ name: 'Hacked' })
+        .expect(403);
+
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 when a non-HR user changes their own role', async () => {
+      const res = await request(app)
+        .put(`/api/users/${mockUser._id}`)
+        .set('Authorization', as(mockUser._id, 'Staff'))
+        .send({ role: 'Director' })
+        .expect(403);
+
+      expect(res.body.error).toMatch(/Only HR/);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rejects update operators and only writes profile fields', async () => {
+      const res = await request(app)
+        .put(`/api/users/${mockUser._id}`)
+        .set('Authorization', as(mockUser._id, 'Staff'))
+        .send({ $set: { role: 'HR' } })
+        .expect(400);
+      expect(res.body.error).toMatch(/operators/);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+
+      User.findByIdAndUpdate.mockReturnValue({ populate: vi.fn().mockResolvedValue(mockUser) });
+      await request(app)
+        .put(`/api/users/${mockUser._id}`)
+        .set('Authorization', as(mockUser._id, 'Staff'))
+        .send({ name: 'John', password: 'hunter2hunter2', resetToken: 'abc' })
+        .expect(200);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(mockUser._id, { name: 'John' }, { new: true, runValidators: true });
+    });
   });
 
   describe('DELETE /api/users/:id', () => {
@@ -344,6 +403,34 @@ describe('User Routes', () => {
 
       expect(res.body.error).toBeDefined();
     });
+
+    it('returns 403 for non-HR roles', async () => {
+      await request(app)
+        .delete(`/api/users/${mockUser._id}`)
+        .set('Authorization', as(mockUser._id, 'Manager'))
+        .expect(403);
+
+      expect(User.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('access control', () => {
+    it('returns 401 without a valid token', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', 'Bearer nope')
+        .expect(401);
+    });
+
+    it('returns 403 when a non-HR user creates users', async () => {
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', as(mockUser._id, 'Senior Manager'))
+        .send({ name: 'X', email: 'x@test.com' })
+        .expect(403);
+
+      expect(User.create).not.toHaveBeenCalled();
+    });
   });
 });
 
@@ -441,6 +528,7 @@ async function loadRouter() {
   // Minimal app + error handler so next(err) returns JSON
   const app = express();
   app.use(express.json());
+  app.use(asHR);
   app.use("/api/users", router);
   app.use((err, _req, res, _next) => {
     res.status(500).json({ error: String(err?.message || err) });
@@ -559,6 +647,7 @@ describe("users router", () => {
     const router = (await import("../routes/users.js")).default;
     const app = express();
     app.use(express.json());
+    app.use(asHR);
     app.use("/api/users", router);
     app.use((err, _req, res, _next) => res.status(500).json({ error: err.message }));
 
@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { asUser } from "./helpers/auth.js";
+import webhooksRouter from "../routes/webhooks.js";
+import { processWebhookDeliveries, publishEvent, publishTaskUpdate } from "../services/webhooks.js";
+import {
+  coerceWebhook,
+  eventEnvelope,
+  signPayload,
+  taskPayload,
+  verifySignature,
+} from "../utils/webhooks.js";
+
+const ME = "65b000000000000000000001";
+const HOOK = "65b000000000000000000061";
+const HOOK2 = "65b000000000000000000062";
+const DELIVERY = "65b000000000000000000071";
+const SECRET = "whsec_0123456789abcdef";
+
+let role = "Senior Manager";
+const app = express();
+app.use(express.json());
+app.use(asUser(() => ({ sub: ME, role })));
+app.use("/api/admin/webhooks", webhooksRouter);
+
+const chain = (value) => {
+  const c = { select: () => c, sort: () => c, limit: () => c, lean: async () => value };
+  return c;
+};
+const hook = (over = {}) => ({ _id: HOOK, name: "Chat", url: "https://chat.example.com/in", secret: SECRET, events: ["task.created"], active: true, ...over });
+const doc = (value) => ({ ...value, toObject: () => value });
+const reply = (status, text = "") => ({ ok: status >= 200 && status < 300, status, text: async () => text });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("utils/webhooks", () => {
+  it("signs `<timestamp>.<body>` with HMAC-SHA256 and verifies it", () => {
+    const body = JSON.stringify({ id: "e1", event: "task.created" });
+    const signature = signPayload(SECRET, 1767225600, body);
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature(SECRET, 1767225600, body, signature)).toBe(true);
+    expect(verifySignature(SECRET, 1767225601, body, signature)).toBe(false);
+    expect(verifySignature("whsec_another_secret_x", 1767225600, body, signature)).toBe(false);
+    expect(verifySignature(SECRET, 1767225600, body, undefined)).toBe(false);
+  });
+
+  it("validates subscriptions", () => {
+    expect(coerceWebhook({ name: " CI ", url: "https://ci.example.com/hook", events: ["task.created", "task.created"] })).toEqual({
+      name: "CI",
+      url: "https://ci.example.com/hook",
+      events: ["task.created"],
+    });
+    expect(coerceWebhook({ name: "CI", url: "ftp://x", events: ["task.created"] }).error).toMatch(/http/);
+    expect(coerceWebhook({ name: "CI", url: "https://x.io", events: ["task.exploded"] }).error).toBe("Unknown event 'task.exploded'");
+    expect(coerceWebhook({ name: "CI", url: "https://x.io", events: [] }).error).toMatch(/at least one/);
+    expect(coerceWebhook({ name: "CI", url: "https://x.io", events: ["task.created"], secret: "short" }).error).toMatch(/16/);
+    expect(coerceWebhook({ active: false }, { partial: true })).toEqual({ active: false });
+    expect(coerceWebhook({}, { partial: true }).error).toBe("Nothing to change");
+  });
+
+  it("shapes payloads", () => {
+    const env = eventEnvelope("task.created", { x: 1 }, { actor: { _id: ME }, id: "e1", occurredAt: "2026-03-01T00:00:00Z" });
+    expect(env).toEqual({ id: "e1", event: "task.created", occurredAt: "2026-03-01T00:00:00.000Z", actor: ME, data: { x: 1 } });
+    expect(taskPayload({ _id: "t1", title: "Ship", status: "Done", assignedTeamMembers: [{ _id: ME, name: "Me" }], createdBy: { _id: ME } }))
+      .toMatchObject({ _id: "t1", assignedTeamMembers: [ME], createdBy: ME, assignedProject: null });
+  });
+});
+
+describe("/api/admin/webhooks", () => {
+  beforeEach(() => {
+    role = "Senior Manager";
+  });
+
+  it("is for HR and Senior Managers only", async () => {
+    role = "Manager";
+    await request(app).get("/api/admin/webhooks").expect(403);
+    role = "HR";
+    vi.spyOn(Webhook, "find").mockReturnValue(chain([hook({ secret: undefined })]));
+    const res = await request(app).get("/api/admin/webhooks").expect(200);
+    expect(res.body[0]).not.toHaveProperty("secret");
+  });
+
+  it("creates a webhook with a generated secret and validates it", async () => {
+    const create = vi.spyOn(Webhook, "create").mockImplementation(async (fields) => doc({ _id: HOOK, ...fields }));
+    const res = await request(app)
+      .post("/api/admin/webhooks")
+      .send({ name: "Chat", url: "https://chat.example.com/in", events: ["task.created", "comment.created"] })
+      .expect(201);
+    expect(res.body.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ createdBy: ME, events: ["task.created", "comment.created"] }));
+
+    const bad = await request(app).post("/api/admin/webhooks").send({ name: "Chat", url: "nope", events: ["task.created"] }).expect(400);
+    expect(bad.body.error).toMatch(/url/);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("updates, pauses, rotates and deletes webhooks", async () => {
+    const update = vi.spyOn(Webhook, "findByIdAndUpdate").mockReturnValue(chain(hook({ active: false, secret: undefined })));
+    await request(app).patch(`/api/admin/webhooks/${HOOK}`).send({ active: false, secret: "ignored-ignored-ignored" }).expect(200);
+    expect(update).toHaveBeenCalledWith(HOOK, { $set: { active: false } }, expect.anything());
+    await request(app).patch(`/api/admin/webhooks/${HOOK}`).send({ secret: "ignored-ignored-ignored" }).expect(400);
+
+    const rotated = await request(app).post(`/api/admin/webhooks/${HOOK}/rotate-secret`).expect(200);
+    expect(rotated.body.secret).toMatch(/^whsec_/);
+    expect(update).toHaveBeenLastCalledWith(HOOK, { $set: { secret: rotated.body.secret } }, { new: true });
+
+    vi.spyOn(Webhook, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+    const log = vi.spyOn(WebhookDelivery, "deleteMany").mockResolvedValue({});
+    await request(app).delete(`/api/admin/webhooks/${HOOK}`).expect(204);
+    expect(log).toHaveBeenCalledWith({ webhook: HOOK });
+    await request(app).delete("/api/admin/webhooks/nope").expect(404);
+  });
+
+  it("lists a webhook's deliveries and checks the filters", async () => {
+    vi.spyOn(Webhook, "exists").mockResolvedValue({ _id: HOOK });
+    const find = vi.spyOn(WebhookDelivery, "find").mockReturnValue(chain([{ _id: DELIVERY, status: "failed" }]));
+    const res = await request(app).get(`/api/admin/webhooks/${HOOK}/deliveries?status=failed&limit=10`).expect(200);
+    expect(res.body).toEqual([{ _id: DELIVERY, status: "failed" }]);
+    expect(find).toHaveBeenCalledWith({ webhook: HOOK, status: "failed" });
+
+    await request(app).get(`/api/admin/webhooks/${HOOK}/deliveries?status=lost`).expect(400);
+    await request(app).get(`/api/admin/webhooks/${HOOK}/deliveries?limit=500`).expect(400);
+    Webhook.exists.mockResolvedValue(null);
+    await request(app).get(`/api/admin/webhooks/${HOOK}/deliveries`).expect(404);
+  });
+
+  it("redelivers a logged event as a new signed delivery", async () => {
+    const payload = { id: "e1", event: "task.created", data: { task: { _id: "t1" } } };
+    vi.spyOn(WebhookDelivery, "findOne").mockReturnValue(chain({ _id: DELIVERY, webhook: HOOK, event: "task.created", eventId: "e1", payload }));
+    vi.spyOn(Webhook, "findById").mockReturnValue(chain(hook()));
+    const create = vi.spyOn(WebhookDelivery, "create").mockImplementation(async (fields) =>
+      doc({ _id: "65b000000000000000000072", attempts: 0, maxAttempts: 6, ...fields })
+    );
+    const record = vi.spyOn(WebhookDelivery, "updateOne").mockResolvedValue({});
+    const fetch = vi.fn(async () => reply(204));
+    vi.stubGlobal("fetch", fetch);
+
+    const res = await request(app).post(`/api/admin/webhooks/${HOOK}/deliveries/${DELIVERY}/redeliver`).expect(201);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ eventId: "e1", payload, redeliveryOf: DELIVERY }));
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://chat.example.com/in");
+    expect(init.body).toBe(JSON.stringify(payload));
+    const ts = init.headers["X-Webhook-Timestamp"];
+    expect(verifySignature(SECRET, ts, init.body, init.headers["X-Webhook-Signature"])).toBe(true);
+    expect(init.headers["X-Webhook-Event"]).toBe("task.created");
+    expect(record).toHaveBeenCalledWith(
+      { _id: "65b000000000000000000072" },
+      { $set: expect.objectContaining({ status: "succeeded", attempts: 1, responseStatus: 204 }) }
+    );
+    expect(res.body).toMatchObject({ status: "succeeded", attempts: 1 });
+
+    Webhook.findById.mockReturnValue(chain(hook({ active: false })));
+    await request(app).post(`/api/admin/webhooks/${HOOK}/deliveries/${DELIVERY}/redeliver`).expect(409);
+  });
+});
+
+describe("publishing and retrying deliveries", () => {
+  // publishEvent only sends while connected to the database; every query here is stubbed
+  beforeEach(() => {
+    mongoose.connection.readyState = 1;
+  });
+  afterEach(() => {
+    mongoose.connection.readyState = 0;
+  });
+
+  it("does nothing without a database connection", async () => {
+    mongoose.connection.readyState = 0;
+    const find = vi.spyOn(Webhook, "find");
+    expect(await publishEvent("task.created", {})).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it("logs a delivery per subscribed webhook and sends each straight away", async () => {
+    const find = vi.spyOn(Webhook, "find").mockReturnValue(chain([hook(), hook({ _id: HOOK2, url: "https://ci.example.com/hook" })]));
+    vi.spyOn(WebhookDelivery, "insertMany").mockImplementation(async (docs) =>
+      docs.map((d, i) => doc({ _id: `d${i}`, attempts: 0, maxAttempts: 6, ...d }))
+    );
+    const record = vi.spyOn(WebhookDelivery, "updateOne").mockResolvedValue({});
+    vi.stubGlobal("fetch", vi.fn(async (url) => (url.includes("chat") ? reply(200, "ok") : reply(503, "busy"))));
+
+    const deliveries = await publishEvent("task.created", { task: { _id: "t1" } }, { actor: ME });
+
+    expect(find).toHaveBeenCalledWith({ active: true, events: "task.created" });
+    expect(deliveries).toHaveLength(2);
+    expect(deliveries[0].payload).toMatchObject({ event: "task.created", actor: ME, data: { task: { _id: "t1" } } });
+    expect(deliveries[0].eventId).toBe(deliveries[1].eventId);
+    await vi.waitFor(() => expect(record).toHaveBeenCalledTimes(2));
+    expect(record).toHaveBeenCalledWith({ _id: "d0" }, { $set: expect.objectContaining({ status: "succeeded", responseBody: "ok" }) });
+    expect(record).toHaveBeenCalledWith(
+      { _id: "d1" },
+      { $set: expect.objectContaining({ status: "queued", lastError: "Receiver answered 503", nextAttemptAt: expect.any(Date) }) }
+    );
+  });
+
+  it("never fails the change it reports", async () => {
+    vi.spyOn(Webhook, "find").mockImplementation(() => {
+      throw new Error("db down");
+    });
+    const err = vi.spyOn(console, "error").mockImplementation(() => {});
+    expect(await publishEvent("task.deleted", {})).toEqual([]);
+    expect(err).toHaveBeenCalledWith("[webhooks] failed to publish", "task.deleted", "db down");
+  });
+
+  it("reports task updates, and status changes separately", async () => {
+    const find = vi.spyOn(Webhook, "find").mockReturnValue(chain([]));
+    const changes = [{ field: "status", from: "To Do", to: "Done" }];
+    await publishTaskUpdate({ before: { status: "To Do" }, after: { _id: "t1", title: "Ship", status: "Done" }, changes, actor: ME });
+    expect(find.mock.calls.map(([f]) => f.events)).toEqual(["task.updated", "task.status_changed"]);
+
+    find.mockClear();
+    await publishTaskUpdate({ before: { status: "Done" }, after: { _id: "t1", status: "Done" }, changes: [], actor: ME });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it("retries due deliveries with backoff, gives up after the last attempt, and fails disabled webhooks", async () => {
+    const now = new Date("2026-03-01T02:00:00Z");
+    const due = [
+      { _id: "d1", webhook: HOOK, event: "task.created", payload: {}, attempts: 1, maxAttempts: 6 },
+      { _id: "d2", webhook: HOOK, event: "task.created", payload: {}, attempts: 5, maxAttempts: 6 },
+      { _id: "d3", webhook: HOOK2, event: "task.created", payload: {}, attempts: 1, maxAttempts: 6 },
+    ];
+    const claim = vi.spyOn(WebhookDelivery, "findOneAndUpdate").mockImplementation(() => chain(due.shift() ?? null));
+    vi.spyOn(Webhook, "findById").mockImplementation((id) => chain(id === HOOK ? hook() : hook({ _id: HOOK2, active: false })));
+    const record = vi.spyOn(WebhookDelivery, "updateOne").mockResolvedValue({});
+    vi.stubGlobal("fetch", vi.fn(async () => {
+      throw new Error("connect ECONNREFUSED");
+    }));
+
+    expect(await processWebhookDeliveries(now)).toEqual({ succeeded: 0, retrying: 1, failed: 2 });
+    expect(claim.mock.calls[0][0].$or[0]).toEqual({ status: "queued", nextAttemptAt: { $lte: now } });
+    expect(record).toHaveBeenCalledWith(
+      { _id: "d1" },
+      { $set: expect.objectContaining({ status: "queued", attempts: 2, lastError: "connect ECONNREFUSED" }) }
+    );
+    expect(record).toHaveBeenCalledWith({ _id: "d2" }, { $set: expect.objectContaining({ status: "failed", attempts: 6, nextAttemptAt: null }) });
+    expect(record).toHaveBeenCalledWith({ _id: "d3" }, { $set: expect.objectContaining({ status: "failed", lastError: "The webhook was disabled" }) });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_WORKFLOW,
+  allowedTransitions,
+  categoryOf,
+  initialStatus,
+  isDone,
+  reportBucket,
+  resolveStatus,
+  statusAfterMove,
+  validateWorkflow,
+  workflowOf,
+} from '../utils/workflow.js';
+
+const review = {
+  statuses: [
+    { name: 'Backlog', category: 'not_started' },
+    { name: 'Doing', category: 'active' },
+    { name: 'Review', category: 'active' },
+    { name: 'Shipped', category: 'done' },
+  ],
+  transitions: [
+    { from: 'Backlog', to: 'Doing' },
+    { from: 'Doing', to: 'Review' },
+    { from: 'Review', to: 'Doing' },
+    { from: 'Review', to: 'Shipped' },
+  ],
+};
+
+describe('utils/workflow', () => {
+  it('falls back to the default workflow', () => {
+    expect(workflowOf({})).toBe(DEFAULT_WORKFLOW);
+    expect(workflowOf({ workflow: { statuses: [] } })).toBe(DEFAULT_WORKFLOW);
+    expect(workflowOf({ workflow: review }).statuses).toHaveLength(4);
+    expect(initialStatus(DEFAULT_WORKFLOW)).toBe('To Do');
+    expect(initialStatus(review)).toBe('Backlog');
+  });
+
+  it('derives the category from the default status names for older tasks', () => {
+    expect(categoryOf({ status: 'In Progress' })).toBe('active');
+    expect(categoryOf({ status: 'Shipped', statusCategory: 'done' })).toBe('done');
+    expect(categoryOf({ status: 'Mystery' })).toBe('not_started');
+    expect(isDone({ status: 'Done' })).toBe(true);
+    expect(reportBucket({ status: 'Review', statusCategory: 'active' })).toBe('In Progress');
+  });
+
+  it('allows any move without rules, only listed ones with them', () => {
+    expect(allowedTransitions(DEFAULT_WORKFLOW, 'To Do')).toEqual(['In Progress', 'Done']);
+    expect(allowedTransitions(review, 'Review')).toEqual(['Doing', 'Shipped']);
+    expect(allowedTransitions(review, 'Shipped')).toEqual([]);
+  });
+
+  it('resolves a status with its category or explains why not', () => {
+    expect(resolveStatus(review, 'Shipped', 'Review')).toEqual({ status: 'Shipped', statusCategory: 'done' });
+    expect(resolveStatus(review, 'Doing')).toEqual({ status: 'Doing', statusCategory: 'active' });
+
+    const unknown = resolveStatus(review, 'Done', 'Review');
+    expect(unknown.error.status).toBe(400);
+    expect(unknown.error.body.statuses).toEqual(['Backlog', 'Doing', 'Review', 'Shipped']);
+
+    const blocked = resolveStatus(review, 'Shipped', 'Backlog');
+    expect(blocked.error.status).toBe(409);
+    expect(blocked.error.body).toEqual({ error: "Cannot move a task from 'Backlog' to 'Shipped'", allowed: ['Doing'] });
+  });
+
+  it('keeps the same status or category when a task changes project', () => {
+    expect(statusAfterMove(review, { status: 'Review' })).toEqual({ status: 'Review', statusCategory: 'active' });
+    expect(statusAfterMove(review, { status: 'Done' })).toEqual({ status: 'Shipped', statusCategory: 'done' });
+    expect(statusAfterMove(DEFAULT_WORKFLOW, { status: 'Review', statusCategory: 'active' }))
+      .toEqual({ status: 'In Progress', statusCategory: 'active' });
+  });
+
+  describe('validateWorkflow', () => {
+    it('normalises names and drops duplicate or self transitions', () => {
+      const { workflow } = validateWorkflow({
+        statuses: [{ name: ' Open ', category: 'not_started' }, { name: 'Closed', category: 'done' }],
+        transitions: [
+          { from: 'Open', to: 'Closed' },
+          { from: 'Open', to: 'Closed' },
+          { from: 'Closed', to: 'Closed' },
+        ],
+      });
+      expect(workflow).toEqual({
+        statuses: [{ name: 'Open', category: 'not_started' }, { name: 'Closed', category: 'done' }],
+        transitions: [{ from: 'Open', to: 'Closed' }],
+      });
+    });
+
+    it('keeps WIP limits', () => {
+      const { workflow } = validateWorkflow({
+        statuses: [
+          { name: 'Open', category: 'not_started' },
+          { name: 'Doing', category: 'active', wipLimit: 3 },
+          { name: 'Closed', category: 'done', wipLimit: null },
+        ],
+      });
+      expect(workflow.statuses[1]).toEqual({ name: 'Doing', category: 'active', wipLimit: 3 });
+      expect(workflow.statuses[2]).toEqual({ name: 'Closed', category: 'done' });
+    });
+
+    it.each([
+      [{}, /array/],
+      [{ statuses: [] }, /between 1 and 20/],
+      [{ statuses: [{ name: '', category: 'done' }] }, /1–50/],
+      [{ statuses: [{ name: 'A', category: 'not_started' }, { name: 'a', category: 'done' }] }, /Duplicate/],
+      [{ statuses: [{ name: 'A', category: 'blocked' }] }, /category/],
+      [{ statuses: [{ name: 'A', category: 'active' }, { name: 'B', category: 'done' }] }, /not_started/],
+      [{ statuses: [{ name: 'A', category: 'not_started', wipLimit: 0 }] }, /WIP limit/],
+      [{ statuses: [{ name: 'A', category: 'not_started', wipLimit: 2.5 }] }, /WIP limit/],
+      [
+        {
+          statuses: [{ name: 'A', category: 'not_started' }, { name: 'B', category: 'done' }],
+          transitions: [{ from: 'A', to: 'C' }],
+        },
+        /unknown status/,
+      ],
+    ])('rejects %j', (input, message) => {
+      expect(validateWorkflow(input).error).toMatch(message);
+    });
+  });
+});
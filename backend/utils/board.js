@@ -0,0 +1,63 @@
+/**
+ * Kanban board helpers: one column per workflow status, tasks ordered by `rank`.
+ *
+ * Ranks are plain numbers spaced RANK_STEP apart. Dropping a card between two others
+ * takes the midpoint, so a move touches one task; when the gap runs out the column is
+ * renumbered (services/board.js). No database access here.
+ */
+import { categoryOf } from './workflow.js';
+
+export const RANK_STEP = 1024;
+
+/** Rank between two neighbours; either may be null/undefined (top or bottom of the column). */
+export function rankBetween(before, after) {
+  const hasBefore = Number.isFinite(before);
+  const hasAfter = Number.isFinite(after);
+  if (hasBefore && hasAfter) return (before + after) / 2;
+  if (hasBefore) return before + RANK_STEP;
+  if (hasAfter) return after - RANK_STEP;
+  return RANK_STEP;
+}
+
+// Ranked tasks first, then unranked ones (created before the board existed) oldest first
+function byRank(a, b) {
+  const ra = Number.isFinite(a.rank) ? a.rank : Infinity;
+  const rb = Number.isFinite(b.rank) ? b.rank : Infinity;
+  if (ra !== rb) return ra - rb;
+  return new Date(a.createdAt ?? 0) - new Date(b.createdAt ?? 0);
+}
+
+/** `{ status, limit, count }` when `count` tasks in `status` exceed its WIP limit, otherwise null. */
+export function wipWarning(workflow, status, count) {
+  const limit = workflow.statuses.find(s => s.name === status)?.wipLimit;
+  return limit && count > limit ? { status, limit, count } : null;
+}
+
+/**
+ * Group tasks into the workflow's columns, in workflow order.
+ * Tasks in a status the workflow no longer has get a trailing column of their own.
+ */
+export function buildColumns(workflow, tasks) {
+  const columns = workflow.statuses.map(s => ({
+    name: s.name,
+    category: s.category,
+    wipLimit: s.wipLimit ?? null,
+    tasks: [],
+  }));
+  const byName = new Map(columns.map(c => [c.name, c]));
+
+  for (const task of tasks) {
+    let column = byName.get(task.status);
+    if (!column) {
+      column = { name: task.status, category: categoryOf(task), wipLimit: null, tasks: [] };
+      byName.set(task.status, column);
+      columns.push(column);
+    }
+    column.tasks.push(task);
+  }
+
+  return columns.map(c => {
+    c.tasks.sort(byRank);
+    return { ...c, count: c.tasks.length, overLimit: !!c.wipLimit && c.tasks.length > c.wipLimit };
+  });
+}
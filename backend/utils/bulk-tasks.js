@@ -0,0 +1,138 @@
+/**
+ * Bulk task changes: parsing the change set POST /api/tasks/bulk applies to many
+ * tasks at once, and the pieces of it that don't need the database.
+ *
+ * No database access here (see services/bulk-tasks.js).
+ */
+import dayjs from 'dayjs';
+import mongoose from 'mongoose';
+
+export const MAX_BULK_TASKS = 200;
+export const ASSIGNEE_MODES = ['add', 'remove', 'replace'];
+// Far enough to cover any real reschedule, small enough to catch a typo
+export const MAX_SHIFT_DAYS = 3650;
+
+const CHANGE_FIELDS = ['status', 'priority', 'assignees', 'shiftDays', 'assignedProject'];
+
+const isId = (v) => mongoose.Types.ObjectId.isValid(String(v));
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+function _assignees(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'changes.assignees must be { mode, users }' };
+  }
+  if (!ASSIGNEE_MODES.includes(input.mode)) {
+    return { error: `changes.assignees.mode must be one of: ${ASSIGNEE_MODES.join(', ')}` };
+  }
+  if (!Array.isArray(input.users)) return { error: 'changes.assignees.users must be an array' };
+  const users = [...new Set(input.users.map(idOf))];
+  if (users.some((id) => !isId(id))) return { error: 'Invalid user ID in changes.assignees' };
+  if (!users.length && input.mode !== 'replace') return { error: 'changes.assignees.users is empty' };
+  return { assignees: { mode: input.mode, users } };
+}
+
+/**
+ * Parse `{ taskIds, changes }` or `{ taskIds, delete: true }`.
+ * Returns `{ taskIds, changes }`, `{ taskIds, remove: true }` or `{ error }`.
+ */
+export function parseBulkRequest(body = {}) {
+  const { taskIds } = body;
+  if (!Array.isArray(taskIds) || !taskIds.length) return { error: 'taskIds must be a non-empty array' };
+  const ids = [...new Set(taskIds.map(idOf))];
+  if (ids.length > MAX_BULK_TASKS) return { error: `At most ${MAX_BULK_TASKS} tasks can be changed at once` };
+  if (ids.some((id) => !isId(id))) return { error: 'Invalid task ID' };
+
+  if (body.delete === true || body.delete === 'true') {
+    if (body.changes) return { error: 'Send either changes or delete, not both' };
+    return { taskIds: ids, remove: true };
+  }
+
+  const input = body.changes;
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'changes must be an object' };
+  const unknown = Object.keys(input).filter((k) => !CHANGE_FIELDS.includes(k));
+  if (unknown.length) return { error: `Unknown change: ${unknown.join(', ')}` };
+
+  const changes = {};
+  if (input.status !== undefined) {
+    const status = String(input.status ?? '').trim();
+    if (!status) return { error: 'changes.status cannot be empty' };
+    changes.status = status;
+  }
+  if (input.priority !== undefined) {
+    const n = Number(input.priority);
+    if (!Number.isInteger(n) || n < 1 || n > 10) return { error: 'changes.priority must be an integer 1–10' };
+    changes.priority = n;
+  }
+  if (input.assignees !== undefined) {
+    const parsed = _assignees(input.assignees);
+    if (parsed.error) return parsed;
+    changes.assignees = parsed.assignees;
+  }
+  if (input.shiftDays !== undefined) {
+    const n = Number(input.shiftDays);
+    if (!Number.isInteger(n) || n === 0 || Math.abs(n) > MAX_SHIFT_DAYS) {
+      return { error: `changes.shiftDays must be a non-zero whole number of days (at most ${MAX_SHIFT_DAYS})` };
+    }
+    changes.shiftDays = n;
+  }
+  if (input.assignedProject !== undefined) {
+    if (!isId(input.assignedProject)) return { error: 'Invalid project ID' };
+    changes.assignedProject = idOf(input.assignedProject);
+  }
+  if (!Object.keys(changes).length) return { error: 'changes is empty' };
+  return { taskIds: ids, changes };
+}
+
+/** A task's assignee ids after an add/remove/replace of `users`. */
+export function applyAssignees(current = [], { mode, users }) {
+  if (mode === 'replace') return [...users];
+  const ids = current.map(idOf);
+  if (mode === 'add') return [...new Set([...ids, ...users])];
+  const drop = new Set(users);
+  return ids.filter((id) => !drop.has(id));
+}
+
+/** `date` moved by `days` calendar days (null stays null). */
+export function shiftDate(date, days) {
+  return date ? dayjs(date).add(days, 'day').toDate() : null;
+}
+
+const _plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/** The change set as a sentence fragment, e.g. "status set to Done; deadline moved 3 days later". */
+export function describeBulkChanges(changes, { projectName } = {}) {
+  const parts = [];
+  if (changes.status) parts.push(`status set to ${changes.status}`);
+  if (changes.priority) parts.push(`priority set to ${changes.priority}`);
+  if (changes.assignees) {
+    const { mode, users } = changes.assignees;
+    parts.push(
+      mode === 'add' ? `${_plural(users.length, 'assignee')} added`
+        : mode === 'remove' ? `${_plural(users.length, 'assignee')} removed`
+          : 'assignees replaced'
+    );
+  }
+  if (changes.shiftDays) {
+    const days = _plural(Math.abs(changes.shiftDays), 'day');
+    parts.push(`deadline moved ${days} ${changes.shiftDays > 0 ? 'later' : 'earlier'}`);
+  }
+  if (changes.assignedProject) parts.push(`moved to ${projectName ? `"${projectName}"` : 'another project'}`);
+  return parts.join('; ');
+}
+
+/** `"A", "B" and 3 more` */
+function _listTitles(titles, max = 3) {
+  const quoted = titles.slice(0, max).map((t) => `"${t}"`);
+  const rest = titles.length - quoted.length;
+  if (rest > 0) return `${quoted.join(', ')} and ${rest} more`;
+  return `${quoted.slice(0, -1).join(', ')} and ${quoted.at(-1)}`;
+}
+
+/**
+ * What one person is told about a bulk change to `titles` (their tasks);
+ * `summary` is describeBulkChanges() output, or null for a delete.
+ */
+export function bulkMessage(authorName, titles, summary) {
+  const what = titles.length === 1 ? `"${titles[0]}"` : `${titles.length} of your tasks (${_listTitles(titles)})`;
+  return summary ? `${authorName} updated ${what}: ${summary}.` : `${authorName} deleted ${what}.`;
+}
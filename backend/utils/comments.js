@@ -0,0 +1,64 @@
+/**
+ * Comment threads and reactions: validating emoji, counting reactions and
+ * nesting replies under the comment that started their thread.
+ *
+ * No database access here (see routes/comments.js).
+ */
+
+// Longest accepted reaction, in UTF-16 code units (ZWJ sequences and flags run long)
+export const MAX_EMOJI_LENGTH = 32;
+// Distinct emoji one comment can collect
+export const MAX_REACTIONS_PER_COMMENT = 20;
+
+const EMOJI_RE =
+  /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\u{FE0F}?\u{20E3})(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u{FE0F}|\u{200D})*$/u;
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** The emoji to react with, trimmed, or null when `value` is not emoji. */
+export function coerceEmoji(value) {
+  if (typeof value !== 'string') return null;
+  const emoji = value.trim();
+  if (!emoji || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_RE.test(emoji)) return null;
+  return emoji;
+}
+
+/**
+ * Stored `{ emoji, user }` pairs -> `[{ emoji, count, users }]`, in the order each
+ * emoji was first used. `users` lets clients tell whether they reacted themselves.
+ */
+export function summarizeReactions(reactions = []) {
+  const byEmoji = new Map();
+  for (const { emoji, user } of reactions ?? []) {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, []);
+    byEmoji.get(emoji).push(idOf(user));
+  }
+  return [...byEmoji].map(([emoji, users]) => ({ emoji, count: users.length, users }));
+}
+
+/** The id of the thread a reply to `parent` joins: replies to a reply go to its thread. */
+export const threadIdOf = (parent) => idOf(parent.parent ?? parent._id);
+
+/** A comment as the API returns it: reactions counted, `resolved` spelled out. */
+export const presentComment = (comment) => ({
+  ...comment,
+  parent: comment.parent ?? null,
+  reactions: summarizeReactions(comment.reactions),
+  resolved: Boolean(comment.resolvedAt),
+});
+
+/**
+ * Nest `replies` (any order) under their thread's first comment in `roots`, oldest
+ * reply first. Replies whose thread is not in `roots` are left out.
+ */
+export function nestReplies(roots, replies) {
+  const byThread = new Map(roots.map((c) => [idOf(c), []]));
+  for (const reply of replies) byThread.get(idOf(reply.parent))?.push(reply);
+  return roots.map((root) => ({
+    ...presentComment(root),
+    replies: byThread
+      .get(idOf(root))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(presentComment),
+  }));
+}
@@ -0,0 +1,96 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// minute hour day-of-month month day-of-week (0 or 7 = Sunday)
+const FIELDS = [
+  ["minute", 0, 59],
+  ["hour", 0, 23],
+  ["day of month", 1, 31],
+  ["month", 1, 12],
+  ["day of week", 0, 7],
+];
+
+// Give up looking this far ahead so "0 0 30 2 *" can't spin forever (leap days recur within 8 years)
+const MAX_YEARS_AHEAD = 8;
+
+function parseField(text, [label, min, max]) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid ${label} '${part}'`);
+
+    let [lo, hi] = m[1] === "*" ? [min, max] : m[1].split("-").map(Number);
+    if (hi === undefined) hi = m[2] ? max : lo;
+    const step = m[2] ? Number(m[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid ${label} '${part}' (allowed ${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parses a 5-field cron expression (lists, ranges and steps; no names or seconds).
+ * Throws with a readable message on anything it doesn't understand.
+ */
+export function parseCron(expression) {
+  const parts = String(expression ?? "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields: '${expression}'`);
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    daysStar: parts[2] === "*",
+    weekdaysStar: parts[4] === "*",
+  };
+}
+
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function dayMatches(cron, t) {
+  const dom = cron.days.has(t.date());
+  const dow = cron.weekdays.has(t.day());
+  if (cron.daysStar) return dow;
+  if (cron.weekdaysStar) return dom;
+  return dom || dow;
+}
+
+/** The first time strictly after `after` that `expression` fires, in the given timezone. */
+export function nextCronRun(expression, after = new Date(), tz = "UTC") {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  let t = dayjs(after).tz(tz).startOf("minute").add(1, "minute");
+  const limit = t.add(MAX_YEARS_AHEAD, "year");
+
+  while (t.isBefore(limit)) {
+    if (!cron.months.has(t.month() + 1)) {
+      t = t.add(1, "month").startOf("month");
+    } else if (!dayMatches(cron, t)) {
+      t = t.add(1, "day").startOf("day");
+    } else if (!cron.hours.has(t.hour())) {
+      t = t.add(1, "hour").startOf("hour");
+    } else if (!cron.minutes.has(t.minute())) {
+      t = t.add(1, "minute");
+    } else {
+      return t.toDate();
+    }
+  }
+  throw new Error(`Cron expression never fires: '${expression}'`);
+}
@@ -0,0 +1,237 @@
+/**
+ * iCalendar (RFC 5545) text for calendar feeds: one VEVENT per task.
+ *
+ * Events follow the deadline, as on the Calendar page: a timed event ends at the
+ * deadline and starts at `startAt` when that is earlier the same day (a block planned on
+ * the due day), otherwise at the deadline itself; an all-day task covers its due date.
+ * Each recurring series adds one event with an RRULE for the occurrences that have no
+ * task yet, with the dates it skipped as EXDATEs. Reminder offsets become VALARMs on
+ * open tasks.
+ *
+ * No database access here (see services/calendar.js).
+ */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import {
+  DEFAULT_TIMEZONE,
+  describeRecurrence,
+  formatRRule,
+  nextOccurrence,
+  occurrenceOf,
+  occurrencesBefore,
+  seriesIdOf,
+  seriesRule,
+} from './recurrence.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const PRODUCT_ID = '-//Task Manager//Calendar feed//EN';
+export const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+const CRLF = '\r\n';
+// Lines are folded at 75 octets (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/** TEXT value escaping (RFC 5545 3.3.11). */
+export const escapeText = (s = '') =>
+  String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/** Fold a content line into 75-octet pieces without splitting a UTF-8 character. */
+export function foldLine(line) {
+  const out = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with a space, which counts towards their 75
+    const limit = out.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      out.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join(`${CRLF} `);
+}
+
+const _utc = (d) => dayjs.utc(d).format('YYYYMMDD[T]HHmmss[Z]');
+const _local = (d, tz) => dayjs(d).tz(tz).format('YYYYMMDD[T]HHmmss');
+const _date = (d, tz) => dayjs(d).tz(tz).format('YYYYMMDD');
+
+/** A signed DURATION, e.g. `-PT90M`, `P1D`, `PT0S`. */
+export function formatDuration(ms) {
+  const sign = ms < 0 ? '-' : '';
+  let minutes = Math.round(Math.abs(ms) / 60000);
+  if (!minutes) return 'PT0S';
+  const days = Math.floor(minutes / 1440);
+  minutes -= days * 1440;
+  return `${sign}P${days ? `${days}D` : ''}${minutes ? `T${minutes}M` : ''}`;
+}
+
+/** The UTC offset of `tz` at `at`, e.g. `+0800`. */
+const _offset = (tz, at) => {
+  const m = dayjs(at).tz(tz).utcOffset();
+  const abs = Math.abs(m);
+  return `${m < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * A VTIMEZONE for `tz` with its UTC offset at `at`. Enough for zones without daylight
+ * saving (the app's own); apps that know the IANA name apply its full rules anyway.
+ */
+function _vtimezone(tz, at) {
+  const offset = _offset(tz, at);
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${tz}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    'END:STANDARD',
+    'END:VTIMEZONE',
+  ];
+}
+
+/** When the event of a task with this deadline starts (see the module comment). */
+function _eventStart(task, tz) {
+  const { deadline, startAt } = task;
+  if (!startAt || new Date(startAt) >= new Date(deadline)) return new Date(deadline);
+  return _date(startAt, tz) === _date(deadline, tz) ? new Date(startAt) : new Date(deadline);
+}
+
+function _description(task) {
+  const lines = [];
+  if (task.status) lines.push(`Status: ${task.status}`);
+  if (task.priority != null) lines.push(`Priority: ${task.priority}`);
+  if (task.assignedProject?.name) lines.push(`Project: ${task.assignedProject.name}`);
+  const people = (task.assignedTeamMembers ?? []).map((m) => m?.name).filter(Boolean);
+  if (people.length) lines.push(`Assigned to: ${people.join(', ')}`);
+  if (task.notes) lines.push('', task.notes);
+  return lines.join('\n');
+}
+
+function _alarms(task, deadline, dtstart) {
+  if (task.statusCategory === 'done' || task.status === 'Done') return [];
+  return (task.reminderOffsets ?? []).flatMap((minutes) => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(task.title)}`,
+    `TRIGGER:${formatDuration(new Date(deadline) - minutes * 60000 - dtstart)}`,
+    'END:VALARM',
+  ]);
+}
+
+/** DTSTART/DTEND for an event due at `deadline`; returns the lines and the start. */
+function _when(deadline, { allDay, start, tz }) {
+  if (allDay) {
+    const day = dayjs(deadline).tz(tz).startOf('day');
+    return {
+      dtstart: day.toDate(),
+      lines: [`DTSTART;VALUE=DATE:${_date(day, tz)}`, `DTEND;VALUE=DATE:${_date(day.add(1, 'day'), tz)}`],
+    };
+  }
+  return {
+    dtstart: start,
+    lines: [`DTSTART;TZID=${tz}:${_local(start, tz)}`, `DTEND;TZID=${tz}:${_local(deadline, tz)}`],
+  };
+}
+
+/** The VEVENT lines for one task. Local times are written in `tz`. */
+export function taskEvent(task, { tz = DEFAULT_TIMEZONE, now = new Date(), uidDomain = 'tasks' } = {}) {
+  const { dtstart, lines: when } = _when(task.deadline, { allDay: task.allDay, start: _eventStart(task, tz), tz });
+  const description = _description(task);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${task._id}@${uidDomain}`,
+    `DTSTAMP:${_utc(task.updatedAt ?? now)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    ...when,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(task.assignedProject?.name ? [`CATEGORIES:${escapeText(task.assignedProject.name)}`] : []),
+    ..._alarms(task, task.deadline, dtstart),
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * The VEVENT for the occurrences of `head`'s series that have no task yet: an RRULE
+ * from the next one on, or null when the series ends with `head`. Its local times are in
+ * the rule's timezone, where its weekdays and month days fall. COUNT counts from the
+ * series start, so it becomes what is left of it.
+ */
+export function seriesEvent(head, { now = new Date(), uidDomain = 'tasks' } = {}) {
+  const rule = seriesRule(head);
+  const next = rule && nextOccurrence(rule, occurrenceOf(head));
+  if (!next) return null;
+  const tz = rule.timezone ?? DEFAULT_TIMEZONE;
+
+  // Planned the same way as the head: from the same time of day to the deadline
+  const lead = new Date(head.deadline) - _eventStart(head, tz);
+  const startOf = (d) => new Date(new Date(d).getTime() - lead);
+  const { dtstart, lines: when } = _when(next, { allDay: head.allDay, start: startOf(next), tz });
+
+  const counted = rule.ends === 'afterCount' && rule.count
+    ? { ...rule, count: rule.count - occurrencesBefore(rule, next) }
+    : rule;
+  const exdates = (rule.exdates ?? [])
+    .filter((d) => new Date(d) > next)
+    .map((d) => (head.allDay ? `EXDATE;VALUE=DATE:${_date(d, tz)}` : `EXDATE;TZID=${tz}:${_local(startOf(d), tz)}`));
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:series-${seriesIdOf(head)}@${uidDomain}`,
+    `DTSTAMP:${_utc(head.updatedAt ?? now)}`,
+    `SUMMARY:${escapeText(head.title)}`,
+    ...when,
+    `RRULE:${formatRRule(counted)}`,
+    ...exdates,
+    `DESCRIPTION:${escapeText(`${describeRecurrence(rule)}. Not created yet.`)}`,
+    ...(head.assignedProject?.name ? [`CATEGORIES:${escapeText(head.assignedProject.name)}`] : []),
+    ..._alarms(head, next, dtstart),
+    'END:VEVENT',
+  ];
+}
+
+/** The latest open task of each recurring series that still repeats. */
+export function seriesHeads(tasks) {
+  const heads = new Map();
+  for (const t of tasks) {
+    if (!t.recurrence || !t.deadline || t.statusCategory === 'done') continue;
+    const key = String(seriesIdOf(t));
+    const seen = heads.get(key);
+    if (!seen || new Date(occurrenceOf(t)) > new Date(occurrenceOf(seen))) heads.set(key, t);
+  }
+  return [...heads.values()];
+}
+
+/**
+ * A whole VCALENDAR: an event per task with a deadline, and one per recurring series for
+ * its occurrences to come.
+ */
+export function buildCalendar(tasks, { name = 'Tasks', tz = DEFAULT_TIMEZONE, now = new Date(), uidDomain } = {}) {
+  const dated = tasks.filter((t) => t.deadline);
+  const heads = seriesHeads(dated);
+  const series = heads.map((head) => seriesEvent(head, { now, uidDomain })).filter(Boolean);
+  const zones = new Set([tz, ...heads.map((head) => head.recurrence.timezone ?? DEFAULT_TIMEZONE)]);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${tz}`,
+  ];
+  for (const zone of zones) lines.push(..._vtimezone(zone, now));
+  for (const task of dated) lines.push(...taskEvent(task, { tz, now, uidDomain }));
+  for (const event of series) lines.push(...event);
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,75 @@
+/**
+ * Labels: parsing label ids from request bodies and query strings, and the
+ * any/all filter that GET /api/tasks, /api/calendar and /api/timeline share.
+ *
+ * No database access here (see services/labels.js).
+ */
+import mongoose from 'mongoose';
+
+export const LABEL_MATCH_MODES = ['any', 'all'];
+export const MAX_LABELS_PER_ITEM = 20;
+
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/** Array, JSON string (multipart) or CSV -> unique id strings. */
+function toIdList(input) {
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      input = input.split(',');
+    }
+  }
+  const arr = Array.isArray(input) ? input : [input];
+  return [...new Set(arr.map((v) => String(v?._id ?? v ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Parse the `labels` a task or project is saved with. `undefined` means "not sent",
+ * null/'' clears. Returns `{ ids }` or `{ error }`.
+ */
+export function coerceLabelIds(input) {
+  if (input === undefined) return { ids: undefined };
+  if (input === null || input === '') return { ids: [] };
+  const ids = toIdList(input);
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid label ID' };
+  if (ids.length > MAX_LABELS_PER_ITEM) {
+    return { error: `At most ${MAX_LABELS_PER_ITEM} labels are allowed` };
+  }
+  return { ids };
+}
+
+/**
+ * `?labels=a,b&labelMatch=any|all` -> a condition on the `labels` field, null when no
+ * labels were asked for, or `{ error }`. `any` (the default) matches items carrying at
+ * least one of the labels; `all` requires every one of them.
+ */
+export function labelFilter({ labels, labelMatch } = {}) {
+  if (labels === undefined || labels === '') return null;
+  const mode = labelMatch ? String(labelMatch).toLowerCase() : 'any';
+  if (!LABEL_MATCH_MODES.includes(mode)) {
+    return { error: `labelMatch must be one of: ${LABEL_MATCH_MODES.join(', ')}` };
+  }
+  const ids = toIdList(labels);
+  if (!ids.length || ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid label ID' };
+  }
+  const oids = ids.map((id) => new mongoose.Types.ObjectId(id));
+  return { labels: mode === 'all' ? { $all: oids } : { $in: oids } };
+}
+
+/** Validate a label's name/colour for create (`partial: false`) or update. Returns `{ label }` or `{ error }`. */
+export function validateLabel({ name, color } = {}, { partial = false } = {}) {
+  const label = {};
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) return { error: 'Label name is required' };
+    if (trimmed.length > 50) return { error: 'Label name cannot exceed 50 characters' };
+    label.name = trimmed;
+  }
+  if (color !== undefined && color !== null && color !== '') {
+    if (!COLOR_RE.test(String(color))) return { error: 'Label color must be a hex colour like #1e88e5' };
+    label.color = String(color).toLowerCase();
+  }
+  return { label };
+}
@@ -0,0 +1,107 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail transports share one shape: `{ name, send(message) }`, where `send` resolves with
+ * at least `{ messageId }` and rejects when the message was not accepted.
+ * Pick one with MAIL_TRANSPORT=smtp|file|console|memory (default smtp).
+ */
+
+const localMessageId = () => `<${crypto.randomUUID()}@littlefarms.local>`;
+
+/** SMTP through nodemailer: Mailtrap when MAILTRAP_HOST is set, otherwise Gmail. */
+export function createSmtpTransport(env = process.env) {
+  let options;
+  if (env.MAILTRAP_HOST) {
+    options = {
+      host: env.MAILTRAP_HOST,
+      port: Number(env.MAILTRAP_PORT ?? 2525),
+      auth: { user: env.MAILTRAP_USER, pass: env.MAILTRAP_PASS },
+    };
+  } else {
+    if (!env.EMAIL_USER || !env.EMAIL_PASS) {
+      console.error(" Missing EMAIL_USER/EMAIL_PASS env vars. Check backend/config/secrets.env");
+    }
+    options = {
+      service: "gmail",
+      auth: { user: env.EMAIL_USER, pass: env.EMAIL_PASS },
+    };
+  }
+
+  const transporter = nodemailer.createTransport(options);
+
+  // Verify connection configuration
+  transporter.verify().then(
+    () => console.log("Mailer connected and ready to send"),
+    (err) => console.error("Mailer config error:", err)
+  );
+
+  return {
+    name: "smtp",
+    transporter,
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+/** Dev sink: writes each message as JSON (plus an .html preview) into `dir`. */
+export function createFileTransport(dir = "./tmp/mail") {
+  return {
+    name: "file",
+    dir,
+    async send(message) {
+      const messageId = localMessageId();
+      const base = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID().slice(0, 8)}`);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${base}.json`, JSON.stringify({ messageId, ...message }, null, 2));
+      if (message.html) await fs.writeFile(`${base}.html`, message.html);
+      return { messageId, accepted: [message.to], path: `${base}.json` };
+    },
+  };
+}
+
+/** Dev sink: prints a summary of each message instead of sending it. */
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const messageId = localMessageId();
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text || message.html || ""}`);
+      return { messageId, accepted: [message.to] };
+    },
+  };
+}
+
+/** Test sink: keeps messages in memory so tests can assert on what was sent. */
+export function createMemoryTransport() {
+  const messages = [];
+  return {
+    name: "memory",
+    messages,
+    async send(message) {
+      const messageId = localMessageId();
+      messages.push({ messageId, ...message });
+      return { messageId, accepted: [message.to] };
+    },
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
+
+export function createTransportFromEnv(env = process.env) {
+  const kind = (env.MAIL_TRANSPORT || "smtp").toLowerCase();
+  switch (kind) {
+    case "smtp":
+      return createSmtpTransport(env);
+    case "file":
+      return createFileTransport(env.MAIL_FILE_DIR);
+    case "console":
+      return createConsoleTransport();
+    case "memory":
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT '${env.MAIL_TRANSPORT}'`);
+  }
+}
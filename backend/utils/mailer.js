@@ -1,39 +1,137 @@
-import nodemailer from "nodemailer";
+import mongoose from "mongoose";
 import dotenv from "dotenv";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import EmailMessage from "../models/EmailMessage.js";
+import { createTransportFromEnv } from "./mail-transports.js";
+import { drainOutbox, retryDelay } from "../services/outbox.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: join(__dirname, "../config/secrets.env") });
 
-const { EMAIL_USER, EMAIL_PASS, EMAIL_FROM } = process.env;
+const { EMAIL_USER, EMAIL_FROM } = process.env;
 
-if (!EMAIL_USER || !EMAIL_PASS) {
-  console.error(" Missing EMAIL_USER/EMAIL_PASS env vars. Check backend/config/secrets.env");
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+let transport = createTransportFromEnv(process.env);
+
+export function getTransport() {
+  return transport;
+}
+
+/** The current transport's nodemailer transporter (smtp only), otherwise null. */
+export function getTransporter() {
+  return transport.transporter ?? null;
+}
+
+/** Swap the transport (e.g. `createMemoryTransport()` in tests). Returns the previous one. */
+export function setTransport(next) {
+  const previous = transport;
+  transport = next;
+  return previous;
+}
+
+const outboxAvailable = () => mongoose.connection.readyState === 1;
+
+// Only the fields a transport understands, without empty ones
+function envelope({ from, to, subject, html, text, replyTo }) {
+  return Object.fromEntries(
+    Object.entries({ from, to, subject, html, text, replyTo }).filter(([, v]) => v)
+  );
 }
 
-export const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: EMAIL_USER,
-    pass: EMAIL_PASS,
-  },
-});
-
-// Verify connection configuration
-transporter.verify((err, success) => {
-  if (err) {
-    console.error("Mailer config error:", err);
-  } else {
-    console.log("Mailer connected and ready to send");
+// A sensitive message's body is only kept while it may still be sent
+const forget = (message) => (message.sensitive ? { html: "", text: "" } : {});
+
+/** One delivery attempt for an outbox message; records the outcome on it. */
+async function attempt(message) {
+  const attempts = message.attempts + 1;
+  try {
+    const info = await transport.send(envelope(message));
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          ...forget(message),
+          status: "sent",
+          attempts,
+          sentAt: new Date(),
+          transport: transport.name,
+          messageId: info?.messageId ?? null,
+          lastError: null,
+          nextAttemptAt: null,
+          claimedAt: null,
+        },
+      }
+    );
+    return { info };
+  } catch (error) {
+    const giveUp = attempts >= message.maxAttempts;
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          ...(giveUp ? forget(message) : {}),
+          status: giveUp ? "failed" : "queued",
+          attempts,
+          transport: transport.name,
+          lastError: error?.message || String(error),
+          nextAttemptAt: giveUp ? null : new Date(Date.now() + retryDelay(attempts)),
+          claimedAt: null,
+        },
+      }
+    );
+    return { error, giveUp };
   }
-});
-
-export async function sendEmail({ to, subject, html }) {
-  return transporter.sendMail({
-    from: EMAIL_FROM || EMAIL_USER,
-    to,
-    subject,
-    html,
+}
+
+/**
+ * Record an email in the outbox and try to deliver it straight away.
+ *
+ * Resolves with the transport's result once sent, or `{ queued: true, id }` when this
+ * attempt failed and the `email-outbox` job will retry it. Rejects only when the message
+ * is out of attempts (templates like the login OTP allow just one).
+ * Without a database connection (scripts, DB-less tests) it sends directly, unrecorded.
+ * A `sensitive` message's body is cleared from the outbox once it is sent or given up.
+ */
+export async function sendEmail({
+  to,
+  subject,
+  html,
+  text,
+  replyTo,
+  from,
+  template,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  sensitive = false,
+}) {
+  const message = { from: from || EMAIL_FROM || EMAIL_USER, to, subject, html, text, replyTo };
+  if (!outboxAvailable()) return transport.send(envelope(message));
+
+  const doc = await EmailMessage.create({
+    ...message,
+    template,
+    maxAttempts,
+    sensitive,
+    status: "sending",
+    claimedAt: new Date(),
+  });
+  const { info, error, giveUp } = await attempt(doc.toObject());
+  if (!error) return info;
+
+  console.error("[mailer] send failed for", to, `(${giveUp ? "giving up" : "will retry"}):`, error?.message || error);
+  if (giveUp) throw error;
+  return { queued: true, id: doc._id };
+}
+
+/** Retry queued messages that are due (run by the `email-outbox` job; see services/outbox.js). */
+export async function processOutbox(now = new Date(), { limit = 50 } = {}) {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  await drainOutbox(EmailMessage, now, { limit }, async (message) => {
+    const { error, giveUp } = await attempt(message);
+    if (!error) counts.sent++;
+    else if (giveUp) counts.failed++;
+    else counts.retrying++;
   });
+  return counts;
 }
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * Query parsing and cursors for the notification inbox (GET /api/notifications).
+ * No database access here (see services/notification-inbox.js).
+ */
+
+export const NOTIFICATION_TYPES = ['reminder', 'overdue', 'comment', 'mention', 'update'];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const isId = (v) => mongoose.Types.ObjectId.isValid(String(v));
+
+const _bool = (v) => (v === 'true' || v === true ? true : v === 'false' || v === false ? false : undefined);
+
+const _date = (v) => {
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * The inbox is newest first by `scheduledFor`, ties broken by `_id`. A cursor is the
+ * position of the last item of a page, opaque to clients.
+ */
+export function encodeCursor(notification) {
+  const at = new Date(notification.scheduledFor).toISOString();
+  return Buffer.from(`${at}|${notification._id}`).toString('base64url');
+}
+
+/** The `{ at, id }` a cursor points at, or null when it is not one of ours. */
+export function decodeCursor(cursor) {
+  const [at, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const date = at ? _date(at) : null;
+  return date && id && isId(id) ? { at: date, id } : null;
+}
+
+/**
+ * Parse the inbox query: `cursor`, `limit`, `type` (one or comma-separated), `read`,
+ * `archived` (default false: the inbox itself), `project`, `from` and `to`.
+ * Returns the options, or `{ error }`.
+ */
+export function inboxQuery(query = {}) {
+  const n = Number(query.limit);
+  const limit = Number.isFinite(n) && n > 0 ? Math.min(Math.trunc(n), MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  let types = null;
+  if (query.type) {
+    types = [...new Set(String(query.type).split(',').map((t) => t.trim()).filter(Boolean))];
+    const unknown = types.find((t) => !NOTIFICATION_TYPES.includes(t));
+    if (unknown) return { error: `Unknown notification type '${unknown}'` };
+  }
+
+  const read = _bool(query.read);
+  if (query.read !== undefined && read === undefined) return { error: 'read must be true or false' };
+  const archived = query.archived === undefined ? false : _bool(query.archived);
+  if (archived === undefined) return { error: 'archived must be true or false' };
+
+  if (query.project !== undefined && !isId(query.project)) return { error: 'Invalid project ID' };
+
+  const from = query.from === undefined ? null : _date(query.from);
+  const to = query.to === undefined ? null : _date(query.to);
+  if (from === null && query.from !== undefined) return { error: "Invalid 'from' date" };
+  if (to === null && query.to !== undefined) return { error: "Invalid 'to' date" };
+  if (from && to && from > to) return { error: "'from' must not be after 'to'" };
+
+  return { limit, cursor, types, read, archived, project: query.project ?? null, from, to };
+}
+
+/** Mongo conditions for the items after `cursor` in inbox order. */
+export function afterCursor(cursor) {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return { $or: [{ scheduledFor: { $lt: cursor.at } }, { scheduledFor: cursor.at, _id: { $lt: id } }] };
+}
@@ -0,0 +1,77 @@
+/**
+ * Personal reminders and snoozes: when they fire and what they say.
+ * No database access here (see services/personal-reminders.js).
+ */
+
+// Snoozing further than this is almost certainly a mistake
+export const MAX_SNOOZE_MINUTES = 90 * 24 * 60;
+// A minutes-before reminder can't be more than a year ahead of the deadline
+export const MAX_MINUTES_BEFORE = 366 * 24 * 60;
+export const MAX_REMINDERS_PER_TASK = 10;
+// Only these notifications can be put off
+export const SNOOZABLE_TYPES = ['reminder', 'overdue'];
+
+const MINUTE_MS = 60 * 1000;
+
+const _date = (v) => {
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/** Read a snooze: `{ minutes }` from now or `{ until }` a time. Returns `{ remindAt }` or `{ error }`. */
+export function snoozeUntil({ minutes, until } = {}, now = new Date()) {
+  if ((minutes === undefined) === (until === undefined)) return { error: 'Send either minutes or until' };
+  let remindAt;
+  if (minutes !== undefined) {
+    const n = Number(minutes);
+    if (!Number.isInteger(n) || n < 1) return { error: 'minutes must be a whole number of at least 1' };
+    remindAt = new Date(now.getTime() + n * MINUTE_MS);
+  } else {
+    remindAt = _date(until);
+    if (!remindAt) return { error: "Invalid 'until' date" };
+    if (remindAt <= now) return { error: "'until' must be in the future" };
+  }
+  if (remindAt.getTime() - now.getTime() > MAX_SNOOZE_MINUTES * MINUTE_MS) {
+    return { error: 'Snoozes can be at most 90 days' };
+  }
+  return { remindAt };
+}
+
+/**
+ * Read a personal reminder: `{ remindAt }` (a future time) or `{ minutesBefore }` the
+ * task's deadline, plus an optional `note`. Returns the fields to store, or `{ error }`.
+ */
+export function coerceReminder({ remindAt, minutesBefore, note } = {}, task, now = new Date()) {
+  if ((remindAt === undefined) === (minutesBefore === undefined)) {
+    return { error: 'Send either remindAt or minutesBefore' };
+  }
+  if (note !== undefined && typeof note !== 'string') return { error: 'note must be text' };
+  const fields = { note: (note ?? '').trim().slice(0, 200), remindAt: null, minutesBefore: null };
+
+  if (remindAt !== undefined) {
+    const at = _date(remindAt);
+    if (!at) return { error: 'Invalid remindAt date' };
+    if (at <= now) return { error: 'remindAt must be in the future' };
+    return { ...fields, remindAt: at };
+  }
+  const n = Number(minutesBefore);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_MINUTES_BEFORE) {
+    return { error: `minutesBefore must be a whole number from 0 to ${MAX_MINUTES_BEFORE}` };
+  }
+  if (!task?.deadline) return { error: 'The task has no deadline to remind you before' };
+  return { ...fields, minutesBefore: n };
+}
+
+/** When a reminder fires: its own time, or `minutesBefore` the task's deadline (null without one). */
+export function reminderDueAt(reminder, task) {
+  if (reminder.minutesBefore == null) return reminder.remindAt ? new Date(reminder.remindAt) : null;
+  if (!task?.deadline) return null;
+  return new Date(new Date(task.deadline).getTime() - reminder.minutesBefore * MINUTE_MS);
+}
+
+/** The notification text for a reminder that fires. */
+export function reminderMessage(reminder, task) {
+  const what = reminder.source === 'snooze' ? 'Snoozed reminder' : 'Your reminder';
+  const base = `${what}: task "${task.title}"`;
+  return reminder.note ? `${base}: ${reminder.note}` : base;
+}
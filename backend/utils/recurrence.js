@@ -0,0 +1,517 @@
+/**
+ * Recurring tasks: the RFC 5545 recurrence rules (RRULE) tasks can follow, and the
+ * occurrence dates a rule produces.
+ *
+ * A rule is stored structured on every task of its series (`recurrence`, see
+ * models/Task.js) and can be read from or written as RRULE text
+ * ("FREQ=MONTHLY;BYDAY=2TU" is "every 2nd Tuesday"). Supported: FREQ (daily, weekly,
+ * monthly, yearly), INTERVAL, COUNT, UNTIL, BYDAY (with ordinals for monthly and yearly
+ * rules), BYMONTHDAY (negative counts from the end of the month), BYMONTH and BYSETPOS.
+ * Weeks start on Monday. As in RFC 5545, a date that doesn't exist is skipped rather
+ * than rolled over: "monthly on the 31st" has no February occurrence (use
+ * BYMONTHDAY=-1 for the last day of every month).
+ *
+ * Occurrences are wall-clock times in the rule's timezone, at the time of day of the
+ * series start (`start`, the first task's deadline). The start is always the first
+ * occurrence, and it counts towards COUNT; skipped dates (`exdates`) count too.
+ *
+ * No database access here (see services/recurrence.js).
+ */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+export const ENDS = ['never', 'onDate', 'afterCount'];
+// In dayjs day() order (Sunday = 0)
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const DEFAULT_TIMEZONE = 'Asia/Singapore';
+export const MAX_INTERVAL = 999;
+export const MAX_COUNT = 1000;
+
+// Give up this far past the point of interest, so a rule that can never match
+// ("BYMONTH=2;BYMONTHDAY=30") can't spin forever
+const MAX_YEARS_AHEAD = 30;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+const BY_DAY = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+const UNSUPPORTED_PARTS = ['BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYWEEKNO', 'BYYEARDAY'];
+
+function _isTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function _ints(list, label, min, max, { signed = false } = {}) {
+  const values = [];
+  for (const raw of list) {
+    const n = Number(raw);
+    const ok = Number.isInteger(n) && (signed ? n !== 0 && Math.abs(n) <= max : n >= min && n <= max);
+    if (!ok) throw new Error(`Invalid ${label} '${raw}'`);
+    values.push(n);
+  }
+  return [...new Set(values)];
+}
+
+const _list = (v) => (v == null || v === '' ? [] : Array.isArray(v) ? v : String(v).split(','));
+
+/** `'2TU'` → `{ ord: 2, day: 2 }`; `'FR'` → `{ ord: 0, day: 5 }` */
+function _byDay(token) {
+  const m = BY_DAY.exec(String(token).trim().toUpperCase());
+  if (!m) throw new Error(`Invalid BYDAY '${token}'`);
+  return { ord: m[1] ? Number(m[1]) : 0, day: WEEKDAYS.indexOf(m[2]) };
+}
+
+/**
+ * Check and normalise a structured rule (`{ frequency, interval, byDay, byMonthDay,
+ * byMonth, bySetPos, ends, until, count, timezone }`). Throws with a readable message.
+ */
+function _normalize(input) {
+  const frequency = String(input.frequency ?? '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  const interval = input.interval == null || input.interval === '' ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new Error(`Interval must be a whole number from 1 to ${MAX_INTERVAL}`);
+  }
+
+  const byDay = [...new Set(_list(input.byDay).map((t) => String(t).trim().toUpperCase()))];
+  for (const token of byDay) {
+    const { ord } = _byDay(token);
+    if (!ord) continue;
+    if (frequency !== 'monthly' && frequency !== 'yearly') {
+      throw new Error(`BYDAY '${token}': a numbered weekday needs a monthly or yearly rule`);
+    }
+    if (Math.abs(ord) > (frequency === 'monthly' ? 5 : 53)) throw new Error(`Invalid BYDAY '${token}'`);
+  }
+  const byMonthDay = _ints(_list(input.byMonthDay), 'BYMONTHDAY', 1, 31, { signed: true });
+  if (byMonthDay.length && frequency === 'weekly') throw new Error('BYMONTHDAY cannot be used with a weekly rule');
+  const byMonth = _ints(_list(input.byMonth), 'BYMONTH', 1, 12);
+  const bySetPos = _ints(_list(input.bySetPos), 'BYSETPOS', 1, 366, { signed: true });
+  if (bySetPos.length && !byDay.length && !byMonthDay.length && !byMonth.length) {
+    throw new Error('BYSETPOS needs BYDAY, BYMONTHDAY or BYMONTH');
+  }
+
+  const ends = input.ends || (input.count ? 'afterCount' : input.until ? 'onDate' : 'never');
+  if (!ENDS.includes(ends)) throw new Error(`Ends must be one of: ${ENDS.join(', ')}`);
+  let until = null;
+  let count = null;
+  if (ends === 'onDate') {
+    until = input.until ? new Date(input.until) : null;
+    if (!until || Number.isNaN(until.getTime())) throw new Error('A valid until date is required');
+  }
+  if (ends === 'afterCount') {
+    count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw new Error(`Count must be a whole number from 1 to ${MAX_COUNT}`);
+    }
+  }
+
+  const tz = input.timezone || DEFAULT_TIMEZONE;
+  if (!_isTimezone(tz)) throw new Error(`Unknown timezone '${tz}'`);
+
+  return { frequency, interval, byDay, byMonthDay, byMonth, bySetPos, ends, until, count, timezone: tz };
+}
+
+/** UNTIL as a Date: a bare date means the end of that day in `tz`. */
+function _until(text, tz) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(text);
+  if (!m) throw new Error(`Invalid UNTIL '${text}'`);
+  const [, y, mo, d, h, mi, s, z] = m;
+  if (!h) return dayjs.tz(`${y}-${mo}-${d}`, tz).endOf('day').toDate();
+  const local = `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+  return (z ? dayjs.utc(local) : dayjs.tz(local, tz)).toDate();
+}
+
+/**
+ * Parse RRULE text ("RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"). Returns the structured
+ * rule; throws with a readable message on anything unsupported or malformed.
+ */
+export function parseRRule(text, { timezone: tz = DEFAULT_TIMEZONE } = {}) {
+  const body = String(text ?? '').trim().replace(/^RRULE:/i, '');
+  if (!body) throw new Error('Empty recurrence rule');
+
+  const parts = {};
+  for (const pair of body.split(';').filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    const name = String(key).trim().toUpperCase();
+    if (!name || value === undefined || value === '') throw new Error(`Invalid rule part '${pair}'`);
+    if (UNSUPPORTED_PARTS.includes(name)) throw new Error(`${name} is not supported`);
+    parts[name] = value.trim();
+  }
+  if (!parts.FREQ) throw new Error('FREQ is required');
+  if (parts.COUNT && parts.UNTIL) throw new Error('Use COUNT or UNTIL, not both');
+  if (parts.WKST && parts.WKST.toUpperCase() !== 'MO') throw new Error('Only WKST=MO is supported');
+  const known = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+  const unknown = Object.keys(parts).filter((k) => !known.includes(k));
+  if (unknown.length) throw new Error(`Unknown rule part: ${unknown.join(', ')}`);
+
+  return _normalize({
+    frequency: parts.FREQ.toLowerCase(),
+    interval: parts.INTERVAL,
+    byDay: parts.BYDAY,
+    byMonthDay: parts.BYMONTHDAY,
+    byMonth: parts.BYMONTH,
+    bySetPos: parts.BYSETPOS,
+    ends: parts.COUNT ? 'afterCount' : parts.UNTIL ? 'onDate' : 'never',
+    count: parts.COUNT,
+    until: parts.UNTIL ? _until(parts.UNTIL, tz) : null,
+    timezone: tz,
+  });
+}
+
+/** The rule as RRULE text (without the "RRULE:" prefix). */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.ends === 'afterCount' && rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.ends === 'onDate' && rule.until) {
+    parts.push(`UNTIL=${dayjs.utc(rule.until).format('YYYYMMDD[T]HHmmss[Z]')}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * Read a recurrence from a request: either RRULE text (`{ rrule, timezone }`) or the
+ * structured fields. Returns `{ rule }` or `{ error }`.
+ */
+export function coerceRule(input) {
+  try {
+    const rule = input.rrule
+      ? parseRRule(input.rrule, { timezone: input.timezone || DEFAULT_TIMEZONE })
+      : _normalize(input);
+    return { rule };
+  } catch (e) {
+    return { error: `Invalid recurrence: ${e.message}` };
+  }
+}
+
+/** Whether two rules produce the same dates from the same start (ignores the series state). */
+export function sameRule(a, b) {
+  if (!a || !b) return !a && !b;
+  return formatRRule(a) === formatRRule(b) && (a.timezone || DEFAULT_TIMEZONE) === (b.timezone || DEFAULT_TIMEZONE);
+}
+
+/* ---------- Expansion ---------- */
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+/** A saved rule; older tasks may say "ends on a date" without one. */
+function _stored(recurrence) {
+  const { ends, until, count } = recurrence;
+  const open = (ends === 'onDate' && !until) || (ends === 'afterCount' && !count);
+  return _normalize(open ? { ...recurrence, ends: 'never' } : recurrence);
+}
+
+// Calendar arithmetic happens on bare dates (UTC midnights); only the final
+// occurrence is placed in the rule's timezone
+const _day = (y, m, d) => dayjs.utc(Date.UTC(y, m, d));
+
+/** Days `[first, first + length)` that match the BYDAY entries; ordinals count within the range. */
+function _weekdaysIn(byDay, first, length) {
+  const days = new Set();
+  for (const token of byDay) {
+    const { ord, day } = _byDay(token);
+    const matches = [];
+    for (let i = 0; i < length; i += 1) {
+      const d = first.add(i, 'day');
+      if (d.day() === day) matches.push(d);
+    }
+    if (!ord) matches.forEach((d) => days.add(d.valueOf()));
+    else {
+      const hit = matches[ord > 0 ? ord - 1 : matches.length + ord];
+      if (hit) days.add(hit.valueOf());
+    }
+  }
+  return days;
+}
+
+const _monthDay = (n, daysInMonth) => (n > 0 ? n : daysInMonth + 1 + n);
+
+/** Candidate days of one month, ascending. */
+function _monthDays(rule, year, month, start) {
+  const first = _day(year, month, 1);
+  const length = first.daysInMonth();
+  let days;
+  if (rule.byMonthDay.length) {
+    days = new Set(
+      rule.byMonthDay
+        .map((n) => _monthDay(n, length))
+        .filter((d) => d >= 1 && d <= length)
+        .map((d) => _day(year, month, d).valueOf())
+    );
+  }
+  if (rule.byDay.length) {
+    const weekdays = _weekdaysIn(rule.byDay, first, length);
+    days = days ? new Set([...days].filter((d) => weekdays.has(d))) : weekdays;
+  }
+  // Neither: the start's day of the month, skipped when this month is too short
+  if (!days) days = start.date() <= length ? new Set([_day(year, month, start.date()).valueOf()]) : new Set();
+  return [...days].sort((a, b) => a - b).map((v) => dayjs.utc(v));
+}
+
+function _matchesFilters(rule, d) {
+  if (rule.byMonth.length && !rule.byMonth.includes(d.month() + 1)) return false;
+  if (rule.byMonthDay.length && !rule.byMonthDay.some((n) => _monthDay(n, d.daysInMonth()) === d.date())) {
+    return false;
+  }
+  if (rule.byDay.length && !rule.byDay.some((t) => _byDay(t).day === d.day())) return false;
+  return true;
+}
+
+/** Candidate days in the `k`-th period after the start's, ascending. */
+function _periodDays(rule, start, k) {
+  switch (rule.frequency) {
+    case 'daily': {
+      const d = start.add(k, 'day');
+      return _matchesFilters(rule, d) ? [d] : [];
+    }
+    case 'weekly': {
+      const monday = start.subtract((start.day() + 6) % 7, 'day').add(k, 'week');
+      const wanted = rule.byDay.length ? rule.byDay.map((t) => _byDay(t).day) : [start.day()];
+      return Array.from({ length: 7 }, (_, i) => monday.add(i, 'day')).filter(
+        (d) => wanted.includes(d.day()) && (!rule.byMonth.length || rule.byMonth.includes(d.month() + 1))
+      );
+    }
+    case 'monthly': {
+      const m = start.startOf('month').add(k, 'month');
+      if (rule.byMonth.length && !rule.byMonth.includes(m.month() + 1)) return [];
+      return _monthDays(rule, m.year(), m.month(), start);
+    }
+    default: {
+      const year = start.year() + k;
+      // Weekdays without months or month days are numbered within the whole year
+      if (rule.byDay.length && !rule.byMonth.length && !rule.byMonthDay.length) {
+        const first = _day(year, 0, 1);
+        return [..._weekdaysIn(rule.byDay, first, first.add(1, 'year').diff(first, 'day'))]
+          .sort((a, b) => a - b)
+          .map((v) => dayjs.utc(v));
+      }
+      const months = rule.byMonth.length
+        ? [...rule.byMonth].sort((a, b) => a - b)
+        : rule.byMonthDay.length ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.month() + 1];
+      return months.flatMap((m) => _monthDays(rule, year, m - 1, start));
+    }
+  }
+}
+
+function _setPos(days, bySetPos) {
+  if (!bySetPos.length) return days;
+  const picked = new Set();
+  for (const pos of bySetPos) {
+    const d = days[pos > 0 ? pos - 1 : days.length + pos];
+    if (d) picked.add(d.valueOf());
+  }
+  return [...picked].sort((a, b) => a - b).map((v) => dayjs.utc(v));
+}
+
+/**
+ * Every occurrence of `recurrence` in order, from its start (`recurrence.start`, or
+ * `fallbackStart` for rules saved before series had one) until the rule ends or
+ * `horizon` is passed. Skipped dates are included.
+ */
+function* _expand(recurrence, horizon, fallbackStart) {
+  const rule = _stored(recurrence);
+  const anchor = recurrence.start ?? fallbackStart;
+  if (!anchor) return;
+  const tz = rule.timezone;
+  const local = dayjs(anchor).tz(tz);
+  const start = dayjs.utc(local.format('YYYY-MM-DD'));
+  const time = local.format('HH:mm:ss.SSS');
+  const until = rule.ends === 'onDate' ? rule.until : null;
+  const count = rule.ends === 'afterCount' ? rule.count : Infinity;
+  const stop = dayjs(horizon).add(MAX_YEARS_AHEAD, 'year');
+
+  const first = new Date(anchor);
+  if (until && first > until) return;
+  yield first;
+  let n = 1;
+  if (n >= count) return;
+
+  for (let k = 0; ; k += rule.interval) {
+    if (start.add(k, UNITS[rule.frequency]).isAfter(stop)) return;
+    for (const day of _setPos(_periodDays(rule, start, k), rule.bySetPos)) {
+      if (!day.isAfter(start)) continue;
+      const date = dayjs.tz(`${day.format('YYYY-MM-DD')}T${time}`, tz).toDate();
+      if (until && date > until) return;
+      yield date;
+      n += 1;
+      if (n >= count) return;
+    }
+  }
+}
+
+const _excluded = (recurrence) => new Set((recurrence.exdates ?? []).map((d) => new Date(d).getTime()));
+
+/**
+ * The next `limit` occurrences strictly after `after` that weren't skipped (fewer when
+ * the series ends first). `fallbackStart` anchors rules saved without a start.
+ */
+export function upcomingOccurrences(recurrence, after, limit = 10, fallbackStart = after) {
+  if (!recurrence || !after) return [];
+  const skipped = _excluded(recurrence);
+  const t = new Date(after).getTime();
+  const out = [];
+  for (const date of _expand(recurrence, after, fallbackStart)) {
+    if (out.length >= limit) break;
+    if (date.getTime() > t && !skipped.has(date.getTime())) out.push(date);
+  }
+  return out;
+}
+
+/** The first occurrence strictly after `after` that wasn't skipped, or null when the series has ended. */
+export function nextOccurrence(recurrence, after, fallbackStart = after) {
+  return upcomingOccurrences(recurrence, after, 1, fallbackStart)[0] ?? null;
+}
+
+/**
+ * Occurrences in `[from, to)` that come after `after` (when given) and weren't
+ * skipped, at most `limit` of them.
+ */
+export function occurrencesBetween(recurrence, from, to, { after = null, limit = 100, fallbackStart } = {}) {
+  if (!recurrence) return [];
+  const skipped = _excluded(recurrence);
+  const lo = Math.max(new Date(from).getTime(), after ? new Date(after).getTime() + 1 : -Infinity);
+  const hi = new Date(to).getTime();
+  const out = [];
+  for (const date of _expand(recurrence, to, fallbackStart ?? after ?? from)) {
+    const t = date.getTime();
+    if (t >= hi || out.length >= limit) break;
+    if (t >= lo && !skipped.has(t)) out.push(date);
+  }
+  return out;
+}
+
+/** Whether `date` is one of the series' occurrences (skipped or not). */
+export function isOccurrence(recurrence, date, fallbackStart) {
+  const t = new Date(date).getTime();
+  if (Number.isNaN(t)) return false;
+  for (const d of _expand(recurrence, date, fallbackStart)) {
+    if (d.getTime() === t) return true;
+    if (d.getTime() > t) return false;
+  }
+  return false;
+}
+
+/** How many occurrences (skipped ones included) come before `date`. */
+export function occurrencesBefore(recurrence, date, fallbackStart) {
+  const t = new Date(date).getTime();
+  let n = 0;
+  for (const d of _expand(recurrence, date, fallbackStart)) {
+    if (d.getTime() >= t) break;
+    n += 1;
+  }
+  return n;
+}
+
+/* ---------- Description ---------- */
+
+function _ordinal(n) {
+  if (n === -1) return 'last';
+  if (n < 0) return `${_ordinal(-n)} to last`;
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+  return `${n}${suffix}`;
+}
+
+function _joinAnd(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items.at(-1)}` : items[0] ?? '';
+}
+
+const _isWorkweek = (byDay) => [...byDay].sort().join() === 'FR,MO,TH,TU,WE';
+
+const _every = (n, unit) => (n === 1 ? `Every ${unit}` : `Every ${n} ${unit}s`);
+
+/** A readable rule, e.g. "Every month on the 2nd Tuesday, 6 times". */
+export function describeRecurrence(recurrence) {
+  const rule = _stored(recurrence);
+  let text = _every(rule.interval, UNITS[rule.frequency]);
+
+  if (rule.byMonth.length) text += ` in ${_joinAnd(rule.byMonth.map((m) => MONTH_NAMES[m - 1]))}`;
+  const on = [
+    ...rule.byMonthDay.map((n) => (n === -1 ? 'the last day' : n < 0 ? `the ${_ordinal(n)} day` : `day ${n}`)),
+    ...(_isWorkweek(rule.byDay)
+      ? ['weekdays']
+      : rule.byDay.map((t) => {
+        const { ord, day } = _byDay(t);
+        return ord ? `the ${_ordinal(ord)} ${WEEKDAY_NAMES[day]}` : WEEKDAY_NAMES[day];
+      })),
+  ];
+  if (on.length) {
+    const days = _joinAnd(on);
+    text += !rule.bySetPos.length
+      ? ` on ${days}`
+      : days === 'weekdays'
+        ? ` on the ${_joinAnd(rule.bySetPos.map(_ordinal))} weekday`
+        : ` on the ${_joinAnd(rule.bySetPos.map(_ordinal))} of ${days}`;
+  }
+
+  if (rule.ends === 'afterCount') text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.ends === 'onDate') text += `, until ${dayjs(rule.until).tz(rule.timezone).format('D MMM YYYY')}`;
+  return text;
+}
+
+/* ---------- Series ---------- */
+
+// Per series and calendar window, so a daily rule can't flood a year view
+export const MAX_PROJECTED = 100;
+
+/** The series a task belongs to (tasks from before series ids are their own). */
+export const seriesIdOf = (task) => task.seriesId ?? task._id;
+
+/** The date the rule scheduled `task` for. */
+export const occurrenceOf = (task) => task.occurrenceDate ?? task.deadline ?? null;
+
+/** The task's rule with its series start filled in, or null when it doesn't repeat. */
+export function seriesRule(task) {
+  if (!task?.recurrence) return null;
+  const rule = task.recurrence.toObject?.() ?? task.recurrence;
+  return { ...rule, start: rule.start ?? occurrenceOf(task) };
+}
+
+/**
+ * Occurrences in `[from, to)` that don't have a task yet, for the open recurring tasks
+ * in `tasks`: one `{ ...task fields, seriesId, sourceTask, occurrenceDate, deadline,
+ * projected: true }` each. Only the latest open task of a series is projected from.
+ */
+export function projectOccurrences(tasks, from, to, { perSeries = MAX_PROJECTED } = {}) {
+  const latest = new Map();
+  for (const t of tasks) {
+    if (!t.recurrence || !occurrenceOf(t)) continue;
+    const key = String(seriesIdOf(t));
+    const seen = latest.get(key);
+    if (!seen || occurrenceOf(t) > occurrenceOf(seen)) latest.set(key, t);
+  }
+
+  const out = [];
+  for (const t of latest.values()) {
+    const { _id, recurrence, occurrenceDate, startAt, endAt, status, statusCategory, completedAt, ...fields } = t;
+    const dates = occurrencesBetween(seriesRule(t), from, to, { after: occurrenceOf(t), limit: perSeries });
+    for (const date of dates) {
+      out.push({
+        ...fields,
+        seriesId: seriesIdOf(t),
+        sourceTask: _id,
+        occurrenceDate: date,
+        deadline: date,
+        projected: true,
+      });
+    }
+  }
+  return out.sort((a, b) => a.deadline - b.deadline);
+}
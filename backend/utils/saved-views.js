@@ -0,0 +1,125 @@
+/**
+ * Saved views: validating the filter, sort and grouping a user saves for a task list.
+ * The frontend applies them (frontend/src/services/board-views.js); the server only
+ * stores and shares them.
+ *
+ * No database access here (see routes/saved-views.js).
+ */
+import mongoose from 'mongoose';
+
+export const VIEW_SHARING = ['private', 'project', 'department'];
+export const DUE_WINDOWS = ['any', 'overdue', 'today', 'this_week', 'next_7_days', 'no_deadline'];
+export const PRIORITY_BANDS = ['Low', 'Medium', 'High'];
+// 'default': overdue and upcoming by closest deadline, completed by latest
+export const SORT_FIELDS = ['default', 'priority', 'deadline', 'title', 'updated'];
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+export const GROUP_BY_OPTIONS = ['due', 'status', 'priority', 'assignee', 'none'];
+export const MAX_VIEW_NAME_LENGTH = 100;
+
+const isId = (v) => mongoose.Types.ObjectId.isValid(String(v));
+
+/** `null`/''/'All' -> null; otherwise the trimmed string. */
+function _optional(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s === '' || s === 'All' ? null : s;
+}
+
+function _filters(input) {
+  if (input === null) return { filters: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'filters must be an object' };
+
+  const filters = {};
+  const status = _optional(input.status);
+  if (status && status.length > 50) return { error: 'filters.status cannot exceed 50 characters' };
+  filters.status = status;
+
+  const priority = _optional(input.priority);
+  if (priority && !PRIORITY_BANDS.includes(priority)) {
+    const n = Number(priority);
+    if (!Number.isInteger(n) || n < 1 || n > 10) {
+      return { error: `filters.priority must be 1-10 or one of: ${PRIORITY_BANDS.join(', ')}` };
+    }
+  }
+  filters.priority = priority;
+
+  const due = _optional(input.due) ?? 'any';
+  if (!DUE_WINDOWS.includes(due)) return { error: `filters.due must be one of: ${DUE_WINDOWS.join(', ')}` };
+  filters.due = due;
+
+  const assignee = _optional(input.assignee);
+  if (assignee && assignee !== 'me' && assignee !== 'unassigned' && !isId(assignee)) {
+    return { error: "filters.assignee must be 'me', 'unassigned' or a user id" };
+  }
+  filters.assignee = assignee;
+
+  return { filters };
+}
+
+function _sort(input) {
+  if (input === null) return { sort: { field: 'default', direction: 'asc' } };
+  const { field = 'default', direction = 'asc' } =
+    typeof input === 'string' ? { field: input } : input ?? {};
+  if (!SORT_FIELDS.includes(field)) return { error: `sort.field must be one of: ${SORT_FIELDS.join(', ')}` };
+  if (!SORT_DIRECTIONS.includes(direction)) return { error: "sort.direction must be 'asc' or 'desc'" };
+  return { sort: { field, direction } };
+}
+
+/**
+ * Normalise a saved view from a request body. With `partial`, only the fields sent are
+ * checked (and returned). Whether the caller may share it with `project`/`department`
+ * is for the route to decide. Returns `{ view }` or `{ error }`.
+ */
+export function validateSavedView(body = {}, { partial = false } = {}) {
+  const view = {};
+  const has = (key) => body[key] !== undefined || !partial;
+
+  if (has('name')) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'View name is required' };
+    if (name.length > MAX_VIEW_NAME_LENGTH) {
+      return { error: `View name cannot exceed ${MAX_VIEW_NAME_LENGTH} characters` };
+    }
+    view.name = name;
+  }
+
+  if (has('project')) {
+    const project = body.project ? String(body.project) : null;
+    if (project && !isId(project)) return { error: 'Invalid project id' };
+    view.project = project;
+  }
+
+  if (has('sharing')) {
+    const sharing = body.sharing ?? 'private';
+    if (!VIEW_SHARING.includes(sharing)) return { error: `sharing must be one of: ${VIEW_SHARING.join(', ')}` };
+    view.sharing = sharing;
+  }
+
+  if (has('department')) {
+    const department = body.department ? String(body.department) : null;
+    if (department && !isId(department)) return { error: 'Invalid department id' };
+    view.department = department;
+  }
+
+  if (has('filters')) {
+    const { filters, error } = _filters(body.filters ?? {});
+    if (error) return { error };
+    view.filters = filters;
+  }
+
+  if (has('sort')) {
+    const { sort, error } = _sort(body.sort);
+    if (error) return { error };
+    view.sort = sort;
+  }
+
+  if (has('groupBy')) {
+    const groupBy = body.groupBy ?? 'due';
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      return { error: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` };
+    }
+    view.groupBy = groupBy;
+  }
+
+  return { view };
+}
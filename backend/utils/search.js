@@ -0,0 +1,144 @@
+/**
+ * Global search: parsing GET /api/search query strings, and the highlighted snippets
+ * shown under each hit. Matching and relevance come from the Mongo text indexes on
+ * tasks, projects and comments.
+ *
+ * No database access here (see services/search.js).
+ */
+import mongoose from 'mongoose';
+
+export const SEARCH_TYPES = ['task', 'project', 'comment'];
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_QUERY_LENGTH = 200;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+export const SNIPPET_LENGTH = 160;
+
+// Shortest query word matched against the start of a longer word ("rep" -> "report")
+const MIN_PREFIX_LENGTH = 3;
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+function _csv(input) {
+  const arr = Array.isArray(input) ? input : String(input).split(',');
+  return [...new Set(arr.map((v) => String(v).trim()).filter(Boolean))];
+}
+
+function _date(input) {
+  if (input === undefined || input === '') return undefined;
+  const d = new Date(String(input));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * `?q=&types=&project=&status=&from=&to=&limit=` -> `{ params }` or `{ error }`.
+ * `types` and `status` are CSV; `from`/`to` bound when the item was last updated.
+ */
+export function parseSearchParams(query = {}) {
+  const q = String(query.q ?? '').trim().replace(/\s+/g, ' ');
+  if (q.length < MIN_QUERY_LENGTH) {
+    return { error: `q must be at least ${MIN_QUERY_LENGTH} characters` };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const types = query.types ? _csv(query.types).map((t) => t.toLowerCase()) : SEARCH_TYPES;
+  const badType = types.find((t) => !SEARCH_TYPES.includes(t));
+  if (badType) return { error: `Unknown type '${badType}'; use ${SEARCH_TYPES.join(', ')}` };
+
+  const project = query.project ? String(query.project) : null;
+  if (project && !mongoose.Types.ObjectId.isValid(project)) return { error: 'Invalid project id' };
+
+  const statuses = query.status ? _csv(query.status) : [];
+
+  const from = _date(query.from);
+  const to = _date(query.to);
+  if (from === null || to === null) return { error: 'Invalid from/to date' };
+  if (from && to && from > to) return { error: 'from must be before to' };
+
+  let limit = DEFAULT_SEARCH_LIMIT;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive whole number' };
+    limit = Math.min(limit, MAX_SEARCH_LIMIT);
+  }
+
+  return { params: { q, types, project, statuses, from, to, limit } };
+}
+
+/** Lower-cased, de-duplicated words of a query (quotes and `-` prefixes are ignored). */
+export function searchTerms(q) {
+  return [...new Set(String(q ?? '').toLowerCase().match(WORD_RE) ?? [])];
+}
+
+/**
+ * Whether a word of the text counts as a hit for one of `terms`. Text search stems
+ * words, so "reports" finds "report" and the other way round; prefixes approximate that.
+ */
+function _isHit(word, terms) {
+  const w = word.toLowerCase();
+  return terms.some((t) => w === t
+    || (t.length >= MIN_PREFIX_LENGTH && w.startsWith(t))
+    || (w.length >= MIN_PREFIX_LENGTH && t.startsWith(w)));
+}
+
+/** `[start, end)` offsets of every hit in `text`. */
+export function findHighlights(text, terms) {
+  const ranges = [];
+  for (const m of String(text ?? '').matchAll(WORD_RE)) {
+    if (_isHit(m[0], terms)) ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Cut `text` down to about `length` characters around its first hit. Returns
+ * `{ text, highlights }` with the highlight offsets relative to the cut text, which
+ * gains a leading/trailing "…" when it was shortened.
+ */
+export function makeSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const full = String(text ?? '').replace(/\s+/g, ' ').trim();
+  const all = findHighlights(full, terms);
+  if (full.length <= length) return { text: full, highlights: all };
+
+  // Start a little before the first hit, on a word boundary
+  let start = all.length ? Math.max(0, all[0][0] - Math.floor(length / 4)) : 0;
+  if (start > 0) {
+    const space = full.indexOf(' ', start);
+    if (space !== -1 && space < all[0][0]) start = space + 1;
+  }
+  const end = Math.min(full.length, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < full.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: prefix + full.slice(start, end) + suffix,
+    highlights: all
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + shift, e + shift]),
+  };
+}
+
+/**
+ * The snippet for a hit: the first of `fields` (in order) with a highlighted word, or
+ * the first non-empty one. Returns `{ field, text, highlights }`, or null if all are empty.
+ */
+export function bestSnippet(doc, fields, terms) {
+  let fallback = null;
+  for (const field of fields) {
+    const value = doc?.[field];
+    if (!value) continue;
+    const snippet = { field, ...makeSnippet(value, terms) };
+    if (snippet.highlights.length) return snippet;
+    fallback ??= snippet;
+  }
+  return fallback;
+}
+
+/** Highest text score first; ties go to the most recently updated. */
+export function rankResults(results, limit) {
+  return [...results]
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt))
+    .slice(0, limit);
+}
@@ -0,0 +1,406 @@
+/**
+ * Task import (POST /api/tasks/import): reading CSV and iCalendar files into rows of
+ * task fields, before the rows are checked against projects, people and workflows.
+ *
+ * CSV columns are matched to fields by name (see COLUMN_ALIASES) unless a mapping says
+ * otherwise. iCalendar VEVENTs and VTODOs become one row each: a timed event is due when
+ * it ends (the way calendar feeds write tasks, see utils/ics.js), a to-do when it is due.
+ * Dates without a zone are Singapore time, like the rest of the app.
+ *
+ * No database access here (see services/task-import.js).
+ */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { DEFAULT_TIMEZONE } from './recurrence.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const IMPORT_FORMATS = ['csv', 'ics'];
+export const MAX_IMPORT_ROWS = 500;
+export const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+export const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'notes',
+  'project',
+  'assignees',
+  'status',
+  'priority',
+  'deadline',
+  'startAt',
+  'allDay',
+  'recurrence',
+];
+
+// Header names (lower case, letters and digits only) each field picks up by default
+export const COLUMN_ALIASES = {
+  title: ['title', 'name', 'task', 'taskname', 'summary', 'subject'],
+  description: ['description', 'details'],
+  notes: ['notes', 'note', 'comments'],
+  project: ['project', 'projectname'],
+  assignees: ['assignees', 'assignee', 'assignedto', 'owner', 'email', 'emails'],
+  status: ['status', 'state'],
+  priority: ['priority'],
+  deadline: ['deadline', 'due', 'duedate', 'dueat', 'enddate', 'end'],
+  startAt: ['startat', 'start', 'startdate'],
+  allDay: ['allday'],
+  recurrence: ['recurrence', 'rrule', 'repeat', 'repeats'],
+};
+
+// Words for the priority bands (TaskCard shows 1-3 as low, 8-10 as high)
+const PRIORITY_WORDS = { low: 3, medium: 5, high: 8 };
+
+// iCalendar to-do statuses as workflow categories
+const ICS_STATUS_CATEGORY = { 'NEEDS-ACTION': 'not_started', 'IN-PROCESS': 'active', COMPLETED: 'done' };
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const _key = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Guess the format from an explicit `format`, the file name or its MIME type. Null when unknown. */
+export function detectFormat({ format, filename = '', mimetype = '' } = {}) {
+  if (format) return IMPORT_FORMATS.includes(String(format).toLowerCase()) ? String(format).toLowerCase() : null;
+  if (/\.ics$/i.test(filename) || mimetype === 'text/calendar') return 'ics';
+  if (/\.csv$/i.test(filename) || mimetype === 'text/csv') return 'csv';
+  return null;
+}
+
+/* ---------- Values ---------- */
+
+/**
+ * A date from a CSV cell: ISO 8601 (with a zone, or local to `tz`), `YYYY-MM-DD HH:mm`
+ * or day-first `D/M/YYYY [HH:mm]`. Returns `{ date, dateOnly }`, null for an empty
+ * cell, or `{ error }`.
+ */
+export function parseDateValue(value, tz = DEFAULT_TIMEZONE) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const dmy = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2}))?$/);
+  const local = dmy
+    ? `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}${dmy[4] ? ` ${dmy[4].padStart(2, '0')}:${dmy[5]}` : ''}`
+    : text;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(local)) {
+    const day = dayjs.tz(local, tz);
+    return day.isValid() && day.format('YYYY-MM-DD') === local ? { date: day.toDate(), dateOnly: true } : { error: `Invalid date '${text}'` };
+  }
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(local)) {
+    const at = dayjs.tz(local.replace(' ', 'T'), tz);
+    return at.isValid() ? { date: at.toDate(), dateOnly: false } : { error: `Invalid date '${text}'` };
+  }
+  if (/^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i.test(local)) {
+    const at = new Date(local);
+    return Number.isNaN(at.getTime()) ? { error: `Invalid date '${text}'` } : { date: at, dateOnly: false };
+  }
+  return { error: `Invalid date '${text}'` };
+}
+
+/** 1-10, or Low / Medium / High. Returns the number, undefined when empty, or `{ error }`. */
+export function parsePriority(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+  if (PRIORITY_WORDS[text.toLowerCase()]) return PRIORITY_WORDS[text.toLowerCase()];
+  const n = Number(text);
+  if (!Number.isInteger(n) || n < 1 || n > 10) return { error: 'Priority must be 1-10 or Low, Medium, High' };
+  return n;
+}
+
+/** iCalendar PRIORITY (1 highest, 9 lowest, 0 none) on the app's 1-10 scale (10 highest). */
+export const icsPriority = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= 9 ? 11 - n : undefined;
+};
+
+const _bool = (value) => /^(true|yes|y|1|x)$/i.test(String(value ?? '').trim());
+
+/** Email addresses from a cell, separated by commas, semicolons or spaces. */
+const _emails = (value) =>
+  [...new Set(String(value ?? '').split(/[,;\s]+/).map((s) => s.trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * Deadline, start and all-day flag from parsed dates. A date without a time is an
+ * all-day task due at the end of that day.
+ */
+function _schedule(deadline, startAt, allDay, tz) {
+  const day = allDay || (deadline?.dateOnly && (!startAt || startAt.dateOnly));
+  const due = deadline
+    ? day || deadline.dateOnly
+      ? dayjs(deadline.date).tz(tz).endOf('day').startOf('minute').toDate()
+      : deadline.date
+    : null;
+  return { deadline: due, startAt: startAt?.date ?? null, allDay: Boolean(day && due) };
+}
+
+/* ---------- CSV ---------- */
+
+/** RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks. Blank lines are dropped. */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+/**
+ * The column each field reads, as `{ field: header }`: the default matches by
+ * COLUMN_ALIASES, and `input` (an object or JSON text) overrides it; mapping a field to
+ * null or '' leaves it out. Returns `{ mapping }` or `{ error }`.
+ */
+export function coerceMapping(input, headers) {
+  let given = input ?? {};
+  if (typeof given === 'string') {
+    try {
+      given = given.trim() ? JSON.parse(given) : {};
+    } catch {
+      return { error: 'mapping must be a JSON object' };
+    }
+  }
+  if (!given || typeof given !== 'object' || Array.isArray(given)) return { error: 'mapping must be an object' };
+  const unknown = Object.keys(given).filter((k) => !IMPORT_FIELDS.includes(k));
+  if (unknown.length) return { error: `Unknown field in mapping: ${unknown.join(', ')}` };
+
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    if (field in given) {
+      const header = given[field];
+      if (header == null || header === '') continue;
+      if (!headers.includes(header)) return { error: `No column '${header}' for ${field}` };
+      mapping[field] = header;
+    } else {
+      const match = headers.find((h) => COLUMN_ALIASES[field].includes(_key(h)));
+      if (match !== undefined) mapping[field] = match;
+    }
+  }
+  if (!mapping.title) return { error: 'No column for the title; map one in mapping.title' };
+  return { mapping };
+}
+
+/**
+ * The rows of a CSV file with a header line. Each row is `{ row, values, errors }`,
+ * `row` being its line in a spreadsheet (the header is row 1). Returns
+ * `{ columns, mapping, rows }` or `{ error }`.
+ */
+export function rowsFromCsv(text, { mapping: input, timezone: tz = DEFAULT_TIMEZONE } = {}) {
+  const records = parseCsv(text);
+  if (!records.length) return { error: 'The file is empty' };
+  const columns = records[0].map((h) => h.trim());
+  if (records.length - 1 > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+  const { mapping, error } = coerceMapping(input, columns);
+  if (error) return { error, columns };
+
+  const rows = records.slice(1).map((record, i) => {
+    const cell = (field) => (mapping[field] ? String(record[columns.indexOf(mapping[field])] ?? '').trim() : '');
+    const errors = [];
+    const date = (field) => {
+      const parsed = parseDateValue(cell(field), tz);
+      if (parsed?.error) errors.push({ field, error: parsed.error });
+      return parsed?.error ? null : parsed;
+    };
+
+    const priority = parsePriority(cell('priority'));
+    if (priority?.error) errors.push({ field: 'priority', error: priority.error });
+    const emails = _emails(cell('assignees'));
+    for (const email of emails.filter((e) => !EMAIL_RE.test(e))) {
+      errors.push({ field: 'assignees', error: `Invalid email '${email}'` });
+    }
+
+    return {
+      row: i + 2,
+      values: {
+        title: cell('title'),
+        description: cell('description'),
+        notes: cell('notes'),
+        project: cell('project') || null,
+        assignees: emails.filter((e) => EMAIL_RE.test(e)),
+        status: cell('status') || null,
+        priority: priority?.error ? undefined : priority,
+        ..._schedule(date('deadline'), date('startAt'), _bool(cell('allDay')), tz),
+        recurrence: cell('recurrence') ? { rrule: cell('recurrence'), timezone: tz } : null,
+      },
+      errors,
+    };
+  });
+  return { columns, mapping, rows };
+}
+
+/* ---------- iCalendar ---------- */
+
+const _unescape = (s) => s.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+/** One content line as `{ name, params, value }` (params keyed in upper case). */
+function _property(line) {
+  let i = 0;
+  let quoted = false;
+  // The value starts at the first colon outside a quoted parameter
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(';');
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/** The VEVENT and VTODO components of a calendar, each as `{ type, props }` (props by name, in order). */
+export function parseIcs(text) {
+  const lines = String(text ?? '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(Boolean);
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() ?? '')) throw new Error('Not an iCalendar file');
+
+  const components = [];
+  const stack = [];
+  for (const line of lines) {
+    const prop = _property(line.trim());
+    if (prop.name === 'BEGIN') {
+      const type = prop.value.toUpperCase();
+      stack.push(type);
+      if ((type === 'VEVENT' || type === 'VTODO') && stack.length === 2) components.push({ type, props: {} });
+    } else if (prop.name === 'END') {
+      stack.pop();
+    } else if (stack.length === 2 && components.length && ['VEVENT', 'VTODO'].includes(stack[1])) {
+      // Properties of nested components (VALARM) are left out
+      (components.at(-1).props[prop.name] ??= []).push(prop);
+    }
+  }
+  return components;
+}
+
+/** DATE or DATE-TIME (UTC, floating or with a TZID) as `{ date, dateOnly, tz }`, or `{ error }`. */
+export function parseIcsDate({ params, value }, fallbackTz = DEFAULT_TIMEZONE) {
+  const tz = params.TZID && _validZone(params.TZID) ? params.TZID : fallbackTz;
+  const m = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return { error: `Invalid date '${value}'` };
+  const [, y, mo, d, h, mi, s, z] = m;
+  if (!h) return { date: dayjs.tz(`${y}-${mo}-${d}`, tz).toDate(), dateOnly: true, tz };
+  const iso = `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+  return { date: z ? new Date(`${iso}Z`) : dayjs.tz(iso, tz).toDate(), dateOnly: false, tz };
+}
+
+function _validZone(tz) {
+  try {
+    Intl.DateTimeFormat('en', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The rows of an iCalendar file: a row per VEVENT or VTODO, numbered from 1 in file
+ * order. Cancelled ones and changed occurrences of a recurring event (RECURRENCE-ID)
+ * are not imported and are listed in `skipped`. Returns `{ rows, skipped }` or `{ error }`.
+ */
+export function rowsFromIcs(text, { timezone: fallbackTz = DEFAULT_TIMEZONE } = {}) {
+  let components;
+  try {
+    components = parseIcs(text);
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (components.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+
+  const rows = [];
+  const skipped = [];
+  components.forEach(({ type, props }, i) => {
+    const row = i + 1;
+    const first = (name) => props[name]?.[0];
+    const text = (name) => (first(name) ? _unescape(first(name).value).trim() : '');
+    const title = text('SUMMARY');
+    const status = text('STATUS').toUpperCase();
+
+    if (status === 'CANCELLED') return skipped.push({ row, title, reason: 'Cancelled' });
+    if (first('RECURRENCE-ID')) return skipped.push({ row, title, reason: 'Changed occurrence of a recurring event' });
+
+    const errors = [];
+    const date = (name) => {
+      if (!first(name)) return null;
+      const parsed = parseIcsDate(first(name), fallbackTz);
+      if (parsed.error) errors.push({ field: name === 'DTSTART' ? 'startAt' : 'deadline', error: parsed.error });
+      return parsed.error ? null : parsed;
+    };
+    const start = date('DTSTART');
+    let due = type === 'VTODO' ? date('DUE') : date('DTEND');
+    // An all-day event ends the day after its last day
+    if (due?.dateOnly && type === 'VEVENT') due = { ...due, date: dayjs(due.date).tz(due.tz).subtract(1, 'day').toDate() };
+    const tz = start?.tz ?? due?.tz ?? fallbackTz;
+    const dateOnly = Boolean((due ?? start)?.dateOnly);
+    const schedule = _schedule(due ?? start, due && start ? start : null, dateOnly, tz);
+
+    const exdates = (props.EXDATE ?? [])
+      .flatMap((p) => p.value.split(',').map((value) => parseIcsDate({ params: p.params, value }, tz)))
+      .filter((d) => !d.error)
+      // Occurrences are stored at the deadline: move each excluded start by the same lead
+      .map((d) => (schedule.allDay ? _schedule(d, null, true, tz).deadline : new Date(d.date.getTime() + _lead(start, due))));
+
+    rows.push({
+      row,
+      uid: text('UID') || null,
+      values: {
+        title,
+        description: text('DESCRIPTION'),
+        notes: '',
+        project: (first('CATEGORIES') ? _unescape(first('CATEGORIES').value.split(/(?<!\\),/)[0]).trim() : '') || null,
+        assignees: [
+          ...new Set(
+            (props.ATTENDEE ?? [])
+              .map((p) => p.value.replace(/^mailto:/i, '').trim().toLowerCase())
+              .filter((e) => EMAIL_RE.test(e))
+          ),
+        ],
+        status: null,
+        statusCategory: ICS_STATUS_CATEGORY[status] ?? null,
+        priority: icsPriority(text('PRIORITY')),
+        ...schedule,
+        recurrence: first('RRULE') ? { rrule: first('RRULE').value.trim(), timezone: tz, exdates } : null,
+      },
+      errors,
+    });
+  });
+  return { rows, skipped };
+}
+
+const _lead = (start, due) => (start && due && !due.dateOnly ? due.date - start.date : 0);
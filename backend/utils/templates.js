@@ -0,0 +1,335 @@
+/**
+ * Project templates: validating a template's task tree, resolving its relative dates
+ * against a start date, and turning an existing project back into a template.
+ *
+ * Offsets are whole calendar days from the start date in TEMPLATE_TIMEZONE: a task
+ * starts at the beginning of its start day and is due at the end of its deadline day.
+ * No database access here (see services/templates.js).
+ */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { ROLES } from '../services/access-policy.js';
+import { coerceLabelIds } from './labels.js';
+import { coerceEstimate } from './time-tracking.js';
+import { validateWorkflow } from './workflow.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const TEMPLATE_TIMEZONE = 'Asia/Singapore';
+export const MAX_TEMPLATE_TASKS = 200;
+// A task, its subtasks and theirs
+export const MAX_TEMPLATE_DEPTH = 3;
+export const MAX_OFFSET_DAYS = 3650;
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HOUR_MS = 60 * 60 * 1000;
+const USER_ROLES = Object.values(ROLES);
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/** `undefined`/null/'' -> null; otherwise a whole number of days or `{ error }`. */
+function _offset(input, field) {
+  if (input === undefined || input === null || input === '') return { value: null };
+  const n = Number(input);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_OFFSET_DAYS) {
+    return { error: `${field} must be a whole number of days from 0 to ${MAX_OFFSET_DAYS}` };
+  }
+  return { value: n };
+}
+
+function _validateRecurrence(input, deadlineOffsetDays) {
+  if (!input || input.frequency === 'none') return { recurrence: null };
+  const frequency = String(input.frequency ?? '').toLowerCase();
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+  if (deadlineOffsetDays === null) return { error: 'recurrence needs a deadlineOffsetDays' };
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: 'recurrence.interval must be a positive whole number' };
+  }
+  const until = _offset(input.untilOffsetDays, 'recurrence.untilOffsetDays');
+  if (until.error) return until;
+  if (until.value !== null && until.value < deadlineOffsetDays) {
+    return { error: 'recurrence.untilOffsetDays cannot be before the deadline' };
+  }
+  return { recurrence: { frequency, interval, untilOffsetDays: until.value } };
+}
+
+function _validateTask(input, path, depth, counter) {
+  if (++counter.count > MAX_TEMPLATE_TASKS) {
+    return { error: `A template can have at most ${MAX_TEMPLATE_TASKS} tasks` };
+  }
+  const fail = (error) => ({ error: `${path}: ${error}` });
+  if (!input || typeof input !== 'object') return fail('must be an object');
+
+  const title = String(input.title ?? '').trim();
+  if (!title || title.length > 200) return fail('title must be 1–200 characters');
+
+  const priority = input.priority === undefined ? 5 : Number(input.priority);
+  if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+    return fail('priority must be a whole number from 1 to 10');
+  }
+
+  const start = _offset(input.startOffsetDays, 'startOffsetDays');
+  if (start.error) return fail(start.error);
+  const deadline = _offset(input.deadlineOffsetDays, 'deadlineOffsetDays');
+  if (deadline.error) return fail(deadline.error);
+  if (start.value !== null && deadline.value !== null && start.value > deadline.value) {
+    return fail('startOffsetDays cannot be after deadlineOffsetDays');
+  }
+
+  if (!Array.isArray(input.assigneeRoles ?? [])) return fail('assigneeRoles must be an array');
+  const assigneeRoles = [...new Set(input.assigneeRoles ?? [])];
+  const badRole = assigneeRoles.find((r) => !USER_ROLES.includes(r));
+  if (badRole !== undefined) return fail(`unknown role '${badRole}'`);
+
+  if (!Array.isArray(input.reminderOffsets ?? [])) return fail('reminderOffsets must be an array');
+  const reminderOffsets = (input.reminderOffsets ?? []).map(Number);
+  if (reminderOffsets.some((n) => !Number.isFinite(n) || n <= 0)) {
+    return fail('reminderOffsets must be positive minutes');
+  }
+
+  const recurrence = _validateRecurrence(input.recurrence, deadline.value);
+  if (recurrence.error) return fail(recurrence.error);
+
+  const estimate = coerceEstimate(input.estimateMinutes, 'estimateMinutes');
+  if (estimate.error) return fail(estimate.error);
+
+  const labels = coerceLabelIds(input.labels);
+  if (labels.error) return fail(labels.error);
+
+  const rawSubtasks = input.subtasks ?? [];
+  if (!Array.isArray(rawSubtasks)) return fail('subtasks must be an array');
+  if (rawSubtasks.length && depth >= MAX_TEMPLATE_DEPTH) {
+    return fail(`tasks can be nested at most ${MAX_TEMPLATE_DEPTH} levels deep`);
+  }
+  const subtasks = [];
+  for (const [i, raw] of rawSubtasks.entries()) {
+    const sub = _validateTask(raw, `${path}.subtasks[${i}]`, depth + 1, counter);
+    if (sub.error) return sub;
+    subtasks.push(sub.task);
+  }
+
+  return {
+    task: {
+      title,
+      description: String(input.description ?? ''),
+      notes: String(input.notes ?? ''),
+      priority,
+      startOffsetDays: start.value,
+      deadlineOffsetDays: deadline.value,
+      assigneeRoles,
+      reminderOffsets: [...new Set(reminderOffsets)].sort((a, b) => b - a),
+      recurrence: recurrence.recurrence,
+      estimateMinutes: estimate.value ?? null,
+      labels: labels.ids ?? [],
+      subtasks,
+    },
+  };
+}
+
+/**
+ * Validate and normalise a template from a request body: `name`, `description`,
+ * `project` (name, description, deadlineOffsetDays, workflow, labels) and `tasks`,
+ * each with optional `subtasks`. With `partial`, only the fields sent are checked.
+ * Returns `{ template }` or `{ error }`.
+ */
+export function validateTemplate(body = {}, { partial = false } = {}) {
+  const template = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name ?? '').trim();
+    if (!name || name.length > 200) return { error: 'Template name must be 1–200 characters' };
+    template.name = name;
+  }
+  if (body.description !== undefined) template.description = String(body.description ?? '').trim();
+
+  if (!partial || body.project !== undefined) {
+    const raw = body.project ?? {};
+    const deadline = _offset(raw.deadlineOffsetDays, 'project.deadlineOffsetDays');
+    if (deadline.error) return { error: deadline.error };
+    let workflow = null;
+    if (raw.workflow != null) {
+      const checked = validateWorkflow(raw.workflow);
+      if (checked.error) return { error: `project.workflow: ${checked.error}` };
+      workflow = checked.workflow;
+    }
+    const labels = coerceLabelIds(raw.labels);
+    if (labels.error) return { error: `project.labels: ${labels.error}` };
+    template.project = {
+      name: String(raw.name ?? '').trim(),
+      description: String(raw.description ?? ''),
+      deadlineOffsetDays: deadline.value,
+      workflow,
+      labels: labels.ids ?? [],
+    };
+  }
+
+  if (!partial || body.tasks !== undefined) {
+    if (!Array.isArray(body.tasks ?? [])) return { error: 'tasks must be an array' };
+    const counter = { count: 0 };
+    template.tasks = [];
+    for (const [i, raw] of (body.tasks ?? []).entries()) {
+      const checked = _validateTask(raw, `tasks[${i}]`, 1, counter);
+      if (checked.error) return { error: checked.error };
+      template.tasks.push(checked.task);
+    }
+  }
+
+  return { template };
+}
+
+/** Every label id a template refers to (project and tasks), without duplicates. */
+export function templateLabelIds(template) {
+  const ids = new Set((template.project?.labels ?? []).map(idOf));
+  const walk = (tasks = []) => tasks.forEach((t) => {
+    (t.labels ?? []).forEach((l) => ids.add(idOf(l)));
+    walk(t.subtasks);
+  });
+  walk(template.tasks);
+  return [...ids];
+}
+
+/**
+ * The template's start date as a day in `tz`: `YYYY-MM-DD` or any ISO date-time
+ * (its day is used). Returns a dayjs at the start of that day, or null when invalid.
+ */
+export function parseStartDate(input, tz = TEMPLATE_TIMEZONE) {
+  if (!input) return null;
+  const value = String(input);
+  const day = DATE_ONLY_RE.test(value) ? dayjs.tz(value, tz) : dayjs(value).tz(tz);
+  return day.isValid() ? day.startOf('day') : null;
+}
+
+const _dayStart = (start, offset) => start.add(offset, 'day').toDate();
+const _dayEnd = (start, offset) => start.add(offset, 'day').endOf('day').toDate();
+
+/**
+ * Resolve a template against `start` (see parseStartDate). Returns the project's
+ * dated fields and its tasks in creation order, parents before their subtasks:
+ * `{ project, tasks: [{ key, parentKey, ...taskFields }] }`. Keys are only used to
+ * link subtasks to the tasks created for their parents.
+ */
+export function planTemplate(template, start) {
+  const blueprint = template.project ?? {};
+  const project = {
+    name: blueprint.name || template.name,
+    description: blueprint.description ?? '',
+    deadline: blueprint.deadlineOffsetDays != null ? _dayEnd(start, blueprint.deadlineOffsetDays) : null,
+    workflow: blueprint.workflow ?? null,
+    labels: (blueprint.labels ?? []).map(idOf),
+  };
+
+  const tasks = [];
+  const walk = (items = [], parentKey = null) => {
+    for (const t of items) {
+      const key = tasks.length;
+      const deadline = t.deadlineOffsetDays != null ? _dayEnd(start, t.deadlineOffsetDays) : null;
+      const startAt = _dayStart(start, t.startOffsetDays ?? 0);
+      const rec = t.recurrence;
+      tasks.push({
+        key,
+        parentKey,
+        title: t.title,
+        description: t.description ?? '',
+        notes: t.notes ?? '',
+        priority: t.priority ?? 5,
+        startAt,
+        endAt: deadline ?? new Date(startAt.getTime() + HOUR_MS),
+        deadline,
+        assigneeRoles: t.assigneeRoles ?? [],
+        reminderOffsets: deadline ? (t.reminderOffsets ?? []) : [],
+        recurrence: rec && deadline
+          ? {
+            frequency: rec.frequency,
+            interval: rec.interval ?? 1,
+            ends: rec.untilOffsetDays != null ? 'onDate' : 'never',
+            until: rec.untilOffsetDays != null ? _dayEnd(start, rec.untilOffsetDays) : null,
+          }
+          : null,
+        estimateMinutes: t.estimateMinutes ?? null,
+        labels: (t.labels ?? []).map(idOf),
+      });
+      walk(t.subtasks, key);
+    }
+  };
+  walk(template.tasks);
+  return { project, tasks };
+}
+
+/** Whole days from `start` to `date` in `tz`, never negative; null without a date. */
+function _daysFrom(start, date, tz) {
+  if (!date) return null;
+  const day = dayjs(date).tz(tz).startOf('day');
+  return Math.min(MAX_OFFSET_DAYS, Math.max(0, day.diff(start, 'day')));
+}
+
+/**
+ * Turn a project and its tasks back into template fields, with dates made relative
+ * to the project's earliest task start (or its creation). Tasks are plain objects with
+ * `assignedTeamMembers` populated with `role`. Only labels in `keepLabels` (a Set of
+ * ids; the organisation-wide ones) are kept.
+ */
+export function templateFromProject(project, tasks, { keepLabels = new Set(), tz = TEMPLATE_TIMEZONE } = {}) {
+  const starts = tasks.map((t) => t.startAt).filter(Boolean).map((d) => new Date(d).getTime());
+  const anchor = starts.length ? new Date(Math.min(...starts)) : project.createdAt ?? new Date();
+  const start = dayjs(anchor).tz(tz).startOf('day');
+  const labels = (items) => (items ?? []).map(idOf).filter((id) => keepLabels.has(id));
+
+  const children = new Map();
+  for (const t of tasks) {
+    const parent = t.parentTask ? idOf(t.parentTask) : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(t);
+  }
+  const ids = new Set(tasks.map((t) => idOf(t)));
+
+  const toTemplateTask = (t, depth) => {
+    const deadlineOffsetDays = _daysFrom(start, t.deadline, tz);
+    const rec = t.recurrence;
+    return {
+      title: t.title,
+      description: t.description ?? '',
+      notes: t.notes ?? '',
+      priority: t.priority ?? 5,
+      startOffsetDays: _daysFrom(start, t.startAt, tz),
+      deadlineOffsetDays,
+      assigneeRoles: [...new Set((t.assignedTeamMembers ?? []).map((m) => m?.role).filter(Boolean))],
+      reminderOffsets: t.reminderOffsets ?? [],
+      recurrence: rec && deadlineOffsetDays !== null
+        ? {
+          frequency: rec.frequency,
+          interval: rec.interval ?? 1,
+          untilOffsetDays: rec.ends === 'onDate' && rec.until
+            ? Math.max(deadlineOffsetDays, _daysFrom(start, rec.until, tz))
+            : null,
+        }
+        : null,
+      estimateMinutes: t.estimateMinutes ?? null,
+      labels: labels(t.labels),
+      // Deeper levels than a template allows are left out
+      subtasks: depth < MAX_TEMPLATE_DEPTH
+        ? (children.get(idOf(t)) ?? []).map((c) => toTemplateTask(c, depth + 1))
+        : [],
+    };
+  };
+
+  // Subtasks whose parent is not in the project become top-level tasks
+  const roots = tasks.filter((t) => !t.parentTask || !ids.has(idOf(t.parentTask)));
+  return {
+    name: project.name,
+    description: project.description ?? '',
+    project: {
+      name: project.name,
+      description: project.description ?? '',
+      deadlineOffsetDays: _daysFrom(start, project.deadline, tz),
+      workflow: project.workflow?.statuses?.length ? project.workflow : null,
+      labels: labels(project.labels),
+    },
+    tasks: roots.map((t) => toTemplateTask(t, 1)),
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Time tracking helpers: estimate parsing, timer durations and timesheet grouping.
+ *
+ * Everything is stored in whole minutes; hours only appear in responses. Timesheet
+ * weeks start on Monday in the requested timezone. No database access here.
+ */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const TIMESHEET_TIMEZONE = 'Asia/Singapore';
+// One entry can't cover more than a day; split longer work across entries
+export const MAX_ENTRY_MINUTES = 24 * 60;
+// Estimates above this are almost certainly typos (a year of full-time work)
+export const MAX_ESTIMATE_MINUTES = 2000 * 60;
+export const MAX_TIMESHEET_DAYS = 366;
+
+const MINUTES_PER_HOUR = 60;
+
+export const toHours = (minutes) => Math.round(((minutes || 0) / MINUTES_PER_HOUR) * 100) / 100;
+
+/**
+ * Parse an estimate field from a request body. `undefined` means "not sent",
+ * null/'' clears it. Returns `{ value }` or `{ error }`.
+ */
+export function coerceEstimate(input, field) {
+  if (input === undefined) return { value: undefined };
+  if (input === null || input === '' || input === 'null') return { value: null };
+  const n = Number(input);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_ESTIMATE_MINUTES) {
+    return { error: `Invalid ${field}; must be minutes from 0 to ${MAX_ESTIMATE_MINUTES}.` };
+  }
+  return { value: Math.round(n) };
+}
+
+/** Whole minutes between two instants; a running timer always counts at least one. */
+export function elapsedMinutes(startedAt, endedAt) {
+  const ms = new Date(endedAt) - new Date(startedAt);
+  return Math.max(1, Math.round(ms / 60000));
+}
+
+/** Monday (YYYY-MM-DD) of the week `date` falls in, in timezone `tz`. */
+export function weekStartOf(date, tz = TIMESHEET_TIMEZONE) {
+  const local = dayjs(date).tz(tz).startOf('day');
+  return local.subtract((local.day() + 6) % 7, 'day').format('YYYY-MM-DD');
+}
+
+/**
+ * Validate a manual time-log body: `minutes` (or `hours`), optional `startedAt`
+ * (defaults to now minus the duration) and `note`.
+ * Returns `{ entry: { minutes, startedAt, endedAt, note } }` or `{ error }`.
+ */
+export function manualEntry(body = {}, now = new Date()) {
+  const raw = body.minutes ?? (body.hours != null && body.hours !== '' ? Number(body.hours) * MINUTES_PER_HOUR : undefined);
+  const minutes = Math.round(Number(raw));
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_ENTRY_MINUTES) {
+    return { error: `Logged time must be between 1 and ${MAX_ENTRY_MINUTES} minutes` };
+  }
+
+  let startedAt;
+  if (body.startedAt) {
+    startedAt = new Date(body.startedAt);
+    if (Number.isNaN(+startedAt)) return { error: 'Invalid startedAt' };
+  } else {
+    startedAt = new Date(now.getTime() - minutes * 60000);
+  }
+  const endedAt = new Date(startedAt.getTime() + minutes * 60000);
+  if (endedAt > now) return { error: 'Time cannot be logged in the future' };
+
+  const note = typeof body.note === 'string' ? body.note.trim().slice(0, 500) : '';
+  return { entry: { minutes, startedAt, endedAt, note } };
+}
+
+/**
+ * Parse `?from=&to=&timezone=` for the timesheet. Defaults to the four weeks up to
+ * the end of the current week. Returns `{ from, to, tz }` or `{ error }`.
+ */
+export function timesheetRange(query = {}, now = new Date()) {
+  const tz = query.timezone || TIMESHEET_TIMEZONE;
+  try {
+    dayjs().tz(tz);
+  } catch {
+    return { error: 'Unknown timezone' };
+  }
+
+  const end = query.to
+    ? dayjs.tz(query.to, tz)
+    : dayjs.tz(weekStartOf(now, tz), tz).add(7, 'day');
+  const start = query.from ? dayjs.tz(query.from, tz) : end.subtract(28, 'day');
+  if (!start.isValid() || !end.isValid()) return { error: 'Invalid from/to date' };
+  if (!start.isBefore(end)) return { error: '`from` must be before `to`' };
+  if (end.diff(start, 'day') > MAX_TIMESHEET_DAYS) {
+    return { error: `A timesheet covers at most ${MAX_TIMESHEET_DAYS} days` };
+  }
+  return { from: start.toDate(), to: end.toDate(), tz };
+}
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/**
+ * Group time entries (with `user` and `project` populated or as ids) into one row
+ * per user, project and week, sorted by week, then user and project name.
+ */
+export function summarizeTimesheet(entries, tz = TIMESHEET_TIMEZONE) {
+  const rows = new Map();
+  let total = 0;
+
+  for (const e of entries) {
+    const weekStart = weekStartOf(e.startedAt, tz);
+    const key = `${weekStart}|${idOf(e.user)}|${idOf(e.project)}`;
+    let row = rows.get(key);
+    if (!row) {
+      row = {
+        weekStart,
+        user: e.user?._id ? { _id: e.user._id, name: e.user.name } : { _id: e.user ?? null },
+        project: e.project?._id ? { _id: e.project._id, name: e.project.name } : { _id: e.project ?? null },
+        minutes: 0,
+      };
+      rows.set(key, row);
+    }
+    row.minutes += e.minutes || 0;
+    total += e.minutes || 0;
+  }
+
+  const name = (x) => x?.name ?? '';
+  const sorted = [...rows.values()].sort((a, b) =>
+    a.weekStart.localeCompare(b.weekStart)
+    || name(a.user).localeCompare(name(b.user))
+    || name(a.project).localeCompare(name(b.project)));
+
+  return {
+    rows: sorted.map((r) => ({ ...r, hours: toHours(r.minutes) })),
+    totalMinutes: total,
+    totalHours: toHours(total),
+  };
+}
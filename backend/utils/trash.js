@@ -0,0 +1,35 @@
+/**
+ * Trash helpers: what can be trashed and how long it stays there.
+ *
+ * Deleted tasks, projects and comments stay restorable for the retention window
+ * (`TRASH_RETENTION_DAYS`, 30 by default); the `trash-purge` job then removes them for
+ * good. No database access here (see services/trash.js).
+ */
+
+export const TRASH_TYPES = ['task', 'project', 'comment'];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** The retention window in days; a missing or invalid setting falls back to the default. */
+export function trashRetentionDays(env = process.env) {
+  const days = Number(env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/** When an item deleted at `deletedAt` will be purged. */
+export function purgeDate(deletedAt, days = trashRetentionDays()) {
+  return new Date(new Date(deletedAt).getTime() + days * DAY_MS);
+}
+
+/** Items deleted at or before this instant are due to be purged at `now`. */
+export function purgeCutoff(now = new Date(), days = trashRetentionDays()) {
+  return new Date(now.getTime() - days * DAY_MS);
+}
+
+/** The fields that move a document to the trash; `rootId` is what the user deleted. */
+export function trashedFields(rootId, userId, now = new Date()) {
+  return { deletedAt: now, deletedBy: userId ?? null, deletion: rootId };
+}
+
+export const RESTORED_FIELDS = Object.freeze({ deletedAt: null, deletedBy: null, deletion: null });
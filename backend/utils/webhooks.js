@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+/**
+ * Outgoing webhooks: events, payloads and signatures.
+ * No database access here (see services/webhooks.js).
+ */
+
+export const WEBHOOK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.status_changed',
+  'task.deleted',
+  'comment.created',
+  'project.updated',
+  'notification.overdue',
+];
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const MIN_SECRET_LENGTH = 16;
+
+// What the delivery log keeps of a receiver's response
+const RESPONSE_BODY_MAX = 1000;
+
+const idOf = (v) => (v == null ? null : String(v?._id ?? v));
+const ids = (list) => (Array.isArray(list) ? list.map(idOf) : []);
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * `X-Webhook-Signature` for a delivery: `sha256=` and the hex HMAC-SHA256 of
+ * `<timestamp>.<body>` under the webhook's secret. Receivers recompute it from the
+ * raw body and `X-Webhook-Timestamp`, and should reject old timestamps.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature ?? ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/** The headers sent with a delivery; `timestamp` is in seconds. */
+export function deliveryHeaders({ secret, event, deliveryId, timestamp, body }) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'TaskManager-Webhooks/1.0',
+    'X-Webhook-Event': event,
+    'X-Webhook-Delivery': String(deliveryId),
+    'X-Webhook-Timestamp': String(timestamp),
+    [SIGNATURE_HEADER]: signPayload(secret, timestamp, body),
+  };
+}
+
+export const truncateResponse = (text) => (text ? String(text).slice(0, RESPONSE_BODY_MAX) : null);
+
+function _url(value) {
+  try {
+    const url = new URL(String(value));
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a webhook from a request body. `partial` allows leaving fields out (updates).
+ * Returns the fields to store, or `{ error }`.
+ */
+export function coerceWebhook(input = {}, { partial = false } = {}) {
+  const out = {};
+  const { name, url, events, secret, active } = input ?? {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+    if (name.trim().length > 100) return { error: 'name can be at most 100 characters' };
+    out.name = name.trim();
+  }
+  if (url !== undefined || !partial) {
+    const parsed = _url(url);
+    if (!parsed) return { error: 'url must be an http(s) URL' };
+    out.url = parsed;
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || !events.length) return { error: 'events must list at least one event' };
+    const unknown = events.find((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown !== undefined) return { error: `Unknown event '${unknown}'` };
+    out.events = [...new Set(events)];
+  }
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      return { error: `secret must be at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    out.secret = secret;
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') return { error: 'active must be true or false' };
+    out.active = active;
+  }
+  if (partial && !Object.keys(out).length) return { error: 'Nothing to change' };
+  return out;
+}
+
+/** The body of a delivery: `{ id, event, occurredAt, actor, data }`. */
+export function eventEnvelope(event, data, { actor = null, id = crypto.randomUUID(), occurredAt = new Date() } = {}) {
+  return { id, event, occurredAt: new Date(occurredAt).toISOString(), actor: idOf(actor), data };
+}
+
+// ===== Payloads: the fields receivers get, with references as ids =====
+
+export const taskPayload = (task) => ({
+  _id: idOf(task),
+  title: task.title,
+  status: task.status,
+  statusCategory: task.statusCategory ?? null,
+  priority: task.priority ?? null,
+  deadline: task.deadline ?? null,
+  assignedProject: idOf(task.assignedProject),
+  assignedTeamMembers: ids(task.assignedTeamMembers),
+  parentTask: idOf(task.parentTask),
+  createdBy: idOf(task.createdBy),
+});
+
+export const commentPayload = (comment) => ({
+  _id: idOf(comment),
+  task: idOf(comment.task),
+  author: idOf(comment.author),
+  parent: idOf(comment.parent),
+  body: comment.body,
+  mentions: ids(comment.mentions),
+  createdAt: comment.createdAt ?? null,
+});
+
+export const projectPayload = (project) => ({
+  _id: idOf(project),
+  name: project.name,
+  description: project.description ?? '',
+  deadline: project.deadline ?? null,
+  department: ids(project.department),
+  teamMembers: ids(project.teamMembers),
+  createdBy: idOf(project.createdBy),
+});
+
+export const notificationPayload = (n) => ({
+  _id: idOf(n),
+  userId: idOf(n.userId),
+  taskId: idOf(n.taskId),
+  type: n.type,
+  message: n.message,
+  scheduledFor: n.scheduledFor ?? null,
+});
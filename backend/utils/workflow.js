@@ -0,0 +1,163 @@
+/**
+ * Per-project task workflows.
+ *
+ * A workflow is an ordered list of statuses, each in a category (not_started, active,
+ * done), plus optional allowed transitions. Projects without one use the default
+ * To Do / In Progress / Done. Tasks carry `statusCategory` next to `status`, so
+ * anything that asks "is it finished?" checks the category, never the status name.
+ *
+ * No database access here: models/Task.js imports the constants, and the reports
+ * use the helpers on plain task objects.
+ */
+
+export const STATUS_CATEGORIES = ['not_started', 'active', 'done'];
+
+// Categories of the default workflow's statuses
+export const DEFAULT_STATUS_CATEGORY = {
+  'To Do': 'not_started',
+  'In Progress': 'active',
+  'Done': 'done',
+};
+
+export const DEFAULT_WORKFLOW = Object.freeze({
+  statuses: Object.keys(DEFAULT_STATUS_CATEGORY).map(name => ({ name, category: DEFAULT_STATUS_CATEGORY[name] })),
+  transitions: [],
+});
+
+const MAX_STATUSES = 20;
+const MAX_WIP_LIMIT = 999;
+
+const plain = (doc) => (typeof doc?.toObject === 'function' ? doc.toObject() : doc);
+
+/** The project's workflow, or the default one. */
+export function workflowOf(project) {
+  const workflow = plain(project?.workflow);
+  return workflow?.statuses?.length
+    ? { statuses: workflow.statuses, transitions: workflow.transitions ?? [] }
+    : DEFAULT_WORKFLOW;
+}
+
+export function findStatus(workflow, name) {
+  return workflow.statuses.find(s => s.name === name) ?? null;
+}
+
+/** Status new tasks (and recurring copies) start in: the first not-started one. */
+export function initialStatus(workflow) {
+  return (workflow.statuses.find(s => s.category === 'not_started') ?? workflow.statuses[0]).name;
+}
+
+/** Statuses reachable from `from` (every other status when the workflow has no rules). */
+export function allowedTransitions(workflow, from) {
+  const others = workflow.statuses.map(s => s.name).filter(name => name !== from);
+  if (!workflow.transitions.length || !findStatus(workflow, from)) return others;
+  const targets = new Set(workflow.transitions.filter(t => t.from === from).map(t => t.to));
+  return others.filter(name => targets.has(name));
+}
+
+export function canTransition(workflow, from, to) {
+  return from === to || allowedTransitions(workflow, from).includes(to);
+}
+
+/** Category of a task, falling back to the default workflow for documents saved before categories. */
+export function categoryOf(task) {
+  return task?.statusCategory ?? DEFAULT_STATUS_CATEGORY[task?.status] ?? 'not_started';
+}
+
+export const isDone = (task) => categoryOf(task) === 'done';
+
+// Report buckets are named after the default statuses, whatever a project calls its own
+export const CATEGORY_LABELS = Object.freeze({ not_started: 'To Do', active: 'In Progress', done: 'Done' });
+export const reportBucket = (task) => CATEGORY_LABELS[categoryOf(task)];
+
+/**
+ * Check a requested status against the workflow.
+ * Returns `{ status, statusCategory }`, or `{ error: { status, body } }` when it must be rejected.
+ * `from` is the current status (omit when creating).
+ */
+export function resolveStatus(workflow, to, from) {
+  const target = findStatus(workflow, to);
+  if (!target) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: `Unknown status '${to}' for this project`,
+          statuses: workflow.statuses.map(s => s.name),
+        },
+      },
+    };
+  }
+  if (from !== undefined && !canTransition(workflow, from, to)) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: `Cannot move a task from '${from}' to '${to}'`,
+          allowed: allowedTransitions(workflow, from),
+        },
+      },
+    };
+  }
+  return { status: target.name, statusCategory: target.category };
+}
+
+/**
+ * Where a task lands in `workflow` when its status isn't being set (e.g. it moved to
+ * another project): the same status if it exists, else the first one in the same
+ * category, else the initial status.
+ */
+export function statusAfterMove(workflow, task) {
+  const target =
+    findStatus(workflow, task.status) ??
+    workflow.statuses.find(s => s.category === categoryOf(task)) ??
+    findStatus(workflow, initialStatus(workflow));
+  return { status: target.name, statusCategory: target.category };
+}
+
+/**
+ * Validate and normalise a workflow from a request body.
+ * Returns `{ workflow }` or `{ error }`.
+ */
+export function validateWorkflow(input) {
+  if (!input || !Array.isArray(input.statuses)) return { error: 'statuses must be an array' };
+  if (!input.statuses.length || input.statuses.length > MAX_STATUSES) {
+    return { error: `A workflow needs between 1 and ${MAX_STATUSES} statuses` };
+  }
+
+  const statuses = [];
+  const seen = new Set();
+  for (const raw of input.statuses) {
+    const name = String(raw?.name ?? '').trim();
+    if (!name || name.length > 50) return { error: 'Status names must be 1–50 characters' };
+    if (seen.has(name.toLowerCase())) return { error: `Duplicate status '${name}'` };
+    if (!STATUS_CATEGORIES.includes(raw?.category)) {
+      return { error: `Status '${name}' needs a category: ${STATUS_CATEGORIES.join(', ')}` };
+    }
+    const wipLimit = raw.wipLimit ?? null;
+    if (wipLimit !== null && !(Number.isInteger(wipLimit) && wipLimit >= 1 && wipLimit <= MAX_WIP_LIMIT)) {
+      return { error: `WIP limit for '${name}' must be a whole number from 1 to ${MAX_WIP_LIMIT}` };
+    }
+    seen.add(name.toLowerCase());
+    statuses.push(wipLimit === null ? { name, category: raw.category } : { name, category: raw.category, wipLimit });
+  }
+  if (!statuses.some(s => s.category === 'not_started') || !statuses.some(s => s.category === 'done')) {
+    return { error: 'A workflow needs at least one not_started and one done status' };
+  }
+
+  const names = new Set(statuses.map(s => s.name));
+  const transitions = [];
+  const seenMoves = new Set();
+  for (const raw of input.transitions ?? []) {
+    const from = String(raw?.from ?? '').trim();
+    const to = String(raw?.to ?? '').trim();
+    if (!names.has(from) || !names.has(to)) {
+      return { error: `Transition ${from} → ${to} refers to an unknown status` };
+    }
+    if (from === to || seenMoves.has(`${from}\n${to}`)) continue;
+    seenMoves.add(`${from}\n${to}`);
+    transitions.push({ from, to });
+  }
+
+  return { workflow: { statuses, transitions } };
+}
+
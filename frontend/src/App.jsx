@@ -7,7 +7,7 @@ import { useAuth } from "./context/useAuth";
 import { initializeSocket } from "./services/socket.js";
 
 export default function App() {
-  const { login, logout } = useAuth();
+  const { user, login, logout } = useAuth();
   const [bootLoading, setBootLoading] = useState(true);
   const ran = useRef(false);
 
@@ -41,12 +41,13 @@ export default function App() {
     bootstrap();
   }, [login, logout]);
 
+  // The socket authenticates as the signed-in user, so (re)connect when that changes
   useEffect(() => {
-    if (!bootLoading) {
+    if (!bootLoading && user?.id) {
       const socket = initializeSocket();
       return () => socket?.disconnect?.();
     }
-  }, [bootLoading]);
+  }, [bootLoading, user?.id]);
 
   if (bootLoading) {
     return (
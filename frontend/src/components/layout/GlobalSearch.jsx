@@ -0,0 +1,206 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { searchAll } from "../../services/api.js";
+
+const DEBOUNCE_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+const TYPE_LABELS = { task: "Task", project: "Project", comment: "Comment" };
+
+/* Snippet text with the matched words wrapped in <mark> */
+function HighlightedText({ text = "", highlights = [] }) {
+  const parts = [];
+  let at = 0;
+  highlights.forEach(([start, end], i) => {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded-sm px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    at = end;
+  });
+  if (at < text.length) parts.push(text.slice(at));
+  return <>{parts}</>;
+}
+
+// Task titles and project names are the result's heading, so their snippet is shown there
+const inTitle = (r) => r.type !== "comment" && ["title", "name"].includes(r.snippet?.field);
+
+/* Where a result opens: the page in `targetPath` picks up ?task= / ?project= */
+function resultLink(result, targetPath) {
+  if (result.type === "project") return `${targetPath}?project=${result._id}`;
+  const taskId = result.type === "comment" ? result.task?._id : result._id;
+  const projectId = result.project?._id;
+  return `${targetPath}?task=${taskId}${projectId ? `&project=${projectId}` : ""}`;
+}
+
+/*
+ * Header search box. Arrow keys move through the results, Enter opens one,
+ * Escape closes the list and "/" anywhere else on the page focuses the box.
+ */
+export default function GlobalSearch({ targetPath = "/home" }) {
+  const navigate = useNavigate();
+  const listId = useId();
+  const inputRef = useRef(null);
+  const latestRequest = useRef(0);
+
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /* ---------- Debounced search ---------- */
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      latestRequest.current += 1;
+      setResults([]);
+      setLoading(false);
+      setError(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      const request = ++latestRequest.current;
+      setLoading(true);
+      try {
+        const data = await searchAll(q);
+        if (request !== latestRequest.current) return;
+        setResults(data?.results ?? []);
+        setActive(-1);
+        setError(null);
+      } catch (err) {
+        if (request !== latestRequest.current) return;
+        setResults([]);
+        setError(err.message || "Search failed");
+      } finally {
+        if (request === latestRequest.current) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  /* ---------- "/" focuses the box ---------- */
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      e.preventDefault();
+      inputRef.current?.focus();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, []);
+
+  const choose = (result) => {
+    setOpen(false);
+    setQuery("");
+    inputRef.current?.blur();
+    navigate(resultLink(result, targetPath));
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!results.length) return;
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (i + step + results.length) % results.length);
+    } else if (e.key === "Enter") {
+      const result = results[active] ?? results[0];
+      if (!result) return;
+      e.preventDefault();
+      choose(result);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      if (open && query) {
+        setOpen(false);
+      } else {
+        setQuery("");
+        inputRef.current?.blur();
+      }
+    }
+  };
+
+  const showList = open && query.trim().length >= MIN_QUERY_LENGTH;
+  const optionId = (i) => `${listId}-option-${i}`;
+
+  return (
+    <div className="relative w-72">
+      <input
+        ref={inputRef}
+        type="search"
+        role="combobox"
+        aria-label="Search tasks, projects and comments"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={showList && active >= 0 ? optionId(active) : undefined}
+        placeholder="Search… (press /)"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        className="w-full px-3 py-2 rounded-lg text-sm bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary placeholder:text-light-text-muted dark:placeholder:text-dark-text-muted focus:outline-none focus:ring-2 focus:ring-brand-primary"
+      />
+
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label="Search results"
+          className="absolute right-0 z-30 mt-2 w-[28rem] max-h-96 overflow-y-auto rounded-lg border border-light-border dark:border-dark-border bg-light-surface dark:bg-dark-surface shadow-lg"
+        >
+          {loading && !results.length && (
+            <li className="p-3 text-sm text-light-text-muted dark:text-dark-text-muted">Searching…</li>
+          )}
+          {error && <li className="p-3 text-sm text-danger">{error}</li>}
+          {!loading && !error && !results.length && (
+            <li className="p-3 text-sm text-light-text-muted dark:text-dark-text-muted">No matches</li>
+          )}
+          {results.map((r, i) => (
+            <li
+              key={`${r.type}-${r._id}`}
+              id={optionId(i)}
+              role="option"
+              aria-selected={i === active}
+              // Keep focus in the input so onBlur doesn't close the list before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => choose(r)}
+              className={`px-3 py-2 cursor-pointer border-b border-light-border dark:border-dark-border last:border-0 ${
+                i === active ? "bg-light-bg dark:bg-dark-bg" : ""
+              }`}
+            >
+              <div className="flex items-center gap-2 text-sm">
+                <span className="shrink-0 text-[10px] uppercase tracking-wide px-1.5 py-0.5 rounded bg-brand-primary/10 text-brand-primary dark:text-brand-secondary">
+                  {TYPE_LABELS[r.type] ?? r.type}
+                </span>
+                <span className="font-medium truncate text-light-text-primary dark:text-dark-text-primary">
+                  {inTitle(r) ? <HighlightedText {...r.snippet} /> : r.title}
+                </span>
+                {r.project?.name && r.type !== "project" && (
+                  <span className="ml-auto shrink-0 text-xs text-light-text-muted dark:text-dark-text-muted truncate max-w-[8rem]">
+                    {r.project.name}
+                  </span>
+                )}
+              </div>
+              {r.snippet?.text && !inTitle(r) && (
+                <p className="mt-1 text-xs text-light-text-secondary dark:text-dark-text-secondary line-clamp-2">
+                  {r.type === "comment" && r.author?.name ? `${r.author.name}: ` : ""}
+                  <HighlightedText text={r.snippet.text} highlights={r.snippet.highlights} />
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useTheme } from "../../context/ThemeContext.jsx";
 import { useState } from "react";
 import NotificationBell from "../notifications/NotificationBell";
 import NotificationPanel from "../notifications/NotificationPanel";
+import GlobalSearch from "./GlobalSearch";
 
 /* Navigation Link Component */
 function NavigationLink({ to, children, end = false }) {
@@ -54,6 +55,15 @@ const navigationConfig = {
   ],
 };
 
+/* Page that opens a search result (?task= / ?project=) for each role */
+const searchTargets = {
+  Staff: "/tasks",
+  Manager: "/taskboard-mgr",
+  Director: "/calendar",
+  HR: "/dashboard",
+  "Senior Manager": "/dashboard",
+};
+
 /* User Info Display Component */
 function UserInfo({ user }) {
   if (!user) return null;
@@ -89,6 +99,34 @@ function ThemeToggle({ theme, toggleTheme }) {
   );
 }
 
+/* Settings Link Component */
+function SettingsLink() {
+  return (
+    <NavLink
+      to="/settings/notifications"
+      className="px-3 py-2 rounded-lg bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary hover:bg-light-surface dark:hover:bg-dark-surface transition-all shadow-sm font-medium text-sm"
+      title="Notification settings"
+      aria-label="Notification settings"
+    >
+      ⚙️ Settings
+    </NavLink>
+  );
+}
+
+/* Trash Link Component */
+function TrashLink() {
+  return (
+    <NavLink
+      to="/trash"
+      className="px-3 py-2 rounded-lg bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary hover:bg-light-surface dark:hover:bg-dark-surface transition-all shadow-sm font-medium text-sm"
+      title="Deleted tasks, projects and comments"
+      aria-label="Trash"
+    >
+      🗑️ Trash
+    </NavLink>
+  );
+}
+
 /* Logout Button Component */
 function LogoutButton({ onClick }) {
   return (
@@ -160,6 +198,8 @@ export default function Header() {
 
       {/* Right Side Actions */}
       <div className="ml-auto flex items-center gap-2">
+        {user && <GlobalSearch targetPath={searchTargets[user.role] ?? "/home"} />}
+
         <UserInfo user={user} />
         
         <NotificationDropdown
@@ -168,6 +208,10 @@ export default function Header() {
           setShowNotifications={setShowNotifications}
         />
         
+        {user && <TrashLink />}
+
+        {user && <SettingsLink />}
+
         <ThemeToggle theme={theme} toggleTheme={toggleTheme} />
         
         <LogoutButton onClick={handleLogout} />
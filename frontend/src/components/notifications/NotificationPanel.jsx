@@ -1,19 +1,21 @@
+import { Link } from 'react-router-dom';
 import { useNotifications } from '../../context/NotificationContext';
+import SnoozeMenu from './SnoozeMenu';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 
 dayjs.extend(relativeTime);
 
-export default function NotificationPanel() {
-  const { notifications, markAsRead } = useNotifications();
+/** The unread notifications, in the header's dropdown; the full inbox is /notifications. */
+export default function NotificationPanel({ onClose }) {
+  const { notifications, markAsRead, markAllAsRead, refresh } = useNotifications();
 
   const handleMarkAsRead = (notificationId) => {
     markAsRead([notificationId]);
   };
 
   const handleMarkAllAsRead = () => {
-    const ids = notifications.map(n => n._id);
-    markAsRead(ids);
+    markAllAsRead();
   };
 
   return (
@@ -60,12 +62,22 @@ export default function NotificationPanel() {
                       Mark as read
                     </button>
                   </div>
+                  <SnoozeMenu className="mt-2" notification={notification} onSnoozed={refresh} />
                 </div>
               </li>
             ))}
           </ul>
         )}
       </div>
+      <div className="p-3 border-t border-light-border dark:border-dark-border text-center">
+        <Link
+          to="/notifications"
+          onClick={onClose}
+          className="text-sm text-brand-primary dark:text-brand-secondary hover:underline"
+        >
+          View all notifications
+        </Link>
+      </div>
     </div>
   );
 }
\ No newline at end of file
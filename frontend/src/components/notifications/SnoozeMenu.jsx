@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import { snoozeNotification } from '../../services/api';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const SG_TZ = 'Asia/Singapore';
+
+// Only these can be put off (see the backend's SNOOZABLE_TYPES)
+const SNOOZABLE_TYPES = ['reminder', 'overdue'];
+
+const SELECT_CLS = 'rounded-lg border px-2 py-1 text-sm bg-light-bg dark:bg-dark-bg border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary';
+
+const _tomorrowAtNine = () => dayjs().tz(SG_TZ).add(1, 'day').hour(9).startOf('hour').toISOString();
+
+const OPTIONS = {
+  '60': () => ({ minutes: 60 }),
+  '180': () => ({ minutes: 180 }),
+  tomorrow: () => ({ until: _tomorrowAtNine() }),
+};
+
+/**
+ * "Remind me later" for a reminder or overdue notification: an hour, three hours,
+ * tomorrow 9:00 or a time of the user's choosing (Singapore time). Renders nothing
+ * for other notifications.
+ */
+export default function SnoozeMenu({ notification, onSnoozed, className = '' }) {
+  const [custom, setCustom] = useState(false);
+  const [at, setAt] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const snooze = async (when) => {
+    setBusy(true);
+    setError('');
+    try {
+      const reminder = await snoozeNotification(notification._id, when);
+      setCustom(false);
+      onSnoozed?.(notification, reminder);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!SNOOZABLE_TYPES.includes(notification.type)) return null;
+
+  const choose = (e) => {
+    const { value } = e.target;
+    if (value === 'custom') setCustom(true);
+    else if (OPTIONS[value]) snooze(OPTIONS[value]());
+  };
+
+  return (
+    <div className={`flex flex-col items-end gap-1 ${className}`}>
+      <select aria-label="Snooze" className={SELECT_CLS} value="" disabled={busy} onChange={choose}>
+        <option value="">Snooze…</option>
+        <option value="60">1 hour</option>
+        <option value="180">3 hours</option>
+        <option value="tomorrow">Tomorrow 9:00</option>
+        <option value="custom">Pick a time…</option>
+      </select>
+      {custom && (
+        <form
+          className="flex items-center gap-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (at) snooze({ until: dayjs.tz(at, SG_TZ).toISOString() });
+          }}
+        >
+          <input
+            type="datetime-local"
+            aria-label="Remind me at"
+            className={SELECT_CLS}
+            value={at}
+            onChange={(e) => setAt(e.target.value)}
+          />
+          <button type="submit" className="text-sm text-brand-primary dark:text-brand-secondary hover:underline" disabled={busy || !at}>
+            Snooze
+          </button>
+        </form>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
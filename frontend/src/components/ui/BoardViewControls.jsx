@@ -0,0 +1,207 @@
+import React, { useState } from "react";
+import { DEFAULT_VIEW_STATE, DUE_OPTIONS, GROUP_OPTIONS, SORT_OPTIONS, isDefaultView } from "../../services/board-views.js";
+
+const selectClass =
+  "ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all";
+const labelClass = "text-sm font-medium text-light-text-secondary dark:text-dark-text-secondary";
+const buttonClass =
+  "rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium disabled:opacity-50";
+
+const SHARING_OPTIONS = [
+  { value: "private", label: "Only me" },
+  { value: "project", label: "This project" },
+  { value: "department", label: "My department" },
+];
+
+const Select = ({ label, value, onChange, options }) => (
+  <label className={labelClass}>
+    {label}:
+    <select className={selectClass} value={value} onChange={(e) => onChange(e.target.value)}>
+      {options.map((o) => (
+        <option key={o.value} value={o.value}>
+          {o.label}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+const asOptions = (values) => values.map((v) => ({ value: v, label: v }));
+
+/**
+ * Filter, sort and grouping controls for the manager task board, with the saved views
+ * list. `state` is the board's view state (see services/board-views.js); `onChange(patch)`
+ * updates it.
+ */
+const BoardViewControls = ({
+  state,
+  onChange,
+  statusOptions = ["All"],
+  priorityOptions = ["All"],
+  assigneeOptions = [],
+  savedViews = [],
+  activeViewId = null,
+  userId = null,
+  onSelectView,
+  onSaveView,
+  onDeleteView,
+  onCopyLink,
+}) => {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState("");
+  const [sharing, setSharing] = useState("private");
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const activeView = savedViews.find((v) => v._id === activeViewId) ?? null;
+  const ownsActive = activeView && String(activeView.owner?._id ?? activeView.owner) === String(userId);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setBusy(true);
+    try {
+      await onSaveView({ name: name.trim(), sharing });
+      setSaving(false);
+      setName("");
+      setSharing("private");
+    } catch (err) {
+      alert(err.message || "Failed to save view");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the saved view "${activeView.name}"?`)) return;
+    try {
+      await onDeleteView(activeView._id);
+    } catch (err) {
+      alert(err.message || "Failed to delete view");
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await onCopyLink();
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      alert("Could not copy the link");
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className={labelClass}>
+          View:
+          <select
+            className={selectClass}
+            aria-label="Saved view"
+            value={activeView ? activeView._id : ""}
+            onChange={(e) => {
+              const picked = savedViews.find((v) => v._id === e.target.value);
+              if (picked) onSelectView(picked);
+              else onChange(DEFAULT_VIEW_STATE);
+            }}
+          >
+            <option value="">{activeViewId && !activeView ? "Shared view" : "Custom"}</option>
+            {savedViews.map((v) => (
+              <option key={v._id} value={v._id}>
+                {v.name}
+                {String(v.owner?._id ?? v.owner) !== String(userId) && v.owner?.name ? ` (${v.owner.name})` : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <button type="button" className={buttonClass} onClick={() => setSaving((s) => !s)}>
+          Save view
+        </button>
+        {ownsActive && (
+          <button type="button" className={buttonClass} onClick={remove}>
+            Delete view
+          </button>
+        )}
+        <button type="button" className={buttonClass} onClick={copy}>
+          {copied ? "Link copied" : "Copy link"}
+        </button>
+      </div>
+
+      {saving && (
+        <form onSubmit={submit} className="flex flex-wrap items-center gap-3">
+          <input
+            className={`${selectClass} ml-0`}
+            placeholder="View name"
+            aria-label="View name"
+            maxLength={100}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+          />
+          <Select label="Share with" value={sharing} onChange={setSharing} options={SHARING_OPTIONS} />
+          <button type="submit" className={buttonClass} disabled={busy || !name.trim()}>
+            {busy ? "Saving…" : "Save"}
+          </button>
+          <button type="button" className={buttonClass} onClick={() => setSaving(false)}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <Select
+          label="Status"
+          value={state.status}
+          onChange={(status) => onChange({ status })}
+          options={asOptions(statusOptions)}
+        />
+        <Select
+          label="Priority"
+          value={state.priority}
+          onChange={(priority) => onChange({ priority })}
+          options={asOptions(priorityOptions)}
+        />
+        <Select label="Due" value={state.due} onChange={(due) => onChange({ due })} options={DUE_OPTIONS} />
+        <Select
+          label="Assignee"
+          value={state.assignee}
+          onChange={(assignee) => onChange({ assignee })}
+          options={[
+            { value: "All", label: "Anyone" },
+            { value: "me", label: "Me" },
+            { value: "unassigned", label: "Unassigned" },
+            ...assigneeOptions,
+          ]}
+        />
+        <Select label="Sort" value={state.sort} onChange={(sort) => onChange({ sort })} options={SORT_OPTIONS} />
+        {state.sort !== "default" && (
+          <Select
+            label="Order"
+            value={state.direction}
+            onChange={(direction) => onChange({ direction })}
+            options={[
+              { value: "asc", label: "Ascending" },
+              { value: "desc", label: "Descending" },
+            ]}
+          />
+        )}
+        <Select
+          label="Group by"
+          value={state.groupBy}
+          onChange={(groupBy) => onChange({ groupBy })}
+          options={GROUP_OPTIONS}
+        />
+
+        {!isDefaultView(state) && (
+          <button type="button" className={buttonClass} onClick={() => onChange(DEFAULT_VIEW_STATE)}>
+            Clear Filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { BoardViewControls };
@@ -0,0 +1,205 @@
+import React, { useState } from "react";
+import { bulkDeleteTasks, bulkUpdateTasks } from "../../services/api.js";
+
+const selectClass =
+  "rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all";
+const buttonClass =
+  "rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium disabled:opacity-50";
+
+const ACTIONS = [
+  { value: "status", label: "Set status" },
+  { value: "priority", label: "Set priority" },
+  { value: "add", label: "Add assignee" },
+  { value: "remove", label: "Remove assignee" },
+  { value: "replace", label: "Reassign to" },
+  { value: "shift", label: "Shift deadline" },
+  { value: "move", label: "Move to project" },
+  { value: "delete", label: "Delete" },
+];
+const PRIORITIES = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"];
+const MAX_LISTED_FAILURES = 5;
+
+/** The request body's `changes` for an action and its value, or null when the value is missing. */
+function bulkChanges(action, value) {
+  if (!value && action !== "delete") return null;
+  switch (action) {
+    case "status":
+      return { status: value };
+    case "priority":
+      return { priority: Number(value) };
+    case "add":
+    case "remove":
+    case "replace":
+      return { assignees: { mode: action, users: [value] } };
+    case "shift": {
+      const days = Math.trunc(Number(value));
+      return Number.isFinite(days) && days !== 0 ? { shiftDays: days } : null;
+    }
+    case "move":
+      return { assignedProject: value };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Toolbar for the tasks picked in multi-select mode: one change (or a delete) applied to
+ * all of them through POST /api/tasks/bulk. `onDone(result)` runs after a successful
+ * change; options are `{ value, label }` lists.
+ */
+export const BulkActionBar = ({
+  selectedIds,
+  statusOptions = [],
+  assigneeOptions = [],
+  projectOptions = [],
+  onDone,
+  onSelectAll,
+  onClear,
+}) => {
+  const [action, setAction] = useState("status");
+  const [value, setValue] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const count = selectedIds.length;
+  const changes = bulkChanges(action, value);
+  const ready = count > 0 && (action === "delete" || !!changes);
+
+  const chooseAction = (next) => {
+    setAction(next);
+    setValue("");
+    setError(null);
+  };
+
+  const run = async (overrideBlockers = false) => {
+    if (action === "delete") {
+      const noun = count === 1 ? "task" : `${count} tasks`;
+      if (!window.confirm(`Move ${noun} and their subtasks to the trash?`)) return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      const result =
+        action === "delete"
+          ? await bulkDeleteTasks(selectedIds)
+          : await bulkUpdateTasks(selectedIds, changes, { overrideBlockers });
+      setValue("");
+      onDone?.(result);
+    } catch (e) {
+      const blocked = e.status === 409 && e.failures?.length && e.failures.every((f) => f.blockers?.length);
+      if (blocked && !overrideBlockers && window.confirm(`${e.message}. Some tasks have unfinished blockers. Start them anyway?`)) {
+        return await run(true);
+      }
+      setError({ message: e.message || "Failed to update tasks", failures: e.failures ?? [] });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const valueControl = () => {
+    const select = (label, options) => (
+      <select aria-label={label} className={selectClass} value={value} onChange={(e) => setValue(e.target.value)}>
+        <option value="">Choose…</option>
+        {options.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+    );
+    switch (action) {
+      case "status":
+        return select("New status", statusOptions);
+      case "priority":
+        return select("New priority", PRIORITIES.map((p) => ({ value: p, label: p })));
+      case "add":
+      case "remove":
+      case "replace":
+        return select("Team member", assigneeOptions);
+      case "shift":
+        return (
+          <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+            <input
+              type="number"
+              aria-label="Days to shift"
+              className={`${selectClass} w-20 mr-2`}
+              value={value}
+              placeholder="+3"
+              onChange={(e) => setValue(e.target.value)}
+            />
+            days (negative for earlier)
+          </label>
+        );
+      case "move":
+        return select("Target project", projectOptions);
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Bulk actions"
+      className="sticky top-2 z-40 rounded-xl border border-brand-primary/30 dark:border-brand-secondary/30 bg-light-bg dark:bg-dark-bg shadow-lg p-3 space-y-2"
+    >
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-semibold text-light-text-primary dark:text-dark-text-primary">
+          {count} selected
+        </span>
+        <button type="button" className={buttonClass} onClick={onSelectAll}>
+          Select all
+        </button>
+        <button type="button" className={buttonClass} onClick={onClear} disabled={!count}>
+          Clear
+        </button>
+
+        <select
+          aria-label="Bulk action"
+          className={selectClass}
+          value={action}
+          onChange={(e) => chooseAction(e.target.value)}
+        >
+          {ACTIONS.map((a) => (
+            <option key={a.value} value={a.value}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+        {valueControl()}
+
+        <button
+          type="button"
+          disabled={!ready || busy}
+          onClick={() => run()}
+          className={
+            action === "delete"
+              ? "rounded-lg bg-danger text-white px-3 py-1.5 text-sm font-semibold disabled:opacity-50"
+              : "rounded-lg bg-brand-primary dark:bg-brand-secondary text-white px-3 py-1.5 text-sm font-semibold disabled:opacity-50"
+          }
+        >
+          {busy ? "Working…" : action === "delete" ? `Delete ${count}` : `Apply to ${count}`}
+        </button>
+      </div>
+
+      {error && (
+        <div role="alert" className="text-sm text-danger">
+          <p className="font-semibold">Nothing was changed: {error.message}</p>
+          {error.failures.length > 1 && (
+            <ul className="list-disc ml-5">
+              {error.failures.slice(0, MAX_LISTED_FAILURES).map((f, i) => (
+                <li key={f.taskId ?? i}>
+                  {f.title ? `${f.title}: ` : ""}
+                  {f.error}
+                </li>
+              ))}
+              {error.failures.length > MAX_LISTED_FAILURES && (
+                <li>…and {error.failures.length - MAX_LISTED_FAILURES} more</li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from "react";
+import {
+  getCalendarFeeds,
+  getProjectsByUserId,
+  openCalendarFeed,
+  regenerateCalendarFeed,
+  revokeCalendarFeed,
+} from "../../services/api";
+import { useAuth } from "/src/context/useAuth";
+
+// ===== Constants =====
+const PANEL_CLS = "rounded-2xl border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg p-4 space-y-3";
+const ROW_CLS = "flex flex-wrap items-center gap-2";
+const NAME_CLS = "min-w-[8rem] text-sm font-medium text-light-text-primary dark:text-dark-text-primary";
+const META_CLS = "text-xs text-light-text-muted dark:text-dark-text-muted";
+const INPUT_CLS = "flex-1 min-w-[16rem] px-3 py-1.5 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-xs font-mono text-light-text-primary dark:text-dark-text-primary";
+const BTN_CLS = "px-3 py-1.5 rounded-lg border border-light-border dark:border-dark-border text-sm hover:opacity-90 disabled:opacity-50";
+
+const _idOf = (v) => String(v?._id ?? v ?? "");
+
+/** One feed: its link to copy, a new link, or revoking it. */
+const FeedRow = ({ name, feed, busy, onOpen, onRegenerate, onRevoke }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    await navigator.clipboard?.writeText(feed.url);
+    setCopied(true);
+  };
+
+  return (
+    <div className={ROW_CLS}>
+      <span className={NAME_CLS}>{name}</span>
+      {feed ? (
+        <>
+          <input readOnly aria-label={`${name} feed link`} value={feed.url} className={INPUT_CLS} onFocus={(e) => e.target.select()} />
+          <button type="button" className={BTN_CLS} onClick={copy}>
+            {copied ? "Copied" : "Copy"}
+          </button>
+          <button type="button" className={BTN_CLS} disabled={busy} onClick={onRegenerate}>
+            New link
+          </button>
+          <button type="button" className={BTN_CLS} disabled={busy} onClick={onRevoke}>
+            Revoke
+          </button>
+        </>
+      ) : (
+        <button type="button" className={BTN_CLS} disabled={busy} onClick={onOpen}>
+          Create link
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Subscription links for calendar apps: the user's own tasks and any of their projects.
+ * Anyone with a link can read the feed, so links can be replaced or revoked.
+ */
+const CalendarFeeds = () => {
+  const { user } = useAuth();
+  const [feeds, setFeeds] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getCalendarFeeds()
+      .then(setFeeds)
+      .catch((e) => setError(e.message || "Failed to load calendar feeds"));
+    if (user?.id) {
+      getProjectsByUserId(user.id)
+        .then(setProjects)
+        .catch(() => setProjects([]));
+    }
+  }, [user?.id]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message || "Failed to update calendar feed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const upsert = (feed) => setFeeds((prev) => [...prev.filter((f) => f._id !== feed._id), feed]);
+  const open = (project) => run(async () => upsert(await openCalendarFeed(project)));
+  const regenerate = (feed) => run(async () => upsert(await regenerateCalendarFeed(feed._id)));
+  const revoke = (feed) => {
+    if (!window.confirm("Calendar apps using this link will stop updating. Revoke it?")) return;
+    run(async () => {
+      await revokeCalendarFeed(feed._id);
+      setFeeds((prev) => prev.filter((f) => f._id !== feed._id));
+    });
+  };
+
+  const mine = feeds.find((f) => !f.project);
+  const projectFeeds = feeds.filter((f) => f.project);
+  const withoutFeed = projects.filter((p) => !projectFeeds.some((f) => _idOf(f.project) === p._id));
+
+  const row = (name, feed, project) => (
+    <FeedRow
+      key={feed?._id ?? "mine"}
+      name={name}
+      feed={feed}
+      busy={busy}
+      onOpen={() => open(project)}
+      onRegenerate={() => regenerate(feed)}
+      onRevoke={() => revoke(feed)}
+    />
+  );
+
+  return (
+    <div className={PANEL_CLS}>
+      <p className={META_CLS}>
+        Subscribe to these links in Google Calendar, Outlook or Apple Calendar to see deadlines there.
+        The calendar is read-only and updates every few minutes. Anyone with a link can read it.
+      </p>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {row("My tasks", mine, null)}
+      {projectFeeds.map((f) => row(f.project.name ?? "Project", f, _idOf(f.project)))}
+
+      {withoutFeed.length > 0 && (
+        <div className={ROW_CLS}>
+          <select
+            aria-label="Project"
+            value={projectId}
+            onChange={(e) => setProjectId(e.target.value)}
+            className="px-3 py-1.5 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-sm text-light-text-primary dark:text-dark-text-primary"
+          >
+            <option value="">Add a project…</option>
+            {withoutFeed.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className={BTN_CLS}
+            disabled={busy || !projectId}
+            onClick={() => open(projectId).then(() => setProjectId(""))}
+          >
+            Create link
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export { CalendarFeeds };
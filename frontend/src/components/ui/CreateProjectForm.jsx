@@ -1,6 +1,12 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useAuth } from "/src/context/useAuth";
-import { createProject, getAllTeamMembers, getDepartments } from "../../services/api.js";
+import {
+  createProject,
+  createProjectFromTemplate,
+  getAllTeamMembers,
+  getDepartments,
+  getTemplates,
+} from "../../services/api.js";
 
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
@@ -137,6 +143,8 @@ const CreateProjectForm = ({ onCancel, onCreated, project = null }) => {
   const [departments, setDepartments] = useState([]);
   const [departmentIds, setDepartmentIds] = useState([]);
   const [deadline, setDeadline] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
 
   const [showMemberDropdown, setShowMemberDropdown] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -167,14 +175,17 @@ const CreateProjectForm = ({ onCancel, onCreated, project = null }) => {
     let isCancelled = false;
     (async () => {
       try {
-        const [memberList, deptList] = await Promise.all([
+        const [memberList, deptList, templateList] = await Promise.all([
           getAllTeamMembers(),
           getDepartments(),
+          // Templates are optional; the form works without them
+          isEdit ? [] : getTemplates().catch(() => []),
         ]);
 
         if (!isCancelled) {
           setMembers(Array.isArray(memberList) ? memberList : []);
           setDepartments(Array.isArray(deptList) ? deptList : []);
+          setTemplates(Array.isArray(templateList) ? templateList : []);
           if (isEdit && Array.isArray(project?.department)) {
             setDepartmentIds(project.department.map(_toId).filter(Boolean));
           }
@@ -268,7 +279,16 @@ const CreateProjectForm = ({ onCancel, onCreated, project = null }) => {
     setError(null);
     try {
       const payload = _buildPayload({ formData, departmentIds, deadline, user, isEdit });
-      const created = await createProject(payload);
+      // A template brings its own deadline and tasks, dated from the start date
+      const created = templateId
+        ? (await createProjectFromTemplate(templateId, {
+          startDate: formData.startDate,
+          name: payload.name,
+          description: payload.description,
+          department: departmentIds,
+          teamMembers: payload.teamMembers,
+        })).project
+        : await createProject(payload);
       onCreated?.(created);
       // Keeping alert for now to avoid scope creep into custom toasts
       alert(isEdit ? "Project updated successfully!" : "Project created successfully!");
@@ -279,6 +299,7 @@ const CreateProjectForm = ({ onCancel, onCreated, project = null }) => {
         setFormData(_initialFormData(user, null));
         setDepartmentIds([]);
         setDeadline("");
+        setTemplateId("");
         setNoEndDate(false);
         setShowMemberDropdown(false);
         setError(null);
@@ -320,6 +341,36 @@ const CreateProjectForm = ({ onCancel, onCreated, project = null }) => {
             <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
               {/* Left */}
               <div className="space-y-5 lg:col-span-2">
+                {/* Template */}
+                {!isEdit && templates.length > 0 && (
+                  <div>
+                    <label
+                      htmlFor="project-template"
+                      className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300"
+                    >
+                      Template
+                    </label>
+                    <select
+                      id="project-template"
+                      value={templateId}
+                      onChange={(e) => setTemplateId(e.target.value)}
+                      className={INPUT_BASE_CLS}
+                    >
+                      <option value="">Blank project</option>
+                      {templates.map((t) => (
+                        <option key={t._id} value={t._id}>
+                          {t.name} ({t.taskCount} {t.taskCount === 1 ? "task" : "tasks"})
+                        </option>
+                      ))}
+                    </select>
+                    {templateId && (
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        The template's tasks and deadlines are created relative to the start date.
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Project Name */}
                 <div>
                   <label className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
@@ -44,6 +44,9 @@ const DeleteTaskButton = ({ children = DEFAULT_DELETE_LABEL, task, onTaskDeleted
             Are you sure you want to delete: <br />
             [<span className="font-bold text-danger">{task?.title ?? "this task"}</span>]?
           </h1>
+          <p className="mb-4 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+            It moves to the trash with its subtasks; you can restore it from there.
+          </p>
           <div className="flex gap-3 justify-center">
             <button
               type="button"
@@ -0,0 +1,276 @@
+import { useMemo, useRef, useState } from "react";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_TICKS = 12;
+
+const BAR_STATUS = {
+    "To Do": "bg-gray-400/80 dark:bg-gray-500/80",
+    "In Progress": "bg-brand-primary/90 dark:bg-brand-secondary/90",
+    Done: "bg-sky-500/80",
+};
+
+function toValidDate(v) {
+    if (!v) return null;
+    const d = v instanceof Date ? v : new Date(v);
+    return Number.isNaN(+d) ? null : d;
+}
+
+const startOfDay = (ts) => {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+};
+
+/**
+ * Flattens timeline items into Gantt rows: grouped by project, each root task
+ * followed by its subtasks. Bars run startAt → endAt (falling back to the deadline).
+ */
+function buildGanttRows(items = []) {
+    const norm = items.map((t) => {
+        const start = toValidDate(t.startAt) || toValidDate(t.createdAt) || new Date();
+        const deadline = toValidDate(t.deadline);
+        let end = toValidDate(t.endAt) || deadline || new Date(start.getTime() + HOUR_MS);
+        if (end < start) end = new Date(start.getTime() + HOUR_MS);
+        return { ...t, id: String(t.id ?? t._id), start, end, deadline };
+    });
+
+    const ids = new Set(norm.map((t) => t.id));
+    const byStart = (a, b) => a.start - b.start;
+    const childrenOf = new Map();
+    const roots = [];
+    for (const t of norm) {
+        const parent = t.parentTask ? String(t.parentTask) : null;
+        if (parent && ids.has(parent)) {
+            if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+            childrenOf.get(parent).push(t);
+        } else {
+            roots.push(t);
+        }
+    }
+
+    const groups = new Map();
+    for (const t of roots.sort(byStart)) {
+        const key = t.project || "";
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    }
+
+    const rows = [];
+    for (const [project, tasks] of groups) {
+        rows.push({ kind: "group", id: `group:${project}`, project: project || "No project" });
+        for (const t of tasks) {
+            rows.push({ kind: "task", depth: 0, ...t });
+            for (const c of (childrenOf.get(t.id) || []).sort(byStart)) {
+                rows.push({ kind: "task", depth: 1, ...c });
+            }
+        }
+    }
+    return rows;
+}
+
+/**
+ * Project Gantt chart. Bars can be dragged to move a task or resized from the
+ * right edge; `onReschedule(item, { startAt, endAt })` persists the change and
+ * the bar snaps back if it rejects.
+ */
+export default function GanttChart({ items = [], projectDeadline = null, onReschedule, onItemClick }) {
+    const trackRef = useRef(null);
+    const [drag, setDrag] = useState(null); // { id, mode: "move" | "resize", x0, dx }
+    const [pending, setPending] = useState({}); // id -> { start, end } while saving
+
+    const rows = useMemo(() => buildGanttRows(items), [items]);
+    const projectDl = toValidDate(projectDeadline);
+    const projectDlTs = projectDl ? projectDl.getTime() : null;
+
+    const { minTs, maxTs, ticks } = useMemo(() => {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const r of rows) {
+            if (r.kind !== "task") continue;
+            min = Math.min(min, r.start.getTime(), r.deadline?.getTime() ?? Infinity);
+            max = Math.max(max, r.end.getTime(), r.deadline?.getTime() ?? -Infinity);
+        }
+        if (projectDlTs != null) {
+            min = Math.min(min, projectDlTs);
+            max = Math.max(max, projectDlTs);
+        }
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            min = max = Date.now();
+        }
+        min = startOfDay(min) - DAY_MS;
+        max = startOfDay(max) + 2 * DAY_MS;
+
+        const days = Math.round((max - min) / DAY_MS);
+        const step = Math.max(1, Math.ceil(days / MAX_TICKS));
+        const ticks = [];
+        for (let ts = min; ts <= max; ts += step * DAY_MS) ticks.push(ts);
+        return { minTs: min, maxTs: max, ticks };
+    }, [rows, projectDlTs]);
+
+    const span = maxTs - minTs || 1;
+    const pct = (ts) => ((ts - minTs) / span) * 100;
+    const fmtDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+    const fmt = (d) => (d ? new Date(d).toLocaleString() : "—");
+
+    const msPerPx = () => span / (trackRef.current?.getBoundingClientRect().width || 1);
+
+    // Where a bar should be drawn right now: mid-drag, saving, or as stored
+    function barTimes(row) {
+        const saved = pending[row.id];
+        const base = saved || { start: row.start.getTime(), end: row.end.getTime() };
+        if (!drag || drag.id !== row.id) return base;
+        const delta = Math.round((drag.dx * msPerPx()) / HOUR_MS) * HOUR_MS;
+        if (drag.mode === "move") return { start: base.start + delta, end: base.end + delta };
+        return { start: base.start, end: Math.max(base.start + HOUR_MS, base.end + delta) };
+    }
+
+    function onPointerDown(e, row, mode) {
+        if (!onReschedule) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        setDrag({ id: row.id, mode, x0: e.clientX, dx: 0 });
+    }
+
+    function onPointerMove(e) {
+        e.stopPropagation();
+        if (!drag) return;
+        setDrag((d) => (d ? { ...d, dx: e.clientX - d.x0 } : d));
+    }
+
+    async function onPointerUp(e, row) {
+        e.stopPropagation();
+        if (!drag || drag.id !== row.id) return;
+        const next = barTimes(row);
+        setDrag(null);
+
+        if (next.start === row.start.getTime() && next.end === row.end.getTime()) {
+            onItemClick?.(row);
+            return;
+        }
+        setPending((p) => ({ ...p, [row.id]: next }));
+        try {
+            await onReschedule(row, {
+                startAt: new Date(next.start).toISOString(),
+                endAt: new Date(next.end).toISOString(),
+            });
+        } catch (err) {
+            console.error(err);
+        } finally {
+            setPending((p) => {
+                const rest = { ...p };
+                delete rest[row.id];
+                return rest;
+            });
+        }
+    }
+
+    if (!rows.length) {
+        return (
+            <div className="text-light-text-secondary dark:text-dark-text-secondary">
+                No tasks to display.
+            </div>
+        );
+    }
+
+    return (
+        <div className="overflow-x-auto">
+            <div className="min-w-[720px]">
+                {/* Axis */}
+                <div className="flex border-b border-light-border dark:border-dark-border">
+                    <div className="w-56 shrink-0 px-2 py-1 text-xs font-semibold text-light-text-secondary dark:text-dark-text-secondary">
+                        Task
+                    </div>
+                    <div ref={trackRef} className="relative h-7 flex-1">
+                        {ticks.map((ts) => (
+                            <span
+                                key={ts}
+                                className="absolute top-1 -translate-x-1/2 text-[11px] text-light-text-muted dark:text-dark-text-muted"
+                                style={{ left: `${pct(ts)}%` }}
+                            >
+                                {fmtDate(ts)}
+                            </span>
+                        ))}
+                        {projectDl && (
+                            <span
+                                className="absolute bottom-0 size-2.5 -translate-x-1/2 rotate-45 bg-red-500"
+                                style={{ left: `${pct(projectDl.getTime())}%` }}
+                                title={`Project deadline: ${fmt(projectDl)}`}
+                            />
+                        )}
+                    </div>
+                </div>
+
+                {/* Rows */}
+                {rows.map((row) => {
+                    if (row.kind === "group") {
+                        return (
+                            <div
+                                key={row.id}
+                                className="px-2 py-1.5 text-sm font-semibold bg-light-surface/60 dark:bg-dark-surface/60 text-light-text-primary dark:text-dark-text-primary"
+                            >
+                                {row.project}
+                            </div>
+                        );
+                    }
+
+                    const { start, end } = barTimes(row);
+                    const left = pct(start);
+                    const width = Math.max(0.5, pct(end) - left);
+                    const overdue = String(row.status) !== "Done" && row.deadline && row.deadline.getTime() < Date.now();
+                    const dragging = drag?.id === row.id;
+
+                    return (
+                        <div key={row.id} className="flex items-center border-b border-light-border/50 dark:border-dark-border/50">
+                            <div
+                                className={`w-56 shrink-0 truncate px-2 py-2 text-sm text-light-text-primary dark:text-dark-text-primary ${row.depth ? "ps-6 text-light-text-secondary dark:text-dark-text-secondary" : ""}`}
+                                title={row.title}
+                            >
+                                {row.title}
+                            </div>
+                            <div className="relative h-9 flex-1">
+                                {projectDl && (
+                                    <span
+                                        className="absolute inset-y-0 border-l border-dashed border-red-400/60"
+                                        style={{ left: `${pct(projectDl.getTime())}%` }}
+                                    />
+                                )}
+
+                                <div
+                                    role="button"
+                                    aria-label={`Move ${row.title}`}
+                                    className={`absolute top-2 h-5 rounded-md ${BAR_STATUS[row.status] || BAR_STATUS["To Do"]} ${overdue ? "ring-2 ring-red-400" : ""} ${onReschedule ? "cursor-grab touch-none" : ""} ${dragging ? "cursor-grabbing opacity-80" : ""} ${pending[row.id] ? "animate-pulse" : ""}`}
+                                    style={{ left: `${left}%`, width: `${width}%` }}
+                                    title={`${row.title}: ${fmt(start)} → ${fmt(end)}`}
+                                    onPointerDown={(e) => onPointerDown(e, row, "move")}
+                                    onPointerMove={onPointerMove}
+                                    onPointerUp={(e) => onPointerUp(e, row)}
+                                    onClick={onReschedule ? undefined : () => onItemClick?.(row)}
+                                >
+                                    {onReschedule && (
+                                        <span
+                                            role="button"
+                                            aria-label={`Resize ${row.title}`}
+                                            className="absolute inset-y-0 right-0 w-2 cursor-ew-resize rounded-r-md bg-black/20"
+                                            onPointerDown={(e) => onPointerDown(e, row, "resize")}
+                                            onPointerMove={onPointerMove}
+                                            onPointerUp={(e) => onPointerUp(e, row)}
+                                        />
+                                    )}
+                                </div>
+
+                                {row.deadline && (
+                                    <span
+                                        className={`absolute top-3 size-2.5 -translate-x-1/2 rotate-45 ${overdue ? "bg-red-500" : "bg-amber-500"}`}
+                                        style={{ left: `${pct(row.deadline.getTime())}%` }}
+                                        title={`Deadline: ${fmt(row.deadline)}`}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
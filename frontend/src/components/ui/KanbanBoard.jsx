@@ -0,0 +1,224 @@
+import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { getProjectBoard, updateTask } from "../../services/api.js";
+import { getSocket } from "../../services/socket.js";
+import { canMove, moveCard, rankForDrop } from "../../services/board.js";
+import { LabelChips } from "./LabelChips.jsx";
+
+// ===== Constants =====
+const COLUMN_CLS =
+  "flex w-72 shrink-0 flex-col rounded-2xl border bg-light-surface dark:bg-dark-surface transition-colors";
+const CARD_CLS =
+  "rounded-xl border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg p-3 text-left shadow-sm hover:border-brand-primary dark:hover:border-brand-secondary cursor-grab active:cursor-grabbing";
+const CATEGORY_ACCENT = {
+  not_started: "bg-light-text-muted dark:bg-dark-text-muted",
+  active: "bg-info",
+  done: "bg-success",
+};
+
+// ===== Private helpers =====
+const _fmtDeadline = (d) => (d ? dayjs(d).format("DD MMM") : null);
+const _isOverdue = (task) =>
+  task.statusCategory !== "done" && task.deadline && dayjs(task.deadline).isBefore(dayjs());
+
+const _wipMessage = ({ status, limit, count }) =>
+  `"${status}" is over its WIP limit (${count}/${limit}).`;
+
+const BoardCard = ({ task, onOpen, onDragStart, onDragOver }) => (
+  <li
+    draggable
+    onDragStart={(e) => onDragStart(e, task)}
+    onDragOver={onDragOver}
+    data-testid={`card-${task._id}`}
+  >
+    <button type="button" className={`w-full ${CARD_CLS}`} onClick={() => onOpen?.(task)}>
+      <p className="font-semibold text-light-text-primary dark:text-dark-text-primary line-clamp-2">
+        {task.title || "Untitled task"}
+      </p>
+      <LabelChips labels={task.labels} className="mt-2" />
+      <div className="mt-2 flex items-center justify-between text-xs text-light-text-muted dark:text-dark-text-muted">
+        <span>Priority {task.priority ?? "—"}</span>
+        {task.deadline && (
+          <span className={_isOverdue(task) ? "font-semibold text-danger" : ""}>
+            {_fmtDeadline(task.deadline)}
+          </span>
+        )}
+      </div>
+      {task.assignedTeamMembers?.length > 0 && (
+        <p className="mt-1 truncate text-xs text-light-text-secondary dark:text-dark-text-secondary">
+          {task.assignedTeamMembers.map((m) => m?.name).filter(Boolean).join(", ")}
+        </p>
+      )}
+    </button>
+  </li>
+);
+
+/**
+ * Kanban view of a project: one column per workflow status. Cards are dragged between
+ * columns (a status change) or within one (a new rank), saved through PUT /api/tasks/:id.
+ * Reloads whenever another client updates a task in this project.
+ */
+const KanbanBoard = ({ projectId, onOpenTask, refreshKey = 0 }) => {
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [dragging, setDragging] = useState(null); // { id, from }
+  const [dropTarget, setDropTarget] = useState(null); // { status, index }
+
+  const load = useCallback(async () => {
+    if (!projectId) return;
+    setLoading(true);
+    setError("");
+    try {
+      setBoard(await getProjectBoard(projectId));
+    } catch (e) {
+      setError(e.message || "Failed to load the board");
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // Live updates: the PUT that moved a card (or a bulk change) tells every client which projects changed
+  useEffect(() => {
+    if (!projectId) return;
+    const socket = getSocket();
+    const onUpdated = (payload) => {
+      if (!payload?.projectId || payload.projectId === String(projectId)) load();
+    };
+    const onBulk = (payload) => {
+      if (!payload?.projectIds || payload.projectIds.includes(String(projectId))) load();
+    };
+    socket.on("task:updated", onUpdated);
+    socket.on("tasks:bulk", onBulk);
+    return () => {
+      socket.off("task:updated", onUpdated);
+      socket.off("tasks:bulk", onBulk);
+    };
+  }, [projectId, load]);
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer?.setData("text/plain", task._id);
+    setDragging({ id: task._id, from: task.status });
+    setNotice("");
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  async function drop(column) {
+    const target = dropTarget?.status === column.name ? dropTarget : null;
+    const card = dragging;
+    handleDragEnd();
+    if (!card || !canMove(board.transitions, card.from, column.name)) return;
+
+    // Drop positions count the dragged card; ranks and the optimistic move don't
+    const ownIndex = column.tasks.findIndex((t) => t._id === card.id);
+    let index = target?.index ?? column.tasks.length;
+    if (ownIndex !== -1 && ownIndex < index) index -= 1;
+    const rank = rankForDrop(column, card.id, index);
+    const statusChanged = column.name !== card.from;
+    const previous = board;
+    setBoard((b) => ({ ...b, columns: moveCard(b.columns, card.id, column.name, index, rank) }));
+
+    const patch = statusChanged ? { status: column.name, rank } : { rank };
+    try {
+      let updated;
+      try {
+        updated = await updateTask(card.id, patch);
+      } catch (err) {
+        if (err?.status !== 409 || !err.blockers?.length) throw err;
+        const names = err.blockers.map((b) => `• ${b.title}`).join("\n");
+        if (!window.confirm(`This task is blocked by unfinished tasks:\n${names}\n\nStart it anyway?`)) throw err;
+        updated = await updateTask(card.id, { ...patch, overrideBlockers: true });
+      }
+      if (updated?.wipWarning) setNotice(_wipMessage(updated.wipWarning));
+    } catch (err) {
+      setBoard(previous);
+      setError(err?.message || "Failed to move the task");
+    }
+  }
+
+  if (!projectId) return null;
+  if (loading && !board) {
+    return <p className="text-light-text-secondary dark:text-dark-text-secondary">Loading board…</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <p role="alert" className="rounded-lg border border-priority-high-border bg-priority-high-bg px-3 py-2 text-sm text-priority-high-text">
+          {error}
+        </p>
+      )}
+      {notice && (
+        <p role="status" className="rounded-lg border border-warning bg-priority-medium-bg px-3 py-2 text-sm text-priority-medium-text">
+          {notice}
+        </p>
+      )}
+
+      <div className="flex gap-4 overflow-x-auto pb-2" onDragEnd={handleDragEnd}>
+        {(board?.columns ?? []).map((column) => {
+          const blocked = dragging && !canMove(board.transitions, dragging.from, column.name);
+          const isTarget = dropTarget?.status === column.name && !blocked;
+          return (
+            <section
+              key={column.name}
+              aria-label={column.name}
+              className={`${COLUMN_CLS} ${isTarget ? "border-brand-primary dark:border-brand-secondary" : "border-light-border dark:border-dark-border"} ${blocked ? "opacity-50" : ""}`}
+              onDragOver={(e) => {
+                if (blocked) return;
+                e.preventDefault();
+                if (dropTarget?.status !== column.name) setDropTarget({ status: column.name, index: column.tasks.length });
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                drop(column);
+              }}
+            >
+              <header className="flex items-center gap-2 px-3 pt-3">
+                <span className={`h-2 w-2 rounded-full ${CATEGORY_ACCENT[column.category] ?? ""}`} />
+                <h3 className="flex-1 truncate text-sm font-bold text-light-text-primary dark:text-dark-text-primary">
+                  {column.name}
+                </h3>
+                <span
+                  className={`text-xs font-semibold ${column.overLimit ? "text-danger" : "text-light-text-muted dark:text-dark-text-muted"}`}
+                  title={column.wipLimit ? `WIP limit ${column.wipLimit}` : undefined}
+                >
+                  {column.wipLimit ? `${column.count}/${column.wipLimit}` : column.count}
+                </span>
+              </header>
+
+              <ol className="flex min-h-16 flex-col gap-2 p-3">
+                {column.tasks.map((task, i) => (
+                  <BoardCard
+                    key={task._id}
+                    task={task}
+                    onOpen={onOpenTask}
+                    onDragStart={handleDragStart}
+                    onDragOver={(e) => {
+                      if (blocked) return;
+                      e.preventDefault();
+                      e.stopPropagation();
+                      if (dropTarget?.status !== column.name || dropTarget.index !== i) {
+                        setDropTarget({ status: column.name, index: i });
+                      }
+                    }}
+                  />
+                ))}
+              </ol>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export { KanbanBoard };
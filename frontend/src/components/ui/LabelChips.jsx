@@ -0,0 +1,53 @@
+import React from "react";
+
+// ===== Constants =====
+const DEFAULT_COLOR = "#64748b";
+const CHIP_CLS = "inline-flex max-w-[10rem] items-center truncate rounded-full px-2 py-0.5 text-xs font-medium";
+
+// ===== Private helpers =====
+/** Black or white text, whichever reads better on `hex`. */
+const _textOn = (hex) => {
+  const n = parseInt(String(hex).slice(1), 16);
+  if (!Number.isFinite(n)) return "#fff";
+  const [r, g, b] = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  return r * 0.299 + g * 0.587 + b * 0.114 > 160 ? "#111827" : "#fff";
+};
+
+const LabelChip = ({ label, selected, onClick }) => {
+  const color = label?.color || DEFAULT_COLOR;
+  const style = { backgroundColor: color, color: _textOn(color) };
+  if (!onClick) {
+    return (
+      <span className={CHIP_CLS} style={style} title={label?.name}>
+        {label?.name}
+      </span>
+    );
+  }
+  // Picker mode: unselected labels are outlined in their colour
+  return (
+    <button
+      type="button"
+      aria-pressed={!!selected}
+      className={`${CHIP_CLS} border transition-opacity hover:opacity-90`}
+      style={selected ? { ...style, borderColor: color } : { borderColor: color, color }}
+      onClick={() => onClick(label)}
+    >
+      {label?.name}
+    </button>
+  );
+};
+
+/** A task's or project's labels as coloured chips; renders nothing without labels. */
+const LabelChips = ({ labels, className = "" }) => {
+  const shown = (labels ?? []).filter((l) => l?.name);
+  if (!shown.length) return null;
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {shown.map((l) => (
+        <LabelChip key={l._id ?? l.id} label={l} />
+      ))}
+    </div>
+  );
+};
+
+export { LabelChip, LabelChips };
@@ -0,0 +1,85 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { getTaskActivity } from "../../services/api";
+
+// ===== Constants =====
+const PAGE_SIZE = 30;
+
+const LIST_CONTAINER_CLS = "space-y-2";
+const ITEM_CLS = "rounded-xl border px-3 py-2 bg-[--color-light-surface] dark:bg-[--color-dark-surface]";
+const ITEM_META_CLS = "text-xs text-slate-500 dark:text-[--color-dark-text-muted]";
+const ITEM_TEXT_CLS = "text-sm text-slate-900 dark:text-[--color-dark-text-primary]";
+const MORE_BTN_CLS = "rounded-xl border px-3 py-1.5 text-sm hover:opacity-90";
+
+const ENTITY_LABELS = { Task: "the task", Comment: "a comment", Attachment: "an attachment" };
+
+// ===== Private helpers =====
+const _fmtWhen = (d) => new Date(d).toLocaleString();
+
+const _describe = (entry) => {
+  const what = ENTITY_LABELS[entry.entityType] ?? entry.entityType?.toLowerCase();
+  if (entry.action === "updated" && entry.entityType === "Task") return entry.summary || "updated the task";
+  if (entry.entityType === "Attachment") {
+    const name = entry.changes?.[0]?.to ?? entry.changes?.[0]?.from;
+    return `${entry.action === "deleted" ? "removed" : "attached"} ${name ? `"${name}"` : what}`;
+  }
+  return `${entry.action === "created" ? "added" : entry.action} ${what}`;
+};
+
+/** History tab for the TaskCard modal: who changed what, newest first. */
+const TaskActivity = ({ taskId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [hasMore, setHasMore] = useState(false);
+
+  const load = useCallback(async (before) => {
+    if (!taskId) return;
+    setLoading(true);
+    setError("");
+    try {
+      const page = await getTaskActivity(taskId, { before, limit: PAGE_SIZE });
+      setEntries((prev) => (before ? [...prev, ...page] : page));
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (e) {
+      setError(e.message || "Failed to load history");
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (!loading && !entries.length) {
+    return <p className={ITEM_META_CLS}>No history yet.</p>;
+  }
+
+  return (
+    <div>
+      <ul className={LIST_CONTAINER_CLS}>
+        {entries.map((e) => (
+          <li key={e._id} className={ITEM_CLS}>
+            <p className={ITEM_TEXT_CLS}>
+              <strong>{e.actor?.name ?? "Someone"}</strong> {_describe(e)}
+            </p>
+            <p className={ITEM_META_CLS}>{_fmtWhen(e.createdAt)}</p>
+          </li>
+        ))}
+      </ul>
+      {loading && <p className={`mt-2 ${ITEM_META_CLS}`}>Loading…</p>}
+      {hasMore && !loading && (
+        <button
+          type="button"
+          className={`mt-3 ${MORE_BTN_CLS}`}
+          onClick={() => load(entries[entries.length - 1]?.createdAt)}
+        >
+          Load older
+        </button>
+      )}
+    </div>
+  );
+};
+
+export { TaskActivity };
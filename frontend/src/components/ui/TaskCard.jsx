@@ -4,7 +4,20 @@ import dayjs from "dayjs";
 import TaskFormButton from "./TaskFormButton";
 import { DeleteTaskButton } from "./DeleteTaskButton";
 import { TaskComments } from "./TaskComments";
-import { updateTask, createTask, getSubtasks } from "../../services/api.js";
+import { TaskActivity } from "./TaskActivity";
+import { TaskSeries } from "./TaskSeries";
+import { TaskTimeTracking } from "./TaskTimeTracking";
+import { TaskReminders } from "./TaskReminders";
+import { LabelChips } from "./LabelChips";
+import {
+  updateTask,
+  createTask,
+  getTask,
+  getSubtasks,
+  getAttachmentBlob,
+  getProjectWorkflow,
+} from "../../services/api.js";
+import { DEFAULT_WORKFLOW, initialStatus, statusOptionsFor } from "../../services/workflow.js";
 
 const BTN_PRIMARY_CLS =
   "px-5 py-2 bg-brand-primary/90 text-white rounded-lg shadow hover:bg-brand-primary transition-colors font-medium";
@@ -49,7 +62,25 @@ const FieldRow = ({ label, children }) => (
   </p>
 );
 
-const STATUS_OPTIONS = ["To Do", "In Progress", "Done"];
+const DependencyList = ({ label, items }) => (
+  <div>
+    <p className="text-xs font-semibold uppercase tracking-wide text-light-text-muted dark:text-dark-text-muted">{label}</p>
+    {items.length > 0 ? (
+      <ul className="mt-1 space-y-1">
+        {items.map((t) => (
+          <li key={t._id} className="flex items-center justify-between gap-3 text-sm text-light-text-primary dark:text-dark-text-primary">
+            <span className="truncate">{t.title ?? "Untitled"}</span>
+            <span className={`shrink-0 text-xs ${t.status === "Done" ? "text-light-text-muted dark:text-dark-text-muted" : "font-semibold text-danger"}`}>
+              {t.status ?? "—"}
+            </span>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="mt-1 text-sm text-light-text-muted dark:text-dark-text-muted">—</p>
+    )}
+  </div>
+);
 
 /* ------------------------------
    NEW: Small helpers for files
@@ -66,9 +97,19 @@ function formatBytes(bytes) {
   } while (bytes >= k && i < units.length - 1);
   return `${bytes.toFixed(bytes >= 100 ? 0 : bytes >= 10 ? 1 : 2)} ${units[i]}`;
 }
-function buildAttachmentUrl(taskId, attachmentId) {
-  // Matches your Express route: GET /api/tasks/:taskId/attachments/:attachmentId
-  return `/api/tasks/${taskId}/attachments/${attachmentId}`;
+async function downloadAttachment(taskId, att) {
+  try {
+    const blob = await getAttachmentBlob(taskId, att?._id);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = att?.filename || "attachment";
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error(err);
+    alert("Failed to download attachment");
+  }
 }
 function canPreview(mimetype) {
   if (!mimetype) return false;
@@ -105,8 +146,12 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
       : [];
 
   const [showComments, setShowComments] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSeries, setShowSeries] = useState(false);
+  const isRecurring = Boolean(task?.recurrence || task?.seriesId);
   const [savingStatus, setSavingStatus] = useState(false);
   const [localStatus, setLocalStatus] = useState(task?.status ?? "To Do");
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
 
   const isRoot = !task?.parentTask;
   const [subtasks, setSubtasks] = useState([]);
@@ -116,6 +161,60 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
   const [editingSub, setEditingSub] = useState(null);
   const [pendingSub, setPendingSub] = useState(new Set());
   const [previewAttachment, setPreviewAttachment] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocks: [] });
+
+  // The attachment route needs the Bearer token, so previews use an object URL
+  useEffect(() => {
+    if (!previewAttachment || !canPreview(previewAttachment.mimetype)) return;
+    let url = null;
+    let cancelled = false;
+    getAttachmentBlob(task?._id, previewAttachment._id)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreviewUrl(url);
+      })
+      .catch(() => setPreviewUrl(null));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+      setPreviewUrl(null);
+    };
+  }, [previewAttachment, task?._id]);
+
+  // Status choices come from the project's workflow (and its transition rules)
+  const projectId = task?.assignedProject?._id || task?.assignedProject || null;
+  useEffect(() => {
+    if (!projectId) return;
+    let cancelled = false;
+    getProjectWorkflow(projectId)
+      .then((wf) => {
+        if (!cancelled && wf?.statuses?.length) setWorkflow(wf);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId]);
+
+  // `blocks` is only returned by GET /api/tasks/:id, so load both sides from there
+  useEffect(() => {
+    if (!task?._id) return;
+    let cancelled = false;
+    getTask(task._id)
+      .then((full) => {
+        if (cancelled) return;
+        setDependencies({
+          blockedBy: (full?.blockedBy ?? []).map((d) => d?.task).filter(Boolean),
+          blocks: full?.blocks ?? [],
+        });
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [task?._id, task?.updatedAt]);
 
   useEffect(() => {
     if (!isRoot || !task?._id) return;
@@ -136,7 +235,16 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
     setLocalStatus(next);
     setSavingStatus(true);
     try {
-      const updated = await updateTask(task._id, { status: next });
+      let updated;
+      try {
+        updated = await updateTask(task._id, { status: next });
+      } catch (err) {
+        // A 409 without blockers is a transition the workflow doesn't allow
+        if (err?.status !== 409 || !err.blockers?.length) throw err;
+        const names = (err.blockers ?? []).map((b) => `• ${b.title}`).join("\n");
+        if (!window.confirm(`This task is blocked by unfinished tasks:\n${names}\n\nStart it anyway?`)) throw err;
+        updated = await updateTask(task._id, { status: next, overrideBlockers: true });
+      }
       onTaskUpdated?.(updated);
     } catch (err) {
       setLocalStatus(task?.status ?? "To Do");
@@ -156,7 +264,7 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
         assignedProject: task?.assignedProject?._id || task?.assignedProject || undefined,
         createdBy: currentUser?._id || task?.createdBy?._id || task?.createdBy,
         assignedTeamMembers: (task?.assignedTeamMembers || []).map((u) => u?._id || u).filter(Boolean),
-        status: "To Do",
+        status: initialStatus(workflow),
         priority: task?.priority ?? 5,
       });
       setSubtasks((prev) => [...prev, created]);
@@ -197,6 +305,7 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
           <h2 className="mt-1 text-2xl font-extrabold tracking-tight text-light-text-primary dark:text-dark-text-primary">
             Title: {task?.title ?? "Untitled"}
           </h2>
+          <LabelChips labels={task?.labels} className="mt-2" />
         </div>
 
         {/* Status dropdown */}
@@ -210,7 +319,7 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
             className={`text-sm px-2 py-1 rounded-md border ring-1 ring-light-border dark:ring-dark-border bg-light-surface dark:bg-dark-surface text-light-text-primary dark:text-dark-text-primary
                    ${savingStatus ? "opacity-60 cursor-not-allowed" : "hover:bg-light-bg-secondary dark:hover:bg-dark-bg-secondary"}`}
           >
-            {STATUS_OPTIONS.map((s) => (
+            {statusOptionsFor(workflow, localStatus).map((s) => (
               <option key={s} value={s}>{s}</option>
             ))}
           </select>
@@ -289,6 +398,33 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
         </ul>
       </div>
 
+      {/* Dependencies */}
+      {dependencies.blockedBy.length > 0 || dependencies.blocks.length > 0 ? (
+        <div className="mt-5 rounded-xl bg-light-surface dark:bg-dark-surface ring-1 ring-light-border dark:ring-dark-border">
+          <div className="px-4 py-2 text-sm font-semibold text-light-text-primary dark:text-dark-text-primary">Dependencies</div>
+          <div className="grid gap-4 px-4 pb-3 sm:grid-cols-2">
+            <DependencyList label="Blocked by" items={dependencies.blockedBy} />
+            <DependencyList label="Blocks" items={dependencies.blocks} />
+          </div>
+        </div>
+      ) : null}
+
+      {/* Time tracking */}
+      <div className="mt-5 rounded-xl bg-light-surface dark:bg-dark-surface ring-1 ring-light-border dark:ring-dark-border">
+        <div className="px-4 py-2 text-sm font-semibold text-light-text-primary dark:text-dark-text-primary">Time Tracking</div>
+        <div className="px-4 pb-3">
+          <TaskTimeTracking key={task?._id} taskId={task?._id} currentUserId={currentUser?._id} />
+        </div>
+      </div>
+
+      {/* Personal reminders */}
+      <div className="mt-5 rounded-xl bg-light-surface dark:bg-dark-surface ring-1 ring-light-border dark:ring-dark-border">
+        <div className="px-4 py-2 text-sm font-semibold text-light-text-primary dark:text-dark-text-primary">My Reminders</div>
+        <div className="px-4 pb-3">
+          <TaskReminders key={task?._id} taskId={task?._id} hasDeadline={Boolean(task?.deadline)} />
+        </div>
+      </div>
+
       {/* ----------------------------------------
           NEW: Attachments section
       ----------------------------------------- */}
@@ -298,7 +434,6 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
           {Array.isArray(task?.attachments) && task.attachments.length > 0 ? (
             <ul className="divide-y divide-light-border/60 dark:divide-dark-border/60">
               {task.attachments.map((att) => {
-                const url = buildAttachmentUrl(task?._id, att?._id);
                 const showPreview = canPreview(att?.mimetype);
                 return (
                   <li key={att?._id} className="flex items-center justify-between gap-3 py-3">
@@ -311,15 +446,13 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
                       </p>
                     </div>
                     <div className="flex items-center gap-2 shrink-0">
-                      <a
-                        href={url}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                      <button
+                        type="button"
+                        onClick={() => downloadAttachment(task?._id, att)}
                         className="px-3 py-1.5 text-sm font-semibold rounded-lg bg-brand-primary/90 text-white hover:opacity-95"
-                        download
                       >
                         Download
-                      </a>
+                      </button>
                     </div>
                   </li>
                 );
@@ -395,12 +528,12 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
                       <div className="flex items-center gap-2 shrink-0">
                         <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary">Status</label>
                         <select
-                          value={st.status || "To Do"}
+                          value={st.status || initialStatus(workflow)}
                           onChange={(e) => setSubStatus(st, e.target.value)}
                           className="text-sm px-2 py-1 rounded-md border ring-1 ring-light-border dark:ring-dark-border bg-light-bg dark:bg-dark-bg disabled:opacity-60"
                           disabled={pendingSub.has(st._id)}
                         >
-                          {["To Do", "In Progress", "Done"].map((s) => (
+                          {statusOptionsFor(workflow, st.status).map((s) => (
                             <option key={s} value={s}>{s}</option>
                           ))}
                         </select>
@@ -473,14 +606,14 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
             <div className="rounded-lg ring-1 ring-light-border dark:ring-dark-border overflow-auto max-h-[80vh] bg-white dark:bg-black">
               {previewAttachment.mimetype?.startsWith("image/") ? (
                 <img
-                  src={buildAttachmentUrl(task?._id, previewAttachment?._id)}
+                  src={previewUrl || undefined}
                   alt={previewAttachment.filename || "image"}
                   className="max-w-full h-auto block mx-auto"
                 />
               ) : previewAttachment.mimetype === "application/pdf" ? (
                 <iframe
                   title={previewAttachment.filename || "PDF preview"}
-                  src={buildAttachmentUrl(task?._id, previewAttachment?._id)}
+                  src={previewUrl || undefined}
                   className="w-full h-[80vh]"
                 />
               ) : (
@@ -491,15 +624,13 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
               )}
             </div>
             <div className="mt-3 flex justify-end">
-              <a
-                href={buildAttachmentUrl(task?._id, previewAttachment?._id)}
-                target="_blank"
-                rel="noopener noreferrer"
+              <button
+                type="button"
+                onClick={() => downloadAttachment(task?._id, previewAttachment)}
                 className={BTN_PRIMARY_CLS}
-                download
               >
                 Download
-              </a>
+              </button>
             </div>
           </div>
         </div>
@@ -515,6 +646,24 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
         >
           {showComments ? "Hide comments" : "Show comments"}
         </button>
+        <button
+          type="button"
+          onClick={() => setShowHistory((v) => !v)}
+          className={BTN_PRIMARY_CLS}
+          aria-expanded={showHistory}
+        >
+          {showHistory ? "Hide history" : "Show history"}
+        </button>
+        {isRecurring && (
+          <button
+            type="button"
+            onClick={() => setShowSeries((v) => !v)}
+            className={BTN_PRIMARY_CLS}
+            aria-expanded={showSeries}
+          >
+            {showSeries ? "Hide series" : "Show series"}
+          </button>
+        )}
         <TaskFormButton task={task} onTaskUpdated={onTaskUpdated}>Edit Task</TaskFormButton>
         <DeleteTaskButton task={task} onTaskDeleted={onTaskDeleted}>Delete Task</DeleteTaskButton>
       </div>
@@ -530,6 +679,30 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, currentUser }) => {
           </section>
         ) : null
       }
+
+      {/* History */}
+      {
+        showHistory ? (
+          <section className="mt-6">
+            <h3 className="mb-2 text-lg font-semibold text-light-text-primary dark:text-dark-text-primary">History</h3>
+            <div className="rounded-2xl border p-3 bg-light-surface dark:bg-dark-surface ring-1 ring-light-border dark:ring-dark-border">
+              <TaskActivity key={task?.updatedAt} taskId={task?._id} />
+            </div>
+          </section>
+        ) : null
+      }
+
+      {/* Series */}
+      {
+        isRecurring && showSeries ? (
+          <section className="mt-6">
+            <h3 className="mb-2 text-lg font-semibold text-light-text-primary dark:text-dark-text-primary">Series</h3>
+            <div className="rounded-2xl border p-3 bg-light-surface dark:bg-dark-surface ring-1 ring-light-border dark:ring-dark-border">
+              <TaskSeries key={task?.updatedAt} taskId={task?._id} title={task?.title} />
+            </div>
+          </section>
+        ) : null
+      }
     </article >
   );
 };
@@ -1,6 +1,5 @@
 import React, { useEffect, useRef, useState, useLayoutEffect } from "react";
 import { createPortal } from "react-dom";
-import io from "socket.io-client";
 import {
   listTaskComments,
   createTaskComment,
@@ -8,14 +7,17 @@ import {
   deleteTaskComment,
   getMe,
   searchMentionableUsers,
+  toggleCommentReaction,
+  setCommentThreadResolved,
 } from "../../services/api";
+import { getSocket, viewTask } from "../../services/socket.js";
 
 // ===== Constants =====
-const SOCKET_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:3000";
 const PAGE_SIZE = 20;
 const SUGGESTION_MAX_WIDTH = 576;
 const Z_INDEX_SUGGESTIONS = 10000;
 const AT_TOKEN_RE = /(^|[\s(])@([a-z0-9._+-]{0,64})$/i;
+const REACTION_CHOICES = ["👍", "❤️", "🎉", "😄", "👀", "🚀"];
 
 const LIST_CONTAINER_CLS = "space-y-3";
 const ITEM_CLS = "rounded-2xl border p-3 bg-[--color-light-surface] dark:bg-[--color-dark-surface]";
@@ -25,9 +27,12 @@ const ITEM_EDITED_CLS = "ml-1 text-xs text-slate-500 dark:text-[--color-dark-tex
 const ITEM_BODY_CLS = "mt-1 whitespace-pre-wrap text-slate-900 dark:text-[--color-dark-text-primary]";
 const ITEM_ACTIONS_CLS = "mt-2 flex gap-3 text-sm text-[--color-brand-primary]";
 const FORM_BTN_CLS = "rounded-xl border px-3 py-2 hover:opacity-90";
-
-// ===== Socket =====
-const socket = io(SOCKET_BASE_URL, { withCredentials: true });
+const REPLIES_CLS = "mt-3 space-y-2 border-l-2 pl-3";
+const REPLY_CLS = "rounded-xl p-2 bg-black/5 dark:bg-white/5";
+const RESOLVED_CLS = "rounded-full bg-green-100 px-2 py-0.5 text-xs text-green-800 dark:bg-green-900/40 dark:text-green-300";
+const REACTION_CLS = "rounded-full border px-2 py-0.5 text-sm hover:opacity-90";
+const REACTION_MINE_CLS = "border-[--color-brand-primary] bg-[--color-brand-primary]/10";
+const REACTION_SELECT_CLS = "rounded-full border px-1 py-0.5 text-sm bg-transparent";
 
 // ===== Private helpers =====
 const _sortDesc = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
@@ -39,6 +44,25 @@ const _dedupeById = (arr) => {
 const _isObjectId = (s) => typeof s === "string" && /^[0-9a-fA-F]{24}$/.test(s);
 const _isTempId = (s) => typeof s === "string" && s.startsWith("tmp-");
 
+// Apply `fn` to the comment with `id`, whether it starts a thread or is a reply
+const _mapComment = (list, id, fn) =>
+  list.map((c) => {
+    if (c._id === id) return fn(c);
+    if (!c.replies?.some((r) => r._id === id)) return c;
+    return { ...c, replies: c.replies.map((r) => (r._id === id ? fn(r) : r)) };
+  });
+const _removeComment = (list, id) =>
+  list
+    .filter((c) => c._id !== id)
+    .map((c) => (c.replies?.some((r) => r._id === id) ? { ...c, replies: c.replies.filter((r) => r._id !== id) } : c));
+// Replies arrive both as the POST response and over the socket; add each once
+const _addReply = (list, reply) =>
+  list.map((c) =>
+    c._id === reply.parent && !(c.replies ?? []).some((r) => r._id === reply._id)
+      ? { ...c, replies: [...(c.replies ?? []), reply] }
+      : c
+  );
+
 const _findAtToken = (value, caret) => {
   const left = value.slice(0, caret);
   const m = AT_TOKEN_RE.exec(left);
@@ -116,6 +140,86 @@ const SuggestionsPortal = ({ anchorEl, open, items, loading, onPick, onClose })
   return createPortal(content, document.body);
 };
 
+// ===== Reactions =====
+const ReactionBar = ({ reactions = [], meId, disabled, onToggle }) => (
+  <div className="mt-2 flex flex-wrap items-center gap-1">
+    {reactions.map((r) => {
+      const mine = Boolean(meId) && (r.users ?? []).includes(String(meId));
+      return (
+        <button
+          key={r.emoji}
+          type="button"
+          className={`${REACTION_CLS} ${mine ? REACTION_MINE_CLS : ""}`}
+          aria-pressed={mine}
+          aria-label={`${r.emoji} ${r.count}`}
+          onClick={() => onToggle(r.emoji)}
+          disabled={disabled}
+        >
+          {r.emoji} {r.count}
+        </button>
+      );
+    })}
+    <select
+      aria-label="Add reaction"
+      className={REACTION_SELECT_CLS}
+      value=""
+      disabled={disabled}
+      onChange={(e) => e.target.value && onToggle(e.target.value)}
+    >
+      <option value="">+ React</option>
+      {REACTION_CHOICES.map((emoji) => (
+        <option key={emoji} value={emoji}>{emoji}</option>
+      ))}
+    </select>
+  </div>
+);
+
+// ===== Reply composer =====
+const ReplyForm = ({ onSubmit, onCancel }) => {
+  const [text, setText] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const val = text.trim();
+    if (!val) return;
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit(val);
+      setText("");
+      onCancel();
+    } catch (err) {
+      setError(err?.message || "Failed to post reply");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="mt-2 flex flex-col gap-2">
+      <textarea
+        aria-label="Reply"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={2}
+        placeholder="Write a reply"
+        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-[--color-brand-primary]"
+      />
+      <div className="flex justify-end gap-2">
+        <button type="button" className={FORM_BTN_CLS} onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className={FORM_BTN_CLS} disabled={busy}>
+          Post reply
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
 // ===== Component =====
 const TaskComments = ({ taskId, currentUser }) => {
   const [items, setItems] = useState([]);
@@ -130,6 +234,10 @@ const TaskComments = ({ taskId, currentUser }) => {
   const [suggest, setSuggest] = useState({ open: false, items: [], token: null });
   const [suggestLoading, setSuggestLoading] = useState(false);
 
+  // Thread whose reply box is open, and resolved threads the user has expanded
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+
   const loadMore = async () => {
     if (loading) return;
     setLoading(true);
@@ -167,27 +275,49 @@ const TaskComments = ({ taskId, currentUser }) => {
     };
   }, [currentUser]);
 
+  // Comment events are only sent to sockets viewing the task
   useEffect(() => {
+    const socket = getSocket();
+    const leave = viewTask(taskId);
     const onCreate = ({ taskId: t, comment }) => {
       if (t !== taskId) return;
-      setItems((prev) => (prev.some((c) => c._id === comment._id) ? prev : _dedupeById([comment, ...prev])));
+      if (comment.parent) {
+        setItems((prev) => _addReply(prev, comment));
+        return;
+      }
+      setItems((prev) =>
+        prev.some((c) => c._id === comment._id) ? prev : _dedupeById([{ replies: [], ...comment }, ...prev])
+      );
     };
     const onUpdate = ({ taskId: t, comment }) => {
       if (t !== taskId) return;
-      setItems((prev) => prev.map((c) => (c._id === comment._id ? comment : c)));
+      setItems((prev) => _mapComment(prev, comment._id, (c) => ({ ...comment, replies: c.replies })));
     };
     const onDelete = ({ taskId: t, commentId }) => {
       if (t !== taskId) return;
-      setItems((prev) => prev.filter((c) => c._id !== commentId));
+      setItems((prev) => _removeComment(prev, commentId));
+    };
+    const onReactions = ({ taskId: t, commentId, reactions }) => {
+      if (t !== taskId) return;
+      setItems((prev) => _mapComment(prev, commentId, (c) => ({ ...c, reactions })));
+    };
+    const onResolved = ({ taskId: t, commentId, resolved, resolvedAt, resolvedBy }) => {
+      if (t !== taskId) return;
+      setItems((prev) => _mapComment(prev, commentId, (c) => ({ ...c, resolved, resolvedAt, resolvedBy })));
     };
 
     socket.on("task:comment:created", onCreate);
     socket.on("task:comment:updated", onUpdate);
     socket.on("task:comment:deleted", onDelete);
+    socket.on("task:comment:reactions", onReactions);
+    socket.on("task:comment:resolved", onResolved);
     return () => {
       socket.off("task:comment:created", onCreate);
       socket.off("task:comment:updated", onUpdate);
       socket.off("task:comment:deleted", onDelete);
+      socket.off("task:comment:reactions", onReactions);
+      socket.off("task:comment:resolved", onResolved);
+      leave();
     };
   }, [taskId]);
 
@@ -256,13 +386,14 @@ const TaskComments = ({ taskId, currentUser }) => {
         body: val,
         createdAt: new Date().toISOString(),
         author: { _id: me.id, name: me.name, email: me.email },
+        replies: [],
       },
       ...prev,
     ]);
 
     try {
       const saved = await createTaskComment(taskId, { body: val, authorId: me.id, clientKey });
-      setItems((prev) => _dedupeById(prev.map((c) => (c._id === tempId ? saved : c))));
+      setItems((prev) => _dedupeById(prev.map((c) => (c._id === tempId ? { replies: [], ...saved } : c))));
     } catch (err) {
       setItems((prev) => prev.filter((c) => c._id !== tempId));
       alert(err?.message || "Failed to post comment");
@@ -289,7 +420,7 @@ const TaskComments = ({ taskId, currentUser }) => {
 
     try {
       const updated = await updateTaskComment(taskId, comment._id, { body: trimmed, authorId: me.id });
-      setItems((prev) => prev.map((i) => (i._id === comment._id ? updated : i)));
+      setItems((prev) => _mapComment(prev, comment._id, (c) => ({ ...updated, replies: c.replies })));
     } catch (err) {
       alert(err?.message || "Failed to update comment");
     }
@@ -303,7 +434,7 @@ const TaskComments = ({ taskId, currentUser }) => {
     }
     if (!window.confirm("Delete this comment?")) return;
     const snapshot = items;
-    setItems((prev) => prev.filter((i) => i._id !== comment._id));
+    setItems((prev) => _removeComment(prev, comment._id));
     try {
       await deleteTaskComment(taskId, comment._id, { authorId: me?.id });
     } catch (err) {
@@ -312,6 +443,77 @@ const TaskComments = ({ taskId, currentUser }) => {
     }
   };
 
+  const onReply = async (thread, body) => {
+    const saved = await createTaskComment(taskId, { body, authorId: me?.id, parentId: thread._id });
+    setItems((prev) => _addReply(prev, saved));
+  };
+
+  const onReact = async (comment, emoji) => {
+    try {
+      const { reactions } = await toggleCommentReaction(taskId, comment._id, emoji);
+      setItems((prev) => _mapComment(prev, comment._id, (c) => ({ ...c, reactions })));
+    } catch (err) {
+      alert(err?.message || "Failed to react to the comment");
+    }
+  };
+
+  const onResolve = async (thread, resolve) => {
+    try {
+      const { resolved, resolvedAt, resolvedBy } = await setCommentThreadResolved(taskId, thread._id, resolve);
+      setItems((prev) => _mapComment(prev, thread._id, (c) => ({ ...c, resolved, resolvedAt, resolvedBy })));
+    } catch (err) {
+      alert(err?.message || "Failed to update the thread");
+    }
+  };
+
+  const toggleExpanded = (id) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  // `threadActions` (Reply, Resolve) go with the thread's first comment
+  const renderComment = (c, threadActions = null) => {
+    const ownerId = me?.id ? String(me.id) : null;
+    const authorId = c.author?._id ? String(c.author._id) : null;
+    const isOwner = ownerId && authorId && ownerId === authorId;
+    const ready = _isObjectId(c._id);
+
+    return (
+      <>
+        <div className={ITEM_META_CLS}>
+          <strong className={ITEM_STRONG_CLS}>
+            {c.author?.name || (isOwner ? "You" : "Unknown")}
+          </strong>{" "}
+          · {new Date(c.createdAt).toLocaleString()}
+          {c.editedAt ? <span className={ITEM_EDITED_CLS}>(edited)</span> : null}
+        </div>
+
+        <div className={ITEM_BODY_CLS}>{_renderWithMentions(c.body)}</div>
+
+        <ReactionBar reactions={c.reactions} meId={ownerId} disabled={!ready} onToggle={(emoji) => onReact(c, emoji)} />
+
+        {(isOwner || threadActions) && (
+          <div className={ITEM_ACTIONS_CLS}>
+            {threadActions}
+            {isOwner && (
+              <>
+                <button type="button" onClick={() => onEdit(c)} disabled={!ready}>
+                  Edit
+                </button>
+                <button type="button" onClick={() => onDelete(c)} disabled={!ready}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </>
+    );
+  };
+
   return (
     <div className="space-y-4">
       {/* Composer with @mentions */}
@@ -342,36 +544,53 @@ const TaskComments = ({ taskId, currentUser }) => {
         onClose={() => setSuggest((s) => ({ ...s, open: false, token: null }))}
       />
 
-      {/* List */}
+      {/* Threads: a comment, then its replies; resolved threads fold away */}
       <ul className={LIST_CONTAINER_CLS}>
         {items.map((c) => {
-          const ownerId = me?.id ? String(me.id) : null;
-          const authorId = c.author?._id ? String(c.author._id) : null;
-          const isOwner = ownerId && authorId && ownerId === authorId;
+          const replies = c.replies ?? [];
           const ready = _isObjectId(c._id);
+          const folded = c.resolved && !expanded.has(c._id);
 
           return (
             <li key={c._id} className={ITEM_CLS}>
-              <div className={ITEM_META_CLS}>
-                <strong className={ITEM_STRONG_CLS}>
-                  {c.author?.name || (isOwner ? "You" : "Unknown")}
-                </strong>{" "}
-                · {new Date(c.createdAt).toLocaleString()}
-                {c.editedAt ? <span className={ITEM_EDITED_CLS}>(edited)</span> : null}
-              </div>
-
-              <div className={ITEM_BODY_CLS}>{_renderWithMentions(c.body)}</div>
-
-              {isOwner && (
-                <div className={ITEM_ACTIONS_CLS}>
-                  <button type="button" onClick={() => onEdit(c)} disabled={!ready}>
-                    Edit
-                  </button>
-                  <button type="button" onClick={() => onDelete(c)} disabled={!ready}>
-                    Delete
+              {c.resolved && (
+                <div className={`${ITEM_META_CLS} flex items-center justify-between`}>
+                  <span className={RESOLVED_CLS}>Resolved</span>
+                  <button type="button" className="text-[--color-brand-primary]" onClick={() => toggleExpanded(c._id)}>
+                    {folded ? `Show thread (${replies.length + 1})` : "Hide thread"}
                   </button>
                 </div>
               )}
+
+              {!folded && (
+                <>
+                  {renderComment(
+                    c,
+                    <>
+                      <button type="button" onClick={() => setReplyingTo(c._id)} disabled={!ready}>
+                        Reply
+                      </button>
+                      <button type="button" onClick={() => onResolve(c, !c.resolved)} disabled={!ready}>
+                        {c.resolved ? "Reopen" : "Resolve"}
+                      </button>
+                    </>
+                  )}
+
+                  {replies.length > 0 && (
+                    <ul className={REPLIES_CLS}>
+                      {replies.map((r) => (
+                        <li key={r._id} className={REPLY_CLS}>
+                          {renderComment(r)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {replyingTo === c._id && (
+                    <ReplyForm onSubmit={(body) => onReply(c, body)} onCancel={() => setReplyingTo(null)} />
+                  )}
+                </>
+              )}
             </li>
           );
         })}
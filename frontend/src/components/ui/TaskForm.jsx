@@ -4,8 +4,13 @@ import {
   getTeamMembersByProjectId,
   createTask,
   updateTask,
+  getProjectWorkflow,
+  getLabels,
+  createLabel,
 } from "../../services/api.js";
+import { DEFAULT_WORKFLOW, initialStatus, statusOptionsFor } from "../../services/workflow.js";
 import { useAuth } from "/src/context/useAuth";
+import { LabelChip } from "./LabelChips.jsx";
 
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
@@ -20,7 +25,6 @@ dayjs.extend(customParseFormat);
 const SG_TZ = "Asia/Singapore";
 const DATE_TIME_LOCAL_FORMAT = "YYYY-MM-DDTHH:mm";
 const MINUTES = { MINUTE: 1, HOUR: 60, DAY: 1440 };
-const STATUS_OPTIONS = ["To Do", "In Progress", "Done"];
 
 dayjs.tz.setDefault(SG_TZ);
 
@@ -45,12 +49,83 @@ const _getMaxOffsetMinutesFromNow = (localDeadlineStr) => {
 
 const _fmtDays = (m) => `${Math.floor(m / MINUTES.DAY)} day(s) before`;
 
+// Recurrence: the parts of an RFC 5545 rule the form edits directly; anything else is
+// edited as RRULE text
+const WEEKDAYS = [
+  { code: "MO", label: "Mon" },
+  { code: "TU", label: "Tue" },
+  { code: "WE", label: "Wed" },
+  { code: "TH", label: "Thu" },
+  { code: "FR", label: "Fri" },
+  { code: "SA", label: "Sat" },
+  { code: "SU", label: "Sun" },
+];
+const DAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", [-1]: "last" };
+
+/** The weekday of the month `local` falls on as a BYDAY value: "2TU", or "-1FR" counting from the end. */
+const _nthWeekday = (local, fromEnd = false) => {
+  const d = _getDeadlineDayjs(local);
+  const n = Math.ceil(d.date() / 7);
+  return `${fromEnd || n === 5 ? -1 : n}${DAY_CODES[d.day()]}`;
+};
+
+const _isLastWeek = (local) => {
+  const d = _getDeadlineDayjs(local);
+  return d.date() + 7 > d.daysInMonth();
+};
+
+const _describeNthWeekday = (code) => {
+  const [, n, day] = code.match(/^(-?\d)(\w\w)$/);
+  return `the ${ORDINALS[n]} ${WEEKDAYS.find((w) => w.code === day).label}`;
+};
+
+/** Which monthly option a stored rule is, or null when the form can't show it. */
+const _monthlyMode = (rec) => {
+  if (rec.byMonthDay?.length === 1 && rec.byMonthDay[0] === -1 && !rec.byDay?.length) return "lastDay";
+  if (rec.byDay?.length === 1 && /^-1\D/.test(rec.byDay[0]) && !rec.byMonthDay?.length) return "lastWeekday";
+  if (rec.byDay?.length === 1 && /^[1-4]\D/.test(rec.byDay[0]) && !rec.byMonthDay?.length) return "weekday";
+  if (!rec.byDay?.length && !rec.byMonthDay?.length) return "day";
+  return null;
+};
+
+const _isCustomRule = (rec) => {
+  if (!rec) return false;
+  if (rec.bySetPos?.length || rec.byMonth?.length) return true;
+  if (rec.frequency === "monthly") return _monthlyMode(rec) === null;
+  if (rec.frequency === "weekly") return Boolean(rec.byMonthDay?.length || rec.byDay?.some((d) => /\d/.test(d)));
+  return Boolean(rec.byDay?.length || rec.byMonthDay?.length);
+};
+
+/** RRULE text for a stored rule (UNTIL in UTC). */
+const _toRRule = (rec) =>
+  [
+    `FREQ=${rec.frequency.toUpperCase()}`,
+    rec.interval > 1 && `INTERVAL=${rec.interval}`,
+    rec.byDay?.length && `BYDAY=${rec.byDay.join(",")}`,
+    rec.byMonthDay?.length && `BYMONTHDAY=${rec.byMonthDay.join(",")}`,
+    rec.byMonth?.length && `BYMONTH=${rec.byMonth.join(",")}`,
+    rec.bySetPos?.length && `BYSETPOS=${rec.bySetPos.join(",")}`,
+    rec.ends === "afterCount" && rec.count && `COUNT=${rec.count}`,
+    rec.ends === "onDate" && rec.until && `UNTIL=${dayjs(rec.until).utc().format("YYYYMMDD[T]HHmmss[Z]")}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+// Estimates are edited in hours but stored in minutes; blank means "no estimate".
+const _hoursFromMinutes = (m) => (m == null ? "" : String(Math.round((m / MINUTES.HOUR) * 100) / 100));
+const _minutesFromHours = (h) => (h === "" || h == null ? null : Math.round(Number(h) * MINUTES.HOUR));
+
 const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = null }) => {
   const [projects, setProjects] = useState([]);
   const [teamMembers, setTeamMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showAssigneeDropdown, setShowAssigneeDropdown] = useState(false);
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+  const [availableLabels, setAvailableLabels] = useState([]);
+  const [newLabelName, setNewLabelName] = useState("");
+  const [labelError, setLabelError] = useState("");
   const { user } = useAuth();
 
   const isEdit = task !== null;
@@ -59,18 +134,35 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
   );
 
   // recurrence UI state (fresh restart)
+  const storedRule = isEdit ? task?.recurrence ?? null : null;
   const [recurrenceEnabled, setRecurrenceEnabled] = useState(
     isEdit ? Boolean(task?.recurrence) : false
   );
-  const [recurrenceFrequency, setRecurrenceFrequency] = useState(
-    isEdit && task?.recurrence?.frequency ? task.recurrence.frequency : "daily"
-  ); // "daily" | "weekly" | "monthly"
+  const [recurrenceFrequency, setRecurrenceFrequency] = useState(() => {
+    if (_isCustomRule(storedRule)) return "custom";
+    return storedRule?.frequency ?? "daily";
+  }); // "daily" | "weekly" | "monthly" | "yearly" | "custom"
+  const [recurrenceRRule, setRecurrenceRRule] = useState(() =>
+    _isCustomRule(storedRule) ? _toRRule(storedRule) : ""
+  );
+  const [recurrenceByDay, setRecurrenceByDay] = useState(() =>
+    storedRule?.frequency === "weekly" && !_isCustomRule(storedRule) ? storedRule.byDay ?? [] : []
+  ); // weekly: ["MO", "WE", ...]; none means the deadline's weekday
+  const [monthlyMode, setMonthlyMode] = useState(() =>
+    storedRule?.frequency === "monthly" ? _monthlyMode(storedRule) ?? "day" : "day"
+  ); // "day" | "weekday" | "lastWeekday" | "lastDay"
+  const [recurrenceCount, setRecurrenceCount] = useState(storedRule?.count ?? 10);
+  // How an edit of a recurring task reaches the rest of its series
+  const [editScope, setEditScope] = useState("this");
   const [recurrenceInterval, setRecurrenceInterval] = useState(
     isEdit && task?.recurrence?.interval ? Number(task.recurrence.interval) : 1
   ); // >=1
-  const [recurrenceEnds, setRecurrenceEnds] = useState(
-    isEdit && task?.recurrence?.ends ? task.recurrence.ends : "never"
-  ); // "never" | "onDate"
+  const [recurrenceEnds, setRecurrenceEnds] = useState(() => {
+    const { ends, until, count } = storedRule ?? {};
+    // Older tasks may say "ends on a date" without one
+    if ((ends === "onDate" && !until) || (ends === "afterCount" && !count)) return "never";
+    return ends ?? "never";
+  }); // "never" | "onDate" | "afterCount"
   const [recurrenceUntil, setRecurrenceUntil] = useState(
     isEdit && task?.recurrence?.until
       ? dayjs(task.recurrence.until).tz().format(DATE_TIME_LOCAL_FORMAT)
@@ -107,6 +199,9 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
             : 5
         ),
         parentTask: task.parentTask || null,
+        estimateHours: _hoursFromMinutes(task.estimateMinutes),
+        remainingHours: _hoursFromMinutes(task.remainingMinutes),
+        labels: (task.labels ?? []).map((l) => (typeof l === "string" ? l : l?._id)).filter(Boolean),
       };
     }
     return {
@@ -116,13 +211,16 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
       // assignedProject: "",
       assignedProject: parentTask?.assignedProject?._id || parentTask?.assignedProject || "",
       assignedTeamMembers: [user.id],
-      status: STATUS_OPTIONS[0],
+      status: initialStatus(DEFAULT_WORKFLOW),
       priority: "5",
       deadline: "",
       createdBy: user.id,
       attachments: [],
       reminderOffsets: [],
       parentTask: parentTask?._id || parentTask || null,
+      estimateHours: "",
+      remainingHours: "",
+      labels: [],
     };
   });
 
@@ -188,6 +286,77 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
     };
   }, [formData.assignedProject, user.id]);
 
+  // Load the project's workflow; new tasks start in its first not-started status
+  useEffect(() => {
+    if (!formData.assignedProject) return;
+    let cancelled = false;
+    getProjectWorkflow(formData.assignedProject)
+      .then((wf) => {
+        if (cancelled) return;
+        const next = wf?.statuses?.length ? wf : DEFAULT_WORKFLOW;
+        setWorkflow(next);
+        if (!isEdit) {
+          setFormData((prev) =>
+            next.statuses.some((s) => s.name === prev.status)
+              ? prev
+              : { ...prev, status: initialStatus(next) }
+          );
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setWorkflow(DEFAULT_WORKFLOW);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.assignedProject, isEdit]);
+
+  // Labels usable in the chosen project; selections from another project are dropped
+  useEffect(() => {
+    if (!formData.assignedProject) return;
+    let cancelled = false;
+    getLabels({ project: formData.assignedProject })
+      .then((labels) => {
+        if (cancelled) return;
+        const list = Array.isArray(labels) ? labels : [];
+        setAvailableLabels(list);
+        const usable = new Set(list.map((l) => l._id));
+        setFormData((prev) => ({ ...prev, labels: (prev.labels ?? []).filter((id) => usable.has(id)) }));
+      })
+      .catch(() => {
+        if (!cancelled) setAvailableLabels([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.assignedProject]);
+
+  const toggleLabel = (label) => {
+    setFormData((prev) => {
+      const current = prev.labels ?? [];
+      return {
+        ...prev,
+        labels: current.includes(label._id)
+          ? current.filter((id) => id !== label._id)
+          : [...current, label._id],
+      };
+    });
+  };
+
+  const addProjectLabel = async () => {
+    const name = newLabelName.trim();
+    if (!name || !formData.assignedProject) return;
+    setLabelError("");
+    try {
+      const label = await createLabel({ name, project: formData.assignedProject });
+      setAvailableLabels((prev) => [...prev, label]);
+      setFormData((prev) => ({ ...prev, labels: [...(prev.labels ?? []), label._id] }));
+      setNewLabelName("");
+    } catch (err) {
+      setLabelError(err.message || "Failed to create label");
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value, files, options, type } = e.target;
     if (name === "deadline" && !value) {
@@ -274,6 +443,18 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
       );
 
       payload.parentTask = formData.parentTask || null;
+
+      // Remaining is only sent when re-estimated; otherwise the server seeds it from the
+      // estimate and burns it down as time is logged
+      payload.estimateMinutes = _minutesFromHours(formData.estimateHours);
+      const remainingMinutes = _minutesFromHours(formData.remainingHours);
+      if (isEdit && remainingMinutes !== (task.remainingMinutes ?? null)) {
+        payload.remainingMinutes = remainingMinutes;
+      } else {
+        delete payload.remainingMinutes;
+      }
+      delete payload.estimateHours;
+      delete payload.remainingHours;
       if (payload.parentTask && !payload.assignedProject) {
         delete payload.assignedProject;
       }
@@ -322,24 +503,50 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
         }
 
         const freq = (recurrenceFrequency || "none").toLowerCase();
+        const tz = storedRule?.timezone ?? SG_TZ;
         if (freq === "none") {
           payload.recurrence = null;
+        } else if (freq === "custom") {
+          if (!recurrenceRRule.trim()) {
+            setError("Enter a rule, e.g. FREQ=MONTHLY;BYDAY=2TU");
+            return;
+          }
+          payload.recurrence = { rrule: recurrenceRRule.trim(), timezone: tz };
         } else {
+          if (recurrenceEnds === "onDate" && !recurrenceUntil) {
+            setError("Pick the date the task stops repeating.");
+            return;
+          }
           payload.recurrence = {
-            frequency: freq, // "daily" | "weekly" | "monthly"
+            frequency: freq, // "daily" | "weekly" | "monthly" | "yearly"
             interval: Math.max(1, Math.trunc(Number(recurrenceInterval) || 1)),
-            ends: recurrenceEnds, // "never" | "onDate"
+            ends: recurrenceEnds, // "never" | "onDate" | "afterCount"
             until:
-              recurrenceEnds === "onDate" && recurrenceUntil
+              recurrenceEnds === "onDate"
                 ? dayjs
                   .tz(recurrenceUntil, DATE_TIME_LOCAL_FORMAT, SG_TZ)
                   .toISOString()
                 : null,
+            count:
+              recurrenceEnds === "afterCount"
+                ? Math.max(1, Math.trunc(Number(recurrenceCount) || 1))
+                : null,
+            timezone: tz,
           };
+          if (freq === "weekly" && recurrenceByDay.length) {
+            payload.recurrence.byDay = WEEKDAYS.map((w) => w.code).filter((c) => recurrenceByDay.includes(c));
+          }
+          if (freq === "monthly" && (monthlyMode === "weekday" || monthlyMode === "lastWeekday")) {
+            payload.recurrence.byDay = [_nthWeekday(formData.deadline, monthlyMode === "lastWeekday")];
+          }
+          if (freq === "monthly" && monthlyMode === "lastDay") {
+            payload.recurrence.byMonthDay = [-1];
+          }
         }
       } else {
         payload.recurrence = null;
       }
+      if (isEdit && storedRule) payload.scope = editScope;
 
       if (isEdit) {
         const data = await updateTask(task._id, payload);
@@ -647,7 +854,7 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
                       onChange={handleChange}
                       className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary focus:border-transparent transition-all"
                     >
-                      {STATUS_OPTIONS.map((s) => (
+                      {statusOptionsFor(workflow, isEdit ? task?.status : undefined).map((s) => (
                         <option key={s} value={s}>
                           {s}
                         </option>
@@ -677,6 +884,97 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
                       )}
                     </select>
                   </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label
+                        htmlFor="task-estimate-hours"
+                        className="block text-sm font-semibold text-light-text-primary dark:text-dark-text-primary mb-1"
+                      >
+                        Estimate (hours)
+                      </label>
+                      <input
+                        id="task-estimate-hours"
+                        type="number"
+                        name="estimateHours"
+                        min="0"
+                        step="0.25"
+                        value={formData.estimateHours}
+                        onChange={handleChange}
+                        className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary focus:border-transparent transition-all"
+                      />
+                    </div>
+                    {isEdit && (
+                      <div>
+                        <label
+                          htmlFor="task-remaining-hours"
+                          className="block text-sm font-semibold text-light-text-primary dark:text-dark-text-primary mb-1"
+                        >
+                          Remaining (hours)
+                        </label>
+                        <input
+                          id="task-remaining-hours"
+                          type="number"
+                          name="remainingHours"
+                          min="0"
+                          step="0.25"
+                          value={formData.remainingHours}
+                          onChange={handleChange}
+                          className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary focus:border-transparent transition-all"
+                        />
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <span className="block text-sm font-semibold text-light-text-primary dark:text-dark-text-primary mb-1">
+                    Labels
+                  </span>
+                  {availableLabels.length > 0 ? (
+                    <div className="flex flex-wrap gap-1.5" role="group" aria-label="Labels">
+                      {availableLabels.map((l) => (
+                        <LabelChip
+                          key={l._id}
+                          label={l}
+                          selected={(formData.labels ?? []).includes(l._id)}
+                          onClick={toggleLabel}
+                        />
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-xs text-light-text-muted dark:text-dark-text-muted">
+                      {formData.assignedProject ? "No labels yet." : "Choose a project to pick labels."}
+                    </p>
+                  )}
+                  {formData.assignedProject && (
+                    <div className="mt-2 flex gap-2">
+                      <input
+                        type="text"
+                        maxLength={50}
+                        aria-label="New label"
+                        placeholder="New project label"
+                        value={newLabelName}
+                        onChange={(e) => setNewLabelName(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") {
+                            e.preventDefault();
+                            addProjectLabel();
+                          }
+                        }}
+                        className="flex-1 px-3 py-1.5 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+                      />
+                      <button
+                        type="button"
+                        onClick={addProjectLabel}
+                        disabled={!newLabelName.trim()}
+                        className="px-3 py-1.5 text-sm rounded-lg border border-light-border dark:border-dark-border disabled:opacity-50"
+                      >
+                        Add
+                      </button>
+                    </div>
+                  )}
+                  {labelError && <p className="mt-1 text-xs text-danger">{labelError}</p>}
                 </div>
 
                 <div>
@@ -747,46 +1045,134 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
                               <option value="daily">Daily</option>
                               <option value="weekly">Weekly</option>
                               <option value="monthly">Monthly</option>
+                              <option value="yearly">Yearly</option>
+                              <option value="custom">Custom rule…</option>
                             </select>
                           </div>
 
-                          <div>
-                            <label className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
-                              Every
+                          {recurrenceFrequency !== "custom" && (
+                            <>
+                              <div>
+                                <label className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                                  Every
+                                </label>
+                                <input
+                                  type="number"
+                                  min={1}
+                                  step={1}
+                                  value={recurrenceInterval}
+                                  onChange={(e) =>
+                                    setRecurrenceInterval(
+                                      Math.max(
+                                        1,
+                                        Math.trunc(Number(e.target.value) || 1)
+                                      )
+                                    )
+                                  }
+                                  className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+                                />
+                              </div>
+
+                              <div>
+                                <label className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                                  Ends
+                                </label>
+                                <select
+                                  value={recurrenceEnds}
+                                  onChange={(e) => setRecurrenceEnds(e.target.value)}
+                                  className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+                                >
+                                  <option value="never">Never</option>
+                                  <option value="onDate">On date…</option>
+                                  <option value="afterCount">After…</option>
+                                </select>
+                              </div>
+                            </>
+                          )}
+                        </div>
+
+                        {recurrenceFrequency === "custom" && (
+                          <div className="mt-2">
+                            <label htmlFor="recurrence-rrule" className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                              Rule (RFC 5545 RRULE)
                             </label>
                             <input
-                              type="number"
-                              min={1}
-                              step={1}
-                              value={recurrenceInterval}
-                              onChange={(e) =>
-                                setRecurrenceInterval(
-                                  Math.max(
-                                    1,
-                                    Math.trunc(Number(e.target.value) || 1)
-                                  )
-                                )
-                              }
-                              className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+                              id="recurrence-rrule"
+                              type="text"
+                              value={recurrenceRRule}
+                              onChange={(e) => setRecurrenceRRule(e.target.value)}
+                              placeholder="FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+                              className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary font-mono"
                             />
                           </div>
+                        )}
 
-                          <div>
-                            <label className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
-                              Ends
+                        {recurrenceFrequency === "weekly" && (
+                          <fieldset className="mt-2">
+                            <legend className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                              On (none: the due date's weekday)
+                            </legend>
+                            <div className="flex flex-wrap gap-2">
+                              {WEEKDAYS.map((w) => (
+                                <label key={w.code} className="flex items-center gap-1 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                                  <input
+                                    type="checkbox"
+                                    className="rounded border-light-border dark:border-dark-border"
+                                    checked={recurrenceByDay.includes(w.code)}
+                                    onChange={(e) =>
+                                      setRecurrenceByDay((prev) =>
+                                        e.target.checked ? [...prev, w.code] : prev.filter((c) => c !== w.code)
+                                      )
+                                    }
+                                  />
+                                  {w.label}
+                                </label>
+                              ))}
+                            </div>
+                          </fieldset>
+                        )}
+
+                        {recurrenceFrequency === "monthly" && formData.deadline && (
+                          <div className="mt-2">
+                            <label htmlFor="recurrence-monthly" className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                              Repeat on
                             </label>
                             <select
-                              value={recurrenceEnds}
-                              onChange={(e) => setRecurrenceEnds(e.target.value)}
+                              id="recurrence-monthly"
+                              value={monthlyMode}
+                              onChange={(e) => setMonthlyMode(e.target.value)}
                               className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
                             >
-                              <option value="never">Never</option>
-                              <option value="onDate">On date…</option>
+                              <option value="day">Day {_getDeadlineDayjs(formData.deadline).date()}</option>
+                              {_getDeadlineDayjs(formData.deadline).date() <= 28 && (
+                                <option value="weekday">{_describeNthWeekday(_nthWeekday(formData.deadline))}</option>
+                              )}
+                              {_isLastWeek(formData.deadline) && (
+                                <option value="lastWeekday">{_describeNthWeekday(_nthWeekday(formData.deadline, true))}</option>
+                              )}
+                              <option value="lastDay">The last day</option>
                             </select>
                           </div>
-                        </div>
+                        )}
 
-                        {recurrenceEnds === "onDate" && (
+                        {recurrenceEnds === "afterCount" && recurrenceFrequency !== "custom" && (
+                          <div className="mt-2">
+                            <label htmlFor="recurrence-count" className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                              Occurrences (including this one)
+                            </label>
+                            <input
+                              id="recurrence-count"
+                              type="number"
+                              min={1}
+                              step={1}
+                              value={recurrenceCount}
+                              onChange={(e) => setRecurrenceCount(Math.max(1, Math.trunc(Number(e.target.value) || 1)))}
+                              className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+                            />
+                          </div>
+                        )}
+
+                        {recurrenceEnds === "onDate" && recurrenceFrequency !== "custom" && (
                           <div className="mt-2">
                             <label className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
                               Repeat until (inclusive)
@@ -807,10 +1193,29 @@ const TaskForm = ({ onCancel, onCreated, onUpdated, task = null, parentTask = nu
                         <p className="mt-1 text-xs text-light-text-muted dark:text-dark-text-muted">
                           When the task is marked <strong>Done</strong>, the next
                           occurrence will be created with the same details and a new
-                          due date based on the recurrence settings.
+                          due date based on the recurrence settings. Later occurrences
+                          show on the calendar before they are created.
                         </p>
                       </>
                     )}
+
+                    {isEdit && storedRule && (
+                      <div className="mt-2">
+                        <label htmlFor="recurrence-scope" className="block text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary mb-1">
+                          Apply changes to
+                        </label>
+                        <select
+                          id="recurrence-scope"
+                          value={editScope}
+                          onChange={(e) => setEditScope(e.target.value)}
+                          className="w-full px-3 py-2 text-sm border border-light-border dark:border-dark-border rounded-lg bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+                        >
+                          <option value="this">This occurrence</option>
+                          <option value="following">This and following occurrences</option>
+                          <option value="all">All occurrences</option>
+                        </select>
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { getProjectsByUserId, importTasks } from "../../services/api.js";
+import { useAuth } from "/src/context/useAuth";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ===== Constants =====
+const SG_TZ = "Asia/Singapore";
+const selectClass =
+  "rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all";
+const buttonClass =
+  "rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium disabled:opacity-50";
+const META_CLS = "text-xs text-light-text-muted dark:text-dark-text-muted";
+
+// The fields a CSV column can fill, in the order the mapping shows them
+const FIELDS = [
+  { value: "title", label: "Title" },
+  { value: "description", label: "Description" },
+  { value: "notes", label: "Notes" },
+  { value: "project", label: "Project (name)" },
+  { value: "assignees", label: "Assignees (emails)" },
+  { value: "status", label: "Status" },
+  { value: "priority", label: "Priority" },
+  { value: "deadline", label: "Deadline" },
+  { value: "startAt", label: "Start" },
+  { value: "allDay", label: "All day" },
+  { value: "recurrence", label: "Recurrence (RRULE)" },
+];
+const MAX_LISTED_ERRORS = 20;
+
+const _fmt = (d, allDay) => (d ? dayjs(d).tz(SG_TZ).format(allDay ? "ddd, D MMM YYYY" : "ddd, D MMM YYYY h:mm A") : "No deadline");
+const _formatOf = (name) => (/\.ics$/i.test(name) ? "ics" : "csv");
+
+/**
+ * Import tasks from a CSV or iCalendar file. Every change previews the import (a dry
+ * run of POST /api/tasks/import); the tasks are only created once no row has an error.
+ * For CSV the columns can be mapped to fields by hand. `onImported(result)` runs after
+ * the tasks were created.
+ */
+export const TaskImport = ({ onImported, onCancel }) => {
+  const { user } = useAuth();
+  const [file, setFile] = useState(null); // { name, content, format }
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState("");
+  const [mapping, setMapping] = useState(null); // null: match columns by their names
+  const [preview, setPreview] = useState(null);
+  const [columns, setColumns] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    getProjectsByUserId(user.id)
+      .then(setProjects)
+      .catch(() => setProjects([]));
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (!file) return;
+    let cancelled = false;
+    setBusy(true);
+    importTasks({ content: file.content, format: file.format, mapping, projectId, dryRun: true })
+      .then((data) => {
+        if (cancelled) return;
+        setPreview(data);
+        setColumns(data.columns);
+        setError("");
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setPreview(null);
+        if (e.columns) setColumns(e.columns);
+        setError(e.message || "Failed to read the file");
+      })
+      .finally(() => !cancelled && setBusy(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [file, mapping, projectId]);
+
+  const pickFile = async (e) => {
+    const picked = e.target.files?.[0];
+    if (!picked) return;
+    setMapping(null);
+    setColumns(null);
+    setFile({ name: picked.name, content: await picked.text(), format: _formatOf(picked.name) });
+  };
+
+  const mapColumn = (field, column) =>
+    setMapping((prev) => ({ ...(prev ?? preview?.mapping ?? {}), [field]: column || null }));
+
+  const runImport = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const result = await importTasks({ content: file.content, format: file.format, mapping, projectId });
+      onImported?.(result);
+    } catch (e) {
+      setError(e.message || "Failed to import tasks");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const current = mapping ?? preview?.mapping ?? {};
+  const creates = preview?.creates ?? [];
+  const errors = preview?.errors ?? [];
+  const skipped = preview?.skipped ?? [];
+  const canImport = !busy && creates.length > 0 && errors.length === 0;
+
+  return (
+    <div className="space-y-4">
+      <p className={META_CLS}>
+        CSV files need a header row; columns are matched by name (Title, Due date, Assignees…). Calendar (.ics) events
+        and to-dos become tasks, with their attendees as assignees and repeating events as recurring tasks. Times
+        without a zone are Singapore time.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
+          File:
+          <input type="file" accept=".csv,.ics,text/csv,text/calendar" className="ml-2 text-sm" onChange={pickFile} />
+        </label>
+        <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
+          Project:
+          <select aria-label="Default project" className={`ml-2 ${selectClass}`} value={projectId} onChange={(e) => setProjectId(e.target.value)}>
+            <option value="">From the file</option>
+            {projects.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {file?.format === "csv" && columns && (
+        <fieldset className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <legend className="text-sm font-medium text-light-text-primary dark:text-dark-text-primary mb-1">Columns</legend>
+          {FIELDS.map((f) => (
+            <label key={f.value} className="flex items-center justify-between gap-2 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+              {f.label}
+              <select aria-label={`${f.label} column`} className={selectClass} value={current[f.value] ?? ""} onChange={(e) => mapColumn(f.value, e.target.value)}>
+                <option value="">Not imported</option>
+                {columns.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {preview && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-light-text-primary dark:text-dark-text-primary">
+            {creates.length} {creates.length === 1 ? "task" : "tasks"} to create
+            {errors.length > 0 && `, ${errors.length} ${errors.length === 1 ? "problem" : "problems"} to fix first`}
+          </p>
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 space-y-0.5">
+              {errors.slice(0, MAX_LISTED_ERRORS).map((e, i) => (
+                <li key={i}>
+                  Row {e.row} · {e.field}: {e.error}
+                </li>
+              ))}
+              {errors.length > MAX_LISTED_ERRORS && <li>…and {errors.length - MAX_LISTED_ERRORS} more</li>}
+            </ul>
+          )}
+          {creates.length > 0 && (
+            <ul className="max-h-64 overflow-y-auto divide-y divide-light-border dark:divide-dark-border text-sm">
+              {creates.map((c) => (
+                <li key={c.row} className="py-1.5">
+                  <span className="font-medium text-light-text-primary dark:text-dark-text-primary">{c.title}</span>
+                  <span className={`ml-2 ${META_CLS}`}>
+                    {[
+                      c.project.name,
+                      c.status,
+                      _fmt(c.deadline, c.allDay),
+                      c.assignees.map((a) => a.name || a.email).join(", "),
+                      c.recurrence,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {skipped.length > 0 && (
+            <p className={META_CLS}>
+              Not imported: {skipped.map((s) => `${s.title || `row ${s.row}`} (${s.reason.toLowerCase()})`).join(", ")}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button type="button" className={buttonClass} onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className="rounded-lg bg-brand-primary text-white px-3 py-1.5 text-sm hover:bg-blue-700 transition-all font-medium shadow-sm disabled:opacity-50"
+          disabled={!canImport}
+          onClick={runImport}
+        >
+          {creates.length ? `Import ${creates.length} ${creates.length === 1 ? "task" : "tasks"}` : "Import"}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,163 @@
+import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { addMyTaskReminder, deleteMyTaskReminder, getMyTaskReminders } from "../../services/api";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ===== Constants =====
+const SG_TZ = "Asia/Singapore";
+const ITEM_CLS = "flex items-center justify-between gap-3 py-2";
+const META_CLS = "text-xs text-slate-500 dark:text-[--color-dark-text-muted]";
+const TEXT_CLS = "text-sm text-slate-900 dark:text-[--color-dark-text-primary]";
+const BTN_CLS = "rounded-xl border px-3 py-1.5 text-sm hover:opacity-90 disabled:opacity-50";
+const INPUT_CLS = "rounded-lg border px-2 py-1 text-sm bg-transparent";
+
+// "Before the deadline" choices, in minutes
+const BEFORE_OPTIONS = [
+  [15, "15 minutes before"],
+  [60, "1 hour before"],
+  [180, "3 hours before"],
+  [1440, "1 day before"],
+  [10080, "1 week before"],
+];
+
+// ===== Private helpers =====
+const _fmtWhen = (d) => dayjs(d).tz(SG_TZ).format("D MMM YYYY HH:mm");
+
+const _describe = (r) => {
+  if (r.source === "snooze") return "Snoozed";
+  if (r.minutesBefore != null) {
+    return BEFORE_OPTIONS.find(([m]) => m === r.minutesBefore)?.[1] ?? `${r.minutesBefore} minutes before`;
+  }
+  return "At a set time";
+};
+
+/**
+ * "My reminders" section for the TaskCard modal: reminders on the task that only the
+ * current user receives, at a time or before the deadline, plus their snoozes.
+ */
+const TaskReminders = ({ taskId, hasDeadline }) => {
+  const [reminders, setReminders] = useState(null);
+  const [mode, setMode] = useState(hasDeadline ? "before" : "at");
+  const [before, setBefore] = useState("60");
+  const [at, setAt] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    if (!taskId) return;
+    setError("");
+    try {
+      setReminders(await getMyTaskReminders(taskId));
+    } catch (e) {
+      setError(e.message || "Failed to load your reminders");
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      await load();
+    } catch (e) {
+      setError(e.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (mode === "at" && !at) {
+      setError("Pick when to be reminded");
+      return;
+    }
+    const when = mode === "at" ? { remindAt: dayjs.tz(at, SG_TZ).toISOString() } : { minutesBefore: Number(before) };
+    run(async () => {
+      await addMyTaskReminder(taskId, { ...when, ...(note.trim() ? { note: note.trim() } : {}) });
+      setAt("");
+      setNote("");
+    });
+  };
+
+  if (!reminders) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : <p className={META_CLS}>Loading…</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <form className="flex flex-wrap items-center gap-2" onSubmit={handleAdd}>
+        <select aria-label="Remind me" className={INPUT_CLS} value={mode} onChange={(e) => setMode(e.target.value)}>
+          {hasDeadline ? <option value="before">Before the deadline</option> : null}
+          <option value="at">At a time</option>
+        </select>
+        {mode === "before" ? (
+          <select aria-label="How long before" className={INPUT_CLS} value={before} onChange={(e) => setBefore(e.target.value)}>
+            {BEFORE_OPTIONS.map(([m, label]) => (
+              <option key={m} value={m}>
+                {label}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type="datetime-local"
+            aria-label="Remind me at"
+            className={INPUT_CLS}
+            value={at}
+            onChange={(e) => setAt(e.target.value)}
+          />
+        )}
+        <input
+          type="text"
+          maxLength={200}
+          aria-label="Reminder note"
+          placeholder="Note (optional)"
+          className={`flex-1 ${INPUT_CLS}`}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+        <button type="submit" className={BTN_CLS} disabled={busy}>Add reminder</button>
+      </form>
+
+      {error ? <p className="text-sm text-red-600">{error}</p> : null}
+
+      {reminders.length > 0 ? (
+        <ul className="divide-y divide-light-border/60 dark:divide-dark-border/60">
+          {reminders.map((r) => (
+            <li key={r._id} className={ITEM_CLS}>
+              <div className="min-w-0">
+                <p className={TEXT_CLS}>
+                  {r.dueAt ? _fmtWhen(r.dueAt) : "When the task gets a deadline"}
+                  {r.note ? ` — ${r.note}` : ""}
+                </p>
+                <p className={META_CLS}>{_describe(r)}</p>
+              </div>
+              <button
+                type="button"
+                className="text-xs text-red-600 hover:underline disabled:opacity-50"
+                disabled={busy}
+                onClick={() => run(() => deleteMyTaskReminder(taskId, r._id))}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={META_CLS}>No reminders of your own. Only you see and receive these.</p>
+      )}
+    </div>
+  );
+};
+
+export { TaskReminders };
@@ -0,0 +1,164 @@
+import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { changeOccurrence, getTaskSeries, skipOccurrence } from "../../services/api";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ===== Constants =====
+const SG_TZ = "Asia/Singapore";
+const UPCOMING = 8;
+const DATE_FORMAT = "ddd, D MMM YYYY h:mm A";
+const DATE_TIME_LOCAL_FORMAT = "YYYY-MM-DDTHH:mm";
+
+const LIST_CONTAINER_CLS = "space-y-2";
+const ITEM_CLS = "flex flex-wrap items-center justify-between gap-2 rounded-xl border px-3 py-2 bg-[--color-light-surface] dark:bg-[--color-dark-surface]";
+const ITEM_META_CLS = "text-xs text-slate-500 dark:text-[--color-dark-text-muted]";
+const ITEM_TEXT_CLS = "text-sm text-slate-900 dark:text-[--color-dark-text-primary]";
+const HEADING_CLS = "mt-4 mb-2 text-sm font-semibold text-slate-900 dark:text-[--color-dark-text-primary]";
+const BTN_CLS = "rounded-xl border px-3 py-1 text-xs hover:opacity-90 disabled:opacity-50";
+const INPUT_CLS = "rounded-lg border px-2 py-1 text-sm bg-transparent";
+
+// ===== Private helpers =====
+const _fmt = (d) => dayjs(d).tz(SG_TZ).format(DATE_FORMAT);
+
+/** One upcoming occurrence: skip it, or give it a task of its own with another title or time. */
+const UpcomingItem = ({ date, title, busy, onSkip, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({ title, deadline: dayjs(date).tz(SG_TZ).format(DATE_TIME_LOCAL_FORMAT) });
+
+  if (!editing) {
+    return (
+      <li className={ITEM_CLS}>
+        <span className={ITEM_TEXT_CLS}>{_fmt(date)}</span>
+        <span className="flex gap-2">
+          <button type="button" className={BTN_CLS} disabled={busy} onClick={() => setEditing(true)}>
+            Change
+          </button>
+          <button type="button" className={BTN_CLS} disabled={busy} onClick={onSkip}>
+            Skip
+          </button>
+        </span>
+      </li>
+    );
+  }
+
+  return (
+    <li className={ITEM_CLS}>
+      <form
+        className="flex flex-wrap items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onChange({ title: draft.title, deadline: dayjs.tz(draft.deadline, DATE_TIME_LOCAL_FORMAT, SG_TZ).toISOString() });
+        }}
+      >
+        <input
+          aria-label="Occurrence title"
+          className={INPUT_CLS}
+          value={draft.title}
+          onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))}
+        />
+        <input
+          aria-label="Occurrence deadline"
+          type="datetime-local"
+          className={INPUT_CLS}
+          value={draft.deadline}
+          onChange={(e) => setDraft((d) => ({ ...d, deadline: e.target.value }))}
+        />
+        <button type="submit" className={BTN_CLS} disabled={busy || !draft.title.trim() || !draft.deadline}>
+          Save
+        </button>
+        <button type="button" className={BTN_CLS} onClick={() => setEditing(false)}>
+          Cancel
+        </button>
+      </form>
+    </li>
+  );
+};
+
+/** Series tab for the TaskCard modal: the rule, the tasks so far and the occurrences still to come. */
+const TaskSeries = ({ taskId, title, onChanged }) => {
+  const [series, setSeries] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!taskId) return;
+    setError("");
+    try {
+      setSeries(await getTaskSeries(taskId, { limit: UPCOMING }));
+    } catch (e) {
+      setError(e.message || "Failed to load series");
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      await load();
+      onChanged?.();
+    } catch (e) {
+      setError(e.message || "Failed to update series");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!series) return error ? <p className="text-sm text-red-600">{error}</p> : <p className={ITEM_META_CLS}>Loading…</p>;
+
+  return (
+    <div>
+      {series.description && (
+        <p className={ITEM_TEXT_CLS}>
+          {series.description} <span className={ITEM_META_CLS}>({series.rrule})</span>
+        </p>
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      <h4 className={HEADING_CLS}>Upcoming</h4>
+      {series.upcoming.length ? (
+        <ul className={LIST_CONTAINER_CLS}>
+          {series.upcoming.map((date) => (
+            <UpcomingItem
+              key={date}
+              date={date}
+              title={title ?? ""}
+              busy={busy}
+              onSkip={() => run(() => skipOccurrence(taskId, date))}
+              onChange={(changes) => run(() => changeOccurrence(taskId, date, changes))}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className={ITEM_META_CLS}>The series has no more occurrences.</p>
+      )}
+
+      <h4 className={HEADING_CLS}>Tasks in this series</h4>
+      <ul className={LIST_CONTAINER_CLS}>
+        {series.instances.map((t) => (
+          <li key={t._id} className={ITEM_CLS}>
+            <span className={ITEM_TEXT_CLS}>
+              {_fmt(t.occurrenceDate)} · {t.title}
+              {t.detached && <span className={`ml-2 ${ITEM_META_CLS}`}>(changed)</span>}
+            </span>
+            <span className={ITEM_META_CLS}>{t.status}</span>
+          </li>
+        ))}
+      </ul>
+
+      {series.skipped.length > 0 && (
+        <p className={`mt-3 ${ITEM_META_CLS}`}>Skipped or changed: {series.skipped.map(_fmt).join(", ")}</p>
+      )}
+    </div>
+  );
+};
+
+export { TaskSeries };
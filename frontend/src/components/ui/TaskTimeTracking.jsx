@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  deleteTimeEntry,
+  getTaskTime,
+  logTaskTime,
+  startTaskTimer,
+  stopTaskTimer,
+} from "../../services/api";
+
+// ===== Constants =====
+const ITEM_CLS = "flex items-center justify-between gap-3 py-2";
+const META_CLS = "text-xs text-slate-500 dark:text-[--color-dark-text-muted]";
+const TEXT_CLS = "text-sm text-slate-900 dark:text-[--color-dark-text-primary]";
+const BTN_CLS = "rounded-xl border px-3 py-1.5 text-sm hover:opacity-90 disabled:opacity-50";
+const INPUT_CLS = "rounded-lg border px-2 py-1 text-sm bg-transparent";
+
+// ===== Private helpers =====
+const _fmtMinutes = (m) => {
+  if (m == null) return "—";
+  const h = Math.floor(m / 60);
+  const min = Math.round(m % 60);
+  if (!h) return `${min}m`;
+  return min ? `${h}h ${min}m` : `${h}h`;
+};
+
+const _fmtWhen = (d) => new Date(d).toLocaleString();
+
+/**
+ * Time section for the TaskCard modal: logged vs. estimated time, the caller's
+ * timer, a manual "log time" form and the entries logged so far.
+ */
+const TaskTimeTracking = ({ taskId, currentUserId, onChanged }) => {
+  const [summary, setSummary] = useState(null);
+  const [hours, setHours] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    if (!taskId) return;
+    setError("");
+    try {
+      setSummary(await getTaskTime(taskId));
+    } catch (e) {
+      setError(e.message || "Failed to load time entries");
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      await load();
+      onChanged?.();
+    } catch (e) {
+      setError(e.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLog = (e) => {
+    e.preventDefault();
+    const value = Number(hours);
+    if (!value || value <= 0) {
+      setError("Enter the hours spent");
+      return;
+    }
+    run(async () => {
+      await logTaskTime(taskId, { hours: value, ...(note.trim() ? { note: note.trim() } : {}) });
+      setHours("");
+      setNote("");
+    });
+  };
+
+  if (!summary) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : <p className={META_CLS}>Loading…</p>;
+  }
+
+  const { estimateMinutes, remainingMinutes, loggedMinutes, running, entries } = summary;
+  const closed = entries.filter((e) => e.endedAt);
+
+  return (
+    <div className="space-y-3">
+      <p className={TEXT_CLS}>
+        <strong>{_fmtMinutes(loggedMinutes)}</strong> logged
+        {estimateMinutes != null ? <> of {_fmtMinutes(estimateMinutes)} estimated</> : null}
+        {remainingMinutes != null ? <> · {_fmtMinutes(remainingMinutes)} remaining</> : null}
+      </p>
+
+      <div className="flex items-center gap-2">
+        {running ? (
+          <>
+            <button type="button" className={BTN_CLS} disabled={busy} onClick={() => run(() => stopTaskTimer(taskId))}>
+              Stop timer
+            </button>
+            <span className={META_CLS}>Running since {_fmtWhen(running.startedAt)}</span>
+          </>
+        ) : (
+          <button type="button" className={BTN_CLS} disabled={busy} onClick={() => run(() => startTaskTimer(taskId))}>
+            Start timer
+          </button>
+        )}
+      </div>
+
+      <form className="flex flex-wrap items-center gap-2" onSubmit={handleLog}>
+        <input
+          type="number"
+          min="0.25"
+          step="0.25"
+          aria-label="Hours"
+          placeholder="Hours"
+          className={`w-24 ${INPUT_CLS}`}
+          value={hours}
+          onChange={(e) => setHours(e.target.value)}
+        />
+        <input
+          type="text"
+          maxLength={500}
+          aria-label="Note"
+          placeholder="Note (optional)"
+          className={`flex-1 ${INPUT_CLS}`}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+        <button type="submit" className={BTN_CLS} disabled={busy}>Log time</button>
+      </form>
+
+      {error ? <p className="text-sm text-red-600">{error}</p> : null}
+
+      {closed.length > 0 ? (
+        <ul className="divide-y divide-light-border/60 dark:divide-dark-border/60">
+          {closed.map((e) => (
+            <li key={e._id} className={ITEM_CLS}>
+              <div className="min-w-0">
+                <p className={TEXT_CLS}>
+                  <strong>{e.user?.name ?? "Someone"}</strong> · {_fmtMinutes(e.minutes)}
+                  {e.note ? ` — ${e.note}` : ""}
+                </p>
+                <p className={META_CLS}>{_fmtWhen(e.startedAt)}</p>
+              </div>
+              {String(e.user?._id ?? e.user) === String(currentUserId) ? (
+                <button
+                  type="button"
+                  className="text-xs text-red-600 hover:underline disabled:opacity-50"
+                  disabled={busy}
+                  onClick={() => run(() => deleteTimeEntry(taskId, e._id))}
+                >
+                  Delete
+                </button>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={META_CLS}>No time logged yet.</p>
+      )}
+    </div>
+  );
+};
+
+export { TaskTimeTracking };
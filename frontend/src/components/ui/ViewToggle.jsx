@@ -0,0 +1,28 @@
+import React from "react";
+
+const VIEWS = [
+  { key: "tiles", label: "Tiles" },
+  { key: "board", label: "Board" },
+];
+
+/** Switch between the deadline tiles and the Kanban board. */
+const ViewToggle = ({ value, onChange }) => (
+  <div className="inline-flex overflow-hidden rounded-lg border border-light-border dark:border-dark-border">
+    {VIEWS.map(({ key, label }) => (
+      <button
+        key={key}
+        type="button"
+        aria-pressed={value === key}
+        onClick={() => onChange(key)}
+        className={`px-3 py-1.5 text-sm font-medium transition-colors ${value === key
+          ? "bg-brand-primary dark:bg-brand-secondary text-white"
+          : "text-light-text-primary dark:text-dark-text-primary hover:bg-light-surface dark:hover:bg-dark-surface"
+          }`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+export { ViewToggle };
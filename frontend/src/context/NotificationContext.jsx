@@ -1,20 +1,38 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useAuth } from "../context/useAuth";
-import { subscribeToNotifications, markNotificationsAsRead, getSocket } from '../services/socket';
+import { subscribeToNotifications, getSocket } from '../services/socket';
+import { getUnreadNotificationCount, markAllNotifications, updateNotification } from '../services/api';
 
 const NotificationContext = createContext();
 
+/**
+ * Unread notifications for the bell and its dropdown. They arrive over the socket; the
+ * count comes from the inbox API, and both are re-read whenever the inbox changes
+ * (`notifications:changed`, e.g. from the inbox page or another tab).
+ */
 export function NotificationProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
   const { user } = useAuth();
 
+  const refresh = useCallback(() => {
+    getSocket().emit('getUnreadNotifications');
+    getUnreadNotificationCount()
+      .then(setUnreadCount)
+      .catch(() => {});
+  }, []);
+
   useEffect(() => {
     if (!user?.id) return;
 
     // Subscribe to notifications
     const cleanup = subscribeToNotifications(user.id, (notification) => {
       setNotifications(prev => [notification, ...prev]);
+      setUnreadCount(n => n + 1);
     });
+    getUnreadNotificationCount()
+      .then(setUnreadCount)
+      .catch(() => {});
 
     return cleanup;
   }, [user?.id]);
@@ -29,23 +47,34 @@ export function NotificationProvider({ children }) {
     };
 
     socket.on('unreadNotifications', handleUnread);
-    
+    socket.on('notifications:changed', refresh);
+
     return () => {
       socket.off('unreadNotifications', handleUnread);
+      socket.off('notifications:changed', refresh);
     };
-  }, [user?.id]);
+  }, [user?.id, refresh]);
 
   const markAsRead = async (notificationIds) => {
-    await markNotificationsAsRead(notificationIds);
-    setNotifications(prev => 
+    await Promise.all(notificationIds.map((id) => updateNotification(id, { read: true })));
+    setNotifications(prev =>
       prev.filter(n => !notificationIds.includes(n._id))
     );
+    setUnreadCount(n => Math.max(0, n - notificationIds.length));
+  };
+
+  const markAllAsRead = async () => {
+    await markAllNotifications();
+    setNotifications([]);
+    setUnreadCount(0);
   };
 
   const value = {
     notifications,
-    unreadCount: notifications.length,
-    markAsRead
+    unreadCount,
+    markAsRead,
+    markAllAsRead,
+    refresh,
   };
 
   return (
@@ -19,6 +19,9 @@ import Calendar from "./pages/Calendar.jsx";
 import CreateProject from "./pages/CreateProject.jsx";
 import Timeline from "./pages/Timeline.jsx";
 import Report from "./pages/Report.jsx";
+import NotificationSettings from "./pages/NotificationSettings.jsx";
+import Trash from "./pages/Trash.jsx";
+import Notifications from "./pages/Notifications.jsx";
 
 import AuthProvider from "./context/AuthContext.jsx";
 import { NotificationProvider } from "./context/NotificationContext.jsx";
@@ -56,6 +59,9 @@ createRoot(document.getElementById("root")).render(
                   <Route index element={<RoleRedirect />} />
 
                   <Route path="home" element={<Home />} />
+                  <Route path="settings/notifications" element={<NotificationSettings />} />
+                  <Route path="notifications" element={<Notifications />} />
+                  <Route path="trash" element={<Trash />} />
 
                   <Route element={<RequireRole roles={["Staff"]} />}>
                     <Route path="tasks" element={<Tasks />} />
@@ -3,9 +3,10 @@ import FullCalendar from "@fullcalendar/react";
 import dayGridPlugin from "@fullcalendar/daygrid";
 import timeGridPlugin from "@fullcalendar/timegrid";
 import interactionPlugin from "@fullcalendar/interaction";
-import { io } from "socket.io-client";
-import { getCalendarTasks, updateTaskDates, BASE } from "../services/api";
+import { getCalendarTasks, getLabels, updateTaskDates } from "../services/api";
+import { getSocket } from "../services/socket.js";
 import { useAuth } from "../context/useAuth";
+import { CalendarFeeds } from "../components/ui/CalendarFeeds";
 
 /* ---------- Tailwind class maps ---------- */
 const PRIORITY_DOT = {
@@ -37,14 +38,29 @@ const escapeHtml = (s = "") =>
     .replace(/"/g, "&quot;")
     .replace(/'/g, "&#039;");
 
+/* A series occurrence, projected or created, is identified by series and slot */
+const slotId = (seriesId, occurrenceDate) => `${seriesId}@${new Date(occurrenceDate).toISOString()}`;
+
+/* Label colours as small squares after the title */
+const labelMarks = (labels = []) =>
+  labels
+    .filter((l) => l?.name)
+    .map(
+      (l) =>
+        `<span class="inline-block w-2 h-2 rounded-sm ml-1 align-middle" style="background-color:${escapeHtml(
+          l.color || "#64748b"
+        )}" title="${escapeHtml(l.name)}"></span>`
+    )
+    .join("");
+
 /* Dot + title (no time since displayEventTime=false) */
 const eventContent = (arg) => {
-  const { priority } = arg.event.extendedProps || {};
+  const { priority, labels } = arg.event.extendedProps || {};
   const dot = PRIORITY_DOT[priority] || PRIORITY_DOT._default;
   return {
     html: `
       <span class="inline-block w-2 h-2 rounded-full ${dot} mr-1 align-middle"></span>
-      <span class="fc-title">${escapeHtml(arg.event.title || "")}</span>
+      <span class="fc-title">${escapeHtml(arg.event.title || "")}</span>${labelMarks(labels)}
     `,
   };
 };
@@ -53,6 +69,9 @@ export default function Calendar() {
   const calRef = useRef(null);
   const { user } = useAuth();
   const [events, setEvents] = useState([]);
+  const [labelOptions, setLabelOptions] = useState([]);
+  const [labelId, setLabelId] = useState("");
+  const [showFeeds, setShowFeeds] = useState(false);
   const socketRef = useRef(null);
 
   // tooltip state (Tailwind styled, only position uses inline)
@@ -76,14 +95,32 @@ export default function Calendar() {
         assignees: t.assignedTeamMembers,
         status: t.status,
         priority: t.priority,
+        labels: t.labels,
       },
     };
   };
 
+  // An upcoming occurrence of a recurring task that has no task yet: shown, not movable
+  const toProjected = (p) => ({
+    id: slotId(p.seriesId, p.occurrenceDate),
+    title: p.title,
+    start: p.deadline,
+    end: null,
+    allDay: false,
+    editable: false,
+    extendedProps: {
+      assignees: p.assignedTeamMembers,
+      priority: p.priority,
+      labels: p.labels,
+      projected: true,
+    },
+  });
+
   const loadRange = useCallback(async (start, end) => {
-    const { tasks } = await getCalendarTasks({
+    const { tasks, projected = [] } = await getCalendarTasks({
       start: start.toISOString(),
       end: end.toISOString(),
+      labels: labelId ? [labelId] : undefined,
     });
 
     const events = tasks
@@ -91,8 +128,8 @@ export default function Calendar() {
       .map(toEvent)
       .filter(Boolean);
 
-    setEvents(events);
-  }, []);
+    setEvents([...events, ...projected.map(toProjected)]);
+  }, [labelId]);
 
   useEffect(() => {
     const api = calRef.current?.getApi();
@@ -100,25 +137,53 @@ export default function Calendar() {
   }, [loadRange]);
 
   useEffect(() => {
-    socketRef.current = io(BASE, { withCredentials: true });
-    socketRef.current.on("calendar:task:created", ({ task }) =>
-      setEvents((evs) => [...evs, toEvent(task)])
-    );
-    socketRef.current.on("calendar:task:updated", ({ task }) =>
-      setEvents((evs) => evs.map((e) => (e.id === task._id ? toEvent(task) : e)))
-    );
-    socketRef.current.on("calendar:task:deleted", ({ id }) =>
-      setEvents((evs) => evs.filter((e) => e.id !== id))
-    );
-    return () => socketRef.current?.disconnect();
+    getLabels()
+      .then((labels) => setLabelOptions(Array.isArray(labels) ? labels : []))
+      .catch(() => setLabelOptions([]));
   }, []);
 
+  useEffect(() => {
+    const socket = getSocket();
+    socketRef.current = socket;
+    const onCreated = ({ task }) => {
+      // The occurrence it was created for is no longer a projection
+      const slot = task.seriesId && task.occurrenceDate ? slotId(task.seriesId, task.occurrenceDate) : null;
+      setEvents((evs) => [...evs.filter((e) => e.id !== slot), toEvent(task)]);
+    };
+    const onUpdated = ({ task }) => setEvents((evs) => evs.map((e) => (e.id === task._id ? toEvent(task) : e)));
+    const onDeleted = ({ id }) => setEvents((evs) => evs.filter((e) => e.id !== id));
+    socket.on("calendar:task:created", onCreated);
+    socket.on("calendar:task:updated", onUpdated);
+    socket.on("calendar:task:deleted", onDeleted);
+    // The socket is shared: stop listening, but stay connected
+    return () => {
+      socket.off("calendar:task:created", onCreated);
+      socket.off("calendar:task:updated", onUpdated);
+      socket.off("calendar:task:deleted", onDeleted);
+    };
+  }, []);
+
+  // A bulk change or a series edit can touch any number of tasks: reload the visible range
+  useEffect(() => {
+    const socket = socketRef.current;
+    const onBulk = () => {
+      const api = calRef.current?.getApi();
+      if (api) loadRange(api.view.activeStart, api.view.activeEnd);
+    };
+    socket?.on("tasks:bulk", onBulk);
+    socket?.on("calendar:series:updated", onBulk);
+    return () => {
+      socket?.off("tasks:bulk", onBulk);
+      socket?.off("calendar:series:updated", onBulk);
+    };
+  }, [loadRange]);
+
   const editable = user?.role === "Manager";
 
   /* ---------- Tailwind classes on each event element ---------- */
   const styleEvent = (info) => {
     const el = info.el;
-    const { status, priority } = info.event.extendedProps || {};
+    const { status, priority, projected } = info.event.extendedProps || {};
 
     const base = [
       "bg-light-bg",
@@ -146,6 +211,10 @@ export default function Calendar() {
       if (title) title.classList.add("line-through");
     }
 
+    if (projected) {
+      el.classList.add("opacity-60", "border-dashed");
+    }
+
     if (info.event.allDay) {
       el.classList.add("rounded-full", "px-1.5");
     }
@@ -211,6 +280,36 @@ export default function Calendar() {
         <p className="mt-3 text-lg text-light-text-secondary dark:text-dark-text-secondary">
           View and manage task deadlines across all projects
         </p>
+        {labelOptions.length > 0 && (
+          <label className="mt-4 inline-flex items-center gap-2 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+            Label:
+            <select
+              value={labelId}
+              onChange={(e) => setLabelId(e.target.value)}
+              className="px-3 py-1.5 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary"
+            >
+              <option value="">All labels</option>
+              {labelOptions.map((l) => (
+                <option key={l._id} value={l._id}>
+                  {l.project?.name ? `${l.name} (${l.project.name})` : l.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button
+          type="button"
+          aria-expanded={showFeeds}
+          onClick={() => setShowFeeds((v) => !v)}
+          className="mt-4 ml-3 px-3 py-1.5 rounded-lg border border-light-border dark:border-dark-border text-sm text-light-text-secondary dark:text-dark-text-secondary hover:opacity-90"
+        >
+          Subscribe
+        </button>
+        {showFeeds && (
+          <div className="mt-4">
+            <CalendarFeeds />
+          </div>
+        )}
       </header>
 
       {/* Calendar Container */}
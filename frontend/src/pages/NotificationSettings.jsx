@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { getNotificationPreferences, updateNotificationPreferences } from "../services/api";
+
+const TYPES = [
+    ["reminder", "Deadline reminders"],
+    ["overdue", "Overdue tasks"],
+    ["update", "Task updates"],
+    ["comment", "Comments on my tasks"],
+    ["mention", "@mentions"],
+];
+
+const FREQUENCIES = [
+    ["instant", "As they happen"],
+    ["hourly", "Hourly digest"],
+    ["daily", "Daily digest (08:00)"],
+];
+
+const CARD_CLS = "rounded-2xl border p-4 bg-light-surface dark:bg-dark-surface border-light-border dark:border-dark-border space-y-3";
+const HEADING_CLS = "text-lg font-semibold text-light-text-primary dark:text-dark-text-primary";
+const TEXT_CLS = "text-sm text-light-text-primary dark:text-dark-text-primary";
+const MUTED_CLS = "text-sm text-light-text-secondary dark:text-dark-text-secondary";
+const INPUT_CLS = "border rounded-lg px-2 py-1 bg-light-bg dark:bg-dark-bg border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary";
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function timeZoneOptions(current) {
+    const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+    return [...new Set([current, browserTimeZone(), ...zones].filter(Boolean))].sort();
+}
+
+export default function NotificationSettings() {
+    const [prefs, setPrefs] = useState(null);
+    const [error, setError] = useState("");
+    const [status, setStatus] = useState("");
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        getNotificationPreferences()
+            .then(setPrefs)
+            .catch((e) => setError(e.message));
+    }, []);
+
+    const zones = useMemo(() => timeZoneOptions(prefs?.timezone), [prefs?.timezone]);
+
+    const setChannel = (type, channel, on) =>
+        setPrefs((p) => ({ ...p, types: { ...p.types, [type]: { ...p.types?.[type], [channel]: on } } }));
+    const setQuiet = (patch) => setPrefs((p) => ({ ...p, quietHours: { ...p.quietHours, ...patch } }));
+
+    async function save(e) {
+        e.preventDefault();
+        setSaving(true);
+        setError("");
+        setStatus("");
+        try {
+            const { types, quietHours, timezone, emailFrequency } = prefs;
+            setPrefs(await updateNotificationPreferences({ types, quietHours, timezone, emailFrequency }));
+            setStatus("Saved");
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    if (!prefs) {
+        return (
+            <div className="mx-auto max-w-3xl p-6">
+                <p className={error ? "text-red-600" : MUTED_CLS}>{error || "Loading…"}</p>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={save} className="mx-auto max-w-3xl p-6 space-y-6">
+            <header>
+                <h1 className="text-2xl font-semibold text-light-text-primary dark:text-dark-text-primary">
+                    Notification settings
+                </h1>
+                <p className={MUTED_CLS}>Choose what reaches you, where, and when.</p>
+            </header>
+
+            <section className={CARD_CLS}>
+                <h2 className={HEADING_CLS}>What to notify me about</h2>
+                <table className="w-full">
+                    <thead>
+                        <tr className={MUTED_CLS}>
+                            <th className="text-left font-medium py-1">Notification</th>
+                            <th className="w-24 font-medium">In-app</th>
+                            <th className="w-24 font-medium">Email</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {TYPES.map(([type, label]) => (
+                            <tr key={type} className={TEXT_CLS}>
+                                <td className="py-1.5">{label}</td>
+                                {["inApp", "email"].map((channel) => (
+                                    <td key={channel} className="text-center">
+                                        <input
+                                            type="checkbox"
+                                            aria-label={`${label} ${channel === "inApp" ? "in-app" : "email"}`}
+                                            checked={prefs.types?.[type]?.[channel] !== false}
+                                            onChange={(e) => setChannel(type, channel, e.target.checked)}
+                                        />
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </section>
+
+            <section className={CARD_CLS}>
+                <h2 className={HEADING_CLS}>Email delivery</h2>
+                <div className="flex flex-wrap gap-4">
+                    {FREQUENCIES.map(([value, label]) => (
+                        <label key={value} className={`flex items-center gap-2 ${TEXT_CLS}`}>
+                            <input
+                                type="radio"
+                                name="emailFrequency"
+                                value={value}
+                                checked={prefs.emailFrequency === value}
+                                onChange={() => setPrefs((p) => ({ ...p, emailFrequency: value }))}
+                            />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+            </section>
+
+            <section className={CARD_CLS}>
+                <h2 className={HEADING_CLS}>Quiet hours</h2>
+                <p className={MUTED_CLS}>
+                    Emails are held until quiet hours end. In-app notifications still arrive.
+                </p>
+                <label className={`flex items-center gap-2 ${TEXT_CLS}`}>
+                    <input
+                        type="checkbox"
+                        checked={!!prefs.quietHours?.enabled}
+                        onChange={(e) => setQuiet({ enabled: e.target.checked })}
+                    />
+                    Enable quiet hours
+                </label>
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className={`flex items-center gap-2 ${TEXT_CLS}`}>
+                        From
+                        <input
+                            type="time"
+                            className={INPUT_CLS}
+                            value={prefs.quietHours?.start ?? "22:00"}
+                            onChange={(e) => setQuiet({ start: e.target.value })}
+                            disabled={!prefs.quietHours?.enabled}
+                        />
+                    </label>
+                    <label className={`flex items-center gap-2 ${TEXT_CLS}`}>
+                        To
+                        <input
+                            type="time"
+                            className={INPUT_CLS}
+                            value={prefs.quietHours?.end ?? "07:00"}
+                            onChange={(e) => setQuiet({ end: e.target.value })}
+                            disabled={!prefs.quietHours?.enabled}
+                        />
+                    </label>
+                    <label className={`flex items-center gap-2 ${TEXT_CLS}`}>
+                        Timezone
+                        <select
+                            className={INPUT_CLS}
+                            value={prefs.timezone}
+                            onChange={(e) => setPrefs((p) => ({ ...p, timezone: e.target.value }))}
+                        >
+                            {zones.map((z) => (
+                                <option key={z} value={z}>{z}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+            </section>
+
+            <div className="flex items-center justify-end gap-3">
+                {error && <span className="text-sm text-red-600">{error}</span>}
+                {status && <span className={MUTED_CLS}>{status}</span>}
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 rounded-lg bg-brand-primary text-white dark:bg-brand-secondary shadow-sm font-medium disabled:opacity-60"
+                >
+                    {saving ? "Saving…" : "Save settings"}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,243 @@
+import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import relativeTime from "dayjs/plugin/relativeTime";
+import { getNotifications, getProjects, markAllNotifications, updateNotification } from "../services/api";
+import { useNotifications } from "../context/NotificationContext";
+import SnoozeMenu from "../components/notifications/SnoozeMenu";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(relativeTime);
+
+const SG_TZ = "Asia/Singapore";
+const PAGE_SIZE = 20;
+
+const CARD_CLS = "rounded-2xl border p-4 bg-light-surface dark:bg-dark-surface border-light-border dark:border-dark-border";
+const TEXT_CLS = "text-sm text-light-text-primary dark:text-dark-text-primary";
+const MUTED_CLS = "text-sm text-light-text-secondary dark:text-dark-text-secondary";
+const INPUT_CLS = "border rounded-lg px-2 py-1 bg-light-bg dark:bg-dark-bg border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary";
+const BUTTON_CLS = "px-3 py-1.5 rounded-lg text-sm font-medium border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary hover:bg-light-bg dark:hover:bg-dark-bg disabled:opacity-50";
+const TAB_CLS = "px-3 py-1.5 rounded-lg text-sm font-medium";
+
+const TYPE_LABELS = { reminder: "Reminder", overdue: "Overdue", comment: "Comment", mention: "Mention", update: "Update" };
+
+// Date inputs are Singapore days
+const _dayStart = (d) => (d ? dayjs.tz(d, SG_TZ).startOf("day").toISOString() : undefined);
+const _dayEnd = (d) => (d ? dayjs.tz(d, SG_TZ).endOf("day").toISOString() : undefined);
+const _readFilter = { all: undefined, unread: false, read: true };
+
+/** Every notification the user has had, page by page, with read state and an archive. */
+export default function Notifications() {
+  const { refresh } = useNotifications();
+  const [archived, setArchived] = useState(false);
+  const [filters, setFilters] = useState({ type: "", read: "all", project: "", from: "", to: "" });
+  const [projects, setProjects] = useState([]);
+  const [items, setItems] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadedAt, setLoadedAt] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getProjects()
+      .then((list) => setProjects(Array.isArray(list) ? list : []))
+      .catch(() => setProjects([]));
+  }, []);
+
+  const fetchPage = useCallback(
+    (cursor) =>
+      getNotifications({
+        cursor,
+        limit: PAGE_SIZE,
+        archived,
+        type: filters.type || undefined,
+        read: _readFilter[filters.read],
+        project: filters.project || undefined,
+        from: _dayStart(filters.from),
+        to: _dayEnd(filters.to),
+      }),
+    [archived, filters]
+  );
+
+  const load = useCallback(() => {
+    setError("");
+    setLoadedAt(new Date().toISOString());
+    return fetchPage()
+      .then((page) => {
+        setItems(page.items);
+        setNextCursor(page.nextCursor);
+      })
+      .catch((e) => {
+        setItems([]);
+        setNextCursor(null);
+        setError(e.message);
+      });
+  }, [fetchPage]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const loadMore = async () => {
+    setBusy(true);
+    try {
+      const page = await fetchPage(nextCursor);
+      setItems((prev) => [...prev, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const change = async (item, changes) => {
+    setError("");
+    try {
+      const updated = await updateNotification(item._id, changes);
+      // Archiving moves it to the other tab
+      setItems((prev) =>
+        changes.archived !== undefined ? prev.filter((n) => n._id !== item._id) : prev.map((n) => (n._id === item._id ? updated : n))
+      );
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // A snoozed notification is marked read; it comes back as a new reminder
+  const snoozed = (item) => {
+    setItems((prev) => prev.map((n) => (n._id === item._id ? { ...n, read: true } : n)));
+    refresh();
+  };
+
+  // Only what was already on screen: anything newer stays unread
+  const markAllRead = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await markAllNotifications({ before: loadedAt });
+      setItems((prev) => prev.map((n) => ({ ...n, read: true })));
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <div className="mx-auto max-w-4xl p-6 space-y-6">
+      <header className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold text-light-text-primary dark:text-dark-text-primary">Notifications</h1>
+          <p className={MUTED_CLS}>Everything you have been notified about. Archive what you are done with.</p>
+        </div>
+        <div className="flex gap-2" role="tablist">
+          {[
+            [false, "Inbox"],
+            [true, "Archive"],
+          ].map(([value, label]) => (
+            <button
+              key={label}
+              type="button"
+              role="tab"
+              aria-selected={archived === value}
+              className={`${TAB_CLS} ${archived === value ? "bg-brand-primary text-white" : "text-light-text-primary dark:text-dark-text-primary"}`}
+              onClick={() => setArchived(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </header>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select className={INPUT_CLS} aria-label="Type" value={filters.type} onChange={setFilter("type")}>
+          <option value="">All types</option>
+          {Object.entries(TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select className={INPUT_CLS} aria-label="Read state" value={filters.read} onChange={setFilter("read")}>
+          <option value="all">Read and unread</option>
+          <option value="unread">Unread</option>
+          <option value="read">Read</option>
+        </select>
+        <select className={INPUT_CLS} aria-label="Project" value={filters.project} onChange={setFilter("project")}>
+          <option value="">All projects</option>
+          {projects.map((p) => (
+            <option key={p._id} value={p._id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <label className={`flex items-center gap-2 ${MUTED_CLS}`}>
+          From
+          <input type="date" className={INPUT_CLS} value={filters.from} onChange={setFilter("from")} />
+        </label>
+        <label className={`flex items-center gap-2 ${MUTED_CLS}`}>
+          To
+          <input type="date" className={INPUT_CLS} value={filters.to} onChange={setFilter("to")} />
+        </label>
+        {!archived && (
+          <button type="button" className={`${BUTTON_CLS} ml-auto`} disabled={busy} onClick={markAllRead}>
+            Mark all as read
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {!items ? (
+        <p className={MUTED_CLS}>Loading…</p>
+      ) : items.length === 0 ? (
+        <p className={MUTED_CLS}>{archived ? "Nothing archived." : "No notifications."}</p>
+      ) : (
+        <ul className="space-y-3">
+          {items.map((n) => (
+            <li key={n._id} className={`${CARD_CLS} flex flex-wrap items-center gap-3 ${n.read ? "opacity-75" : ""}`}>
+              <div className="min-w-0 flex-1">
+                <p className={`${TEXT_CLS} ${n.read ? "" : "font-semibold"}`}>
+                  <span className="mr-2 rounded bg-light-bg dark:bg-dark-bg px-1.5 py-0.5 text-xs font-normal">
+                    {TYPE_LABELS[n.type] ?? n.type}
+                  </span>
+                  {n.message}
+                </p>
+                <p className={MUTED_CLS}>
+                  {n.taskId?.title ? `${n.taskId.title} · ` : ""}
+                  <time dateTime={n.scheduledFor} title={dayjs(n.scheduledFor).tz(SG_TZ).format("D MMM YYYY HH:mm")}>
+                    {dayjs(n.scheduledFor).fromNow()}
+                  </time>
+                </p>
+              </div>
+              <div className="flex items-start gap-2">
+                {!archived && <SnoozeMenu notification={n} onSnoozed={snoozed} />}
+                <button type="button" className={BUTTON_CLS} onClick={() => change(n, { read: !n.read })}>
+                  {n.read ? "Mark as unread" : "Mark as read"}
+                </button>
+                <button type="button" className={BUTTON_CLS} onClick={() => change(n, { archived: !archived })}>
+                  {archived ? "Move to inbox" : "Archive"}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && (
+        <div className="flex justify-center">
+          <button type="button" className={BUTTON_CLS} disabled={busy} onClick={loadMore}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,7 +8,7 @@ import {
   getManagerProjects,
   getDirectorReport,
   getSeniorManagerReport,
-  BASE,
+  getUserById,
 } from "../services/api.js";
 import dayjs from "dayjs";
 
@@ -934,6 +934,9 @@ function DirectorReport({ userId, reportData, reportRef }) {
                   <th className="text-right py-3 px-4 text-sm font-semibold text-light-text-primary dark:text-dark-text-primary">
                     Overdue Rate
                   </th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-light-text-primary dark:text-dark-text-primary">
+                    Logged / Est. (h)
+                  </th>
                 </tr>
               </thead>
               <tbody>
@@ -957,6 +960,9 @@ function DirectorReport({ userId, reportData, reportRef }) {
                     <td className="py-3 px-4 text-sm text-right font-semibold text-danger">
                       {member.overdueRate}%
                     </td>
+                    <td className="py-3 px-4 text-sm text-right text-light-text-primary dark:text-dark-text-primary">
+                      {member.loggedHours ?? 0} / {member.estimatedHours ?? 0}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -1370,10 +1376,7 @@ export default function Report() {
         } else if (user.role === "Director") {
           // Director: Get department-level report data
           try {
-            const userResponse = await fetch(`${BASE}/api/users/${user.id}`, {
-              credentials: "include",
-            });
-            const freshUserData = await userResponse.json();
+            const freshUserData = await getUserById(user.id);
 
             // Extract department ID
             const departmentId =
@@ -1,17 +1,39 @@
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import dayjs from "dayjs";
-import { getManagerProjects, getProjectTasks, sendOverdueAlerts } from "../services/api.js";
+import { useSearchParams } from "react-router-dom";
+import {
+  createSavedView,
+  createTemplateFromProject,
+  deleteSavedView,
+  getManagerProjects,
+  getProjectTasks,
+  getProjectWorkflow,
+  getSavedView,
+  getSavedViews,
+  getTask,
+  getTeamMembersByProjectId,
+  sendOverdueAlerts,
+} from "../services/api.js";
+import { DEFAULT_WORKFLOW, categoryOf } from "../services/workflow.js";
+import {
+  dueSection,
+  groupTasks,
+  isDefaultView,
+  matchesView,
+  priorityBand,
+  savedViewFields,
+  viewStateFromParams,
+  viewStateFromSaved,
+  withViewState,
+} from "../services/board-views.js";
+import { BoardViewControls } from "../components/ui/BoardViewControls.jsx";
+import { BulkActionBar } from "../components/ui/BulkActionBar.jsx";
 import { TaskCard } from "../components/ui/TaskCard.jsx";
+import { KanbanBoard } from "../components/ui/KanbanBoard.jsx";
+import { ViewToggle } from "../components/ui/ViewToggle.jsx";
 import { TaskForm } from "../components/ui/TaskForm.jsx";
 import { useAuth } from "../context/useAuth.js";
 
-function priorityBucket(p) {
-  const n = Math.trunc(Number(p));
-  if (!Number.isFinite(n)) return null;
-  if (n <= 3) return "Low";
-  if (n <= 7) return "Medium";
-  return "High";
-}
 
 function ProjectPicker({ projects, valueId, onChange }) {
   const [open, setOpen] = useState(false);
@@ -61,17 +83,18 @@ function ProjectPicker({ projects, valueId, onChange }) {
   );
 }
 
-function SquareTaskTile({ task, onOpen, section }) {
+function SquareTaskTile({ task, onOpen, section, selecting = false, selected = false, onToggle }) {
   const hasDate = !!task?.deadline;
   const deadlineStr = hasDate ? dayjs(task.deadline).format("DD MMM YYYY") : "No deadline";
 
-  const status = normalizeStatus(task.status);
+  // Colour by category: projects name their statuses freely
+  const category = categoryOf(task);
   const statusClass =
-    status === "To Do"
+    category === "not_started"
       ? "text-light-text-muted dark:text-dark-text-muted"
-      : status === "In Progress"
+      : category === "active"
         ? "text-info"
-        : status === "Done"
+        : category === "done"
           ? "text-success"
           : "";
 
@@ -104,14 +127,22 @@ function SquareTaskTile({ task, onOpen, section }) {
   );
 
   return (
-    <article className="border border-light-border dark:border-dark-border rounded-2xl shadow-sm bg-light-bg dark:bg-dark-bg overflow-hidden transition-all hover:shadow-md hover:border-brand-primary dark:hover:border-brand-secondary h-full group">
+    <article
+      className={`border border-light-border dark:border-dark-border rounded-2xl shadow-sm bg-light-bg dark:bg-dark-bg overflow-hidden transition-all hover:shadow-md hover:border-brand-primary dark:hover:border-brand-secondary h-full group ${selected ? "ring-2 ring-brand-primary dark:ring-brand-secondary" : ""}`}
+    >
       <button
         type="button"
-        onClick={() => onOpen(task)}
+        onClick={() => (selecting ? onToggle(task._id) : onOpen(task))}
         className="w-full p-5 flex flex-col justify-between text-left h-full"
-        aria-label={`Open task ${task?.title ?? ""}`}
+        aria-label={`${selecting ? "Select" : "Open"} task ${task?.title ?? ""}`}
+        aria-pressed={selecting ? selected : undefined}
       >
         <div className="space-y-3">
+          {selecting && (
+            <span aria-hidden="true" className="text-lg text-brand-primary dark:text-brand-secondary">
+              {selected ? "☑" : "☐"}
+            </span>
+          )}
           <div className="text-base sm:text-lg font-bold line-clamp-2 text-light-text-primary dark:text-dark-text-primary group-hover:text-brand-primary dark:group-hover:text-brand-secondary transition-colors">
             {task.title || "Untitled task"}
           </div>
@@ -129,7 +160,7 @@ function SquareTaskTile({ task, onOpen, section }) {
             </div>
             <div>
               {(() => {
-                const bucket = priorityBucket(task.priority);
+                const bucket = priorityBand(task.priority);
                 const n = Number(task?.priority);
                 if (!bucket || !Number.isFinite(n)) {
                   return (
@@ -154,6 +185,18 @@ function SquareTaskTile({ task, onOpen, section }) {
   );
 }
 
+// Section heading colours for each group tone (see groupTasks)
+const SECTION_TONES = {
+  danger: { bar: "bg-danger", title: "text-danger", rule: "bg-danger/20" },
+  warning: { bar: "bg-warning", title: "text-warning", rule: "bg-warning/20" },
+  success: { bar: "bg-success", title: "text-success", rule: "bg-success/20" },
+  brand: {
+    bar: "bg-brand-primary dark:bg-brand-secondary",
+    title: "text-light-text-primary dark:text-dark-text-primary",
+    rule: "bg-light-border dark:bg-dark-border",
+  },
+};
+
 export default function TaskBoardMgr() {
   const { user, loading: authLoading } = useAuth();
   const [projects, setProjects] = useState([]);
@@ -163,18 +206,45 @@ export default function TaskBoardMgr() {
   const [selectedProjectId, setSelectedProjectId] = useState(null);
 
   const [tasks, setTasks] = useState([]);
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
   const [tasksLoading, setTasksLoading] = useState(false);
   const [tasksError, setTasksError] = useState(null);
 
   const [activeTask, setActiveTask] = useState(null);
 
-  const [statusFilter, setStatusFilter] = useState("All");
-  const [priorityFilter, setPriorityFilter] = useState("All");
+  const [savedViews, setSavedViews] = useState([]);
 
   const [showCreate, setShowCreate] = useState(false);
+  const [view, setView] = useState("tiles");
+  // Multi-select mode: tiles toggle selection instead of opening, for the bulk action bar
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [boardKey, setBoardKey] = useState(0);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Task linked from the global search, opened once its project's tasks have loaded
+  const pendingTaskId = useRef(null);
 
   const userId = user?._id ?? user?.id ?? null;
 
+  // Filters, sort and grouping live in the URL so a board can be linked (see board-views.js)
+  const viewState = useMemo(() => viewStateFromParams(searchParams), [searchParams]);
+  const activeViewId = searchParams.get("view");
+  const updateView = useCallback(
+    (patch, { keepSavedView = false } = {}) =>
+      setSearchParams(
+        (prev) => {
+          const next = withViewState(prev, { ...viewStateFromParams(prev), ...patch });
+          if (!keepSavedView) next.delete("view");
+          return next;
+        },
+        { replace: true }
+      ),
+    [setSearchParams]
+  );
+  // The project a link opened the page on; picked first once projects load
+  const [linkedOnOpen] = useState(() => searchParams.get("project"));
+
   useEffect(() => {
     if (authLoading) return;
     (async () => {
@@ -192,7 +262,13 @@ export default function TaskBoardMgr() {
         setProjects(mine);
 
         if (mine.length > 0) {
-          setSelectedProjectId((prev) => (mine.some((p) => p._id === prev) ? prev : mine[0]._id));
+          setSelectedProjectId((prev) =>
+            mine.some((p) => p._id === prev)
+              ? prev
+              : mine.some((p) => p._id === linkedOnOpen)
+                ? linkedOnOpen
+                : mine[0]._id
+          );
         } else {
           setSelectedProjectId(null);
         }
@@ -210,10 +286,26 @@ export default function TaskBoardMgr() {
         setProjLoading(false);
       }
     })();
-  }, [authLoading, userId]);
+  }, [authLoading, userId, linkedOnOpen]);
+
+  // Board cards only carry what the card shows; the details modal needs the full task
+  const openBoardTask = async (card) => {
+    try {
+      setActiveTask(await getTask(card._id));
+    } catch {
+      setActiveTask(card);
+    }
+  };
+
+  const openLinkedTask = (taskId) => {
+    getTask(taskId)
+      .then(setActiveTask)
+      .catch(() => { /* deleted or no longer visible: just show the board */ });
+  };
 
   const reloadTasks = async (projectId = selectedProjectId) => {
     if (!projectId) return;
+    setBoardKey((k) => k + 1);
     setTasksLoading(true);
     setTasksError(null);
     setActiveTask(null);
@@ -223,6 +315,10 @@ export default function TaskBoardMgr() {
       const data = await getProjectTasks(projectId);
       const roots = Array.isArray(data) ? data.filter((t) => !t.parentTask) : [];
       setTasks(roots);
+      if (pendingTaskId.current) {
+        openLinkedTask(pendingTaskId.current);
+        pendingTaskId.current = null;
+      }
     } catch (err) {
       setTasksError(err?.message || "Failed to load tasks");
     } finally {
@@ -235,6 +331,149 @@ export default function TaskBoardMgr() {
     reloadTasks(selectedProjectId);
   }, [selectedProjectId]);
 
+  useEffect(() => {
+    if (!selectedProjectId) return;
+    let cancelled = false;
+    getProjectWorkflow(selectedProjectId)
+      .then((wf) => !cancelled && setWorkflow(wf?.statuses?.length ? wf : DEFAULT_WORKFLOW))
+      .catch(() => !cancelled && setWorkflow(DEFAULT_WORKFLOW));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProjectId]);
+
+  // Selection and team are per project
+  useEffect(() => {
+    setSelectedIds([]);
+    if (!selectedProjectId) return;
+    let cancelled = false;
+    getTeamMembersByProjectId(selectedProjectId)
+      .then((members) => !cancelled && setTeamMembers(Array.isArray(members) ? members : []))
+      .catch(() => !cancelled && setTeamMembers([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProjectId]);
+
+  const toggleSelected = (taskId) =>
+    setSelectedIds((prev) => (prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]));
+
+  /* ---------- Open what the global search linked to (?project= / ?task=) ---------- */
+  const linkedProjectId = searchParams.get("project");
+  const linkedTaskId = searchParams.get("task");
+  // Each link is followed once; after that the project picker drives the selection
+  const followedLink = useRef(null);
+  useEffect(() => {
+    if (projLoading || (!linkedProjectId && !linkedTaskId)) return;
+    const link = `${linkedProjectId}|${linkedTaskId}`;
+    if (followedLink.current === link) return;
+    followedLink.current = link;
+    if (linkedTaskId) {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          next.delete("task");
+          return next;
+        },
+        { replace: true }
+      );
+    }
+    const switching =
+      linkedProjectId !== selectedProjectId && projects.some((p) => p._id === linkedProjectId);
+    if (switching) setSelectedProjectId(linkedProjectId);
+    if (!linkedTaskId) return;
+    if (switching) pendingTaskId.current = linkedTaskId;
+    else openLinkedTask(linkedTaskId);
+  }, [projLoading, linkedProjectId, linkedTaskId, projects, selectedProjectId, setSearchParams]);
+
+  // Keep the open project in the URL with the filters
+  useEffect(() => {
+    if (!selectedProjectId || linkedProjectId === selectedProjectId) return;
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        next.set("project", selectedProjectId);
+        return next;
+      },
+      { replace: true }
+    );
+  }, [selectedProjectId, linkedProjectId, setSearchParams]);
+
+  /* ---------- Saved views ---------- */
+  useEffect(() => {
+    if (!selectedProjectId) return;
+    let cancelled = false;
+    getSavedViews({ project: selectedProjectId })
+      .then((list) => !cancelled && setSavedViews(Array.isArray(list) ? list : []))
+      .catch(() => !cancelled && setSavedViews([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProjectId]);
+
+  const applySavedView = useCallback(
+    (saved) => {
+      const projectId = String(saved.project?._id ?? saved.project ?? "");
+      setSearchParams(
+        (prev) => {
+          const next = withViewState(prev, viewStateFromSaved(saved));
+          next.set("view", saved._id);
+          // A view made for one project opens that project (the link effect above switches to it)
+          if (projectId && projects.some((p) => p._id === projectId)) next.set("project", projectId);
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [projects, setSearchParams]
+  );
+
+  // A bare ?view= link (no filters in the URL) opens with the saved view's settings
+  const openedViewId = useRef(null);
+  useEffect(() => {
+    if (projLoading || !activeViewId || openedViewId.current === activeViewId) return;
+    openedViewId.current = activeViewId;
+    if (!isDefaultView(viewState)) return;
+    getSavedView(activeViewId)
+      .then(applySavedView)
+      .catch((e) => {
+        alert(e.message || "Failed to open saved view");
+        updateView({});
+      });
+  }, [projLoading, activeViewId, viewState, applySavedView, updateView]);
+
+  const saveCurrentView = async ({ name, sharing }) => {
+    const saved = await createSavedView({
+      name,
+      sharing,
+      project: sharing === "project" ? selectedProjectId : null,
+      ...savedViewFields(viewState),
+    });
+    setSavedViews((prev) => [...prev, { ...saved, owner: { _id: userId, name: user?.name } }]);
+    openedViewId.current = saved._id;
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        next.set("view", saved._id);
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  const removeSavedView = async (viewId) => {
+    await deleteSavedView(viewId);
+    setSavedViews((prev) => prev.filter((v) => v._id !== viewId));
+    updateView({});
+  };
+
+  // Workflow names as-is; anything else (legacy spellings) normalised
+  const workflowNames = useMemo(() => workflow.statuses.map((s) => s.name), [workflow]);
+  const statusLabel = useCallback(
+    (raw) => (workflowNames.includes(raw) ? raw : normalizeStatus(raw)),
+    [workflowNames]
+  );
+
   const sortedTasks = useMemo(() => {
     return [...tasks].sort((a, b) => {
       const pa = Number(a.priority) || 0;
@@ -246,80 +485,24 @@ export default function TaskBoardMgr() {
     });
   }, [tasks]);
 
-  const filteredTasks = useMemo(() => {
-    const statusOK = (st) => statusFilter === "All" || normalizeStatus(st) === statusFilter;
-    const priorityOK = (pr) => {
-      if (priorityFilter === "All") return true;
-      const n = Number(pr);
-      const f = Number(priorityFilter);
-      return Number.isFinite(n) && n === f;
-    };
-
-    return sortedTasks.filter((t) => {
-      const taskMatch = statusOK(t.status) && priorityOK(t.priority);
-      const subMatch = (t.subtasks ?? []).some(
-        (s) => statusOK(s.status) && priorityOK(s.priority)
-      );
-      return taskMatch || subMatch;
-    });
-  }, [sortedTasks, statusFilter, priorityFilter]);
-
-  const today = dayjs().startOf("day");
-  const isDone = (t) => normalizeStatus(t.status) === "Done";
-  const hasDeadline = (t) => !!t?.deadline;
-  const djs = (t) => dayjs(t.deadline);
-
-  const sectionKey = (t) => {
-    if (isDone(t)) return "completed";
-    if (!hasDeadline(t)) return "upcoming";
-    if (djs(t).isBefore(today)) return "overdue";
-    if (djs(t).isSame(today, "day")) return "today";
-    return "upcoming";
-  };
-
-  const cmpClosest = (a, b) => {
-    const da = Math.abs(djs(a).diff(today, "millisecond"));
-    const db = Math.abs(djs(b).diff(today, "millisecond"));
-    return da - db;
-  };
-
-  const withNoDeadlineLast = (cmp) => (a, b) => {
-    const ad = hasDeadline(a), bd = hasDeadline(b);
-    if (ad && !bd) return -1;
-    if (!ad && bd) return 1;
-    if (!ad && !bd) return 0;
-    return cmp(a, b);
-  };
+  const filteredTasks = useMemo(
+    () => sortedTasks.filter((t) => matchesView(t, viewState, { userId, statusLabel })),
+    [sortedTasks, viewState, userId, statusLabel]
+  );
 
-  const { overdue, todayDue, upcoming, completed } = useMemo(() => {
-    const buckets = { overdue: [], today: [], upcoming: [], completed: [] };
-    for (const t of filteredTasks) {
-      buckets[sectionKey(t)].push(t);
-    }
-    buckets.overdue.sort(withNoDeadlineLast(cmpClosest));
-    buckets.today.sort(withNoDeadlineLast(cmpClosest));
-    buckets.upcoming.sort(withNoDeadlineLast(cmpClosest));
-    buckets.completed.sort((a, b) => {
-      const ad = hasDeadline(a) ? djs(a).valueOf() : -Infinity;
-      const bd = hasDeadline(b) ? djs(b).valueOf() : -Infinity;
-      return bd - ad;
-    });
-    return {
-      overdue: buckets.overdue,
-      todayDue: buckets.today,
-      upcoming: buckets.upcoming,
-      completed: buckets.completed,
-    };
-  }, [filteredTasks]);
+  const groups = useMemo(
+    () => groupTasks(filteredTasks, viewState, { statuses: workflowNames, statusLabel }),
+    [filteredTasks, viewState, workflowNames, statusLabel]
+  );
 
   const statusOptions = useMemo(() => {
-    const set = new Set(["To Do", "In Progress", "Done"]);
+    const set = new Set(workflowNames);
     tasks.forEach((t) => {
-      set.add(normalizeStatus(t.status));
-      (t.subtasks ?? []).forEach((s) => set.add(normalizeStatus(s.status)));
+      set.add(statusLabel(t.status));
+      (t.subtasks ?? []).forEach((s) => set.add(statusLabel(s.status)));
     });
     return ["All", ...Array.from(set).filter(Boolean)];
-  }, [tasks]);
+  }, [tasks, statusLabel, workflowNames]);
 
   const priorityOptions = useMemo(() => {
     const seen = new Set();
@@ -330,9 +513,32 @@ export default function TaskBoardMgr() {
     tasks.forEach((t) => add(t.priority));
     tasks.forEach((t) => (t.subtasks ?? []).forEach((s) => add(s.priority)));
     const ordered = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"].filter((x) => seen.has(x));
-    return ["All", ...ordered];
+    return ["All", "High", "Medium", "Low", ...ordered];
   }, [tasks]);
 
+  const assigneeOptions = useMemo(() => {
+    const seen = new Map();
+    tasks.forEach((t) =>
+      (t.assignedTeamMembers ?? []).forEach((m) => {
+        if (m?._id && String(m._id) !== String(userId)) seen.set(String(m._id), m.name || m.email || "Member");
+      })
+    );
+    return [...seen].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+  }, [tasks, userId]);
+
+  // Bulk changes: anyone on the project team, and the manager's other projects
+  const memberOptions = useMemo(() => {
+    const seen = new Map();
+    [...teamMembers, ...tasks.flatMap((t) => t.assignedTeamMembers ?? [])].forEach((m) => {
+      if (m?._id) seen.set(String(m._id), m.name || m.email || "Member");
+    });
+    return [...seen].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+  }, [teamMembers, tasks]);
+  const moveOptions = useMemo(
+    () => projects.filter((p) => p._id !== selectedProjectId).map((p) => ({ value: p._id, label: p.name || "Untitled Project" })),
+    [projects, selectedProjectId]
+  );
+
   if (authLoading || projLoading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -369,52 +575,30 @@ export default function TaskBoardMgr() {
           <ProjectPicker
             projects={projects}
             valueId={selectedProjectId}
-            onChange={setSelectedProjectId}
+            onChange={(id) => {
+              // Workflow statuses differ between projects
+              if (viewState.status !== "All") updateView({ status: "All" }, { keepSavedView: true });
+              setSelectedProjectId(id);
+            }}
           />
 
-          <div className="flex flex-wrap items-center gap-3">
-            <label className="text-sm font-medium text-light-text-secondary dark:text-dark-text-secondary">
-              Status:
-              <select
-                className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
-                value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value)}
-              >
-                {statusOptions.map((opt) => (
-                  <option key={opt} value={opt}>
-                    {opt}
-                  </option>
-                ))}
-              </select>
-            </label>
-
-            <label className="text-sm font-medium text-light-text-secondary dark:text-dark-text-secondary">
-              Priority:
-              <select
-                className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
-                value={priorityFilter}
-                onChange={(e) => setPriorityFilter(e.target.value)}
-              >
-                {priorityOptions.map((opt) => (
-                  <option key={opt} value={opt}>
-                    {opt}
-                  </option>
-                ))}
-              </select>
-            </label>
-
-            {(statusFilter !== "All" || priorityFilter !== "All") && (
-              <button
-                className="rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium"
-                onClick={() => {
-                  setStatusFilter("All");
-                  setPriorityFilter("All");
-                }}
-              >
-                Clear Filters
-              </button>
-            )}
-          </div>
+          <ViewToggle value={view} onChange={setView} />
+
+          {view === "tiles" && (
+            <button
+              type="button"
+              disabled={!selectedProjectId}
+              aria-pressed={selecting}
+              onClick={() => {
+                setSelecting((v) => !v);
+                setSelectedIds([]);
+              }}
+              className="px-4 py-2 rounded-lg text-sm font-semibold border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary hover:bg-light-surface dark:hover:bg-dark-surface disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              title="Pick several tasks and change them together"
+            >
+              {selecting ? "Done selecting" : "Select"}
+            </button>
+          )}
 
           <button
             disabled={!selectedProjectId}
@@ -430,9 +614,59 @@ export default function TaskBoardMgr() {
           >
             + Create Task
           </button>
+
+          <button
+            disabled={!selectedProjectId}
+            onClick={async () => {
+              const name = window.prompt("Template name", currentProjectName || "");
+              if (!name?.trim()) return;
+              try {
+                await createTemplateFromProject(selectedProjectId, { name: name.trim() });
+                alert("Template saved. Pick it when creating a new project.");
+              } catch (e) {
+                alert(e.message || "Failed to save template");
+              }
+            }}
+            className="px-4 py-2 rounded-lg text-sm font-semibold border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary hover:bg-light-surface dark:hover:bg-dark-surface disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+            title="Save this project and its tasks as a reusable template"
+          >
+            Save as Template
+          </button>
         </div>
       </header>
 
+      {view === "tiles" && selectedProjectId && (
+        <BoardViewControls
+          state={viewState}
+          onChange={updateView}
+          statusOptions={statusOptions}
+          priorityOptions={priorityOptions}
+          assigneeOptions={assigneeOptions}
+          savedViews={savedViews}
+          activeViewId={activeViewId}
+          userId={userId}
+          onSelectView={applySavedView}
+          onSaveView={saveCurrentView}
+          onDeleteView={removeSavedView}
+          onCopyLink={() => navigator.clipboard.writeText(window.location.href)}
+        />
+      )}
+
+      {view === "tiles" && selecting && selectedProjectId && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          statusOptions={workflowNames.map((name) => ({ value: name, label: name }))}
+          assigneeOptions={memberOptions}
+          projectOptions={moveOptions}
+          onSelectAll={() => setSelectedIds(filteredTasks.map((t) => t._id))}
+          onClear={() => setSelectedIds([])}
+          onDone={async () => {
+            setSelectedIds([]);
+            await reloadTasks();
+          }}
+        />
+      )}
+
       {projects.length === 0 && (
         <div className="rounded-lg border border-warning bg-priority-medium-bg dark:bg-priority-medium-bg-dark p-6 text-center">
           <p className="text-priority-medium-text dark:text-priority-medium-text-dark font-semibold">
@@ -458,75 +692,40 @@ export default function TaskBoardMgr() {
         </div>
       )}
 
-      {!tasksLoading && !tasksError && projects.length > 0 && selectedProjectId && (
-        <div className="space-y-8">
-          {overdue.length > 0 && (
-            <div>
-              <div className="flex items-center gap-3 mb-4">
-                <div className="w-1 h-6 bg-danger rounded-full"></div>
-                <h2 className="text-lg font-bold text-danger">Overdue ({overdue.length})</h2>
-                <div className="h-px bg-danger/20 flex-1" />
-              </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                {overdue.map((t) => (
-                  <SquareTaskTile key={t._id} task={t} onOpen={setActiveTask} section="overdue" />
-                ))}
-              </div>
-            </div>
-          )}
-
-          {todayDue.length > 0 && (
-            <div>
-              <div className="flex items-center gap-3 mb-4">
-                <div className="w-1 h-6 bg-warning rounded-full"></div>
-                <h2 className="text-lg font-bold text-warning">Due Today ({todayDue.length})</h2>
-                <div className="h-px bg-warning/20 flex-1" />
-              </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                {todayDue.map((t) => (
-                  <SquareTaskTile key={t._id} task={t} onOpen={setActiveTask} section="today" />
-                ))}
-              </div>
-            </div>
-          )}
-
-          <div>
-            <div className="flex items-center gap-3 mb-4">
-              <div className="w-1 h-6 bg-brand-primary dark:bg-brand-secondary rounded-full"></div>
-              <h2 className="text-lg font-bold text-light-text-primary dark:text-dark-text-primary">
-                Upcoming ({upcoming.length})
-              </h2>
-              <div className="h-px bg-light-border dark:bg-dark-border flex-1" />
-            </div>
-            {upcoming.length > 0 ? (
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                {upcoming.map((t) => (
-                  <SquareTaskTile key={t._id} task={t} onOpen={setActiveTask} section="upcoming" />
-                ))}
-              </div>
-            ) : (
-              overdue.length === 0 &&
-              todayDue.length === 0 && (
-                <p className="text-light-text-muted dark:text-dark-text-muted">
-                  No tasks match the filters.
-                </p>
-              )
-            )}
-          </div>
+      {view === "board" && projects.length > 0 && selectedProjectId && (
+        <KanbanBoard projectId={selectedProjectId} onOpenTask={openBoardTask} refreshKey={boardKey} />
+      )}
 
-          {completed.length > 0 && (
-            <div>
+      {view === "tiles" && !tasksLoading && !tasksError && projects.length > 0 && selectedProjectId && (
+        <div className="space-y-8">
+          {groups.map((g) => (
+            <div key={g.key}>
               <div className="flex items-center gap-3 mb-4">
-                <div className="w-1 h-6 bg-success rounded-full"></div>
-                <h2 className="text-lg font-bold text-success">Completed ({completed.length})</h2>
-                <div className="h-px bg-success/20 flex-1" />
-              </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                {completed.map((t) => (
-                  <SquareTaskTile key={t._id} task={t} onOpen={setActiveTask} section="completed" />
-                ))}
+                <div className={`w-1 h-6 rounded-full ${SECTION_TONES[g.tone].bar}`}></div>
+                <h2 className={`text-lg font-bold ${SECTION_TONES[g.tone].title}`}>
+                  {g.title} ({g.tasks.length})
+                </h2>
+                <div className={`h-px flex-1 ${SECTION_TONES[g.tone].rule}`} />
               </div>
+              {g.tasks.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {g.tasks.map((t) => (
+                    <SquareTaskTile
+                      key={t._id}
+                      task={t}
+                      onOpen={setActiveTask}
+                      section={dueSection(t)}
+                      selecting={selecting}
+                      selected={selectedIds.includes(t._id)}
+                      onToggle={toggleSelected}
+                    />
+                  ))}
+                </div>
+              )}
             </div>
+          ))}
+          {filteredTasks.length === 0 && (
+            <p className="text-light-text-muted dark:text-dark-text-muted">No tasks match the filters.</p>
           )}
         </div>
       )}
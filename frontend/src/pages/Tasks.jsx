@@ -1,8 +1,15 @@
 import { useEffect, useMemo, useState } from "react";
 import dayjs from "dayjs";
-import { getTasks } from "../services/api.js";
+import { useSearchParams } from "react-router-dom";
+import { getTask, getTasks } from "../services/api.js";
+import { DEFAULT_STATUS_CATEGORY, categoryOf, isDoneTask } from "../services/workflow.js";
 import { TaskCard } from "../components/ui/TaskCard.jsx";
 import { TaskForm } from "../components/ui/TaskForm.jsx";
+import { KanbanBoard } from "../components/ui/KanbanBoard.jsx";
+import { ViewToggle } from "../components/ui/ViewToggle.jsx";
+import { LabelChips } from "../components/ui/LabelChips.jsx";
+import { BulkActionBar } from "../components/ui/BulkActionBar.jsx";
+import { TaskImport } from "../components/ui/TaskImport.jsx";
 import { useAuth } from "../context/useAuth.js";
 
 /* ---------- Helpers ---------- */
@@ -23,6 +30,12 @@ function normalizeStatus(raw) {
   return s.charAt(0).toUpperCase() + s.slice(1);
 }
 
+// Legacy spellings of the default statuses are normalised; custom workflow statuses kept as-is
+function statusLabel(raw) {
+  const normalized = normalizeStatus(raw);
+  return normalized in DEFAULT_STATUS_CATEGORY ? normalized : String(raw || "").trim();
+}
+
 async function fetchMyTasks(userId) {
   const data = await getTasks();
   if (!Array.isArray(data)) return [];
@@ -44,8 +57,27 @@ export default function Tasks() {
   const [error, setError] = useState(null);
   const [activeTask, setActiveTask] = useState(null);
   const [showCreate, setShowCreate] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [statusFilter, setStatusFilter] = useState("All");
   const [priorityFilter, setPriorityFilter] = useState("All");
+  const [labelFilter, setLabelFilter] = useState("All");
+  const [view, setView] = useState("tiles");
+  const [boardProjectId, setBoardProjectId] = useState("");
+  const [boardKey, setBoardKey] = useState(0);
+  // Multi-select mode: tiles toggle selection instead of opening, for the bulk action bar
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  /* ---------- Open a task linked from the global search (?task=) ---------- */
+  const linkedTaskId = searchParams.get("task");
+  useEffect(() => {
+    if (!linkedTaskId) return;
+    setSearchParams({}, { replace: true });
+    getTask(linkedTaskId)
+      .then(setActiveTask)
+      .catch(() => { /* deleted or no longer visible: just show the page */ });
+  }, [linkedTaskId, setSearchParams]);
 
   /* ---------- Fetch tasks ---------- */
   useEffect(() => {
@@ -98,22 +130,24 @@ export default function Tasks() {
 
   const filteredTasks = useMemo(() => {
     const statusOK = (st) =>
-      statusFilter === "All" || normalizeStatus(st) === statusFilter;
+      statusFilter === "All" || statusLabel(st) === statusFilter;
     const priorityOK = (pr) => {
       if (priorityFilter === "All") return true;
       const n = Number(pr);
       const f = Number(priorityFilter);
       return Number.isFinite(n) && n === f;
     };
+    const labelOK = (labels) =>
+      labelFilter === "All" || (labels ?? []).some((l) => l?._id === labelFilter);
     return sortedTasks.filter(
-      (t) => statusOK(t.status) && priorityOK(t.priority)
+      (t) => statusOK(t.status) && priorityOK(t.priority) && labelOK(t.labels)
     );
-  }, [sortedTasks, statusFilter, priorityFilter]);
+  }, [sortedTasks, statusFilter, priorityFilter, labelFilter]);
 
   /* ---------- Categorize ---------- */
   const today = dayjs().startOf("day");
   const sectionKey = (t) => {
-    if (normalizeStatus(t.status) === "Done") return "completed";
+    if (isDoneTask(t)) return "completed";
     if (!t.deadline) return "upcoming";
     const d = dayjs(t.deadline);
     if (d.isBefore(today)) return "overdue";
@@ -132,9 +166,63 @@ export default function Tasks() {
     };
   }, [filteredTasks]);
 
-  const statusOptions = ["All", "To Do", "In Progress", "Done"];
+  // Tasks come from several projects, each with its own workflow: offer every status in use
+  const statusOptions = useMemo(() => {
+    const set = new Set(Object.keys(DEFAULT_STATUS_CATEGORY));
+    tasks.forEach((t) => set.add(statusLabel(t.status)));
+    return ["All", ...Array.from(set).filter(Boolean)];
+  }, [tasks]);
+  // Labels in use across my tasks, by name
+  const labelOptions = useMemo(() => {
+    const seen = new Map();
+    tasks.forEach((t) => (t.labels ?? []).forEach((l) => l?._id && seen.set(l._id, l.name)));
+    return Array.from(seen, ([_id, name]) => ({ _id, name })).sort((a, b) => a.name.localeCompare(b.name));
+  }, [tasks]);
+  // The board is per project: offer the projects my tasks belong to
+  const boardProjects = useMemo(() => {
+    const seen = new Map();
+    tasks.forEach((t) => {
+      const p = t.assignedProject;
+      if (p?._id && !seen.has(p._id)) seen.set(p._id, p.name || "Untitled Project");
+    });
+    return Array.from(seen, ([_id, name]) => ({ _id, name }));
+  }, [tasks]);
+  const boardProject = boardProjects.some((p) => p._id === boardProjectId)
+    ? boardProjectId
+    : boardProjects[0]?._id;
+
+  // Board cards only carry what the card shows; the details modal needs the full task
+  const openBoardTask = async (card) => {
+    try {
+      setActiveTask(await getTask(card._id));
+    } catch {
+      setActiveTask(card);
+    }
+  };
+
   const priorityOptions = ["All", "1", "2", "3", "4", "5", "6", "7", "8", "9", "10"];
 
+  // Bulk changes: people already on my tasks, and the projects those tasks are in
+  const memberOptions = useMemo(() => {
+    const seen = new Map();
+    tasks.forEach((t) =>
+      (t.assignedTeamMembers ?? []).forEach((m) => m?._id && seen.set(String(m._id), m.name || m.email || "Member"))
+    );
+    return [...seen].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+  }, [tasks]);
+  const selection = {
+    selecting,
+    selectedIds,
+    onToggle: (taskId) =>
+      setSelectedIds((prev) => (prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId])),
+  };
+  const afterBulk = async () => {
+    setSelectedIds([]);
+    const fresh = await fetchMyTasks(user.id);
+    setTasks(fresh.filter((t) => !t.parentTask));
+    setBoardKey((k) => k + 1);
+  };
+
   /* ---------- Loading & Error ---------- */
   if (loading) {
     return (
@@ -170,52 +258,116 @@ export default function Tasks() {
         </h1>
 
         <div className="flex flex-wrap items-center gap-3">
+          <ViewToggle value={view} onChange={setView} />
+
+          {view === "board" && boardProjects.length > 0 && (
+            <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
+              Project:
+              <select
+                className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
+                value={boardProject}
+                onChange={(e) => setBoardProjectId(e.target.value)}
+              >
+                {boardProjects.map((p) => (
+                  <option key={p._id} value={p._id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
           {/* Filters */}
-          <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
-            Status:
-            <select
-              className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-            >
-              {statusOptions.map((opt) => (
-                <option key={opt} value={opt}>
-                  {opt}
-                </option>
-              ))}
-            </select>
-          </label>
-
-          <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
-            Priority:
-            <select
-              className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
-              value={priorityFilter}
-              onChange={(e) => setPriorityFilter(e.target.value)}
-            >
-              {priorityOptions.map((opt) => (
-                <option key={opt} value={opt}>
-                  {opt}
-                </option>
-              ))}
-            </select>
-          </label>
-
-          {(statusFilter !== "All" || priorityFilter !== "All") && (
+          {view === "tiles" && (
+            <>
+              <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
+                Status:
+                <select
+                  className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                >
+                  {statusOptions.map((opt) => (
+                    <option key={opt} value={opt}>
+                      {opt}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
+                Priority:
+                <select
+                  className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
+                  value={priorityFilter}
+                  onChange={(e) => setPriorityFilter(e.target.value)}
+                >
+                  {priorityOptions.map((opt) => (
+                    <option key={opt} value={opt}>
+                      {opt}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {labelOptions.length > 0 && (
+                <label className="text-sm text-light-text-secondary dark:text-dark-text-secondary font-medium">
+                  Label:
+                  <select
+                    className="ml-2 rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm focus:ring-2 focus:ring-brand-primary dark:focus:ring-brand-secondary transition-all"
+                    value={labelFilter}
+                    onChange={(e) => setLabelFilter(e.target.value)}
+                  >
+                    <option value="All">All</option>
+                    {labelOptions.map((l) => (
+                      <option key={l._id} value={l._id}>
+                        {l.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              {(statusFilter !== "All" || priorityFilter !== "All" || labelFilter !== "All") && (
+                <button
+                  className="rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium"
+                  onClick={() => {
+                    setStatusFilter("All");
+                    setPriorityFilter("All");
+                    setLabelFilter("All");
+                  }}
+                >
+                  Clear Filters
+                </button>
+              )}
+            </>
+          )}
+
+          {view === "tiles" && tasks.length > 0 && (
             <button
+              type="button"
+              aria-pressed={selecting}
               className="rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium"
               onClick={() => {
-                setStatusFilter("All");
-                setPriorityFilter("All");
+                setSelecting((v) => !v);
+                setSelectedIds([]);
               }}
             >
-              Clear Filters
+              {selecting ? "Done selecting" : "Select"}
             </button>
           )}
 
+          <button
+            type="button"
+            className="ml-auto rounded-lg border border-light-border dark:border-dark-border bg-light-bg dark:bg-dark-bg-secondary text-light-text-primary dark:text-dark-text-primary px-3 py-1.5 text-sm hover:bg-light-surface dark:hover:bg-dark-surface transition-all font-medium"
+            onClick={() => setShowImport(true)}
+          >
+            Import
+          </button>
+
           {/* Create button for Staff/Manager */}
           <button
-            className="ml-auto rounded-lg bg-brand-primary text-white px-3 py-1.5 text-sm hover:bg-blue-700 transition-all font-medium shadow-sm"
+            className="rounded-lg bg-brand-primary text-white px-3 py-1.5 text-sm hover:bg-blue-700 transition-all font-medium shadow-sm"
             onClick={() => setShowCreate(true)}
           >
             + Create Task
@@ -238,11 +390,36 @@ export default function Tasks() {
         </div>
       )}
 
-      {/* Sections */}
-      <TaskSection title="Overdue" color="danger" tasks={overdue} onOpen={setActiveTask} />
-      <TaskSection title="Due Today" color="warning" tasks={todayDue} onOpen={setActiveTask} />
-      <TaskSection title="Upcoming" color="brand" tasks={upcoming} onOpen={setActiveTask} emptyText="No upcoming tasks." />
-      <TaskSection title="Completed" color="success" tasks={completed} onOpen={setActiveTask} />
+      {view === "tiles" && selecting && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          statusOptions={statusOptions.filter((o) => o !== "All").map((o) => ({ value: o, label: o }))}
+          assigneeOptions={memberOptions}
+          projectOptions={boardProjects.map((p) => ({ value: p._id, label: p.name }))}
+          onSelectAll={() => setSelectedIds(filteredTasks.map((t) => t._id))}
+          onClear={() => setSelectedIds([])}
+          onDone={afterBulk}
+        />
+      )}
+
+      {view === "board" ? (
+        <KanbanBoard projectId={boardProject} onOpenTask={openBoardTask} refreshKey={boardKey} />
+      ) : (
+        <>
+          {/* Sections */}
+          <TaskSection title="Overdue" color="danger" tasks={overdue} onOpen={setActiveTask} selection={selection} />
+          <TaskSection title="Due Today" color="warning" tasks={todayDue} onOpen={setActiveTask} selection={selection} />
+          <TaskSection
+            title="Upcoming"
+            color="brand"
+            tasks={upcoming}
+            onOpen={setActiveTask}
+            selection={selection}
+            emptyText="No upcoming tasks."
+          />
+          <TaskSection title="Completed" color="success" tasks={completed} onOpen={setActiveTask} selection={selection} />
+        </>
+      )}
 
       {/* Task Details Modal */}
       {activeTask && (
@@ -250,23 +427,36 @@ export default function Tasks() {
           <TaskCard
             task={activeTask}
             onTaskUpdated={async (updated) => {
-              const completedRecurring = updated?.status === "Done" && !!updated?.recurrence;
+              const completedRecurring = isDoneTask(updated) && !!updated?.recurrence;
               if (completedRecurring) {
                 const fresh = await fetchMyTasks(user.id);
                 setTasks(fresh);
               } else {
                 setTasks((prev) => prev.map((t) => (t._id === updated._id ? updated : t)));
               }
+              setBoardKey((k) => k + 1);
               setActiveTask(null);
             }}
             onTaskDeleted={(deletedId) => {
               setTasks((prev) => prev.filter((t) => t._id !== deletedId));
+              setBoardKey((k) => k + 1);
               setActiveTask(null);
             }}
           />
         </Modal>
       )}
 
+      {showImport && (
+        <Modal title="Import tasks" onClose={() => setShowImport(false)}>
+          <TaskImport
+            onCancel={() => setShowImport(false)}
+            onImported={async () => {
+              setShowImport(false);
+              await afterBulk();
+            }}
+          />
+        </Modal>
+      )}
 
       {showCreate && (
         <div
@@ -303,7 +493,7 @@ export default function Tasks() {
 
 
 /* ---------- Reusable Components ---------- */
-function TaskSection({ title, color, tasks, onOpen, emptyText }) {
+function TaskSection({ title, color, tasks, onOpen, emptyText, selection }) {
   if (!tasks?.length)
     return (
       <div className="space-y-4">
@@ -319,7 +509,15 @@ function TaskSection({ title, color, tasks, onOpen, emptyText }) {
       <SectionHeader title={`${title} (${tasks.length})`} color={color} />
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
         {tasks.map((t) => (
-          <SquareTaskTile key={t._id} task={t} section={color} onOpen={onOpen} />
+          <SquareTaskTile
+            key={t._id}
+            task={t}
+            section={color}
+            onOpen={onOpen}
+            selecting={selection?.selecting}
+            selected={selection?.selectedIds.includes(t._id)}
+            onToggle={selection?.onToggle}
+          />
         ))}
       </div>
     </div>
@@ -367,18 +565,18 @@ function Modal({ title, onClose, children }) {
   );
 }
 
-function SquareTaskTile({ task, onOpen, section }) {
+function SquareTaskTile({ task, onOpen, section, selecting = false, selected = false, onToggle }) {
   const hasDate = !!task?.deadline;
   const deadlineStr = hasDate
     ? dayjs(task.deadline).format("DD MMM YYYY")
     : "No deadline";
-  const status = normalizeStatus(task.status);
+  const category = categoryOf(task);
   const statusClass =
-    status === "To Do"
+    category === "not_started"
       ? "text-light-text-muted dark:text-dark-text-muted"
-      : status === "In Progress"
+      : category === "active"
         ? "text-info"
-        : status === "Done"
+        : category === "done"
           ? "text-success"
           : "";
   const priorityColors = { Low: "text-success", Medium: "text-warning", High: "text-danger" };
@@ -393,12 +591,24 @@ function SquareTaskTile({ task, onOpen, section }) {
           : "bg-brand-primary/10 text-brand-primary border border-brand-primary/20";
 
   return (
-    <article className="border border-light-border dark:border-dark-border rounded-2xl shadow-sm bg-light-bg dark:bg-dark-bg overflow-hidden transition-all hover:shadow-md hover:border-brand-primary dark:hover:border-brand-secondary h-full group">
-      <button onClick={() => onOpen(task)} className="w-full p-5 text-left h-full flex flex-col">
+    <article
+      className={`border border-light-border dark:border-dark-border rounded-2xl shadow-sm bg-light-bg dark:bg-dark-bg overflow-hidden transition-all hover:shadow-md hover:border-brand-primary dark:hover:border-brand-secondary h-full group ${selected ? "ring-2 ring-brand-primary dark:ring-brand-secondary" : ""}`}
+    >
+      <button
+        onClick={() => (selecting ? onToggle(task._id) : onOpen(task))}
+        aria-pressed={selecting ? selected : undefined}
+        className="w-full p-5 text-left h-full flex flex-col"
+      >
         <div className="space-y-3 flex-1">
+          {selecting && (
+            <span aria-hidden="true" className="text-lg text-brand-primary dark:text-brand-secondary">
+              {selected ? "☑" : "☐"}
+            </span>
+          )}
           <div className="text-base sm:text-lg font-bold line-clamp-2 text-light-text-primary dark:text-dark-text-primary group-hover:text-brand-primary dark:group-hover:text-brand-secondary transition-colors">
             {task.title || "Untitled Task"}
           </div>
+          <LabelChips labels={task.labels} />
 
           <div className="text-sm space-y-1">
             <div className="font-medium text-light-text-secondary dark:text-dark-text-secondary">
@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useState, useCallback } from "react";
 import Timeline from "../components/ui/Timeline";
-import { getMe } from "../services/api";
+import GanttChart from "../components/ui/GanttChart";
+import { authFetch, getMe, getProjects, updateTaskDates } from "../services/api";
 
 const toDateOrNull = (v) => {
     if (!v) return null;
@@ -17,14 +18,13 @@ const hasNoDeadline = (i) => !i.deadline;
 const isTodo = (i) => !isDone(i) && String(i.status) === "To Do";
 const isInProgress = (i) => !isDone(i) && String(i.status) === "In Progress";
 
-async function fetchTimeline({ userId, from, to }) {
-    const params = new URLSearchParams({ user: userId });
+async function fetchTimeline({ userId, projectId, from, to }) {
+    // project mode returns every task in the project instead of one user's assignments
+    const params = new URLSearchParams(projectId ? { project: projectId } : { user: userId });
     if (from) params.set("from", from);
     if (to) params.set("to", to);
 
-    const res = await fetch(`/api/timeline?${params.toString()}`, {
-        credentials: "include",
-    });
+    const res = await authFetch(`/api/timeline?${params.toString()}`);
     if (!res.ok) {
         const msg = await res.text().catch(() => "");
         throw new Error(`Failed to load timeline (${res.status}): ${msg || res.statusText}`);
@@ -49,10 +49,13 @@ async function fetchTimeline({ userId, from, to }) {
             endAt: toDateOrNull(t.endAt),
             deadline: toDateOrNull(t.deadline),
             completedAt: toDateOrNull(t.completedAt),
+            parentTask: t.parentTask ?? null,
+            priority: t.priority ?? null,
+            blockedBy: t.blockedBy ?? [],
         };
     });
 
-    return { items };
+    return { items, project: json?.project ?? null };
 }
 
 export default function TimelinePage() {
@@ -63,6 +66,10 @@ export default function TimelinePage() {
     const [items, setItems] = useState([]);
     const [error, setError] = useState("");
     const [statusFilter, setStatusFilter] = useState("all");
+    const [view, setView] = useState("mine"); // "mine" | "gantt"
+    const [projects, setProjects] = useState([]);
+    const [projectId, setProjectId] = useState("");
+    const [project, setProject] = useState(null);
 
     useEffect(() => {
         (async () => {
@@ -75,26 +82,61 @@ export default function TimelinePage() {
         })();
     }, []);
 
+    useEffect(() => {
+        if (view !== "gantt" || projects.length) return;
+        getProjects()
+            .then((list) => {
+                const arr = Array.isArray(list) ? list : [];
+                setProjects(arr);
+                setProjectId((cur) => cur || (arr[0]?._id ?? ""));
+            })
+            .catch(() => setProjects([]));
+    }, [view, projects.length]);
+
     const userId = me?._id || me?.id;
+    const ganttProjectId = view === "gantt" ? projectId : "";
+    const canLoad = view === "gantt" ? !!projectId : !!userId;
 
     const load = useCallback(async () => {
-        if (!userId) return;
+        if (!ganttProjectId && !userId) return;
         setLoading(true);
         setError("");
         try {
-            const { items } = await fetchTimeline({ userId, from, to });
+            const { items, project } = await fetchTimeline({ userId, projectId: ganttProjectId, from, to });
             setItems(items);
+            setProject(project);
         } catch (e) {
             setError(e?.message || "Failed to load timeline");
             setItems([]);
+            setProject(null);
         } finally {
             setLoading(false);
         }
-    }, [userId, from, to]);
+    }, [userId, ganttProjectId, from, to]);
 
     useEffect(() => {
-        if (userId) void load();
-    }, [userId, load]);
+        if (view === "gantt" && !ganttProjectId) {
+            setItems([]);
+            setProject(null);
+            return;
+        }
+        if (userId || ganttProjectId) void load();
+    }, [view, userId, ganttProjectId, load]);
+
+    // Dragging a Gantt bar persists through PUT /api/tasks/:id, like the Calendar's eventDrop
+    const reschedule = useCallback(async (item, { startAt, endAt }) => {
+        try {
+            await updateTaskDates(item.id, { startAt, endAt });
+        } catch (e) {
+            setError(e?.message || "Failed to reschedule task");
+            throw e;
+        }
+        setItems((prev) =>
+            prev.map((i) =>
+                i.id === item.id ? { ...i, startAt: toDateOrNull(startAt), endAt: toDateOrNull(endAt) } : i
+            )
+        );
+    }, []);
 
     const stats = useMemo(() => {
         const total = items.length;
@@ -135,11 +177,43 @@ export default function TimelinePage() {
                         Timeline
                     </h1>
                     <p className="text-light-text-secondary dark:text-dark-text-secondary">
-                        Your assigned tasks (start → completion)
+                        {view === "gantt"
+                            ? "Every task in the project — drag a bar to reschedule"
+                            : "Your assigned tasks (start → completion)"}
                     </p>
                 </div>
 
-                <div className="flex items-center gap-2">
+                <div className="flex flex-wrap items-center gap-2">
+                    {/* View toggle */}
+                    <div className="flex rounded-lg border border-light-border dark:border-dark-border overflow-hidden" role="group" aria-label="Timeline view">
+                        {[["mine", "My tasks"], ["gantt", "Project Gantt"]].map(([key, label]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                onClick={() => setView(key)}
+                                aria-pressed={view === key}
+                                className={`px-3 py-1 text-sm transition ${view === key
+                                    ? "bg-brand-primary/90 text-white"
+                                    : "bg-light-bg dark:bg-dark-bg text-light-text-primary dark:text-dark-text-primary hover:bg-light-surface dark:hover:bg-dark-surface"}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    {view === "gantt" && (
+                        <select
+                            value={projectId}
+                            onChange={(e) => setProjectId(e.target.value)}
+                            className="border rounded-lg px-2 py-1 bg-light-bg dark:bg-dark-bg border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary"
+                            title="Project"
+                            aria-label="Project"
+                        >
+                            {!projects.length && <option value="">No projects</option>}
+                            {projects.map((p) => (
+                                <option key={p._id} value={p._id}>{p.name}</option>
+                            ))}
+                        </select>
+                    )}
                     {/* Status filter */}
                     <select
                         value={statusFilter}
@@ -174,7 +248,7 @@ export default function TimelinePage() {
                     </label>
                     <button
                         onClick={load}
-                        disabled={loading || !userId}
+                        disabled={loading || !canLoad}
                         className="rounded-lg border px-3 py-1.5 bg-light-bg dark:bg-dark-bg border-light-border dark:border-dark-border hover:bg-light-surface dark:hover:bg-dark-surface transition"
                     >
                         {loading ? "Loading…" : "Apply"}
@@ -212,12 +286,20 @@ export default function TimelinePage() {
 
             {/* Timeline */}
             <section className="rounded-xl border p-4 bg-light-surface/40 dark:bg-dark-surface/40 border-light-border dark:border-dark-border">
-                <Timeline
-                    items={filtered}
-                    onItemClick={(item) => {
-                        console.log("clicked", item);
-                    }}
-                />
+                {view === "gantt" ? (
+                    <GanttChart
+                        items={filtered}
+                        projectDeadline={project?.deadline}
+                        onReschedule={reschedule}
+                    />
+                ) : (
+                    <Timeline
+                        items={filtered}
+                        onItemClick={(item) => {
+                            console.log("clicked", item);
+                        }}
+                    />
+                )}
             </section>
 
             {/* Export */}
@@ -0,0 +1,150 @@
+import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { deleteFromTrash, getProjects, getTrash, restoreFromTrash } from "../services/api";
+
+const CARD_CLS = "rounded-2xl border p-4 bg-light-surface dark:bg-dark-surface border-light-border dark:border-dark-border";
+const TEXT_CLS = "text-sm text-light-text-primary dark:text-dark-text-primary";
+const MUTED_CLS = "text-sm text-light-text-secondary dark:text-dark-text-secondary";
+const INPUT_CLS = "border rounded-lg px-2 py-1 bg-light-bg dark:bg-dark-bg border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary";
+const BUTTON_CLS = "px-3 py-1.5 rounded-lg text-sm font-medium border border-light-border dark:border-dark-border text-light-text-primary dark:text-dark-text-primary hover:bg-light-bg dark:hover:bg-dark-bg disabled:opacity-50";
+
+const TYPE_LABELS = { task: "Task", project: "Project", comment: "Comment" };
+
+/** "with 3 subtasks" / "with 12 tasks": what was deleted along with the item. */
+function includesText(item) {
+  if (!item.includes) return null;
+  const what = item.type === "project" ? "task" : "subtask";
+  return `with ${item.includes} ${what}${item.includes === 1 ? "" : "s"}`;
+}
+
+function context(item) {
+  if (item.type === "comment") {
+    return `on ${item.task?.title ? `"${item.task.title}"` : "a deleted task"}`;
+  }
+  return item.project?.name ? `in ${item.project.name}` : null;
+}
+
+/** Deleted tasks, projects and comments: the user's own, or everything deleted in a project. */
+export default function Trash() {
+  const [projects, setProjects] = useState([]);
+  const [project, setProject] = useState("");
+  const [trash, setTrash] = useState(null);
+  const [error, setError] = useState("");
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    getProjects()
+      .then((list) => setProjects(Array.isArray(list) ? list : []))
+      .catch(() => setProjects([]));
+  }, []);
+
+  const load = useCallback(() => {
+    setError("");
+    return getTrash({ project: project || undefined })
+      .then(setTrash)
+      .catch((e) => {
+        setTrash({ retentionDays: null, items: [] });
+        setError(e.message);
+      });
+  }, [project]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const act = async (item, action) => {
+    if (action === "delete" && !window.confirm(`Delete "${item.title}" for good? This cannot be undone.`)) return;
+    setBusyId(item._id);
+    setError("");
+    try {
+      if (action === "restore") await restoreFromTrash(item.type, item._id);
+      else await deleteFromTrash(item.type, item._id);
+      await load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="mx-auto max-w-4xl p-6 space-y-6">
+      <header className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold text-light-text-primary dark:text-dark-text-primary">Trash</h1>
+          <p className={MUTED_CLS}>
+            {trash?.retentionDays
+              ? `Deleted items can be restored for ${trash.retentionDays} days, then they are removed for good.`
+              : "Deleted items can be restored for a while, then they are removed for good."}
+          </p>
+        </div>
+        <label className={`flex items-center gap-2 ${TEXT_CLS}`}>
+          Show
+          <select
+            className={INPUT_CLS}
+            aria-label="Trash scope"
+            value={project}
+            onChange={(e) => setProject(e.target.value)}
+          >
+            <option value="">What I deleted</option>
+            {projects.map((p) => (
+              <option key={p._id} value={p._id}>
+                Deleted in {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </header>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {!trash ? (
+        <p className={MUTED_CLS}>Loading…</p>
+      ) : trash.items.length === 0 ? (
+        <p className={MUTED_CLS}>The trash is empty.</p>
+      ) : (
+        <ul className="space-y-3">
+          {trash.items.map((item) => (
+            <li key={item._id} className={`${CARD_CLS} flex flex-wrap items-center gap-3`}>
+              <div className="min-w-0 flex-1">
+                <p className={`${TEXT_CLS} font-medium truncate`}>
+                  <span className="mr-2 rounded bg-light-bg dark:bg-dark-bg px-1.5 py-0.5 text-xs">
+                    {TYPE_LABELS[item.type]}
+                  </span>
+                  {item.title}
+                </p>
+                <p className={MUTED_CLS}>
+                  {[context(item), includesText(item)].filter(Boolean).join(", ")}
+                  {context(item) || includesText(item) ? " · " : ""}
+                  Deleted {dayjs(item.deletedAt).format("D MMM YYYY HH:mm")}
+                  {item.deletedBy?.name ? ` by ${item.deletedBy.name}` : ""}
+                  {" · "}Removed for good on {dayjs(item.purgeAt).format("D MMM YYYY")}
+                </p>
+              </div>
+              {item.canRestore && (
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    className={BUTTON_CLS}
+                    disabled={busyId === item._id}
+                    onClick={() => act(item, "restore")}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    type="button"
+                    className={`${BUTTON_CLS} text-danger`}
+                    disabled={busyId === item._id}
+                    onClick={() => act(item, "delete")}
+                  >
+                    Delete for good
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
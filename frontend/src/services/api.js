@@ -28,10 +28,10 @@ function toFormDataIfFiles(obj) {
     if (key === "attachments") {
       Array.from(value).forEach(file => fd.append("attachments", file));
     }
-    else if (key === "reminderOffsets") {
+    else if (key === "reminderOffsets" || key === "labels") {
       // Always send as JSON string so the server sees the whole array reliably.
       const arr = Array.isArray(value) ? value : [];
-      fd.append("reminderOffsets", JSON.stringify(arr));
+      fd.append(key, JSON.stringify(arr));
     } else if (key === "recurrence") {
       // Keep recurrence as a JSON string when using multipart/form-data
       fd.append("recurrence", value == null ? "null" : JSON.stringify(value));
@@ -57,7 +57,7 @@ export async function createTask(formData) {
     const body = toFormDataIfFiles(formData);
     const isFormData = body instanceof FormData;
 
-    const res = await fetch(`${API_BASE}/api/tasks`, {
+    const res = await authFetch(`/api/tasks`, {
       method: "POST",
       headers: isFormData ? {} : { "Content-Type": "application/json" },
       body: isFormData ? body : body,
@@ -78,7 +78,7 @@ export async function createTask(formData) {
 }
 
 export async function getTasks() {
-  const res = await fetch(`${API_BASE}/api/tasks`, {credentials: "include"});
+  const res = await authFetch(`/api/tasks`, {credentials: "include"});
   if (!res.ok) {
     throw new Error("Failed to fetch tasks");
   }
@@ -89,7 +89,7 @@ export async function getTasks() {
  * Get tasks assigned to a specific user (for Staff reports)
  */
 export async function getTasksByUserId(userId) {
-  const res = await fetch(`${API_BASE}/api/tasks?assignee=${encodeURIComponent(userId)}`, {
+  const res = await authFetch(`/api/tasks?assignee=${encodeURIComponent(userId)}`, {
     credentials: "include"
   });
   if (!res.ok) throw new Error("Failed to fetch user tasks");
@@ -100,7 +100,7 @@ export async function getTasksByUserId(userId) {
  * Get all tasks for projects managed by a specific manager
  */
 export async function getManagerTasks(managerId) {
-  const res = await fetch(`${API_BASE}/api/tasks?manager=${encodeURIComponent(managerId)}`, {
+  const res = await authFetch(`/api/tasks?manager=${encodeURIComponent(managerId)}`, {
     credentials: "include"
   });
   if (!res.ok) throw new Error("Failed to fetch manager tasks");
@@ -108,7 +108,7 @@ export async function getManagerTasks(managerId) {
 }
 
 export async function getProjects() {
-  const res = await fetch(`${API_BASE}/api/projects`);
+  const res = await authFetch(`/api/projects`);
   if (!res.ok) {
     throw new Error("Failed to fetch projects");
   }
@@ -116,7 +116,7 @@ export async function getProjects() {
 }
 
 export async function getProjectsByUserId(userId) {
-  const res = await fetch(`${API_BASE}/api/projects/user/${userId}`);
+  const res = await authFetch(`/api/projects/user/${userId}`);
   if (!res.ok) {
     throw new Error("Failed to fetch projects");
   }
@@ -130,8 +130,8 @@ export async function getProjectsByUserId(userId) {
 export async function getProjectTasks(projectId) {
   if (!projectId) return [];
 
-  const url = `${API_BASE}/api/tasks?project=${encodeURIComponent(projectId)}`;
-  const res = await fetch(url, { credentials: "include" });
+  const url = `/api/tasks?project=${encodeURIComponent(projectId)}`;
+  const res = await authFetch(url, { credentials: "include" });
   if (!res.ok) throw new Error("Failed to fetch tasks");
 
   const tasks = await res.json();
@@ -143,10 +143,17 @@ export async function getProjectTasks(projectId) {
   });
 }
 
+/** Get one task, including its blockers (`blockedBy`) and the tasks it blocks (`blocks`) */
+export async function getTask(taskId) {
+  const res = await authFetch(`/api/tasks/${taskId}`, { credentials: "include" });
+  if (!res.ok) throw new Error("Failed to fetch task");
+  return res.json();
+}
+
 /** Get all subtasks for a given parent task id */
 export async function getSubtasks(taskId) {
     if (!taskId) return [];
-    const res = await fetch(`${API_BASE}/api/tasks/${taskId}/subtasks`, {
+    const res = await authFetch(`/api/tasks/${taskId}/subtasks`, {
       credentials: "include",
     });
     if (!res.ok) throw new Error("Failed to fetch subtasks");
@@ -156,7 +163,7 @@ export async function getSubtasks(taskId) {
   
 
 export async function getManagerProjects(userId) {
-  const res = await fetch(`${API_BASE}/api/projects/user/${userId}`, { credentials: "include" });
+  const res = await authFetch(`/api/projects/user/${userId}`, { credentials: "include" });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch projects"));
   const projects = await res.json();
   return Array.isArray(projects)
@@ -165,7 +172,7 @@ export async function getManagerProjects(userId) {
 }
 
 export async function getDirectorReport(departmentId) {
-  const res = await fetch(`${API_BASE}/api/director/report?departmentId=${departmentId}`, {
+  const res = await authFetch(`/api/director/report?departmentId=${departmentId}`, {
     credentials: "include"
   });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch director report"));
@@ -173,7 +180,7 @@ export async function getDirectorReport(departmentId) {
 }
 
 export async function getSeniorManagerReport() {
-  const res = await fetch(`${API_BASE}/api/senior-manager/report`, {
+  const res = await authFetch(`/api/senior-manager/report`, {
     credentials: "include"
   });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch senior manager report"));
@@ -181,7 +188,7 @@ export async function getSeniorManagerReport() {
 }
 
 // export async function getTeamMembersByProjectId(userId) {
-//   const res = await fetch(`${API_BASE}/api/projects?teamMember=${userId}`);
+//   const res = await authFetch(`/api/projects?teamMember=${userId}`);
 //   if (!res.ok) {
 //     throw new Error("Failed to fetch projects");
 //   }
@@ -208,12 +215,12 @@ export async function getTeamMembersByProjectId(projectId) {
   if (!projectId) return [];
 
   // If your backend supports /api/projects/:id
-  const res = await fetch(`${API_BASE}/api/projects/${projectId}`, {
+  const res = await authFetch(`/api/projects/${projectId}`, {
     credentials: "include",
   });
 
   // Fallback (uncomment if your backend only supports a query param)
-  // const res = await fetch(`${API_BASE}/api/projects?id=${encodeURIComponent(projectId)}`, {
+  // const res = await authFetch(`/api/projects?id=${encodeURIComponent(projectId)}`, {
   //   credentials: "include",
   // });
 
@@ -234,7 +241,7 @@ export async function updateTask(taskId, formData) {
     const body = toFormDataIfFiles(formData);
     const isFormData = body instanceof FormData;
 
-    const res = await fetch(`${API_BASE}/api/tasks/${taskId}`, {
+    const res = await authFetch(`/api/tasks/${taskId}`, {
       method: "PUT",
       headers: isFormData ? {} : { "Content-Type": "application/json" },
       body: isFormData ? body : body,
@@ -242,7 +249,12 @@ export async function updateTask(taskId, formData) {
     });
 
     if (!res.ok) {
-      throw new Error("Failed to update task");
+      const data = await res.json().catch(() => ({}));
+      const err = new Error(data.error || "Failed to update task");
+      err.status = res.status;
+      // 409: the task still has open blockers (see overrideBlockers)
+      err.blockers = data.blockers;
+      throw err;
     }
 
     return await res.json();
@@ -253,9 +265,16 @@ export async function updateTask(taskId, formData) {
   }
 }
 
+/** Attachment download routes need the Bearer token, so they can't be plain links */
+export async function getAttachmentBlob(taskId, attachmentId) {
+  const res = await authFetch(`/api/tasks/${taskId}/attachments/${attachmentId}`);
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to download attachment"));
+  return res.blob();
+}
+
 export async function deleteTask(taskId) {
   try {
-    const res = await fetch(`${API_BASE}/api/tasks/${taskId}`, {
+    const res = await authFetch(`/api/tasks/${taskId}`, {
       method: "DELETE"
     })
 
@@ -274,6 +293,61 @@ export async function deleteTask(taskId) {
 }
 
 
+/**
+ * Apply one change set to many tasks: `{ status, priority, assignees: { mode, users },
+ * shiftDays, assignedProject }`. All of them change or none does; the error then
+ * carries `failures` ([{ taskId, title, error }]).
+ */
+export async function bulkUpdateTasks(taskIds, changes, { overrideBlockers = false } = {}) {
+  return postBulk({ taskIds, changes, overrideBlockers }, "Failed to update tasks");
+}
+
+/** Move many tasks (and their subtasks) to the trash. */
+export async function bulkDeleteTasks(taskIds) {
+  return postBulk({ taskIds, delete: true }, "Failed to delete tasks");
+}
+
+async function postBulk(body, fallback) {
+  const res = await authFetch(`/api/tasks/bulk`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    credentials: "include",
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || fallback);
+    err.status = res.status;
+    err.failures = data.failures ?? [];
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Import tasks from the text of a CSV or iCalendar file. With `dryRun` nothing is
+ * created and the result lists the planned tasks (`creates`) and the row `errors`;
+ * otherwise the error of a refused import carries `errors` and, for CSV, `columns`.
+ */
+export async function importTasks({ content, format, mapping, projectId, dryRun = false }) {
+  const res = await authFetch(`/api/tasks/import`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ content, format, mapping, projectId: projectId || undefined, dryRun }),
+    credentials: "include",
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || "Failed to import tasks");
+    err.status = res.status;
+    err.errors = data.errors ?? [];
+    err.columns = data.columns ?? null;
+    throw err;
+  }
+  return data;
+}
+
+
 /*
 *
 * Auth APIs
@@ -395,6 +469,9 @@ export async function refreshAccessToken() {
 }
 
 export async function authFetch(path, options = {}) {
+  // FormData bodies need the browser to set the multipart boundary itself
+  const isFormData = typeof FormData !== "undefined" && options.body instanceof FormData;
+  const contentType = isFormData ? {} : { "Content-Type": "application/json" };
   let token = getToken();
   if (!token || isExpiringSoon(token)) {
     try { await refreshAccessToken(); }
@@ -405,7 +482,7 @@ export async function authFetch(path, options = {}) {
   let res = await fetch(`${API_BASE}${path}`, {
     ...options,
     headers: {
-      "Content-Type": "application/json",
+      ...contentType,
       ...(options.headers || {}),
       ...(token ? { Authorization: `Bearer ${token}` } : {}),
     },
@@ -419,7 +496,7 @@ export async function authFetch(path, options = {}) {
     res = await fetch(`${API_BASE}${path}`, {
       ...options,
       headers: {
-        "Content-Type": "application/json",
+        ...contentType,
         ...(options.headers || {}),
         ...(refreshed ? { Authorization: `Bearer ${refreshed}` } : {}),
       },
@@ -482,13 +559,15 @@ export async function resetPassword(token, password) {
   return data;
 }
 
-export async function getCalendarTasks({ start, end, userIds, projectId, status }) {
+export async function getCalendarTasks({ start, end, userIds, projectId, status, labels, labelMatch }) {
   const q = new URLSearchParams();
   q.set("start", start);
   q.set("end", end);
   if (Array.isArray(userIds) && userIds.length) q.set("userIds", userIds.join(","));
   if (projectId) q.set("projectId", projectId);
   if (status) q.set("status", status);
+  if (Array.isArray(labels) && labels.length) q.set("labels", labels.join(","));
+  if (labelMatch) q.set("labelMatch", labelMatch);
 
   const path = `/api/calendar?${q.toString()}`;
   const res = await authFetch(path, { method: "GET" });  // <— ensures Bearer token & refresh
@@ -497,8 +576,54 @@ export async function getCalendarTasks({ start, end, userIds, projectId, status
 }
 
 
+/** The caller's iCalendar feeds: [{ _id, project, url, lastFetchedAt }] */
+export async function getCalendarFeeds() {
+  const res = await authFetch(`/api/calendar/feeds`, { credentials: "include" });
+  if (!res.ok) throw new Error("Failed to fetch calendar feeds");
+  return res.json();
+}
+
+/** The caller's feed for a project (or their own tasks without one), created on first use. */
+export async function openCalendarFeed(projectId = null) {
+  const res = await authFetch(`/api/calendar/feeds`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ projectId }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to create calendar feed");
+  }
+  return res.json();
+}
+
+/** New link for a feed; the old one stops working. */
+export async function regenerateCalendarFeed(feedId) {
+  const res = await authFetch(`/api/calendar/feeds/${feedId}/regenerate`, {
+    method: "POST",
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to regenerate calendar feed");
+  }
+  return res.json();
+}
+
+export async function revokeCalendarFeed(feedId) {
+  const res = await authFetch(`/api/calendar/feeds/${feedId}`, {
+    method: "DELETE",
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to revoke calendar feed");
+  }
+}
+
 export async function updateTaskDates(taskId, { startAt, endAt, allDay }) {
-  const res = await fetch(`${BASE}/api/tasks/${taskId}`, {
+  const res = await authFetch(`/api/tasks/${taskId}`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
     credentials: "include",
@@ -510,21 +635,89 @@ export async function updateTaskDates(taskId, { startAt, endAt, allDay }) {
 
 /* ===================== Projects ===================== */
 export async function getProjectById(id) {
-  const res = await fetch(`${API_BASE}/api/projects/${id}?populate=1`, { credentials: "include" });
+  const res = await authFetch(`/api/projects/${id}?populate=1`, { credentials: "include" });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch project"));
   return res.json();
 }
 
+/** The project's task workflow: `{ statuses: [{ name, category }], transitions, isDefault }` */
+export async function getProjectWorkflow(projectId) {
+  const res = await authFetch(`/api/projects/${projectId}/workflow`, { credentials: "include" });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch workflow"));
+  return res.json();
+}
+
+/**
+ * Replace the project's workflow. `remap` moves tasks out of removed statuses,
+ * e.g. `{ "QA": "In Review" }`; without it a 409 lists the statuses still in use.
+ */
+export async function updateProjectWorkflow(projectId, { statuses, transitions = [], remap } = {}) {
+  const res = await authFetch(`/api/projects/${projectId}/workflow`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ statuses, transitions, ...(remap ? { remap } : {}) }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    const err = new Error(data.error || "Failed to update workflow");
+    err.status = res.status;
+    err.statuses = data.statuses;
+    throw err;
+  }
+  return res.json();
+}
+
+/** Kanban board: `{ project, transitions, columns: [{ name, category, wipLimit, count, overLimit, tasks }] }` */
+export async function getProjectBoard(projectId) {
+  const res = await authFetch(`/api/projects/${projectId}/board`, { credentials: "include" });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch board"));
+  return res.json();
+}
+
+/* ===================== Labels ===================== */
+/** Labels usable in `project` (organisation-wide first), or every label the caller can see. */
+export async function getLabels({ project } = {}) {
+  const qs = project ? `?project=${encodeURIComponent(project)}` : "";
+  const res = await authFetch(`/api/labels${qs}`, { credentials: "include" });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch labels"));
+  return res.json();
+}
+
+/** `project` omitted/null creates an organisation-wide label (HR and Senior Managers only). */
+export async function createLabel({ name, color, project = null }) {
+  const res = await authFetch(`/api/labels`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ name, color, project }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    const err = new Error(data.error || "Failed to create label");
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
 /** Get selectable departments */
 export async function getDepartments() {
-  const res = await fetch(`${API_BASE}/api/departments`, { credentials: "include" });
+  const res = await authFetch(`/api/departments`, { credentials: "include" });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch departments"));
   return res.json();
 }
 
+/** Get a single user (populated department) */
+export async function getUserById(userId) {
+  const res = await authFetch(`/api/users/${userId}`);
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch user"));
+  return res.json();
+}
+
 /** Get selectable users */
 export async function getAllTeamMembers() {
-  const res = await fetch(`${API_BASE}/api/users`, { credentials: "include" });
+  const res = await authFetch(`/api/users`, { credentials: "include" });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch team members"));
   const data = await res.json();
   return Array.isArray(data)
@@ -544,7 +737,7 @@ export async function createProject(formData) {
     department: formData.department ?? formData.departments ?? formData.departmentIds ?? (formData.departmentId ? [formData.departmentId] : []),
   });
 
-  const res = await fetch(`${API_BASE}/api/projects`, {
+  const res = await authFetch(`/api/projects`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     credentials: "include",
@@ -569,7 +762,7 @@ export async function createProject(formData) {
     try {
       const deptIds =
         formData.department ?? formData.departments ?? formData.departmentIds ?? (formData.departmentId ? [formData.departmentId] : []);
-      const upd = await fetch(`${API_BASE}/api/projects/${id}`, {
+      const upd = await authFetch(`/api/projects/${id}`, {
         method: "PUT",
         headers: { "Content-Type": "application/json" },
         credentials: "include",
@@ -606,7 +799,7 @@ export async function updateProject(projectId, formData) {
       : {}),
   });
 
-  const res = await fetch(`${API_BASE}/api/projects/${projectId}`, {
+  const res = await authFetch(`/api/projects/${projectId}`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
     credentials: "include",
@@ -630,10 +823,51 @@ export async function updateProject(projectId, formData) {
   return id ? await getProjectById(id) : updated;
 }
 
+/*
+*
+* Project template API functions
+*
+*/
+
+export async function getTemplates() {
+  const res = await authFetch(`/api/templates`, { credentials: "include" });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch templates"));
+  return res.json();
+}
+
+/** Save an existing project and its tasks as a reusable template */
+export async function createTemplateFromProject(projectId, { name, description } = {}) {
+  const res = await authFetch(`/api/templates`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ fromProject: projectId, name, description }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to save template");
+  }
+  return res.json();
+}
+
+/** Create a project with all of the template's tasks; resolves to { project, tasks } */
+export async function createProjectFromTemplate(templateId, { startDate, name, description, department, teamMembers }) {
+  const res = await authFetch(`/api/projects/from-template/${templateId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ startDate, name, description, department, teamMembers }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to create project from template");
+  }
+  return res.json();
+}
+
 // (Manager) Send Overdue Task Alerts via Gmail
 export async function sendOverdueAlerts(projectId) {
-  const API_BASE = import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:3000";
-  const res = await fetch(`${API_BASE}/api/notifications/overdue?project=${encodeURIComponent(projectId)}`, {
+  const res = await authFetch(`/api/notifications/overdue?project=${encodeURIComponent(projectId)}`, {
     method: "POST",
     credentials: "include",
     headers: { "Content-Type": "application/json" },
@@ -655,17 +889,73 @@ export async function listTaskComments(taskId, { cursor, limit = 20 } = {}) {
   const qs = new URLSearchParams();
   if (cursor) qs.set("cursor", cursor);
   if (limit) qs.set("limit", String(limit));
-  const res = await fetch(`${API_BASE}/api/tasks/${taskId}/comments?${qs.toString()}`, {
+  const res = await authFetch(`/api/tasks/${taskId}/comments?${qs.toString()}`, {
     credentials: "include",
   });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch comments"));
   return res.json();
 }
 
+/** Audit trail for a task (newest first); pass `before` (ISO date) to page back. */
+export async function getTaskActivity(taskId, { before, limit = 50 } = {}) {
+  if (!taskId) throw new Error("taskId is required");
+  const qs = new URLSearchParams();
+  if (before) qs.set("before", before);
+  if (limit) qs.set("limit", String(limit));
+  const res = await authFetch(`/api/tasks/${taskId}/activity?${qs.toString()}`, {
+    credentials: "include",
+  });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch activity"));
+  return res.json();
+}
+
+/** A recurring task's series: rule, tasks, upcoming occurrences and skipped dates. */
+export async function getTaskSeries(taskId, { limit = 10 } = {}) {
+  if (!taskId) throw new Error("taskId is required");
+  const res = await authFetch(`/api/tasks/${taskId}/series?limit=${limit}`, {
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to fetch series");
+  }
+  return res.json();
+}
+
+/** Leave one occurrence (ISO date) out of the series; returns the updated series. */
+export async function skipOccurrence(taskId, occurrenceDate) {
+  const res = await authFetch(`/api/tasks/${taskId}/series/skip`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ occurrenceDate }),
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to skip occurrence");
+  }
+  return res.json();
+}
+
+/** Create the task for a later occurrence now, with `changes` (title, deadline, ...). */
+export async function changeOccurrence(taskId, occurrenceDate, changes = {}) {
+  const res = await authFetch(`/api/tasks/${taskId}/series/occurrences`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...changes, occurrenceDate }),
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to change occurrence");
+  }
+  return res.json();
+}
+
 export async function searchMentionableUsers(taskId, q = "") {
   const qs = new URLSearchParams();
   if (q) qs.set("q", q);
-  const res = await fetch(`${API_BASE}/api/tasks/${taskId}/mentionable-users?${qs}`, {
+  const res = await authFetch(`/api/tasks/${taskId}/mentionable-users?${qs}`, {
     credentials: "include",
   });
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch mention users"));
@@ -686,6 +976,7 @@ export async function createTaskComment(taskId, payload, clientKey) {
     const fd = new FormData();
     fd.append("body", payload.body);
     if (payload.authorId) fd.append("author", payload.authorId);
+    if (payload.parentId) fd.append("parentId", payload.parentId);
     (payload.mentions ?? []).forEach(m => fd.append("mentions", m));
     (payload.attachments ?? []).forEach(f => fd.append("attachments", f));
     reqBody = fd;
@@ -697,6 +988,7 @@ export async function createTaskComment(taskId, payload, clientKey) {
       mentions: payload.mentions ?? [],
       attachments: [],
       clientKey,
+      ...(payload.parentId ? { parentId: payload.parentId } : {}),
     });
   }
 
@@ -733,3 +1025,330 @@ export async function deleteTaskComment(taskId, commentId, { authorId } = {}) {
   if (!res.ok) throw new Error(await res.text().catch(() => "Failed to delete comment"));
   return res.json();
 }
+
+/** Add the user's `emoji` reaction to a comment, or take it back; resolves to `{ reacted, reactions }`. */
+export async function toggleCommentReaction(taskId, commentId, emoji) {
+  const res = await authFetch(`/api/tasks/${taskId}/comments/${commentId}/reactions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ emoji }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to react to the comment");
+  return data;
+}
+
+/** Resolve (or, with `resolved` false, reopen) the thread a comment starts. */
+export async function setCommentThreadResolved(taskId, commentId, resolved = true) {
+  const res = await authFetch(`/api/tasks/${taskId}/comments/${commentId}/${resolved ? "resolve" : "reopen"}`, {
+    method: "POST",
+    credentials: "include",
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Failed to ${resolved ? "resolve" : "reopen"} the thread`);
+  return data;
+}
+
+/* ===================== Notification preferences ===================== */
+export async function getNotificationPreferences() {
+  const res = await authFetch(`/api/notifications/preferences`, { credentials: "include" });
+  if (!res.ok) throw new Error("Failed to load notification preferences");
+  return res.json();
+}
+
+/** Partial update: send only what changed, e.g. { types: { comment: { email: true } } } */
+export async function updateNotificationPreferences(patch) {
+  const res = await authFetch(`/api/notifications/preferences`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(patch),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to save notification preferences");
+  }
+  return res.json();
+}
+
+/* ===================== Notification inbox ===================== */
+/**
+ * One page of the inbox, newest first: `{ items, nextCursor }`. Pass `nextCursor` back
+ * as `cursor` for the next page. `archived: true` lists the archive instead.
+ */
+export async function getNotifications({ cursor, limit, type, read, archived, project, from, to } = {}) {
+  const qs = new URLSearchParams();
+  if (cursor) qs.set("cursor", cursor);
+  if (limit) qs.set("limit", String(limit));
+  if (type?.length) qs.set("type", [].concat(type).join(","));
+  if (read !== undefined) qs.set("read", String(read));
+  if (archived) qs.set("archived", "true");
+  if (project) qs.set("project", project);
+  if (from) qs.set("from", from);
+  if (to) qs.set("to", to);
+  const res = await authFetch(`/api/notifications?${qs.toString()}`, { credentials: "include" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to load notifications");
+  }
+  return res.json();
+}
+
+export async function getUnreadNotificationCount() {
+  const res = await authFetch(`/api/notifications/unread-count`, { credentials: "include" });
+  if (!res.ok) throw new Error("Failed to load the unread count");
+  return (await res.json()).count;
+}
+
+/** `changes` is `{ read }`, `{ archived }` or both. */
+export async function updateNotification(id, changes) {
+  const res = await authFetch(`/api/notifications/${id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(changes),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to update the notification");
+  return data;
+}
+
+/** Mark everything up to `before` (default: now) read, or unread with `read: false`. */
+export async function markAllNotifications({ read = true, before } = {}) {
+  const res = await authFetch(`/api/notifications/mark-all`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ read, ...(before ? { before } : {}) }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to update notifications");
+  return data;
+}
+
+/** Put off a reminder or overdue notification: `{ minutes }` from now or `{ until }` an ISO time. */
+export async function snoozeNotification(id, { minutes, until }) {
+  const res = await authFetch(`/api/notifications/${id}/snooze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(minutes !== undefined ? { minutes } : { until }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to snooze the notification");
+  return data;
+}
+
+/* ===================== Personal reminders ===================== */
+/** The caller's own pending reminders on a task, soonest first */
+export async function getMyTaskReminders(taskId) {
+  const res = await authFetch(`/api/tasks/${taskId}/reminders`, { credentials: "include" });
+  if (!res.ok) throw new Error("Failed to load your reminders");
+  return res.json();
+}
+
+/** `{ remindAt }` (ISO time) or `{ minutesBefore }` the deadline, plus an optional `note` */
+export async function addMyTaskReminder(taskId, reminder) {
+  const res = await authFetch(`/api/tasks/${taskId}/reminders`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(reminder),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to add the reminder");
+  return data;
+}
+
+export async function deleteMyTaskReminder(taskId, reminderId) {
+  const res = await authFetch(`/api/tasks/${taskId}/reminders/${reminderId}`, {
+    method: "DELETE",
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to remove the reminder");
+  }
+}
+
+/* ===================== Time tracking ===================== */
+/** `{ estimateMinutes, remainingMinutes, loggedMinutes, byUser, running, entries }` */
+export async function getTaskTime(taskId) {
+  if (!taskId) throw new Error("taskId is required");
+  const res = await authFetch(`/api/tasks/${taskId}/time`, { credentials: "include" });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to load time entries"));
+  return res.json();
+}
+
+/** Manual entry: `{ minutes | hours, startedAt?, note? }` */
+export async function logTaskTime(taskId, entry) {
+  const res = await authFetch(`/api/tasks/${taskId}/time`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(entry),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to log time");
+  }
+  return res.json();
+}
+
+/** Returns `{ entry, stopped }`; a timer running on another task comes back as `stopped`. */
+export async function startTaskTimer(taskId) {
+  const res = await authFetch(`/api/tasks/${taskId}/time/timer/start`, {
+    method: "POST",
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to start timer");
+  }
+  return res.json();
+}
+
+export async function stopTaskTimer(taskId) {
+  const res = await authFetch(`/api/tasks/${taskId}/time/timer/stop`, {
+    method: "POST",
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to stop timer");
+  }
+  return res.json();
+}
+
+export async function deleteTimeEntry(taskId, entryId) {
+  const res = await authFetch(`/api/tasks/${taskId}/time/${entryId}`, {
+    method: "DELETE",
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to delete time entry");
+  }
+  return res.json();
+}
+
+/** Logged hours per user, project and week: `{ from, to, timezone, rows, totalHours }` */
+export async function getTimesheet({ from, to, user, project, timezone } = {}) {
+  const qs = new URLSearchParams();
+  if (from) qs.set("from", from);
+  if (to) qs.set("to", to);
+  if (user) qs.set("user", user);
+  if (project) qs.set("project", project);
+  if (timezone) qs.set("timezone", timezone);
+  const res = await authFetch(`/api/timesheet?${qs.toString()}`, { credentials: "include" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to load timesheet");
+  }
+  return res.json();
+}
+
+/* ===================== Saved views ===================== */
+/** The user's own views and those shared with them; with `project`, only views usable there. */
+export async function getSavedViews({ project } = {}) {
+  const qs = project ? `?project=${encodeURIComponent(project)}` : "";
+  const res = await authFetch(`/api/views${qs}`, { credentials: "include" });
+  if (!res.ok) throw new Error(await res.text().catch(() => "Failed to fetch saved views"));
+  return res.json();
+}
+
+export async function getSavedView(viewId) {
+  const res = await authFetch(`/api/views/${viewId}`, { credentials: "include" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to open saved view");
+  }
+  return res.json();
+}
+
+/** `{ name, project, sharing: private|project|department, filters, sort, groupBy }` */
+export async function createSavedView(view) {
+  const res = await authFetch(`/api/views`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(view),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to save view");
+  }
+  return res.json();
+}
+
+export async function updateSavedView(viewId, patch) {
+  const res = await authFetch(`/api/views/${viewId}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(patch),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to update view");
+  }
+  return res.json();
+}
+
+export async function deleteSavedView(viewId) {
+  const res = await authFetch(`/api/views/${viewId}`, { method: "DELETE", credentials: "include" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to delete view");
+  }
+  return res.json();
+}
+
+/* ===================== Trash ===================== */
+/** `{ retentionDays, items }`: what the user deleted, or with `project`, everything deleted in it. */
+export async function getTrash({ project } = {}) {
+  const qs = project ? `?project=${encodeURIComponent(project)}` : "";
+  const res = await authFetch(`/api/trash${qs}`, { credentials: "include" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to load the trash");
+  }
+  return res.json();
+}
+
+/** `type` is task, project or comment; whatever was deleted along with it comes back too. */
+export async function restoreFromTrash(type, id) {
+  const res = await authFetch(`/api/trash/${type}/${id}/restore`, { method: "POST", credentials: "include" });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to restore");
+  return data;
+}
+
+export async function deleteFromTrash(type, id) {
+  const res = await authFetch(`/api/trash/${type}/${id}`, { method: "DELETE", credentials: "include" });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Failed to delete");
+  return data;
+}
+
+/* ===================== Search ===================== */
+/**
+ * Tasks, projects and comments matching `q` that the user may see:
+ * `{ query, results: [{ type, _id, title, snippet: { text, highlights }, project, task, status }] }`
+ */
+export async function searchAll(q, { types, project, status, from, to, limit } = {}) {
+  const qs = new URLSearchParams({ q });
+  if (types?.length) qs.set("types", [].concat(types).join(","));
+  if (project) qs.set("project", project);
+  if (status?.length) qs.set("status", [].concat(status).join(","));
+  if (from) qs.set("from", from);
+  if (to) qs.set("to", to);
+  if (limit) qs.set("limit", String(limit));
+  const res = await authFetch(`/api/search?${qs.toString()}`, { credentials: "include" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Search failed");
+  }
+  return res.json();
+}
@@ -0,0 +1,280 @@
+// Filter, sort and grouping of the manager task board. The same "view state" lives in
+// the page URL (so a board can be linked) and in saved views (see /api/views).
+import dayjs from "dayjs";
+import { isDoneTask } from "./workflow.js";
+
+export const DEFAULT_VIEW_STATE = {
+  status: "All",
+  priority: "All",
+  due: "any",
+  assignee: "All",
+  sort: "default",
+  direction: "asc",
+  groupBy: "due",
+};
+
+export const PRIORITY_BANDS = ["High", "Medium", "Low"];
+
+export const DUE_OPTIONS = [
+  { value: "any", label: "Any time" },
+  { value: "overdue", label: "Overdue" },
+  { value: "today", label: "Due today" },
+  { value: "this_week", label: "Due this week" },
+  { value: "next_7_days", label: "Due in the next 7 days" },
+  { value: "no_deadline", label: "No deadline" },
+];
+
+export const SORT_OPTIONS = [
+  { value: "default", label: "Default" },
+  { value: "priority", label: "Priority" },
+  { value: "deadline", label: "Deadline" },
+  { value: "title", label: "Title" },
+  { value: "updated", label: "Last updated" },
+];
+
+export const GROUP_OPTIONS = [
+  { value: "due", label: "Due date" },
+  { value: "status", label: "Status" },
+  { value: "priority", label: "Priority" },
+  { value: "assignee", label: "Assignee" },
+  { value: "none", label: "No grouping" },
+];
+
+// URL parameter for each view state field
+const PARAMS = {
+  status: "status",
+  priority: "priority",
+  due: "due",
+  assignee: "assignee",
+  sort: "sort",
+  direction: "dir",
+  groupBy: "group",
+};
+
+const ALLOWED = {
+  due: DUE_OPTIONS.map((o) => o.value),
+  sort: SORT_OPTIONS.map((o) => o.value),
+  direction: ["asc", "desc"],
+  groupBy: GROUP_OPTIONS.map((o) => o.value),
+};
+
+const idOf = (v) => String(v?._id ?? v ?? "");
+
+/** Low (1-3), Medium (4-7) or High (8-10); null when the priority isn't a number. */
+export function priorityBand(p) {
+  const n = Math.trunc(Number(p));
+  if (!Number.isFinite(n)) return null;
+  if (n <= 3) return "Low";
+  if (n <= 7) return "Medium";
+  return "High";
+}
+
+/** View state from URL search params; missing or unknown values fall back to the defaults. */
+export function viewStateFromParams(searchParams) {
+  const state = { ...DEFAULT_VIEW_STATE };
+  for (const [key, param] of Object.entries(PARAMS)) {
+    const value = searchParams.get(param);
+    if (!value) continue;
+    if (ALLOWED[key] && !ALLOWED[key].includes(value)) continue;
+    state[key] = value;
+  }
+  return state;
+}
+
+/** Write `state` into a copy of `searchParams`, leaving defaults out to keep links short. */
+export function withViewState(searchParams, state) {
+  const next = new URLSearchParams(searchParams);
+  for (const [key, param] of Object.entries(PARAMS)) {
+    if (state[key] && state[key] !== DEFAULT_VIEW_STATE[key]) next.set(param, state[key]);
+    else next.delete(param);
+  }
+  return next;
+}
+
+export const isDefaultView = (state) =>
+  Object.keys(DEFAULT_VIEW_STATE).every((k) => state[k] === DEFAULT_VIEW_STATE[k]);
+
+/** A saved view (GET /api/views) as view state. */
+export function viewStateFromSaved(view) {
+  const f = view?.filters ?? {};
+  return {
+    status: f.status || "All",
+    priority: f.priority || "All",
+    due: f.due || "any",
+    assignee: f.assignee || "All",
+    sort: view?.sort?.field || "default",
+    direction: view?.sort?.direction || "asc",
+    groupBy: view?.groupBy || "due",
+  };
+}
+
+/** The filters, sort and grouping fields of a saved view for `state`. */
+export function savedViewFields(state) {
+  const opt = (v) => (v === "All" ? null : v);
+  return {
+    filters: {
+      status: opt(state.status),
+      priority: opt(state.priority),
+      due: state.due,
+      assignee: opt(state.assignee),
+    },
+    sort: { field: state.sort, direction: state.direction },
+    groupBy: state.groupBy,
+  };
+}
+
+function dueMatches(task, due, now) {
+  if (due === "any") return true;
+  if (due === "no_deadline") return !task?.deadline;
+  if (!task?.deadline) return false;
+
+  const d = dayjs(task.deadline);
+  const today = dayjs(now).startOf("day");
+  if (due === "overdue") return !isDoneTask(task) && d.isBefore(today);
+  if (due === "today") return d.isSame(today, "day");
+  if (due === "next_7_days") return !d.isBefore(today) && d.isBefore(today.add(8, "day"));
+  // this_week: Monday to Sunday
+  const monday = today.subtract((today.day() + 6) % 7, "day");
+  return !d.isBefore(monday) && d.isBefore(monday.add(7, "day"));
+}
+
+function assigneeMatches(task, assignee, userId) {
+  const ids = (task?.assignedTeamMembers ?? []).map(idOf);
+  if (assignee === "All") return true;
+  if (assignee === "unassigned") return ids.length === 0;
+  return ids.includes(assignee === "me" ? String(userId) : assignee);
+}
+
+/**
+ * Whether a task (or one of its subtasks) passes the view's filters. `statusLabel`
+ * normalises legacy status spellings.
+ */
+export function matchesView(task, state, { userId, statusLabel = (s) => s, now = new Date() } = {}) {
+  const ok = (t) =>
+    (state.status === "All" || statusLabel(t.status) === state.status) &&
+    (state.priority === "All" ||
+      (PRIORITY_BANDS.includes(state.priority)
+        ? priorityBand(t.priority) === state.priority
+        : Number(t.priority) === Number(state.priority))) &&
+    dueMatches(t, state.due, now) &&
+    assigneeMatches(t, state.assignee, userId);
+  return ok(task) || (task.subtasks ?? []).some(ok);
+}
+
+const time = (v) => (v ? new Date(v).getTime() : null);
+
+/** Compare by the view's sort field; tasks without a deadline always go last. */
+function comparator({ sort, direction }) {
+  const sign = direction === "desc" ? -1 : 1;
+  switch (sort) {
+    case "priority":
+      return (a, b) => sign * ((Number(a.priority) || 0) - (Number(b.priority) || 0));
+    case "title":
+      return (a, b) => sign * String(a.title ?? "").localeCompare(String(b.title ?? ""));
+    case "updated":
+      return (a, b) => sign * ((time(a.updatedAt) ?? 0) - (time(b.updatedAt) ?? 0));
+    case "deadline":
+      return (a, b) => {
+        const da = time(a.deadline);
+        const db = time(b.deadline);
+        if (da === null || db === null) return (da === null) - (db === null);
+        return sign * (da - db);
+      };
+    default:
+      return null;
+  }
+}
+
+/* Default order outside the due-date sections: highest priority first, then earliest deadline */
+const byPriorityThenDeadline = (a, b) =>
+  (Number(b.priority) || 0) - (Number(a.priority) || 0) ||
+  (time(a.deadline) ?? Number.MAX_SAFE_INTEGER) - (time(b.deadline) ?? Number.MAX_SAFE_INTEGER);
+
+/* Due-date sections order by distance from today, completed ones latest first */
+function sectionComparator(key, now) {
+  const today = dayjs(now).startOf("day").valueOf();
+  return (a, b) => {
+    const da = time(a.deadline);
+    const db = time(b.deadline);
+    if (da === null || db === null) return (da === null) - (db === null);
+    return key === "completed" ? db - da : Math.abs(da - today) - Math.abs(db - today);
+  };
+}
+
+/** overdue, today, upcoming or completed: the due-date section a task falls in. */
+export function dueSection(task, now = new Date()) {
+  const today = dayjs(now).startOf("day");
+  if (isDoneTask(task)) return "completed";
+  if (!task?.deadline) return "upcoming";
+  const d = dayjs(task.deadline);
+  if (d.isBefore(today)) return "overdue";
+  if (d.isSame(today, "day")) return "today";
+  return "upcoming";
+}
+
+/**
+ * Split the (already filtered) tasks into the sections the board shows:
+ * `[{ key, title, tone, tasks }]`. `statuses` is the project's workflow status names,
+ * `memberName(id)` names an assignee. Empty sections are left out, except "Upcoming"
+ * when grouping by due date.
+ */
+export function groupTasks(tasks, state, { statuses = [], statusLabel = (s) => s, memberName = () => "", now = new Date() } = {}) {
+  const cmp = comparator(state);
+  const sorted = (list, fallback) => [...list].sort(cmp ?? fallback);
+
+  if (state.groupBy === "due") {
+    const sections = [
+      { key: "overdue", title: "Overdue", tone: "danger" },
+      { key: "today", title: "Due Today", tone: "warning" },
+      { key: "upcoming", title: "Upcoming", tone: "brand" },
+      { key: "completed", title: "Completed", tone: "success" },
+    ].map((s) => ({ ...s, tasks: [] }));
+    for (const t of tasks) sections.find((s) => s.key === dueSection(t, now)).tasks.push(t);
+    return sections
+      .map((s) => ({ ...s, tasks: sorted(s.tasks, sectionComparator(s.key, now)) }))
+      .filter((s) => s.key === "upcoming" || s.tasks.length);
+  }
+
+  if (state.groupBy === "none") {
+    return [{ key: "all", title: "All tasks", tone: "brand", tasks: sorted(tasks, byPriorityThenDeadline) }];
+  }
+
+  const groups = new Map();
+  const add = (key, title, tone, task) => {
+    if (!groups.has(key)) groups.set(key, { key, title, tone, tasks: [] });
+    groups.get(key).tasks.push(task);
+  };
+  const bandTone = { High: "danger", Medium: "warning", Low: "brand" };
+
+  for (const t of tasks) {
+    if (state.groupBy === "status") {
+      const label = statusLabel(t.status) || "No status";
+      add(label, label, isDoneTask(t) ? "success" : "brand", t);
+    } else if (state.groupBy === "priority") {
+      const band = priorityBand(t.priority);
+      add(band ?? "none", band ? `${band} priority` : "No priority", bandTone[band] ?? "brand", t);
+    } else {
+      const members = t.assignedTeamMembers ?? [];
+      if (!members.length) add("unassigned", "Unassigned", "brand", t);
+      // A task with several assignees shows under each of them
+      for (const m of members) add(idOf(m), m?.name || memberName(idOf(m)) || "Unknown member", "brand", t);
+    }
+  }
+
+  const order = {
+    status: (g) => {
+      const i = statuses.indexOf(g.key);
+      return i === -1 ? statuses.length : i;
+    },
+    priority: (g) => ({ High: 0, Medium: 1, Low: 2 })[g.key] ?? 3,
+    assignee: (g) => (g.key === "unassigned" ? "\uffff" : g.title.toLowerCase()),
+  }[state.groupBy];
+
+  return [...groups.values()]
+    .sort((a, b) => {
+      const oa = order(a);
+      const ob = order(b);
+      return oa < ob ? -1 : oa > ob ? 1 : a.title.localeCompare(b.title);
+    })
+    .map((g) => ({ ...g, tasks: sorted(g.tasks, byPriorityThenDeadline) }));
+}
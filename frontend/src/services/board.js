@@ -0,0 +1,41 @@
+// Kanban board helpers, mirroring backend/utils/board.js: cards are ordered by a numeric
+// `rank`, and a dropped card takes the midpoint of its new neighbours.
+
+export const RANK_STEP = 1024;
+
+/** Rank between two neighbours; either may be missing (top or bottom of the column). */
+export function rankBetween(before, after) {
+  const hasBefore = Number.isFinite(before);
+  const hasAfter = Number.isFinite(after);
+  if (hasBefore && hasAfter) return (before + after) / 2;
+  if (hasBefore) return before + RANK_STEP;
+  if (hasAfter) return after - RANK_STEP;
+  return RANK_STEP;
+}
+
+/** Rank for `taskId` dropped at `index` among the column's other cards. */
+export function rankForDrop(column, taskId, index) {
+  const others = column.tasks.filter((t) => t._id !== taskId);
+  const at = Math.max(0, Math.min(index, others.length));
+  return rankBetween(others[at - 1]?.rank, others[at]?.rank);
+}
+
+/** Whether the workflow lets a card move from one column to another. */
+export function canMove(transitions = [], from, to) {
+  if (from === to || !transitions.length) return true;
+  return transitions.some((t) => t.from === from && t.to === to);
+}
+
+/** Columns with the card moved to `toStatus` at `index` (optimistic update before the PUT). */
+export function moveCard(columns, taskId, toStatus, index, rank) {
+  const card = columns.flatMap((c) => c.tasks).find((t) => t._id === taskId);
+  if (!card) return columns;
+  const moved = { ...card, status: toStatus, rank };
+
+  return columns.map((c) => {
+    const tasks = c.tasks.filter((t) => t._id !== taskId);
+    if (c.name === toStatus) tasks.splice(Math.max(0, Math.min(index, tasks.length)), 0, moved);
+    const count = tasks.length;
+    return { ...c, tasks, count, overLimit: !!c.wipLimit && count > c.wipLimit };
+  });
+}
@@ -1,40 +1,77 @@
 import { io } from 'socket.io-client';
+import { BASE, getToken, refreshAccessToken } from './api.js';
+
+/**
+ * The app's one Socket.IO connection. It signs in with the same access token as the
+ * REST calls; the server then puts it in the rooms of the user and their projects.
+ * `viewTask` adds a task's room (its comments) while the task is open.
+ */
 let socket = null;
+const viewedTasks = new Map(); // taskId -> how many views have it open
 
-export function initializeSocket() {
-  if (!socket) {
-    socket = io('http://localhost:3000', {
-      withCredentials: true
-    });
-
-    socket.on('connect', () => {
-      console.log('Connected to notification service');
-    });
-
-    socket.on('connect_error', (error) => {
-      console.error('Socket connection error:', error);
-    });
-  }
-  return socket;
+function createSocket() {
+  const s = io(BASE, {
+    withCredentials: true,
+    autoConnect: false,
+    // Called on every (re)connect, so a refreshed token is picked up
+    auth: (cb) => cb({ token: getToken() }),
+  });
+  let refreshed = false;
+
+  s.on('connect', () => {
+    refreshed = false;
+    // Task rooms don't survive a reconnect
+    viewedTasks.forEach((_count, taskId) => s.emit('task:view', taskId));
+  });
+
+  s.on('connect_error', async (error) => {
+    // An expired token: refresh it once and try again
+    if (error.message === 'Unauthorized' && !refreshed) {
+      refreshed = true;
+      try {
+        await refreshAccessToken();
+        s.connect();
+        return;
+      } catch {
+        // fall through to the log below
+      }
+    }
+    console.error('Socket connection error:', error);
+  });
+
+  // The server drops a socket when its token expires: come back with a fresh one
+  s.on('disconnect', async (reason) => {
+    if (reason !== 'io server disconnect') return;
+    try {
+      await refreshAccessToken();
+      s.connect();
+    } catch {
+      // signed out; initializeSocket connects again after the next sign-in
+    }
+  });
+
+  return s;
 }
 
 export function getSocket() {
-  if (!socket) {
-    return initializeSocket();
-  }
+  if (!socket) socket = createSocket();
   return socket;
 }
 
+/** Connect (again) with the current token, e.g. after signing in. */
+export function initializeSocket() {
+  const s = getSocket();
+  if (!s.connected) s.connect();
+  return s;
+}
+
 export function subscribeToNotifications(userId, onNotification) {
   const socket = getSocket();
-  
-  // Subscribe to user-specific notifications
+
+  // The server only sends the signed-in user's own notifications to this socket
   socket.on(`notification:${userId}`, onNotification);
-  
-  // Request any unread notifications
-  socket.emit('getUnreadNotifications', userId);
-  
-  // Return cleanup function
+  socket.emit('getUnreadNotifications');
+
   return () => {
     socket.off(`notification:${userId}`, onNotification);
   };
@@ -43,4 +80,19 @@ export function subscribeToNotifications(userId, onNotification) {
 export function markNotificationsAsRead(notificationIds) {
   const socket = getSocket();
   socket.emit('markNotificationsRead', notificationIds);
-}
\ No newline at end of file
+}
+
+/** Receive a task's live updates while it is open. Returns the function that stops them. */
+export function viewTask(taskId) {
+  const socket = getSocket();
+  const count = viewedTasks.get(taskId) ?? 0;
+  viewedTasks.set(taskId, count + 1);
+  if (!count) socket.emit('task:view', taskId);
+
+  return () => {
+    const left = (viewedTasks.get(taskId) ?? 1) - 1;
+    if (left > 0) return viewedTasks.set(taskId, left);
+    viewedTasks.delete(taskId);
+    socket.emit('task:leave', taskId);
+  };
+}
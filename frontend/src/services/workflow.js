@@ -0,0 +1,44 @@
+// Client-side view of a project's task workflow (see GET /api/projects/:id/workflow).
+// Anything that asks "is it finished?" should go through the status category, since
+// projects can name their statuses whatever they like.
+
+export const DEFAULT_STATUS_CATEGORY = {
+  "To Do": "not_started",
+  "In Progress": "active",
+  "Done": "done",
+};
+
+export const DEFAULT_WORKFLOW = {
+  statuses: Object.entries(DEFAULT_STATUS_CATEGORY).map(([name, category]) => ({ name, category })),
+  transitions: [],
+  isDefault: true,
+};
+
+/** Category of a task; tasks saved before workflows existed only have a default status name. */
+export function categoryOf(task) {
+  return task?.statusCategory ?? DEFAULT_STATUS_CATEGORY[task?.status] ?? "not_started";
+}
+
+export const isDoneTask = (task) => categoryOf(task) === "done";
+
+/** First not-started status: where new tasks begin. */
+export function initialStatus(workflow = DEFAULT_WORKFLOW) {
+  const statuses = workflow?.statuses?.length ? workflow.statuses : DEFAULT_WORKFLOW.statuses;
+  return (statuses.find((s) => s.category === "not_started") ?? statuses[0]).name;
+}
+
+/**
+ * Status names to offer for a task currently in `current`: the current one plus every
+ * status the workflow lets it move to, in workflow order.
+ */
+export function statusOptionsFor(workflow = DEFAULT_WORKFLOW, current) {
+  const statuses = workflow?.statuses?.length ? workflow.statuses : DEFAULT_WORKFLOW.statuses;
+  const names = statuses.map((s) => s.name);
+  const rules = workflow?.transitions ?? [];
+  const known = names.includes(current);
+  if (!current || !rules.length || !known) {
+    return known || !current ? names : [current, ...names];
+  }
+  const targets = new Set(rules.filter((t) => t.from === current).map((t) => t.to));
+  return names.filter((name) => name === current || targets.has(name));
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_VIEW_STATE,
+  groupTasks,
+  matchesView,
+  savedViewFields,
+  viewStateFromParams,
+  viewStateFromSaved,
+  withViewState,
+} from "/src/services/board-views.js";
+
+const ME = "u1";
+const now = new Date("2026-03-11T10:00:00"); // a Wednesday
+
+const task = (over) => ({ _id: over.title, status: "To Do", priority: 5, assignedTeamMembers: [], ...over });
+
+const tasks = [
+  task({ title: "Late", priority: 9, deadline: "2026-03-09T12:00:00", assignedTeamMembers: [{ _id: ME, name: "Me" }] }),
+  task({ title: "Friday", priority: 8, deadline: "2026-03-13T12:00:00", assignedTeamMembers: [{ _id: ME, name: "Me" }] }),
+  task({ title: "Next week", priority: 2, deadline: "2026-03-17T12:00:00", assignedTeamMembers: [{ _id: "u2", name: "Ann" }] }),
+  task({ title: "Someday", priority: 10 }),
+  task({ title: "Shipped", status: "Done", priority: 3, deadline: "2026-03-01T12:00:00" }),
+];
+
+const visible = (state) =>
+  tasks.filter((t) => matchesView(t, { ...DEFAULT_VIEW_STATE, ...state }, { userId: ME, now })).map((t) => t.title);
+
+describe("services/board-views", () => {
+  it("round-trips view state through the URL, leaving defaults out", () => {
+    const state = { ...DEFAULT_VIEW_STATE, priority: "High", due: "this_week", sort: "deadline" };
+    const params = withViewState(new URLSearchParams("project=p1&view=v1"), state);
+    expect(params.toString()).toBe("project=p1&view=v1&priority=High&due=this_week&sort=deadline");
+    expect(viewStateFromParams(params)).toEqual(state);
+    expect(viewStateFromParams(new URLSearchParams("due=someday&group=nope"))).toEqual(DEFAULT_VIEW_STATE);
+  });
+
+  it("converts to and from saved views", () => {
+    const state = { ...DEFAULT_VIEW_STATE, assignee: "me", groupBy: "status", direction: "desc" };
+    const fields = savedViewFields(state);
+    expect(fields.filters).toEqual({ status: null, priority: null, due: "any", assignee: "me" });
+    expect(viewStateFromSaved(fields)).toEqual(state);
+  });
+
+  it("filters by priority band, due window and assignee", () => {
+    expect(visible({ priority: "High", due: "this_week", assignee: "me" })).toEqual(["Late", "Friday"]);
+    expect(visible({ priority: "8", due: "today" })).toEqual([]);
+    expect(visible({ due: "overdue" })).toEqual(["Late"]);
+    expect(visible({ due: "next_7_days" })).toEqual(["Friday", "Next week"]);
+    expect(visible({ due: "no_deadline" })).toEqual(["Someday"]);
+    expect(visible({ assignee: "unassigned", priority: "Low" })).toEqual(["Shipped"]);
+  });
+
+  it("keeps the due-date sections by default and groups by other fields", () => {
+    const byDue = groupTasks(tasks, DEFAULT_VIEW_STATE, { now });
+    expect(byDue.map((g) => [g.key, g.tasks.map((t) => t.title)])).toEqual([
+      ["overdue", ["Late"]],
+      ["upcoming", ["Friday", "Next week", "Someday"]],
+      ["completed", ["Shipped"]],
+    ]);
+
+    const byAssignee = groupTasks(tasks, { ...DEFAULT_VIEW_STATE, groupBy: "assignee", sort: "title" }, { now });
+    expect(byAssignee.map((g) => [g.title, g.tasks.map((t) => t.title)])).toEqual([
+      ["Ann", ["Next week"]],
+      ["Me", ["Friday", "Late"]],
+      ["Unassigned", ["Shipped", "Someday"]],
+    ]);
+
+    const byPriority = groupTasks(tasks, { ...DEFAULT_VIEW_STATE, groupBy: "priority" }, { now });
+    expect(byPriority.map((g) => g.title)).toEqual(["High priority", "Low priority"]);
+  });
+});
@@ -0,0 +1,96 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+
+const bulkUpdateTasks = vi.fn();
+const bulkDeleteTasks = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    bulkUpdateTasks: (...a) => bulkUpdateTasks(...a),
+    bulkDeleteTasks: (...a) => bulkDeleteTasks(...a),
+}));
+
+const { BulkActionBar } = await import("/src/components/ui/BulkActionBar.jsx");
+
+const renderBar = (props = {}) =>
+    render(
+        <BulkActionBar
+            selectedIds={["t1", "t2"]}
+            statusOptions={[{ value: "Done", label: "Done" }]}
+            assigneeOptions={[{ value: "u1", label: "Ana" }]}
+            projectOptions={[{ value: "p2", label: "Launch" }]}
+            {...props}
+        />
+    );
+
+describe("BulkActionBar", () => {
+    beforeEach(() => {
+        vi.useRealTimers();
+        bulkUpdateTasks.mockReset().mockResolvedValue({ message: "2 tasks updated" });
+        bulkDeleteTasks.mockReset().mockResolvedValue({ message: "2 tasks deleted" });
+    });
+
+    it("applies one change to every selected task", async () => {
+        const onDone = vi.fn();
+        renderBar({ onDone });
+        expect(screen.getByRole("button", { name: "Apply to 2" })).toBeDisabled();
+
+        fireEvent.change(screen.getByLabelText("New status"), { target: { value: "Done" } });
+        fireEvent.click(screen.getByRole("button", { name: "Apply to 2" }));
+
+        await waitFor(() => expect(onDone).toHaveBeenCalled());
+        expect(bulkUpdateTasks).toHaveBeenCalledWith(["t1", "t2"], { status: "Done" }, { overrideBlockers: false });
+    });
+
+    it("reassigns and shifts deadlines", async () => {
+        renderBar();
+        fireEvent.change(screen.getByLabelText("Bulk action"), { target: { value: "replace" } });
+        fireEvent.change(screen.getByLabelText("Team member"), { target: { value: "u1" } });
+        fireEvent.click(screen.getByRole("button", { name: "Apply to 2" }));
+        await waitFor(() =>
+            expect(bulkUpdateTasks).toHaveBeenCalledWith(["t1", "t2"], { assignees: { mode: "replace", users: ["u1"] } }, { overrideBlockers: false })
+        );
+
+        fireEvent.change(screen.getByLabelText("Bulk action"), { target: { value: "shift" } });
+        fireEvent.change(screen.getByLabelText("Days to shift"), { target: { value: "-3" } });
+        fireEvent.click(screen.getByRole("button", { name: "Apply to 2" }));
+        await waitFor(() =>
+            expect(bulkUpdateTasks).toHaveBeenLastCalledWith(["t1", "t2"], { shiftDays: -3 }, { overrideBlockers: false })
+        );
+    });
+
+    it("lists the tasks that stopped the change", async () => {
+        const err = Object.assign(new Error("2 tasks cannot be changed"), {
+            status: 403,
+            failures: [
+                { taskId: "t1", title: "Brief", error: "You do not have access to this task" },
+                { taskId: "t2", title: "Review", error: "Task not found" },
+            ],
+        });
+        bulkUpdateTasks.mockRejectedValue(err);
+        const onDone = vi.fn();
+        renderBar({ onDone });
+
+        fireEvent.change(screen.getByLabelText("Bulk action"), { target: { value: "priority" } });
+        fireEvent.change(screen.getByLabelText("New priority"), { target: { value: "9" } });
+        fireEvent.click(screen.getByRole("button", { name: "Apply to 2" }));
+
+        expect(await screen.findByText(/Nothing was changed: 2 tasks cannot be changed/)).toBeInTheDocument();
+        expect(screen.getByText("Review: Task not found")).toBeInTheDocument();
+        expect(onDone).not.toHaveBeenCalled();
+    });
+
+    it("asks before moving the selection to the trash", async () => {
+        const confirm = vi.spyOn(window, "confirm").mockReturnValueOnce(false).mockReturnValueOnce(true);
+        renderBar();
+        fireEvent.change(screen.getByLabelText("Bulk action"), { target: { value: "delete" } });
+
+        fireEvent.click(screen.getByRole("button", { name: "Delete 2" }));
+        expect(bulkDeleteTasks).not.toHaveBeenCalled();
+
+        fireEvent.click(screen.getByRole("button", { name: "Delete 2" }));
+        await waitFor(() => expect(bulkDeleteTasks).toHaveBeenCalledWith(["t1", "t2"]));
+        expect(confirm).toHaveBeenCalledTimes(2);
+        confirm.mockRestore();
+    });
+});
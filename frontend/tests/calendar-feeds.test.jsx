@@ -0,0 +1,70 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+
+const getCalendarFeeds = vi.fn();
+const getProjectsByUserId = vi.fn();
+const openCalendarFeed = vi.fn();
+const regenerateCalendarFeed = vi.fn();
+const revokeCalendarFeed = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    getCalendarFeeds: (...a) => getCalendarFeeds(...a),
+    getProjectsByUserId: (...a) => getProjectsByUserId(...a),
+    openCalendarFeed: (...a) => openCalendarFeed(...a),
+    regenerateCalendarFeed: (...a) => regenerateCalendarFeed(...a),
+    revokeCalendarFeed: (...a) => revokeCalendarFeed(...a),
+}));
+vi.mock("/src/context/useAuth", () => ({
+    useAuth: () => ({ user: { id: "u1", role: "Staff" } }),
+}));
+
+const { CalendarFeeds } = await import("/src/components/ui/CalendarFeeds.jsx");
+
+const URL_BASE = "http://api.test/api/calendar/feeds";
+const mine = { _id: "f1", project: null, url: `${URL_BASE}/aaa.ics` };
+
+describe("CalendarFeeds component", () => {
+    beforeEach(() => {
+        vi.useRealTimers();
+        getCalendarFeeds.mockReset().mockResolvedValue([mine]);
+        getProjectsByUserId.mockReset().mockResolvedValue([
+            { _id: "p1", name: "Launch" },
+            { _id: "p2", name: "Website" },
+        ]);
+        openCalendarFeed.mockReset();
+        regenerateCalendarFeed.mockReset();
+        revokeCalendarFeed.mockReset().mockResolvedValue();
+    });
+
+    it("shows the user's feed link and creates one for a project", async () => {
+        openCalendarFeed.mockResolvedValue({ _id: "f2", project: { _id: "p1", name: "Launch" }, url: `${URL_BASE}/bbb.ics` });
+        render(<CalendarFeeds />);
+
+        expect(await screen.findByDisplayValue(`${URL_BASE}/aaa.ics`)).toBeInTheDocument();
+        await screen.findByRole("option", { name: "Launch" });
+
+        fireEvent.change(screen.getByLabelText("Project"), { target: { value: "p1" } });
+        fireEvent.click(screen.getByRole("button", { name: "Create link" }));
+
+        expect(await screen.findByLabelText("Launch feed link")).toHaveValue(`${URL_BASE}/bbb.ics`);
+        expect(openCalendarFeed).toHaveBeenCalledWith("p1");
+        expect(screen.queryByRole("option", { name: "Launch" })).not.toBeInTheDocument();
+    });
+
+    it("replaces a link with a new one and revokes it after confirming", async () => {
+        regenerateCalendarFeed.mockResolvedValue({ ...mine, url: `${URL_BASE}/ccc.ics` });
+        vi.spyOn(window, "confirm").mockReturnValue(true);
+        render(<CalendarFeeds />);
+        await screen.findByDisplayValue(`${URL_BASE}/aaa.ics`);
+
+        fireEvent.click(screen.getByRole("button", { name: "New link" }));
+        expect(await screen.findByDisplayValue(`${URL_BASE}/ccc.ics`)).toBeInTheDocument();
+        expect(regenerateCalendarFeed).toHaveBeenCalledWith("f1");
+
+        fireEvent.click(screen.getByRole("button", { name: "Revoke" }));
+        await waitFor(() => expect(screen.queryByLabelText("My tasks feed link")).not.toBeInTheDocument());
+        expect(revokeCalendarFeed).toHaveBeenCalledWith("f1");
+        expect(screen.getAllByRole("button", { name: "Create link" })[0]).toBeEnabled();
+    });
+});
@@ -22,15 +22,12 @@ vi.mock("/src/context/useAuth", () => ({
   useAuth: vi.fn(() => ({ user: { id: "1", role: "Manager" } })),
 }));
 
-/* ---------------- Mock socket.io-client ---------------- */
+/* ---------------- Mock the shared socket ---------------- */
 const mockOn = vi.fn();
+const mockOff = vi.fn();
 const mockDisconnect = vi.fn();
-vi.mock("socket.io-client", () => ({
-  io: vi.fn(() => ({
-    on: mockOn,
-    disconnect: mockDisconnect,
-  })),
-}));
+const mockSocket = { on: mockOn, off: mockOff, disconnect: mockDisconnect };
+vi.mock("/src/services/socket.js", () => ({ getSocket: () => mockSocket }));
 
 /* ---------------- Mock API ---------------- */
 const mockTasks = [
@@ -46,6 +43,7 @@ const mockTasks = [
 vi.mock("/src/services/api", () => ({
   BASE: "http://mock-base",
   getCalendarTasks: vi.fn(async () => ({ tasks: mockTasks })),
+  getLabels: vi.fn(async () => []),
   updateTaskDates: vi.fn(async () => {}),
 }));
 
@@ -103,14 +101,18 @@ describe("Calendar component", () => {
 //     await waitFor(() => expect(getCalendarTasks).toHaveBeenCalledTimes(2));
 //   });
 
-  it("subscribes to socket events and disconnects on unmount", () => {
+  it("subscribes to socket events and unsubscribes on unmount, leaving the shared socket connected", () => {
     const { unmount } = render(<Calendar />);
 
     expect(mockOn).toHaveBeenCalledWith("calendar:task:created", expect.any(Function));
     expect(mockOn).toHaveBeenCalledWith("calendar:task:updated", expect.any(Function));
     expect(mockOn).toHaveBeenCalledWith("calendar:task:deleted", expect.any(Function));
+    expect(mockOn).toHaveBeenCalledWith("tasks:bulk", expect.any(Function));
+    expect(mockOn).toHaveBeenCalledWith("calendar:series:updated", expect.any(Function));
 
     unmount();
-    expect(mockDisconnect).toHaveBeenCalled();
+    expect(mockOff).toHaveBeenCalledWith("calendar:task:created", expect.any(Function));
+    expect(mockOff).toHaveBeenCalledWith("calendar:task:deleted", expect.any(Function));
+    expect(mockDisconnect).not.toHaveBeenCalled();
   });
 });
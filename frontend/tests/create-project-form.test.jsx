@@ -0,0 +1,76 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const api = {
+    createProject: vi.fn(),
+    createProjectFromTemplate: vi.fn(),
+    getAllTeamMembers: vi.fn(),
+    getDepartments: vi.fn(),
+    getTemplates: vi.fn(),
+};
+vi.mock("../src/services/api.js", () => ({
+    createProject: (...args) => api.createProject(...args),
+    createProjectFromTemplate: (...args) => api.createProjectFromTemplate(...args),
+    getAllTeamMembers: (...args) => api.getAllTeamMembers(...args),
+    getDepartments: (...args) => api.getDepartments(...args),
+    getTemplates: (...args) => api.getTemplates(...args),
+}));
+vi.mock("/src/context/useAuth", () => ({
+    useAuth: () => ({ user: { id: "u1", role: "Manager" } }),
+}));
+
+const { CreateProjectForm } = await import("/src/components/ui/CreateProjectForm.jsx");
+
+withRealTimers();
+
+describe("CreateProjectForm templates", () => {
+    beforeEach(() => {
+        Object.values(api).forEach((fn) => fn.mockReset());
+        api.getAllTeamMembers.mockResolvedValue([{ _id: "u1", name: "Alice" }]);
+        api.getDepartments.mockResolvedValue([{ _id: "d1", name: "Sales" }]);
+        vi.spyOn(window, "alert").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const fillRequired = async () => {
+        fireEvent.change(await screen.findByPlaceholderText(/Q4 Website Revamp/), { target: { value: "Onboarding: Bob" } });
+        fireEvent.click(screen.getByRole("checkbox", { name: "Sales" }));
+    };
+
+    it("creates the project from the chosen template and start date", async () => {
+        api.getTemplates.mockResolvedValue([{ _id: "tpl1", name: "Onboarding", taskCount: 12 }]);
+        api.createProjectFromTemplate.mockResolvedValue({ project: { _id: "p1" }, tasks: [] });
+        const onCreated = vi.fn();
+
+        const { container } = render(<CreateProjectForm onCreated={onCreated} />);
+        await fillRequired();
+        fireEvent.change(container.querySelector('input[name="startDate"]'), { target: { value: "2025-12-01" } });
+        fireEvent.change(screen.getByLabelText("Template"), { target: { value: "tpl1" } });
+        expect(screen.getByText(/relative to the start date/)).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Create Project" }));
+
+        await waitFor(() => expect(onCreated).toHaveBeenCalledWith({ _id: "p1" }));
+        expect(api.createProjectFromTemplate).toHaveBeenCalledWith("tpl1", {
+            startDate: "2025-12-01",
+            name: "Onboarding: Bob",
+            description: "",
+            department: ["d1"],
+            teamMembers: ["u1"],
+        });
+        expect(api.createProject).not.toHaveBeenCalled();
+    });
+
+    it("hides the picker when there are no templates", async () => {
+        api.getTemplates.mockRejectedValue(new Error("offline"));
+        render(<CreateProjectForm />);
+
+        await screen.findByPlaceholderText(/Q4 Website Revamp/);
+        expect(screen.queryByLabelText("Template")).not.toBeInTheDocument();
+    });
+});
@@ -49,10 +49,11 @@ import { AuthCtx } from '../src/context/AuthContext.jsx';
 // Mock API calls
 vi.mock('../src/services/api.js', () => ({
   getDirectorReport: vi.fn(),
+  getUserById: vi.fn(),
   BASE: 'http://localhost:3000'
 }));
 
-import { getDirectorReport } from '../src/services/api.js';
+import { getDirectorReport, getUserById } from '../src/services/api.js';
 
 // Mock dayjs for consistent date testing
 vi.mock('dayjs', () => {
@@ -172,6 +173,7 @@ describe('DirectorReport Component', () => {
     vi.clearAllMocks();
     // Mock getDirectorReport to return our test data
     vi.mocked(getDirectorReport).mockResolvedValue(mockReportData);
+    vi.mocked(getUserById).mockResolvedValue(mockDirectorUser);
     // Mock window.open for PDF export
     window.open.mockReturnValue(mockPrintWindow);
     // Mock fetch to prevent any real network calls from other components
@@ -0,0 +1,81 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import GanttChart from "/src/components/ui/GanttChart.jsx";
+
+const HOUR = 60 * 60 * 1000;
+
+const items = [
+    { id: "b", title: "Build", project: "Alpha", startAt: "2025-10-02T00:00:00Z", endAt: "2025-10-04T00:00:00Z" },
+    { id: "b1", title: "Build API", project: "Alpha", parentTask: "b", startAt: "2025-10-03T00:00:00Z", endAt: "2025-10-03T12:00:00Z" },
+    { id: "a", title: "Design", project: "Alpha", startAt: "2025-10-01T00:00:00Z", deadline: "2025-10-02T00:00:00Z" },
+];
+
+describe("GanttChart component", () => {
+    it("renders 'No tasks to display' when empty", () => {
+        render(<GanttChart items={[]} />);
+        expect(screen.getByText(/no tasks to display/i)).toBeInTheDocument();
+    });
+
+    it("groups by project and nests subtasks under their parent, ordered by start", () => {
+        render(<GanttChart items={items} />);
+        expect(screen.getByText("Alpha")).toBeInTheDocument();
+        const labels = screen.getAllByRole("button", { name: /^Move / }).map((b) => b.getAttribute("aria-label"));
+        expect(labels).toEqual(["Move Design", "Move Build", "Move Build API"]);
+        expect(screen.getByTitle("Build API").className).toMatch(/ps-6/);
+    });
+
+    it("falls back to the deadline for the bar end", () => {
+        render(<GanttChart items={[items[2]]} />);
+        const bar = screen.getByRole("button", { name: "Move Design" });
+        expect(bar.getAttribute("title")).toContain(new Date("2025-10-02T00:00:00Z").toLocaleString());
+    });
+
+    it("draws diamonds for task and project deadlines", () => {
+        render(<GanttChart items={items} projectDeadline="2025-10-06T00:00:00Z" />);
+        expect(screen.getAllByTitle(/^Deadline:/)).toHaveLength(1);
+        expect(screen.getByTitle(/^Project deadline:/)).toBeInTheDocument();
+    });
+
+    it("dragging a bar reschedules the task", async () => {
+        const onReschedule = vi.fn().mockResolvedValue(undefined);
+        const { container } = render(<GanttChart items={[items[0]]} onReschedule={onReschedule} />);
+
+        // 1px == 1 hour keeps the arithmetic readable
+        const track = container.querySelector(".relative.h-7");
+        const span = 5 * 24 * HOUR; // Oct 2 → Oct 4 padded by a day before and two after
+        track.getBoundingClientRect = () => ({ width: span / HOUR });
+
+        const bar = screen.getByRole("button", { name: "Move Build" });
+        fireEvent.pointerDown(bar, { clientX: 100 });
+        fireEvent.pointerMove(bar, { clientX: 124 });
+        fireEvent.pointerUp(bar, { clientX: 124 });
+
+        await waitFor(() => expect(onReschedule).toHaveBeenCalledTimes(1));
+        const [item, dates] = onReschedule.mock.calls[0];
+        expect(item.id).toBe("b");
+        expect(dates).toEqual({
+            startAt: "2025-10-03T00:00:00.000Z",
+            endAt: "2025-10-05T00:00:00.000Z",
+        });
+    });
+
+    it("resizing only moves the end", async () => {
+        const onReschedule = vi.fn().mockResolvedValue(undefined);
+        const { container } = render(<GanttChart items={[items[0]]} onReschedule={onReschedule} />);
+        const track = container.querySelector(".relative.h-7");
+        track.getBoundingClientRect = () => ({ width: (5 * 24 * HOUR) / HOUR });
+
+        const handle = screen.getByRole("button", { name: "Resize Build" });
+        fireEvent.pointerDown(handle, { clientX: 0 });
+        fireEvent.pointerMove(handle, { clientX: 6 });
+        fireEvent.pointerUp(handle, { clientX: 6 });
+
+        await waitFor(() => expect(onReschedule).toHaveBeenCalledTimes(1));
+        expect(onReschedule.mock.calls[0][1]).toEqual({
+            startAt: "2025-10-02T00:00:00.000Z",
+            endAt: "2025-10-04T06:00:00.000Z",
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { MemoryRouter, Route, Routes, useLocation } from "react-router-dom";
+import { withRealTimers } from "./helpers/timers.js";
+
+const api = {
+  searchAll: vi.fn(),
+};
+vi.mock("../src/services/api.js", () => ({
+  searchAll: (...args) => api.searchAll(...args),
+}));
+
+const { default: GlobalSearch } = await import("/src/components/layout/GlobalSearch.jsx");
+
+function Landing() {
+  const location = useLocation();
+  return <p data-testid="landing">{location.pathname + location.search}</p>;
+}
+
+const renderSearch = () =>
+  render(
+    <MemoryRouter initialEntries={["/home"]}>
+      <GlobalSearch targetPath="/tasks" />
+      <Routes>
+        <Route path="*" element={<Landing />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+const results = [
+  {
+    type: "task",
+    _id: "t1",
+    title: "Quarterly report",
+    snippet: { field: "title", text: "Quarterly report", highlights: [[10, 16]] },
+    project: { _id: "p1", name: "Finance" },
+  },
+  {
+    type: "comment",
+    _id: "c1",
+    title: "Budget review",
+    snippet: { field: "body", text: "Attach the report please", highlights: [[11, 17]] },
+    task: { _id: "t2", title: "Budget review" },
+    author: { name: "Alice" },
+  },
+];
+
+withRealTimers();
+
+describe("GlobalSearch", () => {
+  beforeEach(() => {
+    api.searchAll.mockReset();
+  });
+
+  it("shows highlighted results once the user pauses typing", async () => {
+    api.searchAll.mockResolvedValue({ query: "report", results });
+    renderSearch();
+
+    const box = screen.getByRole("combobox", { name: /search tasks/i });
+    fireEvent.change(box, { target: { value: "r" } });
+    fireEvent.change(box, { target: { value: "report" } });
+
+    const options = await screen.findAllByRole("option");
+    expect(options).toHaveLength(2);
+    expect(api.searchAll).toHaveBeenCalledTimes(1);
+    expect(api.searchAll).toHaveBeenCalledWith("report");
+    expect(options[0].querySelector("mark")).toHaveTextContent("report");
+    expect(options[1]).toHaveTextContent("Alice: Attach the report please");
+  });
+
+  it("moves through results with the arrow keys and opens one with Enter", async () => {
+    api.searchAll.mockResolvedValue({ query: "report", results });
+    renderSearch();
+
+    const box = screen.getByRole("combobox");
+    fireEvent.change(box, { target: { value: "report" } });
+    await screen.findAllByRole("option");
+
+    fireEvent.keyDown(box, { key: "ArrowDown" });
+    fireEvent.keyDown(box, { key: "ArrowDown" });
+    const [, comment] = screen.getAllByRole("option");
+    expect(comment).toHaveAttribute("aria-selected", "true");
+    expect(box).toHaveAttribute("aria-activedescendant", comment.id);
+
+    fireEvent.keyDown(box, { key: "Enter" });
+    // A comment opens its task
+    expect(screen.getByTestId("landing")).toHaveTextContent("/tasks?task=t2");
+    expect(box).toHaveValue("");
+    expect(screen.queryByRole("listbox")).not.toBeInTheDocument();
+  });
+
+  it("focuses on / and closes on Escape", async () => {
+    api.searchAll.mockResolvedValue({ query: "zz", results: [] });
+    renderSearch();
+
+    fireEvent.keyDown(document.body, { key: "/" });
+    const box = screen.getByRole("combobox");
+    expect(box).toHaveFocus();
+
+    fireEvent.change(box, { target: { value: "zz" } });
+    expect(await screen.findByText("No matches")).toBeInTheDocument();
+    fireEvent.keyDown(box, { key: "Escape" });
+    expect(screen.queryByRole("listbox")).not.toBeInTheDocument();
+  });
+});
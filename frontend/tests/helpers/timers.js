@@ -0,0 +1,11 @@
+import { beforeEach, vi } from "vitest";
+
+/**
+ * setupTests starts every file on fake timers. Suites that wait on findBy* or
+ * waitFor call this at the top: those poll with real timers.
+ */
+export function withRealTimers() {
+    beforeEach(() => {
+        vi.useRealTimers();
+    });
+}
@@ -0,0 +1,128 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const getProjectBoard = vi.fn();
+const updateTask = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    getProjectBoard: (...args) => getProjectBoard(...args),
+    updateTask: (...args) => updateTask(...args),
+}));
+
+const handlers = {};
+const socket = {
+    on: vi.fn((event, fn) => { handlers[event] = fn; }),
+    off: vi.fn((event) => { delete handlers[event]; }),
+};
+vi.mock("/src/services/socket.js", () => ({ getSocket: () => socket }));
+
+const { KanbanBoard } = await import("/src/components/ui/KanbanBoard.jsx");
+const { rankBetween, rankForDrop, moveCard, canMove } = await import("/src/services/board.js");
+
+const card = (id, status, rank) => ({ _id: id, title: `Task ${id}`, status, rank, priority: 5 });
+const board = (over = {}) => ({
+    project: { _id: "p1", name: "Alpha" },
+    transitions: [],
+    columns: [
+        { name: "To Do", category: "not_started", wipLimit: null, count: 2, overLimit: false, tasks: [card("a", "To Do", 1024), card("b", "To Do", 2048)] },
+        { name: "Doing", category: "active", wipLimit: 1, count: 1, overLimit: false, tasks: [card("c", "Doing", 1024)] },
+        { name: "Done", category: "done", wipLimit: null, count: 0, overLimit: false, tasks: [] },
+    ],
+    ...over,
+});
+
+const dragTo = (cardId, columnName) => {
+    fireEvent.dragStart(screen.getByTestId(`card-${cardId}`), { dataTransfer: { setData: () => {} } });
+    const column = screen.getByRole("region", { name: columnName });
+    fireEvent.dragOver(column);
+    fireEvent.drop(column);
+};
+
+withRealTimers();
+
+describe("services/board", () => {
+    it("ranks a dropped card between its new neighbours", () => {
+        expect(rankBetween(1024, 2048)).toBe(1536);
+        const col = board().columns[0];
+        expect(rankForDrop(col, "x", 0)).toBe(0);
+        expect(rankForDrop(col, "x", 1)).toBe(1536);
+        expect(rankForDrop(col, "a", 5)).toBe(3072);
+    });
+
+    it("moves a card optimistically and recounts the columns", () => {
+        const cols = moveCard(board().columns, "a", "Doing", 1, 2048);
+        expect(cols[0].tasks.map((t) => t._id)).toEqual(["b"]);
+        expect(cols[1].tasks.map((t) => t._id)).toEqual(["c", "a"]);
+        expect(cols[1]).toMatchObject({ count: 2, overLimit: true });
+    });
+
+    it("follows the workflow's transition rules", () => {
+        expect(canMove([], "To Do", "Done")).toBe(true);
+        expect(canMove([{ from: "To Do", to: "Doing" }], "To Do", "Done")).toBe(false);
+    });
+});
+
+describe("KanbanBoard component", () => {
+    beforeEach(() => {
+        getProjectBoard.mockReset();
+        updateTask.mockReset();
+    });
+
+    it("shows one column per status with counts and WIP limits", async () => {
+        getProjectBoard.mockResolvedValue(board());
+        render(<KanbanBoard projectId="p1" />);
+
+        const doing = await screen.findByRole("region", { name: "Doing" });
+        expect(within(doing).getByText("1/1")).toBeInTheDocument();
+        expect(within(screen.getByRole("region", { name: "To Do" })).getByText("Task b")).toBeInTheDocument();
+        expect(getProjectBoard).toHaveBeenCalledWith("p1");
+    });
+
+    it("saves a drop into another column and warns over the WIP limit", async () => {
+        getProjectBoard.mockResolvedValue(board());
+        updateTask.mockResolvedValue({ _id: "a", wipWarning: { status: "Doing", limit: 1, count: 2 } });
+        render(<KanbanBoard projectId="p1" />);
+        await screen.findByText("Task a");
+
+        dragTo("a", "Doing");
+
+        await waitFor(() => expect(updateTask).toHaveBeenCalledWith("a", { status: "Doing", rank: 2048 }));
+        expect(await screen.findByRole("status")).toHaveTextContent('"Doing" is over its WIP limit (2/1)');
+        expect(within(screen.getByRole("region", { name: "Doing" })).getByText("Task a")).toBeInTheDocument();
+    });
+
+    it("puts the card back when the move is rejected", async () => {
+        getProjectBoard.mockResolvedValue(board());
+        updateTask.mockRejectedValue(Object.assign(new Error("Cannot move a task from 'To Do' to 'Done'"), { status: 409 }));
+        render(<KanbanBoard projectId="p1" />);
+        await screen.findByText("Task a");
+
+        dragTo("a", "Done");
+
+        expect(await screen.findByRole("alert")).toHaveTextContent(/cannot move/i);
+        expect(within(screen.getByRole("region", { name: "To Do" })).getByText("Task a")).toBeInTheDocument();
+    });
+
+    it("ignores drops the workflow doesn't allow", async () => {
+        getProjectBoard.mockResolvedValue(board({ transitions: [{ from: "To Do", to: "Doing" }] }));
+        render(<KanbanBoard projectId="p1" />);
+        await screen.findByText("Task a");
+
+        dragTo("a", "Done");
+
+        expect(updateTask).not.toHaveBeenCalled();
+    });
+
+    it("reloads when a task in this project changes elsewhere", async () => {
+        getProjectBoard.mockResolvedValue(board());
+        render(<KanbanBoard projectId="p1" />);
+        await screen.findByText("Task a");
+
+        handlers["task:updated"]({ taskId: "z", projectId: "other" });
+        handlers["task:updated"]({ taskId: "c", projectId: "p1" });
+
+        await waitFor(() => expect(getProjectBoard).toHaveBeenCalledTimes(2));
+    });
+});
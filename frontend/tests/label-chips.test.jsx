@@ -0,0 +1,34 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { LabelChip, LabelChips } from "/src/components/ui/LabelChips.jsx";
+
+const urgent = { _id: "l1", name: "Urgent", color: "#e53935" };
+const customer = { _id: "l2", name: "Customer", color: "#fde68a" };
+
+describe("LabelChips component", () => {
+    it("renders a chip per label with contrasting text", () => {
+        render(<LabelChips labels={[urgent, customer, "l3"]} />);
+
+        expect(screen.getByText("Urgent")).toHaveStyle({ backgroundColor: "#e53935", color: "#fff" });
+        expect(screen.getByText("Customer")).toHaveStyle({ color: "#111827" });
+        // Unpopulated ids have no name to show
+        expect(screen.queryByText("l3")).not.toBeInTheDocument();
+    });
+
+    it("renders nothing without labels", () => {
+        const { container } = render(<LabelChips labels={[]} />);
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    it("toggles in picker mode", () => {
+        const onClick = vi.fn();
+        render(<LabelChip label={urgent} selected={false} onClick={onClick} />);
+
+        const chip = screen.getByRole("button", { name: "Urgent" });
+        expect(chip).toHaveAttribute("aria-pressed", "false");
+        fireEvent.click(chip);
+        expect(onClick).toHaveBeenCalledWith(urgent);
+    });
+});
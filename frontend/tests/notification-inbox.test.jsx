@@ -0,0 +1,108 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+
+const getNotifications = vi.fn();
+const getProjects = vi.fn();
+const updateNotification = vi.fn();
+const markAllNotifications = vi.fn();
+const snoozeNotification = vi.fn();
+vi.mock("/src/services/api", () => ({
+  getNotifications: (...a) => getNotifications(...a),
+  getProjects: (...a) => getProjects(...a),
+  updateNotification: (...a) => updateNotification(...a),
+  markAllNotifications: (...a) => markAllNotifications(...a),
+  snoozeNotification: (...a) => snoozeNotification(...a),
+}));
+const refresh = vi.fn();
+vi.mock("/src/context/NotificationContext", () => ({
+  useNotifications: () => ({ refresh }),
+}));
+
+const { default: Notifications } = await import("/src/pages/Notifications.jsx");
+
+const note = (id, over = {}) => ({
+  _id: id,
+  type: "comment",
+  message: `Message ${id}`,
+  read: false,
+  scheduledFor: "2026-03-01T02:00:00.000Z",
+  taskId: { _id: "t1", title: "Draft brief" },
+  ...over,
+});
+
+describe("Notifications page", () => {
+  beforeEach(() => {
+    vi.useRealTimers();
+    refresh.mockReset();
+    getProjects.mockReset().mockResolvedValue([{ _id: "p1", name: "Launch" }]);
+    getNotifications.mockReset().mockResolvedValueOnce({ items: [note("n1"), note("n2", { read: true })], nextCursor: "c1" });
+    updateNotification.mockReset();
+    markAllNotifications.mockReset().mockResolvedValue({ updated: 1 });
+    snoozeNotification.mockReset().mockResolvedValue({ _id: "r1", source: "snooze" });
+  });
+
+  it("lists the inbox page by page and filters it", async () => {
+    render(<Notifications />);
+    expect(await screen.findByText("Message n1")).toBeInTheDocument();
+    expect(getNotifications).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: undefined, archived: false, limit: 20 }));
+
+    getNotifications.mockResolvedValueOnce({ items: [note("n3")], nextCursor: null });
+    fireEvent.click(screen.getByRole("button", { name: "Load more" }));
+    expect(await screen.findByText("Message n3")).toBeInTheDocument();
+    expect(getNotifications).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: "c1" }));
+    expect(screen.queryByRole("button", { name: "Load more" })).not.toBeInTheDocument();
+
+    getNotifications.mockResolvedValue({ items: [], nextCursor: null });
+    fireEvent.change(screen.getByLabelText("Type"), { target: { value: "mention" } });
+    fireEvent.change(screen.getByLabelText("Read state"), { target: { value: "unread" } });
+    fireEvent.change(screen.getByLabelText("From"), { target: { value: "2026-03-01" } });
+    await waitFor(() =>
+      expect(getNotifications).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "mention", read: false, from: "2026-02-28T16:00:00.000Z" })
+      )
+    );
+    expect(await screen.findByText("No notifications.")).toBeInTheDocument();
+  });
+
+  it("marks notifications read or unread, archives them and marks all read", async () => {
+    render(<Notifications />);
+    await screen.findByText("Message n1");
+
+    updateNotification.mockResolvedValueOnce(note("n2", { read: false }));
+    fireEvent.click(screen.getByRole("button", { name: "Mark as unread" }));
+    await waitFor(() => expect(screen.getAllByRole("button", { name: "Mark as read" })).toHaveLength(2));
+    expect(updateNotification).toHaveBeenCalledWith("n2", { read: false });
+    expect(refresh).toHaveBeenCalled();
+
+    updateNotification.mockResolvedValueOnce(note("n1", { archived: true }));
+    fireEvent.click(screen.getAllByRole("button", { name: "Archive" })[0]);
+    await waitFor(() => expect(screen.queryByText("Message n1")).not.toBeInTheDocument());
+    expect(updateNotification).toHaveBeenLastCalledWith("n1", { archived: true });
+
+    fireEvent.click(screen.getByRole("button", { name: "Mark all as read" }));
+    await waitFor(() => expect(screen.queryAllByRole("button", { name: "Mark as read" })).toHaveLength(0));
+    expect(markAllNotifications).toHaveBeenCalledWith({ before: expect.any(String) });
+  });
+
+  it("snoozes reminder and overdue notifications only", async () => {
+    getNotifications.mockReset().mockResolvedValueOnce({
+      items: [note("n1", { type: "overdue" }), note("n2")],
+      nextCursor: null,
+    });
+    render(<Notifications />);
+    await screen.findByText("Message n1");
+    expect(screen.getAllByLabelText("Snooze")).toHaveLength(1);
+
+    fireEvent.change(screen.getByLabelText("Snooze"), { target: { value: "180" } });
+    await waitFor(() => expect(screen.getAllByRole("button", { name: "Mark as read" })).toHaveLength(1));
+    expect(snoozeNotification).toHaveBeenCalledWith("n1", { minutes: 180 });
+    expect(refresh).toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Snooze"), { target: { value: "custom" } });
+    fireEvent.change(screen.getByLabelText("Remind me at"), { target: { value: "2030-03-02T09:30" } });
+    fireEvent.click(screen.getByRole("button", { name: "Snooze" }));
+    await waitFor(() => expect(snoozeNotification).toHaveBeenLastCalledWith("n1", { until: "2030-03-02T01:30:00.000Z" }));
+  });
+});
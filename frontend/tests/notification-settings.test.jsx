@@ -0,0 +1,67 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const getNotificationPreferences = vi.fn();
+const updateNotificationPreferences = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    getNotificationPreferences: (...a) => getNotificationPreferences(...a),
+    updateNotificationPreferences: (...a) => updateNotificationPreferences(...a),
+}));
+
+const { default: NotificationSettings } = await import("/src/pages/NotificationSettings.jsx");
+
+const defaults = () => ({
+    types: {
+        reminder: { inApp: true, email: true },
+        overdue: { inApp: true, email: true },
+        comment: { inApp: true, email: false },
+        mention: { inApp: true, email: false },
+        update: { inApp: true, email: true },
+    },
+    quietHours: { enabled: false, start: "22:00", end: "07:00" },
+    timezone: "Asia/Singapore",
+    emailFrequency: "instant",
+});
+
+withRealTimers();
+
+describe("NotificationSettings page", () => {
+    beforeEach(() => {
+        getNotificationPreferences.mockReset().mockResolvedValue(defaults());
+        updateNotificationPreferences.mockReset().mockImplementation(async (p) => ({ ...defaults(), ...p }));
+    });
+
+    it("shows the saved channel switches", async () => {
+        render(<NotificationSettings />);
+        expect(await screen.findByLabelText("Task updates email")).toBeChecked();
+        expect(screen.getByLabelText("Comments on my tasks email")).not.toBeChecked();
+        expect(screen.getByLabelText("As they happen")).toBeChecked();
+    });
+
+    it("saves channel, frequency and quiet-hour changes", async () => {
+        render(<NotificationSettings />);
+        fireEvent.click(await screen.findByLabelText("@mentions email"));
+        fireEvent.click(screen.getByLabelText("Task updates in-app"));
+        fireEvent.click(screen.getByLabelText("Daily digest (08:00)"));
+        fireEvent.click(screen.getByLabelText("Enable quiet hours"));
+        fireEvent.click(screen.getByRole("button", { name: /save settings/i }));
+
+        await waitFor(() => expect(updateNotificationPreferences).toHaveBeenCalledTimes(1));
+        const payload = updateNotificationPreferences.mock.calls[0][0];
+        expect(payload.types.mention).toEqual({ inApp: true, email: true });
+        expect(payload.types.update).toEqual({ inApp: false, email: true });
+        expect(payload.emailFrequency).toBe("daily");
+        expect(payload.quietHours.enabled).toBe(true);
+        expect(await screen.findByText("Saved")).toBeInTheDocument();
+    });
+
+    it("surfaces server validation errors", async () => {
+        updateNotificationPreferences.mockRejectedValue(new Error("Unknown timezone"));
+        render(<NotificationSettings />);
+        fireEvent.click(await screen.findByRole("button", { name: /save settings/i }));
+        expect(await screen.findByText("Unknown timezone")).toBeInTheDocument();
+    });
+});
@@ -50,6 +50,7 @@ import { AuthCtx } from '../src/context/AuthContext.jsx';
 // Mock API calls
 vi.mock('../src/services/api.js', () => ({
   getSeniorManagerReport: vi.fn(),
+  getUserById: vi.fn(),
   BASE: 'http://localhost:3000'
 }));
 
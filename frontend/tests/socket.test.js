@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const handlers = {};
+const fakeSocket = {
+  connected: false,
+  on: vi.fn((event, cb) => {
+    handlers[event] = cb;
+  }),
+  off: vi.fn(),
+  emit: vi.fn(),
+  connect: vi.fn(),
+};
+const io = vi.fn(() => fakeSocket);
+vi.mock("socket.io-client", () => ({ io: (...a) => io(...a) }));
+
+const refreshAccessToken = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+  BASE: "http://api.test",
+  getToken: () => "token-1",
+  refreshAccessToken: (...a) => refreshAccessToken(...a),
+}));
+
+const { initializeSocket, subscribeToNotifications, viewTask } = await import("/src/services/socket.js");
+
+describe("services/socket", () => {
+  beforeEach(() => {
+    fakeSocket.emit.mockClear();
+    fakeSocket.connect.mockClear();
+    refreshAccessToken.mockReset();
+  });
+
+  it("opens one connection that signs in with the access token", () => {
+    initializeSocket();
+    initializeSocket();
+    expect(io).toHaveBeenCalledTimes(1);
+    const [url, options] = io.mock.calls[0];
+    expect(url).toBe("http://api.test");
+    const cb = vi.fn();
+    options.auth(cb);
+    expect(cb).toHaveBeenCalledWith({ token: "token-1" });
+  });
+
+  it("asks for unread notifications without naming a user", () => {
+    const stop = subscribeToNotifications("u1", () => {});
+    expect(fakeSocket.on).toHaveBeenCalledWith("notification:u1", expect.any(Function));
+    expect(fakeSocket.emit).toHaveBeenCalledWith("getUnreadNotifications");
+    stop();
+  });
+
+  it("joins a task's room while any view has it open, and again after a reconnect", () => {
+    const leaveA = viewTask("t1");
+    const leaveB = viewTask("t1");
+    expect(fakeSocket.emit.mock.calls).toEqual([["task:view", "t1"]]);
+
+    fakeSocket.emit.mockClear();
+    handlers.connect();
+    expect(fakeSocket.emit).toHaveBeenCalledWith("task:view", "t1");
+
+    leaveA();
+    expect(fakeSocket.emit).not.toHaveBeenCalledWith("task:leave", "t1");
+    leaveB();
+    expect(fakeSocket.emit).toHaveBeenCalledWith("task:leave", "t1");
+  });
+
+  it("refreshes an expired token once and reconnects", async () => {
+    refreshAccessToken.mockResolvedValue("token-2");
+    await handlers.connect_error(new Error("Unauthorized"));
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(fakeSocket.connect).toHaveBeenCalledTimes(1);
+
+    // Still refused: give up until the next successful connect
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    await handlers.connect_error(new Error("Unauthorized"));
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it("reconnects with a fresh token when the server drops the socket", async () => {
+    refreshAccessToken.mockResolvedValue("token-2");
+    await handlers.disconnect("transport close");
+    expect(refreshAccessToken).not.toHaveBeenCalled();
+
+    await handlers.disconnect("io server disconnect");
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(fakeSocket.connect).toHaveBeenCalledTimes(1);
+  });
+});
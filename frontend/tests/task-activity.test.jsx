@@ -0,0 +1,61 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const getTaskActivity = vi.fn();
+vi.mock("/src/services/api.js", () => ({ getTaskActivity: (...args) => getTaskActivity(...args) }));
+
+const { TaskActivity } = await import("/src/components/ui/TaskActivity.jsx");
+
+const entry = (over) => ({
+    _id: Math.random().toString(36).slice(2),
+    entityType: "Task",
+    action: "updated",
+    actor: { name: "Alice" },
+    changes: [],
+    summary: "",
+    createdAt: "2025-11-05T10:00:00Z",
+    ...over,
+});
+
+withRealTimers();
+
+describe("TaskActivity component", () => {
+    beforeEach(() => {
+        getTaskActivity.mockReset();
+    });
+
+    it("shows who changed what", async () => {
+        getTaskActivity.mockResolvedValue([
+            entry({ summary: "deadline moved from 3 Nov to 10 Nov" }),
+            entry({ entityType: "Attachment", action: "created", changes: [{ field: "filename", from: null, to: "spec.pdf" }] }),
+            entry({ action: "created", actor: null }),
+        ]);
+        render(<TaskActivity taskId="t1" />);
+
+        expect(await screen.findByText(/deadline moved from 3 Nov to 10 Nov/)).toBeInTheDocument();
+        expect(screen.getByText(/attached "spec.pdf"/)).toBeInTheDocument();
+        expect(screen.getByText("Someone")).toBeInTheDocument();
+        expect(getTaskActivity).toHaveBeenCalledWith("t1", { before: undefined, limit: 30 });
+    });
+
+    it("says so when there is no history", async () => {
+        getTaskActivity.mockResolvedValue([]);
+        render(<TaskActivity taskId="t1" />);
+        expect(await screen.findByText(/no history yet/i)).toBeInTheDocument();
+    });
+
+    it("pages back from the oldest entry", async () => {
+        const page = Array.from({ length: 30 }, (_, i) =>
+            entry({ summary: `change ${i}`, createdAt: new Date(Date.UTC(2025, 10, 30 - i)).toISOString() }));
+        getTaskActivity.mockResolvedValueOnce(page).mockResolvedValueOnce([entry({ summary: "oldest" })]);
+        render(<TaskActivity taskId="t1" />);
+
+        fireEvent.click(await screen.findByRole("button", { name: /load older/i }));
+        await waitFor(() => expect(screen.getByText(/oldest/)).toBeInTheDocument());
+        expect(getTaskActivity).toHaveBeenLastCalledWith("t1", { before: page[29].createdAt, limit: 30 });
+        expect(screen.queryByRole("button", { name: /load older/i })).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,129 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor, act } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const api = {
+    listTaskComments: vi.fn(),
+    createTaskComment: vi.fn(),
+    updateTaskComment: vi.fn(),
+    deleteTaskComment: vi.fn(),
+    getMe: vi.fn(),
+    searchMentionableUsers: vi.fn(),
+    toggleCommentReaction: vi.fn(),
+    setCommentThreadResolved: vi.fn(),
+};
+vi.mock("/src/services/api.js", () =>
+    Object.fromEntries(Object.keys(api).map((name) => [name, (...args) => api[name](...args)]))
+);
+
+const handlers = {};
+const socket = {
+    on: vi.fn((event, fn) => { handlers[event] = fn; }),
+    off: vi.fn((event) => { delete handlers[event]; }),
+};
+vi.mock("/src/services/socket.js", () => ({ getSocket: () => socket, viewTask: () => () => {} }));
+
+const { TaskComments } = await import("/src/components/ui/TaskComments.jsx");
+
+const TASK = "65c3de4ff5a67890abc12345";
+const ME = "65a1bc2de3f4567890abc123";
+const ANA = "65b2cd3ee4f567890abc1234";
+const ROOT = "65e5f0a1b2c3d4e5f6a7b8c9";
+const REPLY = "65e5f0a1b2c3d4e5f6a7b8d0";
+
+const comment = (over) => ({ author: { _id: ANA, name: "Ana" }, createdAt: "2026-03-01T02:00:00.000Z", reactions: [], ...over });
+const thread = (over = {}) =>
+    comment({
+        _id: ROOT,
+        body: "Which vendor?",
+        parent: null,
+        resolved: false,
+        reactions: [{ emoji: "👍", count: 1, users: [ANA] }],
+        replies: [comment({ _id: REPLY, parent: ROOT, body: "The cheaper one", author: { _id: ME, name: "Me" } })],
+        ...over,
+    });
+
+const renderComments = () => render(<TaskComments taskId={TASK} currentUser={{ _id: ME, name: "Me" }} />);
+
+withRealTimers();
+
+describe("TaskComments threads", () => {
+    beforeEach(() => {
+        Object.values(api).forEach((fn) => fn.mockReset());
+        api.searchMentionableUsers.mockResolvedValue([]);
+        api.listTaskComments.mockResolvedValue({ items: [thread()], nextCursor: null });
+    });
+
+    it("shows replies under their thread and posts a reply to it", async () => {
+        renderComments();
+        expect(await screen.findByText("The cheaper one")).toBeInTheDocument();
+
+        api.createTaskComment.mockResolvedValue(comment({ _id: "65e5f0a1b2c3d4e5f6a7b8d1", parent: ROOT, body: "Agreed" }));
+        fireEvent.click(screen.getByRole("button", { name: "Reply" }));
+        fireEvent.change(screen.getByLabelText("Reply"), { target: { value: " Agreed " } });
+        fireEvent.click(screen.getByRole("button", { name: "Post reply" }));
+
+        await waitFor(() =>
+            expect(api.createTaskComment).toHaveBeenCalledWith(TASK, expect.objectContaining({ body: "Agreed", parentId: ROOT }))
+        );
+        expect(await screen.findByText("Agreed")).toBeInTheDocument();
+        expect(screen.queryByLabelText("Reply")).not.toBeInTheDocument();
+
+        // The same reply over the socket is not shown twice
+        act(() => handlers["task:comment:created"]({ taskId: TASK, comment: comment({ _id: "65e5f0a1b2c3d4e5f6a7b8d1", parent: ROOT, body: "Agreed" }) }));
+        expect(screen.getAllByText("Agreed")).toHaveLength(1);
+    });
+
+    it("toggles reactions and follows other viewers' counts", async () => {
+        renderComments();
+        const chip = await screen.findByRole("button", { name: "👍 1" });
+        expect(chip).toHaveAttribute("aria-pressed", "false");
+
+        api.toggleCommentReaction.mockResolvedValue({ reacted: true, reactions: [{ emoji: "👍", count: 2, users: [ANA, ME] }] });
+        fireEvent.click(chip);
+        await waitFor(() => expect(api.toggleCommentReaction).toHaveBeenCalledWith(TASK, ROOT, "👍"));
+        expect(await screen.findByRole("button", { name: "👍 2" })).toHaveAttribute("aria-pressed", "true");
+
+        act(() =>
+            handlers["task:comment:reactions"]({
+                taskId: TASK,
+                commentId: REPLY,
+                reactions: [{ emoji: "🎉", count: 1, users: [ANA] }],
+            })
+        );
+        expect(screen.getByRole("button", { name: "🎉 1" })).toBeInTheDocument();
+
+        api.toggleCommentReaction.mockResolvedValue({ reacted: true, reactions: [{ emoji: "🚀", count: 1, users: [ME] }] });
+        fireEvent.change(screen.getAllByLabelText("Add reaction")[0], { target: { value: "🚀" } });
+        await waitFor(() => expect(api.toggleCommentReaction).toHaveBeenLastCalledWith(TASK, ROOT, "🚀"));
+    });
+
+    it("resolves a thread, folds it away and reopens it when another viewer does", async () => {
+        renderComments();
+        await screen.findByText("Which vendor?");
+
+        api.setCommentThreadResolved.mockResolvedValue({ commentId: ROOT, resolved: true, resolvedAt: "2026-03-02T00:00:00.000Z", resolvedBy: ME });
+        fireEvent.click(screen.getByRole("button", { name: "Resolve" }));
+        await waitFor(() => expect(api.setCommentThreadResolved).toHaveBeenCalledWith(TASK, ROOT, true));
+        expect(await screen.findByText("Resolved")).toBeInTheDocument();
+        expect(screen.queryByText("Which vendor?")).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole("button", { name: "Show thread (2)" }));
+        expect(screen.getByText("Which vendor?")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Reopen" })).toBeInTheDocument();
+
+        act(() => handlers["task:comment:resolved"]({ taskId: TASK, commentId: ROOT, resolved: false, resolvedAt: null, resolvedBy: null }));
+        expect(screen.queryByText("Resolved")).not.toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Resolve" })).toBeInTheDocument();
+    });
+
+    it("removes a deleted reply from its thread", async () => {
+        renderComments();
+        await screen.findByText("The cheaper one");
+        act(() => handlers["task:comment:deleted"]({ taskId: TASK, commentId: REPLY }));
+        expect(screen.queryByText("The cheaper one")).not.toBeInTheDocument();
+        expect(screen.getByText("Which vendor?")).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,87 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+
+const importTasks = vi.fn();
+const getProjectsByUserId = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    importTasks: (...a) => importTasks(...a),
+    getProjectsByUserId: (...a) => getProjectsByUserId(...a),
+}));
+vi.mock("/src/context/useAuth", () => ({
+    useAuth: () => ({ user: { id: "u1", role: "Staff" } }),
+}));
+
+const { TaskImport } = await import("/src/components/ui/TaskImport.jsx");
+
+const CSV = "Task,Due\nDraft brief,2026-03-20\n";
+const preview = (over = {}) => ({
+    dryRun: true,
+    format: "csv",
+    columns: ["Task", "Due"],
+    mapping: { title: "Task", deadline: "Due" },
+    creates: [
+        {
+            row: 2,
+            title: "Draft brief",
+            project: { _id: "p1", name: "Launch" },
+            assignees: [],
+            status: "To Do",
+            deadline: "2026-03-20T15:59:00.000Z",
+            allDay: true,
+            recurrence: null,
+        },
+    ],
+    errors: [],
+    skipped: [],
+    ...over,
+});
+
+const pick = (name, text) =>
+    fireEvent.change(screen.getByLabelText("File:"), { target: { files: [new File([text], name)] } });
+
+describe("TaskImport component", () => {
+    beforeEach(() => {
+        vi.useRealTimers();
+        importTasks.mockReset().mockResolvedValue(preview());
+        getProjectsByUserId.mockReset().mockResolvedValue([{ _id: "p1", name: "Launch" }]);
+    });
+
+    it("previews a CSV file and imports it", async () => {
+        const onImported = vi.fn();
+        render(<TaskImport onImported={onImported} />);
+        await screen.findByRole("option", { name: "Launch" });
+        fireEvent.change(screen.getByLabelText("Default project"), { target: { value: "p1" } });
+        pick("tasks.csv", CSV);
+
+        expect(await screen.findByText("Draft brief")).toBeInTheDocument();
+        expect(screen.getByText(/Launch · To Do · Fri, 20 Mar 2026/)).toBeInTheDocument();
+        expect(importTasks).toHaveBeenLastCalledWith({ content: CSV, format: "csv", mapping: null, projectId: "p1", dryRun: true });
+        expect(screen.getByLabelText("Deadline column")).toHaveValue("Due");
+
+        importTasks.mockResolvedValue({ message: "1 task imported", taskIds: ["t1"] });
+        fireEvent.click(screen.getByRole("button", { name: "Import 1 task" }));
+
+        await waitFor(() => expect(onImported).toHaveBeenCalledWith({ message: "1 task imported", taskIds: ["t1"] }));
+        expect(importTasks).toHaveBeenLastCalledWith({ content: CSV, format: "csv", mapping: null, projectId: "p1" });
+    });
+
+    it("lists row errors, blocks the import and re-checks after a column is remapped", async () => {
+        importTasks.mockResolvedValue(
+            preview({ creates: [], errors: [{ row: 2, field: "deadline", error: "Invalid date 'soon'" }] })
+        );
+        render(<TaskImport />);
+        pick("tasks.csv", CSV);
+
+        expect(await screen.findByText("Row 2 · deadline: Invalid date 'soon'")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Import" })).toBeDisabled();
+
+        fireEvent.change(screen.getByLabelText("Deadline column"), { target: { value: "" } });
+        await waitFor(() =>
+            expect(importTasks).toHaveBeenLastCalledWith(
+                expect.objectContaining({ mapping: { title: "Task", deadline: null }, dryRun: true })
+            )
+        );
+    });
+});
@@ -0,0 +1,76 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const api = {
+    getMyTaskReminders: vi.fn(),
+    addMyTaskReminder: vi.fn(),
+    deleteMyTaskReminder: vi.fn(),
+};
+vi.mock("/src/services/api.js", () => ({
+    getMyTaskReminders: (...args) => api.getMyTaskReminders(...args),
+    addMyTaskReminder: (...args) => api.addMyTaskReminder(...args),
+    deleteMyTaskReminder: (...args) => api.deleteMyTaskReminder(...args),
+}));
+
+const { TaskReminders } = await import("/src/components/ui/TaskReminders.jsx");
+
+const reminders = [
+    { _id: "r1", source: "custom", minutesBefore: 1440, remindAt: null, note: "prep slides", dueAt: "2026-03-04T02:00:00.000Z" },
+    { _id: "r2", source: "snooze", minutesBefore: null, remindAt: "2026-03-01T04:00:00.000Z", dueAt: "2026-03-01T04:00:00.000Z" },
+];
+
+withRealTimers();
+
+describe("TaskReminders component", () => {
+    beforeEach(() => {
+        Object.values(api).forEach((fn) => fn.mockReset());
+        api.getMyTaskReminders.mockResolvedValue(reminders);
+    });
+
+    it("lists the user's reminders and removes one", async () => {
+        render(<TaskReminders taskId="t1" hasDeadline />);
+        expect(await screen.findByText("4 Mar 2026 10:00 — prep slides")).toBeInTheDocument();
+        expect(screen.getByText("1 day before", { selector: "p" })).toBeInTheDocument();
+        expect(screen.getByText("Snoozed")).toBeInTheDocument();
+
+        api.deleteMyTaskReminder.mockResolvedValue();
+        fireEvent.click(screen.getAllByRole("button", { name: "Remove" })[0]);
+        await waitFor(() => expect(api.deleteMyTaskReminder).toHaveBeenCalledWith("t1", "r1"));
+        expect(api.getMyTaskReminders).toHaveBeenCalledTimes(2);
+    });
+
+    it("adds a reminder before the deadline or at a Singapore time", async () => {
+        api.addMyTaskReminder.mockResolvedValue({});
+        render(<TaskReminders taskId="t1" hasDeadline />);
+        await screen.findByText("Snoozed");
+
+        fireEvent.change(screen.getByLabelText("How long before"), { target: { value: "180" } });
+        fireEvent.change(screen.getByLabelText("Reminder note"), { target: { value: " call Ana " } });
+        fireEvent.click(screen.getByRole("button", { name: "Add reminder" }));
+        await waitFor(() => expect(api.addMyTaskReminder).toHaveBeenCalledWith("t1", { minutesBefore: 180, note: "call Ana" }));
+
+        fireEvent.change(screen.getByLabelText("Remind me"), { target: { value: "at" } });
+        fireEvent.change(screen.getByLabelText("Remind me at"), { target: { value: "2026-03-02T09:00" } });
+        fireEvent.click(screen.getByRole("button", { name: "Add reminder" }));
+        await waitFor(() =>
+            expect(api.addMyTaskReminder).toHaveBeenLastCalledWith("t1", { remindAt: "2026-03-02T01:00:00.000Z" })
+        );
+    });
+
+    it("only offers a set time without a deadline, and surfaces errors", async () => {
+        api.addMyTaskReminder.mockRejectedValue(new Error("remindAt must be in the future"));
+        render(<TaskReminders taskId="t1" hasDeadline={false} />);
+        await screen.findByText("Snoozed");
+        expect(screen.queryByLabelText("How long before")).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole("button", { name: "Add reminder" }));
+        expect(await screen.findByText("Pick when to be reminded")).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText("Remind me at"), { target: { value: "2020-01-01T09:00" } });
+        fireEvent.click(screen.getByRole("button", { name: "Add reminder" }));
+        expect(await screen.findByText("remindAt must be in the future")).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,83 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+
+const getTaskSeries = vi.fn();
+const skipOccurrence = vi.fn();
+const changeOccurrence = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    getTaskSeries: (...a) => getTaskSeries(...a),
+    skipOccurrence: (...a) => skipOccurrence(...a),
+    changeOccurrence: (...a) => changeOccurrence(...a),
+}));
+
+const { TaskSeries } = await import("/src/components/ui/TaskSeries.jsx");
+
+// Every 2nd Tuesday, 9:00 Singapore time
+const series = (over = {}) => ({
+    seriesId: "t1",
+    rrule: "FREQ=MONTHLY;BYDAY=2TU",
+    description: "Every month on the 2nd Tuesday",
+    instances: [
+        { _id: "t0", title: "Report", status: "Done", occurrenceDate: "2026-02-10T01:00:00.000Z", detached: false },
+        { _id: "t1", title: "Report", status: "To Do", occurrenceDate: "2026-03-10T01:00:00.000Z", detached: false },
+    ],
+    upcoming: ["2026-04-14T01:00:00.000Z", "2026-05-12T01:00:00.000Z"],
+    skipped: [],
+    ...over,
+});
+
+describe("TaskSeries component", () => {
+    beforeEach(() => {
+        vi.useRealTimers();
+        getTaskSeries.mockReset().mockResolvedValue(series());
+        skipOccurrence.mockReset().mockResolvedValue(series());
+        changeOccurrence.mockReset().mockResolvedValue({ _id: "t2" });
+    });
+
+    it("shows the rule, the tasks so far and the occurrences to come", async () => {
+        render(<TaskSeries taskId="t1" title="Report" />);
+
+        expect(await screen.findByText(/Every month on the 2nd Tuesday/)).toBeInTheDocument();
+        expect(screen.getByText("Tue, 14 Apr 2026 9:00 AM")).toBeInTheDocument();
+        expect(screen.getByText(/Tue, 10 Feb 2026 9:00 AM · Report/)).toBeInTheDocument();
+        expect(getTaskSeries).toHaveBeenCalledWith("t1", { limit: 8 });
+    });
+
+    it("skips an occurrence and reloads", async () => {
+        const onChanged = vi.fn();
+        render(<TaskSeries taskId="t1" title="Report" onChanged={onChanged} />);
+        await screen.findByText("Tue, 14 Apr 2026 9:00 AM");
+        getTaskSeries.mockResolvedValue(series({ upcoming: ["2026-05-12T01:00:00.000Z"], skipped: ["2026-04-14T01:00:00.000Z"] }));
+
+        fireEvent.click(screen.getAllByRole("button", { name: "Skip" })[0]);
+
+        await waitFor(() => expect(onChanged).toHaveBeenCalled());
+        expect(skipOccurrence).toHaveBeenCalledWith("t1", "2026-04-14T01:00:00.000Z");
+        expect(await screen.findByText(/Skipped or changed: Tue, 14 Apr 2026/)).toBeInTheDocument();
+    });
+
+    it("gives one occurrence its own title and time", async () => {
+        render(<TaskSeries taskId="t1" title="Report" />);
+        await screen.findByText("Tue, 14 Apr 2026 9:00 AM");
+
+        fireEvent.click(screen.getAllByRole("button", { name: "Change" })[0]);
+        fireEvent.change(screen.getByLabelText("Occurrence title"), { target: { value: "Report (Q1)" } });
+        fireEvent.change(screen.getByLabelText("Occurrence deadline"), { target: { value: "2026-04-15T14:00" } });
+        fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+        await waitFor(() =>
+            expect(changeOccurrence).toHaveBeenCalledWith("t1", "2026-04-14T01:00:00.000Z", {
+                title: "Report (Q1)",
+                deadline: "2026-04-15T06:00:00.000Z",
+            })
+        );
+    });
+
+    it("shows why the series can't be loaded", async () => {
+        getTaskSeries.mockRejectedValue(new Error("This task does not repeat"));
+        render(<TaskSeries taskId="t1" />);
+        expect(await screen.findByText("This task does not repeat")).toBeInTheDocument();
+    });
+});
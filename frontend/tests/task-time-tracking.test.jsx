@@ -0,0 +1,82 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const api = {
+    getTaskTime: vi.fn(),
+    logTaskTime: vi.fn(),
+    startTaskTimer: vi.fn(),
+    stopTaskTimer: vi.fn(),
+    deleteTimeEntry: vi.fn(),
+};
+vi.mock("/src/services/api.js", () => ({
+    getTaskTime: (...args) => api.getTaskTime(...args),
+    logTaskTime: (...args) => api.logTaskTime(...args),
+    startTaskTimer: (...args) => api.startTaskTimer(...args),
+    stopTaskTimer: (...args) => api.stopTaskTimer(...args),
+    deleteTimeEntry: (...args) => api.deleteTimeEntry(...args),
+}));
+
+const { TaskTimeTracking } = await import("/src/components/ui/TaskTimeTracking.jsx");
+
+const summary = (over) => ({
+    estimateMinutes: 240,
+    remainingMinutes: 150,
+    loggedMinutes: 90,
+    byUser: [],
+    running: null,
+    entries: [
+        { _id: "e1", user: { _id: "me", name: "Alice" }, minutes: 60, note: "spec", startedAt: "2025-11-04T02:00:00Z", endedAt: "2025-11-04T03:00:00Z" },
+        { _id: "e2", user: { _id: "bob", name: "Bob" }, minutes: 30, startedAt: "2025-11-03T02:00:00Z", endedAt: "2025-11-03T02:30:00Z" },
+    ],
+    ...over,
+});
+
+withRealTimers();
+
+describe("TaskTimeTracking component", () => {
+    beforeEach(() => {
+        Object.values(api).forEach((fn) => fn.mockReset());
+    });
+
+    it("shows logged vs. estimated time and the entries", async () => {
+        api.getTaskTime.mockResolvedValue(summary());
+        render(<TaskTimeTracking taskId="t1" currentUserId="me" />);
+
+        expect(await screen.findByText(/logged of 4h estimated/)).toBeInTheDocument();
+        expect(screen.getByText("1h 30m")).toBeInTheDocument();
+        expect(screen.getByText(/2h 30m remaining/)).toBeInTheDocument();
+        expect(screen.getByText(/— spec/)).toBeInTheDocument();
+        // Only the caller's own entry can be deleted
+        expect(screen.getAllByRole("button", { name: /delete/i })).toHaveLength(1);
+    });
+
+    it("starts and stops the timer", async () => {
+        api.getTaskTime
+            .mockResolvedValueOnce(summary())
+            .mockResolvedValueOnce(summary({ running: { _id: "e3", startedAt: "2025-11-05T02:00:00Z" } }));
+        api.startTaskTimer.mockResolvedValue({ entry: { _id: "e3" }, stopped: null });
+        api.stopTaskTimer.mockResolvedValue({ _id: "e3", minutes: 5 });
+        render(<TaskTimeTracking taskId="t1" currentUserId="me" />);
+
+        fireEvent.click(await screen.findByRole("button", { name: /start timer/i }));
+        fireEvent.click(await screen.findByRole("button", { name: /stop timer/i }));
+        await waitFor(() => expect(api.stopTaskTimer).toHaveBeenCalledWith("t1"));
+        expect(api.startTaskTimer).toHaveBeenCalledWith("t1");
+    });
+
+    it("logs time by hand and surfaces server errors", async () => {
+        api.getTaskTime.mockResolvedValue(summary());
+        api.logTaskTime.mockRejectedValueOnce(new Error("startedAt cannot be in the future"));
+        render(<TaskTimeTracking taskId="t1" currentUserId="me" />);
+
+        fireEvent.change(await screen.findByLabelText("Hours"), { target: { value: "1.5" } });
+        fireEvent.change(screen.getByLabelText("Note"), { target: { value: " review " } });
+        fireEvent.click(screen.getByRole("button", { name: /log time/i }));
+
+        expect(await screen.findByText(/cannot be in the future/)).toBeInTheDocument();
+        expect(api.logTaskTime).toHaveBeenCalledWith("t1", { hours: 1.5, note: "review" });
+    });
+});
@@ -0,0 +1,64 @@
+/** @vitest-environment happy-dom */
+import "@testing-library/jest-dom/vitest";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { withRealTimers } from "./helpers/timers.js";
+
+const getTrash = vi.fn();
+const getProjects = vi.fn();
+const restoreFromTrash = vi.fn();
+const deleteFromTrash = vi.fn();
+vi.mock("/src/services/api.js", () => ({
+    getTrash: (...a) => getTrash(...a),
+    getProjects: (...a) => getProjects(...a),
+    restoreFromTrash: (...a) => restoreFromTrash(...a),
+    deleteFromTrash: (...a) => deleteFromTrash(...a),
+}));
+
+const { default: Trash } = await import("/src/pages/Trash.jsx");
+
+const TASK = {
+    _id: "t1",
+    type: "task",
+    title: "Write launch plan",
+    project: { _id: "p1", name: "Launch" },
+    deletedAt: "2026-03-01T10:00:00Z",
+    deletedBy: { _id: "u1", name: "Ana" },
+    purgeAt: "2026-03-31T10:00:00Z",
+    includes: 2,
+    canRestore: true,
+};
+
+withRealTimers();
+
+describe("Trash page", () => {
+    beforeEach(() => {
+        getProjects.mockReset().mockResolvedValue([{ _id: "p1", name: "Launch" }]);
+        getTrash.mockReset().mockResolvedValue({ retentionDays: 30, items: [TASK] });
+        restoreFromTrash.mockReset().mockResolvedValue({ message: "Restored" });
+        deleteFromTrash.mockReset().mockResolvedValue({ message: "Deleted for good" });
+    });
+
+    it("lists deleted items with what went with them and when they are purged", async () => {
+        render(<Trash />);
+        expect(await screen.findByText("Write launch plan")).toBeInTheDocument();
+        expect(screen.getByText(/in Launch, with 2 subtasks/)).toBeInTheDocument();
+        expect(screen.getByText(/by Ana/)).toBeInTheDocument();
+        expect(screen.getByText(/restored for 30 days/)).toBeInTheDocument();
+        expect(getTrash).toHaveBeenCalledWith({ project: undefined });
+    });
+
+    it("restores an item and reloads the list", async () => {
+        render(<Trash />);
+        fireEvent.click(await screen.findByRole("button", { name: "Restore" }));
+        await waitFor(() => expect(restoreFromTrash).toHaveBeenCalledWith("task", "t1"));
+        await waitFor(() => expect(getTrash).toHaveBeenCalledTimes(2));
+    });
+
+    it("switches to everything deleted in a project", async () => {
+        render(<Trash />);
+        await screen.findByText("Deleted in Launch");
+        fireEvent.change(screen.getByLabelText("Trash scope"), { target: { value: "p1" } });
+        await waitFor(() => expect(getTrash).toHaveBeenLastCalledWith({ project: "p1" }));
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { categoryOf, initialStatus, isDoneTask, statusOptionsFor } from "/src/services/workflow.js";
+
+const review = {
+  statuses: [
+    { name: "Backlog", category: "not_started" },
+    { name: "Doing", category: "active" },
+    { name: "QA", category: "active" },
+    { name: "Shipped", category: "done" },
+  ],
+  transitions: [
+    { from: "Backlog", to: "Doing" },
+    { from: "Doing", to: "QA" },
+    { from: "QA", to: "Shipped" },
+  ],
+};
+
+describe("services/workflow", () => {
+  it("reads the category, falling back to the default status names", () => {
+    expect(categoryOf({ status: "Shipped", statusCategory: "done" })).toBe("done");
+    expect(categoryOf({ status: "In Progress" })).toBe("active");
+    expect(isDoneTask({ status: "Done" })).toBe(true);
+    expect(isDoneTask({ status: "QA", statusCategory: "active" })).toBe(false);
+  });
+
+  it("starts tasks in the first not-started status", () => {
+    expect(initialStatus()).toBe("To Do");
+    expect(initialStatus(review)).toBe("Backlog");
+  });
+
+  it("offers the current status plus the allowed moves", () => {
+    expect(statusOptionsFor(undefined, "To Do")).toEqual(["To Do", "In Progress", "Done"]);
+    expect(statusOptionsFor(review, "Doing")).toEqual(["Doing", "QA"]);
+    expect(statusOptionsFor(review)).toEqual(["Backlog", "Doing", "QA", "Shipped"]);
+    expect(statusOptionsFor(review, "Legacy")).toEqual(["Legacy", "Backlog", "Doing", "QA", "Shipped"]);
+  });
+});